@@ -1,61 +1,150 @@
-import React, { useState } from 'react';
+import React from 'react';
+import { Routes, Route, Navigate, useLocation, useNavigate, useParams } from 'react-router-dom';
 import { Web3Provider } from './contexts/Web3Context';
 import { SettingsProvider } from './contexts/SettingsContext';
+import { WatchtowerProvider } from './contexts/WatchtowerContext';
 import Header from './components/Header';
 import BridgeForm from './components/BridgeForm';
 import ClaimList from './components/ClaimList';
 import AssistantsList from './components/AssistantsList';
+import Governance from './components/Governance';
+import Watchtower from './components/Watchtower';
+import TransferTracker from './components/TransferTracker';
+import ClaimView from './components/ClaimView';
+import Portfolio from './components/Portfolio';
+import { getTrackerSearch } from './utils/transfer-tracker';
+import { TAB_PATHS, getTabFromPath, parseBridgeFormParams, getClaimListSearch } from './utils/routes';
 import { Toaster } from 'react-hot-toast';
 import { motion } from 'framer-motion';
 
+// Route elements that read their URL parameters
+const BridgeRoute = (props) => {
+  const { search } = useLocation();
+  // Remount the form when a different pre-filled link is opened
+  return <BridgeForm key={search} prefill={parseBridgeFormParams(search)} {...props} />;
+};
+
+const ClaimRoute = () => {
+  const { networkKey, bridgeAddress, claimNum } = useParams();
+  return <ClaimView networkKey={networkKey.toUpperCase()} bridgeAddress={bridgeAddress} claimNum={claimNum} />;
+};
+
+const AssistantRoute = () => {
+  const { assistantAddress } = useParams();
+  return <AssistantsList assistantAddress={assistantAddress} />;
+};
+
 function App() {
-  const [activeTab, setActiveTab] = useState('bridge'); // 'bridge', 'transfers', or 'pools'
+  const navigate = useNavigate();
+  const location = useLocation();
+  const activeTab = getTabFromPath(location.pathname); // 'bridge', 'transfers', 'pools', 'governance', 'watchtower', 'tracker' or 'account'
 
   // Handle navigation clicks
   const handleNavClick = (section) => {
-    setActiveTab(section);
+    navigate(TAB_PATHS[section] || TAB_PATHS.bridge);
+  };
+
+  // Handle navigation to the tracker for a transfer that was just sent
+  const navigateToTracker = (networkKey, txid) => {
+    navigate(`${TAB_PATHS.tracker}${getTrackerSearch({ networkKey, txid })}`);
   };
 
   // Handle navigation to transfers tab with specific filter
   const navigateToTransfers = (filter = 'all') => {
-    setActiveTab('transfers');
-    // Store the filter preference for ClaimList to use
-    localStorage.setItem('claimListFilter', filter);
+    navigate(`${TAB_PATHS.transfers}${getClaimListSearch({ filter })}`);
   };
 
     return (
     <Web3Provider>
       <SettingsProvider>
+        <WatchtowerProvider>
         <div className="min-h-screen bg-dark-950 flex flex-col">
           <Header onNavClick={handleNavClick} activeTab={activeTab} />
 
           <main className="pt-8 pb-16 flex-1">
           
+          <Routes>
+            {/* Bridge Form Section */}
+            <Route path={TAB_PATHS.bridge} element={
+              <section id="bridge" className="mb-16">
+                <BridgeRoute onNavigateToTransfers={navigateToTransfers} onTrackTransfer={navigateToTracker} />
+              </section>
+            } />
 
-          {/* Bridge Form Section */}
-          {activeTab === 'bridge' && (
-            <section id="bridge" className="mb-16">
-              <BridgeForm onNavigateToTransfers={navigateToTransfers} />
-            </section>
-          )}
+            {/* Transfer List Section */}
+            <Route path={TAB_PATHS.transfers} element={
+              <section id="transfers" className="mb-16">
+                <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+                  <ClaimList activeTab={activeTab} />
+                </div>
+              </section>
+            } />
 
-          {/* Transfer List Section */}
-          {activeTab === 'transfers' && (
-            <section id="transfers" className="mb-16">
-              <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
-                <ClaimList activeTab={activeTab} />
-              </div>
-            </section>
-          )}
+            {/* Single Claim Section */}
+            <Route path={`${TAB_PATHS.transfers}/:networkKey/:bridgeAddress/:claimNum`} element={
+              <section id="claim" className="mb-16">
+                <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+                  <ClaimRoute />
+                </div>
+              </section>
+            } />
 
-          {/* Pools Section */}
-          {activeTab === 'pools' && (
-            <section id="pools" className="mb-16">
-              <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
-                <AssistantsList />
-              </div>
-            </section>
-          )}
+            {/* Pools Section */}
+            <Route path={TAB_PATHS.pools} element={
+              <section id="pools" className="mb-16">
+                <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+                  <AssistantsList />
+                </div>
+              </section>
+            } />
+
+            {/* Single Pool Section */}
+            <Route path={`${TAB_PATHS.pools}/:assistantAddress`} element={
+              <section id="pools" className="mb-16">
+                <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+                  <AssistantRoute />
+                </div>
+              </section>
+            } />
+
+            {/* Governance Section */}
+            <Route path={TAB_PATHS.governance} element={
+              <section id="governance" className="mb-16">
+                <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+                  <Governance />
+                </div>
+              </section>
+            } />
+
+            {/* Watchtower Section */}
+            <Route path={TAB_PATHS.watchtower} element={
+              <section id="watchtower" className="mb-16">
+                <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+                  <Watchtower />
+                </div>
+              </section>
+            } />
+
+            {/* Transfer Tracker Section */}
+            <Route path={TAB_PATHS.tracker} element={
+              <section id="tracker" className="mb-16">
+                <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+                  <TransferTracker />
+                </div>
+              </section>
+            } />
+
+            {/* My Account Section */}
+            <Route path={TAB_PATHS.account} element={
+              <section id="account" className="mb-16">
+                <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+                  <Portfolio />
+                </div>
+              </section>
+            } />
+
+            <Route path="*" element={<Navigate to={TAB_PATHS.bridge} replace />} />
+          </Routes>
 
           {/* How It Works Section - Bridge Tab */}
           {activeTab === 'bridge' && (
@@ -251,6 +340,7 @@ function App() {
           }}
         />
       </div>
+        </WatchtowerProvider>
         </SettingsProvider>
       </Web3Provider>
   );
@@ -0,0 +1,308 @@
+/**
+ * Claim-as-a-service Bot
+ *
+ * Watches NewExpatriation/NewRepatriation transfers on the configured bridges and claims
+ * them on the counterpart bridge from a local key when the reward covers the gas cost.
+ * The bot pays amount - reward to the recipient right away and gets the full amount plus
+ * its stake back when it withdraws the claim after the challenging period.
+ *
+ * Usage:
+ *   CLAIM_BOT_PRIVATE_KEY=0x... pnpm claim-bot
+ *
+ * Environment:
+ *   CLAIM_BOT_PRIVATE_KEY        Key of the claimer wallet (required)
+ *   CLAIM_BOT_CONFIG             Path to a JSON config (see below)
+ *   CLAIM_BOT_BRIDGES            Comma-separated transfer bridge addresses to watch (default: all)
+ *   CLAIM_BOT_RPC_<NETWORK_KEY>  RPC URL override, e.g. CLAIM_BOT_RPC_ETHEREUM=http://127.0.0.1:8545
+ *   CLAIM_BOT_INTERVAL_SECONDS   Delay between cycles (default: 60)
+ *   CLAIM_BOT_RANGE_HOURS        Hours of history to scan (default: 24)
+ *   CLAIM_BOT_MIN_PROFIT_BPS     Minimum profit relative to the locked capital (default: 0)
+ *   CLAIM_BOT_DRY_RUN=1          Evaluate transfers without sending claims
+ *   CLAIM_BOT_ONCE=1             Run a single cycle and exit
+ *
+ * For a local Hardhat or Ganache chain, pass a JSON config whose bridges replace the
+ * ones from config/networks.js. Export bridges with an ERC20 stake token need an
+ * oracleAddress to price gas in stake tokens:
+ *   {
+ *     "rpc": { "ETHEREUM": "http://127.0.0.1:8545" },
+ *     "bridges": {
+ *       "TEST_EXPORT": { "address": "0x...", "type": "export", "networkKey": "ETHEREUM", "bridgeId": 1 },
+ *       "TEST_IMPORT": { "address": "0x...", "type": "import", "networkKey": "ETHEREUM", "bridgeId": 1 }
+ *     }
+ *   }
+ */
+
+import fs from 'fs';
+import dotenv from 'dotenv';
+import { ethers } from 'ethers';
+import { NETWORKS, ADDRESS_ZERO, getBridgeInstances } from '../config/networks';
+import { ERC20_ABI } from '../contracts/abi';
+import { updateProviderSettings } from '../utils/provider-manager';
+import { getBridgeNetworkKey } from '../utils/assistant-manager';
+import { wait } from '../utils/utils.js';
+import {
+  DEFAULT_CLAIM_GAS,
+  getClaimBridge,
+  checkTransferClaimable,
+  buildClaimArgs,
+  getGasCostInStakeTokens,
+  evaluateClaimProfitability,
+  getClaimApprovalAmount,
+  loadClaimBridgeContext,
+  fetchBridgeTransfers,
+  fetchClaimedTxids,
+  submitClaim,
+} from '../utils/claim-bot';
+
+// Reasons after which a transfer is never evaluated again
+const FINAL_REASONS = ['claimed', 'already_claimed', 'invalid_recipient', 'own_transfer', 'no_reward', 'reward_too_large'];
+
+function loadConfig() {
+  dotenv.config();
+  const env = process.env;
+
+  if (!env.CLAIM_BOT_PRIVATE_KEY) {
+    throw new Error('CLAIM_BOT_PRIVATE_KEY is required');
+  }
+
+  const fileConfig = env.CLAIM_BOT_CONFIG ? JSON.parse(fs.readFileSync(env.CLAIM_BOT_CONFIG, 'utf8')) : {};
+
+  const rpc = { ...(fileConfig.rpc || {}) };
+  Object.keys(NETWORKS).forEach(networkKey => {
+    if (env[`CLAIM_BOT_RPC_${networkKey}`]) rpc[networkKey] = env[`CLAIM_BOT_RPC_${networkKey}`];
+  });
+
+  const watch = env.CLAIM_BOT_BRIDGES
+    ? env.CLAIM_BOT_BRIDGES.split(',').map(address => address.trim().toLowerCase()).filter(Boolean)
+    : (fileConfig.watch || []).map(address => address.toLowerCase());
+
+  return {
+    privateKey: env.CLAIM_BOT_PRIVATE_KEY,
+    rpc,
+    bridges: fileConfig.bridges || getBridgeInstances(),
+    watch,
+    intervalSeconds: Number(env.CLAIM_BOT_INTERVAL_SECONDS || fileConfig.intervalSeconds || 60),
+    rangeHours: Number(env.CLAIM_BOT_RANGE_HOURS || fileConfig.rangeHours || 24),
+    minProfitBps: Number(env.CLAIM_BOT_MIN_PROFIT_BPS || fileConfig.minProfitBps || 0),
+    dryRun: !!(env.CLAIM_BOT_DRY_RUN || fileConfig.dryRun),
+    once: !!env.CLAIM_BOT_ONCE,
+  };
+}
+
+function resolveNetworkKey(bridge) {
+  if (bridge.networkKey) return bridge.networkKey;
+  const networkKey = getBridgeNetworkKey(bridge.address, NETWORKS);
+  if (networkKey) return networkKey;
+  // import_wrapper bridges are defined at the network level of the config
+  const entry = Object.entries(NETWORKS).find(([, network]) =>
+    Object.values(network).some(value => value?.address?.toLowerCase() === bridge.address.toLowerCase())
+  );
+  return entry ? entry[0] : null;
+}
+
+function createBot(config) {
+  // Route the unified block fetcher to the same RPCs as the bot wallets
+  updateProviderSettings(Object.fromEntries(
+    Object.entries(config.rpc).map(([networkKey, rpcUrl]) => [networkKey, { customRpc: true, rpcUrl }])
+  ));
+
+  const wallets = {};
+  const getWallet = (networkKey) => {
+    if (!wallets[networkKey]) {
+      const rpcUrl = config.rpc[networkKey] || NETWORKS[networkKey]?.rpcUrl;
+      if (!rpcUrl) throw new Error(`No RPC URL for network ${networkKey}`);
+      wallets[networkKey] = new ethers.Wallet(config.privateKey, new ethers.providers.JsonRpcProvider(rpcUrl));
+    }
+    return wallets[networkKey];
+  };
+
+  const bridges = Object.fromEntries(
+    Object.entries(config.bridges)
+      .filter(([, bridge]) => bridge?.address)
+      .map(([key, bridge]) => [key, { ...bridge, networkKey: resolveNetworkKey(bridge) }])
+  );
+
+  const pairs = Object.values(bridges)
+    .filter(bridge => config.watch.length === 0 || config.watch.includes(bridge.address.toLowerCase()))
+    .map(transferBridge => ({ transferBridge, claimBridge: getClaimBridge(transferBridge, bridges) }))
+    .filter(({ transferBridge, claimBridge }) => {
+      if (!claimBridge) {
+        console.warn(`⚠️ No claim bridge found for ${transferBridge.address} (${transferBridge.type}), skipping`);
+        return false;
+      }
+      if (!transferBridge.networkKey || !claimBridge.networkKey) {
+        console.warn(`⚠️ Unknown network for ${transferBridge.address} or ${claimBridge.address}, skipping`);
+        return false;
+      }
+      return true;
+    });
+
+  return { config, pairs, getWallet, contexts: {}, decisions: new Map() };
+}
+
+function recordDecision(bot, transfer, reason, details = '') {
+  const key = transfer.txid.toLowerCase();
+  if (bot.decisions.get(key) === reason) return;
+  bot.decisions.set(key, reason);
+  const icon = reason === 'claimed' ? '✅' : reason === 'would_claim' ? '🔍' : '⏭️';
+  console.log(`${icon} ${transfer.txid}: ${reason}${details ? ` (${details})` : ''}`);
+}
+
+async function getBalance(wallet, tokenAddress) {
+  if (tokenAddress === ADDRESS_ZERO) return wallet.getBalance();
+  return new ethers.Contract(tokenAddress, ERC20_ABI, wallet).balanceOf(wallet.address);
+}
+
+async function estimateClaimGas({ wallet, claimBridge, context, transfer, stake, paidAmount }) {
+  const approvalAmount = getClaimApprovalAmount(context, claimBridge, stake, paidAmount);
+  if (approvalAmount.gt(0)) {
+    const allowance = await new ethers.Contract(context.stakeTokenAddress, ERC20_ABI, wallet).allowance(wallet.address, claimBridge.address);
+    // The claim can't be simulated before the approval is sent
+    if (allowance.lt(approvalAmount)) return ethers.BigNumber.from(DEFAULT_CLAIM_GAS);
+  }
+
+  const isNativeStake = context.stakeTokenAddress === ADDRESS_ZERO;
+  const value = isNativeStake ? (claimBridge.type === 'export' ? stake.add(paidAmount) : stake) : 0;
+  return context.contract.connect(wallet).estimateGas.claim(...buildClaimArgs(transfer, stake), { value });
+}
+
+async function processTransfer(bot, pair, context, transfer) {
+  const { claimBridge } = pair;
+  const wallet = bot.getWallet(claimBridge.networkKey);
+
+  const stake = await context.contract.getRequiredStake(transfer.amount);
+  const paidAmount = transfer.amount.sub(transfer.reward);
+
+  // Export bridges take stake and paid amount in the same token
+  const sameToken = context.paidTokenAddress.toLowerCase() === context.stakeTokenAddress.toLowerCase();
+  const [stakeBalance, paidBalance] = await Promise.all([
+    getBalance(wallet, context.stakeTokenAddress),
+    sameToken ? null : getBalance(wallet, context.paidTokenAddress),
+  ]);
+  const neededStakeBalance = sameToken ? stake.add(paidAmount) : stake;
+  if (stakeBalance.lt(neededStakeBalance) || (paidBalance && paidBalance.lt(paidAmount))) {
+    recordDecision(bot, transfer, 'insufficient_balance', `stake ${stake.toString()}, paid ${paidAmount.toString()}`);
+    return;
+  }
+
+  let gas;
+  try {
+    gas = await estimateClaimGas({ wallet, claimBridge, context, transfer, stake, paidAmount });
+  } catch (error) {
+    recordDecision(bot, transfer, 'simulation_failed', error.reason || error.message);
+    return;
+  }
+
+  const gasPrice = await wallet.getGasPrice();
+  const gasCost = getGasCostInStakeTokens(gas, gasPrice, context.nativePrice);
+  const evaluation = evaluateClaimProfitability({
+    amount: transfer.amount,
+    reward: transfer.reward,
+    requiredStake: stake,
+    gasCost,
+    transferPrice: context.transferPrice,
+    minProfitBps: bot.config.minProfitBps,
+  });
+  const summary = `reward ${evaluation.rewardInStakeTokens.toString()}, gas ${gasCost.toString()}, stake ${stake.toString()} ${context.stakeSymbol}`;
+
+  if (!evaluation.isProfitable) {
+    recordDecision(bot, transfer, 'unprofitable', summary);
+    return;
+  }
+
+  if (bot.config.dryRun) {
+    recordDecision(bot, transfer, 'would_claim', summary);
+    return;
+  }
+
+  const { claimNum, claim } = await submitClaim({ signer: wallet, bridge: claimBridge, context, transfer, stake, paidAmount });
+  recordDecision(bot, transfer, 'claimed', `claim #${claimNum?.toString()}, expires ${claim ? new Date(Number(claim.expiry_ts) * 1000).toISOString() : 'unknown'}`);
+}
+
+async function processPair(bot, pair) {
+  const { transferBridge, claimBridge } = pair;
+  const { rangeHours } = bot.config;
+
+  const transfers = await fetchBridgeTransfers({
+    bridge: transferBridge,
+    networkKey: transferBridge.networkKey,
+    provider: bot.getWallet(transferBridge.networkKey).provider,
+    rangeHours,
+  });
+  const pending = transfers.filter(transfer => !FINAL_REASONS.includes(bot.decisions.get(transfer.txid.toLowerCase())));
+  if (pending.length === 0) return;
+
+  const wallet = bot.getWallet(claimBridge.networkKey);
+  if (!bot.contexts[claimBridge.address]) {
+    bot.contexts[claimBridge.address] = await loadClaimBridgeContext(wallet.provider, claimBridge);
+  }
+  const context = bot.contexts[claimBridge.address];
+  const claimedTxids = await fetchClaimedTxids({ bridge: claimBridge, networkKey: claimBridge.networkKey, rangeHours });
+  const now = (await wallet.provider.getBlock('latest')).timestamp;
+
+  for (const transfer of pending) {
+    const { claimable, reason } = checkTransferClaimable({
+      transfer,
+      account: wallet.address,
+      now,
+      minTxAge: context.minTxAge,
+      claimedTxids,
+    });
+    if (!claimable) {
+      recordDecision(bot, transfer, reason);
+      continue;
+    }
+
+    try {
+      await processTransfer(bot, pair, context, transfer);
+    } catch (error) {
+      recordDecision(bot, transfer, 'claim_failed', error.reason || error.message);
+    }
+  }
+}
+
+async function runCycle(bot) {
+  for (const pair of bot.pairs) {
+    try {
+      await processPair(bot, pair);
+    } catch (error) {
+      console.error(`❌ Error processing ${pair.transferBridge.address} -> ${pair.claimBridge.address}:`, error.message);
+    }
+  }
+}
+
+async function main() {
+  const config = loadConfig();
+  const bot = createBot(config);
+  const account = new ethers.Wallet(config.privateKey).address;
+
+  console.log(`🤖 Claim bot ${account}${config.dryRun ? ' (dry run)' : ''}`);
+  bot.pairs.forEach(({ transferBridge, claimBridge }) => {
+    console.log(`   ${transferBridge.address} (${transferBridge.networkKey}) -> ${claimBridge.address} (${claimBridge.networkKey})`);
+  });
+
+  let stopped = false;
+  process.on('SIGINT', () => {
+    console.log('🛑 Stopping after the current cycle');
+    stopped = true;
+  });
+
+  while (!stopped) {
+    await runCycle(bot);
+    if (config.once) break;
+    await wait(config.intervalSeconds * 1000);
+  }
+}
+
+// Run if executed directly
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Claim bot failed:', error.message);
+    process.exit(1);
+  });
+}
+
+// Export for use in tests or other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { loadConfig, createBot, runCycle, main };
+}
@@ -5,6 +5,7 @@ import { ethers } from 'ethers';
 import toast from 'react-hot-toast';
 import { motion } from 'framer-motion';
 import { handleTransactionError } from '../utils/error-handler';
+import { getWalletProvider } from '../utils/wallet-providers';
 
 const AssignNewManager = ({ assistant, onClose, onSuccess }) => {
   const { signer } = useWeb3();
@@ -64,7 +65,7 @@ const AssignNewManager = ({ assistant, onClose, onSuccess }) => {
       }
 
       // Check current network
-      const currentChainId = await window.ethereum.request({ method: 'eth_chainId' });
+      const currentChainId = await getWalletProvider().request({ method: 'eth_chainId' });
       const currentChainIdNumber = parseInt(currentChainId, 16);
       
       if (currentChainIdNumber !== requiredNetwork.chainId) {
@@ -0,0 +1,333 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { ethers } from 'ethers';
+import { motion } from 'framer-motion';
+import { BarChart3, RefreshCw, X } from 'lucide-react';
+import { useSettings } from '../contexts/SettingsContext';
+import { getProvider } from '../utils/provider-manager';
+import { getCachedAssistantHistory, setCachedAssistantHistory } from '../utils/unified-event-cache';
+import { getBridgeNetworkKey, classifyAssistantPositions, isImportAssistant } from '../utils/assistant-manager';
+import {
+  HISTORY_RANGE_HOURS,
+  DEFAULT_HISTORY_HOURS,
+  SHARE_FLOW_TYPES,
+  loadAssistantHistory,
+  getSharePriceSeries,
+  computeAnnualisedReturn,
+  summarizePositions,
+} from '../utils/assistant-analytics';
+
+// Number of share purchases and redemptions listed
+const FLOW_DISPLAY_LIMIT = 10;
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 160;
+
+const formatRange = (hours) => (hours % 720 === 0 ? `${hours / 720} month${hours > 720 ? 's' : ''}` : `${hours / 24} days`);
+const formatPercent = (value) => (value === null ? '-' : `${(value * 100).toFixed(2)}%`);
+const formatDate = (timestamp) => new Date(timestamp * 1000).toLocaleDateString();
+
+const PriceChart = ({ series, asset, label, format }) => {
+  const points = series.filter(point => point[asset] !== null);
+  if (points.length < 2) {
+    return <div className="text-secondary-400 text-sm py-6 text-center">Not enough history for a chart yet</div>;
+  }
+
+  const times = points.map(point => point.timestamp);
+  const prices = points.map(point => point[asset]);
+  const [minTime, maxTime] = [Math.min(...times), Math.max(...times)];
+  const [minPrice, maxPrice] = [Math.min(...prices), Math.max(...prices)];
+  const x = (timestamp) => ((timestamp - minTime) / Math.max(maxTime - minTime, 1)) * CHART_WIDTH;
+  // A flat price is drawn across the middle
+  const y = (price) => (maxPrice === minPrice ? CHART_HEIGHT / 2 : CHART_HEIGHT - ((price - minPrice) / (maxPrice - minPrice)) * CHART_HEIGHT);
+
+  return (
+    <div>
+      <div className="flex justify-between text-xs text-secondary-400 mb-1">
+        <span>{label}</span>
+        <span>{format(minPrice)} – {format(maxPrice)}</span>
+      </div>
+      <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-40 bg-dark-900 rounded" preserveAspectRatio="none">
+        <polyline
+          fill="none"
+          stroke="currentColor"
+          strokeWidth="2"
+          vectorEffect="non-scaling-stroke"
+          className="text-primary-500"
+          points={points.map(point => `${x(point.timestamp)},${y(point[asset])}`).join(' ')}
+        />
+      </svg>
+      <div className="flex justify-between text-xs text-secondary-500 mt-1">
+        <span>{formatDate(minTime)}</span>
+        <span>{formatDate(maxTime)}</span>
+      </div>
+    </div>
+  );
+};
+
+PriceChart.propTypes = {
+  series: PropTypes.arrayOf(PropTypes.object).isRequired,
+  asset: PropTypes.oneOf(['stake', 'image']).isRequired,
+  label: PropTypes.string.isRequired,
+  format: PropTypes.func.isRequired,
+};
+
+const AssistantAnalytics = ({ assistant, onClose }) => {
+  const { getAllNetworksWithSettings, getBridgeInstancesWithSettings, getTokenDecimalsDisplayMultiplier } = useSettings();
+
+  const [history, setHistory] = useState(null);
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [rangeHours, setRangeHours] = useState(DEFAULT_HISTORY_HOURS);
+
+  const networkKey = useMemo(() => (
+    assistant.networkKey || getBridgeNetworkKey(assistant.bridgeAddress, getAllNetworksWithSettings())
+  ), [assistant, getAllNetworksWithSettings]);
+
+  const bridge = useMemo(() => Object.values(getBridgeInstancesWithSettings()).find(b =>
+    b.address?.toLowerCase() === assistant.bridgeAddress?.toLowerCase()
+  ) || null, [getBridgeInstancesWithSettings, assistant.bridgeAddress]);
+
+  const isImport = isImportAssistant(assistant.type);
+  const stakeSymbol = bridge?.stakeTokenSymbol || '';
+  const imageSymbol = bridge?.foreignTokenSymbol || '';
+
+  const refresh = useCallback(async (cached) => {
+    if (!networkKey || !bridge) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const provider = getProvider(networkKey);
+      const loaded = await loadAssistantHistory({ provider, assistant, networkKey, rangeHours, cached });
+      setHistory(loaded);
+      await setCachedAssistantHistory(assistant.address, loaded);
+
+      const positions = await classifyAssistantPositions({ provider, assistant, bridgeType: bridge.type, events: loaded.positionEvents });
+      setSummary(summarizePositions(positions, { assistantAddress: assistant.address, isImport }));
+    } catch (loadError) {
+      console.error('❌ Error loading assistant analytics:', loadError);
+      setError(loadError.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [networkKey, bridge, assistant, rangeHours, isImport]);
+
+  // Show the cached series right away, then extend it to the latest block
+  useEffect(() => {
+    let cancelled = false;
+    getCachedAssistantHistory(assistant.address).then(cached => {
+      if (cancelled) return;
+      if (cached) setHistory(cached);
+      refresh(cached);
+    });
+    return () => { cancelled = true; };
+    // Only on open: range changes apply to the next rebuild
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [assistant.address]);
+
+  const series = useMemo(() => (history ? getSharePriceSeries(history.points, {
+    stake: history.tokens.stake.decimals,
+    image: history.tokens.image ? history.tokens.image.decimals : null,
+  }) : []), [history]);
+
+  const latest = history?.points[history.points.length - 1] || null;
+  const latestPrice = series[series.length - 1] || null;
+
+  const formatPrice = useCallback((price, token) => {
+    if (price === null || price === undefined) return '-';
+    const multiplier = token ? getTokenDecimalsDisplayMultiplier(token.address) : null;
+    return (multiplier ? price * multiplier : price).toLocaleString(undefined, { maximumSignificantDigits: 8 });
+  }, [getTokenDecimalsDisplayMultiplier]);
+
+  const formatAmount = useCallback((amount, token) => {
+    if (amount === null || amount === undefined || !token) return '-';
+    return formatPrice(parseFloat(ethers.utils.formatUnits(amount, token.decimals)), token);
+  }, [formatPrice]);
+
+  const formatPair = (amounts) => {
+    if (!history || !amounts) return '-';
+    const stake = `${formatAmount(amounts.stake, history.tokens.stake)} ${stakeSymbol}`;
+    return history.tokens.image ? `${stake} / ${formatAmount(amounts.image, history.tokens.image)} ${imageSymbol}` : stake;
+  };
+
+  const flows = history ? [...history.flows].reverse().slice(0, FLOW_DISPLAY_LIMIT) : [];
+  const buyCount = history ? history.flows.filter(flow => flow.type === SHARE_FLOW_TYPES.BUY).length : 0;
+  const redeemCount = history ? history.flows.length - buyCount : 0;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      className="fixed inset-0 bg-black/50 backdrop-blur-sm z-[9999] flex items-center justify-center p-4"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.95, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        className="bg-dark-800 border border-secondary-700 rounded-xl w-full max-w-3xl max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between p-6 border-b border-secondary-700">
+          <div className="flex items-center space-x-3">
+            <BarChart3 className="w-6 h-6 text-primary-500" />
+            <div>
+              <h2 className="text-xl font-bold text-white">Pool Analytics</h2>
+              <p className="text-secondary-400 text-sm">{assistant.description || assistant.shareSymbol || assistant.address}</p>
+            </div>
+          </div>
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={() => refresh(history)}
+              disabled={loading}
+              className="p-2 rounded-lg bg-dark-700 hover:bg-dark-600 transition-colors disabled:opacity-50"
+              title="Load new blocks"
+            >
+              <RefreshCw className={`w-4 h-4 text-secondary-300 ${loading ? 'animate-spin' : ''}`} />
+            </button>
+            <button onClick={onClose} className="p-2 rounded-lg hover:bg-dark-700 transition-colors">
+              <X className="w-5 h-5 text-secondary-400" />
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {error && (
+            <div className="bg-red-900/20 border border-red-700 rounded-lg p-3 text-red-400 text-sm">{error}</div>
+          )}
+
+          {!history && loading && (
+            <div className="text-center py-8">
+              <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-primary-600 mx-auto"></div>
+              <p className="text-secondary-400 mt-4 text-sm">Reconstructing the pool history...</p>
+            </div>
+          )}
+
+          {history && (
+            <>
+              <div className="grid grid-cols-2 sm:grid-cols-3 gap-3 text-sm">
+                <div className="bg-dark-700 rounded-lg p-3">
+                  <div className="text-secondary-400 text-xs">Share price</div>
+                  <div className="text-white">{formatPrice(latestPrice?.stake, history.tokens.stake)} {stakeSymbol}</div>
+                  {history.tokens.image && (
+                    <div className="text-white">{formatPrice(latestPrice?.image, history.tokens.image)} {imageSymbol}</div>
+                  )}
+                </div>
+                <div className="bg-dark-700 rounded-lg p-3">
+                  <div className="text-secondary-400 text-xs">Annualised return</div>
+                  <div className="text-white">{formatPercent(computeAnnualisedReturn(series, 'stake'))} {isImport ? stakeSymbol : ''}</div>
+                  {history.tokens.image && (
+                    <div className="text-white">{formatPercent(computeAnnualisedReturn(series, 'image'))} {imageSymbol}</div>
+                  )}
+                </div>
+                <div className="bg-dark-700 rounded-lg p-3">
+                  <div className="text-secondary-400 text-xs">Challenges won</div>
+                  <div className="text-white">
+                    {summary ? `${summary.wins} / ${summary.wins + summary.losses} (${formatPercent(summary.winRatio)})` : '-'}
+                  </div>
+                  <div className="text-secondary-400 text-xs">{summary ? `${summary.open} still open` : ''}</div>
+                </div>
+                <div className="bg-dark-700 rounded-lg p-3">
+                  <div className="text-secondary-400 text-xs">Realised profit</div>
+                  <div className="text-white">{formatPair(latest?.profit)}</div>
+                  <div className="text-secondary-400 text-xs">since the last success fee payout</div>
+                </div>
+                <div className="bg-dark-700 rounded-lg p-3">
+                  <div className="text-secondary-400 text-xs">Still diffusing</div>
+                  <div className="text-white">{formatPair(latest?.unavailableProfit)}</div>
+                  <div className="text-secondary-400 text-xs">not redeemable yet</div>
+                </div>
+                <div className="bg-dark-700 rounded-lg p-3">
+                  <div className="text-secondary-400 text-xs">Unrealised profit</div>
+                  <div className="text-white">{summary ? formatPair(summary.unrealised) : '-'}</div>
+                  <div className="text-secondary-400 text-xs">if the current outcomes hold</div>
+                </div>
+              </div>
+
+              <div className="bg-dark-700 rounded-lg p-4 space-y-4">
+                <PriceChart
+                  series={series}
+                  asset="stake"
+                  label={`Net ${stakeSymbol} per share`}
+                  format={(price) => formatPrice(price, history.tokens.stake)}
+                />
+                {history.tokens.image && (
+                  <PriceChart
+                    series={series}
+                    asset="image"
+                    label={`Net ${imageSymbol} per share`}
+                    format={(price) => formatPrice(price, history.tokens.image)}
+                  />
+                )}
+                {history.failedSnapshots > 0 && (
+                  <p className="text-yellow-400 text-xs">
+                    The pool state could not be read at {history.failedSnapshots} past blocks. The RPC may not keep
+                    historical state; the chart then grows with every visit.
+                  </p>
+                )}
+              </div>
+
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <h3 className="text-sm font-medium text-white">Share purchases and redemptions</h3>
+                  <span className="text-secondary-400 text-xs">{buyCount} bought, {redeemCount} redeemed</span>
+                </div>
+                {flows.length === 0 ? (
+                  <p className="text-secondary-400 text-sm">None in the scanned blocks.</p>
+                ) : (
+                  <div className="space-y-1">
+                    {flows.map(flow => (
+                      <div key={`${flow.transactionHash}:${flow.type}`} className="flex justify-between bg-dark-700 rounded px-3 py-2 text-xs">
+                        <span className={flow.type === SHARE_FLOW_TYPES.BUY ? 'text-green-400' : 'text-red-400'}>
+                          {flow.type === SHARE_FLOW_TYPES.BUY ? 'Bought' : 'Redeemed'}
+                        </span>
+                        <span className="text-secondary-300 font-mono">{flow.account.slice(0, 6)}...{flow.account.slice(-4)}</span>
+                        <span className="text-white">{formatAmount(flow.shares, { decimals: 18 })} shares</span>
+                        <span className="text-secondary-400">block {flow.blockNumber}</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              <div className="flex items-center justify-between border-t border-secondary-700 pt-4 text-xs text-secondary-400">
+                <span>Blocks {history.startBlock} – {history.lastScannedBlock}</span>
+                <div className="flex items-center space-x-2">
+                  <select
+                    value={rangeHours}
+                    onChange={(e) => setRangeHours(Number(e.target.value))}
+                    className="input-field text-xs py-1"
+                  >
+                    {HISTORY_RANGE_HOURS.map(hours => (
+                      <option key={hours} value={hours}>{formatRange(hours)}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => refresh(null)}
+                    disabled={loading}
+                    className="py-1 px-3 rounded-md bg-secondary-600 hover:bg-secondary-700 text-white disabled:opacity-50"
+                  >
+                    Rebuild
+                  </button>
+                </div>
+              </div>
+            </>
+          )}
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+};
+
+AssistantAnalytics.propTypes = {
+  assistant: PropTypes.shape({
+    address: PropTypes.string.isRequired,
+    bridgeAddress: PropTypes.string.isRequired,
+    type: PropTypes.string.isRequired,
+    networkKey: PropTypes.string,
+    description: PropTypes.string,
+    shareSymbol: PropTypes.string,
+  }).isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default AssistantAnalytics;
@@ -0,0 +1,743 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { ethers } from 'ethers';
+import toast from 'react-hot-toast';
+import { RefreshCw } from 'lucide-react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { useSettings } from '../contexts/SettingsContext';
+import { useNetworkSwitcher } from '../hooks/useNetworkSwitcher';
+import { COUNTERSTAKE_ABI } from '../contracts/abi';
+import { handleTransactionError } from '../utils/error-handler';
+import { convertActualToDisplay, convertDisplayToActual } from '../utils/decimal-converter';
+import { getManagerAddressFromAssistant } from '../utils/assistant-detector';
+import { TIMEFRAME_OPTIONS } from '../utils/block-estimator';
+import { discoverAllBridgeEvents } from '../utils/parallel-bridge-discovery';
+import { aggregateClaimsAndTransfers } from '../utils/aggregate-claims-transfers';
+import { fetchMultipleClaimDetails } from '../utils/claim-details-fetcher';
+import { DEFAULT_CLAIM_GAS, getGasCostInStakeTokens, loadClaimBridgeContext } from '../utils/claim-bot';
+import {
+  OUTCOME_YES,
+  OUTCOME_NO,
+  POSITION_STATUS,
+  getAssistantABI,
+  isImportAssistant,
+  findCounterpartBridge,
+  getBridgeNetworkKey,
+  getClaimPreview,
+  getChallengePreview,
+  getAssistantTokenInfo,
+  getAssistantPoolBalances,
+  loadAssistantPositions,
+} from '../utils/assistant-manager';
+
+const VIEWS = [
+  { key: 'transfers', label: 'Claimable Transfers' },
+  { key: 'challenges', label: 'Suspicious Claims' },
+  { key: 'positions', label: 'Positions' },
+];
+
+const POSITION_STATUS_LABELS = {
+  [POSITION_STATUS.ACTIVE]: { label: 'Active', className: 'text-blue-400' },
+  [POSITION_STATUS.WITHDRAWABLE]: { label: 'Ready to withdraw', className: 'text-green-400' },
+  [POSITION_STATUS.RECORD_WIN]: { label: 'Record win', className: 'text-green-400' },
+  [POSITION_STATUS.RECORD_LOSS]: { label: 'Record loss', className: 'text-red-400' },
+  [POSITION_STATUS.SETTLED]: { label: 'Settled', className: 'text-secondary-400' },
+};
+
+const shortAddress = (address) => (address ? `${address.slice(0, 6)}...${address.slice(-4)}` : '-');
+
+const AssistantManagerConsole = ({ assistant, onClose, onSuccess }) => {
+  const { account, signer } = useWeb3();
+  const { getAllNetworksWithSettings, getBridgeInstancesWithSettings, getTokenDecimalsDisplayMultiplier } = useSettings();
+  const { getRequiredNetworkForAssistant, checkAndSwitchNetwork } = useNetworkSwitcher();
+
+  const [managerAddress, setManagerAddress] = useState(null);
+  const [managerChecked, setManagerChecked] = useState(false);
+  const [tokenInfo, setTokenInfo] = useState(null);
+  const [poolBalances, setPoolBalances] = useState(null);
+  const [activeView, setActiveView] = useState('transfers');
+  const [rangeHours, setRangeHours] = useState(24);
+  const [discovering, setDiscovering] = useState(false);
+  const [claimableTransfers, setClaimableTransfers] = useState([]);
+  const [suspiciousClaims, setSuspiciousClaims] = useState([]);
+  const [positionsLoading, setPositionsLoading] = useState(false);
+  const [positions, setPositions] = useState([]);
+  const [selectedItem, setSelectedItem] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [previewLoading, setPreviewLoading] = useState(false);
+  const [challengeStake, setChallengeStake] = useState('');
+  const [pendingAction, setPendingAction] = useState(null);
+
+  const networks = useMemo(() => getAllNetworksWithSettings(), [getAllNetworksWithSettings]);
+  const networkKey = assistant.networkKey || getBridgeNetworkKey(assistant.bridgeAddress, networks);
+  const networkConfig = networks[networkKey];
+
+  const provider = useMemo(() => (
+    networkConfig?.rpcUrl ? new ethers.providers.JsonRpcProvider(networkConfig.rpcUrl) : null
+  ), [networkConfig]);
+
+  const { bridge, counterpartBridge } = useMemo(() => {
+    const allBridges = getBridgeInstancesWithSettings();
+    const ownBridge = Object.values(allBridges).find(b =>
+      b.address?.toLowerCase() === assistant.bridgeAddress?.toLowerCase()
+    ) || null;
+    return { bridge: ownBridge, counterpartBridge: findCounterpartBridge(ownBridge, allBridges) };
+  }, [getBridgeInstancesWithSettings, assistant.bridgeAddress]);
+
+  const isManager = !!(managerAddress && account && managerAddress.toLowerCase() === account.toLowerCase());
+
+  const assistantReadContract = useMemo(() => (
+    provider ? new ethers.Contract(assistant.address, getAssistantABI(assistant.type), provider) : null
+  ), [provider, assistant.address, assistant.type]);
+
+  const bridgeReadContract = useMemo(() => (
+    provider ? new ethers.Contract(assistant.bridgeAddress, COUNTERSTAKE_ABI, provider) : null
+  ), [provider, assistant.bridgeAddress]);
+
+  const formatAmount = useCallback((amount, decimals, tokenAddress) => {
+    if (amount === null || amount === undefined) return '-';
+    try {
+      const formatted = ethers.utils.formatUnits(amount, decimals ?? 18);
+      return convertActualToDisplay(formatted, decimals ?? 18, tokenAddress, getTokenDecimalsDisplayMultiplier);
+    } catch (error) {
+      return '0';
+    }
+  }, [getTokenDecimalsDisplayMultiplier]);
+
+  const formatStake = useCallback((amount) => (
+    formatAmount(amount, tokenInfo?.stakeDecimals, tokenInfo?.stakeTokenAddress)
+  ), [formatAmount, tokenInfo]);
+
+  // Transfer amounts are denominated in the bridged token: the stake token on export bridges, the image token on import bridges
+  const formatTransferAmount = useCallback((amount) => (
+    isImportAssistant(assistant.type)
+      ? formatAmount(amount, tokenInfo?.imageDecimals, tokenInfo?.imageTokenAddress)
+      : formatStake(amount)
+  ), [assistant.type, formatAmount, formatStake, tokenInfo]);
+
+  const stakeSymbol = bridge?.stakeTokenSymbol || '';
+  const transferSymbol = isImportAssistant(assistant.type) ? (bridge?.foreignTokenSymbol || bridge?.homeTokenSymbol || '') : stakeSymbol;
+
+  const loadPoolInfo = useCallback(async () => {
+    if (!provider) return;
+    try {
+      const [manager, info] = await Promise.all([
+        getManagerAddressFromAssistant(provider, assistant.address),
+        getAssistantTokenInfo(provider, assistant),
+      ]);
+      setManagerAddress(manager);
+      setTokenInfo(info);
+      setPoolBalances(await getAssistantPoolBalances(provider, assistant.address, info));
+    } catch (error) {
+      console.error('❌ Error loading assistant pool info:', error);
+      toast.error(`Failed to load assistant info: ${error.message}`);
+    } finally {
+      setManagerChecked(true);
+    }
+  }, [provider, assistant]);
+
+  const loadOpportunities = useCallback(async () => {
+    if (!provider || !bridge) return;
+    if (!counterpartBridge) {
+      console.warn('⚠️ No counterpart bridge configured for', bridge.address);
+    }
+
+    setDiscovering(true);
+    try {
+      const bridgeConfigs = [bridge, counterpartBridge].filter(Boolean).map(b => ({
+        bridgeAddress: b.address,
+        networkKey: getBridgeNetworkKey(b.address, networks) || b.homeNetwork,
+        bridgeType: b.type,
+        homeNetwork: b.homeNetwork,
+        foreignNetwork: b.foreignNetwork,
+        homeTokenSymbol: b.homeTokenSymbol,
+        foreignTokenSymbol: b.foreignTokenSymbol,
+      }));
+
+      const discoveryResults = await discoverAllBridgeEvents(bridgeConfigs, { rangeHours });
+      const aggregated = aggregateClaimsAndTransfers(discoveryResults.allClaims, discoveryResults.allTransfers);
+
+      // Transfers sent through the counterpart bridge are claimed on the assistant's bridge
+      const transfers = counterpartBridge
+        ? aggregated.pendingTransfers.filter(t => t.bridgeAddress?.toLowerCase() === counterpartBridge.address.toLowerCase())
+        : [];
+      setClaimableTransfers(transfers);
+
+      const ownSuspicious = aggregated.suspiciousClaims.filter(c =>
+        c.bridgeAddress?.toLowerCase() === bridge.address.toLowerCase()
+      );
+      const claimNums = ownSuspicious.map(c => c.actualClaimNum ?? c.claimNum);
+      const details = await fetchMultipleClaimDetails({ contract: bridgeReadContract, provider, claimNums });
+      const now = Math.floor(Date.now() / 1000);
+      const challengeable = ownSuspicious
+        .map((claim, index) => ({ ...claim, claimNum: claimNums[index], details: details[index] }))
+        .filter(claim => claim.details && !claim.details.finished && now <= Number(claim.details.expiry_ts));
+      setSuspiciousClaims(challengeable);
+
+      console.log(`✅ Manager console: ${transfers.length} claimable transfers, ${challengeable.length} challengeable claims`);
+    } catch (error) {
+      console.error('❌ Error discovering assistant opportunities:', error);
+      toast.error(`Failed to load transfers and claims: ${error.message}`);
+    } finally {
+      setDiscovering(false);
+    }
+  }, [provider, bridge, counterpartBridge, networks, rangeHours, bridgeReadContract]);
+
+  const loadPositions = useCallback(async () => {
+    if (!provider) return;
+    setPositionsLoading(true);
+    try {
+      const loaded = await loadAssistantPositions({
+        provider,
+        assistant,
+        networkKey,
+        bridgeType: bridge?.type,
+        rangeHours,
+      });
+      setPositions(loaded);
+    } catch (error) {
+      console.error('❌ Error loading assistant positions:', error);
+      toast.error(error.message);
+    } finally {
+      setPositionsLoading(false);
+    }
+  }, [provider, assistant, networkKey, bridge, rangeHours]);
+
+  useEffect(() => {
+    loadPoolInfo();
+  }, [loadPoolInfo]);
+
+  useEffect(() => {
+    if (!isManager) return;
+    if (activeView === 'positions') {
+      loadPositions();
+    } else {
+      loadOpportunities();
+    }
+  }, [isManager, activeView, loadOpportunities, loadPositions]);
+
+  const previewClaim = useCallback(async (transfer) => {
+    setSelectedItem({ kind: 'claim', item: transfer });
+    setPreview(null);
+    setPreviewLoading(true);
+    try {
+      const amount = ethers.BigNumber.from(transfer.amount);
+      const reward = ethers.BigNumber.from(transfer.reward || 0);
+      const requiredStake = await bridgeReadContract.getRequiredStake(amount);
+
+      const args = [
+        transfer.txid,
+        transfer.timestamp,
+        amount,
+        reward,
+        transfer.senderAddress,
+        transfer.recipientAddress,
+        transfer.data || '',
+      ];
+
+      let simulationError = null;
+      let gasEstimate = null;
+      try {
+        await assistantReadContract.callStatic.claim(...args, { from: account });
+        gasEstimate = await assistantReadContract.estimateGas.claim(...args, { from: account });
+      } catch (error) {
+        simulationError = error.reason || error.error?.message || error.message;
+      }
+
+      // Network fee the assistant charges the pool for the claim, computed like the contract does
+      let networkFee = null;
+      try {
+        const oracleAddress = isImportAssistant(assistant.type) ? undefined : await assistantReadContract.oracleAddress();
+        const { nativePrice } = await loadClaimBridgeContext(provider, { address: assistant.bridgeAddress, type: bridge.type, oracleAddress });
+        const gasCost = getGasCostInStakeTokens(gasEstimate || DEFAULT_CLAIM_GAS, await provider.getGasPrice(), nativePrice);
+        // Import assistants convert the fee to the image asset at the pool's balance ratio
+        networkFee = isImportAssistant(assistant.type)
+          ? gasCost.mul(poolBalances.imageBalance).div(poolBalances.stakeBalance)
+          : gasCost;
+      } catch (error) {
+        console.warn('⚠️ Could not estimate the network fee of the claim:', error);
+      }
+
+      const claimPreview = getClaimPreview({ amount, reward, requiredStake, networkFee: networkFee || 0 });
+      // Export assistants pay the claimed amount and the stake from the same balance
+      const stakeNeeded = isImportAssistant(assistant.type) ? requiredStake : requiredStake.add(claimPreview.paidAmount);
+      const hasStakeFunds = poolBalances?.stakeBalance?.gte(stakeNeeded) ?? false;
+      const hasImageFunds = !isImportAssistant(assistant.type) || (poolBalances?.imageBalance?.gte(claimPreview.paidAmount) ?? false);
+
+      setPreview({
+        ...claimPreview,
+        // Without a known fee the claim can't be shown as profitable
+        isProfitable: networkFee !== null && claimPreview.isProfitable,
+        networkFeeKnown: networkFee !== null,
+        stakeNeeded,
+        hasStakeFunds,
+        hasImageFunds,
+        gasEstimate,
+        simulationError,
+        args,
+      });
+    } catch (error) {
+      console.error('❌ Error previewing claim:', error);
+      toast.error(`Failed to preview claim: ${error.message}`);
+    } finally {
+      setPreviewLoading(false);
+    }
+  }, [provider, bridge, bridgeReadContract, assistantReadContract, assistant.type, assistant.bridgeAddress, poolBalances, account]);
+
+  const previewChallenge = useCallback(async (claim, stakeInput = '') => {
+    setSelectedItem({ kind: 'challenge', item: claim });
+    setPreview(null);
+    setPreviewLoading(true);
+    try {
+      const currentOutcome = Number(claim.details.current_outcome);
+      const stakeOn = currentOutcome === OUTCOME_YES ? OUTCOME_NO : OUTCOME_YES;
+      const missingStake = await bridgeReadContract.getMissingStake(claim.claimNum, stakeOn);
+
+      // An empty stake lets the contract use the full missing stake
+      let stake = missingStake;
+      if (stakeInput && parseFloat(stakeInput) > 0) {
+        const actual = convertDisplayToActual(stakeInput, tokenInfo.stakeDecimals, tokenInfo.stakeTokenAddress, getTokenDecimalsDisplayMultiplier);
+        stake = ethers.utils.parseUnits(actual, tokenInfo.stakeDecimals);
+        if (stake.gt(missingStake)) stake = missingStake;
+      }
+
+      const outcomePreview = getChallengePreview({
+        yesStake: claim.details.yes_stake,
+        noStake: claim.details.no_stake,
+        stakeOn,
+        stake,
+      });
+      const hasStakeFunds = poolBalances?.stakeBalance?.gte(stake) ?? false;
+
+      const args = [claim.claimNum, stakeOn, stake];
+      let simulationError = null;
+      let gasEstimate = null;
+      try {
+        await assistantReadContract.callStatic.challenge(...args, { from: account });
+        gasEstimate = await assistantReadContract.estimateGas.challenge(...args, { from: account });
+      } catch (error) {
+        simulationError = error.reason || error.error?.message || error.message;
+      }
+
+      setPreview({ ...outcomePreview, stakeOn, missingStake, stake, hasStakeFunds, gasEstimate, simulationError, args });
+    } catch (error) {
+      console.error('❌ Error previewing challenge:', error);
+      toast.error(`Failed to preview challenge: ${error.message}`);
+    } finally {
+      setPreviewLoading(false);
+    }
+  }, [bridgeReadContract, assistantReadContract, tokenInfo, poolBalances, account, getTokenDecimalsDisplayMultiplier]);
+
+  // Sends a transaction on the assistant network and refreshes the console afterwards
+  const runAction = useCallback(async (actionKey, sendTransaction, messages) => {
+    if (!signer) {
+      toast.error('Please connect your wallet first');
+      return;
+    }
+
+    const requiredNetwork = getRequiredNetworkForAssistant(assistant);
+    const switchSuccess = await checkAndSwitchNetwork(requiredNetwork);
+    if (!switchSuccess) return;
+
+    setPendingAction(actionKey);
+    try {
+      const tx = await sendTransaction();
+      console.log('Transaction sent:', tx.hash);
+      toast.success(messages.sent);
+      await tx.wait();
+      toast.success(messages.confirmed);
+
+      setSelectedItem(null);
+      setPreview(null);
+      await loadPoolInfo();
+      if (activeView === 'positions') {
+        await loadPositions();
+      } else {
+        await loadOpportunities();
+      }
+      if (onSuccess) onSuccess();
+    } catch (err) {
+      handleTransactionError(err, { messagePrefix: messages.errorPrefix });
+    } finally {
+      setPendingAction(null);
+    }
+  }, [signer, assistant, getRequiredNetworkForAssistant, checkAndSwitchNetwork, loadPoolInfo, activeView, loadPositions, loadOpportunities, onSuccess]);
+
+  const handleClaim = useCallback(async () => {
+    const assistantContract = new ethers.Contract(assistant.address, getAssistantABI(assistant.type), signer);
+    await runAction('claim', () => assistantContract.claim(...preview.args), {
+      sent: 'Claim transaction sent!',
+      confirmed: 'Claim submitted with pool funds!',
+      errorPrefix: 'Failed to claim: ',
+    });
+  }, [assistant, signer, preview, runAction]);
+
+  const handleChallenge = useCallback(async () => {
+    const assistantContract = new ethers.Contract(assistant.address, getAssistantABI(assistant.type), signer);
+    await runAction('challenge', () => assistantContract.challenge(...preview.args), {
+      sent: 'Challenge transaction sent!',
+      confirmed: 'Challenge submitted with pool funds!',
+      errorPrefix: 'Failed to challenge: ',
+    });
+  }, [assistant, signer, preview, runAction]);
+
+  const handleSettlePosition = useCallback(async (position) => {
+    const actionKey = `settle-${position.claimNum}`;
+
+    if (position.status === POSITION_STATUS.WITHDRAWABLE) {
+      // Anyone can withdraw a winning stake to the assistant, which records the result via onReceivedFromClaim
+      const bridgeContract = new ethers.Contract(assistant.bridgeAddress, COUNTERSTAKE_ABI, signer);
+      await runAction(actionKey, () => bridgeContract['withdraw(uint256,address)'](position.claimNum, assistant.address), {
+        sent: 'Withdrawal transaction sent!',
+        confirmed: `Claim #${position.claimNum} withdrawn to the assistant!`,
+        errorPrefix: 'Failed to withdraw: ',
+      });
+      return;
+    }
+
+    const assistantContract = new ethers.Contract(assistant.address, getAssistantABI(assistant.type), signer);
+    const isWin = position.status === POSITION_STATUS.RECORD_WIN;
+    await runAction(actionKey, () => (isWin ? assistantContract.recordWin(position.claimNum) : assistantContract.recordLoss(position.claimNum)), {
+      sent: `${isWin ? 'Record win' : 'Record loss'} transaction sent!`,
+      confirmed: `Claim #${position.claimNum} ${isWin ? 'win' : 'loss'} recorded!`,
+      errorPrefix: `Failed to record ${isWin ? 'win' : 'loss'}: `,
+    });
+  }, [assistant, signer, runAction]);
+
+  const handleRefresh = () => {
+    if (activeView === 'positions') {
+      loadPositions();
+    } else {
+      loadOpportunities();
+    }
+  };
+
+  const formatTimestamp = (ts) => (ts ? new Date(Number(ts) * 1000).toLocaleString() : '-');
+  const outcomeLabel = (outcome) => (Number(outcome) === OUTCOME_YES ? 'YES' : 'NO');
+
+  const renderPreview = () => {
+    if (!selectedItem) return null;
+
+    if (previewLoading || !preview) {
+      return (
+        <div className="bg-dark-700 rounded-lg p-4 text-sm text-secondary-400 flex items-center">
+          <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-primary-500 mr-2"></div>
+          Preparing preview...
+        </div>
+      );
+    }
+
+    const isClaim = selectedItem.kind === 'claim';
+    const canSubmit = !preview.simulationError && preview.hasStakeFunds && (isClaim ? preview.hasImageFunds : true);
+
+    return (
+      <div className="bg-dark-700 rounded-lg p-4 space-y-3">
+        <h4 className="text-sm font-medium text-white">
+          {isClaim ? `Claim preview: ${shortAddress(selectedItem.item.txid)}` : `Challenge preview: claim #${selectedItem.item.claimNum}`}
+        </h4>
+
+        <div className="space-y-1 text-sm">
+          {isClaim ? (
+            <>
+              <div className="flex justify-between">
+                <span className="text-secondary-400">Required stake:</span>
+                <span className="text-white">{formatStake(preview.requiredStake)} {stakeSymbol}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-secondary-400">Paid to recipient:</span>
+                <span className="text-white">{formatTransferAmount(preview.paidAmount)} {transferSymbol}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-secondary-400">Network fee:</span>
+                <span className="text-white">
+                  {preview.networkFeeKnown ? `${formatTransferAmount(preview.networkFee)} ${transferSymbol}` : 'unknown'}
+                </span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-secondary-400">Expected profit (reward minus network fee):</span>
+                <span className={preview.isProfitable ? 'text-green-400' : 'text-red-400'}>
+                  {formatTransferAmount(preview.expectedProfit)} {transferSymbol}
+                </span>
+              </div>
+            </>
+          ) : (
+            <>
+              <div className="flex justify-between">
+                <span className="text-secondary-400">Stake on:</span>
+                <span className="text-white">{outcomeLabel(preview.stakeOn)}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-secondary-400">Missing stake:</span>
+                <span className="text-white">{formatStake(preview.missingStake)} {stakeSymbol}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-secondary-400">Stake from pool:</span>
+                <span className="text-white">{formatStake(preview.stake)} {stakeSymbol}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-secondary-400">Payout if the challenge wins:</span>
+                <span className="text-white">{formatStake(preview.payoutIfWin)} {stakeSymbol}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-secondary-400">Profit if the challenge wins:</span>
+                <span className="text-green-400">{formatStake(preview.profitIfWin)} {stakeSymbol}</span>
+              </div>
+            </>
+          )}
+          <div className="flex justify-between">
+            <span className="text-secondary-400">Estimated gas:</span>
+            <span className="text-white">{preview.gasEstimate ? preview.gasEstimate.toString() : '-'}</span>
+          </div>
+        </div>
+
+        {!isClaim && (
+          <div className="flex gap-2">
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={challengeStake}
+              onChange={(e) => setChallengeStake(e.target.value)}
+              placeholder="Stake (empty = missing stake)"
+              className="input-field flex-1 text-sm"
+            />
+            <button
+              onClick={() => previewChallenge(selectedItem.item, challengeStake)}
+              className="bg-secondary-600 hover:bg-secondary-700 text-white py-2 px-3 rounded-md text-xs font-medium transition-colors"
+            >
+              Update
+            </button>
+          </div>
+        )}
+
+        {!preview.hasStakeFunds && (
+          <div className="text-xs text-red-400">The pool does not hold enough {stakeSymbol} for this stake.</div>
+        )}
+        {isClaim && !preview.hasImageFunds && (
+          <div className="text-xs text-red-400">The pool does not hold enough {transferSymbol} to pay the recipient.</div>
+        )}
+        {preview.simulationError && (
+          <div className="text-xs text-red-400 break-words">Simulation failed: {preview.simulationError}</div>
+        )}
+
+        <div className="flex gap-2">
+          <button
+            onClick={() => { setSelectedItem(null); setPreview(null); }}
+            className="flex-1 bg-secondary-600 hover:bg-secondary-700 text-white py-2 px-4 rounded-md text-sm font-medium transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={isClaim ? handleClaim : handleChallenge}
+            disabled={!canSubmit || !!pendingAction}
+            className="flex-1 bg-primary-600 hover:bg-primary-700 disabled:bg-primary-800 disabled:cursor-not-allowed text-white py-2 px-4 rounded-md text-sm font-medium transition-colors"
+          >
+            {pendingAction === (isClaim ? 'claim' : 'challenge')
+              ? 'Submitting...'
+              : (isClaim ? 'Claim with Pool Funds' : 'Challenge with Pool Funds')}
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  const renderTransfers = () => {
+    if (!counterpartBridge) {
+      return <div className="text-sm text-secondary-400">No counterpart bridge is configured for this assistant's bridge.</div>;
+    }
+    if (claimableTransfers.length === 0) {
+      return <div className="text-sm text-secondary-400">No unclaimed transfers in the selected range.</div>;
+    }
+    return claimableTransfers.map(transfer => (
+      <div key={transfer.txid || transfer.transactionHash} className="bg-dark-700 rounded-lg p-3 flex items-center justify-between gap-3">
+        <div className="text-sm space-y-1 min-w-0">
+          <div className="text-white">
+            {formatTransferAmount(transfer.amount)} {transferSymbol}
+            <span className="text-secondary-400"> · reward {formatTransferAmount(transfer.reward || 0)}</span>
+          </div>
+          <div className="text-xs text-secondary-400 truncate">
+            {shortAddress(transfer.senderAddress)} → {shortAddress(transfer.recipientAddress)} · {formatTimestamp(transfer.timestamp)}
+          </div>
+        </div>
+        <button
+          onClick={() => previewClaim(transfer)}
+          className="bg-primary-600 hover:bg-primary-700 text-white py-2 px-3 rounded-md text-xs font-medium transition-colors flex-shrink-0"
+        >
+          Preview Claim
+        </button>
+      </div>
+    ));
+  };
+
+  const renderChallenges = () => {
+    if (suspiciousClaims.length === 0) {
+      return <div className="text-sm text-secondary-400">No challengeable suspicious claims in the selected range.</div>;
+    }
+    return suspiciousClaims.map(claim => (
+      <div key={claim.claimNum.toString()} className="bg-dark-700 rounded-lg p-3 flex items-center justify-between gap-3">
+        <div className="text-sm space-y-1 min-w-0">
+          <div className="text-white">
+            Claim #{claim.claimNum.toString()} · {formatTransferAmount(claim.details.amount)} {transferSymbol}
+          </div>
+          <div className="text-xs text-secondary-400">
+            Outcome {outcomeLabel(claim.details.current_outcome)} · YES {formatStake(claim.details.yes_stake)} / NO {formatStake(claim.details.no_stake)} · expires {formatTimestamp(claim.details.expiry_ts)}
+          </div>
+          <div className="text-xs text-yellow-400">{claim.reason === 'no_matching_transfer' ? 'No matching transfer' : 'Parameters differ from the transfer'}</div>
+        </div>
+        <button
+          onClick={() => { setChallengeStake(''); previewChallenge(claim); }}
+          className="bg-red-600 hover:bg-red-700 text-white py-2 px-3 rounded-md text-xs font-medium transition-colors flex-shrink-0"
+        >
+          Preview Challenge
+        </button>
+      </div>
+    ));
+  };
+
+  const renderPositions = () => {
+    if (positionsLoading) {
+      return <div className="text-sm text-secondary-400">Loading positions...</div>;
+    }
+    if (positions.length === 0) {
+      return <div className="text-sm text-secondary-400">No claims or challenges by this assistant in the selected range.</div>;
+    }
+    return positions.map(position => {
+      const statusInfo = POSITION_STATUS_LABELS[position.status];
+      const canSettle = [POSITION_STATUS.WITHDRAWABLE, POSITION_STATUS.RECORD_WIN, POSITION_STATUS.RECORD_LOSS].includes(position.status);
+      return (
+        <div key={position.claimNum} className="bg-dark-700 rounded-lg p-3 flex items-center justify-between gap-3">
+          <div className="text-sm space-y-1 min-w-0">
+            <div className="text-white">
+              Claim #{position.claimNum} · {position.isClaimant ? 'Claimed' : 'Challenged'}
+              <span className={`ml-2 text-xs ${statusInfo.className}`}>{statusInfo.label}</span>
+            </div>
+            <div className="text-xs text-secondary-400">
+              In work {formatStake(position.invested)} {stakeSymbol} · staked YES {formatStake(position.yesStake)} / NO {formatStake(position.noStake)}
+              {position.claim && ` · outcome ${outcomeLabel(position.currentOutcome)} · expires ${formatTimestamp(position.claim.expiry_ts)}`}
+            </div>
+          </div>
+          {canSettle && (
+            <button
+              onClick={() => handleSettlePosition(position)}
+              disabled={!!pendingAction}
+              className="bg-green-600 hover:bg-green-700 disabled:bg-green-800 disabled:cursor-not-allowed text-white py-2 px-3 rounded-md text-xs font-medium transition-colors flex-shrink-0"
+            >
+              {pendingAction === `settle-${position.claimNum}`
+                ? 'Submitting...'
+                : position.status === POSITION_STATUS.WITHDRAWABLE ? 'Withdraw' : statusInfo.label}
+            </button>
+          )}
+        </div>
+      );
+    });
+  };
+
+  const renderBody = () => {
+    if (!managerChecked) {
+      return (
+        <div className="text-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600 mx-auto"></div>
+          <p className="text-secondary-400 mt-3 text-sm">Checking manager...</p>
+        </div>
+      );
+    }
+
+    if (!isManager) {
+      return (
+        <div className="bg-red-900/20 border border-red-500/30 rounded-lg p-4 text-sm text-red-200">
+          Only the assistant manager ({shortAddress(managerAddress)}) can claim and challenge with pool funds.
+        </div>
+      );
+    }
+
+    return (
+      <>
+        <div className="flex flex-wrap items-center gap-2">
+          {VIEWS.map(view => (
+            <button
+              key={view.key}
+              onClick={() => { setActiveView(view.key); setSelectedItem(null); setPreview(null); }}
+              className={`py-2 px-3 rounded-md text-xs font-medium transition-colors ${
+                activeView === view.key ? 'bg-primary-600 text-white' : 'bg-dark-700 text-secondary-300 hover:text-white'
+              }`}
+            >
+              {view.label}
+              {view.key === 'transfers' && ` (${claimableTransfers.length})`}
+              {view.key === 'challenges' && ` (${suspiciousClaims.length})`}
+            </button>
+          ))}
+          <div className="flex items-center gap-2 ml-auto">
+            <select
+              value={rangeHours}
+              onChange={(e) => setRangeHours(Number(e.target.value))}
+              className="input-field text-xs py-1"
+            >
+              {TIMEFRAME_OPTIONS.map(option => (
+                <option key={option.value} value={option.hours}>{option.label}</option>
+              ))}
+            </select>
+            <button
+              onClick={handleRefresh}
+              disabled={discovering || positionsLoading}
+              className="text-secondary-400 hover:text-white transition-colors disabled:opacity-50"
+              title="Refresh"
+            >
+              <RefreshCw className={`w-4 h-4 ${discovering || positionsLoading ? 'animate-spin' : ''}`} />
+            </button>
+          </div>
+        </div>
+
+        {renderPreview()}
+
+        <div className="space-y-2">
+          {discovering && activeView !== 'positions' ? (
+            <div className="text-sm text-secondary-400">Scanning bridge events...</div>
+          ) : (
+            <>
+              {activeView === 'transfers' && renderTransfers()}
+              {activeView === 'challenges' && renderChallenges()}
+              {activeView === 'positions' && renderPositions()}
+            </>
+          )}
+        </div>
+      </>
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-dark-800 rounded-lg p-6 w-full max-w-3xl mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-white">Manager Console</h3>
+          <button
+            onClick={onClose}
+            className="text-secondary-400 hover:text-white transition-colors"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="space-y-4">
+          <div className="bg-dark-700 rounded-lg p-4">
+            <h4 className="text-sm font-medium text-white mb-2">Assistant Pool</h4>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-1 text-sm text-secondary-300">
+              <div>Type: {assistant.type}</div>
+              <div>Address: {shortAddress(assistant.address)}</div>
+              <div>Bridge: {shortAddress(assistant.bridgeAddress)}</div>
+              <div>Counterpart: {shortAddress(counterpartBridge?.address)}</div>
+              <div>Stake balance: {poolBalances ? `${formatStake(poolBalances.stakeBalance)} ${stakeSymbol}` : '-'}</div>
+              {isImportAssistant(assistant.type) && (
+                <div>Image balance: {poolBalances?.imageBalance ? `${formatTransferAmount(poolBalances.imageBalance)} ${transferSymbol}` : '-'}</div>
+              )}
+            </div>
+          </div>
+
+          {renderBody()}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AssistantManagerConsole;
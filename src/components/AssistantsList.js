@@ -1,18 +1,24 @@
 import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
 import { useSettings } from '../contexts/SettingsContext';
 import { useWeb3 } from '../contexts/Web3Context';
 import { useNetworkSwitcher } from '../hooks/useNetworkSwitcher';
 import { motion } from 'framer-motion';
+import { ArrowLeft } from 'lucide-react';
 import { ethers } from 'ethers';
 import toast from 'react-hot-toast';
 import Deposit from './Deposit';
 import Withdraw from './Withdraw';
+import Swap from './Swap';
 import WithdrawManagementFee from './WithdrawManagementFee';
 import WithdrawSuccessFee from './WithdrawSuccessFee';
 import AssignNewManager from './AssignNewManager';
+import AssistantManagerConsole from './AssistantManagerConsole';
+import AssistantAnalytics from './AssistantAnalytics';
 import { IPRECOMPILE_ERC20_ABI } from '../contracts/abi';
+import { TAB_PATHS, getAssistantPath } from '../utils/routes';
 
-const AssistantsList = () => {
+const AssistantsList = ({ assistantAddress }) => {
   const { getAssistantContractsWithSettings, getAllNetworksWithSettings, get3DPassTokenDecimalsDisplayMultiplier, getTokenByAddress } = useSettings();
   const { account } = useWeb3();
   const { getRequiredNetworkForAssistant, checkAndSwitchNetwork } = useNetworkSwitcher();
@@ -29,9 +35,12 @@ const AssistantsList = () => {
   const [selectedAssistant, setSelectedAssistant] = useState(null);
   const [showDepositDialog, setShowDepositDialog] = useState(false);
   const [showWithdrawDialog, setShowWithdrawDialog] = useState(false);
+  const [showSwapDialog, setShowSwapDialog] = useState(false);
   const [showWithdrawManagementFeeDialog, setShowWithdrawManagementFeeDialog] = useState(false);
   const [showWithdrawSuccessFeeDialog, setShowWithdrawSuccessFeeDialog] = useState(false);
   const [showAssignNewManagerDialog, setShowAssignNewManagerDialog] = useState(false);
+  const [showManagerConsoleDialog, setShowManagerConsoleDialog] = useState(false);
+  const [showAnalyticsDialog, setShowAnalyticsDialog] = useState(false);
 
   // Helper function to check if an address is a known precompile
   const isKnownPrecompile = useCallback((address) => {
@@ -559,6 +568,11 @@ const AssistantsList = () => {
 
   // Filter assistants based on validation status
   const getFilteredAssistants = useCallback(() => {
+    // A single pool link (/pools/:assistantAddress) shows that pool whatever its validation status
+    if (assistantAddress) {
+      return assistants.filter(assistant => assistant.address?.toLowerCase() === assistantAddress.toLowerCase());
+    }
+
     if (showInvalidAssistants) {
       return assistants; // Show all assistants
     }
@@ -568,7 +582,7 @@ const AssistantsList = () => {
       const isValid = assistantValidation[assistant.key];
       return isValid !== false; // Show valid assistants and those with undefined status (loading)
     });
-  }, [assistants, assistantValidation, showInvalidAssistants]);
+  }, [assistants, assistantValidation, showInvalidAssistants, assistantAddress]);
 
   // Count invalid assistants
   const getInvalidAssistantsCount = useCallback(() => {
@@ -910,6 +924,20 @@ const AssistantsList = () => {
     setShowWithdrawDialog(true);
   }, [getRequiredNetworkForAssistant, checkAndSwitchNetwork]);
 
+  const handleSwap = useCallback(async (assistant) => {
+    console.log('🔘 Swap button clicked for assistant:', assistant.address);
+
+    const requiredNetwork = getRequiredNetworkForAssistant(assistant);
+    const switchSuccess = await checkAndSwitchNetwork(requiredNetwork);
+
+    if (!switchSuccess) {
+      return;
+    }
+
+    setSelectedAssistant(assistant);
+    setShowSwapDialog(true);
+  }, [getRequiredNetworkForAssistant, checkAndSwitchNetwork]);
+
   const handleWithdrawManagementFee = useCallback(async (assistant) => {
     console.log('🔘 Withdraw Management Fee button clicked for assistant:', assistant.address);
 
@@ -952,12 +980,36 @@ const AssistantsList = () => {
     setShowAssignNewManagerDialog(true);
   }, [getRequiredNetworkForAssistant, checkAndSwitchNetwork]);
 
+  const handleManagerConsole = useCallback(async (assistant) => {
+    console.log('🔘 Manager Console button clicked for assistant:', assistant.address);
+
+    const requiredNetwork = getRequiredNetworkForAssistant(assistant);
+    const switchSuccess = await checkAndSwitchNetwork(requiredNetwork);
+
+    if (!switchSuccess) {
+      return;
+    }
+
+    setSelectedAssistant(assistant);
+    setShowManagerConsoleDialog(true);
+  }, [getRequiredNetworkForAssistant, checkAndSwitchNetwork]);
+
+  // Analytics only read the assistant network, no switch needed
+  const handleAnalytics = useCallback((assistant) => {
+    console.log('🔘 Analytics button clicked for assistant:', assistant.address);
+    setSelectedAssistant(assistant);
+    setShowAnalyticsDialog(true);
+  }, []);
+
   const handleCloseDialogs = useCallback(() => {
     setShowDepositDialog(false);
     setShowWithdrawDialog(false);
+    setShowSwapDialog(false);
     setShowWithdrawManagementFeeDialog(false);
     setShowWithdrawSuccessFeeDialog(false);
     setShowAssignNewManagerDialog(false);
+    setShowManagerConsoleDialog(false);
+    setShowAnalyticsDialog(false);
     setSelectedAssistant(null);
   }, []);
 
@@ -987,6 +1039,22 @@ const AssistantsList = () => {
 
   return (
     <div className="space-y-6">
+      {assistantAddress && (
+        <Link to={TAB_PATHS.pools} className="inline-flex items-center gap-2 text-secondary-400 hover:text-white text-sm transition-colors">
+          <ArrowLeft className="w-4 h-4" />
+          <span>Show all pools</span>
+        </Link>
+      )}
+
+      {assistantAddress && filteredAssistants.length === 0 && (
+        <div className="text-center py-12">
+          <h3 className="text-xl font-semibold text-white mb-2">Liquidity Pool Not Found</h3>
+          <p className="text-secondary-400 font-mono text-sm break-all">
+            No assistant is configured at {assistantAddress}
+          </p>
+        </div>
+      )}
+
       <div className="grid gap-6">
         {filteredAssistants.map((assistant, index) => (
           <motion.div
@@ -1000,7 +1068,9 @@ const AssistantsList = () => {
               <div className="flex items-start gap-3">
               <div>
                 <h3 className="text-lg font-semibold text-white mb-1">
-                  {assistant.description || assistant.key}
+                  <Link to={getAssistantPath(assistant.address)} className="hover:text-primary-400 transition-colors">
+                    {assistant.description || assistant.key}
+                  </Link>
                 </h3>
                 <p className="text-secondary-400 text-sm">
                   {assistant.network} • {assistant.type}
@@ -1214,6 +1284,25 @@ const AssistantsList = () => {
                 >
                   Withdraw
                 </button>
+                {(assistant.type === 'import' || assistant.type === 'import_wrapper') && (
+                  <button
+                    onClick={() => handleSwap(assistant)}
+                    disabled={assistantValidation[assistant.key] === false}
+                    className={`flex-1 py-2 px-4 rounded-md text-sm font-medium transition-colors ${
+                      assistantValidation[assistant.key] === false
+                        ? 'bg-gray-600 text-gray-400 cursor-not-allowed'
+                        : 'bg-dark-600 hover:bg-dark-500 text-white'
+                    }`}
+                  >
+                    Swap
+                  </button>
+                )}
+                <button
+                  onClick={() => handleAnalytics(assistant)}
+                  className="flex-1 py-2 px-4 rounded-md text-sm font-medium transition-colors bg-dark-700 hover:bg-dark-600 text-white"
+                >
+                  Analytics
+                </button>
               </div>
               
               {/* Manager Buttons - Only show if user is the manager */}
@@ -1235,6 +1324,12 @@ const AssistantsList = () => {
                         Withdraw Success Fee
                       </button>
                     </div>
+                    <button
+                      onClick={() => handleManagerConsole(assistant)}
+                      className="w-full bg-primary-600 hover:bg-primary-700 text-white py-2 px-3 rounded-md text-xs font-medium transition-colors"
+                    >
+                      Manager Console
+                    </button>
                     <button
                       onClick={() => handleAssignNewManager(assistant)}
                       className="w-full bg-secondary-600 hover:bg-secondary-700 text-white py-2 px-3 rounded-md text-xs font-medium transition-colors"
@@ -1250,7 +1345,7 @@ const AssistantsList = () => {
       </div>
 
       {/* Show Invalid Assistants Toggle */}
-      {invalidCount > 0 && (
+      {!assistantAddress && invalidCount > 0 && (
         <div className="flex justify-center pt-4">
           <button
             onClick={() => setShowInvalidAssistants(!showInvalidAssistants)}
@@ -1304,6 +1399,19 @@ const AssistantsList = () => {
         />
       )}
 
+      {showSwapDialog && selectedAssistant && (
+        <Swap
+          assistant={selectedAssistant}
+          onClose={handleCloseDialogs}
+          onSuccess={async () => {
+            // Wait a moment for blockchain state to update
+            await new Promise(resolve => setTimeout(resolve, 2000));
+            console.log('🔄 Refreshing balances after successful swap...');
+            loadBalances(); // Refresh pool balances after the swap
+          }}
+        />
+      )}
+
       {showWithdrawManagementFeeDialog && selectedAssistant && (
         <WithdrawManagementFee
           assistant={selectedAssistant}
@@ -1342,6 +1450,24 @@ const AssistantsList = () => {
           }}
         />
       )}
+
+      {showManagerConsoleDialog && selectedAssistant && (
+        <AssistantManagerConsole
+          assistant={selectedAssistant}
+          onClose={handleCloseDialogs}
+          onSuccess={() => {
+            console.log('🔄 Refreshing balances after manager console transaction...');
+            loadBalances(); // Pool balances change on claims, challenges and settlements
+          }}
+        />
+      )}
+
+      {showAnalyticsDialog && selectedAssistant && (
+        <AssistantAnalytics
+          assistant={selectedAssistant}
+          onClose={handleCloseDialogs}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,316 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { ethers } from 'ethers';
+import { motion, AnimatePresence } from 'framer-motion';
+import toast from 'react-hot-toast';
+import { X, Layers, CheckCircle, XCircle, Loader, Clock, RefreshCw } from 'lucide-react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { useSettings } from '../contexts/SettingsContext';
+import { ADDRESS_ZERO } from '../config/networks';
+import { handleTransactionError } from '../utils/error-handler';
+import { convertActualToDisplay } from '../utils/decimal-converter';
+import { determineClaimBridge } from '../utils/claim-bridge-discriminant.js';
+import {
+  BATCH_ITEM_STATUS,
+  getBatchContractAddress,
+  getBatchItemState,
+  getOpenBatchItems,
+  loadBatchJob,
+  clearBatchJob,
+} from '../utils/batch-transactions';
+import {
+  getBatchClaimJobId,
+  prepareBatchClaims,
+  getBatchClaimTotals,
+  getBatchClaimApprovals,
+  approveBatchClaims,
+  buildBatchClaimCalls,
+  canBatchClaims,
+  submitBatchClaims,
+} from '../utils/batch-claim';
+
+const STATUS_ICONS = {
+  [BATCH_ITEM_STATUS.PENDING]: <Clock className="w-4 h-4 text-secondary-400" />,
+  [BATCH_ITEM_STATUS.SENT]: <Loader className="w-4 h-4 text-primary-500 animate-spin" />,
+  [BATCH_ITEM_STATUS.DONE]: <CheckCircle className="w-4 h-4 text-green-500" />,
+  [BATCH_ITEM_STATUS.FAILED]: <XCircle className="w-4 h-4 text-red-500" />,
+};
+
+/**
+ * Claims several pending transfers of one network: a single approval per claim bridge, then
+ * one batch transaction or a resumable sequence of claim transactions
+ */
+const BatchClaim = ({ transfers, networkConfig, onClose, onClaimsSubmitted }) => {
+  const { account, signer } = useWeb3();
+  const { getBridgeInstancesWithSettings, getTokenByAddressGlobal, getTokenDecimalsDisplayMultiplier } = useSettings();
+
+  const [items, setItems] = useState([]);
+  const [job, setJob] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [phase, setPhase] = useState(null);
+  const [sequential, setSequential] = useState(false);
+
+  const batchAddress = getBatchContractAddress(networkConfig);
+  const jobId = account ? getBatchClaimJobId(account, networkConfig.id) : null;
+
+  const loadItems = useCallback(async () => {
+    if (!signer || !account) {
+      setError('Connect your wallet to claim');
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    try {
+      const entries = transfers.map(transfer => ({
+        transfer,
+        bridge: determineClaimBridge({ tokenAddress: '', selectedTransfer: transfer, getBridgeInstancesWithSettings }),
+      }));
+      const unresolved = entries.filter(entry => !entry.bridge).length;
+      if (unresolved > 0) {
+        throw new Error(`No claim bridge is configured for ${unresolved} of the selected transfers`);
+      }
+
+      const prepared = await prepareBatchClaims({ provider: signer.provider, account, entries });
+      setItems(prepared);
+      setJob(loadBatchJob(jobId, prepared.map(item => item.key)));
+    } catch (err) {
+      console.error('❌ Error preparing batch claim:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [signer, account, transfers, jobId, getBridgeInstancesWithSettings]);
+
+  useEffect(() => {
+    loadItems();
+  }, [loadItems]);
+
+  const openItems = useMemo(() => {
+    if (!job) return [];
+    const openKeys = getOpenBatchItems(job);
+    return items.filter(item => openKeys.includes(item.key));
+  }, [items, job]);
+
+  const totals = useMemo(() => getBatchClaimTotals(openItems), [openItems]);
+  const approvals = useMemo(() => getBatchClaimApprovals(openItems), [openItems]);
+  const batchAvailable = useMemo(() => canBatchClaims(buildBatchClaimCalls(items), batchAddress), [items, batchAddress]);
+  const hasProgress = !!job && Object.values(job.items).some(state => state.status !== BATCH_ITEM_STATUS.PENDING);
+
+  const formatTokenAmount = (amount, tokenAddress) => {
+    const isNative = tokenAddress === ADDRESS_ZERO;
+    const token = isNative ? null : getTokenByAddressGlobal(tokenAddress);
+    const decimals = token?.decimals ?? 18;
+    const formatted = ethers.utils.formatUnits(amount, decimals);
+    const display = convertActualToDisplay(formatted, decimals, tokenAddress, getTokenDecimalsDisplayMultiplier);
+    return `${display} ${isNative ? networkConfig.symbol : token?.symbol || `${tokenAddress.slice(0, 6)}...${tokenAddress.slice(-4)}`}`;
+  };
+
+  const handleClaim = async () => {
+    if (!signer || openItems.length === 0) return;
+
+    let latest = job;
+    const handleUpdate = (next) => {
+      latest = next;
+      setJob(next);
+    };
+
+    try {
+      setPhase('approving');
+      const sent = await approveBatchClaims(signer, approvals);
+      if (sent > 0) {
+        toast.success(`Stake approval confirmed${sent > 1 ? ` for ${sent} bridges` : ''}`);
+      }
+
+      setPhase('claiming');
+      await submitBatchClaims({ signer, job, items, batchAddress, sequential, onUpdate: handleUpdate });
+    } catch (err) {
+      handleTransactionError(err, { messagePrefix: 'Batch claim failed: ' });
+    } finally {
+      setPhase(null);
+    }
+
+    const claimed = Object.keys(latest.items).filter(key =>
+      getBatchItemState(latest, key).status === BATCH_ITEM_STATUS.DONE &&
+      getBatchItemState(job, key).status !== BATCH_ITEM_STATUS.DONE
+    ).length;
+    const remaining = getOpenBatchItems(latest).length;
+
+    if (remaining === 0) {
+      clearBatchJob(jobId);
+      toast.success(`All ${items.length} claims confirmed!`);
+    } else if (latest !== job) {
+      toast.error(`${remaining} of ${items.length} claims are still open. Fix the failed one and resume.`);
+    }
+    if (claimed > 0) {
+      onClaimsSubmitted();
+    }
+  };
+
+  const renderSpinner = () => (
+    <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
+  );
+
+  return (
+    <AnimatePresence>
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        className="fixed inset-0 bg-black/50 backdrop-blur-sm z-[9999] flex items-start justify-center p-2 sm:p-4 pt-4 sm:pt-8"
+        onClick={phase ? undefined : onClose}
+      >
+        <motion.div
+          initial={{ scale: 0.95, opacity: 0, y: -20 }}
+          animate={{ scale: 1, opacity: 1, y: 0 }}
+          exit={{ scale: 0.95, opacity: 0, y: -20 }}
+          transition={{ type: "spring", damping: 25, stiffness: 300 }}
+          className="bg-dark-900 border border-secondary-800 rounded-xl shadow-2xl w-full max-w-2xl max-h-[calc(100vh-2rem)] sm:max-h-[calc(100vh-3rem)] overflow-hidden relative"
+          onClick={(e) => e.stopPropagation()}
+        >
+          {/* Header */}
+          <div className="flex items-center justify-between p-4 border-b border-secondary-800">
+            <div className="flex items-center gap-3">
+              <Layers className="w-6 h-6 text-primary-500" />
+              <div>
+                <h2 className="text-xl font-bold text-white">Claim {transfers.length} Transfers</h2>
+                <p className="text-secondary-400 text-xs">on {networkConfig.name}</p>
+              </div>
+            </div>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={loadItems}
+                disabled={loading || !!phase}
+                className="p-2 rounded-lg bg-dark-800 border border-secondary-700 hover:bg-dark-700 transition-colors disabled:opacity-50"
+                title="Refresh stakes"
+              >
+                <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+              </button>
+              <button
+                onClick={onClose}
+                disabled={!!phase}
+                className="text-secondary-400 hover:text-white transition-colors disabled:opacity-50"
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+          </div>
+
+          {/* Content */}
+          <div className="p-4 sm:p-6 overflow-y-auto max-h-[calc(96vh-8rem)] sm:max-h-[calc(96vh-10rem)]">
+            <div className="space-y-6">
+              {error && (
+                <div className="bg-red-900/20 border border-red-500/30 rounded-lg p-3 text-sm text-red-300">
+                  {error}
+                </div>
+              )}
+
+              {/* Transfers */}
+              <div className="space-y-2">
+                <h3 className="text-lg font-medium text-white">Transfers</h3>
+                {loading && items.length === 0 && (
+                  <div className="flex items-center gap-2 text-secondary-400 text-sm">
+                    <Loader className="w-4 h-4 animate-spin" />
+                    Reading required stakes...
+                  </div>
+                )}
+                {items.map(item => {
+                  const state = job ? getBatchItemState(job, item.key) : { status: BATCH_ITEM_STATUS.PENDING };
+                  return (
+                    <div key={item.key} className="p-3 bg-dark-800 rounded border border-secondary-700">
+                      <div className="flex items-start justify-between gap-3">
+                        <div className="min-w-0 text-xs space-y-0.5">
+                          <div className="text-white font-mono break-all">{item.transfer.txid}</div>
+                          <div className="text-secondary-400">
+                            Stake: {formatTokenAmount(item.stake, item.context.stakeTokenAddress)}
+                            {!item.paidAmount.isZero() && ' • third-party claim'}
+                          </div>
+                          {state.txHash && (
+                            <div className="text-secondary-500 font-mono break-all">Tx: {state.txHash}</div>
+                          )}
+                          {state.status === BATCH_ITEM_STATUS.FAILED && state.error && (
+                            <div className="text-red-400 break-all">{state.error}</div>
+                          )}
+                        </div>
+                        {STATUS_ICONS[state.status]}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+
+              {/* Totals */}
+              {totals.length > 0 && (
+                <div className="p-3 bg-dark-800 rounded border border-secondary-700 text-sm space-y-1">
+                  {totals.map(total => (
+                    <div key={total.tokenAddress} className="flex justify-between gap-4">
+                      <span className="text-secondary-400">Total stake:</span>
+                      <span className="text-white">
+                        {formatTokenAmount(total.stake, total.tokenAddress)}
+                        {!total.total.eq(total.stake) && ` (${formatTokenAmount(total.total, total.tokenAddress)} with paid amounts)`}
+                      </span>
+                    </div>
+                  ))}
+                  <div className="flex justify-between gap-4">
+                    <span className="text-secondary-400">Approvals:</span>
+                    <span className="text-white">{approvals.length === 0 ? 'None needed' : `${approvals.length}, checked against current allowances`}</span>
+                  </div>
+                </div>
+              )}
+
+              {/* Submission mode */}
+              {batchAvailable && (
+                <label className="flex items-center gap-2 text-sm text-secondary-300">
+                  <input
+                    type="checkbox"
+                    checked={sequential}
+                    onChange={(e) => setSequential(e.target.checked)}
+                    disabled={!!phase}
+                    className="rounded border-secondary-600 bg-dark-800"
+                  />
+                  Send one transaction per claim instead of a single batch transaction
+                </label>
+              )}
+
+              <button
+                onClick={handleClaim}
+                disabled={loading || !!phase || openItems.length === 0}
+                className="btn-primary w-full flex items-center justify-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {phase ? renderSpinner() : null}
+                {phase === 'approving' && 'Approving stake...'}
+                {phase === 'claiming' && 'Claiming...'}
+                {!phase && (hasProgress ? `Resume: claim ${openItems.length} remaining` : `Claim ${openItems.length} transfers`)}
+              </button>
+
+              <div className="p-3 bg-blue-900/20 border border-blue-700 rounded">
+                <div className="text-sm text-secondary-300 space-y-1">
+                  <p>• {batchAvailable && !sequential
+                    ? 'All claims are sent in one transaction through the batch precompile; claims after a failing one are left open'
+                    : 'Claims are sent one transaction at a time and stop at the first failure'}</p>
+                  <p>• Progress is saved in this browser, so an interrupted run resumes where it stopped</p>
+                  <p>• Third-party claims pay the recipient the amount minus the reward and earn the reward once withdrawn</p>
+                </div>
+              </div>
+            </div>
+          </div>
+        </motion.div>
+      </motion.div>
+    </AnimatePresence>
+  );
+};
+
+BatchClaim.propTypes = {
+  transfers: PropTypes.arrayOf(PropTypes.object).isRequired,
+  networkConfig: PropTypes.shape({
+    id: PropTypes.number.isRequired,
+    name: PropTypes.string.isRequired,
+    symbol: PropTypes.string,
+    contracts: PropTypes.object,
+  }).isRequired,
+  onClose: PropTypes.func.isRequired,
+  onClaimsSubmitted: PropTypes.func.isRequired,
+};
+
+export default BatchClaim;
@@ -0,0 +1,304 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { ethers } from 'ethers';
+import { motion, AnimatePresence } from 'framer-motion';
+import toast from 'react-hot-toast';
+import { X, Layers, CheckCircle, XCircle, Loader, Clock, RefreshCw, MinusCircle } from 'lucide-react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { useSettings } from '../contexts/SettingsContext';
+import { ADDRESS_ZERO } from '../config/networks';
+import { handleTransactionError } from '../utils/error-handler';
+import { convertActualToDisplay } from '../utils/decimal-converter';
+import {
+  BATCH_ITEM_STATUS,
+  getBatchContractAddress,
+  getBatchItemState,
+  getOpenBatchItems,
+  loadBatchJob,
+  clearBatchJob,
+} from '../utils/batch-transactions';
+import {
+  getBatchWithdrawJobId,
+  prepareBatchWithdrawals,
+  getBatchWithdrawTotals,
+  submitBatchWithdrawals,
+} from '../utils/batch-withdraw';
+
+const STATUS_ICONS = {
+  [BATCH_ITEM_STATUS.PENDING]: <Clock className="w-4 h-4 text-secondary-400" />,
+  [BATCH_ITEM_STATUS.SENT]: <Loader className="w-4 h-4 text-primary-500 animate-spin" />,
+  [BATCH_ITEM_STATUS.DONE]: <CheckCircle className="w-4 h-4 text-green-500" />,
+  [BATCH_ITEM_STATUS.FAILED]: <XCircle className="w-4 h-4 text-red-500" />,
+};
+
+/**
+ * Withdraws all finished claims of one network the connected account won, in one batch
+ * transaction or a resumable sequence of withdraw transactions
+ */
+const BatchWithdraw = ({ claims, networkConfig, onClose, onWithdrawalsSubmitted }) => {
+  const { account, signer } = useWeb3();
+  const { getBridgeInstancesWithSettings, getTokenByAddressGlobal, getTokenDecimalsDisplayMultiplier } = useSettings();
+
+  const [items, setItems] = useState([]);
+  const [job, setJob] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [withdrawing, setWithdrawing] = useState(false);
+  const [sequential, setSequential] = useState(false);
+
+  const batchAddress = getBatchContractAddress(networkConfig);
+  const jobId = account ? getBatchWithdrawJobId(account, networkConfig.id) : null;
+
+  const loadItems = useCallback(async () => {
+    if (!signer || !account) {
+      setError('Connect your wallet to withdraw');
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    try {
+      const bridges = Object.values(getBridgeInstancesWithSettings());
+      const entries = claims.map(claim => ({
+        claim,
+        bridge: bridges.find(bridge => bridge.address?.toLowerCase() === claim.bridgeAddress?.toLowerCase()),
+      }));
+      const unresolved = entries.filter(entry => !entry.bridge).length;
+      if (unresolved > 0) {
+        throw new Error(`No bridge is configured for ${unresolved} of the claims`);
+      }
+
+      const prepared = await prepareBatchWithdrawals({ provider: signer.provider, account, entries });
+      setItems(prepared);
+      setJob(loadBatchJob(jobId, prepared.filter(item => !item.error).map(item => item.key)));
+    } catch (err) {
+      console.error('❌ Error preparing batch withdrawal:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [signer, account, claims, jobId, getBridgeInstancesWithSettings]);
+
+  useEffect(() => {
+    loadItems();
+  }, [loadItems]);
+
+  const withdrawableItems = useMemo(() => items.filter(item => !item.error), [items]);
+
+  const openItems = useMemo(() => {
+    if (!job) return [];
+    const openKeys = getOpenBatchItems(job);
+    return withdrawableItems.filter(item => openKeys.includes(item.key));
+  }, [withdrawableItems, job]);
+
+  const totals = useMemo(() => getBatchWithdrawTotals(openItems), [openItems]);
+  const hasProgress = !!job && Object.values(job.items).some(state => state.status !== BATCH_ITEM_STATUS.PENDING);
+
+  const formatTokenAmount = (amount, tokenAddress) => {
+    const isNative = tokenAddress === ADDRESS_ZERO;
+    const token = isNative ? null : getTokenByAddressGlobal(tokenAddress);
+    const decimals = token?.decimals ?? 18;
+    const formatted = ethers.utils.formatUnits(amount, decimals);
+    const display = convertActualToDisplay(formatted, decimals, tokenAddress, getTokenDecimalsDisplayMultiplier);
+    return `${display} ${isNative ? networkConfig.symbol : token?.symbol || `${tokenAddress.slice(0, 6)}...${tokenAddress.slice(-4)}`}`;
+  };
+
+  const formatPayout = (item) => [
+    !item.claimedAmount.isZero() && `${formatTokenAmount(item.claimedAmount, item.assetAddress)} claimed`,
+    !item.stakePayout.isZero() && `${formatTokenAmount(item.stakePayout, item.stakeTokenAddress)} from stakes`,
+  ].filter(Boolean).join(' + ');
+
+  const handleWithdraw = async () => {
+    if (!signer || openItems.length === 0) return;
+
+    let latest = job;
+    const handleUpdate = (next) => {
+      latest = next;
+      setJob(next);
+    };
+
+    try {
+      setWithdrawing(true);
+      await submitBatchWithdrawals({ signer, job, items: withdrawableItems, batchAddress, sequential, onUpdate: handleUpdate });
+    } catch (err) {
+      handleTransactionError(err, { messagePrefix: 'Batch withdrawal failed: ' });
+    } finally {
+      setWithdrawing(false);
+    }
+
+    const withdrawn = withdrawableItems.filter(item =>
+      getBatchItemState(latest, item.key).status === BATCH_ITEM_STATUS.DONE &&
+      getBatchItemState(job, item.key).status !== BATCH_ITEM_STATUS.DONE
+    );
+    const remaining = getOpenBatchItems(latest).length;
+
+    if (remaining === 0) {
+      clearBatchJob(jobId);
+      toast.success(`All ${withdrawableItems.length} withdrawals confirmed!`);
+    } else if (latest !== job) {
+      toast.error(`${remaining} of ${withdrawableItems.length} withdrawals are still open. Check the failed one and resume.`);
+    }
+    if (withdrawn.length > 0) {
+      onWithdrawalsSubmitted(withdrawn.map(item => item.claim));
+    }
+  };
+
+  return (
+    <AnimatePresence>
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        className="fixed inset-0 bg-black/50 backdrop-blur-sm z-[9999] flex items-start justify-center p-2 sm:p-4 pt-4 sm:pt-8"
+        onClick={withdrawing ? undefined : onClose}
+      >
+        <motion.div
+          initial={{ scale: 0.95, opacity: 0, y: -20 }}
+          animate={{ scale: 1, opacity: 1, y: 0 }}
+          exit={{ scale: 0.95, opacity: 0, y: -20 }}
+          transition={{ type: "spring", damping: 25, stiffness: 300 }}
+          className="bg-dark-900 border border-secondary-800 rounded-xl shadow-2xl w-full max-w-2xl max-h-[calc(100vh-2rem)] sm:max-h-[calc(100vh-3rem)] overflow-hidden relative"
+          onClick={(e) => e.stopPropagation()}
+        >
+          {/* Header */}
+          <div className="flex items-center justify-between p-4 border-b border-secondary-800">
+            <div className="flex items-center gap-3">
+              <Layers className="w-6 h-6 text-primary-500" />
+              <div>
+                <h2 className="text-xl font-bold text-white">Withdraw {claims.length} Claims</h2>
+                <p className="text-secondary-400 text-xs">on {networkConfig.name}</p>
+              </div>
+            </div>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={loadItems}
+                disabled={loading || withdrawing}
+                className="p-2 rounded-lg bg-dark-800 border border-secondary-700 hover:bg-dark-700 transition-colors disabled:opacity-50"
+                title="Refresh claims"
+              >
+                <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+              </button>
+              <button
+                onClick={onClose}
+                disabled={withdrawing}
+                className="text-secondary-400 hover:text-white transition-colors disabled:opacity-50"
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+          </div>
+
+          {/* Content */}
+          <div className="p-4 sm:p-6 overflow-y-auto max-h-[calc(96vh-8rem)] sm:max-h-[calc(96vh-10rem)]">
+            <div className="space-y-6">
+              {error && (
+                <div className="bg-red-900/20 border border-red-500/30 rounded-lg p-3 text-sm text-red-300">
+                  {error}
+                </div>
+              )}
+
+              {/* Claims */}
+              <div className="space-y-2">
+                <h3 className="text-lg font-medium text-white">Claims</h3>
+                {loading && items.length === 0 && (
+                  <div className="flex items-center gap-2 text-secondary-400 text-sm">
+                    <Loader className="w-4 h-4 animate-spin" />
+                    Reading claims and stakes...
+                  </div>
+                )}
+                {items.map(item => {
+                  const state = job && !item.error ? getBatchItemState(job, item.key) : { status: BATCH_ITEM_STATUS.PENDING };
+                  return (
+                    <div key={item.key} className={`p-3 bg-dark-800 rounded border border-secondary-700 ${item.error ? 'opacity-60' : ''}`}>
+                      <div className="flex items-start justify-between gap-3">
+                        <div className="min-w-0 text-xs space-y-0.5">
+                          <div className="text-white">
+                            Claim #{item.claimNum}
+                            <span className="text-secondary-400 font-mono"> • {item.bridge.address.slice(0, 6)}...{item.bridge.address.slice(-4)}</span>
+                          </div>
+                          {item.error ? (
+                            <div className="text-secondary-400">{item.error}</div>
+                          ) : (
+                            <div className="text-secondary-400">Payout: {formatPayout(item)}</div>
+                          )}
+                          {state.txHash && (
+                            <div className="text-secondary-500 font-mono break-all">Tx: {state.txHash}</div>
+                          )}
+                          {state.status === BATCH_ITEM_STATUS.FAILED && state.error && (
+                            <div className="text-red-400 break-all">{state.error}</div>
+                          )}
+                        </div>
+                        {item.error ? <MinusCircle className="w-4 h-4 text-secondary-500" /> : STATUS_ICONS[state.status]}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+
+              {/* Totals */}
+              {totals.length > 0 && (
+                <div className="p-3 bg-dark-800 rounded border border-secondary-700 text-sm space-y-1">
+                  {totals.map((total, index) => (
+                    <div key={total.tokenAddress} className="flex justify-between gap-4">
+                      <span className="text-secondary-400">{index === 0 ? 'Estimated payout:' : ''}</span>
+                      <span className="text-white">{formatTokenAmount(total.amount, total.tokenAddress)}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {/* Submission mode */}
+              {batchAddress && (
+                <label className="flex items-center gap-2 text-sm text-secondary-300">
+                  <input
+                    type="checkbox"
+                    checked={sequential}
+                    onChange={(e) => setSequential(e.target.checked)}
+                    disabled={withdrawing}
+                    className="rounded border-secondary-600 bg-dark-800"
+                  />
+                  Send one transaction per claim instead of a single batch transaction
+                </label>
+              )}
+
+              <button
+                onClick={handleWithdraw}
+                disabled={loading || withdrawing || openItems.length === 0}
+                className="btn-primary w-full flex items-center justify-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {withdrawing && <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>}
+                {withdrawing
+                  ? 'Withdrawing...'
+                  : hasProgress ? `Resume: withdraw ${openItems.length} remaining` : `Withdraw ${openItems.length} claims`}
+              </button>
+
+              <div className="p-3 bg-blue-900/20 border border-blue-700 rounded">
+                <div className="text-sm text-secondary-300 space-y-1">
+                  <p>• {batchAddress && !sequential
+                    ? 'All withdrawals are sent in one transaction through the batch precompile; withdrawals after a failing one are left open'
+                    : 'Withdrawals are sent one transaction at a time and stop at the first failure'}</p>
+                  <p>• Progress is saved in this browser, so an interrupted run resumes where it stopped</p>
+                  <p>• Winning stakes are paid out in proportion to all stakes of the claim; the estimate is based on the current on-chain state</p>
+                </div>
+              </div>
+            </div>
+          </div>
+        </motion.div>
+      </motion.div>
+    </AnimatePresence>
+  );
+};
+
+BatchWithdraw.propTypes = {
+  claims: PropTypes.arrayOf(PropTypes.object).isRequired,
+  networkConfig: PropTypes.shape({
+    id: PropTypes.number.isRequired,
+    name: PropTypes.string.isRequired,
+    symbol: PropTypes.string,
+    contracts: PropTypes.object,
+  }).isRequired,
+  onClose: PropTypes.func.isRequired,
+  onWithdrawalsSubmitted: PropTypes.func.isRequired,
+};
+
+export default BatchWithdraw;
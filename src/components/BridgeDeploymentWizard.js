@@ -0,0 +1,719 @@
+import React, { useState, useMemo, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { useWeb3 } from '../contexts/Web3Context';
+import { useSettings } from '../contexts/SettingsContext';
+import { useNetworkSwitcher } from '../hooks/useNetworkSwitcher';
+import { NETWORKS, ADDRESS_ZERO } from '../config/networks';
+import { generateOracleKey } from '../utils/bridge-detector';
+import { getWalletSigner } from '../utils/web3';
+import { handleTransactionError } from '../utils/error-handler';
+import {
+  PRICE_STATUS,
+  decimalToFraction,
+  getPriceStatus,
+  readOraclePrices,
+  recordPriceUpdate,
+  setOraclePrice,
+} from '../utils/oracle-prices';
+import {
+  DEFAULT_COUNTERSTAKE_COEF,
+  DEFAULT_RATIO,
+  DEFAULT_LARGE_THRESHOLD,
+  DEPLOYMENT_STEPS,
+  STEP_STATUS,
+  createDeployment,
+  getStepState,
+  getNextStep,
+  updateStep,
+  loadDeployment,
+  saveDeployment,
+  clearDeployment,
+  getImportBridgeType,
+  buildBridgePairConfig,
+  getDeploymentPricePairs,
+  getNextBridgeId,
+  getUniqueConfigKey,
+  formatConfigEntry,
+  deployOracle,
+  createImportBridge,
+  createExportBridge,
+  getCreatedBridgeAddress,
+  waitForStepTransaction,
+} from '../utils/bridge-deployment';
+import {
+  X,
+  CheckCircle,
+  Circle,
+  Clock,
+  Copy,
+  Rocket,
+  RotateCcw,
+} from 'lucide-react';
+import { motion, AnimatePresence } from 'framer-motion';
+import toast from 'react-hot-toast';
+import { ethers } from 'ethers';
+
+const EMPTY_FORM = {
+  homeNetworkKey: '',
+  foreignNetworkKey: '',
+  homeTokenAddress: '',
+  foreignTokenAddress: '',
+  tokenName: '',
+  tokenSymbol: '',
+  stakeTokenAddress: '',
+  homeOracleAddress: '',
+  foreignOracleAddress: '',
+  counterstakeCoef: DEFAULT_COUNTERSTAKE_COEF,
+  ratio: DEFAULT_RATIO,
+  largeThreshold: DEFAULT_LARGE_THRESHOLD,
+  prices: {},
+};
+
+const pickToken = (token) => token && {
+  address: token.address,
+  symbol: token.symbol,
+  name: token.name,
+  decimals: token.decimals,
+  isPrecompile: token.isPrecompile || false,
+  isNative: token.isNative || false,
+  ...(token.assetId !== undefined && { assetId: token.assetId }),
+};
+
+const BridgeDeploymentWizard = ({ onClose }) => {
+  const { account } = useWeb3();
+  const {
+    settings,
+    getNetworkWithSettings,
+    getNetworkTokens,
+    getBridgeInstancesWithSettings,
+    addCustomToken,
+    addCustomBridgeInstanceForNetwork,
+    updateOracle,
+  } = useSettings();
+  const { checkAndSwitchNetwork } = useNetworkSwitcher();
+
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [deployment, setDeployment] = useState(() => loadDeployment());
+  const [isRunning, setIsRunning] = useState(false);
+  // Steps run one after another across network switches, so read the latest state from a ref
+  const deploymentRef = useRef(deployment);
+
+  const commitDeployment = (next) => {
+    deploymentRef.current = next;
+    setDeployment(next);
+    if (next) {
+      saveDeployment(next);
+    } else {
+      clearDeployment();
+    }
+  };
+
+  const getNetworks = (params) => ({
+    home: getNetworkWithSettings(params.homeNetworkKey),
+    foreign: getNetworkWithSettings(params.foreignNetworkKey),
+  });
+
+  const listTokens = (networkKey) => (networkKey ? Object.values(getNetworkTokens(networkKey)) : []);
+  const listOracles = (networkKey) => Object.values(getNetworkWithSettings(networkKey)?.oracles || {});
+
+  const updateForm = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  // Form values in the shape stored with the deployment
+  const draftParams = useMemo(() => {
+    const { homeNetworkKey, foreignNetworkKey } = form;
+    if (!homeNetworkKey || !foreignNetworkKey || homeNetworkKey === foreignNetworkKey) return null;
+
+    const foreign = getNetworkWithSettings(foreignNetworkKey);
+    const homeTokens = Object.values(getNetworkTokens(homeNetworkKey));
+    const foreignTokens = Object.values(getNetworkTokens(foreignNetworkKey));
+    const homeToken = homeTokens.find(token => token.address === form.homeTokenAddress);
+    const stakeToken = foreignTokens.find(token => token.address === form.stakeTokenAddress)
+      || foreignTokens.find(token => token.isNative);
+    const foreignToken = getImportBridgeType(foreign) === 'import_wrapper'
+      ? pickToken(foreignTokens.find(token => token.address === form.foreignTokenAddress))
+      : { name: form.tokenName.trim(), symbol: form.tokenSymbol.trim() };
+
+    if (!homeToken || !stakeToken || !foreignToken) return null;
+
+    return {
+      homeNetworkKey,
+      foreignNetworkKey,
+      homeToken: pickToken(homeToken),
+      foreignToken,
+      stakeToken: pickToken(stakeToken),
+      homeOracleAddress: form.homeOracleAddress || null,
+      foreignOracleAddress: form.foreignOracleAddress || null,
+      counterstakeCoef: form.counterstakeCoef,
+      ratio: form.ratio,
+      largeThreshold: form.largeThreshold,
+      prices: form.prices,
+    };
+  }, [form, getNetworkWithSettings, getNetworkTokens]);
+
+  const draftPairs = useMemo(() => {
+    if (!draftParams) return [];
+    return getDeploymentPricePairs({ params: draftParams, steps: {} }, getNetworks(draftParams));
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [draftParams]);
+
+  const validateForm = () => {
+    if (!draftParams) return 'Select two different networks and all tokens';
+    if (!draftParams.foreignToken.symbol || !draftParams.foreignToken.name) return 'Enter the foreign token name and symbol';
+    if (!/^\d+$/.test(form.counterstakeCoef) || !/^\d+$/.test(form.ratio)) return 'Counterstake coefficient and ratio must be whole numbers';
+    try {
+      ethers.utils.parseUnits(form.largeThreshold, draftParams.stakeToken.decimals);
+    } catch (error) {
+      return 'Invalid large threshold';
+    }
+    for (const pair of draftPairs) {
+      const price = form.prices[pair.key];
+      if (!price) {
+        // An existing oracle may already know the price, this is checked before sending
+        if (!draftParams.foreignOracleAddress) return `Enter the price of ${pair.key}`;
+        continue;
+      }
+      try {
+        decimalToFraction(price, pair);
+      } catch (error) {
+        return `${pair.key}: ${error.message}`;
+      }
+    }
+    return null;
+  };
+
+  const handleStart = () => {
+    const error = validateForm();
+    if (error) {
+      toast.error(error);
+      return;
+    }
+    commitDeployment(createDeployment(draftParams));
+  };
+
+  const handleDiscard = () => {
+    if (!window.confirm('Discard the deployment progress? Contracts already created stay on chain.')) return;
+    commitDeployment(null);
+  };
+
+  const ensureNetwork = async (network) => {
+    const switched = await checkAndSwitchNetwork(network);
+    if (!switched) {
+      throw new Error(`Switch to ${network.name} to continue`);
+    }
+  };
+
+  // Send a step transaction, or keep waiting for the one sent before an interruption
+  const sendStepTransaction = async (stepKey, network, send, sentResult = {}) => {
+    const state = getStepState(deploymentRef.current, stepKey);
+    const provider = new ethers.providers.JsonRpcProvider(network.rpcUrl);
+    let txHash = state.txHash;
+
+    if (state.status !== STEP_STATUS.SENT || !txHash) {
+      await ensureNetwork(network);
+      const signer = await getWalletSigner(network.id);
+      const tx = await send(signer);
+      txHash = tx.hash;
+      console.log(`Step ${stepKey} transaction sent:`, txHash);
+      commitDeployment(updateStep(deploymentRef.current, stepKey, {
+        status: STEP_STATUS.SENT,
+        txHash,
+        result: { ...state.result, ...sentResult },
+      }));
+      toast.success('Transaction sent!');
+    } else {
+      toast(`Waiting for transaction ${txHash.slice(0, 10)}...`);
+    }
+
+    try {
+      return await waitForStepTransaction(provider, txHash);
+    } catch (error) {
+      // Only a reverted transaction may be sent again, otherwise keep waiting for it on resume
+      const receipt = await provider.getTransactionReceipt(txHash).catch(() => null);
+      if (receipt && receipt.status === 0) {
+        commitDeployment(updateStep(deploymentRef.current, stepKey, { status: STEP_STATUS.PENDING, txHash: null }));
+      }
+      throw error;
+    }
+  };
+
+  const runOracleStep = async (stepKey, side, existingAddress) => {
+    if (existingAddress) {
+      return { address: existingAddress, existing: true };
+    }
+    const network = getNetworks(deploymentRef.current.params)[side];
+    const receipt = await sendStepTransaction(stepKey, network, signer => deployOracle(signer));
+    return { address: receipt.contractAddress };
+  };
+
+  const finishPricePair = (oracleAddress, pendingPair) => {
+    recordPriceUpdate(oracleAddress, pendingPair.base, pendingPair.quote);
+    const { result } = getStepState(deploymentRef.current, 'oraclePrices');
+    commitDeployment(updateStep(deploymentRef.current, 'oraclePrices', {
+      status: STEP_STATUS.PENDING,
+      txHash: null,
+      result: { setPairs: [...(result?.setPairs || []), pendingPair.key], pendingPair: null },
+    }));
+  };
+
+  const runPricesStep = async () => {
+    const { params } = deploymentRef.current;
+    const networks = getNetworks(params);
+    const oracleAddress = buildBridgePairConfig(deploymentRef.current, networks).importBridge.oracleAddress;
+    const state = getStepState(deploymentRef.current, 'oraclePrices');
+
+    if (state.status === STEP_STATUS.SENT && state.result?.pendingPair) {
+      await sendStepTransaction('oraclePrices', networks.foreign, null);
+      finishPricePair(oracleAddress, state.result.pendingPair);
+    }
+
+    const setPairs = getStepState(deploymentRef.current, 'oraclePrices').result?.setPairs || [];
+    const pairs = getDeploymentPricePairs(deploymentRef.current, networks)
+      .filter(pair => !setPairs.includes(pair.key));
+    const provider = new ethers.providers.JsonRpcProvider(networks.foreign.rpcUrl);
+    const currentPrices = await readOraclePrices(provider, oracleAddress, pairs);
+
+    const pairsToSet = currentPrices.filter(pair => {
+      if (params.prices[pair.key]) return true;
+      if (pair.error || getPriceStatus(pair) !== PRICE_STATUS.OK) {
+        throw new Error(`The oracle has no price for ${pair.key}, start over with a price for it`);
+      }
+      return false;
+    });
+
+    for (const pair of pairsToSet) {
+      const { num, den } = decimalToFraction(params.prices[pair.key], pair);
+      const pendingPair = { key: pair.key, base: pair.base, quote: pair.quote };
+      await sendStepTransaction(
+        'oraclePrices',
+        networks.foreign,
+        signer => setOraclePrice(signer, oracleAddress, pair.base, pair.quote, num, den),
+        { pendingPair }
+      );
+      finishPricePair(oracleAddress, pendingPair);
+      toast.success(`Price of ${pair.key} set!`);
+    }
+
+    return { setPairs: getStepState(deploymentRef.current, 'oraclePrices').result?.setPairs || [] };
+  };
+
+  const runImportStep = async () => {
+    const { params } = deploymentRef.current;
+    const { home, foreign } = getNetworks(params);
+    const { importBridge } = buildBridgePairConfig(deploymentRef.current, { home, foreign });
+
+    const receipt = await sendStepTransaction('importBridge', foreign, signer => createImportBridge(signer, foreign, {
+      home_network: home.name,
+      home_asset: params.homeToken.address,
+      name: params.foreignToken.name,
+      symbol: params.foreignToken.symbol,
+      precompileAddress: params.foreignToken.address,
+      stakeTokenAddr: params.stakeToken.address,
+      oracleAddr: importBridge.oracleAddress,
+      counterstake_coef100: parseInt(params.counterstakeCoef, 10),
+      ratio100: parseInt(params.ratio, 10),
+      large_threshold: ethers.utils.parseUnits(params.largeThreshold, params.stakeToken.decimals),
+    }));
+    return { address: getCreatedBridgeAddress(receipt, foreign.erc20Precompile) };
+  };
+
+  const runExportStep = async () => {
+    const { params } = deploymentRef.current;
+    const { home, foreign } = getNetworks(params);
+    const { foreignToken } = buildBridgePairConfig(deploymentRef.current, { home, foreign });
+
+    const receipt = await sendStepTransaction('exportBridge', home, signer => createExportBridge(signer, home, {
+      foreign_network: foreign.name,
+      foreign_asset: foreignToken.address,
+      tokenAddr: params.homeToken.address,
+      counterstake_coef100: parseInt(params.counterstakeCoef, 10),
+      ratio100: parseInt(params.ratio, 10),
+      large_threshold: ethers.utils.parseUnits(params.largeThreshold, params.homeToken.decimals),
+    }));
+    return { address: getCreatedBridgeAddress(receipt, home.erc20Precompile) };
+  };
+
+  const runConfigurationStep = async () => {
+    const bridges = getBridgeInstancesWithSettings();
+    const existingKeys = Object.keys(bridges);
+    const symbol = deploymentRef.current.params.homeToken.symbol;
+    const importKey = getUniqueConfigKey(`${symbol}_IMPORT`, existingKeys);
+    const exportKey = getUniqueConfigKey(`${symbol}_EXPORT`, [...existingKeys, importKey]);
+    return { bridgeId: getNextBridgeId(Object.values(bridges)), importKey, exportKey };
+  };
+
+  // Put the oracles, the foreign token and both bridges into settings
+  const applyToSettings = (completed) => {
+    const { params } = completed;
+    const networks = getNetworks(params);
+    const { importBridge, exportBridge, foreignToken } = buildBridgePairConfig(completed, networks);
+    const { importKey, exportKey } = getStepState(completed, 'configuration').result;
+
+    [['homeOracle', params.homeNetworkKey], ['foreignOracle', params.foreignNetworkKey]].forEach(([stepKey, networkKey]) => {
+      const { result } = getStepState(completed, stepKey);
+      if (!result || result.existing) return;
+      const known = listOracles(networkKey).some(oracle => oracle.address?.toLowerCase() === result.address.toLowerCase());
+      if (known) return;
+      updateOracle(networkKey, generateOracleKey(networkKey, settings), {
+        address: result.address,
+        name: `${params.homeToken.symbol} Bridge Oracle`,
+        description: `Deployed oracle for the ${params.homeToken.symbol} bridge on ${networks[stepKey === 'homeOracle' ? 'home' : 'foreign'].name}`,
+        deployedBy: account,
+        deployedAt: completed.createdAt,
+      });
+    });
+
+    const foreignKnown = listTokens(params.foreignNetworkKey)
+      .some(token => token.address?.toLowerCase() === foreignToken.address.toLowerCase());
+    if (!foreignKnown) {
+      addCustomToken(params.foreignNetworkKey, foreignToken.symbol, foreignToken);
+    }
+
+    addCustomBridgeInstanceForNetwork(params.foreignNetworkKey, importKey, importBridge);
+    addCustomBridgeInstanceForNetwork(params.homeNetworkKey, exportKey, exportBridge);
+    toast.success('Bridges added to settings. Save the settings to keep them.');
+  };
+
+  const STEP_RUNNERS = {
+    homeOracle: () => runOracleStep('homeOracle', 'home', deploymentRef.current.params.homeOracleAddress),
+    foreignOracle: () => runOracleStep('foreignOracle', 'foreign', deploymentRef.current.params.foreignOracleAddress),
+    oraclePrices: runPricesStep,
+    importBridge: runImportStep,
+    exportBridge: runExportStep,
+    configuration: runConfigurationStep,
+  };
+
+  const handleRunNextStep = async () => {
+    const step = getNextStep(deploymentRef.current);
+    if (!step) return;
+    if (!account) {
+      toast.error('Please connect your wallet first');
+      return;
+    }
+
+    setIsRunning(true);
+    try {
+      const result = await STEP_RUNNERS[step.key]();
+      const next = updateStep(deploymentRef.current, step.key, { status: STEP_STATUS.DONE, txHash: null, result });
+      commitDeployment(next);
+      toast.success(`${step.label} done`);
+      if (step.key === 'configuration') {
+        applyToSettings(next);
+      }
+    } catch (err) {
+      handleTransactionError(err, { messagePrefix: `${step.label} failed: ` });
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  const handleCopy = async (text) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      toast.success('Config copied to clipboard');
+    } catch (error) {
+      toast.error('Failed to copy');
+    }
+  };
+
+  const renderSpinner = () => (
+    <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
+  );
+
+  const renderStepIcon = (status, isNext) => {
+    if (status === STEP_STATUS.DONE) return <CheckCircle className="w-5 h-5 text-green-500" />;
+    if (status === STEP_STATUS.SENT || (isNext && isRunning)) return <Clock className="w-5 h-5 text-yellow-500" />;
+    return <Circle className="w-5 h-5 text-secondary-500" />;
+  };
+
+  const renderStepDetails = (step, state, networks) => {
+    if (state.status === STEP_STATUS.SENT && state.txHash) {
+      return <span className="font-mono break-all">Waiting for {state.txHash}</span>;
+    }
+    if (!state.result) {
+      return step.side ? `on ${networks[step.side]?.name}` : 'bridgeId and config entries';
+    }
+    if (state.result.address) {
+      return <span className="font-mono break-all">{state.result.existing ? 'Existing ' : ''}{state.result.address}</span>;
+    }
+    if (state.result.bridgeId) {
+      return `bridgeId ${state.result.bridgeId}`;
+    }
+    if (state.result.setPairs) {
+      return `${state.result.setPairs.length} price(s) set`;
+    }
+    return null;
+  };
+
+  const renderSelect = (field, options, placeholder) => (
+    <select
+      value={form[field]}
+      onChange={(e) => updateForm(field, e.target.value)}
+      className="w-full input-field"
+    >
+      <option value="">{placeholder}</option>
+      {options.map(option => (
+        <option key={option.value} value={option.value}>{option.label}</option>
+      ))}
+    </select>
+  );
+
+  const renderForm = () => {
+    const networkOptions = Object.entries(NETWORKS).map(([key, network]) => ({ value: key, label: network.name }));
+    const foreign = form.foreignNetworkKey ? getNetworkWithSettings(form.foreignNetworkKey) : null;
+    const isWrapper = getImportBridgeType(foreign) === 'import_wrapper';
+    const tokenOptions = (networkKey, filter = () => true) => listTokens(networkKey)
+      .filter(filter)
+      .map(token => ({ value: token.address, label: `${token.symbol} (${token.address})` }));
+    const oracleOptions = (networkKey) => listOracles(networkKey)
+      .map(oracle => ({ value: oracle.address, label: `${oracle.name || 'Oracle'} (${oracle.address})` }));
+
+    return (
+      <div className="space-y-6">
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <div>
+            <label className="text-sm font-medium text-secondary-300">Home network (export)</label>
+            {renderSelect('homeNetworkKey', networkOptions, 'Select network')}
+          </div>
+          <div>
+            <label className="text-sm font-medium text-secondary-300">Foreign network (import)</label>
+            {renderSelect('foreignNetworkKey', networkOptions.filter(option => option.value !== form.homeNetworkKey), 'Select network')}
+          </div>
+        </div>
+
+        {form.homeNetworkKey && form.foreignNetworkKey && (
+          <>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div>
+                <label className="text-sm font-medium text-secondary-300">Home token</label>
+                {renderSelect('homeTokenAddress', tokenOptions(form.homeNetworkKey), 'Select token')}
+              </div>
+              <div>
+                <label className="text-sm font-medium text-secondary-300">Stake token on {foreign?.name}</label>
+                {renderSelect('stakeTokenAddress', tokenOptions(form.foreignNetworkKey, token => token.isNative || token.isPrecompile), 'Native coin')}
+              </div>
+            </div>
+
+            {isWrapper ? (
+              <div>
+                <label className="text-sm font-medium text-secondary-300">Foreign token precompile</label>
+                {renderSelect('foreignTokenAddress', tokenOptions(form.foreignNetworkKey, token => token.isPrecompile && !token.isNative), 'Select precompile')}
+                <p className="text-secondary-400 text-xs mt-1">
+                  Import Wrapper bridges control an existing precompile. Add it to the tokens first if it is missing.
+                </p>
+              </div>
+            ) : (
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label className="text-sm font-medium text-secondary-300">Foreign token name</label>
+                  <input
+                    type="text"
+                    value={form.tokenName}
+                    onChange={(e) => updateForm('tokenName', e.target.value)}
+                    placeholder="e.g. P3D on Ethereum"
+                    className="w-full input-field"
+                  />
+                </div>
+                <div>
+                  <label className="text-sm font-medium text-secondary-300">Foreign token symbol</label>
+                  <input
+                    type="text"
+                    value={form.tokenSymbol}
+                    onChange={(e) => updateForm('tokenSymbol', e.target.value)}
+                    placeholder="e.g. wP3D"
+                    className="w-full input-field"
+                  />
+                </div>
+              </div>
+            )}
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div>
+                <label className="text-sm font-medium text-secondary-300">Oracle on {getNetworkWithSettings(form.homeNetworkKey)?.name}</label>
+                {renderSelect('homeOracleAddress', oracleOptions(form.homeNetworkKey), 'Deploy a new oracle')}
+              </div>
+              <div>
+                <label className="text-sm font-medium text-secondary-300">Oracle on {foreign?.name}</label>
+                {renderSelect('foreignOracleAddress', oracleOptions(form.foreignNetworkKey), 'Deploy a new oracle')}
+              </div>
+            </div>
+
+            <div className="grid grid-cols-3 gap-4">
+              <div>
+                <label className="text-sm font-medium text-secondary-300">Counterstake coef (%)</label>
+                <input type="text" value={form.counterstakeCoef} onChange={(e) => updateForm('counterstakeCoef', e.target.value)} className="w-full input-field" />
+              </div>
+              <div>
+                <label className="text-sm font-medium text-secondary-300">Ratio (%)</label>
+                <input type="text" value={form.ratio} onChange={(e) => updateForm('ratio', e.target.value)} className="w-full input-field" />
+              </div>
+              <div>
+                <label className="text-sm font-medium text-secondary-300">Large threshold</label>
+                <input type="text" value={form.largeThreshold} onChange={(e) => updateForm('largeThreshold', e.target.value)} className="w-full input-field" />
+              </div>
+            </div>
+
+            {draftPairs.length > 0 && (
+              <div className="space-y-2">
+                <h3 className="text-white font-medium">Initial prices on the {foreign?.name} oracle</h3>
+                <p className="text-secondary-400 text-xs">
+                  {form.foreignOracleAddress
+                    ? 'Leave a price empty to keep the one the oracle already has.'
+                    : 'All prices are required before the import bridge can be created.'}
+                </p>
+                {draftPairs.map(pair => (
+                  <div key={pair.key} className="flex items-center gap-3">
+                    <span className="text-secondary-300 text-xs font-mono flex-1 break-all">1 {pair.key.replace('/', ' in ')}</span>
+                    <input
+                      type="text"
+                      value={form.prices[pair.key] || ''}
+                      onChange={(e) => updateForm('prices', { ...form.prices, [pair.key]: e.target.value.trim() })}
+                      placeholder="e.g. 0.0025"
+                      className="input-field w-40"
+                    />
+                  </div>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+
+        <button onClick={handleStart} className="btn-primary w-full flex items-center justify-center gap-2">
+          <Rocket className="w-4 h-4" />
+          Start Deployment
+        </button>
+      </div>
+    );
+  };
+
+  const renderProgress = () => {
+    const networks = getNetworks(deployment.params);
+    const nextStep = getNextStep(deployment);
+    const pairConfig = buildBridgePairConfig(deployment, networks);
+    const configuration = getStepState(deployment, 'configuration').result;
+    const snippet = configuration && [
+      `// ${networks.foreign.name} bridges`,
+      formatConfigEntry(configuration.importKey, pairConfig.importBridge),
+      `// ${networks.home.name} bridges`,
+      formatConfigEntry(configuration.exportKey, pairConfig.exportBridge),
+    ].join('\n');
+
+    return (
+      <div className="space-y-6">
+        <div className="p-3 bg-dark-800 rounded border border-secondary-700 text-sm">
+          <span className="text-white">{deployment.params.homeToken.symbol}</span>
+          <span className="text-secondary-400"> from {networks.home.name} to {networks.foreign.name} as </span>
+          <span className="text-white">{pairConfig.foreignToken.symbol}</span>
+          <span className="text-secondary-400"> ({pairConfig.importBridge.type})</span>
+        </div>
+
+        <div className="space-y-2">
+          {DEPLOYMENT_STEPS.map(step => {
+            const state = getStepState(deployment, step.key);
+            const isNext = nextStep?.key === step.key;
+            return (
+              <div
+                key={step.key}
+                className={`flex items-start gap-3 p-3 rounded border ${isNext ? 'border-primary-600 bg-dark-800' : 'border-secondary-800'}`}
+              >
+                {renderStepIcon(state.status, isNext)}
+                <div className="min-w-0">
+                  <div className="text-white text-sm">{step.label}</div>
+                  <div className="text-secondary-400 text-xs">{renderStepDetails(step, state, networks)}</div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        {nextStep ? (
+          <div className="space-y-2">
+            <button
+              onClick={handleRunNextStep}
+              disabled={isRunning}
+              className="btn-primary w-full flex items-center justify-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isRunning ? renderSpinner() : getStepState(deployment, nextStep.key).status === STEP_STATUS.SENT ? 'Resume' : 'Run'}
+              <span>{nextStep.label}</span>
+            </button>
+            {nextStep.side && (
+              <p className="text-secondary-400 text-xs text-center">
+                Your wallet will be switched to {networks[nextStep.side].name}. Progress is saved, you can close this dialog and resume later.
+              </p>
+            )}
+          </div>
+        ) : (
+          <div className="space-y-3">
+            <div className="flex items-center justify-between">
+              <h3 className="text-white font-medium">networks.js entries</h3>
+              <button onClick={() => handleCopy(snippet)} className="btn-secondary text-xs flex items-center gap-1 px-3 py-1">
+                <Copy className="w-3 h-3" />
+                Copy
+              </button>
+            </div>
+            <pre className="p-3 bg-dark-800 rounded border border-secondary-700 text-xs text-secondary-300 overflow-x-auto">{snippet}</pre>
+            <p className="text-secondary-400 text-xs">
+              The bridges were added to your settings. Press Save in Settings to keep them.
+              {pairConfig.importBridge.stakeTokenAddress !== ADDRESS_ZERO && ' Deploy an assistant to cover the token stake if needed.'}
+            </p>
+          </div>
+        )}
+
+        <button
+          onClick={handleDiscard}
+          disabled={isRunning}
+          className="btn-secondary w-full flex items-center justify-center gap-2 disabled:opacity-50"
+        >
+          <RotateCcw className="w-4 h-4" />
+          {nextStep ? 'Discard and start over' : 'Deploy another pair'}
+        </button>
+      </div>
+    );
+  };
+
+  return (
+    <AnimatePresence>
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        className="fixed inset-0 bg-black/50 backdrop-blur-sm z-[9999] flex items-start justify-center p-2 sm:p-4 pt-4 sm:pt-8"
+        onClick={isRunning ? undefined : onClose}
+      >
+        <motion.div
+          initial={{ scale: 0.95, opacity: 0, y: -20 }}
+          animate={{ scale: 1, opacity: 1, y: 0 }}
+          exit={{ scale: 0.95, opacity: 0, y: -20 }}
+          transition={{ type: "spring", damping: 25, stiffness: 300 }}
+          className="bg-dark-900 border border-secondary-800 rounded-xl shadow-2xl w-full max-w-2xl max-h-[calc(100vh-2rem)] sm:max-h-[calc(100vh-3rem)] overflow-hidden relative"
+          onClick={(e) => e.stopPropagation()}
+        >
+          {/* Header */}
+          <div className="flex items-center justify-between p-4 border-b border-secondary-800">
+            <div className="flex items-center gap-3">
+              <Rocket className="w-6 h-6 text-primary-500" />
+              <h2 className="text-xl font-bold text-white">Deploy Bridge Pair</h2>
+            </div>
+            <button
+              onClick={onClose}
+              disabled={isRunning}
+              className="text-secondary-400 hover:text-white transition-colors disabled:opacity-50"
+            >
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+
+          {/* Content */}
+          <div className="p-4 sm:p-6 overflow-y-auto max-h-[calc(96vh-8rem)] sm:max-h-[calc(96vh-10rem)]">
+            {deployment ? renderProgress() : renderForm()}
+          </div>
+        </motion.div>
+      </motion.div>
+    </AnimatePresence>
+  );
+};
+
+BridgeDeploymentWizard.propTypes = {
+  onClose: PropTypes.func.isRequired,
+};
+
+export default BridgeDeploymentWizard;
@@ -11,6 +11,8 @@ import { ArrowDown, ArrowRightLeft, Eye, EyeOff, Copy, Check } from 'lucide-reac
 import { motion } from 'framer-motion';
 import Expatriation from './Expatriation';
 import Repatriation from './Repatriation';
+import RewardEstimator from './RewardEstimator';
+import DestinationAction from './DestinationAction';
 import toast from 'react-hot-toast';
 
 // Utility function for precise balance comparison
@@ -28,20 +30,23 @@ const compareBalances = (amount, balance, tolerance = 0.000001) => {
   return numAmount <= numBalance + tolerance;
 };
 
-const BridgeForm = ({ onNavigateToTransfers }) => {
+const BridgeForm = ({ onNavigateToTransfers, onTrackTransfer, prefill = {} }) => {
   const { account, provider, signer, network, isConnected } = useWeb3();
   const { getNetworkWithSettings, getBridgeInstancesWithSettings, getTokenDecimalsDisplayMultiplier, getNetworkTokens } = useSettings();
   
-  const [formData, setFormData] = useState({
-    sourceNetwork: '',
-    sourceToken: '',
-    destinationNetwork: '',
-    destinationToken: '',
+  // A pre-filled link (/?from=...&token=...) uses network keys, the form uses network names
+  const [formData, setFormData] = useState(() => ({
+    sourceNetwork: NETWORKS[prefill.sourceNetworkKey]?.name || '',
+    sourceToken: NETWORKS[prefill.sourceNetworkKey] ? prefill.sourceToken || '' : '',
+    destinationNetwork: NETWORKS[prefill.destinationNetworkKey]?.name || '',
+    destinationToken: NETWORKS[prefill.destinationNetworkKey] ? prefill.destinationToken || '' : '',
     amount: '',
-    destinationAddress: '',
+    destinationAddress: prefill.destinationAddress || '',
     reward: '0',
-  });
+  }));
   
+  // Data passed to onReceivedFromClaim of a receiver contract, composed in DestinationAction
+  const [destinationData, setDestinationData] = useState({ data: '', error: null });
   const [balances, setBalances] = useState({});
   const [isLoading, setIsLoading] = useState(false);
   const [errors, setErrors] = useState({});
@@ -49,7 +54,7 @@ const BridgeForm = ({ onNavigateToTransfers }) => {
   const [selectedBridgeInstance, setSelectedBridgeInstance] = useState(null);
   const [showExpatriationFlow, setShowExpatriationFlow] = useState(false);
   const [showRepatriationFlow, setShowRepatriationFlow] = useState(false);
-  const [showDestinationAddress, setShowDestinationAddress] = useState(false);
+  const [showDestinationAddress, setShowDestinationAddress] = useState(() => !!prefill.destinationAddress);
   const [isSwitchingNetwork, setIsSwitchingNetwork] = useState(false);
   const [bridgeAddressCopied, setBridgeAddressCopied] = useState(false);
   const previousAccountRef = useRef(account);
@@ -943,6 +948,10 @@ const BridgeForm = ({ onNavigateToTransfers }) => {
       newErrors.destinationAddress = 'Please enter a valid address';
     }
     
+    if (destinationData.error) {
+      newErrors.data = destinationData.error;
+    }
+    
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -950,6 +959,7 @@ const BridgeForm = ({ onNavigateToTransfers }) => {
   // Handle expatriation success
   const handleExpatriationSuccess = (txHash) => {
     console.log('✅ Expatriation successful:', txHash);
+    const sourceNetworkKey = Object.keys(NETWORKS).find(key => NETWORKS[key].name === formData.sourceNetwork);
     
     // Reset form
     setFormData({
@@ -969,8 +979,10 @@ const BridgeForm = ({ onNavigateToTransfers }) => {
     // Hide expatriation flow
     setShowExpatriationFlow(false);
     
-    // Navigate to transfers tab with "Mine" filter
-    if (onNavigateToTransfers) {
+    // Follow the transfer in the tracker, fall back to the transfers tab with "Mine" filter
+    if (onTrackTransfer && sourceNetworkKey) {
+      onTrackTransfer(sourceNetworkKey, txHash);
+    } else if (onNavigateToTransfers) {
       onNavigateToTransfers('my');
     }
     
@@ -979,7 +991,9 @@ const BridgeForm = ({ onNavigateToTransfers }) => {
       <div>
         <h3 className="text-success-400 font-medium">Success</h3>
         <p className="text-success-300 text-sm mt-1">Expatriation initiated successfully!</p>
-        <p className="text-success-300 text-xs mt-1">Redirecting to Transfers tab...</p>
+        <p className="text-success-300 text-xs mt-1">
+          {onTrackTransfer && sourceNetworkKey ? 'Opening the transfer tracker...' : 'Redirecting to Transfers tab...'}
+        </p>
       </div>,
       {
         duration: 6000,
@@ -1004,6 +1018,7 @@ const BridgeForm = ({ onNavigateToTransfers }) => {
   // Handle repatriation success
   const handleRepatriationSuccess = (txHash) => {
     console.log('✅ Repatriation successful:', txHash);
+    const sourceNetworkKey = Object.keys(NETWORKS).find(key => NETWORKS[key].name === formData.sourceNetwork);
     
     // Reset form
     setFormData({
@@ -1023,8 +1038,10 @@ const BridgeForm = ({ onNavigateToTransfers }) => {
     // Hide repatriation flow
     setShowRepatriationFlow(false);
     
-    // Navigate to transfers tab with "Mine" filter
-    if (onNavigateToTransfers) {
+    // Follow the transfer in the tracker, fall back to the transfers tab with "Mine" filter
+    if (onTrackTransfer && sourceNetworkKey) {
+      onTrackTransfer(sourceNetworkKey, txHash);
+    } else if (onNavigateToTransfers) {
       onNavigateToTransfers('my');
     }
     
@@ -1033,7 +1050,9 @@ const BridgeForm = ({ onNavigateToTransfers }) => {
       <div>
         <h3 className="text-success-400 font-medium">Success</h3>
         <p className="text-success-300 text-sm mt-1">Repatriation initiated successfully!</p>
-        <p className="text-success-300 text-xs mt-1">Redirecting to Transfers tab...</p>
+        <p className="text-success-300 text-xs mt-1">
+          {onTrackTransfer && sourceNetworkKey ? 'Opening the transfer tracker...' : 'Redirecting to Transfers tab...'}
+        </p>
       </div>,
       {
         duration: 6000,
@@ -1142,7 +1161,7 @@ const BridgeForm = ({ onNavigateToTransfers }) => {
       const receipt = await transferToForeignChain(
         contract,
         formData.destinationAddress,
-        '', // data
+        destinationData.data,
         actualAmount,
         actualReward,
         sourceToken.decimals,
@@ -1247,6 +1266,14 @@ const BridgeForm = ({ onNavigateToTransfers }) => {
     }
   }, [account]);
 
+  // Apply a pre-filled amount through the regular handler so the default reward is calculated
+  useEffect(() => {
+    if (prefill.amount && formData.sourceToken) {
+      handleInputChange('amount', prefill.amount);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
   // Pre-select current network as source network
   useEffect(() => {
     if (network && !formData.sourceNetwork) {
@@ -1560,6 +1587,18 @@ const BridgeForm = ({ onNavigateToTransfers }) => {
                 }
                 return null;
               })()}
+              {selectedBridgeInstance && formData.sourceToken && formData.amount && (() => {
+                const sourceToken = getAvailableSourceTokens(formData.sourceNetwork).find(t => t.symbol === formData.sourceToken);
+                return sourceToken ? (
+                  <RewardEstimator
+                    bridgeInstance={selectedBridgeInstance}
+                    sourceToken={sourceToken}
+                    amount={formData.amount}
+                    currentReward={formData.reward}
+                    onSelect={(reward) => handleInputChange('reward', reward)}
+                  />
+                ) : null;
+              })()}
             </div>
             </div>
           </div>
@@ -1708,6 +1747,15 @@ const BridgeForm = ({ onNavigateToTransfers }) => {
             )}
           </div>
 
+          {selectedBridgeInstance && (
+            <DestinationAction
+              destinationNetworkKey={Object.keys(NETWORKS).find(key => NETWORKS[key].name === formData.destinationNetwork)}
+              receiverAddress={formData.destinationAddress}
+              onReceiverChange={(address) => handleInputChange('destinationAddress', address)}
+              onChange={(data, error) => setDestinationData({ data, error })}
+            />
+          )}
+
                     {/* Submit Button */}
           {!showExpatriationFlow && !showRepatriationFlow ? (
             <button
@@ -1748,6 +1796,7 @@ const BridgeForm = ({ onNavigateToTransfers }) => {
               bridgeInstance={selectedBridgeInstance}
               formData={{
                 ...formData,
+                data: destinationData.data,
                 amount: convertDisplayToActual(formData.amount, sourceTokens.find(t => t.symbol === formData.sourceToken)?.decimals || 18, sourceTokens.find(t => t.symbol === formData.sourceToken)?.address, getTokenDecimalsDisplayMultiplier),
                 reward: convertDisplayToActual(formData.reward, sourceTokens.find(t => t.symbol === formData.sourceToken)?.decimals || 18, sourceTokens.find(t => t.symbol === formData.sourceToken)?.address, getTokenDecimalsDisplayMultiplier)
               }}
@@ -1779,6 +1828,7 @@ const BridgeForm = ({ onNavigateToTransfers }) => {
               bridgeInstance={selectedBridgeInstance}
               formData={{
                 ...formData,
+                data: destinationData.data,
                 amount: convertDisplayToActual(formData.amount, sourceTokens.find(t => t.symbol === formData.sourceToken)?.decimals || 18, sourceTokens.find(t => t.symbol === formData.sourceToken)?.address, getTokenDecimalsDisplayMultiplier),
                 reward: convertDisplayToActual(formData.reward, sourceTokens.find(t => t.symbol === formData.sourceToken)?.decimals || 18, sourceTokens.find(t => t.symbol === formData.sourceToken)?.address, getTokenDecimalsDisplayMultiplier)
               }}
@@ -7,6 +7,9 @@ import { convertActualToDisplay, convertDisplayToActual } from '../utils/decimal
 import { 
   createCounterstakeContract
 } from '../utils/bridge-contracts';
+import { getChallengeCall } from '../utils/claim-id';
+import { canBatchApproval, sendApproveAndCall } from '../utils/approve-and-call';
+import { getPermitSupport } from '../utils/token-permit';
 import { 
   AlertTriangle, 
   CheckCircle, 
@@ -38,6 +41,8 @@ const Challenge = ({ claim, onChallengeSuccess, onClose }) => {
   const [isRevoking, setIsRevoking] = useState(false);
   const [showClaimDetails, setShowClaimDetails] = useState(false);
   const [useMaxAllowance, setUseMaxAllowance] = useState(false);
+  const [permitSupported, setPermitSupported] = useState(false);
+  const [usePermit, setUsePermit] = useState(false);
 
   // Helper function to convert BigNumber (live or serialized) to string
   const convertBigNumberToString = (value) => {
@@ -161,6 +166,20 @@ const Challenge = ({ claim, onChallengeSuccess, onClose }) => {
     if (!stakeInfo?.stakeTokenAddress) return false;
     return stakeInfo.stakeTokenAddress.toLowerCase() === ADDRESS_ZERO.toLowerCase();
   }, [stakeInfo?.stakeTokenAddress]);
+
+  // Permits can only be submitted together with the challenge, in a batch
+  const batchApproval = Boolean(stakeInfo && canBatchApproval(stakeInfo.network, stakeInfo.stakeTokenAddress));
+  const permitTokenAddress = batchApproval ? stakeInfo.stakeTokenAddress : null;
+
+  useEffect(() => {
+    setPermitSupported(false);
+    if (!permitTokenAddress || !provider || !account) return undefined;
+    let cancelled = false;
+    getPermitSupport(provider, permitTokenAddress, account).then(support => {
+      if (!cancelled) setPermitSupported(support.supported);
+    });
+    return () => { cancelled = true; };
+  }, [permitTokenAddress, provider, account]);
   
   // Wrapper functions using the centralized decimal converter utilities
   // These wrap the utility functions with the correct getTokenDecimalsDisplayMultiplier function
@@ -387,94 +406,43 @@ const Challenge = ({ claim, onChallengeSuccess, onClose }) => {
       const stakeAmountWei = ethers.utils.parseUnits(validActualAmount, stakeDecimals);
       
       
-      // Skip approval for native tokens (zero address)
-      if (!isNativeStakeToken()) {
-        // First, approve the bridge to spend stake tokens
-        const stakeTokenAbi = [
-          "function approve(address spender, uint256 amount) returns (bool)",
-          "function allowance(address owner, address spender) view returns (uint256)"
-        ];
-        
-        const stakeTokenContract = new ethers.Contract(stakeTokenAddress, stakeTokenAbi, signer);
-        
-        // Check current allowance first
-        console.log(`Checking ${stakeInfo.stakeTokenSymbol} allowance...`);
-        const currentAllowance = await stakeTokenContract.allowance(account, claim.bridgeAddress);
-        console.log('Current allowance:', currentAllowance.toString());
-        console.log('Required amount:', stakeAmountWei.toString());
-        
-        // Determine approval amount based on checkbox
-        const approvalAmount = useMaxAllowance ? getMaxAllowance() : stakeAmountWei;
-        
-        // Only approve if current allowance is insufficient
-        // For max allowance: check if not already at max
-        // For specific amount: check if less than required
-        const needsApproval = useMaxAllowance 
-          ? !currentAllowance.eq(getMaxAllowance())
-          : currentAllowance.lt(stakeAmountWei);
-        
-        if (needsApproval) {
-          console.log(`Insufficient allowance, approving ${stakeInfo.stakeTokenSymbol} for bridge...`);
-          console.log(`Approval amount: ${useMaxAllowance ? 'MAX' : ethers.utils.formatUnits(stakeAmountWei, stakeDecimals)}`);
-          try {
-            const approveTx = await stakeTokenContract.approve(claim.bridgeAddress, approvalAmount);
-            await approveTx.wait();
-            console.log(`${stakeInfo.stakeTokenSymbol} approval successful`);
-            
-            // Refresh allowance display after approval
-            await getCurrentAllowance();
-          } catch (approveError) {
-            console.error(`Error approving ${stakeInfo.stakeTokenSymbol}:`, approveError);
-            
-            if (approveError.code === 'ACTION_REJECTED' || approveError.message?.includes('user rejected')) {
-              throw new Error(`${stakeInfo.stakeTokenSymbol} approval was cancelled by user`);
-            } else if (approveError.code === 'INSUFFICIENT_FUNDS') {
-              throw new Error(`Insufficient funds for ${stakeInfo.stakeTokenSymbol} approval`);
-            } else {
-              throw new Error(`${stakeInfo.stakeTokenSymbol} approval failed: ${approveError.message}`);
-            }
-          }
-        } else {
-          console.log('Sufficient allowance already exists, skipping approval');
-        }
-      } else {
-        console.log('Native stake token detected, skipping approval step');
-      }
-
-      // Now call the challenge function using explicit function signature for overloaded function
-      console.log(`Challenging claim ${actualClaimNumString} with outcome ${selectedOutcome} and stake ${stakeAmount} ${stakeInfo.stakeTokenSymbol}`);
-      
-      // Prepare transaction options
-      const txOptions = {
-        gasLimit: 500000
-      };
-      
-      // Add value for native tokens (zero address)
-      if (isNativeStakeToken()) {
-        txOptions.value = stakeAmountWei;
-      } else {
-        txOptions.value = 0; // Explicitly set value to 0 for ERC20 tokens
-      }
-      
-      try {
       // Convert actualClaimNum back to BigNumber for the contract call
       const actualClaimNumBigNumber = ethers.BigNumber.isBigNumber(actualClaimNum) ? actualClaimNum : ethers.BigNumber.from(actualClaimNumString);
-      const challengeTx = await contract.functions['challenge(uint256,uint8,uint256)'](actualClaimNumBigNumber, selectedOutcome, stakeAmountWei, txOptions);
-      
-      const receipt = await challengeTx.wait();
-      console.log('Challenge successful:', receipt);
-      } catch (challengeError) {
-        console.error('Error in challenge transaction:', challengeError);
-        
-        if (challengeError.code === 'ACTION_REJECTED' || challengeError.message?.includes('user rejected')) {
-          throw new Error('Challenge transaction was cancelled by user');
-        } else if (challengeError.code === 'INSUFFICIENT_FUNDS') {
-          throw new Error('Insufficient funds for challenge transaction');
-        } else if (challengeError.message?.includes('revert')) {
-          throw new Error('Challenge transaction was reverted by the contract');
-        } else {
-          throw new Error(`Challenge transaction failed: ${challengeError.message}`);
+      // Claims opened by their claim id are challenged by that id
+      const { signature, args } = getChallengeCall({
+        claimNum: actualClaimNumBigNumber,
+        claimId: claim.claimId,
+        outcome: selectedOutcome,
+        stake: stakeAmountWei
+      });
+      console.log(`Challenging claim ${actualClaimNumString} with outcome ${selectedOutcome} and stake ${stakeAmount} ${stakeInfo.stakeTokenSymbol}`);
+
+      // The stake approval, when the allowance falls short, goes out with the challenge in one batch
+      // transaction where the network supports it, as its own transaction before the challenge elsewhere
+      const { receipt, approved, batched, permitted } = await sendApproveAndCall({
+        signer,
+        networkConfig: stakeInfo.network,
+        approval: {
+          tokenAddress: isNativeStakeToken() ? ethers.constants.AddressZero : stakeTokenAddress,
+          spender: claim.bridgeAddress,
+          // With max allowance checked anything below the maximum is raised to it
+          required: useMaxAllowance && !usePermit ? getMaxAllowance() : stakeAmountWei,
+          usePermit: permitSupported && usePermit
+        },
+        call: {
+          label: 'Challenge',
+          to: claim.bridgeAddress,
+          // Native stakes are sent as the transaction value
+          value: isNativeStakeToken() ? stakeAmountWei : 0,
+          data: contract.interface.encodeFunctionData(signature, args),
+          gasLimit: 500000
         }
+      });
+      console.log('Challenge successful:', receipt, batched ? `(batched with ${permitted ? 'permit' : 'approval'})` : '');
+
+      if (approved) {
+        // Refresh allowance display after approval
+        await getCurrentAllowance();
       }
 
       toast.success(
@@ -919,6 +887,7 @@ const Challenge = ({ claim, onChallengeSuccess, onClose }) => {
                   type="checkbox"
                   id="useMaxAllowance"
                   checked={useMaxAllowance}
+                  disabled={usePermit}
                   onChange={(e) => setUseMaxAllowance(e.target.checked)}
                   className="w-4 h-4 text-primary-600 bg-dark-800 border-dark-600 rounded focus:ring-primary-500 focus:ring-2"
                 />
@@ -927,6 +896,23 @@ const Challenge = ({ claim, onChallengeSuccess, onClose }) => {
                 </label>
               </div>
             )}
+            {permitSupported && currentAllowance !== null && stakeAmount && currentAllowance !== 'Max' && parseFloat(currentAllowance) < parseFloat(stakeAmount) && (
+              <div className="mt-2 flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  id="usePermit"
+                  checked={usePermit}
+                  onChange={(e) => {
+                    setUsePermit(e.target.checked);
+                    if (e.target.checked) setUseMaxAllowance(false);
+                  }}
+                  className="w-4 h-4 text-primary-600 bg-dark-800 border-dark-600 rounded focus:ring-primary-500 focus:ring-2"
+                />
+                <label htmlFor="usePermit" className="text-sm text-secondary-400 cursor-pointer">
+                  Sign a permit for exactly this stake instead of an approval
+                </label>
+              </div>
+            )}
           </div>
 
           {/* Revoke Allowance Button - Show if there's any existing allowance and not native token */}
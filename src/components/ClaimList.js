@@ -1,17 +1,23 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
 import { ethers } from 'ethers';
 import { useWeb3 } from '../contexts/Web3Context';
 import { useSettings } from '../contexts/SettingsContext';
 import { useNetworkSwitcher } from '../hooks/useNetworkSwitcher';
 import { NETWORKS, getBridgeDirections, getBridgeAddressesForDirection } from '../config/networks';
-import { discoverAllBridgeEvents } from '../utils/parallel-bridge-discovery';
+import { discoverAllBridgeEvents, backfillAllBridgeEvents } from '../utils/parallel-bridge-discovery';
 import { aggregateClaimsAndTransfers } from '../utils/aggregate-claims-transfers';
 import { convertActualToDisplay } from '../utils/decimal-converter';
 import { normalizeAmount } from '../utils/data-normalizer';
 import { fetchClaimDetails } from '../utils/claim-details-fetcher.js';
 import { getBridgeABI, getCounterstakeABI, createContract } from '../utils/contract-factory.js';
-import { clearAllCachedEvents, getCachedTransfers, getCachedClaims, getCachedAggregated, getCachedSettings, getCacheTimestamp, setCachedData, STORAGE_KEYS } from '../utils/unified-event-cache';
+import { clearAllCachedEvents, loadCachedBridgeData, setCachedAggregated, updateCachedClaim, hasCachedBridgeData, getCachedBridgeEvents } from '../utils/unified-event-cache';
+import { subscribeToStorageErrors } from '../utils/event-store';
 import { getProvider } from '../utils/provider-manager';
+import { CLAIM_LIST_RANGE_HOURS, parseClaimListParams, getClaimListSearch, getClaimPath } from '../utils/routes';
+import { getBatchClaimKey } from '../utils/batch-claim';
+import { isClaimExpired, isWithdrawalEligible } from '../utils/batch-withdraw';
+import { DATA_FORMATS, decodeTransferData, getRememberedDataAbis } from '../utils/transfer-data';
 import {
   Clock, 
   CheckCircle, 
@@ -24,27 +30,72 @@ import {
   Copy,
   X,
   RefreshCw,
-  Clock9
+  Clock9,
+  Layers,
+  Activity
 } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
 import toast from 'react-hot-toast';
 import NewClaim from './NewClaim';
 import WithdrawClaim from './WithdrawClaim';
 import Challenge from './Challenge';
+import BatchClaim from './BatchClaim';
+import BatchWithdraw from './BatchWithdraw';
+import ClaimLookup from './ClaimLookup';
+import LiveClaims from './LiveClaims';
 
 // Note: Cache helpers now imported from unified-event-cache
 
-const clearCachedData = () => {
-  try {
-    Object.values(STORAGE_KEYS).forEach(key => {
-      localStorage.removeItem(key);
-    });
-  } catch (error) {
-    console.warn('Failed to clear cached data:', error);
+// Note: addTransferEventToStorage now imported from unified-event-cache
+
+// Label of a history range option
+const formatRangeHours = (hours) => {
+  if (hours <= 72) return `Last ${hours} hours`;
+  if (hours === 168) return 'Last week';
+  if (hours === 336) return 'Last 2 weeks';
+  return `Last ${hours / 24} days`;
+};
+
+// Readable form of the data a transfer carries to a CounterstakeReceiver, shown under the raw value
+const DecodedData = ({ data }) => {
+  const decoded = decodeTransferData(data, getRememberedDataAbis());
+  if (decoded.format === DATA_FORMATS.NONE) return null;
+
+  let content;
+  if (decoded.format === DATA_FORMATS.JSON) {
+    content = <pre className="whitespace-pre-wrap break-all">{JSON.stringify(decoded.json, null, 2)}</pre>;
+  } else if (decoded.format === DATA_FORMATS.ABI) {
+    content = decoded.functionName ? (
+      <div>
+        <div className="text-white">{decoded.functionName}(</div>
+        {decoded.args.map((arg, index) => (
+          <div key={index} className="pl-3 break-all">
+            <span className="text-secondary-400">{arg.name || `arg${index}`} ({arg.type}):</span> {arg.value}
+          </div>
+        ))}
+        <div className="text-white">)</div>
+      </div>
+    ) : (
+      <span className="text-secondary-400">ABI call {decoded.selector || ''} (unknown function)</span>
+    );
+  } else {
+    content = <span className="break-all">{decoded.text}</span>;
   }
+
+  return (
+    <div className="mt-1 bg-dark-900 rounded p-2 font-mono text-xs text-secondary-300">
+      <div className="text-secondary-500 mb-1">{decoded.format.toUpperCase()} · {decoded.size} bytes</div>
+      {content}
+    </div>
+  );
 };
 
-// Note: addTransferEventToStorage now imported from unified-event-cache
+// Stakes only matter for withdrawing, so they are checked for claims past their challenging period
+const getClaimsForStakeCheck = (aggregated) => {
+  const now = Math.floor(Date.now() / 1000);
+  return [...(aggregated?.completedTransfers || []), ...(aggregated?.suspiciousClaims || [])]
+    .filter(claim => isClaimExpired(claim, now));
+};
 
 // Helper functions for match/mismatch indicators
 const getMatchStatus = (claim) => {
@@ -193,21 +244,25 @@ const ClaimList = ({ activeTab }) => {
   const [aggregatedData, setAggregatedData] = useState(null);
   const [loading, setLoading] = useState(false);
   const [isInitialLoad, setIsInitialLoad] = useState(true);
-  const [filter, setFilter] = useState(() => {
-    // Check if there's a stored filter preference from navigation
-    const storedFilter = localStorage.getItem('claimListFilter');
-    if (storedFilter) {
-      localStorage.removeItem('claimListFilter'); // Clear after reading
-      return storedFilter;
-    }
-    return 'all';
-  }); // 'all', 'my', 'suspicious', 'pending', 'active'
-  const [bridgeDirection, setBridgeDirection] = useState('all'); // 'all' or specific direction ID
-  const [rangeHours, setRangeHours] = useState(24); // Hours of history to scan (default: 24)
+  // Filters live in the query string (?status=&direction=&range=&mode=) so a filtered list can be shared
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { filter, bridgeDirection: requestedDirection, rangeHours, mode } = parseClaimListParams(searchParams.toString());
+  const isLiveMode = mode === 'live'; // Ongoing claims read from the bridges instead of the event history
+  const bridgeDirection = getBridgeDirections().some(direction => direction.id === requestedDirection) ? requestedDirection : 'all';
+  const updateListParams = (changes) => {
+    setSearchParams(getClaimListSearch({ filter, bridgeDirection, rangeHours, mode, ...changes }), { replace: true });
+  };
+  const setFilter = (value) => updateListParams({ filter: value }); // 'all', 'my', 'suspicious', 'pending', 'active'
+  const setBridgeDirection = (value) => updateListParams({ bridgeDirection: value }); // 'all' or specific direction ID
+  const setRangeHours = (value) => updateListParams({ rangeHours: value }); // Hours of history to scan (default: 24)
+  const setMode = (value) => updateListParams({ mode: value }); // 'history' or 'live'
   const [isSearching, setIsSearching] = useState(false); // Track if search is in progress
   const [currentBlock, setCurrentBlock] = useState(null);
   const [showNewClaim, setShowNewClaim] = useState(false);
   const [selectedTransfer, setSelectedTransfer] = useState(null);
+  const [batchSelection, setBatchSelection] = useState({}); // Pending transfers picked for a batch claim: { [batchKey]: { transfer, network } }
+  const [batchClaim, setBatchClaim] = useState(null); // { transfers, networkConfig } of the open batch claim dialog
+  const [batchWithdraw, setBatchWithdraw] = useState(null); // { claims, networkConfig } of the open batch withdraw dialog
   const [showWithdrawModal, setShowWithdrawModal] = useState(false);
   const [showChallengeModal, setShowChallengeModal] = useState(false);
   const [selectedClaim, setSelectedClaim] = useState(null);
@@ -225,6 +280,15 @@ const ClaimList = ({ activeTab }) => {
     lastUpdated: null,
     cacheAge: null
   });
+  const [hasStoredData, setHasStoredData] = useState(false); // Whether the event store holds any events
+  const [isBackfilling, setIsBackfilling] = useState(false); // Whether older history is being loaded in the background
+  const backfillRunRef = useRef(0); // Incremented to stop a running backfill
+
+  // Stop the background backfill when the list unmounts
+  useEffect(() => () => { backfillRunRef.current += 1; }, []);
+
+  // Report event store write failures (e.g. a full storage quota) instead of failing silently
+  useEffect(() => subscribeToStorageErrors(error => toast.error(error.message, { id: 'event-store-error' })), []);
 
   // Parallel discovery state
   const [discoveryState, setDiscoveryState] = useState({
@@ -858,8 +922,12 @@ const ClaimList = ({ activeTab }) => {
       ...claim,
       formattedAmount: formatAmount(claim.amount, decimals, getTransferTokenAddress(claim)),
       tokenSymbol: getTransferTokenSymbol(claim),
+      tokenAddress: getTransferTokenAddress(claim),
+      tokenDecimals: decimals,
       formattedStake: formatAmount(totalStake, stakeDecimals, getStakeTokenAddress(claim)),
-      stakeTokenSymbol: getStakeTokenSymbol(claim)
+      stakeTokenSymbol: getStakeTokenSymbol(claim),
+      stakeTokenAddress: getStakeTokenAddress(claim),
+      stakeTokenDecimals: stakeDecimals
     };
   }, [getTokenDecimals, getStakeTokenDecimals, getTransferTokenSymbol, getStakeTokenSymbol, getTransferTokenAddress, getStakeTokenAddress, formatAmount]);
 
@@ -881,10 +949,18 @@ const ClaimList = ({ activeTab }) => {
     try {
       setCacheStatus(prev => ({ ...prev, isLoadingCached: true }));
       
-      const cachedClaims = getCachedClaims();
-      const cachedTransfers = getCachedTransfers();
-      const cachedAggregated = getCachedAggregated();
-      const cachedSettings = getCachedSettings();
+      const {
+        claims: cachedClaims,
+        transfers: cachedTransfers,
+        aggregated: cachedAggregated,
+        settings: cachedSettings,
+        timestamp
+      } = await loadCachedBridgeData();
+      setHasStoredData(
+        cachedClaims.length > 0 ||
+        cachedTransfers.length > 0 ||
+        (cachedAggregated?.completedTransfers?.length || 0) > 0
+      );
       
       if (cachedClaims || cachedTransfers || cachedAggregated) {
         // Set cached data immediately, but don't override recently updated claims
@@ -961,13 +1037,11 @@ const ClaimList = ({ activeTab }) => {
           
           setAggregatedData(mergedAggregated);
           
-          // Load stake information for cached completed claims
-          const completedClaims = cachedAggregated.completedTransfers
-            .filter(t => t.claim)
-            .map(t => t.claim);
+          // Load stake information for cached claims that can be withdrawn
+          const expiredClaims = getClaimsForStakeCheck(cachedAggregated);
           
-          if (completedClaims.length > 0) {
-            loadStakeInformation(completedClaims);
+          if (expiredClaims.length > 0) {
+            loadStakeInformation(expiredClaims);
           }
         } else if ((cachedClaims && cachedClaims.length > 0) || (cachedTransfers && cachedTransfers.length > 0)) {
           // If we have claims or transfers but no aggregated data, process them through aggregation
@@ -998,25 +1072,22 @@ const ClaimList = ({ activeTab }) => {
                 }
               };
               
-              setCachedData(STORAGE_KEYS.AGGREGATED, completedOnlyFallback);
+              setCachedAggregated(completedOnlyFallback);
             } else {
-              localStorage.removeItem(STORAGE_KEYS.AGGREGATED);
+              setCachedAggregated(null);
             }
             
-            // Load stake information for fallback completed claims
-            const completedClaims = fallbackAggregated.completedTransfers
-              .filter(t => t.claim)
-              .map(t => t.claim);
+            // Load stake information for fallback claims that can be withdrawn
+            const expiredClaims = getClaimsForStakeCheck(fallbackAggregated);
             
-            if (completedClaims.length > 0) {
-              loadStakeInformation(completedClaims);
+            if (expiredClaims.length > 0) {
+              loadStakeInformation(expiredClaims);
             }
           }
         }
         if (cachedSettings) setContractSettings(cachedSettings);
         
         // Update cache status
-        const timestamp = getCacheTimestamp();
         const lastUpdated = timestamp ? new Date(parseInt(timestamp)) : null;
         const cacheAge = timestamp ? Date.now() - parseInt(timestamp) : null;
         
@@ -1045,6 +1116,53 @@ const ClaimList = ({ activeTab }) => {
 
   // Cache statistics removed from UI - cache still works internally
 
+  // Scan older blocks of the given bridges window by window until their history is complete,
+  // then show the stored history of all displayed bridges
+  const backfillHistory = useCallback(async (displayedConfigs, backfillConfigs) => {
+    const runId = ++backfillRunRef.current;
+    const isCancelled = () => backfillRunRef.current !== runId;
+    let pendingConfigs = backfillConfigs;
+    setIsBackfilling(true);
+
+    try {
+      while (pendingConfigs.length > 0 && !isCancelled()) {
+        const step = await backfillAllBridgeEvents(pendingConfigs, { isCancelled });
+        // Bridges that failed are retried on the next search
+        pendingConfigs = pendingConfigs.filter(config => {
+          const result = step.bridgeResults.find(r => r.bridgeAddress === config.bridgeAddress);
+          return result && !result.done && !result.error;
+        });
+
+        if (step.eventCount > 0 && !isCancelled()) {
+          const stored = await Promise.all(displayedConfigs.map(config => getCachedBridgeEvents(config.bridgeAddress)));
+          const storedClaims = stored.flatMap(events => events.claims);
+          const storedTransfers = stored.flatMap(events => events.transfers);
+          const aggregated = aggregateClaimsAndTransfers(storedClaims, storedTransfers);
+          if (isCancelled()) break;
+
+          setAggregatedData({
+            ...aggregated,
+            fraudDetected: aggregated.suspiciousClaims.length > 0,
+            stats: {
+              totalClaims: storedClaims.length,
+              totalTransfers: storedTransfers.length,
+              completedTransfers: aggregated.completedTransfers.length,
+              suspiciousClaims: aggregated.suspiciousClaims.length,
+              pendingTransfers: aggregated.pendingTransfers.length
+            }
+          });
+          loadStakeInformation(getClaimsForStakeCheck(aggregated));
+        }
+      }
+    } catch (error) {
+      console.error('❌ History backfill failed:', error);
+    } finally {
+      if (!isCancelled()) {
+        setIsBackfilling(false);
+      }
+    }
+  }, [loadStakeInformation]);
+
   // New parallel discovery system
   const loadClaimsAndTransfersParallel = useCallback(async (forceRefresh = false) => {
     // Prevent concurrent executions
@@ -1107,11 +1225,18 @@ const ClaimList = ({ activeTab }) => {
           };
         });
       
+      // Stop a running backfill, its checkpoints would race with this scan
+      backfillRunRef.current += 1;
+      setIsBackfilling(false);
+
       // Step 2: Discover all bridge events in parallel
+      // Incremental: scans only blocks after the stored checkpoints (rangeHours on the first run)
+      // and returns the stored history of each bridge
       const discoveryResults = await discoverAllBridgeEvents(bridgeConfigs, {
         limit: 50,
         includeClaimData: false, // We'll load claim data separately
-        rangeHours: rangeHours // Use the selected range
+        rangeHours: rangeHours, // Use the selected range
+        incremental: true
       });
       
       // Check for 402 errors in bridge results
@@ -1193,19 +1318,27 @@ const ClaimList = ({ activeTab }) => {
           }
         };
         
-        setCachedData(STORAGE_KEYS.AGGREGATED, completedOnlyAggregated);
+        await setCachedAggregated(completedOnlyAggregated);
       } else {
         // Clear any existing aggregated cache if no completed transfers
-        localStorage.removeItem(STORAGE_KEYS.AGGREGATED);
+        await setCachedAggregated(null);
       }
+      setHasStoredData(await hasCachedBridgeData());
       
-      // Step 6: Load stake information for completed claims
-      const completedClaims = aggregated.completedTransfers
-        .filter(t => t.claim)
-        .map(t => t.claim);
+      // Step 6: Load stake information for claims that can be withdrawn
+      const expiredClaims = getClaimsForStakeCheck(aggregated);
       
-      if (completedClaims.length > 0) {
-        loadStakeInformation(completedClaims);
+      if (expiredClaims.length > 0) {
+        loadStakeInformation(expiredClaims);
+      }
+
+      // Step 7: Load older history of these bridges in the background
+      const backfillConfigs = bridgeConfigs.filter(config => {
+        const result = discoveryResults.bridgeResults.find(r => r.bridgeAddress === config.bridgeAddress);
+        return result && !result.error && !result.backfillComplete;
+      });
+      if (backfillConfigs.length > 0) {
+        backfillHistory(bridgeConfigs, backfillConfigs);
       }
 
     } catch (error) {
@@ -1215,13 +1348,16 @@ const ClaimList = ({ activeTab }) => {
       setLoading(false);
       setDiscoveryState(prev => ({ ...prev, isDiscovering: false }));
       }
-  }, [bridgeDirection, rangeHours, getBridgeInstancesWithSettings, getNetworkWithSettings, loading, isSearching, discoveryState.isDiscovering, isInitialLoad, loadCachedData, loadStakeInformation]);
+  }, [bridgeDirection, rangeHours, getBridgeInstancesWithSettings, getNetworkWithSettings, loading, isSearching, discoveryState.isDiscovering, isInitialLoad, loadCachedData, loadStakeInformation, backfillHistory]);
 
   // Legacy discovery system removed - using only parallel discovery system
 
   // Cache management functions
-  const clearCache = useCallback(() => {
-    clearCachedData();
+  const clearCache = useCallback(async () => {
+    backfillRunRef.current += 1;
+    setIsBackfilling(false);
+    await clearAllCachedEvents();
+    setHasStoredData(false);
     
     // Clear displayed data from the screen
     setClaims([]);
@@ -1274,28 +1410,85 @@ const ClaimList = ({ activeTab }) => {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []); // Empty dependency array since loadClaimsAndTransfersParallel is stable
 
-  // Callback for when a claim is withdrawn successfully
-  const handleWithdrawSuccess = useCallback((claimNum) => {
-    setShowWithdrawModal(false);
-    setSelectedClaim(null);
-    // Clear cache to ensure fresh data is fetched
-    clearAllCachedEvents();
-    // Refresh the claims list
-    loadClaimsAndTransfersParallel();
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []); // Empty dependency array since loadClaimsAndTransfersParallel is stable
+  // Selection for batch claiming only applies to the pending transfers view
+  useEffect(() => {
+    setBatchSelection({});
+  }, [filter]);
+
+  // All transfers of a batch are claimed in one wallet session, so they must share the claim network
+  const toggleBatchSelection = useCallback((transfer) => {
+    const key = getBatchClaimKey(transfer);
+    if (batchSelection[key]) {
+      setBatchSelection(prev => {
+        const { [key]: removed, ...rest } = prev;
+        return rest;
+      });
+      return;
+    }
 
-  // Callback for when a claim is challenged successfully
-  const handleChallengeSuccess = useCallback((claimNum) => {
-    setShowChallengeModal(false);
-    setSelectedClaim(null);
-    // Clear cache to ensure fresh data is fetched
-    clearAllCachedEvents();
-    // Refresh the claims list
+    const requiredNetwork = getRequiredNetworkForTransfer(transfer);
+    if (!requiredNetwork) {
+      toast.error('Could not determine the network this transfer is claimed on');
+      return;
+    }
+    const selectedNetwork = Object.values(batchSelection)[0]?.network;
+    if (selectedNetwork && selectedNetwork.id !== requiredNetwork.id) {
+      toast.error(`Only transfers claimed on ${selectedNetwork.name} can be added to this batch`);
+      return;
+    }
+    setBatchSelection(prev => ({ ...prev, [key]: { transfer, network: requiredNetwork } }));
+  }, [batchSelection, getRequiredNetworkForTransfer]);
+
+  const selectAllReadyTransfers = useCallback(() => {
+    let selectedNetwork = Object.values(batchSelection)[0]?.network || null;
+    const selection = { ...batchSelection };
+    (aggregatedData?.pendingTransfers || []).filter(isTransferReadyToClaim).forEach(transfer => {
+      const requiredNetwork = getRequiredNetworkForTransfer(transfer);
+      if (!requiredNetwork) return;
+      if (!selectedNetwork) selectedNetwork = requiredNetwork;
+      if (requiredNetwork.id === selectedNetwork.id) {
+        selection[getBatchClaimKey(transfer)] = { transfer, network: requiredNetwork };
+      }
+    });
+    setBatchSelection(selection);
+  }, [batchSelection, aggregatedData, isTransferReadyToClaim, getRequiredNetworkForTransfer]);
+
+  const handleBatchClaim = useCallback(async () => {
+    const selected = Object.values(batchSelection);
+    if (selected.length === 0) return;
+    if (!account) {
+      toast.error('Please connect your wallet to create claims');
+      return;
+    }
+
+    const networkConfig = selected[0].network;
+    const switchSuccess = await checkAndSwitchNetwork(networkConfig);
+    if (!switchSuccess) {
+      return;
+    }
+    setBatchClaim({ transfers: selected.map(entry => entry.transfer), networkConfig });
+  }, [batchSelection, account, checkAndSwitchNetwork]);
+
+  // Callback for when claims of a batch are confirmed
+  const handleBatchClaimSubmitted = useCallback(() => {
+    setBatchSelection({});
     loadClaimsAndTransfersParallel();
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []); // Empty dependency array since loadClaimsAndTransfersParallel is stable
 
+  const handleBatchWithdraw = useCallback(async (group) => {
+    if (!account) {
+      toast.error('Please connect your wallet to withdraw');
+      return;
+    }
+
+    const switchSuccess = await checkAndSwitchNetwork(group.network);
+    if (!switchSuccess) {
+      return;
+    }
+    setBatchWithdraw({ claims: group.claims, networkConfig: group.network });
+  }, [account, checkAndSwitchNetwork]);
+
   // Manual update for a specific claim
   const updateSpecificClaim = useCallback(async (claim) => {
     const claimNum = getClaimNumber(claim);
@@ -1449,23 +1642,14 @@ const ClaimList = ({ activeTab }) => {
       // Also update the cached data with the fresh claim data
       // Normalize amounts for consistent cache storage format (matching event-cached format)
       try {
-        const cachedClaims = getCachedClaims() || [];
-        const updatedCachedClaims = cachedClaims.map(c => 
-          c.bridgeAddress === claim.bridgeAddress && 
-          getClaimNumber(c) === claimNum 
-            ? {
-                ...updatedClaim,
-                // Normalize amounts for cache consistency (matching event-cached format)
-                amount: normalizeAmount(amount),
-                yesStake: normalizeAmount(yesStake),
-                noStake: normalizeAmount(noStake),
-                reward: normalizeAmount(claim.reward || updatedClaim.reward)
-              }
-            : c
-        );
-        
-        // Update the cache with the normalized data
-        setCachedData(STORAGE_KEYS.CLAIMS, updatedCachedClaims);
+        await updateCachedClaim({ bridgeAddress: claim.bridgeAddress, claimNum }, {
+          ...updatedClaim,
+          // Normalize amounts for cache consistency (matching event-cached format)
+          amount: normalizeAmount(amount),
+          yesStake: normalizeAmount(yesStake),
+          noStake: normalizeAmount(noStake),
+          reward: normalizeAmount(claim.reward || updatedClaim.reward)
+        });
       } catch (error) {
         console.warn('⚠️ Failed to update cached data:', error);
       }
@@ -1483,6 +1667,41 @@ const ClaimList = ({ activeTab }) => {
     }
   }, [getNetworkKeyFromName]);
 
+  // Callback for when a claim is withdrawn successfully
+  const handleWithdrawSuccess = useCallback((claimNum) => {
+    const withdrawnClaim = selectedClaim;
+    setShowWithdrawModal(false);
+    setSelectedClaim(null);
+    // Refresh only this claim from the contract; updateSpecificClaim writes it to the
+    // event store and the aggregated lists, so the stored history stays in place
+    if (withdrawnClaim) {
+      updateSpecificClaim(withdrawnClaim);
+    }
+  }, [selectedClaim, updateSpecificClaim]);
+
+  // Callback for when a claim is challenged successfully
+  const handleChallengeSuccess = useCallback((claimNum) => {
+    const challengedClaim = selectedClaim;
+    setShowChallengeModal(false);
+    setSelectedClaim(null);
+    if (challengedClaim) {
+      updateSpecificClaim(challengedClaim);
+    }
+  }, [selectedClaim, updateSpecificClaim]);
+
+  // Callback for when withdrawals of a batch are confirmed
+  const handleBatchWithdrawSubmitted = useCallback(async (withdrawnClaims) => {
+    // Withdrawn stakes are deleted on chain, so they no longer count as winning stakes
+    setUserStakes(prev => withdrawnClaims.reduce((next, claim) => ({
+      ...next,
+      [`${claim.bridgeAddress}-${getClaimNumber(claim)}-${account}`]: false
+    }), prev));
+    // Refresh the withdrawn claims one by one, keeping the rest of the event store
+    for (const claim of withdrawnClaims) {
+      await updateSpecificClaim(claim);
+    }
+  }, [account, updateSpecificClaim]);
+
   // getTimeSinceUpdate function removed - no longer needed since Updated badge was removed
 
 
@@ -1831,6 +2050,24 @@ const ClaimList = ({ activeTab }) => {
   };
 
 
+  // Expired claims the account won, grouped by the network they are withdrawn on
+  const getWithdrawalGroups = () => {
+    if (!account || !aggregatedData) return [];
+    const now = currentBlock ? currentBlock.timestamp : Math.floor(Date.now() / 1000);
+    const groups = new Map();
+    [...aggregatedData.completedTransfers, ...aggregatedData.suspiciousClaims].forEach(claim => {
+      const hasWinningStake = userStakes[`${claim.bridgeAddress}-${getClaimNumber(claim)}-${account}`] === true;
+      if (!isWithdrawalEligible(claim, { account, now, hasWinningStake })) return;
+      const requiredNetwork = getRequiredNetworkForClaim(claim);
+      if (!requiredNetwork) return;
+      const group = groups.get(requiredNetwork.id) || { network: requiredNetwork, claims: [] };
+      groups.set(requiredNetwork.id, { ...group, claims: [...group.claims, claim] });
+    });
+    return [...groups.values()];
+  };
+
+  const withdrawalGroups = getWithdrawalGroups();
+
   return (
     <div className="max-w-4xl mx-auto">
       {/* Header */}
@@ -1850,48 +2087,45 @@ const ClaimList = ({ activeTab }) => {
             ))}
           </select>
           
-          <select
-            value={rangeHours}
-            onChange={(e) => setRangeHours(parseInt(e.target.value))}
-            className="bg-dark-800 border border-dark-700 rounded-md px-3 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent w-full sm:w-auto sm:min-w-[140px]"
-            title="Select time range for data discovery"
-          >
-            <option value={6}>Last 6 hours</option>
-            <option value={12}>Last 12 hours</option>
-            <option value={24}>Last 24 hours</option>
-            <option value={48}>Last 48 hours</option>
-            <option value={72}>Last 72 hours</option>
-            <option value={96}>Last 4 days</option>
-            <option value={120}>Last 5 days</option>
-            <option value={168}>Last week</option>
-            <option value={240}>Last 10 days</option>
-            <option value={336}>Last 2 weeks</option>
-          </select>
+          {!isLiveMode && (
+            <>
+              <select
+                value={rangeHours}
+                onChange={(e) => setRangeHours(parseInt(e.target.value))}
+                className="bg-dark-800 border border-dark-700 rounded-md px-3 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent w-full sm:w-auto sm:min-w-[140px]"
+                title="History to scan on the first search, older history loads in the background"
+              >
+                {CLAIM_LIST_RANGE_HOURS.map((hours) => (
+                  <option key={hours} value={hours}>{formatRangeHours(hours)}</option>
+                ))}
+              </select>
           
-          <button
-            onClick={searchSelectedDirection}
-            disabled={isSearching}
-            className={`flex items-center justify-center gap-2 px-3 py-2 rounded-md text-sm font-medium transition-colors w-full sm:w-auto ${
-              isSearching
-                ? 'bg-dark-700 text-secondary-500 cursor-not-allowed'
-                : 'bg-primary-600 text-white hover:bg-primary-700 cursor-pointer'
-            }`}
-            title="Search for claims and transfers in selected direction"
-          >
-            {isSearching ? (
-              'Searching...'
-            ) : (
-              <>
-                <RefreshCw className="w-4 h-4" />
-                Search
-              </>
-            )}
-          </button>
+              <button
+                onClick={searchSelectedDirection}
+                disabled={isSearching}
+                className={`flex items-center justify-center gap-2 px-3 py-2 rounded-md text-sm font-medium transition-colors w-full sm:w-auto ${
+                  isSearching
+                    ? 'bg-dark-700 text-secondary-500 cursor-not-allowed'
+                    : 'bg-primary-600 text-white hover:bg-primary-700 cursor-pointer'
+                }`}
+                title="Search for claims and transfers in selected direction"
+              >
+                {isSearching ? (
+                  'Searching...'
+                ) : (
+                  <>
+                    <RefreshCw className="w-4 h-4" />
+                    Search
+                  </>
+                )}
+              </button>
+            </>
+          )}
         </div>
 
         {/* Filter Toggle - appears below on mobile */}
         <div className="flex items-center gap-3 order-2 sm:order-1">
-          <div className="flex bg-dark-800 rounded-lg p-1">
+          <div className={`${isLiveMode ? 'hidden' : 'flex'} bg-dark-800 rounded-lg p-1`}>
             <button
               onClick={() => setFilter('all')}
               className={`flex items-center gap-2 px-3 py-2 rounded-md text-sm font-medium transition-colors ${
@@ -1945,23 +2179,30 @@ const ClaimList = ({ activeTab }) => {
               <AlertTriangle className="w-4 h-4" />
             </button>
           </div>
+          <button
+            onClick={() => setMode(isLiveMode ? 'history' : 'live')}
+            className={`flex items-center gap-2 px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
+              isLiveMode
+                ? 'bg-green-600 text-white'
+                : 'bg-dark-800 text-secondary-400 hover:text-white hover:bg-dark-700'
+            }`}
+            title="Live claims: ongoing claims read from the bridges, refreshed on new blocks"
+          >
+            <Activity className="w-4 h-4" />
+            Live
+          </button>
         </div>
       </div>
 
+      {/* Open a claim by number or claim id */}
+      <ClaimLookup />
+
       {/* Prominent update notification removed - using green link in cache status instead */}
 
       {/* Cache Status */}
       {(() => {
-        // Check if there's actual cached data in storage
-        const cachedClaims = getCachedClaims();
-        const cachedTransfers = getCachedTransfers();
-        const cachedAggregated = getCachedAggregated();
-        const hasActualCache = (cachedClaims && cachedClaims.length > 0) || 
-                              (cachedTransfers && cachedTransfers.length > 0) || 
-                              (cachedAggregated && cachedAggregated.completedTransfers && cachedAggregated.completedTransfers.length > 0);
-        
         // Only show cache status if there's actual cached data
-        return hasActualCache && (
+        return !isLiveMode && hasStoredData && (
           <div className="mb-4 p-3">
             <div className="flex items-center justify-between">
               <div className="flex items-center gap-2 text-sm">
@@ -1979,6 +2220,12 @@ const ClaimList = ({ activeTab }) => {
                 )}
                 <span className="text-secondary-400">•</span>
                 <span className="text-blue-400">Range: {rangeHours}h</span>
+                {isBackfilling && (
+                  <>
+                    <span className="text-secondary-400">•</span>
+                    <span className="text-yellow-400">Loading older history...</span>
+                  </>
+                )}
               </div>
               <div className="flex items-center gap-2">
                 {cacheStatus.isRefreshing ? (
@@ -2013,8 +2260,11 @@ const ClaimList = ({ activeTab }) => {
 
       {/* Parallel Discovery Progress removed per request */}
 
+      {/* Live Claims */}
+      {isLiveMode && <LiveClaims bridgeDirection={bridgeDirection} />}
+
       {/* Loading State */}
-      {(loading || isSearching) && (
+      {!isLiveMode && (loading || isSearching) && (
         <div className="text-center py-12">
           <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-500 mx-auto mb-4"></div>
           <p className="text-secondary-400">
@@ -2030,6 +2280,8 @@ const ClaimList = ({ activeTab }) => {
 
       {/* Empty State */}
       {(() => {
+        if (isLiveMode) return null;
+
         // Check if we're not loading or searching
         const isNotLoading = !loading && !isSearching && !cacheStatus.isLoadingCached;
         
@@ -2040,16 +2292,8 @@ const ClaimList = ({ activeTab }) => {
           aggregatedData.pendingTransfers.length === 0
         );
         
-        // Check if there's no cached data in storage
-        const cachedClaims = getCachedClaims();
-        const cachedTransfers = getCachedTransfers();
-        const cachedAggregated = getCachedAggregated();
-        const hasNoCachedData = (!cachedClaims || cachedClaims.length === 0) && 
-                                (!cachedTransfers || cachedTransfers.length === 0) && 
-                                (!cachedAggregated || !cachedAggregated.completedTransfers || cachedAggregated.completedTransfers.length === 0);
-        
         // Show empty state if not loading and there's no data from either source
-        const shouldShowEmpty = isNotLoading && hasNoAggregatedData && hasNoCachedData;
+        const shouldShowEmpty = isNotLoading && hasNoAggregatedData && !hasStoredData;
         
         return shouldShowEmpty && (
           <div className="text-center py-12">
@@ -2078,9 +2322,75 @@ const ClaimList = ({ activeTab }) => {
         );
       })()}
 
+      {/* Batch Claim Selection */}
+      {!isLiveMode && filter === 'pending' && aggregatedData?.pendingTransfers.length > 0 && (() => {
+        const selected = Object.values(batchSelection);
+        return (
+          <div className="card mb-4 flex flex-wrap items-center justify-between gap-3">
+            <div className="flex items-center gap-2 text-sm text-secondary-300">
+              <Layers className="w-4 h-4 text-primary-500" />
+              {selected.length > 0
+                ? `${selected.length} transfer${selected.length !== 1 ? 's' : ''} selected for claiming on ${selected[0].network.name}`
+                : 'Select ready transfers to claim them together'}
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={selectAllReadyTransfers}
+                className="btn-secondary text-sm"
+              >
+                Select All Ready
+              </button>
+              {selected.length > 0 && (
+                <button
+                  onClick={() => setBatchSelection({})}
+                  className="btn-secondary text-sm"
+                >
+                  Clear
+                </button>
+              )}
+              <button
+                onClick={handleBatchClaim}
+                disabled={selected.length === 0}
+                className="btn-primary flex items-center gap-2 text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <Layers className="w-4 h-4" />
+                Claim Selected
+              </button>
+            </div>
+          </div>
+        );
+      })()}
+
+      {/* Batch Withdrawal */}
+      {!isLiveMode && filter !== 'pending' && withdrawalGroups.length > 0 && (
+        <div className="card mb-4 flex flex-wrap items-center justify-between gap-3">
+          <div className="flex items-center gap-2 text-sm text-secondary-300">
+            <Layers className="w-4 h-4 text-primary-500" />
+            {(() => {
+              const count = withdrawalGroups.reduce((sum, group) => sum + group.claims.length, 0);
+              return `${count} finished claim${count !== 1 ? 's' : ''} can be withdrawn`;
+            })()}
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {withdrawalGroups.map(group => (
+              <button
+                key={group.network.id}
+                onClick={() => handleBatchWithdraw(group)}
+                className="btn-primary flex items-center gap-2 text-sm"
+              >
+                <Layers className="w-4 h-4" />
+                Withdraw All Eligible{withdrawalGroups.length > 1 ? ` on ${group.network.name}` : ''} ({group.claims.length})
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Claims List */}
       <AnimatePresence>
         {(() => {
+          if (isLiveMode) return null;
+
           // Get the appropriate data based on filter
           let displayData = [];
           if (aggregatedData) {
@@ -2206,9 +2516,19 @@ const ClaimList = ({ activeTab }) => {
                 {/* Claim Info */}
                 <div className="flex-1">
                   <div className="flex items-center gap-3 mb-3">
-                    <span className="text-sm font-medium text-white">
-                      {isPending ? `Transfer #${index + 1}` : (isTransfer ? `Transfer #${index + 1}` : `Claim #${getClaimNumber(claim) || 'N/A'}`)}
-                    </span>
+                    {!isPending && !isTransfer && claim.networkKey && claim.bridgeAddress && getClaimNumber(claim) ? (
+                      <Link
+                        to={getClaimPath({ networkKey: claim.networkKey, bridgeAddress: claim.bridgeAddress, claimNum: getClaimNumber(claim) })}
+                        className="text-sm font-medium text-white hover:text-primary-400 transition-colors"
+                        title="Open claim page"
+                      >
+                        {`Claim #${getClaimNumber(claim)}`}
+                      </Link>
+                    ) : (
+                      <span className="text-sm font-medium text-white">
+                        {isPending ? `Transfer #${index + 1}` : (isTransfer ? `Transfer #${index + 1}` : `Claim #${getClaimNumber(claim) || 'N/A'}`)}
+                      </span>
+                    )}
                     {isSuspicious && status === 'withdrawn' && <CheckCircle className="w-4 h-4 text-green-500" />}
                     {isSuspicious && status === 'active' && <Clock9 className="w-4 h-4 text-warning-500" />}
                     {isSuspicious && <AlertTriangle className="w-4 h-4 text-red-500" />}
@@ -2343,6 +2663,7 @@ const ClaimList = ({ activeTab }) => {
                               <span className="text-white ml-2 font-mono text-xs">
                                 {claim.transfer.data || '0x'}
                               </span>
+                              <DecodedData data={claim.transfer.data} />
                             </div>
                           </div>
                         </div>
@@ -2531,6 +2852,7 @@ const ClaimList = ({ activeTab }) => {
                                   );
                                 }
                               })()}
+                              <DecodedData data={claim.data} />
                             </div>
                             <div>
                               <span className="text-secondary-400">Claim Block:</span>
@@ -2908,6 +3230,17 @@ const ClaimList = ({ activeTab }) => {
                     {/* Create Claim Button for Pending Transfers */}
                     {isPending && (
                       <>
+                        {isTransferReadyToClaim(claim) && filter === 'pending' && (
+                          <label className="flex items-center gap-2 text-sm text-secondary-300 cursor-pointer">
+                            <input
+                              type="checkbox"
+                              checked={!!batchSelection[getBatchClaimKey(item)]}
+                              onChange={() => toggleBatchSelection(item)}
+                              className="rounded border-secondary-600 bg-dark-800"
+                            />
+                            Select
+                          </label>
+                        )}
                         {isTransferReadyToClaim(claim) ? (
                           <button
                             onClick={async () => {
@@ -3027,6 +3360,26 @@ const ClaimList = ({ activeTab }) => {
         onClaimSubmitted={handleClaimSubmitted}
       />
 
+      {/* Batch Claim Dialog */}
+      {batchClaim && (
+        <BatchClaim
+          transfers={batchClaim.transfers}
+          networkConfig={batchClaim.networkConfig}
+          onClaimsSubmitted={handleBatchClaimSubmitted}
+          onClose={() => setBatchClaim(null)}
+        />
+      )}
+
+      {/* Batch Withdraw Dialog */}
+      {batchWithdraw && (
+        <BatchWithdraw
+          claims={batchWithdraw.claims}
+          networkConfig={batchWithdraw.networkConfig}
+          onWithdrawalsSubmitted={handleBatchWithdrawSubmitted}
+          onClose={() => setBatchWithdraw(null)}
+        />
+      )}
+
       {/* Withdraw Claim Dialog */}
       {showWithdrawModal && selectedClaim && (
         <WithdrawClaim
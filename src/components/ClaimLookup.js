@@ -0,0 +1,109 @@
+import React, { useState, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Search } from 'lucide-react';
+import { useSettings } from '../contexts/SettingsContext';
+import { getBridgeNetworkKey } from '../utils/assistant-manager';
+import { isClaimNum, parseClaimId } from '../utils/claim-id';
+import { getClaimPath } from '../utils/routes';
+
+/**
+ * Opens the page of a claim from its number or its claim id
+ */
+const ClaimLookup = () => {
+  const navigate = useNavigate();
+  const { getBridgeInstancesWithSettings, getAllNetworksWithSettings } = useSettings();
+  const [bridgeAddress, setBridgeAddress] = useState('');
+  const [value, setValue] = useState('');
+
+  // Claims live on the network whose configuration lists the bridge
+  const bridges = useMemo(() => {
+    const networks = getAllNetworksWithSettings();
+    return Object.values(getBridgeInstancesWithSettings())
+      .filter(bridge => bridge.address)
+      .map(bridge => ({ ...bridge, networkKey: getBridgeNetworkKey(bridge.address, networks) }))
+      .filter(bridge => bridge.networkKey);
+  }, [getBridgeInstancesWithSettings, getAllNetworksWithSettings]);
+
+  const input = value.trim();
+  const parsed = useMemo(() => {
+    if (!input || isClaimNum(input)) return { fields: null, error: null };
+    try {
+      return { fields: parseClaimId(input), error: null };
+    } catch (error) {
+      return { fields: null, error: error.message };
+    }
+  }, [input]);
+
+  const bridge = bridges.find(b => b.address === bridgeAddress);
+  const canOpen = Boolean(bridge && input && !parsed.error);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!canOpen) return;
+    navigate(getClaimPath({ networkKey: bridge.networkKey, bridgeAddress: bridge.address, claimNum: input }));
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mb-4 p-3 bg-dark-800 border border-dark-700 rounded-lg space-y-2">
+      <div className="flex flex-col sm:flex-row gap-2">
+        <select
+          value={bridgeAddress}
+          onChange={(e) => setBridgeAddress(e.target.value)}
+          className="bg-dark-900 border border-dark-700 rounded-md px-3 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-primary-500 sm:w-56"
+        >
+          <option value="">Select bridge</option>
+          {bridges.map(b => (
+            <option key={b.address} value={b.address}>
+              {b.description || b.address} ({b.networkKey})
+            </option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          placeholder="Claim number or claim id"
+          className="flex-1 bg-dark-900 border border-dark-700 rounded-md px-3 py-2 text-sm text-white font-mono focus:outline-none focus:ring-2 focus:ring-primary-500"
+        />
+        <button
+          type="submit"
+          disabled={!canOpen}
+          className="flex items-center justify-center gap-2 px-3 py-2 rounded-md text-sm font-medium bg-primary-600 text-white hover:bg-primary-700 disabled:bg-dark-700 disabled:text-secondary-500 disabled:cursor-not-allowed transition-colors"
+        >
+          <Search className="w-4 h-4" />
+          Find claim
+        </button>
+      </div>
+
+      {parsed.error && <p className="text-red-400 text-xs">{parsed.error}</p>}
+      {parsed.fields && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-4 gap-y-1 text-xs">
+          <div className="truncate">
+            <span className="text-secondary-400">Sender: </span>
+            <span className="text-white font-mono">{parsed.fields.senderAddress}</span>
+          </div>
+          <div className="truncate">
+            <span className="text-secondary-400">Recipient: </span>
+            <span className="text-white font-mono">{parsed.fields.recipientAddress}</span>
+          </div>
+          <div className="truncate">
+            <span className="text-secondary-400">Transfer: </span>
+            <span className="text-white font-mono">{parsed.fields.txid}</span>
+          </div>
+          <div className="truncate">
+            <span className="text-secondary-400">Sent at: </span>
+            <span className="text-white">{new Date(parsed.fields.txts * 1000).toLocaleString()}</span>
+          </div>
+          {parsed.fields.data && (
+            <div className="truncate sm:col-span-2">
+              <span className="text-secondary-400">Data: </span>
+              <span className="text-white font-mono">{parsed.fields.data}</span>
+            </div>
+          )}
+        </div>
+      )}
+    </form>
+  );
+};
+
+export default ClaimLookup;
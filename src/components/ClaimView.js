@@ -0,0 +1,309 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ethers } from 'ethers';
+import { Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { motion } from 'framer-motion';
+import { ArrowLeft, FileText, Link2, RefreshCw } from 'lucide-react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { useSettings } from '../contexts/SettingsContext';
+import { useNetworkSwitcher } from '../hooks/useNetworkSwitcher';
+import { fetchClaimDetails } from '../utils/claim-details-fetcher.js';
+import { createCounterstakeContract } from '../utils/contract-factory';
+import { isClaimNum, parseClaimId, resolveClaimNum } from '../utils/claim-id';
+import { getProvider } from '../utils/provider-manager';
+import { getTokenByAddress } from '../utils/token-helpers';
+import { convertActualToDisplay } from '../utils/decimal-converter';
+import { OUTCOME_YES } from '../utils/assistant-manager';
+import { TAB_PATHS } from '../utils/routes';
+import WithdrawClaim from './WithdrawClaim';
+import Challenge from './Challenge';
+
+/**
+ * Single claim page opened from /transfers/:networkKey/:bridgeAddress/:claimNum, where claimNum can also be a claim id
+ */
+const ClaimView = ({ networkKey, bridgeAddress, claimNum }) => {
+  const { account } = useWeb3();
+  const { getBridgeInstancesWithSettings, getTokenDecimalsDisplayMultiplier } = useSettings();
+  const { getRequiredNetworkForClaim, checkAndSwitchNetwork } = useNetworkSwitcher();
+  const [claim, setClaim] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [showWithdrawModal, setShowWithdrawModal] = useState(false);
+  const [showChallengeModal, setShowChallengeModal] = useState(false);
+
+  const loadClaim = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      if (!ethers.utils.isAddress(bridgeAddress)) {
+        throw new Error('Invalid claim link');
+      }
+      const claimId = isClaimNum(claimNum) ? null : claimNum;
+      if (claimId) {
+        parseClaimId(claimId);
+      }
+
+      const bridge = Object.values(getBridgeInstancesWithSettings())
+        .find(b => b.address?.toLowerCase() === bridgeAddress.toLowerCase());
+      if (!bridge) {
+        throw new Error(`Bridge ${bridgeAddress} is not configured`);
+      }
+
+      const provider = getProvider(networkKey);
+      let claimNumber = claimId ? null : ethers.BigNumber.from(claimNum);
+      if (claimId) {
+        claimNumber = await resolveClaimNum(createCounterstakeContract(bridge.address, provider), claimId);
+        if (!claimNumber) {
+          throw new Error('No claim with this claim id on this bridge');
+        }
+      }
+
+      const details = await fetchClaimDetails({
+        provider,
+        contractAddress: bridge.address,
+        bridgeType: bridge.type,
+        claimNum: claimNumber,
+      });
+      if (!details) {
+        throw new Error(`Claim #${claimNumber.toString()} does not exist on this bridge`);
+      }
+
+      // Claims are paid in the bridge token of the network they are made on
+      const tokenAddress = bridge.type === 'export' ? bridge.homeTokenAddress : bridge.foreignTokenAddress;
+      const token = getTokenByAddress(networkKey, tokenAddress);
+      const stakeToken = getTokenByAddress(networkKey, bridge.stakeTokenAddress);
+      const formatToken = (amount, tokenInfo, address) => {
+        const decimals = tokenInfo?.decimals || 18;
+        return convertActualToDisplay(ethers.utils.formatUnits(amount, decimals), decimals, address, getTokenDecimalsDisplayMultiplier);
+      };
+
+      // Same shape as the claims of ClaimList so the withdraw and challenge dialogs can be reused
+      setClaim({
+        networkKey,
+        bridgeAddress: bridge.address,
+        bridgeType: bridge.type,
+        claimNum: claimNumber,
+        actualClaimNum: claimNumber,
+        claimId,
+        amount: details.amount,
+        recipientAddress: details.recipient_address,
+        senderAddress: details.sender_address,
+        claimant_address: details.claimant_address,
+        txts: details.txts,
+        ts: details.ts,
+        expiryTs: ethers.BigNumber.from(details.expiry_ts),
+        currentOutcome: details.current_outcome,
+        periodNumber: details.period_number,
+        isLarge: details.is_large,
+        finished: details.finished,
+        withdrawn: details.withdrawn,
+        yesStake: details.yes_stake,
+        noStake: details.no_stake,
+        homeNetwork: bridge.homeNetwork,
+        foreignNetwork: bridge.foreignNetwork,
+        homeTokenSymbol: bridge.homeTokenSymbol,
+        homeTokenAddress: bridge.homeTokenAddress,
+        foreignTokenSymbol: bridge.foreignTokenSymbol,
+        foreignTokenAddress: bridge.foreignTokenAddress,
+        homeTokenDecimals: getTokenByAddress(networkKey, bridge.homeTokenAddress)?.decimals,
+        foreignTokenDecimals: getTokenByAddress(networkKey, bridge.foreignTokenAddress)?.decimals,
+        bridgeTokenSymbol: token?.symbol || (bridge.type === 'export' ? bridge.homeTokenSymbol : bridge.foreignTokenSymbol),
+        tokenSymbol: token?.symbol || (bridge.type === 'export' ? bridge.homeTokenSymbol : bridge.foreignTokenSymbol),
+        stakeTokenSymbol: bridge.stakeTokenSymbol,
+        tokenAddress,
+        tokenDecimals: token?.decimals || 18,
+        stakeTokenAddress: bridge.stakeTokenAddress,
+        stakeTokenDecimals: stakeToken?.decimals || 18,
+        formattedAmount: formatToken(details.amount, token, tokenAddress),
+        formattedStake: formatToken(details.yes_stake.add(details.no_stake), stakeToken, bridge.stakeTokenAddress),
+        formattedYesStake: formatToken(details.yes_stake, stakeToken, bridge.stakeTokenAddress),
+        formattedNoStake: formatToken(details.no_stake, stakeToken, bridge.stakeTokenAddress),
+        description: bridge.description,
+      });
+    } catch (err) {
+      console.error('❌ Error loading claim:', err);
+      setClaim(null);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [networkKey, bridgeAddress, claimNum, getBridgeInstancesWithSettings, getTokenDecimalsDisplayMultiplier]);
+
+  useEffect(() => {
+    loadClaim();
+  }, [loadClaim]);
+
+  const now = Math.floor(Date.now() / 1000);
+  const isExpired = claim && claim.expiryTs.toNumber() <= now;
+  const canChallenge = claim && !claim.finished && !isExpired;
+  // Anyone can withdraw for the winning claimant or a winning staker, the dialog previews the payout
+  const canWithdraw = claim && account && isExpired;
+
+  const getStatusText = () => {
+    if (claim.withdrawn) return 'Withdrawn';
+    if (claim.finished) return 'Finished';
+    if (!isExpired) return 'Challenging period';
+    return claim.currentOutcome === OUTCOME_YES ? 'Ready to withdraw' : 'Rejected';
+  };
+
+  const openModal = async (setShowModal) => {
+    const switchSuccess = await checkAndSwitchNetwork(getRequiredNetworkForClaim(claim));
+    if (switchSuccess) setShowModal(true);
+  };
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      toast.success('Link copied');
+    } catch (err) {
+      toast.error('Failed to copy link');
+    }
+  };
+
+  const handleActionSuccess = (setShowModal) => () => {
+    setShowModal(false);
+    loadClaim();
+  };
+
+  return (
+    <div className="space-y-6">
+      <Link to={TAB_PATHS.transfers} className="inline-flex items-center space-x-2 text-secondary-400 hover:text-white text-sm transition-colors">
+        <ArrowLeft className="w-4 h-4" />
+        <span>All transfers</span>
+      </Link>
+
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="card p-6"
+      >
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center space-x-3">
+            <FileText className="w-6 h-6 text-primary-500" />
+            <h2 className="text-xl font-bold text-white">
+              Claim #{claim ? claim.actualClaimNum.toString() : (isClaimNum(claimNum) ? claimNum : '...')}
+            </h2>
+          </div>
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={handleCopyLink}
+              className="p-2 rounded-lg bg-dark-800 border border-secondary-700 hover:bg-dark-700 transition-colors"
+              title="Copy link"
+            >
+              <Link2 className="w-4 h-4" />
+            </button>
+            <button
+              onClick={loadClaim}
+              disabled={loading}
+              className="p-2 rounded-lg bg-dark-800 border border-secondary-700 hover:bg-dark-700 transition-colors disabled:opacity-50"
+              title="Refresh"
+            >
+              <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+            </button>
+          </div>
+        </div>
+
+        {loading && !claim && (
+          <p className="text-secondary-400 text-sm">Loading claim...</p>
+        )}
+
+        {error && (
+          <div className="bg-red-900/20 border border-red-700 rounded-lg p-3 text-red-400 text-sm">
+            {error}
+          </div>
+        )}
+
+        {claim && (
+          <>
+            <div className="flex items-center justify-between mb-4">
+              <span className="text-secondary-400 text-sm">{claim.description}</span>
+              <span className={`text-sm font-medium ${
+                claim.withdrawn || (isExpired && claim.currentOutcome === OUTCOME_YES)
+                  ? 'text-green-400'
+                  : isExpired ? 'text-red-400' : 'text-yellow-400'
+              }`}>
+                {getStatusText()}
+              </span>
+            </div>
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 text-sm">
+              <div>
+                <div className="text-secondary-400">Amount</div>
+                <div className="text-white">{claim.formattedAmount} {claim.tokenSymbol}</div>
+              </div>
+              <div>
+                <div className="text-secondary-400">Current outcome</div>
+                <div className="text-white">{claim.currentOutcome === OUTCOME_YES ? 'YES' : 'NO'} (period {claim.periodNumber})</div>
+              </div>
+              <div>
+                <div className="text-secondary-400">Recipient</div>
+                <div className="text-white font-mono text-xs break-all">{claim.recipientAddress}</div>
+              </div>
+              <div>
+                <div className="text-secondary-400">Claimant</div>
+                <div className="text-white font-mono text-xs break-all">{claim.claimant_address}</div>
+              </div>
+              <div>
+                <div className="text-secondary-400">Sender</div>
+                <div className="text-white font-mono text-xs break-all">{claim.senderAddress}</div>
+              </div>
+              <div>
+                <div className="text-secondary-400">Stakes</div>
+                <div className="text-white">
+                  YES {claim.formattedYesStake} / NO {claim.formattedNoStake} {claim.stakeTokenSymbol}
+                </div>
+              </div>
+              {claim.claimId && (
+                <div className="sm:col-span-2">
+                  <div className="text-secondary-400">Claim ID</div>
+                  <div className="text-white font-mono text-xs break-all">{claim.claimId}</div>
+                </div>
+              )}
+              <div>
+                <div className="text-secondary-400">Claimed at</div>
+                <div className="text-white">{new Date(claim.ts * 1000).toLocaleString()}</div>
+              </div>
+              <div>
+                <div className="text-secondary-400">Challenging period ends</div>
+                <div className="text-white">{new Date(claim.expiryTs.toNumber() * 1000).toLocaleString()}</div>
+              </div>
+            </div>
+
+            {(canChallenge || canWithdraw) && (
+              <div className="flex items-center space-x-3 mt-6">
+                {canChallenge && (
+                  <button onClick={() => openModal(setShowChallengeModal)} className="btn-primary">
+                    Challenge
+                  </button>
+                )}
+                {canWithdraw && (
+                  <button onClick={() => openModal(setShowWithdrawModal)} className="btn-primary">
+                    Withdraw
+                  </button>
+                )}
+              </div>
+            )}
+          </>
+        )}
+      </motion.div>
+
+      {showWithdrawModal && claim && (
+        <WithdrawClaim
+          claim={claim}
+          onWithdrawSuccess={handleActionSuccess(setShowWithdrawModal)}
+          onClose={() => setShowWithdrawModal(false)}
+        />
+      )}
+
+      {showChallengeModal && claim && (
+        <Challenge
+          claim={claim}
+          onChallengeSuccess={handleActionSuccess(setShowChallengeModal)}
+          onClose={() => setShowChallengeModal(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default ClaimView;
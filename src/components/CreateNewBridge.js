@@ -16,13 +16,15 @@ import { motion, AnimatePresence } from 'framer-motion';
 import toast from 'react-hot-toast';
 import { ethers } from 'ethers';
 import { handleTransactionError } from '../utils/error-handler';
+import {
+  DEFAULT_COUNTERSTAKE_COEF,
+  DEFAULT_RATIO,
+  DEFAULT_LARGE_THRESHOLD,
+  DEFAULT_CHALLENGING_PERIODS,
+  DEFAULT_LARGE_CHALLENGING_PERIODS,
+} from '../utils/bridge-deployment';
 
 // Constants
-const DEFAULT_COUNTERSTAKE_COEF = '160'; // 1.6%
-const DEFAULT_RATIO = '110'; // 1.1%
-const DEFAULT_LARGE_THRESHOLD = '10000'; // 10k tokens
-const DEFAULT_CHALLENGING_PERIODS = [14*3600, 3*24*3600, 7*24*3600, 30*24*3600]; // [14h, 3d, 7d, 30d]
-const DEFAULT_LARGE_CHALLENGING_PERIODS = [1*7*24*3600, 30*24*3600, 60*24*3600]; // [1week, 30days, 60days]
 const GAS_LIMIT = 5000000; // Fallback gas limit for wrapper bridges
 const GAS_BUFFER_MULTIPLIER = 1.2; // 20% buffer for gas estimation
 
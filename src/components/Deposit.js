@@ -11,7 +11,10 @@ import {
   BATCH_ABI,
   IPRECOMPILE_ERC20_ABI
 } from '../contracts/abi';
+import { BATCH_PRECOMPILE_ADDRESS } from '../config/networks';
 import { handleTransactionError } from '../utils/error-handler';
+import { getWalletProvider } from '../utils/wallet-providers';
+import { getPermitSupport, signPermit, buildPermitCall } from '../utils/token-permit';
 
 const Deposit = ({ assistant, onClose, onSuccess }) => {
   console.log('🎯 Deposit component rendered for assistant:', assistant.address);
@@ -30,6 +33,8 @@ const Deposit = ({ assistant, onClose, onSuccess }) => {
   const [requiredNetwork, setRequiredNetwork] = useState(null);
   const [useMaxAllowance, setUseMaxAllowance] = useState(false);
   const [isRevoking, setIsRevoking] = useState(false);
+  const [permitTokens, setPermitTokens] = useState({ stake: false, image: false }); // EIP-2612 support, ImportWrapper only
+  const [usePermit, setUsePermit] = useState(false);
 
   // Get the appropriate ABI based on assistant type
   const getAssistantABI = useCallback(() => {
@@ -304,6 +309,33 @@ const Deposit = ({ assistant, onClose, onSuccess }) => {
 
   // Use getImageTokenAddress consistently for ImportWrapper assistants
   const imageTokenAddress = getImageTokenAddress(assistant);
+
+  // Amounts buyShares pulls from an ImportWrapper deposit, converted the same way handleDeposit does
+  const getDepositAmountsWei = useCallback(() => {
+    try {
+      const stakeDecimals = getTokenDecimalsFromSettings(stakeTokenAddress);
+      return {
+        stake: ethers.utils.parseUnits(convertDisplayToActual(amount, stakeDecimals, stakeTokenAddress), stakeDecimals),
+        image: ethers.utils.parseUnits(imageAmount || '0', get3DPassTokenDecimals(imageTokenAddress) || 18),
+      };
+    } catch (error) {
+      return { stake: ethers.constants.Zero, image: ethers.constants.Zero };
+    }
+  }, [amount, imageAmount, stakeTokenAddress, imageTokenAddress, getTokenDecimalsFromSettings, convertDisplayToActual, get3DPassTokenDecimals]);
+
+  // Permits go out in the batch approval, so only ImportWrapper assistants offer them
+  React.useEffect(() => {
+    setPermitTokens({ stake: false, image: false });
+    if (assistant.type !== 'import_wrapper' || !provider || !account || !stakeTokenAddress || !imageTokenAddress) return undefined;
+    let cancelled = false;
+    Promise.all([
+      getPermitSupport(provider, stakeTokenAddress, account),
+      getPermitSupport(provider, imageTokenAddress, account),
+    ]).then(([stake, image]) => {
+      if (!cancelled) setPermitTokens({ stake: stake.supported, image: image.supported });
+    });
+    return () => { cancelled = true; };
+  }, [assistant.type, provider, account, stakeTokenAddress, imageTokenAddress]);
   
   // Debug logging for image token address
   React.useEffect(() => {
@@ -437,10 +469,10 @@ const Deposit = ({ assistant, onClose, onSuccess }) => {
         return true;
       }
       
-      // For network switching, we still need to use window.ethereum as ethers doesn't provide this functionality
+      // For network switching, we still need to use the wallet provider as ethers doesn't provide this functionality
       // But we'll use ethers for verification
-      if (!window.ethereum) {
-        toast.error('MetaMask not available for network switching');
+      if (!getWalletProvider()) {
+        toast.error('No wallet connected for network switching');
         return false;
       }
       
@@ -448,7 +480,7 @@ const Deposit = ({ assistant, onClose, onSuccess }) => {
       
       try {
         // Try to switch to existing network
-        await window.ethereum.request({
+        await getWalletProvider().request({
           method: 'wallet_switchEthereumChain',
           params: [{ chainId: chainIdHex }],
         });
@@ -491,7 +523,7 @@ const Deposit = ({ assistant, onClose, onSuccess }) => {
             addChainParams.blockExplorerUrls = [currentRequiredNetwork.blockExplorerUrl];
           }
           
-          await window.ethereum.request({
+          await getWalletProvider().request({
             method: 'wallet_addEthereumChain',
             params: [addChainParams],
           });
@@ -542,9 +574,7 @@ const Deposit = ({ assistant, onClose, onSuccess }) => {
 
   // Create batch contract for Import Wrapper assistants
   const createBatchContract = useCallback(() => {
-    // Batch precompile address on 3DPass
-    const BATCH_ADDRESS = '0x0000000000000000000000000000000000000808';
-    return new ethers.Contract(BATCH_ADDRESS, BATCH_ABI, signer);
+    return new ethers.Contract(BATCH_PRECOMPILE_ADDRESS, BATCH_ABI, signer);
   }, [signer]);
 
   // Check if batch approval is needed for ImportWrapper assistants (3DPass only)
@@ -587,22 +617,16 @@ const Deposit = ({ assistant, onClose, onSuccess }) => {
       const stakeDecimals = await stakeTokenContract.decimals();
       const imageDecimals = await imageTokenContract.decimals();
       
-      // For Import Wrapper assistants, we need to approve a large amount for both tokens
-      // to avoid having to re-approve for each deposit
-      const maxApprovalAmount = useMaxAllowance 
-        ? ethers.constants.MaxUint256 
-        : ethers.utils.parseUnits('1000000', stakeDecimals); // 1M tokens or max uint256
-      const maxImageApprovalAmount = useMaxAllowance 
-        ? ethers.constants.MaxUint256 
-        : ethers.utils.parseUnits('1000000', imageDecimals); // 1M tokens or max uint256
+      // Both tokens are approved for exactly the deposit unless max allowance is chosen
+      const depositAmounts = getDepositAmountsWei();
       
       // Check current allowances
       const stakeAllowance = await stakeTokenContract.allowance(account, assistant.address);
       const imageAllowance = await imageTokenContract.allowance(account, assistant.address);
       
       // Store values for display
-      const formattedStakeRequired = useMaxAllowance ? '∞' : ethers.utils.formatUnits(maxApprovalAmount, stakeDecimals);
-      const formattedImageRequired = useMaxAllowance ? '∞' : ethers.utils.formatUnits(maxImageApprovalAmount, imageDecimals);
+      const formattedStakeRequired = useMaxAllowance ? '∞' : ethers.utils.formatUnits(depositAmounts.stake, stakeDecimals);
+      const formattedImageRequired = useMaxAllowance ? '∞' : ethers.utils.formatUnits(depositAmounts.image, imageDecimals);
       
       // Check if current allowances are at maximum value and display "Max" instead
       const isStakeMaxAllowance = stakeAllowance.eq(ethers.constants.MaxUint256) || stakeAllowance.gt(ethers.utils.parseUnits('1000000000', stakeDecimals));
@@ -625,7 +649,6 @@ const Deposit = ({ assistant, onClose, onSuccess }) => {
       });
       
       // For display, show the actual amounts entered by the user
-      // For approval, we still use the large amounts (1M tokens each)
       const actualStakeAmount = amount && parseFloat(amount) > 0 ? amount : '0';
       const actualImageAmount = imageAmount && parseFloat(imageAmount) > 0 ? imageAmount : '0';
       
@@ -634,14 +657,14 @@ const Deposit = ({ assistant, onClose, onSuccess }) => {
       
       // Check if approval is needed for both tokens
       // For max allowance, check if current allowance is already at max
-      // For regular amounts, check if current allowance is greater than 100K tokens (practical threshold)
+      // For approvals and permits, check if current allowance covers the deposit, as both are for exactly that
       const needsStakeApproval = useMaxAllowance 
-        ? !(stakeAllowance.eq(ethers.constants.MaxUint256) || stakeAllowance.gt(ethers.utils.parseUnits('1000000000', stakeDecimals)))
-        : stakeAllowance.lt(ethers.utils.parseUnits('100000', stakeDecimals));
+        ? !isStakeMaxAllowance
+        : stakeAllowance.lt(depositAmounts.stake);
         
       const needsImageApproval = useMaxAllowance 
-        ? !(imageAllowance.eq(ethers.constants.MaxUint256) || imageAllowance.gt(ethers.utils.parseUnits('1000000000', imageDecimals)))
-        : imageAllowance.lt(ethers.utils.parseUnits('100000', imageDecimals));
+        ? !isImageMaxAllowance
+        : imageAllowance.lt(depositAmounts.image);
         
       const needsApproval = needsStakeApproval || needsImageApproval;
       
@@ -665,7 +688,7 @@ const Deposit = ({ assistant, onClose, onSuccess }) => {
     } finally {
       setIsCheckingApproval(false);
     }
-  }, [assistant, account, signer, amount, imageAmount, getStakeTokenAddress, getImageTokenAddress, stakeTokenSymbol, imageTokenSymbol, useMaxAllowance]);
+  }, [assistant, account, signer, amount, imageAmount, getStakeTokenAddress, getImageTokenAddress, stakeTokenSymbol, imageTokenSymbol, useMaxAllowance, getDepositAmountsWei]);
 
   // Handle batch approval for ImportWrapper assistants (3DPass only)
   const handleBatchApprove = async () => {
@@ -701,27 +724,37 @@ const Deposit = ({ assistant, onClose, onSuccess }) => {
       const imageTokenContract = new ethers.Contract(imageTokenAddress, IPRECOMPILE_ERC20_ABI, signer);
       const batchContract = createBatchContract();
       
-      // Get decimals and amounts from settings (not from contract)
-      const stakeDecimals = get3DPassTokenDecimals(stakeTokenAddress) || 18;
-      const imageDecimals = get3DPassTokenDecimals(imageTokenAddress) || 18;
-      
-      // Approve large amounts for both tokens to avoid re-approval
-      const maxApprovalAmount = useMaxAllowance 
-        ? ethers.constants.MaxUint256 
-        : ethers.utils.parseUnits('1000000', stakeDecimals); // 1M tokens or max uint256
-      const maxImageApprovalAmount = useMaxAllowance 
-        ? ethers.constants.MaxUint256 
-        : ethers.utils.parseUnits('1000000', imageDecimals); // 1M tokens or max uint256
+      // Approve exactly the deposit for both tokens, unless max allowance is chosen
+      const depositAmounts = getDepositAmountsWei();
+      const maxApprovalAmount = useMaxAllowance ? ethers.constants.MaxUint256 : depositAmounts.stake;
+      const maxImageApprovalAmount = useMaxAllowance ? ethers.constants.MaxUint256 : depositAmounts.image;
+      
+      // Tokens supporting EIP-2612 can get a permit for exactly the deposit instead of an approval
+      const signPermitCall = async (tokenAddress, value) => {
+        const support = await getPermitSupport(signer.provider, tokenAddress, account);
+        if (!support.supported) return null;
+        return buildPermitCall(tokenAddress, await signPermit({ signer, support, spender: assistant.address, value }));
+      };
+      const stakePermitCall = usePermit && permitTokens.stake ? await signPermitCall(stakeTokenAddress, depositAmounts.stake) : null;
+      const imagePermitCall = usePermit && permitTokens.image ? await signPermitCall(imageTokenAddress, depositAmounts.image) : null;
+      const stakeGrantedAmount = stakePermitCall ? depositAmounts.stake : maxApprovalAmount;
+      const imageGrantedAmount = imagePermitCall ? depositAmounts.image : maxImageApprovalAmount;
       
       // Prepare batch call data for both tokens
-      const stakeApproveData = stakeTokenContract.interface.encodeFunctionData('approve', [assistant.address, maxApprovalAmount]);
-      const imageApproveData = imageTokenContract.interface.encodeFunctionData('approve', [assistant.address, maxImageApprovalAmount]);
+      const stakeApproveData = stakePermitCall
+        ? stakePermitCall.data
+        : stakeTokenContract.interface.encodeFunctionData('approve', [assistant.address, maxApprovalAmount]);
+      const imageApproveData = imagePermitCall
+        ? imagePermitCall.data
+        : imageTokenContract.interface.encodeFunctionData('approve', [assistant.address, maxImageApprovalAmount]);
       
       console.log('🔐 Batch call data prepared:', {
         stakeApproveData: stakeApproveData.slice(0, 10) + '...',
         imageApproveData: imageApproveData.slice(0, 10) + '...',
-        maxApprovalAmount: maxApprovalAmount.toString(),
-        maxImageApprovalAmount: maxImageApprovalAmount.toString()
+        stakeGrantedAmount: stakeGrantedAmount.toString(),
+        imageGrantedAmount: imageGrantedAmount.toString(),
+        stakePermit: !!stakePermitCall,
+        imagePermit: !!imagePermitCall
       });
       
       // Batch parameters
@@ -759,12 +792,12 @@ const Deposit = ({ assistant, onClose, onSuccess }) => {
       console.log('🔍 Post-transaction allowances:', {
         stakeAllowance: stakeAllowance.toString(),
         imageAllowance: imageAllowance.toString(),
-        maxApprovalAmount: maxApprovalAmount.toString(),
-        maxImageApprovalAmount: maxImageApprovalAmount.toString()
+        stakeGrantedAmount: stakeGrantedAmount.toString(),
+        imageGrantedAmount: imageGrantedAmount.toString()
       });
       
-      const stakeApproved = stakeAllowance.gte(maxApprovalAmount);
-      const imageApproved = imageAllowance.gte(maxImageApprovalAmount);
+      const stakeApproved = stakeAllowance.gte(stakeGrantedAmount);
+      const imageApproved = imageAllowance.gte(imageGrantedAmount);
       
       console.log('🔍 Approval verification results:', {
         stakeApproved,
@@ -1412,7 +1445,7 @@ const Deposit = ({ assistant, onClose, onSuccess }) => {
     };
     
     checkApproval();
-  }, [signer, stakeTokenAddress, amount, imageAmount, assistant.type, checkApprovalNeeded, useMaxAllowance]);
+  }, [signer, stakeTokenAddress, amount, imageAmount, assistant.type, checkApprovalNeeded, useMaxAllowance, usePermit]);
 
 
   const handleDeposit = async () => {
@@ -2025,6 +2058,7 @@ const Deposit = ({ assistant, onClose, onSuccess }) => {
                       <input
                         type="checkbox"
                         checked={useMaxAllowance}
+                        disabled={usePermit}
                         onChange={(e) => setUseMaxAllowance(e.target.checked)}
                         className="w-4 h-4 text-primary-600 bg-dark-800 border-secondary-600 rounded focus:ring-primary-500"
                       />
@@ -2039,6 +2073,32 @@ const Deposit = ({ assistant, onClose, onSuccess }) => {
                       }
                     </p>
                   </div>
+
+                  {/* Permit Option, sent in the batch approval */}
+                  {assistant.type === 'import_wrapper' && (permitTokens.stake || permitTokens.image) && (
+                    <div className="mt-3">
+                      <label className="flex items-center space-x-2 text-sm">
+                        <input
+                          type="checkbox"
+                          checked={usePermit}
+                          onChange={(e) => {
+                            setUsePermit(e.target.checked);
+                            if (e.target.checked) setUseMaxAllowance(false);
+                          }}
+                          className="w-4 h-4 text-primary-600 bg-dark-800 border-secondary-600 rounded focus:ring-primary-500"
+                        />
+                        <span className="text-warning-300">
+                          Sign a permit for exactly the deposit amount instead of an approval
+                        </span>
+                      </label>
+                      <p className="text-xs text-warning-400 mt-1">
+                        {permitTokens.stake && permitTokens.image
+                          ? `Both ${stakeTokenSymbol} and ${imageTokenSymbol} permits are sent in the approval batch.`
+                          : `Only ${permitTokens.stake ? stakeTokenSymbol : imageTokenSymbol} supports permits, ${permitTokens.stake ? imageTokenSymbol : stakeTokenSymbol} is still approved.`
+                        }
+                      </p>
+                    </div>
+                  )}
                 </div>
               </div>
             </div>
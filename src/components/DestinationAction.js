@@ -0,0 +1,213 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { ethers } from 'ethers';
+import { ChevronDown, ChevronUp, Code } from 'lucide-react';
+import { getProvider } from '../utils/provider-manager';
+import {
+  DATA_FORMATS,
+  MAX_TRANSFER_DATA_BYTES,
+  encodeJsonData,
+  parseAbi,
+  encodeAbiData,
+  rememberDataAbi,
+  validateTransferData,
+  checkCounterstakeReceiver,
+} from '../utils/transfer-data';
+
+const DestinationAction = ({ destinationNetworkKey, receiverAddress, onReceiverChange, onChange }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [format, setFormat] = useState(DATA_FORMATS.JSON);
+  const [jsonText, setJsonText] = useState('');
+  const [abiText, setAbiText] = useState('');
+  const [signature, setSignature] = useState('');
+  const [argValues, setArgValues] = useState([]);
+  const [receiverCheck, setReceiverCheck] = useState(null);
+
+  const abi = useMemo(() => {
+    if (!abiText.trim()) return { iface: null, error: null };
+    try {
+      return { iface: parseAbi(abiText), error: null };
+    } catch (error) {
+      return { iface: null, error: error.message };
+    }
+  }, [abiText]);
+
+  const functions = useMemo(() => (abi.iface ? Object.keys(abi.iface.functions) : []), [abi.iface]);
+  const fragment = abi.iface && functions.includes(signature) ? abi.iface.getFunction(signature) : null;
+
+  useEffect(() => {
+    if (functions.length > 0 && !functions.includes(signature)) {
+      setSignature(functions[0]);
+      setArgValues([]);
+    }
+  }, [functions, signature]);
+
+  const payload = useMemo(() => {
+    if (!isOpen) return { data: '', error: null };
+    try {
+      if (format === DATA_FORMATS.JSON) {
+        return { data: jsonText.trim() ? encodeJsonData(jsonText) : '', error: null };
+      }
+      if (!fragment) return { data: '', error: abi.error };
+      return { data: encodeAbiData(abi.iface, signature, argValues), error: null };
+    } catch (error) {
+      return { data: '', error: error.message };
+    }
+  }, [isOpen, format, jsonText, abi, fragment, signature, argValues]);
+
+  const validation = validateTransferData(payload.data);
+  const error = payload.error || validation.error;
+
+  useEffect(() => {
+    onChange(error ? '' : payload.data, error);
+    if (!error && payload.data && format === DATA_FORMATS.ABI && fragment) rememberDataAbi(fragment);
+    // onChange is recreated on every render of the form
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [payload.data, error]);
+
+  // The form drops the data when the bridge route goes away
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  useEffect(() => () => onChange('', null), []);
+
+  useEffect(() => {
+    setReceiverCheck(null);
+    if (!isOpen || !destinationNetworkKey || !ethers.utils.isAddress(receiverAddress || '')) return undefined;
+
+    let cancelled = false;
+    checkCounterstakeReceiver(getProvider(destinationNetworkKey), receiverAddress)
+      .then(result => { if (!cancelled) setReceiverCheck(result); })
+      .catch(checkError => { if (!cancelled) setReceiverCheck({ error: checkError.message }); });
+    return () => { cancelled = true; };
+  }, [isOpen, destinationNetworkKey, receiverAddress]);
+
+  const renderReceiverCheck = () => {
+    if (!receiverCheck) return null;
+    if (receiverCheck.error) return <p className="text-warning-400 text-xs mt-1">{receiverCheck.error}</p>;
+    if (receiverCheck.isReceiver) {
+      return <p className="text-success-400 text-xs mt-1">✓ Implements CounterstakeReceiver, the data is passed to onReceivedFromClaim</p>;
+    }
+    return (
+      <p className="text-warning-400 text-xs mt-1">
+        {receiverCheck.isContract
+          ? 'This contract does not declare CounterstakeReceiver (ERC165), it won\'t be notified.'
+          : 'This is not a contract on the destination network, the data is only recorded with the claim.'}
+      </p>
+    );
+  };
+
+  return (
+    <div className="bg-dark-800 border border-secondary-700 rounded-lg">
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center justify-between p-3 text-sm text-white"
+      >
+        <span className="flex items-center space-x-2">
+          <Code className="w-4 h-4 text-primary-500" />
+          <span>Destination action (advanced)</span>
+        </span>
+        {isOpen ? <ChevronUp className="w-4 h-4 text-secondary-400" /> : <ChevronDown className="w-4 h-4 text-secondary-400" />}
+      </button>
+
+      {isOpen && (
+        <div className="px-3 pb-3 space-y-3">
+          <p className="text-xs text-secondary-400">
+            Send the transfer to a contract and attach data. When the claim pays the contract, the bridge calls its
+            onReceivedFromClaim() with this data.
+          </p>
+
+          <div>
+            <label className="block text-xs text-secondary-400 mb-1">Receiver contract (becomes the recipient)</label>
+            <input
+              type="text"
+              value={receiverAddress}
+              onChange={(e) => onReceiverChange(e.target.value)}
+              placeholder="0x..."
+              maxLength={42}
+              className="input-field w-full font-mono text-sm"
+            />
+            {renderReceiverCheck()}
+          </div>
+
+          <div className="flex gap-2">
+            {[[DATA_FORMATS.JSON, 'JSON'], [DATA_FORMATS.ABI, 'ABI call']].map(([value, label]) => (
+              <button
+                key={value}
+                type="button"
+                onClick={() => setFormat(value)}
+                className={`flex-1 py-1 rounded-md text-xs font-medium transition-colors ${
+                  format === value ? 'bg-primary-600 text-white' : 'bg-dark-700 text-secondary-300 hover:bg-dark-600'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          {format === DATA_FORMATS.JSON ? (
+            <textarea
+              value={jsonText}
+              onChange={(e) => setJsonText(e.target.value)}
+              placeholder={'{"action": "stake", "pool": "0x..."}'}
+              rows={4}
+              className="input-field w-full font-mono text-xs"
+            />
+          ) : (
+            <div className="space-y-2">
+              <textarea
+                value={abiText}
+                onChange={(e) => setAbiText(e.target.value)}
+                placeholder={'JSON ABI, or one fragment per line:\nfunction deposit(address pool, uint256 minAmount)'}
+                rows={4}
+                className="input-field w-full font-mono text-xs"
+              />
+              {functions.length > 0 && (
+                <select
+                  value={signature}
+                  onChange={(e) => { setSignature(e.target.value); setArgValues([]); }}
+                  className="input-field w-full text-sm"
+                >
+                  {functions.map(name => <option key={name} value={name}>{name}</option>)}
+                </select>
+              )}
+              {fragment && fragment.inputs.map((param, index) => (
+                <input
+                  key={`${signature}-${index}`}
+                  type="text"
+                  value={argValues[index] || ''}
+                  onChange={(e) => {
+                    const next = [...argValues];
+                    next[index] = e.target.value;
+                    setArgValues(next);
+                  }}
+                  placeholder={`${param.name || `arg${index}`} (${param.type})`}
+                  className="input-field w-full font-mono text-xs"
+                />
+              ))}
+            </div>
+          )}
+
+          {error && <p className="text-error-400 text-xs">{error}</p>}
+          {payload.data && (
+            <div className="bg-dark-900 rounded p-2">
+              <div className="flex justify-between text-xs text-secondary-400 mb-1">
+                <span>Data sent with the transfer</span>
+                <span className={validation.valid ? '' : 'text-error-400'}>{validation.size} / {MAX_TRANSFER_DATA_BYTES} bytes</span>
+              </div>
+              <p className="font-mono text-xs text-white break-all">{payload.data}</p>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+DestinationAction.propTypes = {
+  destinationNetworkKey: PropTypes.string,
+  receiverAddress: PropTypes.string.isRequired,
+  onReceiverChange: PropTypes.func.isRequired,
+  onChange: PropTypes.func.isRequired,
+};
+
+export default DestinationAction;
@@ -8,6 +8,8 @@ import { addTransferEventToStorage, createTransferEventData } from '../utils/uni
 import { getBlockTimestamp } from '../utils/bridge-contracts';
 import { parseTransactionError } from '../utils/error-parser';
 import { NETWORKS } from '../config/networks';
+import { canBatchApproval, sendApproveAndCall } from '../utils/approve-and-call';
+import { getPermitSupport } from '../utils/token-permit';
 
 // Safely convert to EIP-55 checksum if it's an EVM address
 const toChecksumAddress = (address) => {
@@ -56,6 +58,9 @@ const getMaxAllowance = () => {
   return ethers.constants.MaxUint256;
 };
 
+// Used when the transfer cannot be estimated in a batch, before its approval exists
+const BATCHED_TRANSFER_GAS_LIMIT = 500000;
+
 
 const Expatriation = ({ 
   bridgeInstance, 
@@ -74,6 +79,25 @@ const Expatriation = ({
   const [isCheckingApproval, setIsCheckingApproval] = useState(true);
   const [useMaxAllowance, setUseMaxAllowance] = useState(false);
   const [isRevoking, setIsRevoking] = useState(false);
+  // On networks with a batch precompile the approval goes out with the transfer in one transaction
+  const networkConfig = NETWORKS[getNetworkKeyFromName(bridgeInstance.homeNetwork)];
+  const batchApproval = canBatchApproval(networkConfig, sourceToken.address);
+  const [permitSupported, setPermitSupported] = useState(false);
+  const [usePermit, setUsePermit] = useState(false);
+
+  // Permits can only be submitted together with the transfer, in a batch
+  useEffect(() => {
+    setPermitSupported(false);
+    if (!batchApproval || !signer?.provider) return undefined;
+    let cancelled = false;
+    signer.getAddress()
+      .then(account => getPermitSupport(signer.provider, sourceToken.address, account))
+      .then(support => {
+        if (!cancelled) setPermitSupported(support.supported);
+      })
+      .catch(error => console.warn('⚠️ Could not check permit support:', error));
+    return () => { cancelled = true; };
+  }, [batchApproval, signer, sourceToken.address]);
 
   // Create token contract for approval
   const createTokenContract = useCallback((tokenAddress) => {
@@ -531,7 +555,7 @@ const Expatriation = ({
           }
         );
       }
-      const data = '0x'; // Empty data for ERC20 transfers (matching test script)
+      const data = formData.data || '0x'; // Payload for a CounterstakeReceiver recipient, empty by default
       
       console.log('💰 Parsed amounts:', {
         amount: ethers.utils.formatUnits(amount, actualDecimals),
@@ -592,10 +616,10 @@ const Expatriation = ({
       }
 
       console.log('🌉 Initiating transfer to foreign chain...');
-      // Sanity-check allowance just before transfer
+      // Sanity-check allowance just before transfer, a batch approves the shortfall itself
       try {
         const allowanceBN = await tokenContract.allowance(await signer.getAddress(), bridgeInstance.address);
-        if (allowanceBN.lt(amount)) {
+        if (!batchApproval && allowanceBN.lt(amount)) {
           console.warn('⚠️ Insufficient allowance at transfer time, prompting re-approval', {
             allowance: ethers.utils.formatUnits(allowanceBN, actualDecimals),
             required: ethers.utils.formatUnits(amount, actualDecimals)
@@ -652,18 +676,49 @@ const Expatriation = ({
         contractFunction: 'transferToForeignChain(string, string, uint, int)'
       });
       
-      const transferTx = await exportContract.transferToForeignChain(
-        foreignAddressChecksummed,
-        data,
-        amount,
-        reward,
-        { gasLimit: 9000000 }
-      );
-      
-      console.log('⏳ Waiting for transfer transaction confirmation...');
-      const receipt = await transferTx.wait();
-      
-      console.log('✅ Transfer transaction confirmed:', receipt.transactionHash);
+      let receipt;
+      if (batchApproval) {
+        // Approval, or a permit for exactly the amount, and transfer in one batch transaction
+        const { receipt: batchReceipt, approved, permitted } = await sendApproveAndCall({
+          signer,
+          networkConfig,
+          approval: {
+            tokenAddress: bridgeTokenAddress,
+            spender: bridgeInstance.address,
+            required: amount,
+            amount: useMaxAllowance && !usePermit ? getMaxAllowance() : amount,
+            usePermit: permitSupported && usePermit
+          },
+          call: {
+            label: 'Transfer',
+            to: bridgeInstance.address,
+            value: 0,
+            data: exportContract.interface.encodeFunctionData('transferToForeignChain', [
+              foreignAddressChecksummed,
+              data,
+              amount,
+              reward
+            ]),
+            gasLimit: BATCHED_TRANSFER_GAS_LIMIT
+          },
+          onSent: (tx) => console.log('⏳ Waiting for transfer transaction confirmation...', tx.hash)
+        });
+        receipt = batchReceipt;
+        console.log('✅ Transfer transaction confirmed:', receipt.transactionHash, approved ? `(batched with ${permitted ? 'permit' : 'approval'})` : '');
+      } else {
+        const transferTx = await exportContract.transferToForeignChain(
+          foreignAddressChecksummed,
+          data,
+          amount,
+          reward,
+          { gasLimit: 9000000 }
+        );
+        
+        console.log('⏳ Waiting for transfer transaction confirmation...');
+        receipt = await transferTx.wait();
+        
+        console.log('✅ Transfer transaction confirmed:', receipt.transactionHash);
+      }
       setTransferTxHash(receipt.transactionHash);
       setStep('success');
       
@@ -682,7 +737,7 @@ const Expatriation = ({
           data: data,
           blockNumber: receipt.blockNumber,
           transactionHash: receipt.transactionHash,
-          logIndex: 0, // We don't have logIndex from receipt, use 0 as fallback
+          logIndex: receipt.logs.find(log => log.address.toLowerCase() === bridgeInstance.address.toLowerCase())?.logIndex ?? 0,
           timestamp: await getBlockTimestamp(signer.provider, receipt.blockNumber),
           bridgeAddress: bridgeInstance.address,
           bridgeType: bridgeInstance.type,
@@ -926,7 +981,9 @@ const Expatriation = ({
                 <div className="flex-1">
                   <h3 className="text-warning-400 font-medium">Approval Required</h3>
                   <p className="text-warning-300 text-sm mt-1">
-                    Approve the bridge contract to spend your {sourceToken.symbol} tokens before initiating the transfer.
+                    {batchApproval
+                      ? `The approval of your ${sourceToken.symbol} tokens is sent together with the transfer in a single batch transaction, one signature for both.`
+                      : `Approve the bridge contract to spend your ${sourceToken.symbol} tokens before initiating the transfer.`}
                   </p>
                   
                   {!isCheckingApproval && (
@@ -953,6 +1010,7 @@ const Expatriation = ({
                           <input
                             type="checkbox"
                             checked={useMaxAllowance}
+                            disabled={usePermit}
                             onChange={(e) => setUseMaxAllowance(e.target.checked)}
                             className="w-4 h-4 text-warning-400 bg-warning-900 border-warning-600 rounded focus:ring-warning-500 focus:ring-2"
                           />
@@ -965,6 +1023,22 @@ const Expatriation = ({
                             </p>
                           </div>
                         </label>
+                        {batchApproval && permitSupported && (
+                          <label className="flex items-center space-x-3 cursor-pointer mt-3">
+                            <input
+                              type="checkbox"
+                              checked={usePermit}
+                              onChange={(e) => {
+                                setUsePermit(e.target.checked);
+                                if (e.target.checked) setUseMaxAllowance(false);
+                              }}
+                              className="w-4 h-4 text-warning-400 bg-warning-900 border-warning-600 rounded focus:ring-warning-500 focus:ring-2"
+                            />
+                            <span className="text-warning-300 text-sm font-medium">
+                              Sign a permit for exactly the transfer amount instead of an approval
+                            </span>
+                          </label>
+                        )}
                       </div>
                     </div>
                   )}
@@ -974,14 +1048,14 @@ const Expatriation = ({
             
             <div className="space-y-3">
               <button
-                onClick={handleApprove}
+                onClick={batchApproval ? handleTransfer : handleApprove}
                 disabled={isLoading || isCheckingApproval}
                 className="w-full btn-warning py-3 text-lg font-medium disabled:opacity-50 disabled:cursor-not-allowed"
               >
                 {isLoading ? (
                   <div className="flex items-center justify-center space-x-2">
                     <Loader className="w-5 h-5 animate-spin" />
-                    <span>Approving...</span>
+                    <span>{batchApproval ? 'Initiating Transfer...' : 'Approving...'}</span>
                   </div>
                 ) : isCheckingApproval ? (
                   <div className="flex items-center justify-center space-x-2">
@@ -991,7 +1065,10 @@ const Expatriation = ({
                 ) : (
                   <div className="flex items-center justify-center space-x-2">
                     <span>
-                      {useMaxAllowance ? `Approve ∞ ${sourceToken.symbol}` : `Approve ${sourceToken.symbol}`}
+                      {usePermit && permitSupported
+                        ? `Sign ${sourceToken.symbol} Permit`
+                        : useMaxAllowance ? `Approve ∞ ${sourceToken.symbol}` : `Approve ${sourceToken.symbol}`}
+                      {batchApproval && ' and Transfer'}
                     </span>
                     <ArrowRight className="w-5 h-5" />
                   </div>
@@ -0,0 +1,444 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { ethers } from 'ethers';
+import toast from 'react-hot-toast';
+import { motion } from 'framer-motion';
+import { Landmark, RefreshCw, Vote, Undo2, CheckCircle, ArrowDownToLine, ArrowUpFromLine } from 'lucide-react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { useSettings } from '../contexts/SettingsContext';
+import { useNetworkSwitcher } from '../hooks/useNetworkSwitcher';
+import { handleTransactionError } from '../utils/error-handler';
+import { convertActualToDisplay, convertDisplayToActual } from '../utils/decimal-converter';
+import {
+  getGovernanceAddress,
+  loadGovernanceState,
+  getVotingStatus,
+  parseParameterValue,
+  formatParameterValue,
+  depositToGovernance,
+  withdrawFromGovernance,
+  voteForValue,
+  unvoteValue,
+  commitValue,
+} from '../utils/governance';
+
+const Governance = () => {
+  const { account, signer } = useWeb3();
+  const { getBridgeInstancesWithSettings, getTokenDecimalsDisplayMultiplier } = useSettings();
+  const { getRequiredNetworkForBridge, checkAndSwitchNetwork } = useNetworkSwitcher();
+
+  const [selectedBridgeKey, setSelectedBridgeKey] = useState('');
+  const [governance, setGovernance] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [depositAmount, setDepositAmount] = useState('');
+  const [voteInputs, setVoteInputs] = useState({});
+  const [voteDeposits, setVoteDeposits] = useState({});
+  const [pendingAction, setPendingAction] = useState(null);
+
+  const bridges = useMemo(() => {
+    return Object.entries(getBridgeInstancesWithSettings())
+      .filter(([, bridge]) => bridge && bridge.address)
+      .map(([key, bridge]) => ({ key, ...bridge }));
+  }, [getBridgeInstancesWithSettings]);
+
+  const selectedBridge = bridges.find(bridge => bridge.key === selectedBridgeKey) || null;
+
+  useEffect(() => {
+    if (!selectedBridgeKey && bridges.length > 0) {
+      setSelectedBridgeKey(bridges[0].key);
+    }
+  }, [bridges, selectedBridgeKey]);
+
+  const loadGovernance = useCallback(async () => {
+    if (!selectedBridge) return;
+
+    const networkConfig = getRequiredNetworkForBridge(selectedBridge.address);
+    if (!networkConfig?.rpcUrl) {
+      setError('Network configuration not found for this bridge');
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    try {
+      const provider = new ethers.providers.JsonRpcProvider(networkConfig.rpcUrl);
+      const governanceAddress = await getGovernanceAddress(provider, selectedBridge.address);
+      if (!governanceAddress) {
+        setGovernance(null);
+        setError('Governance is not set up for this bridge');
+        return;
+      }
+      const state = await loadGovernanceState(provider, governanceAddress, account);
+      setGovernance(state);
+    } catch (err) {
+      console.error('❌ Error loading governance:', err);
+      setGovernance(null);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [selectedBridge, getRequiredNetworkForBridge, account]);
+
+  useEffect(() => {
+    loadGovernance();
+  }, [loadGovernance]);
+
+  const formatTokenAmount = useCallback((amount) => {
+    if (!governance) return '0';
+    const { votingTokenDecimals, votingTokenAddress } = governance;
+    const formatted = ethers.utils.formatUnits(amount, votingTokenDecimals);
+    return convertActualToDisplay(formatted, votingTokenDecimals, votingTokenAddress, getTokenDecimalsDisplayMultiplier);
+  }, [governance, getTokenDecimalsDisplayMultiplier]);
+
+  const toActualAmount = useCallback((displayAmount) => {
+    const { votingTokenDecimals, votingTokenAddress } = governance;
+    return convertDisplayToActual(displayAmount, votingTokenDecimals, votingTokenAddress, getTokenDecimalsDisplayMultiplier);
+  }, [governance, getTokenDecimalsDisplayMultiplier]);
+
+  const parseTokenAmount = useCallback((displayAmount) => {
+    if (!displayAmount || parseFloat(displayAmount) <= 0) return null;
+    return ethers.utils.parseUnits(toActualAmount(displayAmount), governance.votingTokenDecimals);
+  }, [governance, toActualAmount]);
+
+  const formatValue = useCallback((parameter, value) => {
+    if (parameter.format === 'amount' && value !== null && value !== undefined) {
+      return formatTokenAmount(value);
+    }
+    return formatParameterValue(parameter, value, governance?.votingTokenDecimals);
+  }, [formatTokenAmount, governance]);
+
+  const stakeTokenSymbol = selectedBridge?.stakeTokenSymbol || '';
+
+  // Runs a governance transaction on the bridge network and reloads the state afterwards
+  const runAction = useCallback(async (actionKey, sendTransaction, messages) => {
+    if (!signer) {
+      toast.error('Please connect your wallet first');
+      return;
+    }
+
+    const requiredNetwork = getRequiredNetworkForBridge(selectedBridge.address);
+    const switchSuccess = await checkAndSwitchNetwork(requiredNetwork);
+    if (!switchSuccess) return;
+
+    setPendingAction(actionKey);
+    try {
+      const tx = await sendTransaction();
+      console.log('Transaction sent:', tx.hash);
+      toast.success(messages.sent);
+      await tx.wait();
+      toast.success(messages.confirmed);
+      await loadGovernance();
+    } catch (err) {
+      handleTransactionError(err, { messagePrefix: messages.errorPrefix });
+    } finally {
+      setPendingAction(null);
+    }
+  }, [signer, selectedBridge, getRequiredNetworkForBridge, checkAndSwitchNetwork, loadGovernance]);
+
+  const handleDeposit = useCallback(async () => {
+    let amount;
+    try {
+      amount = parseTokenAmount(depositAmount);
+    } catch (err) {
+      toast.error(`Invalid amount: ${err.message}`);
+      return;
+    }
+    if (!amount) {
+      toast.error('Enter an amount to deposit');
+      return;
+    }
+
+    await runAction('deposit', () => depositToGovernance(signer, governance, amount), {
+      sent: 'Deposit transaction sent!',
+      confirmed: 'Deposited to governance successfully!',
+      errorPrefix: 'Failed to deposit: ',
+    });
+    setDepositAmount('');
+  }, [depositAmount, parseTokenAmount, runAction, signer, governance]);
+
+  const handleWithdraw = useCallback(async () => {
+    await runAction('withdraw', () => withdrawFromGovernance(signer, governance.address), {
+      sent: 'Withdrawal transaction sent!',
+      confirmed: 'Withdrawn from governance successfully!',
+      errorPrefix: 'Failed to withdraw: ',
+    });
+  }, [runAction, signer, governance]);
+
+  const handleVote = useCallback(async (parameter) => {
+    let value;
+    let extraDeposit;
+    try {
+      const input = voteInputs[parameter.name];
+      value = parameter.format === 'amount'
+        ? parseParameterValue(parameter, toActualAmount(input), governance.votingTokenDecimals)
+        : parseParameterValue(parameter, input, governance.votingTokenDecimals);
+      extraDeposit = parseTokenAmount(voteDeposits[parameter.name]);
+    } catch (err) {
+      toast.error(err.message);
+      return;
+    }
+
+    if (!extraDeposit && governance.balance.isZero()) {
+      toast.error('Deposit voting tokens before voting');
+      return;
+    }
+
+    await runAction(`vote:${parameter.name}`, () => voteForValue(signer, governance, parameter, value, extraDeposit), {
+      sent: 'Vote transaction sent!',
+      confirmed: `Voted on ${parameter.label} successfully!`,
+      errorPrefix: 'Failed to vote: ',
+    });
+  }, [voteInputs, voteDeposits, toActualAmount, parseTokenAmount, governance, runAction, signer]);
+
+  const handleUnvote = useCallback(async (parameter) => {
+    await runAction(`unvote:${parameter.name}`, () => unvoteValue(signer, parameter), {
+      sent: 'Unvote transaction sent!',
+      confirmed: `Vote on ${parameter.label} removed!`,
+      errorPrefix: 'Failed to unvote: ',
+    });
+  }, [runAction, signer]);
+
+  const handleCommit = useCallback(async (parameter) => {
+    await runAction(`commit:${parameter.name}`, () => commitValue(signer, parameter), {
+      sent: 'Commit transaction sent!',
+      confirmed: `${parameter.label} committed successfully!`,
+      errorPrefix: 'Failed to commit: ',
+    });
+  }, [runAction, signer]);
+
+  const formatTimestamp = (ts) => new Date(ts * 1000).toLocaleString();
+
+  const getInputPlaceholder = (parameter) => {
+    switch (parameter.format) {
+      case 'address':
+        return '0x...';
+      case 'seconds':
+        return parameter.type === 'uint[]' ? 'Seconds, comma separated' : 'Seconds';
+      case 'percent':
+        return 'Percent, e.g. 150';
+      case 'amount':
+        return `Amount in ${stakeTokenSymbol}`;
+      default:
+        return 'Value';
+    }
+  };
+
+  const renderSpinner = () => (
+    <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
+  );
+
+  return (
+    <div className="space-y-6">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="card p-6"
+      >
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center space-x-3">
+            <Landmark className="w-6 h-6 text-primary-500" />
+            <h2 className="text-xl font-bold text-white">Governance</h2>
+          </div>
+          <button
+            onClick={loadGovernance}
+            disabled={loading}
+            className="p-2 rounded-lg bg-dark-800 border border-secondary-700 hover:bg-dark-700 transition-colors disabled:opacity-50"
+            title="Refresh"
+          >
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+
+        <p className="text-secondary-400 text-sm mb-4">
+          Bridge parameters are governed by stake token holders. Deposit stake tokens, vote for a value and,
+          once the leader has held for the challenging period, anyone can commit it to the bridge.
+        </p>
+
+        <label className="block text-sm font-medium text-secondary-300 mb-2">Bridge</label>
+        <select
+          value={selectedBridgeKey}
+          onChange={(e) => setSelectedBridgeKey(e.target.value)}
+          className="input-field w-full"
+        >
+          {bridges.map(bridge => (
+            <option key={bridge.key} value={bridge.key}>
+              {bridge.description || bridge.key}
+            </option>
+          ))}
+        </select>
+
+        {error && (
+          <div className="mt-4 bg-red-900/20 border border-red-500/30 rounded-lg p-3 text-sm text-red-300">
+            {error}
+          </div>
+        )}
+      </motion.div>
+
+      {governance && (
+        <div className="card p-6">
+          <h3 className="text-lg font-semibold text-white mb-4">Your Voting Balance</h3>
+          <div className="bg-dark-800 rounded-lg p-4 space-y-2 text-sm mb-4">
+            <div className="flex justify-between">
+              <span className="text-secondary-400">Governance contract:</span>
+              <span className="text-white font-mono">{governance.address.slice(0, 6)}...{governance.address.slice(-4)}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-secondary-400">Deposited:</span>
+              <span className="text-white">{formatTokenAmount(governance.balance)} {stakeTokenSymbol}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-secondary-400">Untied from all votes:</span>
+              <span className={governance.isUntied ? 'text-green-400' : 'text-yellow-400'}>
+                {governance.isUntied ? 'Yes' : 'No'}
+              </span>
+            </div>
+          </div>
+
+          {account ? (
+            <div className="flex flex-col sm:flex-row gap-3">
+              <input
+                type="number"
+                min="0"
+                value={depositAmount}
+                onChange={(e) => setDepositAmount(e.target.value)}
+                placeholder={`Amount in ${stakeTokenSymbol}`}
+                className="input-field flex-1"
+              />
+              <button
+                onClick={handleDeposit}
+                disabled={!!pendingAction}
+                className="bg-primary-600 hover:bg-primary-700 disabled:bg-primary-800 disabled:cursor-not-allowed text-white py-2 px-4 rounded-md text-sm font-medium transition-colors flex items-center justify-center space-x-2"
+              >
+                {pendingAction === 'deposit' ? renderSpinner() : <ArrowDownToLine className="w-4 h-4" />}
+                <span>Deposit</span>
+              </button>
+              <button
+                onClick={handleWithdraw}
+                disabled={!!pendingAction || !governance.isUntied || governance.balance.isZero()}
+                title={governance.isUntied ? 'Withdraw your whole balance' : 'Remove all your votes before withdrawing'}
+                className="bg-secondary-600 hover:bg-secondary-700 disabled:opacity-50 disabled:cursor-not-allowed text-white py-2 px-4 rounded-md text-sm font-medium transition-colors flex items-center justify-center space-x-2"
+              >
+                {pendingAction === 'withdraw' ? renderSpinner() : <ArrowUpFromLine className="w-4 h-4" />}
+                <span>Withdraw</span>
+              </button>
+            </div>
+          ) : (
+            <p className="text-secondary-400 text-sm">Connect your wallet to deposit and vote.</p>
+          )}
+        </div>
+      )}
+
+      {governance && governance.parameters.map(parameter => {
+        const status = getVotingStatus(parameter, governance.challengingPeriod, governance.freezePeriod);
+
+        return (
+          <div key={parameter.name} className="card p-6">
+            <div className="flex items-start justify-between mb-2">
+              <div>
+                <h3 className="text-lg font-semibold text-white">{parameter.label}</h3>
+                <p className="text-secondary-400 text-xs">{parameter.description}</p>
+              </div>
+              <span className="text-secondary-500 text-xs font-mono">{parameter.name}</span>
+            </div>
+
+            <div className="bg-dark-800 rounded-lg p-4 space-y-2 text-sm my-4">
+              <div className="flex justify-between gap-4">
+                <span className="text-secondary-400">Current value:</span>
+                <span className="text-white text-right break-all">{formatValue(parameter, parameter.currentValue)}</span>
+              </div>
+              <div className="flex justify-between gap-4">
+                <span className="text-secondary-400">Leader:</span>
+                <span className="text-white text-right break-all">{formatValue(parameter, parameter.leader)}</span>
+              </div>
+              <div className="flex justify-between gap-4">
+                <span className="text-secondary-400">Leader support:</span>
+                <span className="text-white">{formatTokenAmount(parameter.leaderSupport)} {stakeTokenSymbol}</span>
+              </div>
+              {status.commitAvailableAt && (
+                <div className="flex justify-between gap-4">
+                  <span className="text-secondary-400">Commit available:</span>
+                  <span className={status.canCommit ? 'text-green-400' : 'text-yellow-400'}>
+                    {status.canCommit ? 'Now' : formatTimestamp(status.commitAvailableAt)}
+                  </span>
+                </div>
+              )}
+              {parameter.hasVote && (
+                <div className="flex justify-between gap-4">
+                  <span className="text-secondary-400">Your vote:</span>
+                  <span className="text-white text-right break-all">
+                    {formatValue(parameter, parameter.choice)} ({formatTokenAmount(parameter.choiceVotes)} {stakeTokenSymbol})
+                  </span>
+                </div>
+              )}
+              {status.voteLocked && (
+                <div className="text-yellow-400 text-xs">
+                  Your vote supports the leader and is locked until {formatTimestamp(status.voteUnlockAt)}
+                </div>
+              )}
+            </div>
+
+            {account && (
+              <div className="space-y-3">
+                <div className="flex flex-col sm:flex-row gap-3">
+                  <input
+                    type="text"
+                    value={voteInputs[parameter.name] || ''}
+                    onChange={(e) => setVoteInputs(prev => ({ ...prev, [parameter.name]: e.target.value }))}
+                    placeholder={getInputPlaceholder(parameter)}
+                    className="input-field flex-1"
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    value={voteDeposits[parameter.name] || ''}
+                    onChange={(e) => setVoteDeposits(prev => ({ ...prev, [parameter.name]: e.target.value }))}
+                    placeholder="Extra deposit (optional)"
+                    className="input-field sm:w-48"
+                  />
+                </div>
+                <div className="flex flex-wrap gap-3">
+                  <button
+                    onClick={() => handleVote(parameter)}
+                    disabled={!!pendingAction || status.voteLocked}
+                    className="bg-primary-600 hover:bg-primary-700 disabled:bg-primary-800 disabled:cursor-not-allowed text-white py-2 px-4 rounded-md text-sm font-medium transition-colors flex items-center space-x-2"
+                  >
+                    {pendingAction === `vote:${parameter.name}` ? renderSpinner() : <Vote className="w-4 h-4" />}
+                    <span>Vote</span>
+                  </button>
+                  {parameter.hasVote && (
+                    <button
+                      onClick={() => handleUnvote(parameter)}
+                      disabled={!!pendingAction || status.voteLocked}
+                      className="bg-secondary-600 hover:bg-secondary-700 disabled:opacity-50 disabled:cursor-not-allowed text-white py-2 px-4 rounded-md text-sm font-medium transition-colors flex items-center space-x-2"
+                    >
+                      {pendingAction === `unvote:${parameter.name}` ? renderSpinner() : <Undo2 className="w-4 h-4" />}
+                      <span>Unvote</span>
+                    </button>
+                  )}
+                  {status.canCommit && (
+                    <button
+                      onClick={() => handleCommit(parameter)}
+                      disabled={!!pendingAction}
+                      className="bg-green-600 hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed text-white py-2 px-4 rounded-md text-sm font-medium transition-colors flex items-center space-x-2"
+                    >
+                      {pendingAction === `commit:${parameter.name}` ? renderSpinner() : <CheckCircle className="w-4 h-4" />}
+                      <span>Commit</span>
+                    </button>
+                  )}
+                </div>
+              </div>
+            )}
+          </div>
+        );
+      })}
+
+      {governance && governance.parameters.length === 0 && !loading && (
+        <div className="card p-6 text-center text-secondary-400">
+          No voted parameters found for this bridge
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Governance;
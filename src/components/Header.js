@@ -1,10 +1,15 @@
 import React from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
 import { useWeb3 } from '../contexts/Web3Context';
 import { useSettings } from '../contexts/SettingsContext';
 import { Wallet, Network, LogOut, Menu, X, Settings } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { ReactComponent as Logo } from '../assets/logo.svg';
 import SettingsDialog from './SettingsDialog';
+import WalletPicker from './WalletPicker';
+import SettingsTransfer from './SettingsTransfer';
+import { SHARED_BRIDGE_PARAM, decodeSharedBridge } from '../utils/settings-transfer';
+import toast from 'react-hot-toast';
 
 const Header = ({ onNavClick, activeTab }) => {
   const {
@@ -12,7 +17,7 @@ const Header = ({ onNavClick, activeTab }) => {
     network,
     isConnected,
     isConnecting,
-    connect,
+    wallet,
     disconnect,
     switchNetwork,
     formatAddress,
@@ -22,6 +27,27 @@ const Header = ({ onNavClick, activeTab }) => {
 
   const [isMenuOpen, setIsMenuOpen] = React.useState(false);
   const [isSettingsOpen, setIsSettingsOpen] = React.useState(false);
+  const [isWalletPickerOpen, setIsWalletPickerOpen] = React.useState(false);
+  const [sharedBridge, setSharedBridge] = React.useState(null);
+
+  const location = useLocation();
+  const navigate = useNavigate();
+
+  // Open the import review for a shared bridge link, then drop the link from the URL
+  React.useEffect(() => {
+    const params = new URLSearchParams(location.search);
+    const payload = params.get(SHARED_BRIDGE_PARAM);
+    if (!payload) return;
+
+    try {
+      setSharedBridge(decodeSharedBridge(payload));
+    } catch (error) {
+      toast.error(error.message);
+    }
+    params.delete(SHARED_BRIDGE_PARAM);
+    const search = params.toString();
+    navigate({ pathname: location.pathname, search: search ? `?${search}` : '' }, { replace: true });
+  }, [location.pathname, location.search, navigate]);
 
   // Get networks from settings
   const networksFromSettings = getAllNetworksWithSettings();
@@ -31,12 +57,8 @@ const Header = ({ onNavClick, activeTab }) => {
     symbol: network.symbol
   }));
 
-  const handleConnect = async () => {
-    try {
-      await connect();
-    } catch (error) {
-      console.error('Failed to connect:', error);
-    }
+  const handleConnect = () => {
+    setIsWalletPickerOpen(true);
   };
 
   const handleDisconnect = () => {
@@ -105,6 +127,46 @@ const Header = ({ onNavClick, activeTab }) => {
             >
               Pools
             </button>
+            <button
+              onClick={() => onNavClick('governance')}
+              className={`transition-colors ${
+                activeTab === 'governance'
+                  ? 'text-white'
+                  : 'text-secondary-300 hover:text-white'
+              }`}
+            >
+              Governance
+            </button>
+            <button
+              onClick={() => onNavClick('watchtower')}
+              className={`transition-colors ${
+                activeTab === 'watchtower'
+                  ? 'text-white'
+                  : 'text-secondary-300 hover:text-white'
+              }`}
+            >
+              Watchtower
+            </button>
+            <button
+              onClick={() => onNavClick('tracker')}
+              className={`transition-colors ${
+                activeTab === 'tracker'
+                  ? 'text-white'
+                  : 'text-secondary-300 hover:text-white'
+              }`}
+            >
+              Track
+            </button>
+            <button
+              onClick={() => onNavClick('account')}
+              className={`transition-colors ${
+                activeTab === 'account'
+                  ? 'text-white'
+                  : 'text-secondary-300 hover:text-white'
+              }`}
+            >
+              My Account
+            </button>
           </nav>
 
           {/* Wallet Connection */}
@@ -149,8 +211,15 @@ const Header = ({ onNavClick, activeTab }) => {
             ) : (
               <div className="flex items-center space-x-2">
                 {/* Account Info */}
-                <div className="hidden sm:flex items-center space-x-2 bg-dark-800 px-3 py-2 rounded-lg border border-secondary-700">
-                  <div className="w-2 h-2 bg-success-500 rounded-full"></div>
+                <div
+                  className="hidden sm:flex items-center space-x-2 bg-dark-800 px-3 py-2 rounded-lg border border-secondary-700"
+                  title={wallet ? `Connected with ${wallet.name}` : undefined}
+                >
+                  {wallet?.icon ? (
+                    <img src={wallet.icon} alt="" className="w-4 h-4 rounded" />
+                  ) : (
+                    <div className="w-2 h-2 bg-success-500 rounded-full"></div>
+                  )}
                   <span className="text-sm text-white">{formatAddress(account)}</span>
                 </div>
 
@@ -221,6 +290,58 @@ const Header = ({ onNavClick, activeTab }) => {
                 >
                   Pools
                 </button>
+                <button
+                  onClick={() => {
+                    onNavClick('governance');
+                    setIsMenuOpen(false);
+                  }}
+                  className={`w-full text-left px-3 py-2 rounded-lg transition-colors ${
+                    activeTab === 'governance'
+                      ? 'bg-primary-600 text-white'
+                      : 'text-secondary-300 hover:text-white hover:bg-dark-800'
+                  }`}
+                >
+                  Governance
+                </button>
+                <button
+                  onClick={() => {
+                    onNavClick('watchtower');
+                    setIsMenuOpen(false);
+                  }}
+                  className={`w-full text-left px-3 py-2 rounded-lg transition-colors ${
+                    activeTab === 'watchtower'
+                      ? 'bg-primary-600 text-white'
+                      : 'text-secondary-300 hover:text-white hover:bg-dark-800'
+                  }`}
+                >
+                  Watchtower
+                </button>
+                <button
+                  onClick={() => {
+                    onNavClick('tracker');
+                    setIsMenuOpen(false);
+                  }}
+                  className={`w-full text-left px-3 py-2 rounded-lg transition-colors ${
+                    activeTab === 'tracker'
+                      ? 'bg-primary-600 text-white'
+                      : 'text-secondary-300 hover:text-white hover:bg-dark-800'
+                  }`}
+                >
+                  Track
+                </button>
+                <button
+                  onClick={() => {
+                    onNavClick('account');
+                    setIsMenuOpen(false);
+                  }}
+                  className={`w-full text-left px-3 py-2 rounded-lg transition-colors ${
+                    activeTab === 'account'
+                      ? 'bg-primary-600 text-white'
+                      : 'text-secondary-300 hover:text-white hover:bg-dark-800'
+                  }`}
+                >
+                  My Account
+                </button>
               </nav>
 
               {/* Network Selector */}
@@ -265,11 +386,25 @@ const Header = ({ onNavClick, activeTab }) => {
         )}
       </AnimatePresence>
 
+      {/* Wallet Picker */}
+      <WalletPicker
+        isOpen={isWalletPickerOpen}
+        onClose={() => setIsWalletPickerOpen(false)}
+      />
+
       {/* Settings Dialog */}
       <SettingsDialog 
         isOpen={isSettingsOpen} 
         onClose={() => setIsSettingsOpen(false)} 
       />
+
+      {/* Shared Bridge Import */}
+      {sharedBridge && (
+        <SettingsTransfer
+          initialNetworks={sharedBridge}
+          onClose={() => setSharedBridge(null)}
+        />
+      )}
     </header>
   );
 };
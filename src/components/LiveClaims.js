@@ -0,0 +1,221 @@
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { ethers } from 'ethers';
+import { Link } from 'react-router-dom';
+import { Activity, RefreshCw } from 'lucide-react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { useSettings } from '../contexts/SettingsContext';
+import { getBridgeAddressesForDirection } from '../config/networks';
+import { getProvider } from '../utils/provider-manager';
+import { getTokenByAddress } from '../utils/token-helpers';
+import { convertActualToDisplay } from '../utils/decimal-converter';
+import { formatDuration } from '../utils/governance';
+import { getClaimPath } from '../utils/routes';
+import {
+  LIVE_CLAIMS_REFRESH_INTERVAL_MS,
+  LIVE_CLAIM_STATUSES,
+  getLiveClaimBridges,
+  loadLiveClaims,
+  getLiveClaimStatus,
+  sortLiveClaims,
+} from '../utils/live-claims';
+
+const STATUS_STYLES = {
+  [LIVE_CLAIM_STATUSES.CHALLENGING]: { label: 'Challenging', color: 'text-yellow-400' },
+  [LIVE_CLAIM_STATUSES.READY]: { label: 'Ready to withdraw', color: 'text-green-400' },
+  [LIVE_CLAIM_STATUSES.REJECTED]: { label: 'Rejected', color: 'text-red-400' },
+};
+
+/**
+ * Ongoing claims read from the bridges over RPC, refreshed on new blocks
+ */
+const LiveClaims = ({ bridgeDirection }) => {
+  const { account } = useWeb3();
+  const { getBridgeInstancesWithSettings, getAllNetworksWithSettings, getTokenDecimalsDisplayMultiplier } = useSettings();
+  const [byBridge, setByBridge] = useState({}); // { [bridgeAddress]: { claims, total, error } }
+  const [refreshing, setRefreshing] = useState({}); // { [networkKey]: true } while a network is read
+  const [updatedAt, setUpdatedAt] = useState(null);
+  const inFlightRef = useRef({});
+
+  const bridges = useMemo(() => getLiveClaimBridges({
+    bridges: getBridgeInstancesWithSettings(),
+    networks: getAllNetworksWithSettings(),
+    bridgeAddresses: bridgeDirection === 'all' ? null : getBridgeAddressesForDirection(bridgeDirection),
+  }), [bridgeDirection, getBridgeInstancesWithSettings, getAllNetworksWithSettings]);
+
+  const refreshNetwork = useCallback(async (networkKey) => {
+    if (inFlightRef.current[networkKey]) return;
+    inFlightRef.current[networkKey] = true;
+    setRefreshing(prev => ({ ...prev, [networkKey]: true }));
+
+    const networkBridges = bridges.filter(bridge => bridge.networkKey === networkKey);
+    try {
+      const { claims, totals, errors } = await loadLiveClaims({ bridges: networkBridges, getProvider });
+      setByBridge(prev => {
+        const next = { ...prev };
+        networkBridges.forEach(bridge => {
+          const key = bridge.address.toLowerCase();
+          next[key] = errors[key]
+            // Keep showing the last claims read when a refresh fails
+            ? { ...prev[key], error: errors[key] }
+            : { claims: claims.filter(claim => claim.bridge.address.toLowerCase() === key), total: totals[key], error: null };
+        });
+        return next;
+      });
+      setUpdatedAt(new Date());
+    } finally {
+      inFlightRef.current[networkKey] = false;
+      setRefreshing(prev => ({ ...prev, [networkKey]: false }));
+    }
+  }, [bridges]);
+
+  const networkKeys = useMemo(() => [...new Set(bridges.map(bridge => bridge.networkKey))], [bridges]);
+
+  const refreshAll = useCallback(() => {
+    networkKeys.forEach(networkKey => refreshNetwork(networkKey));
+  }, [networkKeys, refreshNetwork]);
+
+  useEffect(() => {
+    setByBridge({});
+    const lastRefresh = {};
+    const subscriptions = networkKeys.map(networkKey => {
+      const provider = getProvider(networkKey);
+      const onBlock = () => {
+        const now = Date.now();
+        if (now - (lastRefresh[networkKey] || 0) < LIVE_CLAIMS_REFRESH_INTERVAL_MS) return;
+        lastRefresh[networkKey] = now;
+        refreshNetwork(networkKey);
+      };
+      onBlock();
+      provider.on('block', onBlock);
+      return () => provider.off('block', onBlock);
+    });
+    return () => subscriptions.forEach(unsubscribe => unsubscribe());
+  }, [networkKeys, refreshNetwork]);
+
+  const now = Math.floor(Date.now() / 1000);
+  const claims = sortLiveClaims(Object.values(byBridge).flatMap(entry => entry.claims || []), now);
+  const failedBridges = bridges.filter(bridge => byBridge[bridge.address.toLowerCase()]?.error);
+  const truncatedBridges = bridges.filter(bridge => {
+    const entry = byBridge[bridge.address.toLowerCase()];
+    return entry?.claims && entry.total > entry.claims.length;
+  });
+  const isRefreshing = Object.values(refreshing).some(Boolean);
+
+  // Claims are paid in the bridge token of the network they are made on
+  const formatClaimAmount = (claim) => {
+    const { bridge, details } = claim;
+    const tokenAddress = bridge.type === 'export' ? bridge.homeTokenAddress : bridge.foreignTokenAddress;
+    const token = getTokenByAddress(bridge.networkKey, tokenAddress);
+    const decimals = token?.decimals || 18;
+    const symbol = token?.symbol || (bridge.type === 'export' ? bridge.homeTokenSymbol : bridge.foreignTokenSymbol);
+    return `${convertActualToDisplay(ethers.utils.formatUnits(details.amount, decimals), decimals, tokenAddress, getTokenDecimalsDisplayMultiplier)} ${symbol}`;
+  };
+
+  const formatStake = (claim, amount) => {
+    const { bridge } = claim;
+    const decimals = getTokenByAddress(bridge.networkKey, bridge.stakeTokenAddress)?.decimals || 18;
+    return convertActualToDisplay(ethers.utils.formatUnits(amount, decimals), decimals, bridge.stakeTokenAddress, getTokenDecimalsDisplayMultiplier);
+  };
+
+  const isMine = (details) => account && [details.claimant_address, details.recipient_address]
+    .some(address => address?.toLowerCase() === account.toLowerCase());
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between text-sm">
+        <div className="flex items-center gap-2 text-secondary-400">
+          <Activity className="w-4 h-4 text-primary-500" />
+          <span>
+            {claims.length} ongoing claim{claims.length === 1 ? '' : 's'} read from {bridges.length} bridge{bridges.length === 1 ? '' : 's'}
+            {updatedAt && ` · updated ${updatedAt.toLocaleTimeString()}`}
+          </span>
+        </div>
+        <button
+          onClick={refreshAll}
+          disabled={isRefreshing}
+          className="p-2 rounded-lg bg-dark-800 border border-secondary-700 hover:bg-dark-700 transition-colors disabled:opacity-50"
+          title="Refresh now (also refreshes on new blocks)"
+        >
+          <RefreshCw className={`w-4 h-4 ${isRefreshing ? 'animate-spin' : ''}`} />
+        </button>
+      </div>
+
+      {failedBridges.length > 0 && (
+        <div className="bg-red-900/20 border border-red-700 rounded-lg p-3 text-red-400 text-xs space-y-1">
+          {failedBridges.map(bridge => (
+            <div key={bridge.address}>
+              {bridge.description || bridge.address}: {byBridge[bridge.address.toLowerCase()].error}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {truncatedBridges.length > 0 && (
+        <p className="text-secondary-400 text-xs">
+          {truncatedBridges.map(bridge => {
+            const entry = byBridge[bridge.address.toLowerCase()];
+            return `${bridge.description || bridge.address}: newest ${entry.claims.length} of ${entry.total}`;
+          }).join(' · ')}
+        </p>
+      )}
+
+      {claims.length === 0 && !isRefreshing && (
+        <p className="text-secondary-400 text-sm text-center py-8">No ongoing claims</p>
+      )}
+
+      {claims.map(claim => {
+        const { details, bridge } = claim;
+        const status = getLiveClaimStatus(details, now);
+        const { label, color } = STATUS_STYLES[status];
+        const expiresIn = Number(details.expiry_ts) - now;
+        return (
+          <Link
+            key={claim.key}
+            to={getClaimPath({ networkKey: bridge.networkKey, bridgeAddress: bridge.address, claimNum: claim.claimNum })}
+            className={`block card p-4 hover:bg-dark-700 transition-colors ${isMine(details) ? 'border border-primary-600' : ''}`}
+          >
+            <div className="flex items-center justify-between mb-2">
+              <div className="flex items-center gap-2">
+                <span className="text-white font-medium">Claim #{claim.claimNum.toString()}</span>
+                <span className="text-secondary-400 text-xs">{bridge.description || bridge.address}</span>
+              </div>
+              <span className={`text-sm font-medium ${color}`}>
+                {label}
+                {status === LIVE_CLAIM_STATUSES.CHALLENGING && ` · ${formatDuration(expiresIn)} left`}
+              </span>
+            </div>
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 text-xs">
+              <div>
+                <div className="text-secondary-400">Amount</div>
+                <div className="text-white">{formatClaimAmount(claim)}</div>
+              </div>
+              <div>
+                <div className="text-secondary-400">Outcome</div>
+                <div className="text-white">{Number(details.current_outcome) === 1 ? 'YES' : 'NO'} (period {details.period_number})</div>
+              </div>
+              <div>
+                <div className="text-secondary-400">Stakes</div>
+                <div className="text-white">
+                  YES {formatStake(claim, details.yes_stake)} / NO {formatStake(claim, details.no_stake)} {bridge.stakeTokenSymbol}
+                </div>
+              </div>
+              <div>
+                <div className="text-secondary-400">Recipient</div>
+                <div className="text-white font-mono">
+                  {details.recipient_address.slice(0, 6)}...{details.recipient_address.slice(-4)}
+                </div>
+              </div>
+            </div>
+          </Link>
+        );
+      })}
+    </div>
+  );
+};
+
+LiveClaims.propTypes = {
+  bridgeDirection: PropTypes.string.isRequired,
+};
+
+export default LiveClaims;
@@ -10,8 +10,10 @@ import { getBlockTimestamp } from '../utils/bridge-contracts';
 import { fetchClaimDetails } from '../utils/claim-details-fetcher.js';
 import { normalizeAmount } from '../utils/data-normalizer.js';
 import { convertActualToDisplay } from '../utils/decimal-converter.js';
-import { addClaimEventToStorage, createClaimEventData } from '../utils/unified-event-cache';
+import { addClaimEventToStorage, createClaimEventData, updateCachedTransfer } from '../utils/unified-event-cache';
 import { determineClaimBridge } from '../utils/claim-bridge-discriminant.js';
+import { canBatchApproval, sendApproveAndCall } from '../utils/approve-and-call';
+import { getPermitSupport } from '../utils/token-permit';
 import { 
   EXPORT_ABI,
   IMPORT_ABI,
@@ -341,6 +343,10 @@ const NewClaim = ({ isOpen, onClose, selectedToken = null, selectedTransfer = nu
   const [needsApproval, setNeedsApproval] = useState(true);
   const [availableTokens, setAvailableTokens] = useState([]);
   const [isThirdPartyClaim, setIsThirdPartyClaim] = useState(false);
+  // On networks with a batch precompile the approval goes out with the claim in one transaction
+  const batchApproval = Boolean(selectedBridge && canBatchApproval(network, selectedBridge.stakeTokenAddress));
+  const [permitSupported, setPermitSupported] = useState(false);
+  const [usePermit, setUsePermit] = useState(false);
   const [showTransactionDetails, setShowTransactionDetails] = useState(false);
   const [useMaxAllowance, setUseMaxAllowance] = useState(false);
   const [isRevoking, setIsRevoking] = useState(false);
@@ -1399,6 +1405,18 @@ const NewClaim = ({ isOpen, onClose, selectedToken = null, selectedTransfer = nu
     }
   }, [isOpen, selectedBridge]);
 
+  // Permits can only be submitted together with the claim, in a batch
+  const permitTokenAddress = isOpen && batchApproval ? selectedBridge.stakeTokenAddress : null;
+  useEffect(() => {
+    setPermitSupported(false);
+    if (!permitTokenAddress || !provider || !account) return undefined;
+    let cancelled = false;
+    getPermitSupport(provider, permitTokenAddress, account).then(support => {
+      if (!cancelled) setPermitSupported(support.supported);
+    });
+    return () => { cancelled = true; };
+  }, [permitTokenAddress, provider, account]);
+
   // Check allowance when bridge and amount change (only when dialog is open)
   useEffect(() => {
     if (isOpen && selectedBridge && formData.amount && provider && account) {
@@ -1968,7 +1986,7 @@ const NewClaim = ({ isOpen, onClose, selectedToken = null, selectedTransfer = nu
        return;
      }
 
-    if (needsApproval) {
+    if (needsApproval && !batchApproval) {
       console.log('❌ Approval needed');
       toast.error('Please approve the bridge to spend your tokens first');
       return;
@@ -2283,22 +2301,12 @@ const NewClaim = ({ isOpen, onClose, selectedToken = null, selectedTransfer = nu
       console.log('🔍 Original data:', formData.data);
       console.log('🔍 Processed data:', processedData);
       
-      // Ensure data is a valid hex string
+      // The data is a free string (JSON or ABI-encoded payloads for CounterstakeReceiver recipients)
+      // and has to be claimed exactly as it was sent, it is part of the claim id
       if (typeof processedData !== 'string') {
         processedData = '0x';
       }
       
-      // Ensure data starts with 0x
-      if (!processedData.startsWith('0x')) {
-        processedData = '0x' + processedData;
-      }
-      
-      // Validate hex format
-      if (!/^0x[0-9a-fA-F]*$/.test(processedData)) {
-        console.warn('⚠️ Invalid data format, using default 0x');
-        processedData = '0x';
-      }
-      
       console.log('🔍 Final data parameter:', processedData);
       console.log('✅ Data parameter processing complete');
       
@@ -2579,8 +2587,8 @@ const NewClaim = ({ isOpen, onClose, selectedToken = null, selectedTransfer = nu
         throw new Error(`Insufficient balance. Required: ${stakeFormatted}, Available: ${balanceFormatted}`);
       }
       
-      // Only check allowance for ERC20 tokens (not native tokens)
-      if (selectedBridge.stakeTokenAddress !== ethers.constants.AddressZero && allowance.lt(stakeWeiForCheck)) {
+      // Only check allowance for ERC20 tokens (not native tokens), a batched approval comes with the claim
+      if (selectedBridge.stakeTokenAddress !== ethers.constants.AddressZero && !batchApproval && allowance.lt(stakeWeiForCheck)) {
         const allowanceFormatted = ethers.utils.formatUnits(allowance, decimals);
         const stakeFormatted = ethers.utils.formatUnits(stakeWeiForCheck, decimals);
         throw new Error(`Insufficient allowance. Required: ${stakeFormatted}, Allowed: ${allowanceFormatted}`);
@@ -2723,25 +2731,49 @@ const NewClaim = ({ isOpen, onClose, selectedToken = null, selectedTransfer = nu
       console.log('  - data:', processedData);
       console.log('  - transaction options:', transactionParams);
 
-      const claimTx = await bridgeContract.claim(
-        processedTxid,
-        txtsValue, // Use validated uint32 value
-        amountBigNumber,
-        rewardBigNumber,
-        stakeWeiForCheck,
-        senderChecksummed,
-        recipientChecksummed,
-        processedData,
-        transactionParams
-      );
-      
-      console.log('✅ Claim transaction submitted successfully:', claimTx.hash);
-
-      console.log('🔍 Claim transaction submitted:', claimTx.hash);
-      toast.success('Claim submitted! Waiting for confirmation...');
-      
-      const receipt = await claimTx.wait();
-      console.log('🔍 Claim transaction confirmed:', receipt);
+      // Third-party claims of an export bridge also pull the paid amount in the stake token
+      const paysInStakeToken = isThirdPartyClaim && formData.tokenAddress &&
+        formData.tokenAddress.toLowerCase() === selectedBridge.stakeTokenAddress?.toLowerCase();
+      const requiredApproval = paysInStakeToken ? stakeWeiForCheck.add(amountBigNumber.sub(rewardBigNumber)) : stakeWeiForCheck;
+      const { gasLimit: claimGasLimit, value: claimValue, ...feeOverrides } = transactionParams;
+
+      // Approval and claim in one batch transaction where the network supports it
+      const { receipt, batched, permitted } = await sendApproveAndCall({
+        signer,
+        networkConfig: network,
+        approval: {
+          tokenAddress: selectedBridge.stakeTokenAddress,
+          spender: selectedBridge.address,
+          required: requiredApproval,
+          amount: useMaxAllowance && !usePermit ? getMaxAllowance() : requiredApproval,
+          usePermit: permitSupported && usePermit
+        },
+        call: {
+          label: 'Claim',
+          to: selectedBridge.address,
+          value: claimValue || 0,
+          data: bridgeContract.interface.encodeFunctionData('claim', [
+            processedTxid,
+            txtsValue, // Use validated uint32 value
+            amountBigNumber,
+            rewardBigNumber,
+            stakeWeiForCheck,
+            senderChecksummed,
+            recipientChecksummed,
+            processedData
+          ]),
+          gasLimit: claimGasLimit || 500000
+        },
+        overrides: feeOverrides,
+        onSent: (tx) => {
+          console.log('✅ Claim transaction submitted successfully:', tx.hash);
+          toast.success('Claim submitted! Waiting for confirmation...');
+        }
+      });
+      console.log('🔍 Claim transaction confirmed:', receipt, batched ? `(batched with ${permitted ? 'permit' : 'approval'})` : '');
+      if (batched) {
+        await checkAllowance();
+      }
       toast.success(`Claim confirmed! Transaction: ${receipt.transactionHash}`);
       
       // Extract NewClaim event from transaction receipt and fetch complete event data
@@ -2906,24 +2938,16 @@ const NewClaim = ({ isOpen, onClose, selectedToken = null, selectedTransfer = nu
         // Also update the original transfer status if it exists in storage
         if (selectedTransfer) {
           try {
-            const existingTransfers = JSON.parse(localStorage.getItem('bridge_transfers_cache') || '[]');
-            const originalTransferIndex = existingTransfers.findIndex(t => 
-              t.transactionHash === selectedTransfer.transactionHash || 
-              t.txid === selectedTransfer.txid
-            );
+            // Update the original transfer to show it has been claimed
+            const updatedCount = await updateCachedTransfer(selectedTransfer.txid || selectedTransfer.transactionHash, {
+              status: 'claimed',
+              claimTransactionHash: receipt.transactionHash,
+              claimBlockNumber: receipt.blockNumber,
+              claimTimestamp: await getBlockTimestamp(signer.provider, receipt.blockNumber),
+              claimerAddress: await signer.getAddress()
+            });
             
-            if (originalTransferIndex >= 0) {
-              // Update the original transfer to show it has been claimed
-              existingTransfers[originalTransferIndex] = {
-                ...existingTransfers[originalTransferIndex],
-                status: 'claimed',
-                claimTransactionHash: receipt.transactionHash,
-                claimBlockNumber: receipt.blockNumber,
-                claimTimestamp: await getBlockTimestamp(signer.provider, receipt.blockNumber),
-                claimerAddress: await signer.getAddress()
-              };
-              
-              localStorage.setItem('bridge_transfers_cache', JSON.stringify(existingTransfers));
+            if (updatedCount > 0) {
               console.log('✅ Updated original transfer status to claimed');
             }
           } catch (updateError) {
@@ -2996,6 +3020,9 @@ const NewClaim = ({ isOpen, onClose, selectedToken = null, selectedTransfer = nu
         }
       } else if (error.code === 4001 || providerMessage?.includes('User denied transaction') || providerMessage?.includes('user rejected transaction')) {
         errorMessage = 'Transaction cancelled by user';
+      } else if (error.failedCall) {
+        // Names the approval or the claim when they were sent together
+        errorMessage = error.message;
       } else if (providerMessage?.toLowerCase().includes('insufficient funds') || providerMessage?.toLowerCase().includes('insufficient balance')) {
         errorMessage = 'Insufficient funds for gas fees.';
       } else if (error.code === -32603) {
@@ -3792,6 +3819,7 @@ const NewClaim = ({ isOpen, onClose, selectedToken = null, selectedTransfer = nu
                       <input
                         type="checkbox"
                         checked={useMaxAllowance}
+                        disabled={usePermit}
                         onChange={(e) => setUseMaxAllowance(e.target.checked)}
                         className="w-4 h-4 text-warning-400 bg-warning-900 border-warning-600 rounded focus:ring-warning-500 focus:ring-2"
                       />
@@ -3807,19 +3835,43 @@ const NewClaim = ({ isOpen, onClose, selectedToken = null, selectedTransfer = nu
                   </div>
                   
                   <div className="space-y-2">
-                    <button
-                      type="button"
-                      onClick={handleApproval}
-                      disabled={submitting}
-                      className="btn-warning w-full flex items-center justify-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
-                    >
-                      {submitting ? (
-                        <Loader2 className="w-4 h-4 animate-spin" />
-                      ) : (
-                        <CheckCircle className="w-4 h-4" />
-                      )}
-                      {useMaxAllowance ? `Approve ∞ ${selectedBridge?.stakeTokenSymbol || 'Stake Token'}` : `Approve ${selectedBridge?.stakeTokenSymbol || 'Stake Token'} for Bridge`}
-                    </button>
+                    {batchApproval ? (
+                      <>
+                        <p className="text-xs text-secondary-300">
+                          The approval is sent together with the claim in a single batch transaction, one signature for both.
+                        </p>
+                        {permitSupported && (
+                          <label className="flex items-center space-x-2 cursor-pointer">
+                            <input
+                              type="checkbox"
+                              checked={usePermit}
+                              onChange={(e) => {
+                                setUsePermit(e.target.checked);
+                                if (e.target.checked) setUseMaxAllowance(false);
+                              }}
+                              className="w-4 h-4 text-warning-400 bg-warning-900 border-warning-600 rounded focus:ring-warning-500 focus:ring-2"
+                            />
+                            <span className="text-warning-300 text-xs">
+                              Sign a permit for exactly the required amount instead of an approval
+                            </span>
+                          </label>
+                        )}
+                      </>
+                    ) : (
+                      <button
+                        type="button"
+                        onClick={handleApproval}
+                        disabled={submitting}
+                        className="btn-warning w-full flex items-center justify-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        {submitting ? (
+                          <Loader2 className="w-4 h-4 animate-spin" />
+                        ) : (
+                          <CheckCircle className="w-4 h-4" />
+                        )}
+                        {useMaxAllowance ? `Approve ∞ ${selectedBridge?.stakeTokenSymbol || 'Stake Token'}` : `Approve ${selectedBridge?.stakeTokenSymbol || 'Stake Token'} for Bridge`}
+                      </button>
+                    )}
                     
                     {/* Revoke Allowance Button - Show if there's any existing allowance */}
                     {allowance !== '0' && allowance !== 'Max' && (
@@ -3931,8 +3983,8 @@ const NewClaim = ({ isOpen, onClose, selectedToken = null, selectedTransfer = nu
                 >
                   Cancel
                 </button>
-                {/* Only show Submit button if no approval is needed */}
-                {!needsApproval && (
+                {/* Only show Submit button if no approval is needed or it is batched with the claim */}
+                {(!needsApproval || batchApproval) && (
                   <button
                     type="submit"
                     disabled={submitting || isInsufficientBalanceForThirdPartyClaim()}
@@ -3946,7 +3998,7 @@ const NewClaim = ({ isOpen, onClose, selectedToken = null, selectedTransfer = nu
                     ) : (
                       <>
                         <ExternalLink className="w-4 h-4" />
-                        Submit Claim
+                        {needsApproval ? 'Approve & Submit Claim' : 'Submit Claim'}
                       </>
                     )}
                   </button>
@@ -0,0 +1,565 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { ethers } from 'ethers';
+import { motion, AnimatePresence } from 'framer-motion';
+import toast from 'react-hot-toast';
+import { X, Database, RefreshCw, Plus, Calculator } from 'lucide-react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { useSettings } from '../contexts/SettingsContext';
+import { useNetworkSwitcher } from '../hooks/useNetworkSwitcher';
+import { handleTransactionError } from '../utils/error-handler';
+import { convertActualToDisplay, convertDisplayToActual } from '../utils/decimal-converter';
+import {
+  NATIVE_ASSET,
+  DEFAULT_PRICE_MAX_AGE_DAYS,
+  PRICE_STATUS,
+  PRICE_PAIR_USAGES,
+  getPairKey,
+  getRequiredPricePairs,
+  decimalToFraction,
+  fractionToDecimal,
+  getPriceStatus,
+  simulateRequiredStake,
+  getPriceUpdateTimes,
+  recordPriceUpdate,
+  getPairUpdatedAt,
+  getOracleOwner,
+  readOraclePrices,
+  getPriceTokenDecimals,
+  loadStakeSettings,
+  setOraclePrice,
+} from '../utils/oracle-prices';
+
+const STATUS_STYLES = {
+  [PRICE_STATUS.OK]: { label: 'OK', className: 'bg-green-900/30 text-green-400 border-green-700' },
+  [PRICE_STATUS.MISSING]: { label: 'Missing', className: 'bg-red-900/30 text-red-400 border-red-700' },
+  [PRICE_STATUS.INVALID]: { label: 'Invalid', className: 'bg-red-900/30 text-red-400 border-red-700' },
+  [PRICE_STATUS.STALE]: { label: 'Stale', className: 'bg-yellow-900/30 text-yellow-400 border-yellow-700' },
+};
+
+const MAX_AGE_OPTIONS = [1, 7, 30, 90];
+
+/**
+ * Oracle console: lists the prices the bridges using an oracle need, flags missing or stale ones
+ * and lets the oracle owner set them with setPrice
+ */
+const OracleConsole = ({ networkKey, oracleKey, oracleConfig, onClose }) => {
+  const { account, signer } = useWeb3();
+  const { getBridgeInstancesWithSettings, getNetworkWithSettings, getTokenDecimalsDisplayMultiplier } = useSettings();
+  const { checkAndSwitchNetwork } = useNetworkSwitcher();
+
+  const [owner, setOwner] = useState(null);
+  const [prices, setPrices] = useState([]);
+  const [stakeSettings, setStakeSettings] = useState({});
+  const [updateTimes, setUpdateTimes] = useState(() => getPriceUpdateTimes(oracleConfig.address));
+  const [maxAgeDays, setMaxAgeDays] = useState(DEFAULT_PRICE_MAX_AGE_DAYS);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [customPairs, setCustomPairs] = useState([]);
+  const [newPair, setNewPair] = useState({ base: '', quote: NATIVE_ASSET, baseDecimals: '18', quoteDecimals: '18' });
+  const [editingKey, setEditingKey] = useState(null);
+  const [priceInput, setPriceInput] = useState('');
+  const [numInput, setNumInput] = useState('');
+  const [denInput, setDenInput] = useState('');
+  const [simulationAmount, setSimulationAmount] = useState('1000');
+  const [pendingKey, setPendingKey] = useState(null);
+
+  const networkConfig = getNetworkWithSettings(networkKey);
+
+  const bridges = useMemo(() => {
+    return Object.entries(getBridgeInstancesWithSettings())
+      .filter(([, bridge]) => bridge && bridge.address)
+      .map(([key, bridge]) => ({ key, ...bridge }));
+  }, [getBridgeInstancesWithSettings]);
+
+  const requiredPairs = useMemo(() => {
+    return getRequiredPricePairs(bridges, oracleConfig.address, networkConfig?.name);
+  }, [bridges, oracleConfig.address, networkConfig?.name]);
+
+  const loadPrices = useCallback(async () => {
+    if (!networkConfig?.rpcUrl) {
+      setError('Network configuration not found for this oracle');
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    try {
+      const provider = new ethers.providers.JsonRpcProvider(networkConfig.rpcUrl);
+
+      try {
+        setOwner(await getOracleOwner(provider, oracleConfig.address));
+      } catch (err) {
+        setOwner(null);
+      }
+
+      // Decimals turn the raw num/den fraction into a price per whole token
+      const tokens = [...new Set(requiredPairs.flatMap(pair => [pair.baseToken, pair.quoteToken]).filter(Boolean))];
+      const decimals = Object.fromEntries(await Promise.all(
+        tokens.map(async (token) => [token, await getPriceTokenDecimals(provider, token)])
+      ));
+      const pairs = [
+        ...requiredPairs.map(pair => ({
+          ...pair,
+          baseDecimals: pair.baseToken ? decimals[pair.baseToken] : 18,
+          quoteDecimals: pair.quoteToken ? decimals[pair.quoteToken] : 18,
+        })),
+        ...customPairs,
+      ];
+      setPrices(await readOraclePrices(provider, oracleConfig.address, pairs));
+
+      const stakeBridges = bridges.filter(bridge => requiredPairs.some(pair => pair.usage === 'stake' && pair.bridges.includes(bridge.key)));
+      const settingsByBridge = {};
+      await Promise.all(stakeBridges.map(async (bridge) => {
+        try {
+          settingsByBridge[bridge.key] = await loadStakeSettings(provider, bridge.address);
+        } catch (err) {
+          console.warn(`⚠️ Could not load stake settings of ${bridge.key}:`, err.message);
+        }
+      }));
+      setStakeSettings(settingsByBridge);
+      setUpdateTimes(getPriceUpdateTimes(oracleConfig.address));
+    } catch (err) {
+      console.error('❌ Error loading oracle prices:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [networkConfig?.rpcUrl, oracleConfig.address, requiredPairs, customPairs, bridges]);
+
+  useEffect(() => {
+    loadPrices();
+  }, [loadPrices]);
+
+  const isOwner = Boolean(account && owner && account.toLowerCase() === owner.toLowerCase());
+
+  const formatPrice = (pair, num, den) => {
+    if (num === null || den === null) return '-';
+    const price = fractionToDecimal(num, den, pair);
+    return price === null ? '∞' : price;
+  };
+
+  const formatStake = (amount, pair) => {
+    const formatted = ethers.utils.formatUnits(amount, pair.quoteDecimals);
+    return convertActualToDisplay(formatted, pair.quoteDecimals, pair.quoteToken, getTokenDecimalsDisplayMultiplier);
+  };
+
+  const openEditor = (pair) => {
+    setEditingKey(pair.key);
+    setPriceInput('');
+    setNumInput(pair.num && !pair.num.isZero() ? pair.num.toString() : '');
+    setDenInput(pair.den && !pair.den.isZero() ? pair.den.toString() : '');
+  };
+
+  const handlePriceInput = (pair, value) => {
+    setPriceInput(value);
+    try {
+      const { num, den } = decimalToFraction(value, pair);
+      setNumInput(num.toString());
+      setDenInput(den.toString());
+    } catch (err) {
+      // Keep the last valid fraction while the price is being typed
+    }
+  };
+
+  const getNewFraction = () => {
+    if (!/^\d+$/.test(numInput) || !/^\d+$/.test(denInput)) return null;
+    const num = ethers.BigNumber.from(numInput);
+    const den = ethers.BigNumber.from(denInput);
+    return num.isZero() || den.isZero() ? null : { num, den };
+  };
+
+  // Required stake the bridge computes now and with the new price, for the simulated claim amount
+  const getStakeSimulation = (pair, bridgeKey, fraction) => {
+    const bridgeSettings = stakeSettings[bridgeKey];
+    if (!bridgeSettings || !simulationAmount || parseFloat(simulationAmount) <= 0) return null;
+
+    try {
+      const actualAmount = convertDisplayToActual(simulationAmount, pair.baseDecimals, pair.baseToken, getTokenDecimalsDisplayMultiplier);
+      const amount = ethers.utils.parseUnits(actualAmount, pair.baseDecimals);
+      const simulate = (price) => {
+        try {
+          return formatStake(simulateRequiredStake({ amount, ...bridgeSettings, ...price }), pair);
+        } catch (err) {
+          return `Reverts: ${err.message}`;
+        }
+      };
+      return {
+        current: pair.num ? simulate({ num: pair.num, den: pair.den }) : '-',
+        next: fraction ? simulate(fraction) : '-',
+      };
+    } catch (err) {
+      return null;
+    }
+  };
+
+  const handleSetPrice = async (pair) => {
+    if (!signer) {
+      toast.error('Please connect your wallet first');
+      return;
+    }
+
+    const fraction = getNewFraction();
+    if (!fraction) {
+      toast.error('Numerator and denominator must be positive whole numbers');
+      return;
+    }
+
+    const switchSuccess = await checkAndSwitchNetwork(networkConfig);
+    if (!switchSuccess) return;
+
+    setPendingKey(pair.key);
+    try {
+      const tx = await setOraclePrice(signer, oracleConfig.address, pair.base, pair.quote, fraction.num, fraction.den);
+      console.log('Transaction sent:', tx.hash);
+      toast.success('Price transaction sent!');
+      await tx.wait();
+      recordPriceUpdate(oracleConfig.address, pair.base, pair.quote);
+      toast.success(`Price of ${pair.key} updated!`);
+      setEditingKey(null);
+      await loadPrices();
+    } catch (err) {
+      handleTransactionError(err, { messagePrefix: 'Failed to set price: ' });
+    } finally {
+      setPendingKey(null);
+    }
+  };
+
+  const handleAddPair = () => {
+    const base = newPair.base.trim();
+    const quote = newPair.quote.trim();
+    if (!base || !quote || base === quote) {
+      toast.error('Enter two different assets');
+      return;
+    }
+    const key = getPairKey(base, quote);
+    if (prices.some(pair => pair.key === key)) {
+      toast.error(`${key} is already listed`);
+      return;
+    }
+    setCustomPairs(prev => [...prev, {
+      key,
+      base,
+      quote,
+      usage: 'custom',
+      baseToken: null,
+      quoteToken: null,
+      baseDecimals: parseInt(newPair.baseDecimals, 10) || 0,
+      quoteDecimals: parseInt(newPair.quoteDecimals, 10) || 0,
+      bridges: [],
+    }]);
+    setNewPair(prev => ({ ...prev, base: '' }));
+  };
+
+  const renderSpinner = () => (
+    <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
+  );
+
+  const renderEditor = (pair) => {
+    const fraction = getNewFraction();
+    const simulatedBridges = pair.usage === 'stake' ? pair.bridges : [];
+
+    return (
+      <div className="mt-3 pt-3 border-t border-secondary-700 space-y-3">
+        <div>
+          <label className="text-xs font-medium text-secondary-300">
+            Price of 1 {pair.base} in {pair.quote}
+          </label>
+          <input
+            type="text"
+            value={priceInput}
+            onChange={(e) => handlePriceInput(pair, e.target.value)}
+            placeholder="e.g. 0.0025"
+            className="w-full input-field"
+          />
+          <p className="text-secondary-400 text-xs mt-1">
+            Converted to a fraction of smallest units ({pair.baseDecimals} / {pair.quoteDecimals} decimals)
+          </p>
+        </div>
+
+        <div className="grid grid-cols-2 gap-2">
+          <input
+            type="text"
+            value={numInput}
+            onChange={(e) => setNumInput(e.target.value.trim())}
+            placeholder="num"
+            className="input-field font-mono text-xs"
+          />
+          <input
+            type="text"
+            value={denInput}
+            onChange={(e) => setDenInput(e.target.value.trim())}
+            placeholder="den"
+            className="input-field font-mono text-xs"
+          />
+        </div>
+        {fraction && (
+          <p className="text-secondary-400 text-xs">
+            New price: 1 {pair.base} = {formatPrice(pair, fraction.num, fraction.den)} {pair.quote}
+          </p>
+        )}
+
+        {simulatedBridges.length > 0 && (
+          <div className="p-3 bg-dark-900 rounded border border-secondary-700 space-y-2">
+            <div className="flex items-center gap-2">
+              <Calculator className="w-4 h-4 text-primary-500" />
+              <span className="text-sm text-white">getRequiredStake for a claim of</span>
+              <input
+                type="number"
+                min="0"
+                value={simulationAmount}
+                onChange={(e) => setSimulationAmount(e.target.value)}
+                className="input-field w-32 text-xs"
+              />
+            </div>
+            {simulatedBridges.map(bridgeKey => {
+              const simulation = getStakeSimulation(pair, bridgeKey, fraction);
+              return (
+                <div key={bridgeKey} className="text-xs">
+                  <div className="text-secondary-300">{bridgeKey}</div>
+                  {simulation ? (
+                    <div className="flex justify-between gap-4">
+                      <span className="text-secondary-400">Now: {simulation.current}</span>
+                      <span className="text-white">New: {simulation.next}</span>
+                    </div>
+                  ) : (
+                    <div className="text-secondary-500">Bridge settings unavailable</div>
+                  )}
+                </div>
+              );
+            })}
+            <p className="text-secondary-500 text-xs">
+              Stake never falls below the bridge's min_stake and min_price20 floors.
+            </p>
+          </div>
+        )}
+
+        <div className="flex gap-2">
+          <button
+            onClick={() => handleSetPrice(pair)}
+            disabled={!!pendingKey || !fraction}
+            className="btn-primary flex-1 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {pendingKey === pair.key ? renderSpinner() : 'Set Price'}
+          </button>
+          <button
+            onClick={() => setEditingKey(null)}
+            disabled={!!pendingKey}
+            className="btn-secondary px-4"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <AnimatePresence>
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        className="fixed inset-0 bg-black/50 backdrop-blur-sm z-[9999] flex items-start justify-center p-2 sm:p-4 pt-4 sm:pt-8"
+        onClick={onClose}
+      >
+        <motion.div
+          initial={{ scale: 0.95, opacity: 0, y: -20 }}
+          animate={{ scale: 1, opacity: 1, y: 0 }}
+          exit={{ scale: 0.95, opacity: 0, y: -20 }}
+          transition={{ type: "spring", damping: 25, stiffness: 300 }}
+          className="bg-dark-900 border border-secondary-800 rounded-xl shadow-2xl w-full max-w-3xl max-h-[calc(100vh-2rem)] sm:max-h-[calc(100vh-3rem)] overflow-hidden relative"
+          onClick={(e) => e.stopPropagation()}
+        >
+          {/* Header */}
+          <div className="flex items-center justify-between p-4 border-b border-secondary-800">
+            <div className="flex items-center gap-3">
+              <Database className="w-6 h-6 text-primary-500" />
+              <div>
+                <h2 className="text-xl font-bold text-white">Oracle Console</h2>
+                <p className="text-secondary-400 text-xs">{oracleConfig.name || oracleKey} on {networkConfig?.name}</p>
+              </div>
+            </div>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={loadPrices}
+                disabled={loading}
+                className="p-2 rounded-lg bg-dark-800 border border-secondary-700 hover:bg-dark-700 transition-colors disabled:opacity-50"
+                title="Refresh"
+              >
+                <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+              </button>
+              <button
+                onClick={onClose}
+                className="text-secondary-400 hover:text-white transition-colors"
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+          </div>
+
+          {/* Content */}
+          <div className="p-4 sm:p-6 overflow-y-auto max-h-[calc(96vh-8rem)] sm:max-h-[calc(96vh-10rem)]">
+            <div className="space-y-6">
+              {/* Oracle Info */}
+              <div className="p-3 bg-dark-800 rounded border border-secondary-700 text-sm space-y-1">
+                <div className="flex justify-between gap-4">
+                  <span className="text-secondary-400">Address:</span>
+                  <span className="text-white font-mono break-all">{oracleConfig.address}</span>
+                </div>
+                <div className="flex justify-between gap-4">
+                  <span className="text-secondary-400">Owner:</span>
+                  <span className="text-white font-mono break-all">{owner || '-'}</span>
+                </div>
+                <div className="flex justify-between gap-4">
+                  <span className="text-secondary-400">Stale after:</span>
+                  <select
+                    value={maxAgeDays}
+                    onChange={(e) => setMaxAgeDays(Number(e.target.value))}
+                    className="input-field py-0 text-xs"
+                  >
+                    {MAX_AGE_OPTIONS.map(days => (
+                      <option key={days} value={days}>{days} day{days !== 1 ? 's' : ''}</option>
+                    ))}
+                  </select>
+                </div>
+                {!isOwner && (
+                  <p className="text-yellow-400 text-xs pt-1">
+                    {account ? 'Only the oracle owner can set prices.' : 'Connect the owner wallet to set prices.'}
+                  </p>
+                )}
+              </div>
+
+              {error && (
+                <div className="bg-red-900/20 border border-red-500/30 rounded-lg p-3 text-sm text-red-300">
+                  {error}
+                </div>
+              )}
+
+              {/* Price Pairs */}
+              <div className="space-y-2">
+                <h3 className="text-lg font-medium text-white">Price Pairs</h3>
+                {requiredPairs.length === 0 && (
+                  <p className="text-secondary-400 text-sm">
+                    No configured import bridge uses this oracle yet. Before creating one, add its pairs below:
+                    {' '}<code className="bg-dark-700 px-1 rounded">home_token_address/{NATIVE_ASSET}</code>,
+                    {' '}<code className="bg-dark-700 px-1 rounded">symbol/{NATIVE_ASSET}</code> and
+                    {' '}<code className="bg-dark-700 px-1 rounded">{NATIVE_ASSET}/symbol</code>.
+                  </p>
+                )}
+
+                {prices.map(pair => {
+                  const updatedAt = getPairUpdatedAt(updateTimes, pair.base, pair.quote);
+                  const status = pair.num ? getPriceStatus(pair, { updatedAt, maxAgeMs: maxAgeDays * 86400000 }) : null;
+                  const statusStyle = status ? STATUS_STYLES[status] : { label: 'Read failed', className: 'bg-dark-700 text-secondary-400 border-secondary-600' };
+
+                  return (
+                    <div key={pair.key} className="p-3 bg-dark-800 rounded border border-secondary-700">
+                      <div className="flex items-start justify-between gap-3">
+                        <div className="min-w-0">
+                          <div className="flex items-center gap-2">
+                            <span className="text-sm font-medium text-white font-mono break-all">{pair.key}</span>
+                            <span className={`px-2 py-0.5 text-xs rounded-full border ${statusStyle.className}`}>{statusStyle.label}</span>
+                          </div>
+                          <div className="text-xs text-secondary-400">{PRICE_PAIR_USAGES[pair.usage] || 'Custom pair'}</div>
+                          {pair.bridges.length > 0 && (
+                            <div className="text-xs text-secondary-500">Bridges: {pair.bridges.join(', ')}</div>
+                          )}
+                        </div>
+                        {isOwner && editingKey !== pair.key && (
+                          <button
+                            onClick={() => openEditor(pair)}
+                            disabled={!!pendingKey}
+                            className="btn-secondary px-3 py-1 text-xs"
+                          >
+                            Set
+                          </button>
+                        )}
+                      </div>
+                      <div className="mt-2 text-xs text-secondary-300 space-y-0.5">
+                        <div>1 {pair.base} = {formatPrice(pair, pair.num, pair.den)} {pair.quote}</div>
+                        {pair.num && (
+                          <div className="font-mono text-secondary-500 break-all">num {pair.num.toString()} / den {pair.den.toString()}</div>
+                        )}
+                        <div className="text-secondary-500">
+                          {updatedAt ? `Set from this browser ${new Date(updatedAt).toLocaleString()}` : 'Update time unknown'}
+                        </div>
+                      </div>
+                      {editingKey === pair.key && renderEditor(pair)}
+                    </div>
+                  );
+                })}
+              </div>
+
+              {/* Custom Pair */}
+              <div className="space-y-2">
+                <h3 className="text-lg font-medium text-white">Add Pair</h3>
+                <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+                  <input
+                    type="text"
+                    value={newPair.base}
+                    onChange={(e) => setNewPair(prev => ({ ...prev, base: e.target.value }))}
+                    placeholder="Base (address or symbol)"
+                    className="input-field col-span-2 sm:col-span-1"
+                  />
+                  <input
+                    type="text"
+                    value={newPair.quote}
+                    onChange={(e) => setNewPair(prev => ({ ...prev, quote: e.target.value }))}
+                    placeholder="Quote"
+                    className="input-field col-span-2 sm:col-span-1"
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    value={newPair.baseDecimals}
+                    onChange={(e) => setNewPair(prev => ({ ...prev, baseDecimals: e.target.value }))}
+                    placeholder="Base decimals"
+                    title="Base decimals"
+                    className="input-field"
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    value={newPair.quoteDecimals}
+                    onChange={(e) => setNewPair(prev => ({ ...prev, quoteDecimals: e.target.value }))}
+                    placeholder="Quote decimals"
+                    title="Quote decimals"
+                    className="input-field"
+                  />
+                </div>
+                <button
+                  onClick={handleAddPair}
+                  className="btn-secondary flex items-center gap-2"
+                >
+                  <Plus className="w-4 h-4" />
+                  Add Pair
+                </button>
+              </div>
+
+              <div className="p-3 bg-blue-900/20 border border-blue-700 rounded">
+                <div className="text-sm text-secondary-300 space-y-1">
+                  <p>• Prices are stored as num/den fractions of the tokens' smallest units</p>
+                  <p>• A pair and its reverse share one entry: setting one updates both</p>
+                  <p>• The oracle keeps no update times; only prices set from this browser are checked for staleness</p>
+                </div>
+              </div>
+            </div>
+          </div>
+        </motion.div>
+      </motion.div>
+    </AnimatePresence>
+  );
+};
+
+OracleConsole.propTypes = {
+  networkKey: PropTypes.string.isRequired,
+  oracleKey: PropTypes.string.isRequired,
+  oracleConfig: PropTypes.shape({
+    address: PropTypes.string.isRequired,
+    name: PropTypes.string,
+  }).isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default OracleConsole;
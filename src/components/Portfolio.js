@@ -0,0 +1,344 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { ethers } from 'ethers';
+import { motion } from 'framer-motion';
+import { useNavigate } from 'react-router-dom';
+import { Wallet, RefreshCw, Send, Shield, PieChart, ExternalLink } from 'lucide-react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { useSettings } from '../contexts/SettingsContext';
+import { convertActualToDisplay } from '../utils/decimal-converter';
+import { loadCachedBridgeData } from '../utils/unified-event-cache';
+import { getClaimPath } from '../utils/routes';
+import {
+  CLAIM_POSITION_STATUS,
+  loadWalletBalances,
+  getInFlightTransfers,
+  loadClaimPositions,
+  loadAssistantHoldings,
+  loadPriceGraph,
+  getPortfolioAmounts,
+  getPortfolioTotals,
+} from '../utils/portfolio';
+
+const SECTION_LABELS = {
+  wallet: 'Wallet',
+  inFlight: 'In flight',
+  claims: 'Claims',
+  pools: 'Pools',
+};
+
+const STATUS_LABELS = {
+  [CLAIM_POSITION_STATUS.CHALLENGING]: { label: 'Challenging period', className: 'text-yellow-400' },
+  [CLAIM_POSITION_STATUS.WITHDRAWABLE]: { label: 'Ready to withdraw', className: 'text-green-400' },
+  [CLAIM_POSITION_STATUS.LOST]: { label: 'Lost', className: 'text-red-400' },
+};
+
+const EMPTY_PORTFOLIO = { balances: [], inFlight: [], positions: [], holdings: [], errors: [], graph: new Map() };
+
+const Portfolio = () => {
+  const { account, network, formatAddress } = useWeb3();
+  const {
+    getAllNetworksWithSettings,
+    getBridgeInstancesWithSettings,
+    getAssistantContractsWithSettings,
+    getTokenDecimalsDisplayMultiplier,
+  } = useSettings();
+  const navigate = useNavigate();
+
+  const [portfolio, setPortfolio] = useState(EMPTY_PORTFOLIO);
+  const [loading, setLoading] = useState(false);
+  const [cacheTimestamp, setCacheTimestamp] = useState(null);
+  const [valuationSymbol, setValuationSymbol] = useState(null);
+
+  const networks = useMemo(() => getAllNetworksWithSettings(), [getAllNetworksWithSettings]);
+  const bridges = useMemo(() => {
+    return Object.entries(getBridgeInstancesWithSettings())
+      .filter(([, bridge]) => bridge && bridge.address)
+      .map(([key, bridge]) => ({ key, ...bridge }));
+  }, [getBridgeInstancesWithSettings]);
+  const assistants = useMemo(() => Object.values(getAssistantContractsWithSettings()), [getAssistantContractsWithSettings]);
+
+  const loadPortfolio = useCallback(async () => {
+    if (!account) return;
+    setLoading(true);
+    try {
+      const { claims, transfers, timestamp } = await loadCachedBridgeData();
+      setCacheTimestamp(timestamp);
+
+      const [wallet, claimPositions, assistantHoldings, graph] = await Promise.all([
+        loadWalletBalances({ account, networks, excludeAddresses: assistants.map(assistant => assistant.address) }),
+        loadClaimPositions({ account, claims, bridges, networks }),
+        loadAssistantHoldings({ account, assistants, bridges }),
+        loadPriceGraph({ networks, bridges }),
+      ]);
+
+      setPortfolio({
+        balances: wallet.balances,
+        inFlight: getInFlightTransfers({ account, claims, transfers, bridges, networks }),
+        positions: claimPositions.positions,
+        holdings: assistantHoldings.holdings,
+        errors: [...wallet.errors, ...claimPositions.errors, ...assistantHoldings.errors],
+        graph,
+      });
+    } catch (error) {
+      console.error('❌ Error loading portfolio:', error);
+      setPortfolio({ ...EMPTY_PORTFOLIO, errors: [{ error: error.message }] });
+    } finally {
+      setLoading(false);
+    }
+  }, [account, networks, bridges, assistants]);
+
+  useEffect(() => {
+    setPortfolio(EMPTY_PORTFOLIO);
+    loadPortfolio();
+  }, [loadPortfolio]);
+
+  const valuationSymbols = useMemo(() => [...portfolio.graph.keys()].sort(), [portfolio.graph]);
+  // Value in the native coin of the connected network unless another asset is picked
+  const selectedSymbol = valuationSymbol || network?.symbol || valuationSymbols[0] || null;
+
+  const totals = useMemo(() => {
+    if (!selectedSymbol) return null;
+    return getPortfolioTotals(getPortfolioAmounts(portfolio), portfolio.graph, selectedSymbol);
+  }, [portfolio, selectedSymbol]);
+
+  const getNetworkName = (networkKey) => networks[networkKey]?.name || networkKey;
+
+  const formatAmount = (amount, decimals, tokenAddress) => {
+    const formatted = ethers.utils.formatUnits(amount || 0, decimals ?? 18);
+    return convertActualToDisplay(formatted, decimals, tokenAddress, getTokenDecimalsDisplayMultiplier);
+  };
+
+  // Valuation assets are symbols, display multipliers are set per token address
+  const formatValue = (value, symbol) => {
+    const token = Object.values(networks)
+      .flatMap(config => Object.values(config.tokens || {}))
+      .find(candidate => candidate.symbol === symbol && candidate.decimalsDisplayMultiplier);
+    const displayValue = token ? value * token.decimalsDisplayMultiplier : value;
+    return displayValue.toLocaleString(undefined, { maximumFractionDigits: 6 });
+  };
+
+  if (!account) {
+    return (
+      <div className="card p-6 text-center">
+        <Wallet className="w-8 h-8 text-secondary-400 mx-auto mb-3" />
+        <p className="text-secondary-400">Connect a wallet to see its balances, transfers, claims and pool shares.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="card p-6"
+      >
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center space-x-3">
+            <PieChart className="w-6 h-6 text-primary-500" />
+            <div>
+              <h2 className="text-xl font-bold text-white">My Account</h2>
+              <div className="text-secondary-400 text-xs font-mono">{formatAddress(account)}</div>
+            </div>
+          </div>
+          <button
+            onClick={loadPortfolio}
+            disabled={loading}
+            className="p-2 rounded-lg bg-dark-800 border border-secondary-700 hover:bg-dark-700 transition-colors disabled:opacity-50"
+            title="Refresh"
+          >
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+
+        <div className="bg-dark-800 rounded-lg p-4">
+          <div className="flex items-center justify-between mb-3">
+            <span className="text-secondary-400 text-sm">Total value</span>
+            <select
+              value={selectedSymbol || ''}
+              onChange={(e) => setValuationSymbol(e.target.value)}
+              className="input-field text-sm py-1"
+              disabled={valuationSymbols.length === 0}
+            >
+              {selectedSymbol && !valuationSymbols.includes(selectedSymbol) && (
+                <option value={selectedSymbol}>{selectedSymbol}</option>
+              )}
+              {valuationSymbols.map(symbol => (
+                <option key={symbol} value={symbol}>{symbol}</option>
+              ))}
+            </select>
+          </div>
+          <div className="text-2xl font-bold text-white">
+            {loading ? '...' : totals ? `${formatValue(totals.total, selectedSymbol)} ${selectedSymbol}` : '-'}
+          </div>
+          {totals && (
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mt-3 text-sm">
+              {Object.entries(SECTION_LABELS).map(([section, label]) => (
+                <div key={section}>
+                  <div className="text-secondary-400 text-xs">{label}</div>
+                  <div className="text-white">{formatValue(totals.sections[section] || 0, selectedSymbol)}</div>
+                </div>
+              ))}
+            </div>
+          )}
+          {totals?.unpriced.length > 0 && (
+            <p className="text-yellow-400 text-xs mt-3">
+              No oracle price links {totals.unpriced.join(', ')} to {selectedSymbol}, left out of the total.
+            </p>
+          )}
+        </div>
+
+        <p className="text-secondary-400 text-xs mt-3">
+          Balances are read on every configured network. Transfers and claims come from the transfers loaded in the
+          Transfers tab{cacheTimestamp ? ` (${new Date(cacheTimestamp).toLocaleString()})` : ''}. Prices are those of
+          the configured oracles, bridged tokens counting 1:1 with their counterpart.
+        </p>
+
+        {portfolio.errors.length > 0 && (
+          <div className="bg-red-900/20 border border-red-700 rounded-lg p-3 mt-4 text-red-400 text-xs space-y-1">
+            {portfolio.errors.map((loadError, index) => (
+              <div key={index}>
+                {loadError.networkKey ? `${getNetworkName(loadError.networkKey)}: ` : ''}
+                {loadError.symbol || loadError.assistant ? `${loadError.symbol || loadError.assistant}: ` : ''}
+                {loadError.error}
+              </div>
+            ))}
+          </div>
+        )}
+      </motion.div>
+
+      <div className="card p-6">
+        <div className="flex items-center space-x-2 mb-4">
+          <Wallet className="w-5 h-5 text-primary-500" />
+          <h3 className="text-lg font-semibold text-white">Wallet</h3>
+        </div>
+        {portfolio.balances.length === 0 ? (
+          <p className="text-secondary-400 text-sm">{loading ? 'Loading balances...' : 'No token balances.'}</p>
+        ) : (
+          <div className="space-y-2">
+            {portfolio.balances.map(({ networkKey, symbol, address, decimals, balance }) => (
+              <div key={`${networkKey}:${address}`} className="flex items-center justify-between bg-dark-800 rounded-lg px-4 py-3 text-sm">
+                <div>
+                  <div className="text-white font-medium">{symbol}</div>
+                  <div className="text-secondary-400 text-xs">{getNetworkName(networkKey)}</div>
+                </div>
+                <div className="text-white font-mono">{formatAmount(balance, decimals, address)}</div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="card p-6">
+        <div className="flex items-center space-x-2 mb-4">
+          <Send className="w-5 h-5 text-primary-500" />
+          <h3 className="text-lg font-semibold text-white">In flight</h3>
+        </div>
+        {portfolio.inFlight.length === 0 ? (
+          <p className="text-secondary-400 text-sm">{loading ? 'Loading transfers...' : 'No transfers waiting for a claim.'}</p>
+        ) : (
+          <div className="space-y-2">
+            {portfolio.inFlight.map(transfer => (
+              <div key={transfer.transactionHash} className="flex items-center justify-between bg-dark-800 rounded-lg px-4 py-3 text-sm">
+                <div>
+                  <div className="text-white font-medium">{transfer.fromNetwork} → {transfer.toNetwork}</div>
+                  <div className="text-secondary-400 text-xs">
+                    {transfer.timestamp ? new Date(transfer.timestamp * 1000).toLocaleString() : formatAddress(transfer.transactionHash)}
+                  </div>
+                </div>
+                <div className="text-white font-mono">
+                  {formatAmount(transfer.amount, transfer.decimals, transfer.tokenAddress)} {transfer.symbol}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="card p-6">
+        <div className="flex items-center space-x-2 mb-4">
+          <Shield className="w-5 h-5 text-primary-500" />
+          <h3 className="text-lg font-semibold text-white">Claims</h3>
+        </div>
+        {portfolio.positions.length === 0 ? (
+          <p className="text-secondary-400 text-sm">{loading ? 'Loading claims...' : 'No claims with your stake in them.'}</p>
+        ) : (
+          <div className="space-y-2">
+            {portfolio.positions.map(position => {
+              const status = STATUS_LABELS[position.status];
+              return (
+                <div key={`${position.bridge.address}:${position.claimNum}`} className="bg-dark-800 rounded-lg px-4 py-3 text-sm">
+                  <div className="flex items-center justify-between mb-2">
+                    <button
+                      onClick={() => navigate(getClaimPath({ networkKey: position.networkKey, bridgeAddress: position.bridge.address, claimNum: position.claimNum }))}
+                      className="flex items-center space-x-1 text-white font-medium hover:text-primary-400"
+                    >
+                      <span>{position.bridge.description || position.bridge.key} #{position.claimNum}</span>
+                      <ExternalLink className="w-3 h-3" />
+                    </button>
+                    <span className={`text-xs ${status.className}`}>{status.label}</span>
+                  </div>
+                  <div className="grid grid-cols-2 gap-2 text-xs">
+                    <div>
+                      <div className="text-secondary-400">Locked stake</div>
+                      <div className="text-white font-mono">
+                        {formatAmount(position.lockedStake, position.stakeToken.decimals, position.stakeToken.address)} {position.stakeToken.symbol}
+                      </div>
+                    </div>
+                    <div>
+                      <div className="text-secondary-400">
+                        {position.status === CLAIM_POSITION_STATUS.CHALLENGING ? 'Expected payout if the outcome holds' : 'Payout'}
+                      </div>
+                      <div className="text-white font-mono">
+                        {formatAmount(position.stakePayout, position.stakeToken.decimals, position.stakeToken.address)} {position.stakeToken.symbol}
+                        {position.claimedAmount.gt(0) && (
+                          <> + {formatAmount(position.claimedAmount, position.asset.decimals, position.asset.address)} {position.asset.symbol}</>
+                        )}
+                      </div>
+                    </div>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      <div className="card p-6">
+        <div className="flex items-center space-x-2 mb-4">
+          <PieChart className="w-5 h-5 text-primary-500" />
+          <h3 className="text-lg font-semibold text-white">Pools</h3>
+        </div>
+        {portfolio.holdings.length === 0 ? (
+          <p className="text-secondary-400 text-sm">{loading ? 'Loading pool shares...' : 'No assistant shares.'}</p>
+        ) : (
+          <div className="space-y-2">
+            {portfolio.holdings.map(holding => (
+              <div key={holding.assistant.address} className="flex items-center justify-between bg-dark-800 rounded-lg px-4 py-3 text-sm">
+                <div>
+                  <div className="text-white font-medium">
+                    {formatAmount(holding.shares, 18, null)} {holding.shareSymbol}
+                  </div>
+                  <div className="text-secondary-400 text-xs">
+                    {holding.assistant.description || formatAddress(holding.assistant.address)} on {getNetworkName(holding.networkKey)}
+                  </div>
+                </div>
+                <div className="text-right">
+                  <div className="text-secondary-400 text-xs">Redeems for</div>
+                  <div className="text-white font-mono">
+                    {formatAmount(holding.stakeAmount, holding.stakeToken.decimals, holding.stakeToken.address)} {holding.stakeToken.symbol}
+                    {holding.imageToken && (
+                      <> + {formatAmount(holding.imageAmount, holding.imageToken.decimals, holding.imageToken.address)} {holding.imageToken.symbol}</>
+                    )}
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Portfolio;
@@ -128,7 +128,7 @@ const Repatriation = ({
         );
       }
       
-      const data = "0x"; // Empty data for repatriation
+      const data = formData.data || "0x"; // Payload for a CounterstakeReceiver recipient, empty by default
       
       console.log('💰 Parsed amounts:', {
         amountWei: ethers.utils.formatUnits(amountWei, sourceToken.decimals),
@@ -199,7 +199,7 @@ const Repatriation = ({
           data: data,
           blockNumber: receipt.blockNumber,
           transactionHash: receipt.transactionHash,
-          logIndex: 0, // We don't have logIndex from receipt, use 0 as fallback
+          logIndex: receipt.logs.find(log => log.address.toLowerCase() === bridgeInstance.address.toLowerCase())?.logIndex ?? 0,
           timestamp: await getBlockTimestamp(signer.provider, receipt.blockNumber),
           bridgeAddress: bridgeInstance.address,
           bridgeType: bridgeInstance.type,
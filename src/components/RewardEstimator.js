@@ -0,0 +1,163 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { ethers } from 'ethers';
+import { Gauge } from 'lucide-react';
+import { useSettings } from '../contexts/SettingsContext';
+import { getCachedTransfers, getCachedClaims } from '../utils/unified-event-cache';
+import { loadRewardContext, estimateRewards } from '../utils/reward-estimator';
+import { convertActualToDisplay, convertDisplayToActual } from '../utils/decimal-converter';
+import { formatDuration } from '../utils/governance';
+
+// Wait for the user to stop typing before reading the required stake
+const ESTIMATE_DELAY_MS = 500;
+
+const RewardEstimator = ({ bridgeInstance, sourceToken, amount, currentReward = '', onSelect }) => {
+  const { getAllNetworksWithSettings, getBridgeInstancesWithSettings, getTokenDecimalsDisplayMultiplier } = useSettings();
+
+  const [rewardContext, setRewardContext] = useState(null);
+  const [history, setHistory] = useState({ transfers: [], claims: [] });
+  const [estimate, setEstimate] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    Promise.all([getCachedTransfers(), getCachedClaims()])
+      .then(([transfers, claims]) => setHistory({ transfers, claims }))
+      .catch(historyError => console.warn('⚠️ Could not read the cached transfer history:', historyError.message));
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    setRewardContext(null);
+    setEstimate(null);
+    setError(null);
+
+    loadRewardContext({
+      transferBridge: bridgeInstance,
+      allBridges: getBridgeInstancesWithSettings(),
+      networks: getAllNetworksWithSettings(),
+    })
+      .then(context => { if (!cancelled) setRewardContext(context); })
+      .catch(loadError => { if (!cancelled) setError(loadError.message); });
+
+    return () => { cancelled = true; };
+  }, [bridgeInstance, getBridgeInstancesWithSettings, getAllNetworksWithSettings]);
+
+  const { address: tokenAddress, decimals } = sourceToken;
+
+  useEffect(() => {
+    if (!rewardContext) return undefined;
+
+    let amountWei;
+    try {
+      const actualAmount = convertDisplayToActual(amount, decimals, tokenAddress, getTokenDecimalsDisplayMultiplier);
+      amountWei = ethers.utils.parseUnits(actualAmount, decimals);
+    } catch (parseError) {
+      amountWei = ethers.constants.Zero;
+    }
+    if (amountWei.isZero()) {
+      setEstimate(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const result = await estimateRewards({ rewardContext, bridgeAddress: bridgeInstance.address, amount: amountWei, history });
+        if (!cancelled) {
+          setEstimate(result);
+          setError(null);
+        }
+      } catch (estimateError) {
+        if (!cancelled) setError(estimateError.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, ESTIMATE_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [rewardContext, amount, tokenAddress, decimals, bridgeInstance.address, history, getTokenDecimalsDisplayMultiplier]);
+
+  const toDisplay = (value) => convertActualToDisplay(
+    ethers.utils.formatUnits(value, decimals),
+    decimals,
+    tokenAddress,
+    getTokenDecimalsDisplayMultiplier
+  );
+
+  const formatDelay = ({ samples, claimed, medianDelay }) => {
+    if (samples === 0) return 'No similar transfers yet';
+    if (medianDelay === null) return `None of ${samples} similar claimed by others`;
+    return `~${formatDuration(medianDelay)} (${claimed} of ${samples} claimed by others)`;
+  };
+
+  if (error) {
+    return <p className="text-xs text-secondary-500">Reward estimate unavailable: {error}</p>;
+  }
+  if (!estimate) {
+    return loading || !rewardContext
+      ? <p className="text-xs text-secondary-500">Estimating claim costs...</p>
+      : null;
+  }
+
+  const networkName = getAllNetworksWithSettings()[rewardContext.networkKey]?.name || rewardContext.networkKey;
+
+  return (
+    <div className="bg-dark-800 border border-secondary-700 rounded-lg p-3 space-y-2">
+      <div className="flex items-center space-x-2">
+        <Gauge className="w-4 h-4 text-primary-500" />
+        <span className="text-sm text-white">Suggested rewards</span>
+        {loading && <span className="text-xs text-secondary-500">updating...</span>}
+      </div>
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+        {estimate.options.map(option => {
+          const displayReward = toDisplay(option.reward);
+          const isSelected = currentReward !== '' && parseFloat(currentReward) === parseFloat(displayReward);
+          return (
+            <button
+              key={option.speed}
+              type="button"
+              onClick={() => onSelect(displayReward)}
+              disabled={option.exceedsAmount}
+              className={`text-left rounded-md p-2 border transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+                isSelected ? 'border-primary-500 bg-primary-900/30' : 'border-secondary-700 hover:bg-dark-700'
+              }`}
+            >
+              <div className="text-xs text-secondary-400">{option.label}</div>
+              <div className="text-sm text-white font-medium">
+                {option.exceedsAmount ? 'Exceeds amount' : `${displayReward} ${sourceToken.symbol}`}
+              </div>
+              <div className="text-xs text-secondary-500">{formatDelay(option.delay)}</div>
+            </button>
+          );
+        })}
+      </div>
+      <p className="text-xs text-secondary-500">
+        Claim gas ≈ {toDisplay(estimate.gasCost)} {sourceToken.symbol} at{' '}
+        {parseFloat(ethers.utils.formatUnits(rewardContext.gasPrice, 'gwei')).toFixed(2)} gwei on {networkName}.
+        Faster options also pay claimers for locking the stake and the amount until the claim is withdrawn.
+      </p>
+    </div>
+  );
+};
+
+RewardEstimator.propTypes = {
+  bridgeInstance: PropTypes.shape({
+    address: PropTypes.string.isRequired,
+    type: PropTypes.string.isRequired,
+  }).isRequired,
+  sourceToken: PropTypes.shape({
+    symbol: PropTypes.string.isRequired,
+    decimals: PropTypes.number.isRequired,
+    address: PropTypes.string,
+  }).isRequired,
+  amount: PropTypes.string.isRequired,
+  currentReward: PropTypes.string,
+  onSelect: PropTypes.func.isRequired,
+};
+
+export default RewardEstimator;
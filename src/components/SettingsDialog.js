@@ -11,6 +11,8 @@ import { validateOracleContract } from '../utils/bridge-detector';
 import { getProvider, updateProviderSettings } from '../utils/provider-manager';
 import { getNetworkWithSettings } from '../utils/settings';
 import { switchNetwork } from '../utils/network-switcher';
+import { getWalletProvider } from '../utils/wallet-providers';
+import { getSharedBridgeUrl } from '../utils/settings-transfer';
 import { 
   Settings, 
   Network, 
@@ -29,11 +31,18 @@ import {
   RefreshCw,
   ChevronDown,
   ChevronUp,
-  HelpCircle
+  HelpCircle,
+  Database,
+  Rocket,
+  FileJson,
+  Share2
 } from 'lucide-react';
 import CreateNewAssistant from './CreateNewAssistant';
 import CreateNewBridge from './CreateNewBridge';
 import DeployNewOracle from './DeployNewOracle';
+import OracleConsole from './OracleConsole';
+import BridgeDeploymentWizard from './BridgeDeploymentWizard';
+import SettingsTransfer from './SettingsTransfer';
 import SettingsHowTo from './SettingsHowTo';
 import { motion, AnimatePresence } from 'framer-motion';
 import toast from 'react-hot-toast';
@@ -71,6 +80,9 @@ const SettingsDialog = ({ isOpen, onClose }) => {
   const [showCreateAssistant, setShowCreateAssistant] = useState({});
   const [showCreateBridge, setShowCreateBridge] = useState({});
   const [showDeployOracle, setShowDeployOracle] = useState({});
+  const [oracleConsole, setOracleConsole] = useState(null);
+  const [showDeploymentWizard, setShowDeploymentWizard] = useState(false);
+  const [showSettingsTransfer, setShowSettingsTransfer] = useState(false);
   const [showAddOracle, setShowAddOracle] = useState({});
   const [newOracle, setNewOracle] = useState({});
   const [checkingBridgeStatus, setCheckingBridgeStatus] = useState({});
@@ -1052,6 +1064,10 @@ const SettingsDialog = ({ isOpen, onClose }) => {
     updateOracle(networkKey, oracleKey, oracleConfig);
     
     toast.success(`Oracle ${oracleKey} added to settings`);
+
+    // Initial prices have to be set before any bridge can use the oracle
+    setShowDeployOracle(prev => ({ ...prev, [networkKey]: false }));
+    setOracleConsole({ networkKey, oracleKey, oracleConfig });
   };
 
   // Helper function to switch network before opening dialogs
@@ -1063,14 +1079,14 @@ const SettingsDialog = ({ isOpen, onClose }) => {
     }
     
     // Check if we need to switch networks
-    if (!window.ethereum) {
-      console.error('MetaMask not available');
-      toast.error('MetaMask not available');
+    if (!getWalletProvider()) {
+      console.error('No wallet connected');
+      toast.error('No wallet connected');
       return false;
     }
     
     try {
-      const chainId = await window.ethereum.request({ method: 'eth_chainId' });
+      const chainId = await getWalletProvider().request({ method: 'eth_chainId' });
       const currentChainId = parseInt(chainId, 16);
       console.log('🔍 Current chain ID:', currentChainId, 'Required chain ID:', networkConfig.id);
       
@@ -1288,12 +1304,28 @@ const SettingsDialog = ({ isOpen, onClose }) => {
                 <HelpCircle className="w-5 h-5" />
               </button>
             </div>
-            <button
-              onClick={onClose}
-              className="text-secondary-400 hover:text-white transition-colors"
-            >
-              <X className="w-5 h-5" />
-            </button>
+            <div className="flex items-center gap-3">
+              <button
+                onClick={() => setShowSettingsTransfer(true)}
+                className="btn-secondary text-sm flex items-center gap-2 px-3 py-1.5"
+              >
+                <FileJson className="w-4 h-4" />
+                Export / Import
+              </button>
+              <button
+                onClick={() => setShowDeploymentWizard(true)}
+                className="btn-secondary text-sm flex items-center gap-2 px-3 py-1.5"
+              >
+                <Rocket className="w-4 h-4" />
+                Deploy Bridge Pair
+              </button>
+              <button
+                onClick={onClose}
+                className="text-secondary-400 hover:text-white transition-colors"
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </div>
           </div>
 
           {/* Content */}
@@ -2029,6 +2061,17 @@ const SettingsDialog = ({ isOpen, onClose }) => {
                                   <Copy className="w-3 h-3" />
                                 )}
                               </button>
+                              <button
+                                onClick={() => copyToClipboard(getSharedBridgeUrl(window.location.origin, networkKey, bridgeKey, bridgeConfig), `${bridgeKey} share link`)}
+                                className="btn-secondary px-1 py-0.5"
+                                title="Copy share link"
+                              >
+                                {copiedField === `${bridgeKey} share link` ? (
+                                  <CheckCircle className="w-3 h-3" />
+                                ) : (
+                                  <Share2 className="w-3 h-3" />
+                                )}
+                              </button>
                               {settings[networkKey]?.bridges?.[bridgeKey] && settings[networkKey]?.customBridges && (
                                 <>
                                   <button
@@ -2676,6 +2719,13 @@ const SettingsDialog = ({ isOpen, onClose }) => {
                             )}
                           </div>
                           <div className="flex items-center gap-1">
+                            <button
+                              onClick={() => setOracleConsole({ networkKey, oracleKey, oracleConfig })}
+                              className="btn-secondary px-2 py-1"
+                              title="Manage prices"
+                            >
+                              <Database className="w-3 h-3" />
+                            </button>
                             <button
                               onClick={() => copyToClipboard(oracleConfig.address, `${oracleKey} address`)}
                               className="btn-secondary px-2 py-1"
@@ -3471,6 +3521,26 @@ const SettingsDialog = ({ isOpen, onClose }) => {
           />
         )
       ))}
+
+      {/* Oracle Console */}
+      {oracleConsole && (
+        <OracleConsole
+          networkKey={oracleConsole.networkKey}
+          oracleKey={oracleConsole.oracleKey}
+          oracleConfig={oracleConsole.oracleConfig}
+          onClose={() => setOracleConsole(null)}
+        />
+      )}
+
+      {/* Bridge Pair Deployment Wizard */}
+      {showDeploymentWizard && (
+        <BridgeDeploymentWizard onClose={() => setShowDeploymentWizard(false)} />
+      )}
+
+      {/* Settings Export / Import */}
+      {showSettingsTransfer && (
+        <SettingsTransfer onClose={() => setShowSettingsTransfer(false)} />
+      )}
     </AnimatePresence>
   );
 };
@@ -0,0 +1,408 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { useSettings } from '../contexts/SettingsContext';
+import { NETWORKS } from '../config/networks';
+import { getProvider, updateProviderSettings } from '../utils/provider-manager';
+import {
+  IMPORT_STATUS,
+  IMPORT_RESOLUTION,
+  exportSettings,
+  parseSettingsExport,
+  diffSettings,
+  getDefaultResolutions,
+  needsVerification,
+  verifyImportedEntry,
+  applySettingsImport,
+} from '../utils/settings-transfer';
+import {
+  X,
+  Download,
+  Upload,
+  Copy,
+  CheckCircle,
+  AlertCircle,
+  Clock,
+  FileJson,
+} from 'lucide-react';
+import { motion, AnimatePresence } from 'framer-motion';
+import toast from 'react-hot-toast';
+
+const SECTION_LABELS = {
+  network: 'Network',
+  tokens: 'Token',
+  bridges: 'Bridge',
+  assistants: 'Assistant',
+  oracles: 'Oracle',
+};
+
+const formatValue = (value) => {
+  if (value === undefined || value === null) return '-';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+const SettingsTransfer = ({ onClose, initialNetworks }) => {
+  const { settings, saveSettings } = useSettings();
+  const [mode, setMode] = useState(initialNetworks ? 'import' : 'export');
+  const [includeApiKeys, setIncludeApiKeys] = useState(false);
+  const [importText, setImportText] = useState('');
+  const [entries, setEntries] = useState(null);
+  const [resolutions, setResolutions] = useState({});
+  const [verifications, setVerifications] = useState({});
+  const [isApplying, setIsApplying] = useState(false);
+
+  const verifyEntries = useCallback(async (changedEntries) => {
+    // One entry at a time to stay within public RPC rate limits
+    for (const entry of changedEntries.filter(needsVerification)) {
+      const provider = getProvider(entry.networkKey);
+      const result = await verifyImportedEntry(provider, entry, settings);
+      setVerifications(prev => ({ ...prev, [entry.id]: result }));
+    }
+  }, [settings]);
+
+  const startReview = useCallback((networks) => {
+    const changed = diffSettings(settings, networks).filter(entry => entry.status !== IMPORT_STATUS.UNCHANGED);
+    setEntries(changed);
+    setResolutions(getDefaultResolutions(changed));
+    setVerifications({});
+    if (changed.length === 0) {
+      toast.success('Nothing to import, the settings already match');
+      return;
+    }
+    verifyEntries(changed);
+  }, [settings, verifyEntries]);
+
+  // Shared bridge links open straight into the review
+  useEffect(() => {
+    if (initialNetworks) startReview(initialNetworks);
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [initialNetworks]);
+
+  const getExportText = () => JSON.stringify(exportSettings(settings, { includeApiKeys }), null, 2);
+
+  const handleDownload = () => {
+    const blob = new Blob([getExportText()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `bridge-settings-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(getExportText());
+      toast.success('Settings copied to clipboard');
+    } catch (error) {
+      toast.error('Failed to copy to clipboard');
+    }
+  };
+
+  const handleFile = (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => setImportText(String(reader.result));
+    reader.onerror = () => toast.error('Failed to read the file');
+    reader.readAsText(file);
+  };
+
+  const handleReview = () => {
+    try {
+      const { networks } = parseSettingsExport(importText);
+      startReview(networks);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleApply = async () => {
+    setIsApplying(true);
+    try {
+      const newSettings = applySettingsImport(settings, entries, resolutions, verifications);
+      const result = await saveSettings(newSettings);
+      if (!result.success) {
+        toast.error('Failed to save settings');
+        return;
+      }
+      updateProviderSettings(newSettings);
+      toast.success('Settings imported');
+      onClose();
+    } finally {
+      setIsApplying(false);
+    }
+  };
+
+  const setAllResolutions = (resolution) => {
+    const next = {};
+    entries.forEach(entry => {
+      next[entry.id] = resolution;
+    });
+    setResolutions(next);
+  };
+
+  const pendingVerifications = entries
+    ? entries.filter(entry => needsVerification(entry) && !verifications[entry.id]).length
+    : 0;
+
+  const renderVerification = (entry) => {
+    if (!needsVerification(entry)) return null;
+    const verification = verifications[entry.id];
+    if (!verification) {
+      return (
+        <span className="flex items-center gap-1 text-xs text-secondary-400">
+          <Clock className="w-3 h-3" /> Verifying...
+        </span>
+      );
+    }
+    return verification.verified ? (
+      <span className="flex items-center gap-1 text-xs text-green-400">
+        <CheckCircle className="w-3 h-3" /> {verification.message}
+      </span>
+    ) : (
+      <span className="flex items-center gap-1 text-xs text-red-400">
+        <AlertCircle className="w-3 h-3" /> {verification.message || 'Verification failed'}
+      </span>
+    );
+  };
+
+  const renderEntry = (entry) => {
+    const blocked = needsVerification(entry) && verifications[entry.id]?.verified === false;
+    const resolution = blocked ? IMPORT_RESOLUTION.KEEP : resolutions[entry.id];
+    const isNetworkField = entry.section === 'network';
+    const fields = isNetworkField ? ['value', 'enabled'] : entry.changedFields;
+
+    return (
+      <div key={entry.id} className="p-3 bg-dark-800 rounded border border-secondary-700 space-y-2">
+        <div className="flex items-start justify-between gap-3">
+          <div className="min-w-0">
+            <div className="flex items-center gap-2 flex-wrap">
+              <span className="px-1.5 py-0.5 bg-dark-700 text-secondary-300 text-xs rounded">{SECTION_LABELS[entry.section]}</span>
+              <span className="text-white text-sm font-medium break-all">{entry.key}</span>
+              <span className={`px-1.5 py-0.5 text-xs rounded-full text-white ${entry.status === IMPORT_STATUS.ADDED ? 'bg-green-600' : 'bg-orange-600'}`}>
+                {entry.status === IMPORT_STATUS.ADDED ? 'New' : 'Conflict'}
+              </span>
+            </div>
+            {entry.currentKey && entry.currentKey !== entry.key && (
+              <p className="text-secondary-400 text-xs mt-1">Same address as {entry.currentKey}, which it replaces</p>
+            )}
+            {!isNetworkField && entry.incoming.address && (
+              <p className="text-secondary-400 text-xs font-mono break-all mt-1">{entry.incoming.address}</p>
+            )}
+          </div>
+          <div className="flex gap-1 shrink-0">
+            {[IMPORT_RESOLUTION.KEEP, IMPORT_RESOLUTION.REPLACE].map(option => (
+              <button
+                key={option}
+                onClick={() => setResolutions(prev => ({ ...prev, [entry.id]: option }))}
+                disabled={blocked && option === IMPORT_RESOLUTION.REPLACE}
+                className={`px-2 py-1 text-xs rounded border transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${
+                  resolution === option
+                    ? 'bg-primary-600 border-primary-500 text-white'
+                    : 'bg-dark-900 border-secondary-700 text-secondary-300 hover:text-white'
+                }`}
+              >
+                {option === IMPORT_RESOLUTION.KEEP ? (entry.current ? 'Keep current' : 'Skip') : 'Use imported'}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {entry.status === IMPORT_STATUS.CHANGED && fields.length > 0 && (
+          <div className="text-xs space-y-1">
+            {fields.map(field => (
+              <div key={field} className="grid grid-cols-[auto,1fr] gap-x-2">
+                <span className="text-secondary-400">{field}:</span>
+                <span className="break-all">
+                  <span className="text-red-300 line-through">{formatValue(entry.current[field])}</span>
+                  {' → '}
+                  <span className="text-green-300">{formatValue(entry.incoming[field])}</span>
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {renderVerification(entry)}
+      </div>
+    );
+  };
+
+  const renderExport = () => (
+    <div className="space-y-4">
+      <p className="text-secondary-400 text-sm">
+        Export RPCs, contracts, tokens, bridges, assistants and oracles of all networks to a JSON file you can import on another machine.
+        Unsaved changes in the settings dialog are included.
+      </p>
+      <label className="flex items-center gap-2 text-sm text-secondary-300">
+        <input
+          type="checkbox"
+          checked={includeApiKeys}
+          onChange={(e) => setIncludeApiKeys(e.target.checked)}
+          className="rounded border-secondary-600 bg-dark-800"
+        />
+        Include explorer API keys
+      </label>
+      <div className="flex gap-2">
+        <button onClick={handleDownload} className="btn-primary flex-1 flex items-center justify-center gap-2">
+          <Download className="w-4 h-4" />
+          Download JSON
+        </button>
+        <button onClick={handleCopy} className="btn-secondary flex items-center gap-2 px-4">
+          <Copy className="w-4 h-4" />
+          Copy
+        </button>
+      </div>
+    </div>
+  );
+
+  const renderImport = () => {
+    if (entries) {
+      const importCount = entries.filter(entry => resolutions[entry.id] === IMPORT_RESOLUTION.REPLACE
+        && !(needsVerification(entry) && !verifications[entry.id]?.verified)).length;
+
+      return (
+        <div className="space-y-4">
+          <div className="flex items-center justify-between gap-2">
+            <p className="text-secondary-400 text-sm">
+              {entries.length} difference(s) with your settings.
+              {pendingVerifications > 0 && ` Verifying ${pendingVerifications} contract(s) on chain...`}
+            </p>
+            <div className="flex gap-1">
+              <button onClick={() => setAllResolutions(IMPORT_RESOLUTION.KEEP)} className="btn-secondary text-xs px-2 py-1">Keep all</button>
+              <button onClick={() => setAllResolutions(IMPORT_RESOLUTION.REPLACE)} className="btn-secondary text-xs px-2 py-1">Import all</button>
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            {Object.keys(NETWORKS).map(networkKey => {
+              const networkEntries = entries.filter(entry => entry.networkKey === networkKey);
+              if (networkEntries.length === 0) return null;
+              return (
+                <div key={networkKey} className="space-y-2">
+                  <h3 className="text-white font-medium">{NETWORKS[networkKey].name}</h3>
+                  {networkEntries.map(renderEntry)}
+                </div>
+              );
+            })}
+          </div>
+
+          <p className="text-secondary-500 text-xs">
+            Bridges, assistants and oracles are only imported after their contracts were verified on chain.
+          </p>
+
+          <div className="flex gap-2">
+            <button
+              onClick={handleApply}
+              disabled={isApplying || pendingVerifications > 0 || importCount === 0}
+              className="btn-primary flex-1 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isApplying ? 'Importing...' : `Import ${importCount} entr${importCount === 1 ? 'y' : 'ies'} and save`}
+            </button>
+            {!initialNetworks && (
+              <button onClick={() => setEntries(null)} disabled={isApplying} className="btn-secondary px-4">
+                Back
+              </button>
+            )}
+          </div>
+        </div>
+      );
+    }
+
+    return (
+      <div className="space-y-4">
+        <p className="text-secondary-400 text-sm">
+          Load a settings file exported from this app. You will review every difference before anything changes.
+        </p>
+        <input
+          type="file"
+          accept="application/json,.json"
+          onChange={handleFile}
+          className="block w-full text-sm text-secondary-300 file:mr-3 file:px-3 file:py-1.5 file:rounded-lg file:border-0 file:bg-dark-700 file:text-secondary-200"
+        />
+        <textarea
+          value={importText}
+          onChange={(e) => setImportText(e.target.value)}
+          placeholder="...or paste the exported JSON here"
+          rows={8}
+          className="w-full input-field font-mono text-xs"
+        />
+        <button
+          onClick={handleReview}
+          disabled={!importText.trim()}
+          className="btn-primary w-full flex items-center justify-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <Upload className="w-4 h-4" />
+          Review Import
+        </button>
+      </div>
+    );
+  };
+
+  return (
+    <AnimatePresence>
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        className="fixed inset-0 bg-black/50 backdrop-blur-sm z-[9999] flex items-start justify-center p-2 sm:p-4 pt-4 sm:pt-8"
+        onClick={onClose}
+      >
+        <motion.div
+          initial={{ scale: 0.95, opacity: 0, y: -20 }}
+          animate={{ scale: 1, opacity: 1, y: 0 }}
+          exit={{ scale: 0.95, opacity: 0, y: -20 }}
+          transition={{ type: "spring", damping: 25, stiffness: 300 }}
+          className="bg-dark-900 border border-secondary-800 rounded-xl shadow-2xl w-full max-w-3xl max-h-[calc(100vh-2rem)] sm:max-h-[calc(100vh-3rem)] overflow-hidden relative"
+          onClick={(e) => e.stopPropagation()}
+        >
+          {/* Header */}
+          <div className="flex items-center justify-between p-4 border-b border-secondary-800">
+            <div className="flex items-center gap-3">
+              <FileJson className="w-6 h-6 text-primary-500" />
+              <h2 className="text-xl font-bold text-white">
+                {initialNetworks ? 'Import Shared Bridge' : 'Export / Import Settings'}
+              </h2>
+            </div>
+            <button
+              onClick={onClose}
+              className="text-secondary-400 hover:text-white transition-colors"
+            >
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+
+          {/* Content */}
+          <div className="p-4 sm:p-6 overflow-y-auto max-h-[calc(96vh-8rem)] sm:max-h-[calc(96vh-10rem)]">
+            <div className="space-y-6">
+              {!initialNetworks && (
+                <div className="flex gap-2">
+                  {['export', 'import'].map(option => (
+                    <button
+                      key={option}
+                      onClick={() => setMode(option)}
+                      className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                        mode === option ? 'bg-primary-600 text-white' : 'bg-dark-800 text-secondary-300 hover:text-white'
+                      }`}
+                    >
+                      {option === 'export' ? 'Export' : 'Import'}
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              {mode === 'export' ? renderExport() : renderImport()}
+            </div>
+          </div>
+        </motion.div>
+      </motion.div>
+    </AnimatePresence>
+  );
+};
+
+SettingsTransfer.propTypes = {
+  onClose: PropTypes.func.isRequired,
+  initialNetworks: PropTypes.object,
+};
+
+export default SettingsTransfer;
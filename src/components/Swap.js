@@ -0,0 +1,402 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { ethers } from 'ethers';
+import toast from 'react-hot-toast';
+import { ArrowDownUp } from 'lucide-react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { useSettings } from '../contexts/SettingsContext';
+import { useNetworkSwitcher } from '../hooks/useNetworkSwitcher';
+import { ERC20_ABI } from '../contracts/abi';
+import { ADDRESS_ZERO } from '../config/networks';
+import { handleTransactionError } from '../utils/error-handler';
+import { convertActualToDisplay, convertDisplayToActual } from '../utils/decimal-converter';
+import { getAssistantABI, getBridgeNetworkKey } from '../utils/assistant-manager';
+import {
+  SWAP_DIRECTIONS,
+  computeNetBalances,
+  quoteSwap,
+  getMinAmountOut,
+  getEffectivePrice,
+  loadSwapPoolState,
+} from '../utils/assistant-swap';
+
+const SLIPPAGE_PRESETS = [0.1, 0.5, 1];
+
+const Swap = ({ assistant, onClose, onSuccess }) => {
+  const { account, signer } = useWeb3();
+  const { getAllNetworksWithSettings, getTokenDecimalsDisplayMultiplier } = useSettings();
+  const { getRequiredNetworkForAssistant, checkAndSwitchNetwork } = useNetworkSwitcher();
+
+  const [direction, setDirection] = useState(SWAP_DIRECTIONS.IMAGE_TO_STAKE);
+  const [amount, setAmount] = useState('');
+  const [slippage, setSlippage] = useState('0.5');
+  const [poolState, setPoolState] = useState(null);
+  const [userBalances, setUserBalances] = useState({ stake: null, image: null });
+  const [allowance, setAllowance] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [pendingAction, setPendingAction] = useState(null);
+
+  const networks = useMemo(() => getAllNetworksWithSettings(), [getAllNetworksWithSettings]);
+  const networkKey = assistant.networkKey || getBridgeNetworkKey(assistant.bridgeAddress, networks);
+  const networkConfig = networks[networkKey];
+  const bridgeConfig = useMemo(() => (
+    Object.values(networkConfig?.bridges || {}).find(b => b.address?.toLowerCase() === assistant.bridgeAddress?.toLowerCase())
+  ), [networkConfig, assistant.bridgeAddress]);
+
+  const provider = useMemo(() => (
+    networkConfig?.rpcUrl ? new ethers.providers.JsonRpcProvider(networkConfig.rpcUrl) : null
+  ), [networkConfig]);
+
+  const isImageToStake = direction === SWAP_DIRECTIONS.IMAGE_TO_STAKE;
+  const stakeSymbol = bridgeConfig?.stakeTokenSymbol || 'Stake';
+  const imageSymbol = bridgeConfig?.foreignTokenSymbol || 'Image';
+
+  const tokens = useMemo(() => {
+    if (!poolState) return null;
+    const { stakeTokenAddress, stakeDecimals, imageTokenAddress, imageDecimals } = poolState.tokenInfo;
+    const stake = { address: stakeTokenAddress, decimals: stakeDecimals, symbol: stakeSymbol, key: 'stake' };
+    const image = { address: imageTokenAddress, decimals: imageDecimals, symbol: imageSymbol, key: 'image' };
+    return isImageToStake ? { input: image, output: stake } : { input: stake, output: image };
+  }, [poolState, isImageToStake, stakeSymbol, imageSymbol]);
+
+  const isNativeInput = !!tokens && (!tokens.input.address || tokens.input.address === ADDRESS_ZERO);
+
+  const formatAmount = useCallback((value, token) => {
+    if (value === null || value === undefined || !token) return '-';
+    const formatted = ethers.utils.formatUnits(value, token.decimals);
+    return convertActualToDisplay(formatted, token.decimals, token.address, getTokenDecimalsDisplayMultiplier);
+  }, [getTokenDecimalsDisplayMultiplier]);
+
+  const loadState = useCallback(async () => {
+    if (!provider) return;
+    setLoading(true);
+    try {
+      const state = await loadSwapPoolState(provider, assistant);
+      setPoolState(state);
+
+      if (account) {
+        const getBalance = (tokenAddress) => (
+          !tokenAddress || tokenAddress === ADDRESS_ZERO
+            ? provider.getBalance(account)
+            : new ethers.Contract(tokenAddress, ERC20_ABI, provider).balanceOf(account)
+        );
+        const [stake, image] = await Promise.all([
+          getBalance(state.tokenInfo.stakeTokenAddress),
+          getBalance(state.tokenInfo.imageTokenAddress),
+        ]);
+        setUserBalances({ stake, image });
+      }
+    } catch (error) {
+      console.error('❌ Error loading swap state:', error);
+      toast.error(error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [provider, assistant, account]);
+
+  useEffect(() => {
+    loadState();
+  }, [loadState]);
+
+  const amountIn = useMemo(() => {
+    if (!tokens || !amount || parseFloat(amount) <= 0) return null;
+    try {
+      const actual = convertDisplayToActual(amount, tokens.input.decimals, tokens.input.address, getTokenDecimalsDisplayMultiplier);
+      return ethers.utils.parseUnits(actual, tokens.input.decimals);
+    } catch (error) {
+      return null;
+    }
+  }, [amount, tokens, getTokenDecimalsDisplayMultiplier]);
+
+  const quote = useMemo(() => {
+    if (!poolState || !amountIn) return null;
+    const netBalance = computeNetBalances(poolState);
+    const result = quoteSwap({
+      direction,
+      amountIn,
+      netBalance,
+      balanceInWork: poolState.balanceInWork,
+      swapFee10000: poolState.swapFee10000,
+    });
+
+    // Price of an infinitesimal trade, before fee, for the price impact
+    const outNet = (isImageToStake ? netBalance.stake : netBalance.image).sub(isImageToStake ? poolState.balanceInWork.stake : poolState.balanceInWork.image);
+    const inNet = isImageToStake ? netBalance.image : netBalance.stake;
+    const spotPrice = getEffectivePrice(inNet, tokens.input.decimals, outNet, tokens.output.decimals);
+    const effectivePrice = getEffectivePrice(amountIn, tokens.input.decimals, result.amountOut, tokens.output.decimals);
+
+    let minAmountOut = null;
+    let slippageError = null;
+    try {
+      minAmountOut = getMinAmountOut(result.amountOut, slippage);
+    } catch (error) {
+      slippageError = error.message;
+    }
+
+    return {
+      ...result,
+      spotPrice,
+      effectivePrice,
+      priceImpact: spotPrice > 0 ? (1 - effectivePrice / spotPrice) * 100 : 0,
+      minAmountOut,
+      slippageError,
+    };
+  }, [poolState, amountIn, direction, isImageToStake, tokens, slippage]);
+
+  const checkAllowance = useCallback(async () => {
+    if (!provider || !account || !tokens || isNativeInput) {
+      setAllowance(null);
+      return;
+    }
+    try {
+      const token = new ethers.Contract(tokens.input.address, ERC20_ABI, provider);
+      setAllowance(await token.allowance(account, assistant.address));
+    } catch (error) {
+      console.error('❌ Error checking allowance:', error);
+      setAllowance(null);
+    }
+  }, [provider, account, tokens, isNativeInput, assistant.address]);
+
+  useEffect(() => {
+    checkAllowance();
+  }, [checkAllowance]);
+
+  const inputBalance = tokens ? userBalances[tokens.input.key] : null;
+  const insufficientBalance = !!(amountIn && inputBalance && amountIn.gt(inputBalance));
+  const needsApproval = !isNativeInput && !!amountIn && (!allowance || allowance.lt(amountIn));
+
+  const ensureNetwork = useCallback(async () => {
+    if (!signer) {
+      toast.error('Please connect your wallet first');
+      return false;
+    }
+    const requiredNetwork = getRequiredNetworkForAssistant(assistant);
+    return checkAndSwitchNetwork(requiredNetwork);
+  }, [signer, assistant, getRequiredNetworkForAssistant, checkAndSwitchNetwork]);
+
+  const handleApprove = useCallback(async () => {
+    if (!(await ensureNetwork())) return;
+
+    setPendingAction('approve');
+    try {
+      const token = new ethers.Contract(tokens.input.address, ERC20_ABI, signer);
+      const tx = await token.approve(assistant.address, amountIn);
+      toast.success('Approval transaction sent!');
+      await tx.wait();
+      toast.success(`${tokens.input.symbol} approved for swapping!`);
+      await checkAllowance();
+    } catch (error) {
+      handleTransactionError(error, { messagePrefix: 'Failed to approve: ' });
+    } finally {
+      setPendingAction(null);
+    }
+  }, [ensureNetwork, tokens, signer, assistant.address, amountIn, checkAllowance]);
+
+  const handleSwap = useCallback(async () => {
+    if (!(await ensureNetwork())) return;
+
+    setPendingAction('swap');
+    try {
+      // Re-quote right before sending to catch pool moves before the contract reverts on min_amount_out
+      const minAmountOut = quote.minAmountOut;
+      const freshState = await loadSwapPoolState(provider, assistant);
+      const freshQuote = quoteSwap({
+        direction,
+        amountIn,
+        netBalance: computeNetBalances(freshState),
+        balanceInWork: freshState.balanceInWork,
+        swapFee10000: freshState.swapFee10000,
+      });
+      if (freshQuote.error) throw new Error(freshQuote.error);
+      if (freshQuote.amountOut.lt(minAmountOut)) {
+        setPoolState(freshState);
+        throw new Error('Pool price moved beyond the slippage limit, review the new quote');
+      }
+
+      const contract = new ethers.Contract(assistant.address, getAssistantABI(assistant.type), signer);
+      const tx = isImageToStake
+        ? await contract.swapImage2Stake(amountIn, minAmountOut)
+        : await contract.swapStake2Image(amountIn, minAmountOut, { value: isNativeInput ? amountIn : 0 });
+      console.log('Swap transaction sent:', tx.hash);
+      toast.success('Swap transaction sent!');
+      await tx.wait();
+      toast.success(`Swapped ${tokens.input.symbol} to ${tokens.output.symbol} at ~${quote.effectivePrice.toPrecision(6)} ${tokens.output.symbol} per ${tokens.input.symbol}`);
+
+      setAmount('');
+      await loadState();
+      if (onSuccess) onSuccess();
+    } catch (error) {
+      handleTransactionError(error, { messagePrefix: 'Failed to swap: ' });
+      await loadState();
+    } finally {
+      setPendingAction(null);
+    }
+  }, [ensureNetwork, provider, assistant, direction, amountIn, quote, signer, isImageToStake, isNativeInput, tokens, loadState, onSuccess]);
+
+  const handleFlip = () => {
+    setDirection(isImageToStake ? SWAP_DIRECTIONS.STAKE_TO_IMAGE : SWAP_DIRECTIONS.IMAGE_TO_STAKE);
+    setAmount('');
+  };
+
+  const handleMax = () => {
+    if (!inputBalance || !tokens) return;
+    setAmount(formatAmount(inputBalance, tokens.input));
+  };
+
+  const swapDisabled = !amountIn || !quote || !!quote.error || !!quote.slippageError || quote.amountOut.isZero() ||
+    insufficientBalance || needsApproval || !!pendingAction;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-dark-800 rounded-lg p-6 w-full max-w-md mx-4">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-white">Swap</h3>
+          <button
+            onClick={onClose}
+            className="text-secondary-400 hover:text-white transition-colors"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {loading && !poolState ? (
+          <div className="text-center py-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600 mx-auto"></div>
+            <p className="text-secondary-400 mt-3 text-sm">Loading pool...</p>
+          </div>
+        ) : !tokens ? (
+          <div className="text-sm text-red-400">Failed to load the assistant pool.</div>
+        ) : (
+          <div className="space-y-4">
+            <div className="bg-dark-700 rounded-lg p-4 space-y-2">
+              <div className="flex justify-between text-xs text-secondary-400">
+                <span>You pay</span>
+                <button onClick={handleMax} className="hover:text-white transition-colors">
+                  Balance: {formatAmount(inputBalance, tokens.input)} {tokens.input.symbol}
+                </button>
+              </div>
+              <div className="flex items-center gap-2">
+                <input
+                  type="number"
+                  min="0"
+                  step="any"
+                  value={amount}
+                  onChange={(e) => setAmount(e.target.value)}
+                  placeholder="0.0"
+                  className="input-field flex-1"
+                />
+                <span className="text-white text-sm font-medium">{tokens.input.symbol}</span>
+              </div>
+            </div>
+
+            <div className="flex justify-center">
+              <button
+                onClick={handleFlip}
+                className="p-2 bg-dark-700 hover:bg-dark-600 rounded-full text-secondary-300 hover:text-white transition-colors"
+                title="Switch direction"
+              >
+                <ArrowDownUp className="w-4 h-4" />
+              </button>
+            </div>
+
+            <div className="bg-dark-700 rounded-lg p-4 space-y-2">
+              <div className="text-xs text-secondary-400">You receive (estimated)</div>
+              <div className="flex items-center justify-between">
+                <span className="text-white text-lg">{quote ? formatAmount(quote.amountOut, tokens.output) : '0'}</span>
+                <span className="text-white text-sm font-medium">{tokens.output.symbol}</span>
+              </div>
+            </div>
+
+            <div className="bg-dark-700 rounded-lg p-4 space-y-2 text-sm">
+              <div className="flex justify-between items-center">
+                <span className="text-secondary-400">Slippage tolerance:</span>
+                <div className="flex items-center gap-1">
+                  {SLIPPAGE_PRESETS.map(preset => (
+                    <button
+                      key={preset}
+                      onClick={() => setSlippage(String(preset))}
+                      className={`px-2 py-1 rounded text-xs transition-colors ${
+                        parseFloat(slippage) === preset ? 'bg-primary-600 text-white' : 'bg-dark-600 text-secondary-300 hover:text-white'
+                      }`}
+                    >
+                      {preset}%
+                    </button>
+                  ))}
+                  <input
+                    type="number"
+                    min="0"
+                    max="50"
+                    step="0.1"
+                    value={slippage}
+                    onChange={(e) => setSlippage(e.target.value)}
+                    className="input-field w-16 text-xs py-1"
+                  />
+                </div>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-secondary-400">Swap fee:</span>
+                <span className="text-white">{(poolState.swapFee10000 / 100).toString()}%</span>
+              </div>
+              {quote && !quote.error && (
+                <>
+                  <div className="flex justify-between">
+                    <span className="text-secondary-400">Effective price:</span>
+                    <span className="text-white">1 {tokens.input.symbol} = {quote.effectivePrice.toPrecision(6)} {tokens.output.symbol}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-secondary-400">Price impact:</span>
+                    <span className={quote.priceImpact > 5 ? 'text-red-400' : 'text-white'}>{quote.priceImpact.toFixed(2)}%</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-secondary-400">Minimum received:</span>
+                    <span className="text-white">{quote.minAmountOut ? `${formatAmount(quote.minAmountOut, tokens.output)} ${tokens.output.symbol}` : '-'}</span>
+                  </div>
+                </>
+              )}
+            </div>
+
+            {quote?.error && <div className="text-xs text-red-400">{quote.error}</div>}
+            {quote?.slippageError && <div className="text-xs text-red-400">{quote.slippageError}</div>}
+            {insufficientBalance && <div className="text-xs text-red-400">Insufficient {tokens.input.symbol} balance.</div>}
+
+            <div className="flex gap-3">
+              <button
+                onClick={onClose}
+                className="flex-1 bg-secondary-600 hover:bg-secondary-700 text-white py-2 px-4 rounded-md text-sm font-medium transition-colors"
+              >
+                Cancel
+              </button>
+              {needsApproval ? (
+                <button
+                  onClick={handleApprove}
+                  disabled={!!pendingAction || insufficientBalance}
+                  className="flex-1 bg-primary-600 hover:bg-primary-700 disabled:bg-primary-800 disabled:cursor-not-allowed text-white py-2 px-4 rounded-md text-sm font-medium transition-colors"
+                >
+                  {pendingAction === 'approve' ? 'Approving...' : `Approve ${tokens.input.symbol}`}
+                </button>
+              ) : (
+                <button
+                  onClick={handleSwap}
+                  disabled={swapDisabled}
+                  className="flex-1 bg-primary-600 hover:bg-primary-700 disabled:bg-primary-800 disabled:cursor-not-allowed text-white py-2 px-4 rounded-md text-sm font-medium transition-colors"
+                >
+                  {pendingAction === 'swap' ? (
+                    <div className="flex items-center justify-center">
+                      <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
+                      Swapping...
+                    </div>
+                  ) : (
+                    'Swap'
+                  )}
+                </button>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Swap;
@@ -0,0 +1,339 @@
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { ethers } from 'ethers';
+import toast from 'react-hot-toast';
+import { motion } from 'framer-motion';
+import { Milestone, RefreshCw, Search, Link2, CheckCircle, Clock, Circle, XCircle, AlertTriangle } from 'lucide-react';
+import { useSettings } from '../contexts/SettingsContext';
+import { convertActualToDisplay } from '../utils/decimal-converter';
+import { getTokenByAddress } from '../utils/token-helpers';
+import { formatDuration } from '../utils/governance';
+import { OUTCOME_YES } from '../utils/assistant-manager';
+import { getClaimPath } from '../utils/routes';
+import {
+  TRACKER_STEPS,
+  STEP_STATUS,
+  TRACKER_STATUS,
+  isTransactionHash,
+  parseTrackerParams,
+  getTrackerSearch,
+  resolveTrackedTransfer,
+  getTrackerClaimBridge,
+  findTrackedClaims,
+  loadClaimProgress,
+  buildTransferTimeline,
+  estimateBlocksUntil,
+} from '../utils/transfer-tracker';
+
+// Tracked transfers that are still in progress are refreshed this often
+const REFRESH_INTERVAL_MS = 60000;
+
+const STEP_LABELS = {
+  [TRACKER_STEPS.SENT]: 'Transfer sent',
+  [TRACKER_STEPS.CLAIMED]: 'Claimed on the destination network',
+  [TRACKER_STEPS.CHALLENGING]: 'Challenging period',
+  [TRACKER_STEPS.WITHDRAWABLE]: 'Claim confirmed',
+  [TRACKER_STEPS.WITHDRAWN]: 'Withdrawn',
+};
+
+const STATUS_LABELS = {
+  [TRACKER_STATUS.TOO_EARLY]: 'Waiting to become claimable',
+  [TRACKER_STATUS.AWAITING_CLAIM]: 'Waiting for a claim',
+  [TRACKER_STATUS.CHALLENGING]: 'In challenging period',
+  [TRACKER_STATUS.WITHDRAWABLE]: 'Ready to withdraw',
+  [TRACKER_STATUS.WITHDRAWN]: 'Completed',
+  [TRACKER_STATUS.REJECTED]: 'Claim rejected',
+};
+
+const FINAL_STATUSES = [TRACKER_STATUS.WITHDRAWN, TRACKER_STATUS.REJECTED];
+
+const StepIcon = ({ status }) => {
+  if (status === STEP_STATUS.DONE) return <CheckCircle className="w-5 h-5 text-green-400" />;
+  if (status === STEP_STATUS.ACTIVE) return <Clock className="w-5 h-5 text-yellow-400" />;
+  if (status === STEP_STATUS.FAILED) return <XCircle className="w-5 h-5 text-red-400" />;
+  return <Circle className="w-5 h-5 text-secondary-600" />;
+};
+
+const TransferTracker = () => {
+  const { getAllNetworksWithSettings, getBridgeInstancesWithSettings, getTokenDecimalsDisplayMultiplier } = useSettings();
+  const [searchParams, setSearchParams] = useSearchParams();
+  // A tracker link (/track?network=...&tx=...) opens the transfer directly
+  const initialTransfer = useMemo(() => parseTrackerParams(searchParams.toString()), [searchParams]);
+
+  const networks = getAllNetworksWithSettings();
+  const [networkKey, setNetworkKey] = useState(initialTransfer?.networkKey || Object.keys(networks)[0] || '');
+  const [txid, setTxid] = useState(initialTransfer?.txid || '');
+  const [tracked, setTracked] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
+  const trackedRef = useRef(null);
+
+  const track = useCallback(async (sourceNetworkKey, sourceTxid) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const allNetworks = getAllNetworksWithSettings();
+      const allBridges = getBridgeInstancesWithSettings();
+      const currentTs = Math.floor(Date.now() / 1000);
+
+      const transfer = await resolveTrackedTransfer({ networkKey: sourceNetworkKey, txid: sourceTxid, allBridges });
+      const { claimBridge, claimNetworkKey } = getTrackerClaimBridge(transfer.bridge, allBridges, allNetworks);
+      const { claim, conflictingClaims } = await findTrackedClaims({ transfer, claimBridge, claimNetworkKey, now: currentTs });
+      const progress = await loadClaimProgress({ transfer, claim, claimBridge, claimNetworkKey });
+
+      const result = { sourceNetworkKey, transfer, claimBridge, claimNetworkKey, claim, conflictingClaims, ...progress };
+      trackedRef.current = result;
+      setTracked(result);
+      setNow(currentTs);
+    } catch (err) {
+      console.error('❌ Error tracking transfer:', err);
+      setTracked(null);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [getAllNetworksWithSettings, getBridgeInstancesWithSettings]);
+
+  useEffect(() => {
+    if (initialTransfer?.networkKey && isTransactionHash(initialTransfer.txid)) {
+      setNetworkKey(initialTransfer.networkKey);
+      setTxid(initialTransfer.txid);
+      track(initialTransfer.networkKey, initialTransfer.txid);
+    }
+  }, [initialTransfer, track]);
+
+  const timeline = tracked
+    ? buildTransferTimeline({
+      transfer: tracked.transfer,
+      details: tracked.details,
+      challenges: tracked.challenges,
+      minTxAge: tracked.minTxAge,
+      challengingPeriod: tracked.challengingPeriod,
+      now,
+    })
+    : null;
+  const isFinal = timeline && FINAL_STATUSES.includes(timeline.status);
+
+  // Tick the countdowns every second and reload the claim state periodically until the transfer is final
+  useEffect(() => {
+    if (!tracked || isFinal) return undefined;
+    const tick = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    const refresh = setInterval(() => {
+      const current = trackedRef.current;
+      if (current) track(current.sourceNetworkKey, current.transfer.transactionHash);
+    }, REFRESH_INTERVAL_MS);
+    return () => {
+      clearInterval(tick);
+      clearInterval(refresh);
+    };
+  }, [tracked, isFinal, track]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const trimmed = txid.trim();
+    if (!isTransactionHash(trimmed)) {
+      setError('Please enter a valid transaction hash');
+      return;
+    }
+    const search = getTrackerSearch({ networkKey, txid: trimmed });
+    if (search === `?${searchParams.toString()}`) {
+      track(networkKey, trimmed);
+    } else {
+      // The new query string is picked up by the effect above
+      setSearchParams(search, { replace: true });
+    }
+  };
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      toast.success('Link copied');
+    } catch (err) {
+      toast.error('Failed to copy link');
+    }
+  };
+
+  const formatTransferAmount = (amount) => {
+    const { transfer, sourceNetworkKey } = tracked;
+    const tokenAddress = transfer.bridge.type === 'export' ? transfer.bridge.homeTokenAddress : transfer.bridge.foreignTokenAddress;
+    const token = getTokenByAddress(sourceNetworkKey, tokenAddress);
+    const decimals = token?.decimals || 18;
+    const formatted = ethers.utils.formatUnits(ethers.BigNumber.from(amount), decimals);
+    return `${convertActualToDisplay(formatted, decimals, tokenAddress, getTokenDecimalsDisplayMultiplier)} ${token?.symbol || transfer.tokenSymbol || ''}`;
+  };
+
+  const formatTimestamp = (ts) => new Date(ts * 1000).toLocaleString();
+
+  const formatEta = (eta) => {
+    if (eta <= now) return 'any moment now';
+    const blocks = estimateBlocksUntil(eta, now, tracked.claimNetworkKey);
+    return `in ${formatDuration(eta - now)} (≈ ${blocks} blocks, ${formatTimestamp(eta)})`;
+  };
+
+  return (
+    <div className="space-y-6">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="card p-6"
+      >
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center space-x-3">
+            <Milestone className="w-6 h-6 text-primary-500" />
+            <h2 className="text-xl font-bold text-white">Track Transfer</h2>
+          </div>
+          {tracked && (
+            <div className="flex items-center space-x-2">
+              <button
+                onClick={handleCopyLink}
+                className="p-2 rounded-lg bg-dark-800 border border-secondary-700 hover:bg-dark-700 transition-colors"
+                title="Copy link"
+              >
+                <Link2 className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => track(tracked.sourceNetworkKey, tracked.transfer.transactionHash)}
+                disabled={loading}
+                className="p-2 rounded-lg bg-dark-800 border border-secondary-700 hover:bg-dark-700 transition-colors disabled:opacity-50"
+                title="Refresh"
+              >
+                <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+              </button>
+            </div>
+          )}
+        </div>
+
+        <p className="text-secondary-400 text-sm mb-4">
+          Follow a transfer from the source transaction to the claim on the destination network and through its
+          challenging period until it can be withdrawn.
+        </p>
+
+        <form onSubmit={handleSubmit} className="grid grid-cols-1 sm:grid-cols-4 gap-4">
+          <select
+            value={networkKey}
+            onChange={(e) => setNetworkKey(e.target.value)}
+            className="input-field w-full"
+          >
+            {Object.entries(networks).map(([key, network]) => (
+              <option key={key} value={key}>{network.name}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={txid}
+            onChange={(e) => setTxid(e.target.value)}
+            placeholder="Source transaction hash (0x...)"
+            className="input-field w-full sm:col-span-2 font-mono text-sm"
+          />
+          <button
+            type="submit"
+            disabled={loading}
+            className="btn-primary flex items-center justify-center space-x-2 disabled:opacity-50"
+          >
+            <Search className="w-4 h-4" />
+            <span>{loading ? 'Tracking...' : 'Track'}</span>
+          </button>
+        </form>
+
+        {error && (
+          <div className="bg-red-900/20 border border-red-700 rounded-lg p-3 mt-4 text-red-400 text-sm">
+            {error}
+          </div>
+        )}
+      </motion.div>
+
+      {tracked && timeline && (
+        <div className="card p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold text-white">
+              {tracked.transfer.fromNetwork} → {tracked.transfer.toNetwork}
+            </h3>
+            <span className={`text-sm font-medium ${
+              timeline.status === TRACKER_STATUS.REJECTED
+                ? 'text-red-400'
+                : isFinal ? 'text-green-400' : 'text-yellow-400'
+            }`}>
+              {STATUS_LABELS[timeline.status]}
+            </span>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 text-sm mb-6">
+            <div>
+              <div className="text-secondary-400">Amount</div>
+              <div className="text-white">{formatTransferAmount(tracked.transfer.amount)}</div>
+            </div>
+            <div>
+              <div className="text-secondary-400">Reward</div>
+              <div className="text-white">{formatTransferAmount(tracked.transfer.reward)}</div>
+            </div>
+            <div>
+              <div className="text-secondary-400">Recipient</div>
+              <div className="text-white font-mono text-xs break-all">{tracked.transfer.recipientAddress}</div>
+            </div>
+            <div>
+              <div className="text-secondary-400">Claim</div>
+              <div className="text-white">
+                {tracked.claim ? (
+                  <Link
+                    to={getClaimPath({ networkKey: tracked.claimNetworkKey, bridgeAddress: tracked.claimBridge.address, claimNum: tracked.claim.actualClaimNum })}
+                    className="hover:text-primary-400 transition-colors"
+                  >
+                    {`#${tracked.claim.actualClaimNum.toString()} on ${tracked.claimNetworkKey}`}
+                  </Link>
+                ) : 'Not claimed yet'}
+              </div>
+            </div>
+          </div>
+
+          {tracked.conflictingClaims.length > 0 && (
+            <div className="flex items-start space-x-2 bg-yellow-900/20 border border-yellow-700 rounded-lg p-3 mb-6 text-yellow-400 text-sm">
+              <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+              <span>
+                {tracked.conflictingClaims.length} claim{tracked.conflictingClaims.length === 1 ? '' : 's'} for this
+                transaction {tracked.conflictingClaims.length === 1 ? 'does' : 'do'} not match the transfer
+                ({tracked.conflictingClaims.map(claim => `#${claim.actualClaimNum.toString()}`).join(', ')}) and should be challenged.
+              </span>
+            </div>
+          )}
+
+          <ol className="space-y-4">
+            {timeline.steps.map(step => (
+              <li key={step.id} className="flex items-start space-x-3">
+                <StepIcon status={step.status} />
+                <div className="flex-1">
+                  <div className={`font-medium ${step.status === STEP_STATUS.PENDING ? 'text-secondary-400' : 'text-white'}`}>
+                    {STEP_LABELS[step.id]}
+                  </div>
+                  <div className="text-secondary-400 text-xs break-all">{step.description}</div>
+                  {step.timestamp && (
+                    <div className="text-secondary-500 text-xs">{formatTimestamp(step.timestamp)}</div>
+                  )}
+                  {step.eta && (
+                    <div className="text-primary-400 text-xs">Expected {formatEta(step.eta)}</div>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ol>
+
+          {tracked.challenges.length > 0 && (
+            <div className="mt-6">
+              <h4 className="text-sm font-semibold text-white mb-2">Challenges</h4>
+              <div className="space-y-1 text-xs">
+                {tracked.challenges.map(challenge => (
+                  <div key={challenge.transactionHash} className="flex justify-between text-secondary-300">
+                    <span className="font-mono">{challenge.authorAddress.slice(0, 6)}...{challenge.authorAddress.slice(-4)}</span>
+                    <span>{challenge.outcome === OUTCOME_YES ? 'YES' : 'NO'}, now {challenge.currentOutcome === OUTCOME_YES ? 'YES' : 'NO'}</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TransferTracker;
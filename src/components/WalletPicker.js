@@ -0,0 +1,90 @@
+import React from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Wallet, QrCode, X } from 'lucide-react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { WALLET_TYPES } from '../utils/wallet-providers';
+
+/**
+ * Wallet choice dialog: injected wallets found through EIP-6963 (or window.ethereum) and WalletConnect
+ */
+const WalletPicker = ({ isOpen, onClose }) => {
+  const { walletOptions, connect, isConnecting, error } = useWeb3();
+  const [hasAttempted, setHasAttempted] = React.useState(false);
+
+  const handleSelect = async (option) => {
+    setHasAttempted(true);
+    if (await connect(option)) {
+      setHasAttempted(false);
+      onClose();
+    }
+  };
+
+  const handleClose = () => {
+    setHasAttempted(false);
+    onClose();
+  };
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <motion.div
+            initial={{ opacity: 0, scale: 0.95 }}
+            animate={{ opacity: 1, scale: 1 }}
+            exit={{ opacity: 0, scale: 0.95 }}
+            className="bg-dark-800 rounded-lg p-6 w-full max-w-sm"
+          >
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-white">Connect Wallet</h3>
+              <button
+                onClick={handleClose}
+                className="text-secondary-400 hover:text-white transition-colors"
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+
+            {hasAttempted && error && !isConnecting && (
+              <div className="bg-red-900/20 border border-red-700 rounded-lg p-3 text-red-400 text-sm mb-4">
+                {error}
+              </div>
+            )}
+
+            {walletOptions.length === 0 ? (
+              <p className="text-secondary-400 text-sm">
+                No wallet found. Install a browser wallet such as MetaMask, Rabby or Coinbase Wallet to connect.
+              </p>
+            ) : (
+              <div className="space-y-2">
+                {walletOptions.map(option => (
+                  <button
+                    key={option.id}
+                    onClick={() => handleSelect(option)}
+                    disabled={isConnecting}
+                    className="w-full flex items-center justify-between px-4 py-3 rounded-lg bg-dark-900 border border-secondary-700 hover:border-primary-500 transition-colors disabled:opacity-50"
+                  >
+                    <div className="flex items-center space-x-3">
+                      {option.icon ? (
+                        <img src={option.icon} alt="" className="w-6 h-6 rounded" />
+                      ) : option.type === WALLET_TYPES.WALLETCONNECT ? (
+                        <QrCode className="w-6 h-6 text-primary-500" />
+                      ) : (
+                        <Wallet className="w-6 h-6 text-primary-500" />
+                      )}
+                      <span className="text-white font-medium">{option.name}</span>
+                    </div>
+                    {option.isLastUsed && (
+                      <span className="text-xs text-secondary-400">Last used</span>
+                    )}
+                  </button>
+                ))}
+              </div>
+            )}
+          </motion.div>
+        </div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default WalletPicker;
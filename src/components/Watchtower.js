@@ -0,0 +1,407 @@
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { ethers } from 'ethers';
+import toast from 'react-hot-toast';
+import { motion } from 'framer-motion';
+import { ShieldAlert, RefreshCw, Send, Trash2 } from 'lucide-react';
+import { useSettings } from '../contexts/SettingsContext';
+import { useWatchtower } from '../contexts/WatchtowerContext';
+import { useNetworkSwitcher } from '../hooks/useNetworkSwitcher';
+import { convertActualToDisplay, convertDisplayToActual } from '../utils/decimal-converter';
+import { TIMEFRAME_OPTIONS } from '../utils/block-estimator';
+import { CONFIRMATION_POLICIES, WATCHTOWER_DECISIONS, getBridgeStakeToken } from '../utils/watchtower';
+
+// Number of log entries rendered; the full log stays in storage
+const LOG_DISPLAY_LIMIT = 100;
+
+const REASON_LABELS = {
+  no_matching_transfer: 'No matching transfer',
+  txid_match_but_parameter_mismatch: 'Parameters differ from the transfer',
+  matching_transfer: 'Matches a transfer',
+  claim_not_found: 'Claim not found on chain',
+  claim_finished: 'Claim already finished',
+  challenging_period_over: 'Challenging period is over',
+  already_challenged: 'Current outcome is already NO',
+  transfer_outside_scan_window: 'Transfer may be older than the scanned range',
+  no_budget: 'No budget set for this bridge',
+  budget_exceeded: 'Stake exceeds the remaining budget',
+  dismissed_by_user: 'Dismissed by user',
+};
+
+const DECISION_STYLES = {
+  [WATCHTOWER_DECISIONS.VALID]: 'text-green-400',
+  [WATCHTOWER_DECISIONS.CHALLENGE_QUEUED]: 'text-yellow-400',
+  [WATCHTOWER_DECISIONS.CHALLENGE_SENT]: 'text-primary-400',
+  [WATCHTOWER_DECISIONS.CHALLENGE_FAILED]: 'text-red-400',
+  [WATCHTOWER_DECISIONS.DISMISSED]: 'text-secondary-400',
+  [WATCHTOWER_DECISIONS.SKIPPED]: 'text-secondary-400',
+};
+
+const Watchtower = () => {
+  const { getBridgeInstancesWithSettings, getTokenDecimalsDisplayMultiplier } = useSettings();
+  const { getRequiredNetworkForBridge } = useNetworkSwitcher();
+  const {
+    settings,
+    queue,
+    spent,
+    log,
+    isScanning,
+    isSending,
+    lastScan,
+    updateSettings,
+    runScan,
+    sendChallenge,
+    sendAllQueued,
+    dismissChallenge,
+    resetSpent,
+    clearLog,
+  } = useWatchtower();
+
+  const [stakeTokens, setStakeTokens] = useState({});
+  const [budgetInputs, setBudgetInputs] = useState({});
+  const requestedStakeTokens = useRef(new Set());
+
+  const bridges = useMemo(() => {
+    return Object.entries(getBridgeInstancesWithSettings())
+      .filter(([, bridge]) => bridge && bridge.address)
+      .map(([key, bridge]) => ({ key, ...bridge, addressKey: bridge.address.toLowerCase() }));
+  }, [getBridgeInstancesWithSettings]);
+
+  const watchedBridges = useMemo(() => bridges.filter(bridge => settings.watchedBridges.includes(bridge.addressKey)), [bridges, settings.watchedBridges]);
+
+  // Stake token decimals are needed to enter budgets in display units
+  useEffect(() => {
+    watchedBridges
+      .filter(bridge => !requestedStakeTokens.current.has(bridge.addressKey))
+      .forEach(async (bridge) => {
+        requestedStakeTokens.current.add(bridge.addressKey);
+        const networkConfig = getRequiredNetworkForBridge(bridge.address);
+        if (!networkConfig?.rpcUrl) return;
+        try {
+          const provider = new ethers.providers.JsonRpcProvider(networkConfig.rpcUrl);
+          const stakeToken = await getBridgeStakeToken(provider, bridge.address);
+          setStakeTokens(prev => ({ ...prev, [bridge.addressKey]: stakeToken }));
+        } catch (error) {
+          console.error(`❌ Error loading stake token for ${bridge.address}:`, error);
+          requestedStakeTokens.current.delete(bridge.addressKey);
+        }
+      });
+  }, [watchedBridges, getRequiredNetworkForBridge]);
+
+  const formatStake = useCallback((amount, decimals, tokenAddress) => {
+    if (amount === undefined || amount === null || decimals === undefined) return '-';
+    const formatted = ethers.utils.formatUnits(amount, decimals);
+    return convertActualToDisplay(formatted, decimals, tokenAddress, getTokenDecimalsDisplayMultiplier);
+  }, [getTokenDecimalsDisplayMultiplier]);
+
+  const getBridgeLabel = useCallback((bridgeAddress) => {
+    const bridge = bridges.find(b => b.addressKey === bridgeAddress?.toLowerCase());
+    return bridge ? (bridge.description || bridge.key) : bridgeAddress;
+  }, [bridges]);
+
+  const handleToggleBridge = (bridge) => {
+    const watched = settings.watchedBridges.includes(bridge.addressKey)
+      ? settings.watchedBridges.filter(address => address !== bridge.addressKey)
+      : [...settings.watchedBridges, bridge.addressKey];
+    updateSettings({ watchedBridges: watched });
+  };
+
+  const handleBudgetCommit = (bridge) => {
+    const input = budgetInputs[bridge.addressKey];
+    if (input === undefined) return;
+
+    const stakeToken = stakeTokens[bridge.addressKey];
+    if (!stakeToken) {
+      toast.error('Stake token is still loading');
+      return;
+    }
+
+    try {
+      const { stakeDecimals, stakeTokenAddress } = stakeToken;
+      const actual = convertDisplayToActual(input || '0', stakeDecimals, stakeTokenAddress, getTokenDecimalsDisplayMultiplier);
+      const budget = ethers.utils.parseUnits(actual, stakeDecimals);
+      updateSettings({ bridgeBudgets: { ...settings.bridgeBudgets, [bridge.addressKey]: budget.toString() } });
+      setBudgetInputs(prev => {
+        const next = { ...prev };
+        delete next[bridge.addressKey];
+        return next;
+      });
+    } catch (error) {
+      toast.error('Invalid budget amount');
+    }
+  };
+
+  const formatTimestamp = (ms) => new Date(ms).toLocaleString();
+
+  const renderSpinner = () => (
+    <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
+  );
+
+  return (
+    <div className="space-y-6">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="card p-6"
+      >
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center space-x-3">
+            <ShieldAlert className="w-6 h-6 text-primary-500" />
+            <h2 className="text-xl font-bold text-white">Watchtower</h2>
+          </div>
+          <button
+            onClick={runScan}
+            disabled={isScanning || settings.watchedBridges.length === 0}
+            className="p-2 rounded-lg bg-dark-800 border border-secondary-700 hover:bg-dark-700 transition-colors disabled:opacity-50"
+            title="Scan now"
+          >
+            <RefreshCw className={`w-4 h-4 ${isScanning ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+
+        <p className="text-secondary-400 text-sm mb-4">
+          The watchtower polls the watched bridges, matches every new claim against its transfer and queues a
+          challenge for claims that look fraudulent while they can still be challenged. Stakes are only sent within
+          the budget you set for each bridge. Polling continues on every tab while the app is open.
+        </p>
+
+        <div className="flex items-center justify-between bg-dark-800 rounded-lg p-4 mb-4">
+          <div>
+            <div className="text-white font-medium">Watchtower mode</div>
+            <div className="text-secondary-400 text-xs">
+              {isScanning
+                ? 'Scanning...'
+                : lastScan
+                  ? `Last scan ${formatTimestamp(lastScan.timestamp)}: ${lastScan.validClaims} valid, ${lastScan.suspiciousClaims} suspicious`
+                  : 'No scan yet'}
+            </div>
+          </div>
+          <button
+            onClick={() => updateSettings({ enabled: !settings.enabled })}
+            className={`py-2 px-4 rounded-md text-sm font-medium transition-colors ${
+              settings.enabled
+                ? 'bg-red-600 hover:bg-red-700 text-white'
+                : 'bg-primary-600 hover:bg-primary-700 text-white'
+            }`}
+          >
+            {settings.enabled ? 'Disable' : 'Enable'}
+          </button>
+        </div>
+
+        {lastScan?.errors?.length > 0 && (
+          <div className="bg-red-900/20 border border-red-700 rounded-lg p-3 mb-4 text-red-400 text-xs space-y-1">
+            {lastScan.errors.map((scanError, index) => (
+              <div key={index}>
+                {scanError.bridgeAddress ? `${getBridgeLabel(scanError.bridgeAddress)}: ` : ''}{scanError.error}
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-secondary-300 mb-2">Confirmation</label>
+            <select
+              value={settings.confirmationPolicy}
+              onChange={(e) => updateSettings({ confirmationPolicy: e.target.value })}
+              className="input-field w-full"
+            >
+              <option value={CONFIRMATION_POLICIES.NOTIFY}>Notify and wait</option>
+              <option value={CONFIRMATION_POLICIES.AUTO}>Send automatically</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-secondary-300 mb-2">Poll every (minutes)</label>
+            <input
+              type="number"
+              min="1"
+              value={settings.pollIntervalMinutes}
+              onChange={(e) => updateSettings({ pollIntervalMinutes: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+              className="input-field w-full"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-secondary-300 mb-2">Scan range</label>
+            <select
+              value={settings.rangeHours}
+              onChange={(e) => updateSettings({ rangeHours: parseFloat(e.target.value) })}
+              className="input-field w-full"
+            >
+              {TIMEFRAME_OPTIONS.map(option => (
+                <option key={option.value} value={option.hours}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {settings.confirmationPolicy === CONFIRMATION_POLICIES.AUTO && (
+          <p className="text-yellow-400 text-xs mt-3">
+            Challenges are sent as soon as they are queued. Your wallet still asks to confirm each transaction.
+          </p>
+        )}
+      </motion.div>
+
+      <div className="card p-6">
+        <h3 className="text-lg font-semibold text-white mb-4">Bridges</h3>
+        <div className="space-y-3">
+          {bridges.map(bridge => {
+            const isWatched = settings.watchedBridges.includes(bridge.addressKey);
+            const stakeToken = stakeTokens[bridge.addressKey];
+            const budget = settings.bridgeBudgets[bridge.addressKey];
+            const budgetDisplay = stakeToken && budget ? formatStake(budget, stakeToken.stakeDecimals, stakeToken.stakeTokenAddress) : '';
+
+            return (
+              <div key={bridge.key} className="bg-dark-800 rounded-lg p-4">
+                <label className="flex items-center space-x-3 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={isWatched}
+                    onChange={() => handleToggleBridge(bridge)}
+                    className="rounded border-secondary-600 bg-dark-700 text-primary-600"
+                  />
+                  <span className="text-white text-sm">{bridge.description || bridge.key}</span>
+                </label>
+
+                {isWatched && (
+                  <div className="mt-3 grid grid-cols-1 sm:grid-cols-2 gap-3 text-sm">
+                    <div>
+                      <label className="block text-secondary-400 text-xs mb-1">
+                        Budget ({bridge.stakeTokenSymbol || 'stake token'})
+                      </label>
+                      <input
+                        type="number"
+                        min="0"
+                        placeholder="0"
+                        value={budgetInputs[bridge.addressKey] ?? budgetDisplay}
+                        onChange={(e) => setBudgetInputs(prev => ({ ...prev, [bridge.addressKey]: e.target.value }))}
+                        onBlur={() => handleBudgetCommit(bridge)}
+                        disabled={!stakeToken}
+                        className="input-field w-full"
+                      />
+                    </div>
+                    <div className="flex items-end justify-between">
+                      <div>
+                        <div className="text-secondary-400 text-xs mb-1">Spent</div>
+                        <div className="text-white">
+                          {stakeToken
+                            ? `${formatStake(spent[bridge.addressKey] || '0', stakeToken.stakeDecimals, stakeToken.stakeTokenAddress)} ${bridge.stakeTokenSymbol || ''}`
+                            : '-'}
+                        </div>
+                      </div>
+                      <button
+                        onClick={() => resetSpent(bridge.address)}
+                        disabled={!spent[bridge.addressKey]}
+                        className="text-secondary-400 hover:text-white text-xs disabled:opacity-50"
+                      >
+                        Reset spent
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      <div className="card p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-white">Queued Challenges ({queue.length})</h3>
+          {queue.length > 0 && (
+            <button
+              onClick={sendAllQueued}
+              disabled={isSending}
+              className="bg-primary-600 hover:bg-primary-700 disabled:bg-primary-800 disabled:cursor-not-allowed text-white py-2 px-4 rounded-md text-sm font-medium transition-colors flex items-center space-x-2"
+            >
+              {isSending ? renderSpinner() : <Send className="w-4 h-4" />}
+              <span>Send all</span>
+            </button>
+          )}
+        </div>
+
+        {queue.length === 0 ? (
+          <p className="text-secondary-400 text-sm">No suspicious claims are waiting for a challenge.</p>
+        ) : (
+          <div className="space-y-3">
+            {queue.map(item => (
+              <div key={item.key} className="bg-dark-800 rounded-lg p-4 text-sm">
+                <div className="flex items-start justify-between gap-4">
+                  <div className="space-y-1">
+                    <div className="text-white font-medium">Claim #{item.claimNum}</div>
+                    <div className="text-secondary-400 text-xs">{getBridgeLabel(item.bridgeAddress)}</div>
+                    <div className="text-secondary-300 text-xs">{REASON_LABELS[item.reason] || item.reason}</div>
+                    <div className="text-secondary-300 text-xs">
+                      Stake on NO: {formatStake(item.stake, item.stakeDecimals, item.stakeTokenAddress)} {item.stakeTokenSymbol}
+                    </div>
+                    <div className="text-secondary-400 text-xs">Challenge until {formatTimestamp(item.expiryTs * 1000)}</div>
+                    {item.status === 'failed' && item.error && (
+                      <div className="text-red-400 text-xs">{item.error}</div>
+                    )}
+                  </div>
+                  <div className="flex flex-col space-y-2">
+                    <button
+                      onClick={() => sendChallenge(item.key)}
+                      disabled={item.status === 'sending'}
+                      className="bg-primary-600 hover:bg-primary-700 disabled:bg-primary-800 disabled:cursor-not-allowed text-white py-1 px-3 rounded-md text-xs font-medium transition-colors"
+                    >
+                      {item.status === 'sending' ? 'Sending...' : item.status === 'failed' ? 'Retry' : 'Challenge'}
+                    </button>
+                    <button
+                      onClick={() => dismissChallenge(item.key)}
+                      disabled={item.status === 'sending'}
+                      className="bg-dark-600 hover:bg-dark-500 disabled:opacity-50 text-white py-1 px-3 rounded-md text-xs font-medium transition-colors"
+                    >
+                      Dismiss
+                    </button>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="card p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-white">Decision Log</h3>
+          {log.length > 0 && (
+            <button
+              onClick={clearLog}
+              className="p-2 rounded-lg bg-dark-800 border border-secondary-700 hover:bg-dark-700 transition-colors"
+              title="Clear log"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          )}
+        </div>
+
+        {log.length === 0 ? (
+          <p className="text-secondary-400 text-sm">No decisions yet.</p>
+        ) : (
+          <div className="space-y-2 max-h-96 overflow-y-auto">
+            {log.slice(0, LOG_DISPLAY_LIMIT).map(entry => (
+              <div key={entry.id} className="bg-dark-800 rounded-lg px-3 py-2 text-xs flex flex-wrap items-center gap-x-3 gap-y-1">
+                <span className="text-secondary-500">{formatTimestamp(entry.timestamp)}</span>
+                <span className={`font-medium ${DECISION_STYLES[entry.decision] || 'text-white'}`}>
+                  {entry.decision.replace(/_/g, ' ')}
+                </span>
+                <span className="text-white">#{entry.claimNum}</span>
+                <span className="text-secondary-400">{getBridgeLabel(entry.bridgeAddress)}</span>
+                <span className="text-secondary-300">{REASON_LABELS[entry.reason] || entry.reason}</span>
+                {entry.stake && (
+                  <span className="text-secondary-300">
+                    {formatStake(entry.stake, entry.stakeDecimals, entry.stakeTokenAddress)} {entry.stakeTokenSymbol}
+                  </span>
+                )}
+                {entry.txHash && (
+                  <span className="text-secondary-500 font-mono break-all">{entry.txHash}</span>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Watchtower;
@@ -4,6 +4,7 @@ import { useSettings } from '../contexts/SettingsContext';
 import { ethers } from 'ethers';
 import toast from 'react-hot-toast';
 import { handleTransactionError } from '../utils/error-handler';
+import { getWalletProvider } from '../utils/wallet-providers';
 import { 
   EXPORT_ASSISTANT_ABI, 
   EXPORT_WRAPPER_ASSISTANT_ABI, 
@@ -88,11 +89,11 @@ const Withdraw = ({ assistant, onClose, onSuccess }) => {
 
   // Check current network
   const checkNetwork = useCallback(async () => {
-    if (!window.ethereum) return false;
+    if (!getWalletProvider()) return false;
     
     try {
-      // Use window.ethereum directly for more reliable network checking
-      const currentChainId = await window.ethereum.request({ method: 'eth_chainId' });
+      // Use the wallet provider directly for more reliable network checking
+      const currentChainId = await getWalletProvider().request({ method: 'eth_chainId' });
       const currentChainIdNumber = parseInt(currentChainId, 16);
       
       const requiredNetworkForCheck = getRequiredNetwork();
@@ -121,7 +122,7 @@ const Withdraw = ({ assistant, onClose, onSuccess }) => {
   // Switch to required network
   const switchToRequiredNetwork = useCallback(async () => {
     const requiredNetworkForSwitch = getRequiredNetwork();
-    if (!requiredNetworkForSwitch || !window.ethereum) {
+    if (!requiredNetworkForSwitch || !getWalletProvider()) {
       toast.error('Cannot switch network. Please switch manually in your wallet.');
       return false;
     }
@@ -146,7 +147,7 @@ const Withdraw = ({ assistant, onClose, onSuccess }) => {
     
     try {
       // First try to switch to existing network
-      await window.ethereum.request({
+      await getWalletProvider().request({
         method: 'wallet_switchEthereumChain',
         params: [{ chainId: chainIdHex }],
       });
@@ -164,12 +165,12 @@ const Withdraw = ({ assistant, onClose, onSuccess }) => {
         
         const handleChange = (chainId) => {
           clearTimeout(timeout);
-          window.ethereum.removeListener('chainChanged', handleChange);
+          getWalletProvider().removeListener('chainChanged', handleChange);
           console.log('✅ Network change event received:', chainId);
           resolve(chainId);
         };
         
-        window.ethereum.on('chainChanged', handleChange);
+        getWalletProvider().on('chainChanged', handleChange);
       });
       
       try {
@@ -181,10 +182,10 @@ const Withdraw = ({ assistant, onClose, onSuccess }) => {
         // Recheck the network using the updated provider from context
         console.log('🔍 Verifying network switch...');
         
-        // Get the most current network directly from window.ethereum to avoid stale provider
+        // Get the most current network directly from the wallet provider to avoid stale provider
         let currentNetworkFromEthereum;
         try {
-          const chainId = await window.ethereum.request({ method: 'eth_chainId' });
+          const chainId = await getWalletProvider().request({ method: 'eth_chainId' });
           const chainIdNumber = parseInt(chainId, 16);
           
           // Get network name from our config
@@ -195,10 +196,10 @@ const Withdraw = ({ assistant, onClose, onSuccess }) => {
             chainId: chainIdNumber,
             name: networkName
           };
-          console.log('🔍 Network from window.ethereum at verification time:', currentNetworkFromEthereum);
+          console.log('🔍 Network from the wallet provider at verification time:', currentNetworkFromEthereum);
         } catch (error) {
-          console.log('🔍 Error getting network from window.ethereum:', error);
-          // If window.ethereum fails, fall back to context
+          console.log('🔍 Error getting network from the wallet provider:', error);
+          // If the wallet provider fails, fall back to context
           const currentNetworkFromContext = network;
           currentNetworkFromEthereum = {
             chainId: currentNetworkFromContext?.chainId || currentNetworkFromContext?.id,
@@ -221,7 +222,7 @@ const Withdraw = ({ assistant, onClose, onSuccess }) => {
           const isCorrectNetwork = currentChainId === requiredNetworkForVerification.chainId;
           
           console.log('🔍 Network verification result:', isCorrectNetwork);
-          console.log('🔍 Current network from window.ethereum:', currentNetworkFromEthereum);
+          console.log('🔍 Current network from the wallet provider:', currentNetworkFromEthereum);
           console.log('🔍 Required network:', requiredNetworkForVerification);
           
           if (isCorrectNetwork) {
@@ -271,7 +272,7 @@ const Withdraw = ({ assistant, onClose, onSuccess }) => {
           
           console.log('🔍 Adding chain with params:', addChainParams);
           
-          await window.ethereum.request({
+          await getWalletProvider().request({
             method: 'wallet_addEthereumChain',
             params: [addChainParams],
           });
@@ -288,12 +289,12 @@ const Withdraw = ({ assistant, onClose, onSuccess }) => {
             
             const handleChange = (chainId) => {
               clearTimeout(timeout);
-              window.ethereum.removeListener('chainChanged', handleChange);
+              getWalletProvider().removeListener('chainChanged', handleChange);
               console.log('✅ Network change event received after chain addition:', chainId);
               resolve(chainId);
             };
             
-            window.ethereum.on('chainChanged', handleChange);
+            getWalletProvider().on('chainChanged', handleChange);
           });
           
           try {
@@ -305,10 +306,10 @@ const Withdraw = ({ assistant, onClose, onSuccess }) => {
             // Recheck the network using the updated provider from context
             console.log('🔍 Verifying network switch after chain addition...');
             
-            // Get the most current network directly from window.ethereum to avoid stale provider
+            // Get the most current network directly from the wallet provider to avoid stale provider
             let currentNetworkFromEthereum;
             try {
-              const chainId = await window.ethereum.request({ method: 'eth_chainId' });
+              const chainId = await getWalletProvider().request({ method: 'eth_chainId' });
               const chainIdNumber = parseInt(chainId, 16);
               
               // Get network name from our config
@@ -319,10 +320,10 @@ const Withdraw = ({ assistant, onClose, onSuccess }) => {
                 chainId: chainIdNumber,
                 name: networkName
               };
-              console.log('🔍 Network from window.ethereum at chain addition verification time:', currentNetworkFromEthereum);
+              console.log('🔍 Network from the wallet provider at chain addition verification time:', currentNetworkFromEthereum);
             } catch (error) {
-              console.log('🔍 Error getting network from window.ethereum:', error);
-              // If window.ethereum fails, fall back to context
+              console.log('🔍 Error getting network from the wallet provider:', error);
+              // If the wallet provider fails, fall back to context
               const currentNetworkFromContext = network;
               currentNetworkFromEthereum = {
                 chainId: currentNetworkFromContext?.chainId || currentNetworkFromContext?.id,
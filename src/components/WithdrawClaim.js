@@ -1,8 +1,11 @@
-import React, { useState, useCallback, useRef } from 'react';
+import React, { useState, useCallback, useRef, useEffect, useMemo } from 'react';
 import { ethers } from 'ethers';
 import { createCounterstakeContract } from '../utils/bridge-contracts';
 import { fetchClaimDetails } from '../utils/claim-details-fetcher.js';
+import { validateWithdrawAddress, getWithdrawCall, previewWithdrawal } from '../utils/claim-id';
+import { convertActualToDisplay } from '../utils/decimal-converter';
 import { useWeb3 } from '../contexts/Web3Context';
+import { useSettings } from '../contexts/SettingsContext';
 import { motion } from 'framer-motion';
 import { CheckCircle, XCircle, Loader, Clock } from 'lucide-react';
 import toast from 'react-hot-toast';
@@ -11,7 +14,8 @@ import toast from 'react-hot-toast';
 const globalExecutionTracker = new Set();
 
 const WithdrawClaim = ({ claim, onWithdrawSuccess, onClose }) => {
-  const { signer } = useWeb3();
+  const { signer, account } = useWeb3();
+  const { getTokenDecimalsDisplayMultiplier } = useSettings();
   const [loading, setLoading] = useState(false);
   const [isProcessing, setIsProcessing] = useState(false);
   const [lastClickTime, setLastClickTime] = useState(0);
@@ -20,12 +24,43 @@ const WithdrawClaim = ({ claim, onWithdrawSuccess, onClose }) => {
   const loadingRef = useRef(false);
   const isProcessingRef = useRef(false);
   const componentId = useRef(Math.random().toString(36).substr(2, 9));
+  const [withdrawForOther, setWithdrawForOther] = useState(false);
+  const [withdrawAddressInput, setWithdrawAddressInput] = useState('');
+  const [preview, setPreview] = useState(null);
 
   // Convert BigNumber objects to strings for display
   const displayClaimNum = claim.actualClaimNum || claim.claimNum;
   const displayClaimNumString = ethers.BigNumber.isBigNumber(displayClaimNum) ? 
     displayClaimNum.toString() : 
     String(displayClaimNum || 'Unknown');
+  const claimNumString = ethers.BigNumber.from(claim.actualClaimNum || claim.claimNum).toString();
+
+  // Withdrawing on behalf of another address settles that address's claim and stakes and pays them to it
+  const withdrawAddress = useMemo(() => (
+    withdrawForOther ? validateWithdrawAddress(withdrawAddressInput) : { address: null, error: null }
+  ), [withdrawForOther, withdrawAddressInput]);
+  const payoutAddress = withdrawAddress.address || account;
+
+  useEffect(() => {
+    setPreview(null);
+    if (!signer || !payoutAddress || withdrawAddress.error) return undefined;
+
+    let cancelled = false;
+    const loadPreview = async () => {
+      const contract = await createCounterstakeContract(signer.provider, claim.bridgeAddress);
+      const details = await fetchClaimDetails({ contract, claimNum: claimNumString });
+      if (!details) throw new Error('Claim does not exist');
+      return previewWithdrawal({ contract, claimNum: claimNumString, details, address: payoutAddress });
+    };
+    loadPreview()
+      .then(result => { if (!cancelled) setPreview(result); })
+      .catch(previewError => { if (!cancelled) setPreview({ error: previewError.message }); });
+    return () => { cancelled = true; };
+  }, [signer, claim.bridgeAddress, claimNumString, payoutAddress, withdrawAddress.error]);
+
+  const formatPayout = (amount, decimals, tokenAddress) => convertActualToDisplay(
+    ethers.utils.formatUnits(amount, decimals || 18), decimals || 18, tokenAddress, getTokenDecimalsDisplayMultiplier
+  );
 
   const handleWithdraw = useCallback(async () => {
     const executionId = Math.random().toString(36).substr(2, 9);
@@ -52,6 +87,11 @@ const WithdrawClaim = ({ claim, onWithdrawSuccess, onClose }) => {
     }
     setLastClickTime(now);
     
+    if (withdrawAddress.error || (withdrawForOther && !withdrawAddress.address)) {
+      setError(withdrawAddress.error || 'Enter the address to withdraw for');
+      return;
+    }
+    
     // Prevent double execution with multiple guards
     if (loadingRef.current || isProcessingRef.current) {
       console.log(`❌ Withdraw already in progress, ignoring duplicate call. Execution ID: ${executionId}`);
@@ -206,9 +246,9 @@ const WithdrawClaim = ({ claim, onWithdrawSuccess, onClose }) => {
         console.log('🔍 Claim current outcome:', claimDetails.current_outcome);
         console.log('🔍 Claim expiry:', new Date(Number(claimDetails.expiry_ts) * 1000).toISOString());
         
-        // Validate withdrawal conditions
+        // Validate withdrawal conditions for the address withdrawn for
         const currentTime = Math.floor(Date.now() / 1000);
-        const signerAddress = await signer.getAddress();
+        const signerAddress = withdrawAddress.address || await signer.getAddress();
         
         // Check if this is a third-party claim (claimant_address differs from recipient_address)
         const isThirdPartyClaim = claimDetails.claimant_address && 
@@ -350,7 +390,9 @@ const WithdrawClaim = ({ claim, onWithdrawSuccess, onClose }) => {
       try {
         console.log('🔍 Attempting withdraw with MetaMask default gas settings...');
         // Let MetaMask handle gas estimation and pricing automatically
-        withdrawTx = await contract.functions['withdraw(uint256)'](claimNum);
+        const { signature, args } = getWithdrawCall({ claimNum, claimId: claim.claimId, toAddress: withdrawAddress.address });
+        console.log('🔍 Withdraw call:', signature, args.map(String));
+        withdrawTx = await contract.functions[signature](...args);
         console.log('🔍 Withdraw transaction sent successfully:', withdrawTx.hash);
       } catch (withdrawErr) {
         console.log('🔍 Withdraw transaction failed:', withdrawErr.message);
@@ -407,7 +449,10 @@ const WithdrawClaim = ({ claim, onWithdrawSuccess, onClose }) => {
       toast.success(
         <div>
           <h3 className="text-success-400 font-medium">Withdrawal Successful</h3>
-          <p className="text-success-300 text-sm mt-1">Successfully withdrew claim #{displayClaimNumString}!</p>
+          <p className="text-success-300 text-sm mt-1">
+            Successfully withdrew claim #{displayClaimNumString}
+            {withdrawAddress.address ? ` for ${withdrawAddress.address.slice(0, 6)}...${withdrawAddress.address.slice(-4)}` : ''}!
+          </p>
         </div>,
         {
           duration: 6000,
@@ -477,7 +522,7 @@ const WithdrawClaim = ({ claim, onWithdrawSuccess, onClose }) => {
     } finally {
       console.log(`🏁 WithdrawClaim execution completed. Execution ID: ${executionId}, Global Key: ${globalKey}`);
     }
-  }, [signer, claim, lastClickTime, onWithdrawSuccess, displayClaimNumString]);
+  }, [signer, claim, lastClickTime, onWithdrawSuccess, displayClaimNumString, withdrawAddress, withdrawForOther]);
 
   const getWithdrawStatus = () => {
     if (claim.withdrawn) {
@@ -613,6 +658,74 @@ const WithdrawClaim = ({ claim, onWithdrawSuccess, onClose }) => {
             </div>
           </div>
 
+          {/* Withdrawal Recipient */}
+          <div className="bg-gray-700 rounded-lg p-4">
+            <label className="flex items-center gap-2 text-sm text-white cursor-pointer">
+              <input
+                type="checkbox"
+                checked={withdrawForOther}
+                onChange={(e) => setWithdrawForOther(e.target.checked)}
+                disabled={loading || isProcessing}
+              />
+              Withdraw on behalf of (address that staked)
+            </label>
+            {withdrawForOther && (
+              <div className="mt-3">
+                <input
+                  type="text"
+                  value={withdrawAddressInput}
+                  onChange={(e) => setWithdrawAddressInput(e.target.value)}
+                  placeholder="0x... (address that claimed or staked)"
+                  maxLength={42}
+                  disabled={loading || isProcessing}
+                  className="w-full bg-gray-800 border border-gray-600 rounded-lg px-3 py-2 text-sm text-white font-mono focus:outline-none focus:border-blue-500"
+                />
+                {withdrawAddress.error ? (
+                  <p className="text-red-400 text-xs mt-1">{withdrawAddress.error}</p>
+                ) : (
+                  <p className="text-gray-400 text-xs mt-1">
+                    Pays out this address's own claimed amount and winning stakes, always to this address. Your own winnings cannot be sent elsewhere. You only pay the gas.
+                  </p>
+                )}
+              </div>
+            )}
+
+            {preview && (
+              <div className="mt-3 pt-3 border-t border-gray-600 space-y-1 text-sm">
+                <div className="flex justify-between">
+                  <span className="text-gray-400">Paid to:</span>
+                  <span className="text-white font-mono">{payoutAddress?.slice(0, 6)}...{payoutAddress?.slice(-4)}</span>
+                </div>
+                {preview.error ? (
+                  <p className="text-yellow-400 text-xs">{preview.error}</p>
+                ) : preview.hasPayout ? (
+                  <>
+                    {preview.claimedAmount.gt(0) && (
+                      <div className="flex justify-between">
+                        <span className="text-gray-400">Claimed amount:</span>
+                        <span className="text-white">
+                          {formatPayout(preview.claimedAmount, claim.tokenDecimals, claim.tokenAddress)} {claim.tokenSymbol}
+                        </span>
+                      </div>
+                    )}
+                    {preview.stakePayout.gt(0) && (
+                      <div className="flex justify-between">
+                        <span className="text-gray-400">Stake and winnings:</span>
+                        <span className="text-white">
+                          {formatPayout(preview.stakePayout, claim.stakeTokenDecimals, claim.stakeTokenAddress)} {claim.stakeTokenSymbol}
+                        </span>
+                      </div>
+                    )}
+                  </>
+                ) : (
+                  <p className="text-yellow-400 text-xs">
+                    Nothing to withdraw for this address: it has no stake on the current outcome and is not the winning claimant.
+                  </p>
+                )}
+              </div>
+            )}
+          </div>
+
           {/* Error Display */}
           {error && (
             <div className="bg-red-900/20 border border-red-500/50 rounded-lg p-3">
@@ -637,7 +750,7 @@ const WithdrawClaim = ({ claim, onWithdrawSuccess, onClose }) => {
                             console.log('🔘 WithdrawClaim button clicked!');
                             handleWithdraw();
                           }}
-                          disabled={loading || isProcessing || claim.withdrawn || !isExpired}
+                          disabled={loading || isProcessing || (claim.withdrawn && !preview?.hasPayout) || !isExpired || Boolean(withdrawAddress.error) || (withdrawForOther && !withdrawAddress.address)}
                           className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors flex items-center justify-center gap-2"
                         >
               {loading || isProcessing ? (
@@ -652,7 +765,7 @@ const WithdrawClaim = ({ claim, onWithdrawSuccess, onClose }) => {
           </div>
 
           {/* Warning for non-withdrawable claims */}
-          {claim.withdrawn && (
+          {claim.withdrawn && !preview?.hasPayout && (
             <div className="bg-yellow-900/20 border border-yellow-500/50 rounded-lg p-3">
               <p className="text-yellow-400 text-sm">
                 This claim has already been withdrawn.
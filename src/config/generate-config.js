@@ -0,0 +1,151 @@
+/**
+ * networks.js Config Generator
+ *
+ * Runs registry discovery plus bridge, assistant and token detection for every configured
+ * network and writes the new entries as a patch to src/config/networks.js for review.
+ * New bridges get the bridgeId of their counterpart (or a fresh one shared by a new pair).
+ * Configured entries that disagree with the contracts are reported; the command exits
+ * with code 1 when there are any.
+ *
+ * Usage:
+ *   pnpm generate-config
+ *   git apply networks.patch
+ *
+ * Environment:
+ *   CONFIG_GEN_NETWORKS          Comma-separated network keys to check (default: all)
+ *   CONFIG_GEN_RPC_<NETWORK_KEY> RPC URL override, e.g. CONFIG_GEN_RPC_ETHEREUM=http://127.0.0.1:8545
+ *   CONFIG_GEN_RECORD            Record all RPC responses into this fixture file
+ *   CONFIG_GEN_FIXTURE           Replay a recorded fixture instead of using the network
+ *   CONFIG_GEN_OUT               Patch file to write (default: networks.patch)
+ *   CONFIG_GEN_WRITE=1           Apply the additions to networks.js directly
+ *
+ * Offline runs, e.g. in CI, replay a fixture recorded once from live nodes or a local chain:
+ *   CONFIG_GEN_RECORD=fixtures/networks.json pnpm generate-config
+ *   CONFIG_GEN_FIXTURE=fixtures/networks.json pnpm generate-config
+ */
+
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { NETWORKS } from './networks';
+import { setProvider } from '../utils/provider-manager';
+import { RecordingProvider, createFixture, createFixtureProviders } from '../utils/rpc-fixture';
+import { generateConfigChanges, buildNetworksPatch, countAdditions, CONFIG_SECTIONS } from '../utils/config-generator';
+
+// Relative to the repository root, where the package scripts run; the bundled script no longer sits next to it
+const NETWORKS_FILE = path.resolve('src/config/networks.js');
+
+// ANSI color codes for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  dim: '\x1b[2m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m',
+};
+
+function loadConfig() {
+  dotenv.config();
+  const env = process.env;
+
+  const networkKeys = env.CONFIG_GEN_NETWORKS
+    ? env.CONFIG_GEN_NETWORKS.split(',').map(key => key.trim().toUpperCase()).filter(Boolean)
+    : Object.keys(NETWORKS);
+  const unknown = networkKeys.filter(key => !NETWORKS[key]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown networks: ${unknown.join(', ')}`);
+  }
+  if (env.CONFIG_GEN_RECORD && env.CONFIG_GEN_FIXTURE) {
+    throw new Error('CONFIG_GEN_RECORD and CONFIG_GEN_FIXTURE cannot be used together');
+  }
+
+  return {
+    networkKeys,
+    rpc: Object.fromEntries(Object.keys(NETWORKS).map(key => [key, env[`CONFIG_GEN_RPC_${key}`] || NETWORKS[key].rpcUrl])),
+    recordPath: env.CONFIG_GEN_RECORD || null,
+    fixturePath: env.CONFIG_GEN_FIXTURE || null,
+    outPath: env.CONFIG_GEN_OUT || 'networks.patch',
+    write: !!env.CONFIG_GEN_WRITE,
+  };
+}
+
+function createProviders(config) {
+  // Providers for every network: the detectors also look up the other side of a bridge
+  // (e.g. token symbols) through the provider manager
+  let providers;
+  if (config.fixturePath) {
+    providers = createFixtureProviders(JSON.parse(fs.readFileSync(config.fixturePath, 'utf8')));
+    const missing = config.networkKeys.filter(key => !providers[key]);
+    if (missing.length > 0) {
+      throw new Error(`No recorded responses for ${missing.join(', ')} in ${config.fixturePath}`);
+    }
+  } else {
+    providers = Object.fromEntries(Object.keys(NETWORKS).map(key => [
+      key,
+      new RecordingProvider(config.rpc[key], { chainId: NETWORKS[key].id, name: NETWORKS[key].name }),
+    ]));
+  }
+
+  Object.entries(providers).forEach(([networkKey, provider]) => setProvider(networkKey, provider));
+  return providers;
+}
+
+function printReport({ additions, disagreements, errors }) {
+  console.log(`\n${colors.bright}${colors.cyan}networks.js vs on-chain state${colors.reset}\n`);
+
+  Object.entries(additions).forEach(([networkKey, sections]) => {
+    CONFIG_SECTIONS.forEach(section => {
+      Object.entries(sections[section]).forEach(([key, entry]) => {
+        const bridgeId = entry.bridgeId ? ` bridgeId ${entry.bridgeId}` : '';
+        console.log(`${colors.green}+ ${networkKey}.${section}.${key}${colors.reset} ${colors.dim}${entry.address}${bridgeId}${colors.reset}`);
+      });
+    });
+  });
+
+  disagreements.forEach(({ networkKey, section, key, address, field, configured, onChain, message }) => {
+    const details = field ? `${field}: configured ${configured}, on-chain ${onChain}` : message;
+    console.log(`${colors.red}✗ ${networkKey}.${section}.${key}${colors.reset} ${colors.dim}${address}${colors.reset} ${details}`);
+  });
+
+  errors.forEach(({ networkKey, address, message }) => {
+    console.log(`${colors.yellow}⚠ ${networkKey}${address ? ` ${address}` : ''}${colors.reset} ${message}`);
+  });
+
+  console.log(`\n${countAdditions(additions)} new entries, ${disagreements.length} disagreements, ${errors.length} errors`);
+}
+
+async function main() {
+  const config = loadConfig();
+  const providers = createProviders(config);
+
+  const changes = await generateConfigChanges(Object.fromEntries(config.networkKeys.map(key => [key, providers[key]])));
+  printReport(changes);
+
+  if (config.recordPath) {
+    fs.writeFileSync(config.recordPath, JSON.stringify(await createFixture(providers), null, 2));
+    console.log(`📼 Recorded RPC responses to ${config.recordPath}`);
+  }
+
+  const source = fs.readFileSync(NETWORKS_FILE, 'utf8');
+  const { source: updated, patch } = buildNetworksPatch(source, changes.additions);
+  if (!patch) {
+    console.log('✅ networks.js already contains every discovered entry');
+  } else if (config.write) {
+    fs.writeFileSync(NETWORKS_FILE, updated);
+    console.log(`✅ Updated ${NETWORKS_FILE}, review it with git diff`);
+  } else {
+    fs.writeFileSync(config.outPath, patch);
+    console.log(`✅ Wrote ${config.outPath}, review it and run: git apply ${config.outPath}`);
+  }
+
+  if (changes.disagreements.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
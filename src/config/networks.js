@@ -21,6 +21,7 @@
 // Native tokens addresses
 export const P3D_PRECOMPILE_ADDRESS = '0x0000000000000000000000000000000000000802'; // native token address on 3dpass
 export const ADDRESS_ZERO = '0x0000000000000000000000000000000000000000'; // native token address on most other networks
+export const BATCH_PRECOMPILE_ADDRESS = '0x0000000000000000000000000000000000000808'; // batch precompile on 3dpass
 
 // Networks configuration
 export const NETWORKS = {
@@ -264,6 +265,7 @@ export const NETWORKS = {
       bridgesRegistry: '0x9092Fe0755299C57dBC8AbB59678fCc004339a3b', // BridgesRegistry from deployment
       counterstakeFactory: '0x1bB031c2Fc2b93d98569e81877E9664Bfb32db43', // CounterstakeFactory from deployment
       assistantFactory: '0x51D7976F592724401e9DAE0dC75B126D889C9C9e', // AssistantFactory from deployment
+      batch: BATCH_PRECOMPILE_ADDRESS, // Batch precompile: several calls in one transaction
     },
     oracles: {
       ORACLE_1: {
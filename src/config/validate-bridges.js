@@ -4,27 +4,22 @@
  * Validates bridge configurations and outputs a formatted report similar to the CLI output format.
  * 
  * Usage:
- *   - In Node.js: node -r esbuild-register src/config/validate-bridges.js
+ *   - In Node.js: pnpm validate-bridges [--online] [--json]
  *   - Or import in a test: import { main } from './validate-bridges'
+ *
+ * Options:
+ *   --online   Also verify every bridge pair against its contracts: foreign_asset/home_asset
+ *              pairing, stake tokens, oracles, assistant bridges and token decimals.
+ *              Exits with code 1 when a check fails, e.g. for CI runs against a local fork.
+ *   --json     Print the report as JSON instead of the formatted output
+ *
+ * Environment (online mode):
+ *   VALIDATE_BRIDGES_RPC_<NETWORK_KEY>  RPC URL override, e.g. VALIDATE_BRIDGES_RPC_ETHEREUM=http://127.0.0.1:8545
  */
 
-// For Node.js execution, we'll use require (will be handled by build tools)
-// For React/import, use import
-let NETWORKS, getBridgeInstances, getAssistantContracts;
-
-try {
-  // Try ES modules first (for bundlers/build tools)
-  const networksModule = await import('./networks.js');
-  NETWORKS = networksModule.NETWORKS;
-  getBridgeInstances = networksModule.getBridgeInstances;
-  getAssistantContracts = networksModule.getAssistantContracts;
-} catch (e) {
-  // Fallback for Node.js with CommonJS
-  const networksModule = require('./networks');
-  NETWORKS = networksModule.NETWORKS;
-  getBridgeInstances = networksModule.getBridgeInstances;
-  getAssistantContracts = networksModule.getAssistantContracts;
-}
+import { ethers } from 'ethers';
+import { NETWORKS, getBridgeInstances, getAssistantContracts } from './networks';
+import { checkBridgeOnChain } from '../utils/bridge-consistency';
 
 // ANSI color codes for terminal output
 const colors = {
@@ -262,7 +257,75 @@ function printBridgeReport(bridgeData) {
   }
 }
 
-function main() {
+function parseArgs(argv) {
+  return {
+    online: argv.includes('--online'),
+    json: argv.includes('--json'),
+  };
+}
+
+async function runOnlineChecks(bridgeReports) {
+  const providers = {};
+  const getProvider = (networkKey) => {
+    if (!providers[networkKey]) {
+      const network = NETWORKS[networkKey];
+      const rpcUrl = process.env[`VALIDATE_BRIDGES_RPC_${networkKey}`] || network.rpcUrl;
+      providers[networkKey] = new ethers.providers.StaticJsonRpcProvider(rpcUrl, { chainId: network.id, name: network.name });
+    }
+    return providers[networkKey];
+  };
+
+  const results = [];
+  for (const bridgeData of bridgeReports) {
+    results.push(await checkBridgeOnChain(bridgeData, getProvider, NETWORKS));
+  }
+  return results;
+}
+
+function printOnlineReport(results, onlineSummary) {
+  console.log('\n' + '━'.repeat(80));
+  console.log(`${colors.bright}⛓️  ON-CHAIN CONSISTENCY${colors.reset}`);
+  console.log('━'.repeat(80));
+
+  results.forEach(result => {
+    const passed = result.status === 'pass';
+    const keys = [result.exportBridgeKey, result.importBridgeKey].filter(Boolean).join(' ↔ ');
+    console.log(`\n${passed ? colors.green + '✅' : colors.red + '❌'} BRIDGE #${result.bridgeId}${colors.reset} ${colors.dim}${keys}${colors.reset}`);
+    result.checks.filter(check => check.status !== 'pass').forEach(check => {
+      const details = check.message || `expected ${check.expected}, on-chain ${check.actual}`;
+      console.log(`   ${colors.red}✗ ${check.check}${colors.reset} ${check.subject}: ${details}`);
+    });
+  });
+
+  console.log(`\nBridges checked: ${onlineSummary.bridges}`);
+  console.log(`${colors.green}✅ Consistent: ${onlineSummary.passed}${colors.reset}`);
+  console.log(`${colors.red}❌ Inconsistent: ${onlineSummary.failed} (${onlineSummary.failedChecks} failed checks)${colors.reset}`);
+  console.log('');
+}
+
+function toJsonReport(bridgeReports, summary, onlineResults, onlineSummary) {
+  return {
+    generatedAt: new Date().toISOString(),
+    online: !!onlineResults,
+    summary,
+    ...(onlineSummary && { onlineSummary }),
+    bridges: bridgeReports.map(bridgeData => {
+      const online = onlineResults?.find(result => result.bridgeId === bridgeData.bridgeId);
+      return {
+        bridgeId: bridgeData.bridgeId,
+        exportBridgeKey: bridgeData.exportBridgeKey || null,
+        importBridgeKey: bridgeData.importBridgeKey || null,
+        exportBridge: bridgeData.exportBridge?.address || null,
+        importBridge: bridgeData.importBridge?.address || null,
+        status: bridgeData.status,
+        assistants: [...bridgeData.exportAssistants, ...bridgeData.importAssistants].map(({ key }) => key),
+        ...(online && { onChain: { status: online.status, checks: online.checks } }),
+      };
+    }),
+  };
+}
+
+async function main(options = parseArgs(process.argv.slice(2))) {
   const allBridges = getBridgeInstances();
   const allAssistants = getAssistantContracts();
   const allNetworks = Object.values(NETWORKS);
@@ -305,26 +368,49 @@ function main() {
   // Sort by bridge ID
   bridgeReports.sort((a, b) => a.bridgeId - b.bridgeId);
 
-  // Print all bridge reports
-  bridgeReports.forEach(bridgeData => {
-    printBridgeReport(bridgeData);
-  });
+  if (!options.json) {
+    // Print all bridge reports
+    bridgeReports.forEach(bridgeData => {
+      printBridgeReport(bridgeData);
+    });
 
-  // Print summary
-  console.log('\n' + '━'.repeat(80));
-  console.log(`${colors.bright}🌉 SUMMARY${colors.reset}`);
-  console.log('━'.repeat(80));
-  console.log(`\nTotal Bridges: ${summary.totalBridges}`);
-  console.log(`${colors.green}✅ Fully Operational: ${summary.fullyOperational}${colors.reset}`);
-  console.log(`${colors.yellow}⚠️  Import Only: ${summary.importOnly}${colors.reset}`);
-  console.log(`${colors.yellow}⚠️  Export Only: ${summary.exportOnly}${colors.reset}`);
-  console.log(`${colors.red}❌ Not Configured: ${summary.notConfigured}${colors.reset}`);
-  console.log('');
+    // Print summary
+    console.log('\n' + '━'.repeat(80));
+    console.log(`${colors.bright}🌉 SUMMARY${colors.reset}`);
+    console.log('━'.repeat(80));
+    console.log(`\nTotal Bridges: ${summary.totalBridges}`);
+    console.log(`${colors.green}✅ Fully Operational: ${summary.fullyOperational}${colors.reset}`);
+    console.log(`${colors.yellow}⚠️  Import Only: ${summary.importOnly}${colors.reset}`);
+    console.log(`${colors.yellow}⚠️  Export Only: ${summary.exportOnly}${colors.reset}`);
+    console.log(`${colors.red}❌ Not Configured: ${summary.notConfigured}${colors.reset}`);
+    console.log('');
+  }
+
+  let onlineResults = null;
+  let onlineSummary = null;
+  if (options.online) {
+    const { summarizeConsistency } = await import('../utils/bridge-consistency.js');
+    onlineResults = await runOnlineChecks(bridgeReports);
+    onlineSummary = summarizeConsistency(onlineResults);
+    if (!options.json) {
+      printOnlineReport(onlineResults, onlineSummary);
+    }
+    if (onlineSummary.failed > 0) {
+      process.exitCode = 1;
+    }
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(toJsonReport(bridgeReports, summary, onlineResults, onlineSummary), null, 2));
+  }
 }
 
 // Run if executed directly
 if (require.main === module) {
-  main();
+  main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
 }
 
 // Export for use in tests or other modules
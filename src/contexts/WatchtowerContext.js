@@ -0,0 +1,383 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
+import { ethers } from 'ethers';
+import toast from 'react-hot-toast';
+import { useWeb3 } from './Web3Context';
+import { useSettings } from './SettingsContext';
+import { useNetworkSwitcher } from '../hooks/useNetworkSwitcher';
+import { handleTransactionError } from '../utils/error-handler';
+import {
+  CONFIRMATION_POLICIES,
+  WATCHTOWER_DECISIONS,
+  getWatchtowerSettings,
+  saveWatchtowerSettings,
+  getWatchtowerState,
+  saveWatchtowerState,
+  getWatchtowerLog,
+  appendWatchtowerLog,
+  clearWatchtowerLog,
+  getClaimKey,
+  getClaimNumber,
+  isTerminalDecision,
+  evaluateSuspiciousClaim,
+  checkBudget,
+  getCommittedStake,
+  scanWatchedBridges,
+  fetchWatchtowerClaimDetails,
+  getChallengeStake,
+  sendWatchtowerChallenge,
+} from '../utils/watchtower';
+
+const WatchtowerContext = createContext();
+
+export const useWatchtower = () => {
+  const context = useContext(WatchtowerContext);
+  if (!context) {
+    throw new Error('useWatchtower must be used within a WatchtowerProvider');
+  }
+  return context;
+};
+
+/**
+ * Runs the watchtower polling loop while it is enabled, independently of the active tab
+ */
+export const WatchtowerProvider = ({ children }) => {
+  const { signer } = useWeb3();
+  const { getAllNetworksWithSettings, getBridgeInstancesWithSettings } = useSettings();
+  const { getRequiredNetworkForBridge, checkAndSwitchNetwork } = useNetworkSwitcher();
+
+  const [settings, setSettings] = useState(getWatchtowerSettings);
+  // A challenge interrupted by a reload is re-evaluated on the next scan before being sent again
+  const [state, setState] = useState(() => {
+    const stored = getWatchtowerState();
+    return {
+      ...stored,
+      queue: stored.queue.map(item => (item.status === 'sending' ? { ...item, status: 'queued' } : item)),
+    };
+  });
+  const [log, setLog] = useState(getWatchtowerLog);
+  const [isScanning, setIsScanning] = useState(false);
+  const [isSending, setIsSending] = useState(false);
+  const [lastScan, setLastScan] = useState(null);
+
+  // Refs keep the polling loop on the latest values without restarting the interval
+  const settingsRef = useRef(settings);
+  const stateRef = useRef(state);
+  const scanningRef = useRef(false);
+  const sendingRef = useRef(false);
+
+  const commitState = useCallback((nextState) => {
+    stateRef.current = nextState;
+    saveWatchtowerState(nextState);
+    setState(nextState);
+  }, []);
+
+  const updateSettings = useCallback((patch) => {
+    const nextSettings = { ...settingsRef.current, ...patch };
+    settingsRef.current = nextSettings;
+    saveWatchtowerSettings(nextSettings);
+    setSettings(nextSettings);
+  }, []);
+
+  // Log a decision and remember it for the claim so it is not repeated on the next poll
+  const recordDecision = useCallback((entry) => {
+    appendWatchtowerLog(entry);
+    setLog(getWatchtowerLog());
+
+    const key = getClaimKey(entry.bridgeAddress, entry.claimNum);
+    commitState({
+      ...stateRef.current,
+      claims: { ...stateRef.current.claims, [key]: { decision: entry.decision, reason: entry.reason } },
+    });
+  }, [commitState]);
+
+  const updateQueue = useCallback((updater) => {
+    commitState({ ...stateRef.current, queue: updater(stateRef.current.queue) });
+  }, [commitState]);
+
+  const handleSuspiciousClaim = useCallback(async ({ claim, details, provider, now, scanStartTs, stakeTokenSymbol }) => {
+    const claimNum = getClaimNumber(claim);
+    const key = getClaimKey(claim.bridgeAddress, claimNum);
+    const claimState = stateRef.current.claims[key];
+    const queued = stateRef.current.queue.find(item => item.key === key);
+    const baseEntry = { bridgeAddress: claim.bridgeAddress, networkKey: claim.networkKey, claimNum };
+
+    const evaluation = evaluateSuspiciousClaim({ claim, details, now, scanStartTs });
+    if (evaluation.action === 'skip') {
+      if (queued) updateQueue(queue => queue.filter(item => item.key !== key));
+      if (claimState?.reason !== evaluation.reason) {
+        recordDecision({ ...baseEntry, decision: WATCHTOWER_DECISIONS.SKIPPED, reason: evaluation.reason });
+      }
+      return;
+    }
+
+    if (queued) return;
+
+    const { stake, stakeTokenAddress, stakeDecimals } = await getChallengeStake(provider, claim.bridgeAddress, claimNum);
+    const bridgeKey = claim.bridgeAddress.toLowerCase();
+    const budget = settingsRef.current.bridgeBudgets[bridgeKey];
+    const { allowed } = checkBudget({ budget, spent: getCommittedStake(stateRef.current, claim.bridgeAddress), stake });
+    const stakeInfo = { stake: stake.toString(), stakeTokenAddress, stakeDecimals, stakeTokenSymbol };
+
+    if (!allowed) {
+      const reason = budget ? 'budget_exceeded' : 'no_budget';
+      if (claimState?.reason !== reason) {
+        recordDecision({ ...baseEntry, ...stakeInfo, decision: WATCHTOWER_DECISIONS.SKIPPED, reason });
+      }
+      return;
+    }
+
+    updateQueue(queue => [...queue, {
+      ...baseEntry,
+      ...stakeInfo,
+      key,
+      reason: evaluation.reason,
+      amount: claim.amount?.toString(),
+      expiryTs: Number(details.expiry_ts),
+      queuedAt: Date.now(),
+      status: 'queued',
+    }]);
+    recordDecision({ ...baseEntry, ...stakeInfo, decision: WATCHTOWER_DECISIONS.CHALLENGE_QUEUED, reason: evaluation.reason });
+
+    if (settingsRef.current.confirmationPolicy === CONFIRMATION_POLICIES.NOTIFY) {
+      toast(`Watchtower: suspicious claim #${claimNum} is waiting for your challenge`, { icon: '🚨', duration: 8000 });
+    }
+  }, [recordDecision, updateQueue]);
+
+  const sendChallenge = useCallback(async (key) => {
+    const item = stateRef.current.queue.find(queued => queued.key === key);
+    if (!item) return false;
+
+    if (!signer) {
+      toast.error('Connect your wallet to send watchtower challenges');
+      return false;
+    }
+
+    const switchSuccess = await checkAndSwitchNetwork(getRequiredNetworkForBridge(item.bridgeAddress));
+    if (!switchSuccess) return false;
+
+    updateQueue(queue => queue.map(queued => (queued.key === key ? { ...queued, status: 'sending', error: null } : queued)));
+
+    try {
+      const receipt = await sendWatchtowerChallenge(signer, item);
+      const bridgeKey = item.bridgeAddress.toLowerCase();
+      commitState({
+        ...stateRef.current,
+        queue: stateRef.current.queue.filter(queued => queued.key !== key),
+        spent: {
+          ...stateRef.current.spent,
+          [bridgeKey]: ethers.BigNumber.from(stateRef.current.spent[bridgeKey] || 0).add(item.stake).toString(),
+        },
+      });
+      recordDecision({
+        bridgeAddress: item.bridgeAddress,
+        networkKey: item.networkKey,
+        claimNum: item.claimNum,
+        stake: item.stake,
+        stakeTokenAddress: item.stakeTokenAddress,
+        stakeDecimals: item.stakeDecimals,
+        stakeTokenSymbol: item.stakeTokenSymbol,
+        txHash: receipt.transactionHash,
+        decision: WATCHTOWER_DECISIONS.CHALLENGE_SENT,
+        reason: item.reason,
+      });
+      toast.success(`Watchtower challenged claim #${item.claimNum}`);
+      return true;
+    } catch (error) {
+      const parsedError = handleTransactionError(error, { messagePrefix: 'Watchtower challenge failed: ' });
+      updateQueue(queue => queue.map(queued => (queued.key === key ? { ...queued, status: 'failed', error: parsedError.message } : queued)));
+      appendWatchtowerLog({
+        bridgeAddress: item.bridgeAddress,
+        networkKey: item.networkKey,
+        claimNum: item.claimNum,
+        decision: WATCHTOWER_DECISIONS.CHALLENGE_FAILED,
+        reason: parsedError.message,
+      });
+      setLog(getWatchtowerLog());
+      return false;
+    }
+  }, [signer, checkAndSwitchNetwork, getRequiredNetworkForBridge, updateQueue, commitState, recordDecision]);
+
+  // Failed challenges are left for the user to retry, so auto mode never re-prompts the wallet in a loop
+  const sendAllQueued = useCallback(async () => {
+    if (sendingRef.current) return;
+    if (!signer) {
+      console.warn('⚠️ Watchtower: wallet not connected, queued challenges are waiting');
+      return;
+    }
+
+    sendingRef.current = true;
+    setIsSending(true);
+    try {
+      const pending = stateRef.current.queue.filter(item => item.status === 'queued');
+      for (const item of pending) {
+        await sendChallenge(item.key);
+      }
+    } finally {
+      sendingRef.current = false;
+      setIsSending(false);
+    }
+  }, [sendChallenge, signer]);
+
+  const dismissChallenge = useCallback((key) => {
+    const item = stateRef.current.queue.find(queued => queued.key === key);
+    if (!item) return;
+    updateQueue(queue => queue.filter(queued => queued.key !== key));
+    recordDecision({
+      bridgeAddress: item.bridgeAddress,
+      networkKey: item.networkKey,
+      claimNum: item.claimNum,
+      decision: WATCHTOWER_DECISIONS.DISMISSED,
+      reason: 'dismissed_by_user',
+    });
+  }, [updateQueue, recordDecision]);
+
+  const runScan = useCallback(async () => {
+    const currentSettings = settingsRef.current;
+    if (scanningRef.current || currentSettings.watchedBridges.length === 0) return;
+
+    scanningRef.current = true;
+    setIsScanning(true);
+    console.log('🔍 Watchtower: scanning', currentSettings.watchedBridges.length, 'bridges');
+
+    try {
+      const networks = getAllNetworksWithSettings();
+      const allBridges = getBridgeInstancesWithSettings();
+      const now = Math.floor(Date.now() / 1000);
+
+      // Drop queued challenges whose challenging period ended before they were sent
+      stateRef.current.queue
+        .filter(item => now > item.expiryTs)
+        .forEach(item => {
+          updateQueue(queue => queue.filter(queued => queued.key !== item.key));
+          recordDecision({
+            bridgeAddress: item.bridgeAddress,
+            networkKey: item.networkKey,
+            claimNum: item.claimNum,
+            decision: WATCHTOWER_DECISIONS.SKIPPED,
+            reason: 'challenging_period_over',
+          });
+        });
+
+      const result = await scanWatchedBridges({
+        watchedBridges: currentSettings.watchedBridges,
+        allBridges,
+        networks,
+        rangeHours: currentSettings.rangeHours,
+      });
+
+      result.validClaims.forEach(claim => {
+        const claimNum = getClaimNumber(claim);
+        if (isTerminalDecision(stateRef.current.claims[getClaimKey(claim.bridgeAddress, claimNum)])) return;
+        recordDecision({
+          bridgeAddress: claim.bridgeAddress,
+          networkKey: claim.networkKey,
+          claimNum,
+          decision: WATCHTOWER_DECISIONS.VALID,
+          reason: 'matching_transfer',
+        });
+      });
+
+      const claimsByBridge = result.suspiciousClaims
+        .filter(claim => !isTerminalDecision(stateRef.current.claims[getClaimKey(claim.bridgeAddress, getClaimNumber(claim))]))
+        .reduce((groups, claim) => {
+          const bridgeKey = claim.bridgeAddress.toLowerCase();
+          groups[bridgeKey] = [...(groups[bridgeKey] || []), claim];
+          return groups;
+        }, {});
+
+      for (const claims of Object.values(claimsByBridge)) {
+        const { bridgeAddress, networkKey } = claims[0];
+        const networkConfig = networks[networkKey];
+        if (!networkConfig?.rpcUrl) {
+          console.warn(`⚠️ Watchtower: no RPC configured for ${networkKey}, skipping ${bridgeAddress}`);
+          continue;
+        }
+
+        const provider = new ethers.providers.JsonRpcProvider(networkConfig.rpcUrl);
+        const details = await fetchWatchtowerClaimDetails(provider, bridgeAddress, claims.map(getClaimNumber));
+        const bridgeConfig = Object.values(allBridges).find(bridge => bridge.address?.toLowerCase() === bridgeAddress.toLowerCase());
+
+        for (let i = 0; i < claims.length; i++) {
+          try {
+            await handleSuspiciousClaim({
+              claim: claims[i],
+              details: details[i],
+              provider,
+              now,
+              scanStartTs: result.scanStartTs,
+              stakeTokenSymbol: bridgeConfig?.stakeTokenSymbol,
+            });
+          } catch (error) {
+            console.error(`❌ Watchtower: failed to handle claim #${getClaimNumber(claims[i])}:`, error);
+          }
+        }
+      }
+
+      setLastScan({
+        timestamp: Date.now(),
+        validClaims: result.validClaims.length,
+        suspiciousClaims: result.suspiciousClaims.length,
+        errors: result.errors,
+      });
+      console.log('✅ Watchtower: scan complete');
+    } catch (error) {
+      console.error('❌ Watchtower scan failed:', error);
+      setLastScan({ timestamp: Date.now(), validClaims: 0, suspiciousClaims: 0, errors: [{ error: error.message }] });
+    } finally {
+      scanningRef.current = false;
+      setIsScanning(false);
+    }
+
+    if (settingsRef.current.confirmationPolicy === CONFIRMATION_POLICIES.AUTO) {
+      await sendAllQueued();
+    }
+  }, [getAllNetworksWithSettings, getBridgeInstancesWithSettings, updateQueue, recordDecision, handleSuspiciousClaim, sendAllQueued]);
+
+  const runScanRef = useRef(runScan);
+  useEffect(() => {
+    runScanRef.current = runScan;
+  }, [runScan]);
+
+  // Poll while enabled; the first scan runs right away
+  useEffect(() => {
+    if (!settings.enabled) return undefined;
+
+    runScanRef.current();
+    const interval = setInterval(() => runScanRef.current(), Math.max(1, settings.pollIntervalMinutes) * 60 * 1000);
+    return () => clearInterval(interval);
+  }, [settings.enabled, settings.pollIntervalMinutes]);
+
+  const resetSpent = useCallback((bridgeAddress) => {
+    const spent = { ...stateRef.current.spent };
+    delete spent[bridgeAddress.toLowerCase()];
+    commitState({ ...stateRef.current, spent });
+  }, [commitState]);
+
+  const clearLog = useCallback(() => {
+    clearWatchtowerLog();
+    setLog([]);
+  }, []);
+
+  const value = {
+    settings,
+    queue: state.queue,
+    spent: state.spent,
+    log,
+    isScanning,
+    isSending,
+    lastScan,
+    updateSettings,
+    runScan,
+    sendChallenge,
+    sendAllQueued,
+    dismissChallenge,
+    resetSpent,
+    clearLog,
+  };
+
+  return (
+    <WatchtowerContext.Provider value={value}>
+      {children}
+    </WatchtowerContext.Provider>
+  );
+};
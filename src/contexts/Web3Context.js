@@ -1,8 +1,19 @@
-import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
 import { ethers } from 'ethers';
 import {
   connectWallet,
 } from '../utils/web3';
+import {
+  WALLET_TYPES,
+  discoverInjectedWallets,
+  getWalletOptions,
+  isWalletConnectEnabled,
+  connectWalletConnect,
+  getSavedWallet,
+  saveWallet,
+  getWalletProvider,
+  setWalletProvider,
+} from '../utils/wallet-providers';
 import { getNetworkById, NETWORKS } from '../config/networks';
 
 const Web3Context = createContext();
@@ -25,6 +36,21 @@ export const Web3Provider = ({ children }) => {
   const [isConnected, setIsConnected] = useState(false);
   const [error, setError] = useState(null);
   const [settings, setSettings] = useState({});
+  // Wallets announced through EIP-6963, the connected wallet and its EIP-1193 provider
+  const [discoveredWallets, setDiscoveredWallets] = useState([]);
+  const [wallet, setWallet] = useState(null);
+  const [walletProvider, setWalletProviderState] = useState(null);
+  const [lastWalletId, setLastWalletId] = useState(() => getSavedWallet()?.id || null);
+
+  // Collect the injected wallets as they announce themselves
+  useEffect(() => discoverInjectedWallets(setDiscoveredWallets), []);
+
+  // Wallet choices for the picker, the last used wallet first
+  const walletOptions = useMemo(() => getWalletOptions(discoveredWallets, {
+    ethereum: window.ethereum,
+    walletConnectEnabled: isWalletConnectEnabled(),
+    lastWalletId,
+  }), [discoveredWallets, lastWalletId]);
 
   // Load settings from localStorage
   const loadSettings = useCallback(() => {
@@ -132,27 +158,34 @@ export const Web3Provider = ({ children }) => {
     return network || detectedNetwork;
   }, [network, detectedNetwork]);
 
-  // Initialize Web3 connection
-  const connect = async () => {
+  // Initialize Web3 connection with the chosen wallet (default: the last used one), resolves to whether it succeeded
+  const connect = async (walletOption) => {
     setIsConnecting(true);
     setError(null);
     
     try {
-      // Check if MetaMask is available
-      if (!window.ethereum) {
-        throw new Error('MetaMask is not installed. Please install MetaMask to use this app.');
-      }
-      
-      if (!window.ethereum.isMetaMask) {
-        throw new Error('Please use MetaMask to connect to this app.');
+      const selectedWallet = walletOption || walletOptions.find(option => option.isLastUsed) || walletOptions[0];
+      if (!selectedWallet) {
+        throw new Error('No wallet found. Please install a browser wallet or use WalletConnect.');
       }
       
       // Load settings first
       loadSettings();
       
-      const { account: connectedAccount, provider: connectedProvider } = await connectWallet();
+      const ethereum = selectedWallet.type === WALLET_TYPES.WALLETCONNECT
+        ? await connectWalletConnect(Object.keys(NETWORKS).map(networkKey => getNetworkWithSettings(networkKey)))
+        : selectedWallet.provider;
+      
+      const { account: connectedAccount, provider: connectedProvider } = await connectWallet(ethereum);
       const connectedSigner = connectedProvider.getSigner();
       
+      // Route chain checks and switches through this wallet
+      setWalletProvider(ethereum);
+      setWalletProviderState(ethereum);
+      setWallet({ id: selectedWallet.id, type: selectedWallet.type, name: selectedWallet.name, icon: selectedWallet.icon });
+      saveWallet(selectedWallet);
+      setLastWalletId(selectedWallet.id);
+      
       // Get network from context first, then provider
       let currentNetwork = await getCurrentNetwork();
       if (!currentNetwork) {
@@ -168,11 +201,13 @@ export const Web3Provider = ({ children }) => {
       
       // Don't store connection state - connection should be manual only
       // localStorage.setItem('web3Connected', 'true');
+      return true;
       
     } catch (err) {
       console.error('Connection error:', err);
       setError(err.message);
       setIsConnected(false);
+      return false;
       // Don't clear connection state - connection should be manual only
       // localStorage.removeItem('web3Connected');
     } finally {
@@ -182,6 +217,13 @@ export const Web3Provider = ({ children }) => {
 
   // Disconnect wallet - define this first to avoid circular dependency
   const disconnect = useCallback(() => {
+    // Injected wallets stay authorized, a WalletConnect session has to be closed
+    if (wallet?.type === WALLET_TYPES.WALLETCONNECT && walletProvider?.disconnect) {
+      walletProvider.disconnect().catch(err => console.warn('Failed to close WalletConnect session:', err));
+    }
+    setWalletProvider(null);
+    setWalletProviderState(null);
+    setWallet(null);
     setAccount(null);
     setProvider(null);
     setSigner(null);
@@ -192,7 +234,7 @@ export const Web3Provider = ({ children }) => {
     
     // Don't clear connection state - connection should be manual only
     // localStorage.removeItem('web3Connected');
-  }, []);
+  }, [wallet, walletProvider]);
 
   // Handle account changes - define this before the useEffect that uses it
   const handleAccountsChanged = useCallback(async (accounts) => {
@@ -200,7 +242,7 @@ export const Web3Provider = ({ children }) => {
     if (!isConnected) return;
     
     if (accounts.length === 0) {
-      // MetaMask is locked or the user has not connected any accounts
+      // The wallet is locked or the user has not connected any accounts
       disconnect();
     } else if (accounts[0] !== account) {
       // Update the account
@@ -210,13 +252,13 @@ export const Web3Provider = ({ children }) => {
 
   // Monitor network changes only when connected
   useEffect(() => {
-    if (!provider || !isConnected || !window.ethereum || !window.ethereum.isMetaMask) return;
+    if (!provider || !isConnected || !walletProvider?.on) return;
 
     const handleChainChangedFromProvider = async (chainId) => {
       console.log('🔍 Chain changed:', chainId);
       try {
         // Recreate provider and signer when network changes to avoid NETWORK_ERROR
-        const newProvider = new ethers.providers.Web3Provider(window.ethereum);
+        const newProvider = new ethers.providers.Web3Provider(walletProvider);
         const newSigner = newProvider.getSigner();
         
         // Update provider and signer first
@@ -236,14 +278,17 @@ export const Web3Provider = ({ children }) => {
       }
     };
 
-    window.ethereum.on('chainChanged', handleChainChangedFromProvider);
-    window.ethereum.on('accountsChanged', handleAccountsChanged);
+    walletProvider.on('chainChanged', handleChainChangedFromProvider);
+    walletProvider.on('accountsChanged', handleAccountsChanged);
+    // Sent by WalletConnect when the session is closed from the wallet
+    walletProvider.on('disconnect', disconnect);
 
     return () => {
-      window.ethereum.removeListener('chainChanged', handleChainChangedFromProvider);
-      window.ethereum.removeListener('accountsChanged', handleAccountsChanged);
+      walletProvider.removeListener('chainChanged', handleChainChangedFromProvider);
+      walletProvider.removeListener('accountsChanged', handleAccountsChanged);
+      walletProvider.removeListener('disconnect', disconnect);
     };
-  }, [provider, isConnected, getCurrentNetworkFromProvider, handleAccountsChanged]);
+  }, [provider, isConnected, walletProvider, getCurrentNetworkFromProvider, handleAccountsChanged, disconnect]);
 
   // Handle network changes - consolidated in the network monitoring useEffect above
   // const handleChainChanged = useCallback(async (chainId) => {
@@ -281,13 +326,15 @@ export const Web3Provider = ({ children }) => {
 
   // Switch network
   const switchNetwork = async (networkId) => {
-    if (!window.ethereum || !window.ethereum.isMetaMask) {
-      setError('MetaMask is not installed or not available');
+    // Read from the module so callbacks created before connecting still reach the chosen wallet
+    const ethereum = getWalletProvider();
+    if (!ethereum) {
+      setError('No wallet is connected');
       return false;
     }
 
     try {
-      await window.ethereum.request({
+      await ethereum.request({
         method: 'wallet_switchEthereumChain',
         params: [{ chainId: `0x${networkId.toString(16)}` }],
       });
@@ -298,7 +345,7 @@ export const Web3Provider = ({ children }) => {
       return true;
       
     } catch (switchError) {
-      // This error code indicates that the chain has not been added to MetaMask
+      // This error code indicates that the chain has not been added to the wallet
       if (switchError.code === 4902) {
         const targetNetwork = getNetworkById(networkId);
         if (!targetNetwork) {
@@ -307,7 +354,7 @@ export const Web3Provider = ({ children }) => {
         }
 
         try {
-          await window.ethereum.request({
+          await ethereum.request({
             method: 'wallet_addEthereumChain',
             params: [{
               chainId: `0x${networkId.toString(16)}`,
@@ -323,7 +370,7 @@ export const Web3Provider = ({ children }) => {
           return true;
           
         } catch (addError) {
-          setError('Failed to add network to MetaMask');
+          setError('Failed to add network to the wallet');
           return false;
         }
       } else {
@@ -387,6 +434,8 @@ export const Web3Provider = ({ children }) => {
     provider,
     signer,
     network: network || detectedNetwork, // Use state directly for reactivity
+    wallet,
+    walletOptions,
     isConnecting,
     isConnected,
     error,
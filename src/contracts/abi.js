@@ -388,18 +388,20 @@ export const GOVERNANCE_ABI = [
   "event VotedValueRemoved(string name, address votedValueAddress)",
   
   // View functions
-  "function votedValues(string name) view returns (address)",
-  "function getVotedValues() view returns (string[] names, address[] addresses)",
-  "function balanceOf(address account) view returns (uint)",
-  "function totalSupply() view returns (uint)",
+  "function governance_challenging_period() view returns (uint)",
+  "function governance_freeze_period() view returns (uint)",
+  "function votingTokenAddress() view returns (address)",
+  "function governedContractAddress() view returns (address)",
+  "function balances(address) view returns (uint)",
+  "function votedValues(uint) view returns (address)",
+  "function votedValuesMap(string) view returns (address)",
   "function addressBelongsToGovernance(address addr) view returns (bool)",
   "function isUntiedFromAllVotes(address addr) view returns (bool)",
   
   // State changing functions
   "function init(address _governedContractAddress, address _votingTokenAddress)",
   "function addVotedValue(string name, address votedValueAddress)",
-  "function removeVotedValue(string name)",
-  "function deposit() payable",
+  "function deposit(uint amount) payable",
   "function deposit(address from, uint amount) payable",
   "function withdraw()",
   "function withdraw(uint amount)",
@@ -418,6 +420,8 @@ export const VOTED_VALUE_UINT_ABI = [
   "function votesByValue(uint) view returns (uint)",
   "function votesByValueAddress(uint, address) view returns (uint)",
   "function governance() view returns (address)",
+  "function hasVote(address) view returns (bool)",
+  "function challenging_period_start_ts() view returns (uint)",
   
   // State changing functions
   "function init(Governance _governance, uint initial_value, function(uint) external _validationCallback, function(uint) external _commitCallback)",
@@ -440,6 +444,8 @@ export const VOTED_VALUE_ADDRESS_ABI = [
   "function votesByValue(address) view returns (uint)",
   "function votesByValueAddress(address, address) view returns (uint)",
   "function governance() view returns (address)",
+  "function hasVote(address) view returns (bool)",
+  "function challenging_period_start_ts() view returns (uint)",
   
   // State changing functions
   "function init(Governance _governance, address initial_value, function(address) external _validationCallback, function(address) external _commitCallback)",
@@ -456,12 +462,15 @@ export const VOTED_VALUE_UINT_ARRAY_ABI = [
   "event Unvote(address indexed who, uint[] value, uint votes)",
   "event Commit(address indexed who, uint[] value)",
   
-  // View functions
-  "function leader() view returns (uint[])",
-  "function current_value() view returns (uint[])",
-  "function choices(address) view returns (uint[])",
+  // View functions (public uint[] getters take an element index)
+  "function leader(uint) view returns (uint)",
+  "function current_value(uint) view returns (uint)",
+  "function choices(address, uint) view returns (uint)",
   "function votesByValue(bytes32) view returns (uint)",
   "function votesByValueAddress(bytes32, address) view returns (uint)",
+  "function governance() view returns (address)",
+  "function hasVote(address) view returns (bool)",
+  "function challenging_period_start_ts() view returns (uint)",
   "function equal(uint[] a1, uint[] a2) pure returns (bool)",
   "function getKey(uint[] a) pure returns (bytes32)",
   
@@ -476,6 +485,7 @@ export const VOTED_VALUE_UINT_ARRAY_ABI = [
 export const ORACLE_ABI = [
   // View functions
   "function getPrice(string asset1, string asset2) view returns (uint num, uint den)",
+  "function owner() view returns (address)",
   
   // State changing functions
   "function setPrice(string asset1, string asset2, uint num, uint den)",
@@ -563,6 +573,7 @@ export const COUNTERSTAKE_ABI = [
   "function settings() view returns (address tokenAddress, uint16 ratio100, uint16 counterstake_coef100, uint32 min_tx_age, uint min_stake, uint large_threshold)",
   "function last_claim_num() view returns (uint64)",
   "function getOngoingClaimNums() view returns (uint64[])",
+  "function claim_nums(string claim_id) view returns (uint)",
   "function stakes(uint claim_num, uint8 outcome, address account) view returns (uint)",
   "function getClaim(uint claim_num) view returns (tuple(uint amount, address payable recipient_address, uint32 txts, uint32 ts, address payable claimant_address, uint32 expiry_ts, uint16 period_number, uint8 current_outcome, bool is_large, bool withdrawn, bool finished, string sender_address, string data, uint yes_stake, uint no_stake))",
   "function getClaim(string claim_id) view returns (tuple(uint amount, address payable recipient_address, uint32 txts, uint32 ts, address payable claimant_address, uint32 expiry_ts, uint16 period_number, uint8 current_outcome, bool is_large, bool withdrawn, bool finished, string sender_address, string data, uint yes_stake, uint no_stake))",
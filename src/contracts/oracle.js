@@ -0,0 +1,144 @@
+// Oracle contract ABI (complete ABI for deployment and interaction)
+export const ORACLE_DEPLOYMENT_ABI = [
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "previousOwner",
+        "type": "address"
+      },
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "newOwner",
+        "type": "address"
+      }
+    ],
+    "name": "OwnershipTransferred",
+    "type": "event"
+  },
+  {
+    "inputs": [],
+    "name": "owner",
+    "outputs": [
+      {
+        "internalType": "address",
+        "name": "",
+        "type": "address"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "string",
+        "name": "",
+        "type": "string"
+      },
+      {
+        "internalType": "string",
+        "name": "",
+        "type": "string"
+      }
+    ],
+    "name": "prices",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "num",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "den",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "renounceOwnership",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "newOwner",
+        "type": "address"
+      }
+    ],
+    "name": "transferOwnership",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "string",
+        "name": "base",
+        "type": "string"
+      },
+      {
+        "internalType": "string",
+        "name": "quote",
+        "type": "string"
+      }
+    ],
+    "name": "getPrice",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "num",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "den",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "string",
+        "name": "base",
+        "type": "string"
+      },
+      {
+        "internalType": "string",
+        "name": "quote",
+        "type": "string"
+      },
+      {
+        "internalType": "uint256",
+        "name": "num",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "den",
+        "type": "uint256"
+      }
+    ],
+    "name": "setPrice",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  }
+];
+
+// Oracle contract bytecode (from the compiled contract)
+export const ORACLE_BYTECODE = "0x6080806040523461005b5760008054336001600160a01b0319821681178355916001600160a01b03909116907f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e09084a361062e90816100618239f35b600080fdfe60806040526004361015610013575b600080fd5b6000803560e01c9081633d0f34da146101885781633edcd46c1461008557508063402b44301461007c578063715018a6146100735780638da5cb5b1461006a5763f2fde38b1461006257600080fd5b61000e610405565b5061000e6103db565b5061000e61038e565b5061000e610341565b34610185576080366003190112610185576001600160401b03600435818111610181576100b6903690600401610222565b90602435908111610181576100cf903690600401610222565b60443590606435926100df610497565b6101006040516020816100f281876102cc565b600181520301902082610324565b80541590811591610173575b5061014e57906101326101389261014995610125610213565b9586526020860152610307565b90610324565b906020600191805184550151910155565b604051f35b61013261013892610149959460405195610167876101c8565b86526020860152610307565b60019150015415158661010c565b8280fd5b80fd5b346101855761019f61019936610286565b90610529565b60408051928352602083019190915290f35b50634e487b7160e01b600052604160045260246000fd5b604081019081106001600160401b038211176101e357604052565b6101eb6101b1565b604052565b601f909101601f19168101906001600160401b038211908210176101e357604052565b60405190610220826101c8565b565b81601f8201121561000e578035906001600160401b038211610279575b60405192610257601f8401601f1916602001856101f0565b8284526020838301011161000e57816000926020809301838601378301015290565b6102816101b1565b61023f565b90604060031983011261000e576001600160401b0360043581811161000e57836102b291600401610222565b9260243591821161000e576102c991600401610222565b90565b90815180926000905b8282106102f05750116102e6570190565b6000828201520190565b9150806020809284010151818501520183916102d5565b602061031991604051928380926102cc565b600181520301902090565b60209061033792604051938480936102cc565b9081520301902090565b503461000e57610374602061036661035836610286565b9290604051928380926102cc565b600181520301902090610324565b805460019091015460408051928352602083019190915290f35b503461000e57600080600319360112610185576103a9610497565b80546001600160a01b0319811682556040519082906001600160a01b03166000805160206105d98339815191528284a3f35b503461000e57600036600319011261000e576000546040516001600160a01b039091168152602090f35b503461000e57602036600319011261000e576004356001600160a01b03811680820361000e57610433610497565b1561044357610441906104ef565b005b60405162461bcd60e51b815260206004820152602660248201527f4f776e61626c653a206e6577206f776e657220697320746865207a65726f206160448201526564647265737360d01b6064820152608490fd5b6000546001600160a01b031633036104ab57565b606460405162461bcd60e51b815260206004820152602060248201527f4f776e61626c653a2063616c6c6572206973206e6f7420746865206f776e65726044820152fd5b600080546001600160a01b039283166001600160a01b03198216811783556040519093909116916000805160206105d983398151915291a3565b919091604051602081018161053e82856102cc565b0391610552601f19938481018352826101f0565b5190209060405161057860208201928261056c858a6102cc565b039081018352826101f0565b519020146105cf5761059261058c82610307565b84610324565b805490816105c35750506101326105a99293610307565b90815491826105bb5750600091508190565b600101549190565b90935060019150015490565b5060019150819056fe8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e0a264697066735822122084ec2d7c373070993b8cc584cd56a7f0fcd88ab90eaa43c018788e1ed2753e3e64736f6c634300080d0033";
@@ -1,6 +1,7 @@
 import { useCallback } from 'react';
 import { useSettings } from '../contexts/SettingsContext';
 import { useWeb3 } from '../contexts/Web3Context';
+import { getWalletProvider } from '../utils/wallet-providers';
 import toast from 'react-hot-toast';
 
 export const useNetworkSwitcher = () => {
@@ -95,7 +96,8 @@ export const useNetworkSwitcher = () => {
 
   const checkNetwork = useCallback(async () => {
     try {
-      const currentChainId = await window.ethereum.request({ method: 'eth_chainId' });
+      // Ask the connected wallet, whichever one the user picked
+      const currentChainId = await getWalletProvider().request({ method: 'eth_chainId' });
       const currentChainIdNumber = parseInt(currentChainId, 16);
       return currentChainIdNumber;
     } catch (error) {
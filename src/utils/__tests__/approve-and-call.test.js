@@ -0,0 +1,168 @@
+import { ethers } from 'ethers';
+import { BATCH_PRECOMPILE_ADDRESS } from '../../config/networks';
+import { IERC20_PERMIT_ABI } from '../../contracts/abi';
+import { createContract } from '../contract-factory';
+import { APPROVE_GAS_LIMIT, canBatchApproval, sendApproveAndCall } from '../approve-and-call';
+
+jest.mock('../contract-factory');
+
+const TOKEN = '0x1111111111111111111111111111111111111111';
+const BRIDGE = '0x2222222222222222222222222222222222222222';
+const ME = '0x3333333333333333333333333333333333333333';
+const BATCH_NETWORK = { contracts: { batch: BATCH_PRECOMPILE_ADDRESS } };
+
+const claimCall = { label: 'Claim', to: BRIDGE, value: 0, data: '0xc1a1', gasLimit: 500000 };
+const approval = { tokenAddress: TOKEN, spender: BRIDGE, required: ethers.BigNumber.from(100) };
+
+const createSigner = ({ estimateGas, call } = {}) => ({
+  getAddress: jest.fn(async () => ME),
+  sendTransaction: jest.fn(async (tx) => ({ hash: `0xtx-${tx.to}`, wait: async () => ({ status: 1, logs: [], to: tx.to }) })),
+  provider: {
+    estimateGas: jest.fn(estimateGas || (async () => ethers.BigNumber.from(50000))),
+    call: jest.fn(call || (async () => '0x')),
+  },
+});
+
+const mockContracts = ({ allowance, batchAll, permitDomain }) => {
+  createContract.mockImplementation((address) => (address === BATCH_PRECOMPILE_ADDRESS
+    ? { batchAll }
+    : {
+      allowance: jest.fn(async () => ethers.BigNumber.from(allowance)),
+      DOMAIN_SEPARATOR: jest.fn(async () => {
+        if (!permitDomain) throw new Error('call revert exception');
+        return ethers.utils._TypedDataEncoder.hashDomain(permitDomain);
+      }),
+      nonces: jest.fn(async () => ethers.constants.Zero),
+      name: jest.fn(async () => permitDomain?.name),
+      version: jest.fn(async () => permitDomain?.version),
+    }));
+};
+
+describe('approve-and-call', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should send the approval and the call in one batchAll with gas per sub-call', async () => {
+    const batchAll = jest.fn(async () => ({ hash: '0xbatch', wait: async () => ({ status: 1, logs: [] }) }));
+    mockContracts({ allowance: 0, batchAll });
+    // The claim cannot be estimated before the approval exists
+    const signer = createSigner({
+      estimateGas: async (tx) => {
+        if (tx.to === BRIDGE) throw new Error('insufficient allowance');
+        return ethers.BigNumber.from(50000);
+      },
+    });
+    const onSent = jest.fn();
+
+    const result = await sendApproveAndCall({
+      signer,
+      networkConfig: BATCH_NETWORK,
+      approval: { ...approval, amount: ethers.constants.MaxUint256 },
+      call: claimCall,
+      overrides: { maxFeePerGas: 100, maxPriorityFeePerGas: 10 },
+      onSent,
+    });
+
+    expect(result).toMatchObject({ approved: true, batched: true });
+    const [to, values, callData, gasLimits, overrides] = batchAll.mock.calls[0];
+    expect(to).toEqual([TOKEN, BRIDGE]);
+    expect(values.map(String)).toEqual(['0', '0']);
+    expect(callData[0]).toBe(new ethers.utils.Interface(['function approve(address,uint256)'])
+      .encodeFunctionData('approve', [BRIDGE, ethers.constants.MaxUint256]));
+    expect(callData[1]).toBe('0xc1a1');
+    expect(gasLimits.map(String)).toEqual(['60000', '500000']);
+    expect(overrides).toMatchObject({ maxFeePerGas: 100, maxPriorityFeePerGas: 10 });
+    expect(overrides.gasLimit.toNumber()).toBe(610000);
+    expect(onSent).toHaveBeenCalledWith(expect.objectContaining({ hash: '0xbatch' }));
+    expect(signer.sendTransaction).not.toHaveBeenCalled();
+
+    expect(canBatchApproval(BATCH_NETWORK, ethers.constants.AddressZero)).toBe(false);
+    expect(canBatchApproval({ contracts: {} }, TOKEN)).toBe(false);
+  });
+
+  it('should approve and call one after the other without a batch precompile', async () => {
+    mockContracts({ allowance: 0 });
+    const signer = createSigner({ estimateGas: async (tx) => (tx.to === TOKEN ? Promise.reject(new Error('no estimate')) : ethers.BigNumber.from(200000)) });
+
+    const result = await sendApproveAndCall({ signer, networkConfig: { contracts: {} }, approval, call: claimCall });
+
+    expect(result).toMatchObject({ approved: true, batched: false, receipt: { to: BRIDGE } });
+    expect(signer.sendTransaction.mock.calls.map(([tx]) => [tx.to, tx.gasLimit.toNumber()])).toEqual([
+      [TOKEN, APPROVE_GAS_LIMIT],
+      [BRIDGE, 240000],
+    ]);
+
+    // Enough allowance: only the call
+    mockContracts({ allowance: 100 });
+    const funded = createSigner();
+    const direct = await sendApproveAndCall({ signer: funded, networkConfig: BATCH_NETWORK, approval, call: claimCall });
+    expect(direct).toMatchObject({ approved: false, batched: false });
+    expect(funded.sendTransaction).toHaveBeenCalledTimes(1);
+  });
+
+  it('should replace a batched approval with an exact-amount permit when the token supports it', async () => {
+    const batchAll = jest.fn(async () => ({ hash: '0xbatch', wait: async () => ({ status: 1, logs: [] }) }));
+    mockContracts({ allowance: 0, batchAll, permitDomain: { name: 'Token', version: '1', chainId: 1333, verifyingContract: TOKEN } });
+    const wallet = new ethers.Wallet('0x' + '22'.repeat(32));
+    const signer = createSigner();
+    signer.provider.getNetwork = async () => ({ chainId: 1333 });
+    signer._signTypedData = jest.fn((...args) => wallet._signTypedData(...args));
+
+    const result = await sendApproveAndCall({
+      signer,
+      networkConfig: BATCH_NETWORK,
+      approval: { ...approval, amount: ethers.constants.MaxUint256, usePermit: true },
+      call: claimCall,
+    });
+
+    expect(result).toMatchObject({ approved: true, batched: true, permitted: true });
+    expect(signer._signTypedData.mock.calls[0][2]).toMatchObject({ owner: ME, spender: BRIDGE, value: approval.required });
+    const [to, , callData] = batchAll.mock.calls[0];
+    expect(to).toEqual([TOKEN, BRIDGE]);
+    expect(callData[0].startsWith(new ethers.utils.Interface(IERC20_PERMIT_ABI).getSighash('permit'))).toBe(true);
+
+    // Plain ERC20: approval as before, nothing to sign
+    mockContracts({ allowance: 0, batchAll });
+    const plain = createSigner();
+    plain.provider.getNetwork = async () => ({ chainId: 1333 });
+    plain._signTypedData = jest.fn();
+    expect(await sendApproveAndCall({ signer: plain, networkConfig: BATCH_NETWORK, approval: { ...approval, usePermit: true }, call: claimCall }))
+      .toMatchObject({ batched: true, permitted: false });
+    expect(plain._signTypedData).not.toHaveBeenCalled();
+  });
+
+  it('should name the sub-call a batch fails on before anything is signed', async () => {
+    const batchAll = jest.fn();
+    mockContracts({ allowance: 0, batchAll });
+    const revert = (reason) => Object.assign(new Error('call reverted'), { reason });
+
+    const claimFails = createSigner({
+      call: async (tx) => {
+        if (tx.to === BATCH_PRECOMPILE_ADDRESS) throw revert('execution reverted: this transfer has already been claimed');
+        return '0x';
+      },
+    });
+    await expect(sendApproveAndCall({ signer: claimFails, networkConfig: BATCH_NETWORK, approval, call: claimCall }))
+      .rejects.toMatchObject({
+        message: 'Claim failed (step 2 of 2): execution reverted: this transfer has already been claimed',
+        failedCall: { index: 1, label: 'Claim' },
+      });
+
+    const approvalFails = createSigner({
+      call: async (tx) => {
+        throw revert(tx.to === TOKEN ? 'execution reverted: token paused' : 'execution reverted');
+      },
+    });
+    await expect(sendApproveAndCall({ signer: approvalFails, networkConfig: BATCH_NETWORK, approval, call: claimCall }))
+      .rejects.toMatchObject({ message: 'Approval failed (step 1 of 2): execution reverted: token paused', failedCall: { index: 0 } });
+
+    expect(batchAll).not.toHaveBeenCalled();
+  });
+});
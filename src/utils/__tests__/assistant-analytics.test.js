@@ -0,0 +1,129 @@
+import { ethers } from 'ethers';
+import { ADDRESS_ZERO } from '../../config/networks';
+import { POSITION_STATUS } from '../assistant-manager';
+import {
+  SHARE_FLOW_TYPES,
+  getShareFlowEvents,
+  selectSampleBlocks,
+  getSharePriceSeries,
+  computeAnnualisedReturn,
+  summarizePositions,
+} from '../assistant-analytics';
+
+const bn = (value) => ethers.BigNumber.from(value);
+
+const ASSISTANT = '0x1111111111111111111111111111111111111111';
+const INVESTOR = '0x2222222222222222222222222222222222222222';
+const CLAIMANT = '0x3333333333333333333333333333333333333333';
+const NOW = 1700000000;
+const DAY = 24 * 3600;
+
+describe('assistant-analytics', () => {
+  it('should sample blocks and annualise the share price', () => {
+    expect(selectSampleBlocks([5, 1, 3, 3], 10)).toEqual([1, 3, 5]);
+    expect(selectSampleBlocks([1, 2, 3, 4, 5, 6, 7, 8, 9], 3)).toEqual([1, 5, 9]);
+
+    const point = (timestamp, totalSupply, stake, image) => ({
+      blockNumber: timestamp,
+      timestamp,
+      totalSupply: ethers.utils.parseEther(totalSupply).toString(),
+      net: { stake: ethers.utils.parseEther(stake).toString(), image: ethers.utils.parseUnits(image, 6).toString() },
+    });
+    const series = getSharePriceSeries([
+      point(NOW, '0', '0', '0'),
+      point(NOW + DAY, '100', '100', '50'),
+      point(NOW + 366 * DAY, '100', '110', '50'),
+    ], { stake: 18, image: 6 });
+
+    expect(series.map(({ stake, image }) => [stake, image])).toEqual([[null, null], [1, 0.5], [1.1, 0.5]]);
+    // Points without shares are skipped, the rest spans a year
+    expect(computeAnnualisedReturn(series)).toBeCloseTo(0.1);
+    expect(computeAnnualisedReturn(series, 'image')).toBeCloseTo(0);
+    expect(computeAnnualisedReturn(series.slice(0, 2))).toBeNull();
+    expect(getSharePriceSeries([point(NOW, '1', '2', '3')], { stake: 18, image: null })[0].image).toBeNull();
+  });
+
+  it('should count wins and losses and mark open positions to market', () => {
+    const claim = (fields) => ({
+      amount: bn(1000),
+      claimant_address: CLAIMANT,
+      current_outcome: 1,
+      expiry_ts: NOW - 60,
+      finished: false,
+      withdrawn: false,
+      yes_stake: bn(300),
+      no_stake: bn(100),
+      ...fields,
+    });
+    const position = (fields) => ({
+      events: [{ outcome: 1 }],
+      invested: bn(0),
+      balanceInWork: { stake: bn(0), image: bn(0) },
+      yesStake: bn(0),
+      noStake: bn(0),
+      status: POSITION_STATUS.SETTLED,
+      ...fields,
+    });
+
+    const positions = [
+      // Won and paid out
+      position({ claim: claim({ finished: true }) }),
+      // Expired with the assistant on the winning side, 150 of the 300 YES stake
+      position({ claim: claim(), invested: bn(150), yesStake: bn(150), status: POSITION_STATUS.WITHDRAWABLE }),
+      // Lost challenge
+      position({ claim: claim(), events: [{ outcome: 0 }], invested: bn(50), noStake: bn(50), status: POSITION_STATUS.RECORD_LOSS }),
+      // Still challenging
+      position({ claim: claim({ expiry_ts: NOW + 60 }) }),
+      position({ claim: null }),
+    ];
+
+    const exportSummary = summarizePositions(positions, { assistantAddress: ASSISTANT, isImport: false, now: NOW });
+    expect([exportSummary.wins, exportSummary.losses, exportSummary.open]).toEqual([2, 1, 1]);
+    expect(exportSummary.winRatio).toBeCloseTo(2 / 3);
+    // 150 of 300 wins half of the 400 staked: +50, the losing 50 is gone
+    expect(exportSummary.unrealised.stake.toString()).toBe('0');
+    expect(exportSummary.unrealised.image.toString()).toBe('0');
+
+    // The assistant as claimant also receives the claimed amount, paid in the image asset on import pools
+    const claimed = [position({
+      claim: claim({ claimant_address: ASSISTANT, yes_stake: bn(200) }),
+      invested: bn(200),
+      balanceInWork: { stake: bn(200), image: bn(990) },
+      yesStake: bn(200),
+      status: POSITION_STATUS.WITHDRAWABLE,
+    })];
+    const importSummary = summarizePositions(claimed, { assistantAddress: ASSISTANT, isImport: true, now: NOW });
+    expect(importSummary.unrealised.stake.toString()).toBe('100');
+    expect(importSummary.unrealised.image.toString()).toBe('10');
+    expect(summarizePositions([], { assistantAddress: ASSISTANT, isImport: true, now: NOW }).winRatio).toBeNull();
+  });
+
+  it('should read share purchases and redemptions from mints and burns', async () => {
+    const transfer = (from, to, value, blockNumber) => ({
+      args: { from, to, value: bn(value) },
+      blockNumber,
+      transactionHash: `0x${blockNumber.toString(16).padStart(64, '0')}`,
+    });
+    const queryFilter = jest.fn(async (filter, fromBlock) => {
+      if (fromBlock > 10000) return [];
+      return filter.from === ADDRESS_ZERO
+        ? [transfer(ADDRESS_ZERO, INVESTOR, 500, 20)]
+        : [transfer(INVESTOR, ADDRESS_ZERO, 200, 10)];
+    });
+    const contract = {
+      filters: { Transfer: (from, to) => ({ from, to }) },
+      queryFilter,
+    };
+
+    const flows = await getShareFlowEvents(contract, 1, 15000);
+
+    // Two chunks of mint and burn queries
+    expect(queryFilter).toHaveBeenCalledTimes(4);
+    expect(queryFilter).toHaveBeenCalledWith({ from: ADDRESS_ZERO, to: undefined }, 1, 10000);
+    expect(queryFilter).toHaveBeenCalledWith({ from: null, to: ADDRESS_ZERO }, 10001, 15000);
+    expect(flows.map(({ type, account, shares, blockNumber }) => [type, account, shares, blockNumber])).toEqual([
+      [SHARE_FLOW_TYPES.REDEEM, INVESTOR, '200', 10],
+      [SHARE_FLOW_TYPES.BUY, INVESTOR, '500', 20],
+    ]);
+  });
+});
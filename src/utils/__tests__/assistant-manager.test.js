@@ -0,0 +1,150 @@
+import { ethers } from 'ethers';
+import {
+  POSITION_STATUS,
+  OUTCOME_YES,
+  OUTCOME_NO,
+  getAssistantABI,
+  isImportAssistant,
+  findCounterpartBridge,
+  getBridgeNetworkKey,
+  getInvestedStake,
+  classifyPosition,
+  getClaimPreview,
+  getChallengePreview,
+} from '../assistant-manager';
+import { EXPORT_ASSISTANT_ABI, IMPORT_WRAPPER_ASSISTANT_ABI } from '../../contracts/abi';
+
+const bn = (value) => ethers.BigNumber.from(value);
+
+describe('assistant-manager', () => {
+  describe('getAssistantABI', () => {
+    it('should select the ABI by assistant type', () => {
+      expect(getAssistantABI('export')).toBe(EXPORT_ASSISTANT_ABI);
+      expect(getAssistantABI('import_wrapper')).toBe(IMPORT_WRAPPER_ASSISTANT_ABI);
+    });
+
+    it('should throw for unknown types', () => {
+      expect(() => getAssistantABI('oracle')).toThrow('Unknown assistant type: oracle');
+    });
+  });
+
+  describe('isImportAssistant', () => {
+    it('should detect import assistants', () => {
+      expect(isImportAssistant('import')).toBe(true);
+      expect(isImportAssistant('import_wrapper')).toBe(true);
+      expect(isImportAssistant('export')).toBe(false);
+    });
+  });
+
+  describe('findCounterpartBridge', () => {
+    const exportBridge = { address: '0x1000000000000000000000000000000000000001', type: 'export', bridgeId: 7, foreignTokenAddress: '0xAAA0000000000000000000000000000000000001' };
+    const importBridge = { address: '0x2000000000000000000000000000000000000002', type: 'import_wrapper', bridgeId: 7, foreignTokenAddress: '0xaaa0000000000000000000000000000000000001' };
+    const otherImport = { address: '0x3000000000000000000000000000000000000003', type: 'import', bridgeId: 8, foreignTokenAddress: '0xAAA0000000000000000000000000000000000001' };
+
+    it('should match by bridgeId', () => {
+      const bridges = { a: exportBridge, b: otherImport, c: importBridge };
+      expect(findCounterpartBridge(exportBridge, bridges)).toBe(importBridge);
+      expect(findCounterpartBridge(importBridge, bridges)).toBe(exportBridge);
+    });
+
+    it('should fall back to the foreign token address', () => {
+      const exportNoId = { ...exportBridge, bridgeId: undefined };
+      expect(findCounterpartBridge(exportNoId, { a: exportNoId, b: otherImport })).toBe(otherImport);
+    });
+
+    it('should return null when there is no counterpart', () => {
+      expect(findCounterpartBridge(exportBridge, { a: exportBridge })).toBeNull();
+    });
+  });
+
+  describe('getBridgeNetworkKey', () => {
+    it('should find the network listing the bridge', () => {
+      const networks = {
+        ETHEREUM: { bridges: { A: { address: '0x1000000000000000000000000000000000000001' } } },
+        THREEDPASS: { bridges: { B: { address: '0x2000000000000000000000000000000000000002' } } },
+      };
+      expect(getBridgeNetworkKey('0x2000000000000000000000000000000000000002', networks)).toBe('THREEDPASS');
+      expect(getBridgeNetworkKey('0x3000000000000000000000000000000000000003', networks)).toBeNull();
+    });
+  });
+
+  describe('getInvestedStake', () => {
+    it('should handle uint and struct balances', () => {
+      expect(getInvestedStake(bn(5)).toNumber()).toBe(5);
+      expect(getInvestedStake({ stake: bn(7), image: bn(3) }).toNumber()).toBe(7);
+      expect(getInvestedStake(null).toNumber()).toBe(0);
+    });
+  });
+
+  describe('classifyPosition', () => {
+    const now = 1700000000;
+    const openClaim = { finished: false, expiry_ts: now + 100 };
+    const expiredClaim = { finished: false, expiry_ts: now - 100 };
+
+    it('should be settled when nothing is invested', () => {
+      expect(classifyPosition({ invested: bn(0), claim: openClaim, now })).toBe(POSITION_STATUS.SETTLED);
+    });
+
+    it('should be active during the challenging period', () => {
+      expect(classifyPosition({ invested: bn(10), claim: openClaim, winningStake: bn(10), losingStake: bn(0), now }))
+        .toBe(POSITION_STATUS.ACTIVE);
+    });
+
+    it('should be withdrawable once expired with a winning stake', () => {
+      expect(classifyPosition({ invested: bn(10), claim: expiredClaim, winningStake: bn(10), losingStake: bn(0), now }))
+        .toBe(POSITION_STATUS.WITHDRAWABLE);
+    });
+
+    it('should need recordLoss once expired with only a losing stake', () => {
+      expect(classifyPosition({ invested: bn(10), claim: expiredClaim, winningStake: bn(0), losingStake: bn(10), now }))
+        .toBe(POSITION_STATUS.RECORD_LOSS);
+    });
+
+    it('should need recordWin when finished and the winning stake was paid out', () => {
+      const finished = { finished: true, expiry_ts: now - 100 };
+      expect(classifyPosition({ invested: bn(10), claim: finished, winningStake: bn(0), losingStake: bn(0), now }))
+        .toBe(POSITION_STATUS.RECORD_WIN);
+      expect(classifyPosition({ invested: bn(10), claim: finished, winningStake: bn(0), losingStake: bn(10), now }))
+        .toBe(POSITION_STATUS.RECORD_LOSS);
+    });
+  });
+
+  describe('getClaimPreview', () => {
+    it('should compute the paid amount and profitability', () => {
+      const preview = getClaimPreview({ amount: bn(1000), reward: bn(10), requiredStake: bn(500), networkFee: bn(4) });
+      expect(preview.paidAmount.toNumber()).toBe(990);
+      expect(preview.requiredStake.toNumber()).toBe(500);
+      expect(preview.networkFee.toNumber()).toBe(4);
+      expect(preview.expectedProfit.toNumber()).toBe(6);
+      expect(preview.isProfitable).toBe(true);
+    });
+
+    it('should not be profitable without a reward', () => {
+      expect(getClaimPreview({ amount: bn(1000), reward: bn(0), requiredStake: bn(500) }).isProfitable).toBe(false);
+    });
+
+    it('should not be profitable when the network fee reaches the reward', () => {
+      const preview = getClaimPreview({ amount: bn(1000), reward: bn(10), requiredStake: bn(500), networkFee: bn(12) });
+      expect(preview.expectedProfit.toNumber()).toBe(-2);
+      expect(preview.isProfitable).toBe(false);
+      expect(getClaimPreview({ amount: bn(1000), reward: bn(10), requiredStake: bn(500), networkFee: bn(10) }).isProfitable).toBe(false);
+    });
+  });
+
+  describe('getChallengePreview', () => {
+    it('should share the losing side pro rata among the winners', () => {
+      const preview = getChallengePreview({ yesStake: bn(100), noStake: bn(0), stakeOn: OUTCOME_NO, stake: bn(150) });
+      expect(preview.payoutIfWin.toNumber()).toBe(250);
+      expect(preview.profitIfWin.toNumber()).toBe(100);
+    });
+
+    it('should account for existing stakes on the chosen side', () => {
+      const preview = getChallengePreview({ yesStake: bn(100), noStake: bn(150), stakeOn: OUTCOME_YES, stake: bn(125) });
+      expect(preview.payoutIfWin.toNumber()).toBe(208);
+    });
+
+    it('should return zeros for an empty stake', () => {
+      expect(getChallengePreview({ yesStake: bn(100), noStake: bn(0), stakeOn: OUTCOME_NO, stake: bn(0) }).payoutIfWin.toNumber()).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,114 @@
+import { ethers } from 'ethers';
+import {
+  SWAP_DIRECTIONS,
+  computeNetBalances,
+  quoteSwap,
+  getMinAmountOut,
+  getEffectivePrice,
+} from '../assistant-swap';
+
+const bn = (value) => ethers.BigNumber.from(value);
+const zeroPair = () => ({ stake: bn(0), image: bn(0) });
+
+describe('assistant-swap', () => {
+  describe('computeNetBalances', () => {
+    const baseState = {
+      grossBalance: { stake: bn(1000000), image: bn(2000000) },
+      mf: zeroPair(),
+      profit: zeroPair(),
+      networkFeeCompensation: bn(0),
+      ts: 1700000000,
+      managementFee10000: 100,
+      successFee10000: 1000,
+    };
+
+    it('should return gross balances when no fees are due', () => {
+      const net = computeNetBalances(baseState, baseState.ts);
+      expect(net.stake.toString()).toBe('1000000');
+      expect(net.image.toString()).toBe('2000000');
+    });
+
+    it('should accrue the management fee over a 360-day year', () => {
+      const net = computeNetBalances(baseState, baseState.ts + 360 * 24 * 3600);
+      expect(net.stake.toString()).toBe('990000');
+      expect(net.image.toString()).toBe('1980000');
+    });
+
+    it('should deduct the success fee on positive profit only and the network fee compensation', () => {
+      const state = {
+        ...baseState,
+        profit: { stake: bn(50000), image: bn(-50000) },
+        networkFeeCompensation: bn(300),
+      };
+      const net = computeNetBalances(state, state.ts);
+      expect(net.stake.toString()).toBe('994700');
+      expect(net.image.toString()).toBe('2000000');
+    });
+  });
+
+  describe('quoteSwap', () => {
+    const netBalance = { stake: bn(1000), image: bn(4000) };
+
+    it('should quote image to stake against the risk-free stake balance', () => {
+      const quote = quoteSwap({
+        direction: SWAP_DIRECTIONS.IMAGE_TO_STAKE,
+        amountIn: bn(1000),
+        netBalance,
+        balanceInWork: { stake: bn(500), image: bn(0) },
+        swapFee10000: 100,
+      });
+      // (1000 - 500) * 1000 / (4000 + 1000) = 100, minus 1% fee
+      expect(quote.amountOut.toNumber()).toBe(99);
+      expect(quote.fee.toNumber()).toBe(1);
+      expect(quote.error).toBeNull();
+    });
+
+    it('should quote stake to image', () => {
+      const quote = quoteSwap({
+        direction: SWAP_DIRECTIONS.STAKE_TO_IMAGE,
+        amountIn: bn(1000),
+        netBalance,
+        balanceInWork: zeroPair(),
+        swapFee10000: 0,
+      });
+      expect(quote.amountOut.toNumber()).toBe(2000);
+    });
+
+    it('should report when the pool has no risk-free balance', () => {
+      const quote = quoteSwap({
+        direction: SWAP_DIRECTIONS.IMAGE_TO_STAKE,
+        amountIn: bn(1000),
+        netBalance,
+        balanceInWork: { stake: bn(1000), image: bn(0) },
+        swapFee10000: 0,
+      });
+      expect(quote.amountOut.isZero()).toBe(true);
+      expect(quote.error).toMatch(/No risk-free stake balance/);
+    });
+
+    it('should return zero for an empty input', () => {
+      const quote = quoteSwap({ direction: SWAP_DIRECTIONS.STAKE_TO_IMAGE, amountIn: bn(0), netBalance, balanceInWork: zeroPair(), swapFee10000: 0 });
+      expect(quote.amountOut.isZero()).toBe(true);
+      expect(quote.error).toBeNull();
+    });
+  });
+
+  describe('getMinAmountOut', () => {
+    it('should apply the slippage tolerance', () => {
+      expect(getMinAmountOut(bn(10000), 0.5).toNumber()).toBe(9950);
+      expect(getMinAmountOut(bn(10000), 0).toNumber()).toBe(10000);
+    });
+
+    it('should reject out of range tolerances', () => {
+      expect(() => getMinAmountOut(bn(1), 100)).toThrow('Slippage must be between 0 and 100%');
+      expect(() => getMinAmountOut(bn(1), -1)).toThrow('Slippage must be between 0 and 100%');
+    });
+  });
+
+  describe('getEffectivePrice', () => {
+    it('should account for token decimals', () => {
+      expect(getEffectivePrice(ethers.utils.parseUnits('2', 18), 18, ethers.utils.parseUnits('3', 6), 6)).toBe(1.5);
+      expect(getEffectivePrice(bn(0), 18, bn(5), 6)).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+import { ethers } from 'ethers';
+import { ADDRESS_ZERO, P3D_PRECOMPILE_ADDRESS, BATCH_PRECOMPILE_ADDRESS } from '../../config/networks';
+import { createBridgeContract, getBridgeABI } from '../contract-factory';
+import { runBatchCalls, runSequentialCalls } from '../batch-transactions';
+import {
+  getBatchClaimKey,
+  toClaimTransfer,
+  prepareBatchClaims,
+  getBatchClaimTotals,
+  getBatchClaimApprovals,
+  buildBatchClaimCalls,
+  canBatchClaims,
+  submitBatchClaims,
+} from '../batch-claim';
+
+jest.mock('../contract-factory', () => ({
+  ...jest.requireActual('../contract-factory'),
+  createBridgeContract: jest.fn(),
+}));
+jest.mock('../batch-transactions', () => ({
+  ...jest.requireActual('../batch-transactions'),
+  runBatchCalls: jest.fn(),
+  runSequentialCalls: jest.fn(),
+}));
+
+const bn = (value) => ethers.BigNumber.from(value);
+
+const ME = '0x1111111111111111111111111111111111111111';
+const OTHER = '0x2222222222222222222222222222222222222222';
+const EXPORT_BRIDGE = { address: '0x50fcE1D58b41c3600C74de03238Eee71aFDfBf1F', type: 'export' };
+const IMPORT_BRIDGE = { address: '0x4f3a4e37701402C61146071309e45A15843025E1', type: 'import' };
+
+const transfer = (txid, fields) => ({
+  bridgeAddress: '0x3333333333333333333333333333333333333333',
+  transactionHash: txid,
+  timestamp: 1700000000,
+  amount: { type: 'BigNumber', hex: '0x03e8' },
+  reward: bn(10),
+  senderAddress: ME,
+  recipientAddress: ME,
+  data: '',
+  ...fields,
+});
+
+describe('batch-claim', () => {
+  const mockBridges = (stakeTokens) => {
+    createBridgeContract.mockImplementation((address, type) => ({
+      settings: async () => ({ tokenAddress: stakeTokens[address] }),
+      getRequiredStake: async (amount) => amount.div(10),
+      interface: new ethers.utils.Interface(getBridgeABI(type)),
+    }));
+  };
+
+  const prepare = (entries) => prepareBatchClaims({ provider: {}, account: ME, entries });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should normalize cached transfers and key them by bridge and txid', () => {
+    const claimTransfer = toClaimTransfer(transfer('0xAB'));
+
+    expect(getBatchClaimKey(transfer('0xAB'))).toBe('0x3333333333333333333333333333333333333333:0xab');
+    expect(claimTransfer.amount.toString()).toBe('1000');
+    expect(claimTransfer).toMatchObject({ txid: '0xAB', timestamp: 1700000000, data: '0x' });
+  });
+
+  it('should sum stakes per token and approve each claim bridge once', async () => {
+    mockBridges({ [EXPORT_BRIDGE.address]: P3D_PRECOMPILE_ADDRESS, [IMPORT_BRIDGE.address]: ADDRESS_ZERO });
+    const items = await prepare([
+      { transfer: transfer('0x01'), bridge: EXPORT_BRIDGE },
+      { transfer: transfer('0x02', { recipientAddress: OTHER }), bridge: EXPORT_BRIDGE },
+      { transfer: transfer('0x03'), bridge: IMPORT_BRIDGE },
+    ]);
+
+    expect(createBridgeContract).toHaveBeenCalledTimes(2);
+    expect(items.map(item => item.stake.toString())).toEqual(['100', '100', '100']);
+    expect(items.map(item => item.paidAmount.toString())).toEqual(['0', '990', '0']);
+    expect(getBatchClaimTotals(items).map(({ tokenAddress, stake, total }) => [tokenAddress, stake.toString(), total.toString()])).toEqual([
+      [P3D_PRECOMPILE_ADDRESS, '200', '1190'],
+      [ADDRESS_ZERO, '100', '100'],
+    ]);
+    expect(getBatchClaimApprovals(items)).toEqual([
+      { tokenAddress: P3D_PRECOMPILE_ADDRESS, spender: EXPORT_BRIDGE.address, amount: bn(1190) },
+    ]);
+
+    const calls = buildBatchClaimCalls(items);
+    expect(calls[2].value.toString()).toBe('100');
+    const { args } = new ethers.utils.Interface(getBridgeABI('export')).parseTransaction({ data: calls[1].data });
+    expect([args.txid, args.stake.toString(), args.recipient_address]).toEqual(['0x02', '100', OTHER]);
+    // Native stakes can't go through the non-payable batch functions
+    expect(canBatchClaims(calls, BATCH_PRECOMPILE_ADDRESS)).toBe(false);
+    expect(canBatchClaims(calls.slice(0, 2), BATCH_PRECOMPILE_ADDRESS)).toBe(true);
+    expect(canBatchClaims(calls.slice(0, 2), null)).toBe(false);
+  });
+
+  it('should batch claims where a batch contract exists and fall back to a sequence', async () => {
+    mockBridges({ [EXPORT_BRIDGE.address]: P3D_PRECOMPILE_ADDRESS });
+    const items = await prepare([{ transfer: transfer('0x01'), bridge: EXPORT_BRIDGE }, { transfer: transfer('0x02'), bridge: EXPORT_BRIDGE }]);
+    const job = { id: 'claims', items: { [items[0].key]: { status: 'pending' }, [items[1].key]: { status: 'pending' } } };
+    const signer = { getChainId: async () => 1333 };
+
+    await submitBatchClaims({ signer, job, items, batchAddress: BATCH_PRECOMPILE_ADDRESS });
+    expect(runBatchCalls).toHaveBeenCalledWith(expect.objectContaining({
+      batchAddress: BATCH_PRECOMPILE_ADDRESS,
+      overrides: { gasLimit: 1100000, maxFeePerGas: 100, maxPriorityFeePerGas: 10 },
+    }));
+
+    await submitBatchClaims({ signer: { getChainId: async () => 1 }, job, items, batchAddress: null });
+    expect(runSequentialCalls).toHaveBeenCalledWith(expect.objectContaining({ overrides: {} }));
+  });
+});
@@ -0,0 +1,96 @@
+import { ethers } from 'ethers';
+import { BATCH_ABI } from '../../contracts/abi';
+import { BATCH_PRECOMPILE_ADDRESS } from '../../config/networks';
+import { createContract } from '../contract-factory';
+import {
+  BATCH_ITEM_STATUS,
+  loadBatchJob,
+  getOpenBatchItems,
+  getBatchCallResults,
+  runBatchCalls,
+  runSequentialCalls,
+} from '../batch-transactions';
+
+jest.mock('../contract-factory');
+
+const batchInterface = new ethers.utils.Interface(BATCH_ABI);
+const BRIDGE = '0x1111111111111111111111111111111111111111';
+
+const batchLog = (name, index) => ({
+  address: BATCH_PRECOMPILE_ADDRESS,
+  ...batchInterface.encodeEventLog(batchInterface.getEvent(name), [index]),
+});
+
+const calls = ['a', 'b', 'c'].map(key => ({ key, to: BRIDGE, value: 0, data: `0x0${key}`, gasLimit: 500000 }));
+
+const createSigner = (receipts) => ({
+  sendTransaction: jest.fn(async (tx) => ({ hash: `0xtx-${tx.data}` })),
+  provider: { waitForTransaction: jest.fn(async (hash) => receipts[hash] || { status: 1, logs: [] }) },
+});
+
+describe('batch-transactions', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should read subcall results of the batch contract only', () => {
+    const receipt = { logs: [batchLog('SubcallSucceeded', 0), batchLog('SubcallFailed', 1), { ...batchLog('SubcallSucceeded', 2), address: BRIDGE }] };
+    const { succeeded, failed } = getBatchCallResults(receipt, BATCH_PRECOMPILE_ADDRESS);
+
+    expect([...succeeded]).toEqual([0]);
+    expect([...failed]).toEqual([1]);
+  });
+
+  it('should stop a sequence at the first failure and resume with the open calls', async () => {
+    const signer = createSigner({ '0xtx-0x0b': { status: 0, logs: [] } });
+    const onUpdate = jest.fn();
+    const job = await runSequentialCalls({ signer, job: loadBatchJob('claims:1:0xme', ['a', 'b', 'c']), calls, onUpdate });
+
+    expect(job.items.a).toMatchObject({ status: BATCH_ITEM_STATUS.DONE, txHash: '0xtx-0x0a' });
+    expect(job.items.b).toMatchObject({ status: BATCH_ITEM_STATUS.FAILED, error: 'Transaction 0xtx-0x0b failed' });
+    expect(job.items.c.status).toBe(BATCH_ITEM_STATUS.PENDING);
+    expect(signer.sendTransaction).toHaveBeenCalledTimes(2);
+    expect(onUpdate).toHaveBeenLastCalledWith(job);
+
+    // Progress survives a reload; a call sent before it is awaited instead of sent again
+    const restored = loadBatchJob('claims:1:0xme', ['b', 'c']);
+    expect(getOpenBatchItems(restored)).toEqual(['b', 'c']);
+    const resumeSigner = createSigner({});
+    const sentJob = { ...restored, items: { ...restored.items, c: { status: BATCH_ITEM_STATUS.SENT, txHash: '0xsent', index: null, error: null } } };
+    const resumed = await runSequentialCalls({ signer: resumeSigner, job: sentJob, calls: calls.slice(1) });
+
+    expect(getOpenBatchItems(resumed)).toEqual([]);
+    expect(resumeSigner.sendTransaction).toHaveBeenCalledTimes(1);
+    expect(resumeSigner.provider.waitForTransaction).toHaveBeenCalledWith('0xsent');
+  });
+
+  it('should mark the calls of a batch by their subcall events', async () => {
+    const batchSomeUntilFailure = jest.fn(async () => ({
+      hash: '0xbatch',
+      wait: async () => ({ logs: [batchLog('SubcallSucceeded', 0), batchLog('SubcallFailed', 1)] }),
+    }));
+    createContract.mockReturnValue({ batchSomeUntilFailure });
+    const signer = createSigner({});
+
+    const job = await runBatchCalls({
+      signer,
+      batchAddress: BATCH_PRECOMPILE_ADDRESS,
+      job: loadBatchJob('claims:1333:0xme', ['a', 'b', 'c']),
+      calls,
+      overrides: { gasLimit: 1600000 },
+    });
+
+    expect(batchSomeUntilFailure).toHaveBeenCalledWith([BRIDGE, BRIDGE, BRIDGE], [0, 0, 0], ['0x0a', '0x0b', '0x0c'], [500000, 500000, 500000], { gasLimit: 1600000 });
+    expect(job.items.a).toMatchObject({ status: BATCH_ITEM_STATUS.DONE, txHash: '0xbatch' });
+    expect(job.items.b.status).toBe(BATCH_ITEM_STATUS.FAILED);
+    // Not executed after the failure
+    expect(job.items.c).toMatchObject({ status: BATCH_ITEM_STATUS.PENDING, txHash: null });
+    expect(loadBatchJob('claims:1333:0xme', ['a']).items.a.status).toBe(BATCH_ITEM_STATUS.DONE);
+  });
+});
@@ -0,0 +1,130 @@
+import { ethers } from 'ethers';
+import { BATCH_PRECOMPILE_ADDRESS, P3D_PRECOMPILE_ADDRESS } from '../../config/networks';
+import { COUNTERSTAKE_ABI } from '../../contracts/abi';
+import { createCounterstakeContract } from '../contract-factory';
+import { fetchClaimDetails } from '../claim-details-fetcher';
+import { runBatchCalls, runSequentialCalls } from '../batch-transactions';
+import {
+  getBatchWithdrawKey,
+  isWithdrawalEligible,
+  prepareBatchWithdrawals,
+  getBatchWithdrawTotals,
+  submitBatchWithdrawals,
+} from '../batch-withdraw';
+
+jest.mock('../contract-factory', () => ({
+  ...jest.requireActual('../contract-factory'),
+  createCounterstakeContract: jest.fn(),
+}));
+jest.mock('../claim-details-fetcher', () => ({
+  fetchClaimDetails: jest.fn(),
+}));
+jest.mock('../batch-transactions', () => ({
+  ...jest.requireActual('../batch-transactions'),
+  runBatchCalls: jest.fn(),
+  runSequentialCalls: jest.fn(),
+}));
+
+const bn = (value) => ethers.BigNumber.from(value);
+
+const ME = '0x1111111111111111111111111111111111111111';
+const OTHER = '0x2222222222222222222222222222222222222222';
+const WUSDT = '0xfBFBfbFA000000000000000000000000000000de';
+const IMPORT_BRIDGE = {
+  address: '0x6359F737F32BFd1862FfAC26C6B25e4C0B3F1eA5',
+  type: 'import_wrapper',
+  stakeTokenAddress: P3D_PRECOMPILE_ADDRESS,
+  foreignTokenAddress: WUSDT,
+};
+const NOW = 1700000000;
+
+const claim = (claimNum, fields) => ({
+  bridgeAddress: IMPORT_BRIDGE.address,
+  claimNum: { type: 'BigNumber', hex: bn(claimNum).toHexString() },
+  expiryTs: bn(NOW - 60),
+  currentOutcome: 1,
+  claimant_address: OTHER,
+  withdrawn: false,
+  ...fields,
+});
+
+const details = (fields) => ({
+  amount: bn(1000),
+  claimant_address: OTHER,
+  expiry_ts: NOW - 60,
+  current_outcome: 1,
+  withdrawn: false,
+  yes_stake: bn(300),
+  no_stake: bn(150),
+  ...fields,
+});
+
+describe('batch-withdraw', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should select expired claims with a winning stake or a won claim', () => {
+    expect(getBatchWithdrawKey(claim(7))).toBe(`${IMPORT_BRIDGE.address.toLowerCase()}:7`);
+
+    const check = (fields, hasWinningStake = false) => isWithdrawalEligible(claim(7, fields), { account: ME, now: NOW, hasWinningStake });
+    expect(check({}, true)).toBe(true);
+    expect(check({})).toBe(false);
+    expect(check({ claimant_address: ME })).toBe(true);
+    expect(check({ claimant_address: ME, withdrawn: true })).toBe(false);
+    expect(check({ claimant_address: ME, currentOutcome: 0 })).toBe(false);
+    // Still in the challenging period
+    expect(check({ expiryTs: bn(NOW + 60) }, true)).toBe(false);
+  });
+
+  it('should estimate payouts like the contract and skip claims with nothing to withdraw', async () => {
+    const stakes = { 1: bn(200), 2: bn(0), 3: bn(0) };
+    createCounterstakeContract.mockReturnValue({ stakes: async (claimNum) => stakes[claimNum] });
+    fetchClaimDetails.mockImplementation(async ({ claimNum }) => ({
+      1: details(),
+      2: details({ claimant_address: ME }),
+      3: details({ claimant_address: ME, withdrawn: true }),
+      4: details({ expiry_ts: NOW + 60 }),
+    }[claimNum]));
+    const provider = { getBlock: async () => ({ timestamp: NOW }) };
+
+    const items = await prepareBatchWithdrawals({
+      provider,
+      account: ME,
+      entries: [1, 2, 3, 4].map(claimNum => ({ claim: claim(claimNum), bridge: IMPORT_BRIDGE })),
+    });
+
+    expect(createCounterstakeContract).toHaveBeenCalledTimes(1);
+    // (300 + 150) * 200 / 300 of the stakes, the claimed amount for the winning claimant
+    expect(items.map(item => [item.stakePayout.toString(), item.claimedAmount.toString(), item.error])).toEqual([
+      ['300', '0', null],
+      ['0', '1000', null],
+      ['0', '0', 'Nothing left to withdraw'],
+      ['0', '0', 'The challenging period is still ongoing'],
+    ]);
+    expect(getBatchWithdrawTotals(items).map(({ tokenAddress, amount }) => [tokenAddress, amount.toString()])).toEqual([
+      [P3D_PRECOMPILE_ADDRESS, '300'],
+      [WUSDT, '1000'],
+    ]);
+  });
+
+  it('should batch withdrawals where a batch contract exists and fall back to a sequence', async () => {
+    const items = [1, 2].map(claimNum => ({ key: `k${claimNum}`, claimNum: String(claimNum), bridge: IMPORT_BRIDGE }));
+    const job = { id: 'withdrawals', items: { k1: { status: 'pending' }, k2: { status: 'pending' } } };
+
+    await submitBatchWithdrawals({ signer: {}, job, items, batchAddress: BATCH_PRECOMPILE_ADDRESS });
+    const { calls, overrides } = runBatchCalls.mock.calls[0][0];
+    expect(overrides).toEqual({ gasLimit: 700000 });
+    const { name, args } = new ethers.utils.Interface(COUNTERSTAKE_ABI).parseTransaction({ data: calls[1].data });
+    expect([name, args.claim_num.toString(), calls[1].to, calls[1].value]).toEqual(['withdraw', '2', IMPORT_BRIDGE.address, 0]);
+
+    await submitBatchWithdrawals({ signer: {}, job, items, batchAddress: BATCH_PRECOMPILE_ADDRESS, sequential: true });
+    expect(runSequentialCalls).toHaveBeenCalledWith(expect.objectContaining({ calls }));
+    expect(runBatchCalls).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,111 @@
+import { CHECK_STATUS, checkBridgeOnChain, summarizeConsistency } from '../bridge-consistency';
+import { createBridgeContract, createContract, createTokenContract } from '../contract-factory';
+import { ADDRESS_ZERO, P3D_PRECOMPILE_ADDRESS } from '../../config/networks';
+
+jest.mock('../contract-factory');
+
+const P3D_IMPORT = '0x4f3a4e37701402C61146071309e45A15843025E1';
+const P3D_EXPORT = '0x50fcE1D58b41c3600C74de03238Eee71aFDfBf1F';
+const ORACLE = '0xD69cdEF8cD89F1b47d820f4b4d7133DB66E3Fc7F';
+const OTHER = '0x1111111111111111111111111111111111111111';
+const ASSISTANT = '0x0C5c51Ca6104b8907349513bde13eE3f992bBc08';
+
+const exportBridge = {
+  address: P3D_EXPORT,
+  type: 'export',
+  homeTokenAddress: P3D_PRECOMPILE_ADDRESS,
+  foreignTokenAddress: P3D_IMPORT,
+  stakeTokenAddress: P3D_PRECOMPILE_ADDRESS,
+};
+const importBridge = {
+  address: P3D_IMPORT,
+  type: 'import',
+  homeTokenAddress: P3D_PRECOMPILE_ADDRESS,
+  foreignTokenAddress: P3D_IMPORT,
+  stakeTokenAddress: ADDRESS_ZERO,
+  oracleAddress: ORACLE,
+};
+const assistant = { address: ASSISTANT, bridgeAddress: P3D_IMPORT };
+
+const networks = {
+  ETHEREUM: {
+    bridges: { P3D_IMPORT: importBridge },
+    assistants: { P3D_IMPORT_ASSISTANT: assistant },
+    tokens: { P3D: { address: P3D_IMPORT, symbol: 'P3D', decimals: 18 } },
+  },
+  THREEDPASS: {
+    bridges: { P3D_EXPORT: exportBridge },
+    tokens: { P3D: { address: P3D_PRECOMPILE_ADDRESS, symbol: 'P3D', decimals: 18 } },
+  },
+};
+
+const bridgeData = {
+  bridgeId: 19,
+  exportBridge,
+  importBridge,
+  exportBridgeKey: 'P3D_EXPORT',
+  importBridgeKey: 'P3D_IMPORT',
+  exportAssistants: [],
+  importAssistants: [{ key: 'P3D_IMPORT_ASSISTANT', assistant }],
+};
+
+const mockChain = ({ foreignAsset = P3D_IMPORT, oracleAddress = ORACLE, decimals = 18 } = {}) => {
+  createBridgeContract.mockImplementation((address) => (address === P3D_EXPORT
+    ? { settings: async () => ({ tokenAddress: P3D_PRECOMPILE_ADDRESS }), foreign_asset: async () => foreignAsset }
+    : { settings: async () => ({ tokenAddress: ADDRESS_ZERO }), home_asset: async () => P3D_PRECOMPILE_ADDRESS.toLowerCase(), oracleAddress: async () => oracleAddress }));
+  createContract.mockReturnValue({ bridgeAddress: async () => P3D_IMPORT });
+  createTokenContract.mockImplementation((address) => ({ decimals: async () => (address === P3D_IMPORT ? decimals : 18) }));
+};
+
+describe('bridge-consistency', () => {
+  const getProvider = (networkKey) => ({ networkKey });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should pass a pair that matches its contracts', async () => {
+    mockChain();
+    const result = await checkBridgeOnChain(bridgeData, getProvider, networks);
+
+    expect(result.status).toBe(CHECK_STATUS.PASS);
+    expect(result.checks.map(check => `${check.check}:${check.subject}`)).toEqual([
+      'token:P3D_EXPORT',
+      'stakeToken:P3D_EXPORT',
+      'token:P3D_IMPORT',
+      'stakeToken:P3D_IMPORT',
+      'oracle:P3D_IMPORT',
+      'foreignAsset:P3D_EXPORT',
+      'homeAsset:P3D_IMPORT',
+      'assistant:P3D_IMPORT_ASSISTANT',
+      'decimals:THREEDPASS.P3D',
+      'decimals:ETHEREUM.P3D',
+    ]);
+    expect(createBridgeContract).toHaveBeenCalledWith(P3D_EXPORT, 'export', { networkKey: 'THREEDPASS' });
+    expect(createBridgeContract).toHaveBeenCalledWith(P3D_IMPORT, 'import', { networkKey: 'ETHEREUM' });
+  });
+
+  it('should report pairing, oracle and decimals mismatches', async () => {
+    mockChain({ foreignAsset: OTHER, oracleAddress: OTHER, decimals: 6 });
+    const result = await checkBridgeOnChain(bridgeData, getProvider, networks);
+
+    expect(result.status).toBe(CHECK_STATUS.FAIL);
+    expect(result.checks.filter(check => check.status === CHECK_STATUS.FAIL)).toEqual([
+      { check: 'oracle', subject: 'P3D_IMPORT', expected: ORACLE, actual: OTHER, status: CHECK_STATUS.FAIL },
+      { check: 'foreignAsset', subject: 'P3D_EXPORT', expected: P3D_IMPORT, actual: OTHER, status: CHECK_STATUS.FAIL },
+      { check: 'decimals', subject: 'ETHEREUM.P3D', expected: 18, actual: 6, status: CHECK_STATUS.FAIL },
+    ]);
+  });
+
+  it('should record unreachable contracts as errors and summarize', async () => {
+    mockChain();
+    createBridgeContract.mockImplementation(() => ({ settings: async () => { throw new Error('could not detect network'); } }));
+    const result = await checkBridgeOnChain({ ...bridgeData, importBridge: undefined, importBridgeKey: undefined, importAssistants: [] }, getProvider, networks);
+
+    expect(result.checks).toEqual([
+      { check: 'contract', subject: 'P3D_EXPORT', expected: null, actual: null, status: CHECK_STATUS.ERROR, message: 'could not detect network' },
+      { check: 'decimals', subject: 'THREEDPASS.P3D', expected: 18, actual: 18, status: CHECK_STATUS.PASS },
+    ]);
+    expect(summarizeConsistency([result, { status: CHECK_STATUS.PASS, checks: [] }])).toEqual({ bridges: 2, passed: 1, failed: 1, failedChecks: 1 });
+  });
+});
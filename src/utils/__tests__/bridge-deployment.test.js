@@ -0,0 +1,141 @@
+import {
+  STEP_STATUS,
+  createDeployment,
+  getStepState,
+  getNextStep,
+  updateStep,
+  loadDeployment,
+  saveDeployment,
+  clearDeployment,
+  buildBridgePairConfig,
+  getDeploymentPricePairs,
+  getNextBridgeId,
+  getUniqueConfigKey,
+  formatConfigEntry,
+} from '../bridge-deployment';
+import { NETWORKS, ADDRESS_ZERO, P3D_PRECOMPILE_ADDRESS } from '../../config/networks';
+
+const USDT = '0xdAC17F958D2ee523a2206206994597C13D831ec7';
+const WUSDT = '0xfBFBfbFA000000000000000000000000000000de';
+const ORACLE = '0xD69cdEF8cD89F1b47d820f4b4d7133DB66E3Fc7F';
+const IMPORT = '0x4f3a4e37701402C61146071309e45A15843025E1';
+const EXPORT = '0x3a96AC42A28D5610Aca2A79AE782988110108eDe';
+
+const toEthereum = { home: NETWORKS.THREEDPASS, foreign: NETWORKS.ETHEREUM };
+const toThreeDPass = { home: NETWORKS.ETHEREUM, foreign: NETWORKS.THREEDPASS };
+
+const p3dParams = {
+  homeNetworkKey: 'THREEDPASS',
+  foreignNetworkKey: 'ETHEREUM',
+  homeToken: { address: P3D_PRECOMPILE_ADDRESS, symbol: 'P3D', name: 'P3D', decimals: 18 },
+  foreignToken: { name: 'P3D on Ethereum', symbol: 'wP3D' },
+  stakeToken: { address: ADDRESS_ZERO, symbol: 'ETH', decimals: 18 },
+  homeOracleAddress: null,
+  foreignOracleAddress: ORACLE,
+};
+
+const usdtParams = {
+  homeNetworkKey: 'ETHEREUM',
+  foreignNetworkKey: 'THREEDPASS',
+  homeToken: { address: USDT, symbol: 'USDT', name: 'Tether USD', decimals: 6 },
+  foreignToken: { address: WUSDT, symbol: 'wUSDT', name: 'Wrapped USDT', decimals: 6, isPrecompile: true, isNative: false },
+  stakeToken: { address: P3D_PRECOMPILE_ADDRESS, symbol: 'P3D', decimals: 18 },
+  homeOracleAddress: null,
+  foreignOracleAddress: null,
+};
+
+describe('bridge-deployment', () => {
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  it('should walk the steps in order and keep the state immutable', () => {
+    const deployment = createDeployment(p3dParams);
+    expect(getNextStep(deployment).key).toBe('homeOracle');
+    expect(getStepState(deployment, 'homeOracle')).toEqual({ status: STEP_STATUS.PENDING, txHash: null, result: null });
+
+    const sent = updateStep(deployment, 'homeOracle', { status: STEP_STATUS.SENT, txHash: '0x01' });
+    expect(getNextStep(sent).key).toBe('homeOracle');
+    expect(deployment.steps).toEqual({});
+
+    const done = updateStep(sent, 'homeOracle', { status: STEP_STATUS.DONE, result: { address: ORACLE } });
+    expect(getStepState(done, 'homeOracle')).toEqual({ status: STEP_STATUS.DONE, txHash: '0x01', result: { address: ORACLE } });
+    expect(getNextStep(done).key).toBe('foreignOracle');
+  });
+
+  it('should save, resume and clear progress', () => {
+    expect(loadDeployment()).toBeNull();
+    const deployment = updateStep(createDeployment(p3dParams), 'homeOracle', { status: STEP_STATUS.SENT, txHash: '0x01' });
+    saveDeployment(deployment);
+    expect(loadDeployment()).toEqual(deployment);
+    clearDeployment();
+    expect(loadDeployment()).toBeNull();
+  });
+
+  describe('buildBridgePairConfig', () => {
+    it('should carry the import bridge address into its token and the export bridge', () => {
+      let deployment = createDeployment(p3dParams);
+      deployment = updateStep(deployment, 'importBridge', { status: STEP_STATUS.DONE, result: { address: IMPORT } });
+      deployment = updateStep(deployment, 'exportBridge', { status: STEP_STATUS.DONE, result: { address: EXPORT } });
+      deployment = updateStep(deployment, 'configuration', { status: STEP_STATUS.DONE, result: { bridgeId: 9 } });
+
+      const { importBridge, exportBridge, foreignToken } = buildBridgePairConfig(deployment, toEthereum);
+
+      expect(foreignToken).toMatchObject({ address: IMPORT, symbol: 'wP3D', decimals: 18 });
+      expect(importBridge).toMatchObject({
+        address: IMPORT,
+        type: 'import',
+        homeNetwork: NETWORKS.THREEDPASS.name,
+        homeTokenAddress: P3D_PRECOMPILE_ADDRESS,
+        foreignNetwork: 'Ethereum',
+        foreignTokenAddress: IMPORT,
+        stakeTokenAddress: ADDRESS_ZERO,
+        oracleAddress: ORACLE,
+        isIssuerBurner: true,
+        bridgeId: 9,
+      });
+      expect(exportBridge).toMatchObject({
+        address: EXPORT,
+        type: 'export',
+        foreignTokenAddress: IMPORT,
+        stakeTokenAddress: P3D_PRECOMPILE_ADDRESS,
+        isIssuerBurner: false,
+        bridgeId: 9,
+      });
+      expect(exportBridge.oracleAddress).toBeUndefined();
+    });
+
+    it('should use the precompile and the deployed oracle for import wrappers', () => {
+      const deployment = updateStep(createDeployment(usdtParams), 'foreignOracle', { status: STEP_STATUS.DONE, result: { address: ORACLE } });
+      const { importBridge, exportBridge } = buildBridgePairConfig(deployment, toThreeDPass);
+
+      expect(importBridge).toMatchObject({ address: null, type: 'import_wrapper', foreignTokenAddress: WUSDT, oracleAddress: ORACLE });
+      expect(importBridge.bridgeId).toBeUndefined();
+      expect(exportBridge.foreignTokenAddress).toBe(WUSDT);
+    });
+  });
+
+  it('should give the price pairs the decimals of their tokens', () => {
+    const pairs = getDeploymentPricePairs(createDeployment(usdtParams), toThreeDPass);
+
+    expect(pairs.map(pair => [pair.key, pair.baseDecimals, pair.quoteDecimals])).toEqual([
+      [`${USDT}/P3D`, 6, 18],
+      ['USDT/_NATIVE_', 6, 18],
+      ['_NATIVE_/USDT', 18, 6],
+      ['_NATIVE_/P3D', 18, 18],
+    ]);
+  });
+
+  it('should pick the next bridgeId and free config keys', () => {
+    expect(getNextBridgeId([])).toBe(1);
+    expect(getNextBridgeId([{ bridgeId: 7 }, { bridgeId: '12' }, {}])).toBe(13);
+
+    expect(getUniqueConfigKey('wP3D import', [])).toBe('WP3D_IMPORT');
+    expect(getUniqueConfigKey('P3D_EXPORT', ['P3D_EXPORT', 'P3D_EXPORT_2'])).toBe('P3D_EXPORT_3');
+  });
+
+  it('should format config entries for networks.js', () => {
+    expect(formatConfigEntry('P3D_IMPORT', { address: IMPORT, type: 'import', oracleAddress: null, isIssuerBurner: true, bridgeId: 9 }))
+      .toBe(`P3D_IMPORT: {\n  address: '${IMPORT}',\n  type: 'import',\n  isIssuerBurner: true,\n  bridgeId: 9,\n},`);
+  });
+});
@@ -0,0 +1,142 @@
+import { ethers } from 'ethers';
+import { ADDRESS_ZERO } from '../../config/networks';
+import { getBridgeABI } from '../contract-factory.js';
+import {
+  getTransferEventType,
+  getClaimBridge,
+  decodeTransferEvent,
+  checkTransferClaimable,
+  buildClaimArgs,
+  getGasCostInStakeTokens,
+  evaluateClaimProfitability,
+  getClaimApprovalAmount,
+} from '../claim-bot';
+
+const bn = (value) => ethers.BigNumber.from(value);
+
+const SENDER = '0x1111111111111111111111111111111111111111';
+const RECIPIENT = '0x2222222222222222222222222222222222222222';
+const BOT = '0x3333333333333333333333333333333333333333';
+const TXID = '0x' + 'ab'.repeat(32);
+
+describe('claim-bot', () => {
+  describe('bridges', () => {
+    const allBridges = {
+      EXPORT: { address: '0xExport', type: 'export', bridgeId: 1 },
+      IMPORT: { address: '0xImport', type: 'import_wrapper', bridgeId: 1 },
+      OTHER: { address: '0xOther', type: 'export', bridgeId: 2 },
+    };
+
+    it('should map bridge types to transfer events', () => {
+      expect(getTransferEventType('export')).toBe('NewExpatriation');
+      expect(getTransferEventType('import')).toBe('NewRepatriation');
+      expect(getTransferEventType('import_wrapper')).toBe('NewRepatriation');
+      expect(getTransferEventType('assistant')).toBeNull();
+    });
+
+    it('should find the claim bridge of a transfer bridge', () => {
+      expect(getClaimBridge(allBridges.EXPORT, allBridges)).toBe(allBridges.IMPORT);
+      expect(getClaimBridge(allBridges.IMPORT, allBridges)).toBe(allBridges.EXPORT);
+      expect(getClaimBridge(allBridges.OTHER, allBridges)).toBeNull();
+    });
+  });
+
+  describe('decodeTransferEvent', () => {
+    it('should decode a NewExpatriation log', () => {
+      const iface = new ethers.utils.Interface(getBridgeABI('export'));
+      const log = iface.encodeEventLog(iface.getEvent('NewExpatriation'), [SENDER, bn(1000), bn(10), RECIPIENT, '']);
+      const transfer = decodeTransferEvent(
+        { ...log, transactionHash: TXID, blockNumber: 5, rawLog: { blockTimestamp: '0x64' } },
+        { address: '0xExport', type: 'export' }
+      );
+
+      expect(transfer).toMatchObject({
+        eventType: 'NewExpatriation',
+        txid: TXID,
+        blockNumber: 5,
+        senderAddress: SENDER,
+        recipientAddress: RECIPIENT,
+        data: '',
+        timestamp: 100,
+      });
+      expect(transfer.amount.toString()).toBe('1000');
+      expect(transfer.reward.toString()).toBe('10');
+    });
+
+    it('should decode a NewRepatriation log without a block timestamp', () => {
+      const iface = new ethers.utils.Interface(getBridgeABI('import'));
+      const log = iface.encodeEventLog(iface.getEvent('NewRepatriation'), [SENDER, bn(500), bn(5), RECIPIENT, '{"a":1}']);
+      const transfer = decodeTransferEvent({ ...log, transactionHash: TXID, blockNumber: 7 }, { address: '0xImport', type: 'import' });
+
+      expect(transfer).toMatchObject({ eventType: 'NewRepatriation', recipientAddress: RECIPIENT, data: '{"a":1}' });
+      expect(transfer.timestamp).toBeUndefined();
+    });
+  });
+
+  describe('checkTransferClaimable', () => {
+    const transfer = { txid: TXID, recipientAddress: RECIPIENT, amount: bn(1000), reward: bn(10), timestamp: 1000 };
+    const check = (overrides = {}, params = {}) => checkTransferClaimable({
+      transfer: { ...transfer, ...overrides },
+      account: BOT,
+      now: 2000,
+      minTxAge: 600,
+      claimedTxids: new Set(),
+      ...params,
+    });
+
+    it('should accept an old enough transfer with a reward', () => {
+      expect(check()).toEqual({ claimable: true, reason: null });
+    });
+
+    it('should report why a transfer is not claimable', () => {
+      expect(check({}, { claimedTxids: new Set([TXID.toLowerCase()]) }).reason).toBe('already_claimed');
+      expect(check({ recipientAddress: 'not-an-address' }).reason).toBe('invalid_recipient');
+      expect(check({ recipientAddress: BOT.toUpperCase().replace('0X', '0x') }).reason).toBe('own_transfer');
+      expect(check({ reward: bn(0) }).reason).toBe('no_reward');
+      expect(check({ reward: bn(-1) }).reason).toBe('no_reward');
+      expect(check({ reward: bn(1000) }).reason).toBe('reward_too_large');
+      expect(check({}, { now: 1599 }).reason).toBe('too_early');
+    });
+  });
+
+  describe('claim math', () => {
+    it('should build claim arguments with checksummed addresses', () => {
+      const transfer = { txid: TXID, timestamp: 1000, amount: bn(1000), reward: bn(10), senderAddress: SENDER, recipientAddress: RECIPIENT, data: '' };
+      const args = buildClaimArgs(transfer, bn(200));
+
+      expect(args[0]).toBe(TXID);
+      expect(args[1]).toBe(1000);
+      expect(args[4].toString()).toBe('200');
+      expect(args[6]).toBe(ethers.utils.getAddress(RECIPIENT));
+      expect(args).toHaveLength(8);
+    });
+
+    it('should convert gas cost to stake tokens', () => {
+      expect(getGasCostInStakeTokens(100000, bn(2), { num: 3, den: 2 }).toString()).toBe('300000');
+      expect(getGasCostInStakeTokens(bn(100000), bn(2), { num: 1, den: 1 }).toString()).toBe('200000');
+    });
+
+    it('should evaluate profitability against gas cost and locked capital', () => {
+      const params = { amount: bn(1000), reward: bn(100), requiredStake: bn(500), gasCost: bn(40), transferPrice: { num: 2, den: 1 } };
+      const result = evaluateClaimProfitability(params);
+
+      expect(result.paidAmount.toString()).toBe('900');
+      expect(result.rewardInStakeTokens.toString()).toBe('200');
+      expect(result.lockedCapital.toString()).toBe('2300');
+      expect(result.profit.toString()).toBe('160');
+      expect(result.isProfitable).toBe(true);
+
+      expect(evaluateClaimProfitability({ ...params, gasCost: bn(200) }).isProfitable).toBe(false);
+      // 160 / 2300 is below 7%
+      expect(evaluateClaimProfitability({ ...params, minProfitBps: 700 }).isProfitable).toBe(false);
+      expect(evaluateClaimProfitability({ ...params, minProfitBps: 600 }).isProfitable).toBe(true);
+    });
+
+    it('should only approve what the claim pulls with transferFrom', () => {
+      const erc20Context = { stakeTokenAddress: '0x4444444444444444444444444444444444444444' };
+      expect(getClaimApprovalAmount(erc20Context, { type: 'export' }, bn(200), bn(900)).toString()).toBe('1100');
+      expect(getClaimApprovalAmount(erc20Context, { type: 'import' }, bn(200), bn(900)).toString()).toBe('200');
+      expect(getClaimApprovalAmount({ stakeTokenAddress: ADDRESS_ZERO }, { type: 'export' }, bn(200), bn(900)).isZero()).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+import { ethers } from 'ethers';
+import {
+  isClaimNum,
+  buildClaimId,
+  parseClaimId,
+  resolveClaimNum,
+  validateWithdrawAddress,
+  getWithdrawCall,
+  getChallengeCall,
+  previewWithdrawal,
+} from '../claim-id';
+
+const RECIPIENT = '0x1111111111111111111111111111111111111111';
+const COLD_WALLET = '0x2222222222222222222222222222222222222222';
+const TXID = '0x' + 'ab'.repeat(32);
+
+describe('claim-id', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should build claim ids like getClaimId and parse them back', () => {
+    const claimId = buildClaimId({
+      senderAddress: 'd1Fz4sender',
+      recipientAddress: RECIPIENT,
+      txid: TXID,
+      txts: 1700000000,
+      amount: ethers.BigNumber.from('1000000'),
+      reward: '-5',
+      data: '{"a":"b_c"}',
+    });
+    expect(claimId).toBe(`d1Fz4sender_${RECIPIENT.slice(2)}_${TXID}_1700000000_1000000_-5_{"a":"b_c"}`);
+
+    const fields = parseClaimId(claimId);
+    expect(fields).toMatchObject({ senderAddress: 'd1Fz4sender', recipientAddress: RECIPIENT, txid: TXID, txts: 1700000000, data: '{"a":"b_c"}' });
+    expect(fields.amount.toString()).toBe('1000000');
+    expect(fields.reward.toString()).toBe('-5');
+    expect(parseClaimId(claimId.replace('_{"a":"b_c"}', '_')).data).toBe('');
+
+    expect(() => parseClaimId('12')).toThrow('Invalid claim id');
+    expect(() => parseClaimId(claimId.replace('1700000000', 'soon'))).toThrow('Invalid claim id');
+    expect(isClaimNum('12')).toBe(true);
+    expect(isClaimNum('0')).toBe(false);
+    expect(isClaimNum(claimId)).toBe(false);
+  });
+
+  it('should pick the overloads for claim numbers, claim ids and other recipients', async () => {
+    expect(validateWithdrawAddress('')).toEqual({ address: null, error: null });
+    expect(validateWithdrawAddress('0x123').error).toBe('Invalid address');
+    expect(validateWithdrawAddress(ethers.constants.AddressZero).error).toMatch('zero address');
+    expect(validateWithdrawAddress(COLD_WALLET.toUpperCase().replace('0X', '0x'))).toEqual({ address: COLD_WALLET, error: null });
+
+    expect(getWithdrawCall({ claimNum: '7' })).toEqual({ signature: 'withdraw(uint256)', args: [ethers.BigNumber.from(7)] });
+    expect(getWithdrawCall({ claimNum: '7', toAddress: COLD_WALLET })).toEqual({
+      signature: 'withdraw(uint256,address)',
+      args: [ethers.BigNumber.from(7), COLD_WALLET],
+    });
+    expect(getWithdrawCall({ claimNum: '7', claimId: 'id', toAddress: COLD_WALLET }).signature).toBe('withdraw(string,address)');
+    expect(getChallengeCall({ claimNum: '7', claimId: 'id', outcome: 0, stake: 5 })).toEqual({
+      signature: 'challenge(string,uint8,uint256)',
+      args: ['id', 0, 5],
+    });
+
+    const contract = { claim_nums: jest.fn(async (claimId) => ethers.BigNumber.from(claimId === 'id' ? 7 : 0)) };
+    expect((await resolveClaimNum(contract, 'id')).toNumber()).toBe(7);
+    expect(await resolveClaimNum(contract, 'unknown')).toBeNull();
+  });
+
+  it('should preview the payout of the address withdrawn for', async () => {
+    const details = {
+      amount: ethers.BigNumber.from(1000),
+      claimant_address: RECIPIENT,
+      current_outcome: 1,
+      withdrawn: false,
+      yes_stake: ethers.BigNumber.from(300),
+      no_stake: ethers.BigNumber.from(100),
+    };
+    const stakes = { [RECIPIENT]: 200, [COLD_WALLET]: 100 };
+    const contract = { stakes: jest.fn(async (claimNum, outcome, address) => ethers.BigNumber.from(stakes[address] || 0)) };
+
+    const claimant = await previewWithdrawal({ contract, claimNum: 7, details, address: RECIPIENT });
+    expect(claimant.claimedAmount.toNumber()).toBe(1000);
+    expect(claimant.stakePayout.toNumber()).toBe(266);
+
+    const staker = await previewWithdrawal({ contract, claimNum: 7, details, address: COLD_WALLET });
+    expect(contract.stakes).toHaveBeenLastCalledWith(7, 1, COLD_WALLET);
+    expect(staker).toMatchObject({ hasPayout: true });
+    expect(staker.claimedAmount.isZero()).toBe(true);
+    expect(staker.stakePayout.toNumber()).toBe(133);
+
+    const outsider = await previewWithdrawal({ contract, claimNum: 7, details, address: ethers.constants.AddressZero.replace(/0$/, '3') });
+    expect(outsider.hasPayout).toBe(false);
+  });
+});
@@ -0,0 +1,197 @@
+import {
+  compareConfigEntry,
+  isBridgePair,
+  assignBridgeIds,
+  generateConfigChanges,
+  countAdditions,
+  buildNetworksPatch,
+} from '../config-generator';
+import { autoDetectBridge } from '../bridge-detector';
+import { autoDetectToken } from '../token-detector';
+import { autoDetectAssistant } from '../assistant-detector';
+import { updateBridgeInfoFromRegistry, hasBridgesRegistry } from '../update-bridge-info';
+import { ADDRESS_ZERO, P3D_PRECOMPILE_ADDRESS } from '../../config/networks';
+
+jest.mock('../bridge-detector');
+jest.mock('../token-detector');
+jest.mock('../assistant-detector');
+jest.mock('../update-bridge-info');
+
+const P3D_IMPORT = '0x4f3a4e37701402C61146071309e45A15843025E1';
+const P3D_EXPORT = '0x50fcE1D58b41c3600C74de03238Eee71aFDfBf1F';
+const FIRE_EXPORT = '0x1111111111111111111111111111111111111111';
+const FIRE = '0xfBFBfbFA0000000000000000000000000000000a';
+const FIRE_ASSISTANT = '0x2222222222222222222222222222222222222222';
+const ORACLE = '0xD69cdEF8cD89F1b47d820f4b4d7133DB66E3Fc7F';
+
+const p3dImport = {
+  address: P3D_IMPORT,
+  type: 'import',
+  homeNetwork: '3dpass',
+  homeTokenAddress: P3D_PRECOMPILE_ADDRESS,
+  foreignNetwork: 'Ethereum',
+  foreignTokenAddress: P3D_IMPORT,
+  stakeTokenAddress: ADDRESS_ZERO,
+  oracleAddress: ORACLE,
+  bridgeId: 19,
+};
+const p3dExport = { ...p3dImport, address: P3D_EXPORT, type: 'export', stakeTokenAddress: P3D_PRECOMPILE_ADDRESS, oracleAddress: undefined };
+
+const fireExport = {
+  address: FIRE_EXPORT,
+  type: 'export',
+  homeNetwork: '3dpass',
+  homeTokenSymbol: 'FIRE',
+  homeTokenAddress: FIRE,
+  foreignNetwork: 'Ethereum',
+  foreignTokenSymbol: 'FIRE',
+  foreignTokenAddress: '0x3333333333333333333333333333333333333333',
+  stakeTokenSymbol: 'FIRE',
+  stakeTokenAddress: FIRE,
+  description: 'FIRE Export',
+  oracleNeedsAddition: false,
+};
+
+const networks = {
+  ETHEREUM: { name: 'Ethereum', bridges: { P3D_IMPORT: p3dImport }, tokens: { ETH: { address: ADDRESS_ZERO }, P3D: { address: P3D_IMPORT } } },
+  THREEDPASS: {
+    name: '3dpass',
+    bridges: { P3D_EXPORT: p3dExport },
+    tokens: { P3D: { address: P3D_PRECOMPILE_ADDRESS, symbol: 'P3D', decimals: 18 } },
+    assistants: {},
+  },
+};
+
+const source = `export const NETWORKS = {
+  ETHEREUM: {
+    bridges: {
+      P3D_IMPORT: {
+        address: '${P3D_IMPORT}',
+        bridgeId: 19
+      }
+    },
+  },
+  THREEDPASS: {
+    rpcUrl: 'https://rpc.example', // Mainnet
+  }
+};
+`;
+
+describe('config-generator', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation();
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it('should only compare fields set in the config', () => {
+    expect(compareConfigEntry('bridges', p3dExport, { ...p3dExport, oracleAddress: ORACLE })).toEqual([]);
+    expect(compareConfigEntry('bridges', p3dImport, { ...p3dImport, oracleAddress: ORACLE.toLowerCase(), stakeTokenAddress: FIRE }))
+      .toEqual([{ field: 'stakeTokenAddress', configured: ADDRESS_ZERO, onChain: FIRE }]);
+    expect(compareConfigEntry('tokens', { symbol: 'USDT', decimals: 6 }, { symbol: 'USDT', decimals: '6' })).toEqual([]);
+  });
+
+  it('should reuse the bridgeId of the counterpart or share a new one within a pair', () => {
+    expect(isBridgePair(p3dImport, p3dExport)).toBe(true);
+    expect(isBridgePair(p3dImport, { ...p3dExport, type: 'import' })).toBe(false);
+
+    const fireImport = { ...fireExport, address: '0x3333333333333333333333333333333333333333', type: 'import' };
+    const p3dExportCopy = { ...p3dExport, bridgeId: undefined, address: FIRE_EXPORT };
+    expect(assignBridgeIds([fireExport, p3dExportCopy, fireImport], [p3dImport, p3dExport]).map(bridge => bridge.bridgeId))
+      .toEqual([20, 19, 20]);
+  });
+
+  it('should report disagreements and collect new entries from the registry', async () => {
+    hasBridgesRegistry.mockImplementation(networkKey => networkKey === 'THREEDPASS');
+    autoDetectBridge.mockImplementation(async (provider, address) => (address === P3D_IMPORT
+      ? { success: true, bridgeConfig: { ...p3dImport, oracleAddress: FIRE } }
+      : { success: false, message: 'Not a bridge' }));
+    const tokens = {
+      [FIRE]: { symbol: 'FIRE', decimals: '18', name: 'Fire', isPrecompile: true, isNative: false, assetId: '10', standard: 'ERC20', isTestToken: false },
+      [FIRE_ASSISTANT]: { symbol: 'FIREA', decimals: '18' },
+      [P3D_IMPORT]: { symbol: 'P3D', decimals: '18' },
+      [P3D_PRECOMPILE_ADDRESS]: { symbol: 'P3D', decimals: '18' },
+    };
+    autoDetectToken.mockImplementation(async (provider, address) => ({ success: true, tokenInfo: { address, ...tokens[address] } }));
+    autoDetectAssistant.mockResolvedValue({ success: false, message: 'Not an assistant' });
+    updateBridgeInfoFromRegistry.mockResolvedValue({
+      success: true,
+      bridges: { P3D_EXPORT: p3dExport, FIRE_EXPORT: fireExport },
+      assistants: { FIRE_EXPORT_ASSISTANT: { address: FIRE_ASSISTANT, type: 'export', bridgeAddress: FIRE_EXPORT, shareSymbol: 'FIREA', key: 'FIRE_EXPORT_ASSISTANT', createdAt: 1 } },
+      errors: { bridges: [{ address: '0x4444444444444444444444444444444444444444', error: 'Unknown bridge type' }], assistants: [] },
+    });
+
+    const { additions, disagreements, errors } = await generateConfigChanges({ ETHEREUM: {}, THREEDPASS: {} }, networks);
+
+    expect(disagreements).toEqual([
+      { networkKey: 'ETHEREUM', section: 'bridges', key: 'P3D_IMPORT', address: P3D_IMPORT, field: 'oracleAddress', configured: ORACLE, onChain: FIRE },
+      { networkKey: 'THREEDPASS', section: 'bridges', key: 'P3D_EXPORT', address: P3D_EXPORT, field: null, message: 'Not a bridge' },
+    ]);
+    expect(errors).toEqual([{ networkKey: 'THREEDPASS', address: '0x4444444444444444444444444444444444444444', message: 'Unknown bridge type' }]);
+    expect(countAdditions(additions)).toBe(4);
+    expect(additions.THREEDPASS.bridges.FIRE_EXPORT).toEqual({
+      address: FIRE_EXPORT,
+      type: 'export',
+      homeNetwork: '3dpass',
+      homeTokenSymbol: 'FIRE',
+      homeTokenAddress: FIRE,
+      foreignNetwork: 'Ethereum',
+      foreignTokenSymbol: 'FIRE',
+      foreignTokenAddress: '0x3333333333333333333333333333333333333333',
+      stakeTokenSymbol: 'FIRE',
+      stakeTokenAddress: FIRE,
+      description: 'FIRE Export',
+      isIssuerBurner: false,
+      bridgeId: 20,
+    });
+    expect(additions.THREEDPASS.assistants).toEqual({
+      FIRE_EXPORT_ASSISTANT: { address: FIRE_ASSISTANT, type: 'export', bridgeAddress: FIRE_EXPORT, shareSymbol: 'FIREA' },
+    });
+    expect(Object.keys(additions.THREEDPASS.tokens)).toEqual(['FIRE', 'FIREA']);
+    expect(additions.THREEDPASS.tokens.FIRE).toMatchObject({ decimals: 18, assetId: 10 });
+    expect(additions.THREEDPASS.tokens.FIRE.isTestToken).toBeUndefined();
+  });
+
+  describe('buildNetworksPatch', () => {
+    const additions = {
+      ETHEREUM: { bridges: { FIRE_IMPORT: { address: FIRE_EXPORT, stakeTokenAddress: ADDRESS_ZERO, description: "FIRE's import", bridgeId: 20 } } },
+      THREEDPASS: { tokens: { FIRE: { address: FIRE, decimals: 18 } } },
+    };
+
+    it('should insert entries into their sections, creating missing ones', () => {
+      const { source: updated } = buildNetworksPatch(source, additions);
+
+      expect(updated).toContain(`        bridgeId: 19
+      },
+      FIRE_IMPORT: {
+        address: '${FIRE_EXPORT}',
+        stakeTokenAddress: ADDRESS_ZERO,
+        description: 'FIRE\\'s import',
+        bridgeId: 20,
+      },
+    },`);
+      expect(updated).toContain(`    rpcUrl: 'https://rpc.example', // Mainnet
+    tokens: {
+      FIRE: {
+        address: '${FIRE}',
+        decimals: 18,
+      },
+    },
+  }
+};`);
+    });
+
+    it('should describe the insertions as a unified diff', () => {
+      const { patch } = buildNetworksPatch(source, additions, 'networks.js');
+
+      expect(patch.split('\n').slice(0, 4)).toEqual(['diff --git a/networks.js b/networks.js', '--- a/networks.js', '+++ b/networks.js', '@@ -4,10 +4,22 @@']);
+      expect(patch).toContain(`-      }\n+      },\n+      FIRE_IMPORT: {`);
+      expect(patch).toContain(`     rpcUrl: 'https://rpc.example', // Mainnet\n+    tokens: {`);
+      expect(buildNetworksPatch(source, { ETHEREUM: { bridges: {} } })).toEqual({ source, patch: null });
+      expect(() => buildNetworksPatch(source, { BSC: { tokens: { X: {} } } })).toThrow('Network BSC not found');
+    });
+  });
+});
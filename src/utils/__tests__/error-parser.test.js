@@ -195,6 +195,20 @@ describe('error-parser', () => {
 
         expect(result.type).toBe('contract_error');
       });
+
+      it('should keep the message of a failed batch sub-call', () => {
+        const error = new Error('Claim failed (step 2 of 2): execution reverted: not enough stake');
+        error.failedCall = { index: 1, label: 'Claim', reason: 'execution reverted: not enough stake' };
+        const result = parseTransactionError(error);
+
+        expect(result).toEqual({
+          type: 'subcall_error',
+          title: 'Claim Failed',
+          message: 'Claim failed (step 2 of 2): execution reverted: not enough stake',
+          canRetry: true,
+          isUserError: false
+        });
+      });
     });
 
     describe('unknown errors', () => {
@@ -0,0 +1,200 @@
+import { ethers } from 'ethers';
+import {
+  DB_VERSION,
+  STORES,
+  LEGACY_STORAGE_KEYS,
+  runMigrations,
+  normalizeClaimNum,
+  getEventKey,
+  toEventRecord,
+  getCheckpointId,
+  readLegacyCache,
+  isEventStoreAvailable,
+  getAllEvents,
+  putEvents,
+} from '../event-store';
+
+const TX_HASH = '0x' + 'AB'.repeat(32);
+const BRIDGE = '0x00D5f00250434e76711e8127A37c6f84dBbDAA4C';
+
+// Minimal IDBDatabase stand-in recording the created stores and indexes
+const createMockDb = () => {
+  const stores = {};
+  return {
+    stores,
+    createObjectStore: (name, options) => {
+      const store = { options, indexes: {}, createIndex: (indexName, keyPath) => { store.indexes[indexName] = keyPath; } };
+      stores[name] = store;
+      return store;
+    },
+  };
+};
+
+// In-memory IndexedDB with just the requests the store makes, callbacks fire on later ticks like the real one
+const createMemoryIndexedDB = () => {
+  const data = {};
+  const request = (result) => {
+    const req = { result };
+    setTimeout(() => req.onsuccess?.());
+    return req;
+  };
+  const db = {
+    createObjectStore: (name, { keyPath }) => {
+      data[name] = { keyPath, records: new Map() };
+      return { createIndex: () => {} };
+    },
+    transaction: () => {
+      const tx = {
+        objectStore: (name) => {
+          const { keyPath, records } = data[name];
+          return {
+            get: key => request(records.get(key)),
+            getAll: () => request([...records.values()]),
+            put: (record) => { records.set(record[keyPath], record); },
+          };
+        },
+      };
+      // Completes after the requests made right after it was created
+      setTimeout(() => setTimeout(() => tx.oncomplete?.()));
+      return tx;
+    },
+  };
+  return {
+    open: () => {
+      const req = { result: db };
+      setTimeout(() => {
+        req.onupgradeneeded({ oldVersion: 0, newVersion: DB_VERSION });
+        req.onsuccess();
+      });
+      return req;
+    },
+  };
+};
+
+describe('event-store', () => {
+  describe('runMigrations', () => {
+    it('should create all stores and indexes for a new database', () => {
+      const db = createMockDb();
+      runMigrations(db, 0, DB_VERSION);
+
+      expect(Object.keys(db.stores).sort()).toEqual(Object.values(STORES).sort());
+      expect(Object.keys(db.stores[STORES.TRANSFERS].indexes)).toEqual(['networkKey', 'bridgeAddress', 'txid', 'blockNumber']);
+      expect(db.stores[STORES.CLAIMS].indexes.bridgeClaim).toEqual(['bridgeAddress', 'claimNum']);
+    });
+
+    it('should skip migrations that already ran and fail on missing ones', () => {
+      const db = createMockDb();
+      runMigrations(db, DB_VERSION, DB_VERSION);
+      expect(db.stores).toEqual({});
+      expect(() => runMigrations(db, DB_VERSION, DB_VERSION + 1)).toThrow(`Missing event store migration to version ${DB_VERSION + 1}`);
+    });
+  });
+
+  it('should normalize claim numbers from any serialized form', () => {
+    expect(normalizeClaimNum(ethers.BigNumber.from(12))).toBe('12');
+    expect(normalizeClaimNum(JSON.parse(JSON.stringify(ethers.BigNumber.from(12))))).toBe('12');
+    expect(normalizeClaimNum({ _hex: '0x0c', _isBigNumber: true })).toBe('12');
+    expect(normalizeClaimNum(12)).toBe('12');
+    expect(normalizeClaimNum(undefined)).toBeUndefined();
+    expect(normalizeClaimNum('not-a-number')).toBeUndefined();
+  });
+
+  describe('toEventRecord', () => {
+    it('should derive index keys from a claim', () => {
+      const claim = {
+        transactionHash: TX_HASH,
+        txid: TX_HASH,
+        networkKey: 'THREEDPASS',
+        bridgeAddress: BRIDGE,
+        actualClaimNum: ethers.BigNumber.from(7),
+        blockNumber: 100,
+        amount: ethers.BigNumber.from(1000),
+      };
+      const record = toEventRecord(claim);
+
+      expect(record).toMatchObject({
+        id: `${BRIDGE.toLowerCase()}:7`,
+        networkKey: 'THREEDPASS',
+        bridgeAddress: BRIDGE.toLowerCase(),
+        txid: TX_HASH.toLowerCase(),
+        claimNum: '7',
+        blockNumber: 100,
+      });
+      // Stored in the same JSON shape the localStorage cache used
+      expect(record.event.amount).toEqual({ type: 'BigNumber', hex: '0x03e8' });
+    });
+
+    it('should fall back to the bridge and claim number without a transaction hash', () => {
+      const record = toEventRecord({ bridgeAddress: BRIDGE, claimNum: 3 });
+      expect(record.id).toBe(`${BRIDGE.toLowerCase()}:3`);
+      expect(record.blockNumber).toBe(0);
+      expect(record.networkKey).toBeUndefined();
+    });
+  });
+
+  it('should key every event of a transaction separately', () => {
+    const claims = [1, 2].map(claimNum => ({ transactionHash: TX_HASH, bridgeAddress: BRIDGE, claimNum, logIndex: claimNum }));
+    expect(claims.map(getEventKey)).toEqual([`${BRIDGE.toLowerCase()}:1`, `${BRIDGE.toLowerCase()}:2`]);
+    // Transfers batched in one transaction differ by log index
+    const transfers = [0, 5].map(logIndex => ({ transactionHash: TX_HASH, txid: TX_HASH, bridgeAddress: BRIDGE, logIndex }));
+    expect(transfers.map(getEventKey)).toEqual([`${BRIDGE.toLowerCase()}:${TX_HASH.toLowerCase()}:0`, `${BRIDGE.toLowerCase()}:${TX_HASH.toLowerCase()}:5`]);
+    expect(getEventKey({ transactionHash: TX_HASH, logIndex: '0x3' })).toBe(`${TX_HASH.toLowerCase()}:3`);
+  });
+
+  it('should build checkpoint ids per bridge and scope', () => {
+    expect(getCheckpointId({ networkKey: 'ETHEREUM', bridgeAddress: BRIDGE })).toBe(`ETHEREUM:${BRIDGE.toLowerCase()}:all`);
+    expect(getCheckpointId({ networkKey: 'ETHEREUM', bridgeAddress: BRIDGE, scope: 'NewClaim' })).toBe(`ETHEREUM:${BRIDGE.toLowerCase()}:NewClaim`);
+  });
+
+  describe('readLegacyCache', () => {
+    it('should read the previous localStorage cache', () => {
+      const storage = {
+        [LEGACY_STORAGE_KEYS.TRANSFERS]: JSON.stringify([{ transactionHash: TX_HASH }]),
+        [LEGACY_STORAGE_KEYS.CLAIMS]: JSON.stringify([{ transactionHash: TX_HASH, claimNum: 1 }]),
+        [LEGACY_STORAGE_KEYS.AGGREGATED]: JSON.stringify({ completedTransfers: [] }),
+        [LEGACY_STORAGE_KEYS.TIMESTAMP]: '1700000000000',
+      };
+      const legacy = readLegacyCache({ getItem: key => storage[key] ?? null });
+
+      expect(legacy.transfers).toHaveLength(1);
+      expect(legacy.claims).toHaveLength(1);
+      expect(legacy.aggregated).toEqual({ completedTransfers: [] });
+      expect(legacy.settings).toBeNull();
+      expect(legacy.timestamp).toBe(1700000000000);
+    });
+
+    it('should tolerate missing and corrupted entries', () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const legacy = readLegacyCache({ getItem: key => (key === LEGACY_STORAGE_KEYS.CLAIMS ? '{broken' : null) });
+      expect(legacy).toEqual({ transfers: [], claims: [], aggregated: null, settings: null, timestamp: null });
+      console.warn.mockRestore();
+    });
+  });
+
+  it('should resolve to empty results without IndexedDB', async () => {
+    expect(isEventStoreAvailable()).toBe(false);
+    await expect(getAllEvents(STORES.CLAIMS)).resolves.toEqual([]);
+    await expect(putEvents(STORES.CLAIMS, [{ transactionHash: TX_HASH }])).resolves.toBe(false);
+  });
+
+  it('should keep all claims and transfers made in one transaction', async () => {
+    global.indexedDB = createMemoryIndexedDB();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    try {
+      const claim = { transactionHash: TX_HASH, bridgeAddress: BRIDGE, networkKey: 'THREEDPASS', blockNumber: 100 };
+      await expect(putEvents(STORES.CLAIMS, [{ ...claim, claimNum: 1, logIndex: 0 }, { ...claim, claimNum: 2, logIndex: 1 }])).resolves.toBe(true);
+      await putEvents(STORES.CLAIMS, [{ ...claim, claimNum: 2, logIndex: 1, status: 'claimed' }]);
+
+      const stored = await getAllEvents(STORES.CLAIMS);
+      expect(stored.map(event => event.claimNum).sort()).toEqual([1, 2]);
+      expect(stored.find(event => event.claimNum === 2).status).toBe('claimed');
+
+      const transfer = { transactionHash: TX_HASH, bridgeAddress: BRIDGE, blockNumber: 100 };
+      await putEvents(STORES.TRANSFERS, [{ ...transfer, logIndex: 2 }, { ...transfer, logIndex: 4 }]);
+      expect((await getAllEvents(STORES.TRANSFERS)).map(event => event.logIndex).sort()).toEqual([2, 4]);
+    } finally {
+      delete global.indexedDB;
+      console.log.mockRestore();
+    }
+  });
+});
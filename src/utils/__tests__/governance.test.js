@@ -0,0 +1,187 @@
+import { ethers } from 'ethers';
+import {
+  GOVERNANCE_PARAMETERS,
+  getVotedValueABI,
+  getUintArrayKey,
+  votedValuesEqual,
+  readUintArray,
+  parseParameterValue,
+  formatParameterValue,
+  formatDuration,
+  getVotingStatus,
+} from '../governance';
+import { VOTED_VALUE_UINT_ABI, VOTED_VALUE_ADDRESS_ABI, VOTED_VALUE_UINT_ARRAY_ABI } from '../../contracts/abi';
+
+const getParameter = (name) => GOVERNANCE_PARAMETERS.find(p => p.name === name);
+
+describe('governance', () => {
+  describe('GOVERNANCE_PARAMETERS', () => {
+    it('should cover the parameters registered by Counterstake and Import setupGovernance', () => {
+      const names = GOVERNANCE_PARAMETERS.map(p => p.name);
+      expect(names).toEqual(expect.arrayContaining([
+        'ratio100',
+        'counterstake_coef100',
+        'min_stake',
+        'min_tx_age',
+        'large_threshold',
+        'challenging_periods',
+        'large_challenging_periods',
+        'oracleAddress',
+        'min_price20',
+      ]));
+    });
+  });
+
+  describe('getVotedValueABI', () => {
+    it('should select the ABI by parameter type', () => {
+      expect(getVotedValueABI('uint')).toBe(VOTED_VALUE_UINT_ABI);
+      expect(getVotedValueABI('address')).toBe(VOTED_VALUE_ADDRESS_ABI);
+      expect(getVotedValueABI('uint[]')).toBe(VOTED_VALUE_UINT_ARRAY_ABI);
+    });
+
+    it('should throw for unknown types', () => {
+      expect(() => getVotedValueABI('bytes')).toThrow('Unknown voted value type: bytes');
+    });
+  });
+
+  describe('getUintArrayKey', () => {
+    it('should match keccak256(abi.encodePacked(uint[]))', () => {
+      const values = [3 * 86400, 7 * 86400];
+      const packed = ethers.utils.hexConcat(values.map(v => ethers.utils.hexZeroPad(ethers.utils.hexlify(v), 32)));
+      expect(getUintArrayKey(values)).toBe(ethers.utils.keccak256(packed));
+    });
+  });
+
+  describe('votedValuesEqual', () => {
+    it('should compare addresses case-insensitively', () => {
+      expect(votedValuesEqual('address', '0xAbC0000000000000000000000000000000000001', '0xabc0000000000000000000000000000000000001')).toBe(true);
+    });
+
+    it('should compare arrays element by element', () => {
+      expect(votedValuesEqual('uint[]', [1, 2], [ethers.BigNumber.from(1), ethers.BigNumber.from(2)])).toBe(true);
+      expect(votedValuesEqual('uint[]', [1, 2], [1])).toBe(false);
+    });
+
+    it('should return false for missing values', () => {
+      expect(votedValuesEqual('uint', null, 1)).toBe(false);
+    });
+  });
+
+  describe('readUintArray', () => {
+    it('should read elements until the getter reverts', async () => {
+      const stored = [10, 20, 30];
+      const contract = {
+        current_value: jest.fn(async (i) => {
+          if (i >= stored.length) throw new Error('revert');
+          return ethers.BigNumber.from(stored[i]);
+        }),
+      };
+
+      const result = await readUintArray(contract, 'current_value');
+
+      expect(result.map(v => v.toNumber())).toEqual(stored);
+      expect(contract.current_value).toHaveBeenCalledTimes(4);
+    });
+
+    it('should pass leading arguments to the getter', async () => {
+      const contract = {
+        choices: jest.fn(async (addr, i) => {
+          if (i > 0) throw new Error('revert');
+          return ethers.BigNumber.from(5);
+        }),
+      };
+
+      await readUintArray(contract, 'choices', ['0x0000000000000000000000000000000000000001']);
+
+      expect(contract.choices).toHaveBeenCalledWith('0x0000000000000000000000000000000000000001', 0);
+    });
+  });
+
+  describe('parseParameterValue', () => {
+    it('should parse token amounts with the stake token decimals', () => {
+      expect(parseParameterValue(getParameter('min_stake'), '1.5', 6).toString()).toBe('1500000');
+    });
+
+    it('should parse 20-decimal prices', () => {
+      expect(parseParameterValue(getParameter('min_price20'), '1').toString()).toBe('100000000000000000000');
+    });
+
+    it('should parse comma separated periods', () => {
+      const result = parseParameterValue(getParameter('challenging_periods'), '259200, 604800 1209600');
+      expect(result.map(v => v.toNumber())).toEqual([259200, 604800, 1209600]);
+    });
+
+    it('should reject fractional whole-number parameters', () => {
+      expect(() => parseParameterValue(getParameter('ratio100'), '1.5')).toThrow('Ratio must be a whole number');
+    });
+
+    it('should checksum addresses and reject invalid ones', () => {
+      expect(parseParameterValue(getParameter('oracleAddress'), '0xd69cdef8cd89f1b47d820f4b4d7133db66e3fc7f'))
+        .toBe('0xD69cdEF8cD89F1b47d820f4b4d7133DB66E3Fc7F');
+      expect(() => parseParameterValue(getParameter('oracleAddress'), '0x123')).toThrow('Invalid address');
+    });
+
+    it('should require a value', () => {
+      expect(() => parseParameterValue(getParameter('min_tx_age'), '  ')).toThrow('Value for Min transfer age is required');
+    });
+  });
+
+  describe('formatParameterValue', () => {
+    it('should format each parameter kind', () => {
+      expect(formatParameterValue(getParameter('ratio100'), ethers.BigNumber.from(110))).toBe('110%');
+      expect(formatParameterValue(getParameter('min_stake'), ethers.BigNumber.from('2000000'), 6)).toBe('2.0');
+      expect(formatParameterValue(getParameter('min_tx_age'), ethers.BigNumber.from(3600))).toBe('3600s (1h)');
+      expect(formatParameterValue(getParameter('challenging_periods'), [ethers.BigNumber.from(86400)])).toBe('86400s (1d)');
+      expect(formatParameterValue(getParameter('challenging_periods'), [])).toBe('-');
+      expect(formatParameterValue(getParameter('oracleAddress'), null)).toBe('-');
+    });
+  });
+
+  describe('formatDuration', () => {
+    it('should format durations', () => {
+      expect(formatDuration(0)).toBe('0s');
+      expect(formatDuration(90)).toBe('1m 30s');
+      expect(formatDuration(3 * 86400 + 12 * 3600)).toBe('3d 12h');
+    });
+  });
+
+  describe('getVotingStatus', () => {
+    const challengingPeriod = 10 * 86400;
+    const freezePeriod = 30 * 86400;
+    const start = 1700000000;
+    const baseState = {
+      type: 'uint',
+      currentValue: ethers.BigNumber.from(100),
+      leader: ethers.BigNumber.from(150),
+      challengingPeriodStartTs: start,
+      hasVote: false,
+      choice: null,
+    };
+
+    it('should allow commit only after the challenging period', () => {
+      expect(getVotingStatus(baseState, challengingPeriod, freezePeriod, start + challengingPeriod).canCommit).toBe(false);
+      const status = getVotingStatus(baseState, challengingPeriod, freezePeriod, start + challengingPeriod + 1);
+      expect(status.canCommit).toBe(true);
+      expect(status.commitAvailableAt).toBe(start + challengingPeriod);
+    });
+
+    it('should not offer commit when the leader equals the current value', () => {
+      const state = { ...baseState, leader: ethers.BigNumber.from(100) };
+      const status = getVotingStatus(state, challengingPeriod, freezePeriod, start + challengingPeriod * 2);
+      expect(status.canCommit).toBe(false);
+      expect(status.commitAvailableAt).toBeNull();
+    });
+
+    it('should lock votes for the leader until the freeze period ends', () => {
+      const state = { ...baseState, hasVote: true, choice: ethers.BigNumber.from(150) };
+      const unlockAt = start + challengingPeriod + freezePeriod;
+      expect(getVotingStatus(state, challengingPeriod, freezePeriod, unlockAt).voteLocked).toBe(true);
+      expect(getVotingStatus(state, challengingPeriod, freezePeriod, unlockAt + 1).voteLocked).toBe(false);
+    });
+
+    it('should not lock votes for other values', () => {
+      const state = { ...baseState, hasVote: true, choice: ethers.BigNumber.from(120) };
+      expect(getVotingStatus(state, challengingPeriod, freezePeriod, start + 1).voteLocked).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+import { ethers } from 'ethers';
+import {
+  MAX_LIVE_CLAIMS_PER_BRIDGE,
+  LIVE_CLAIM_STATUSES,
+  getLiveClaimBridges,
+  loadLiveClaims,
+  getLiveClaimStatus,
+  sortLiveClaims,
+} from '../live-claims';
+import { COUNTERSTAKE_ABI } from '../../contracts/abi';
+
+const EXPORT_BRIDGE = '0x1111111111111111111111111111111111111111';
+const IMPORT_BRIDGE = '0x2222222222222222222222222222222222222222';
+const RECIPIENT = '0x3333333333333333333333333333333333333333';
+
+const iface = new ethers.utils.Interface(COUNTERSTAKE_ABI);
+
+const makeClaim = (claimNum) => [
+  ethers.BigNumber.from(1000 + claimNum), RECIPIENT, 1700000000, 1700000100, RECIPIENT, 1700000000 + claimNum, 0, 1,
+  false, false, false, 'sender', '', ethers.BigNumber.from(10), ethers.BigNumber.from(0),
+];
+
+// Answers eth_call like a bridge whose ongoing claims are given
+const makeProvider = (ongoing) => ({
+  _isProvider: true,
+  call: jest.fn(async ({ data }) => {
+    const { name, args } = iface.parseTransaction({ data });
+    if (name === 'getOngoingClaimNums') return iface.encodeFunctionResult('getOngoingClaimNums', [ongoing]);
+    return iface.encodeFunctionResult('getClaim(uint256)', [makeClaim(args[0].toNumber())]);
+  }),
+});
+
+describe('live-claims', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should locate the claim network of the selected bridges', () => {
+    const networks = {
+      ETHEREUM: { bridges: { export: { address: EXPORT_BRIDGE } } },
+      THREEDPASS: { bridges: { import: { address: IMPORT_BRIDGE } } },
+    };
+    const bridges = {
+      export: { address: EXPORT_BRIDGE, type: 'export' },
+      import: { address: IMPORT_BRIDGE, type: 'import' },
+      unknown: { address: RECIPIENT, type: 'import' },
+    };
+
+    expect(getLiveClaimBridges({ bridges, networks }).map(b => [b.address, b.networkKey])).toEqual([
+      [EXPORT_BRIDGE, 'ETHEREUM'],
+      [IMPORT_BRIDGE, 'THREEDPASS'],
+    ]);
+    expect(getLiveClaimBridges({ bridges, networks, bridgeAddresses: [IMPORT_BRIDGE.toUpperCase().replace('0X', '0x')] }))
+      .toHaveLength(1);
+  });
+
+  it('should read ongoing claims over RPC and keep going when a bridge fails', async () => {
+    const ongoing = Array.from({ length: MAX_LIVE_CLAIMS_PER_BRIDGE + 5 }, (_, index) => index + 1);
+    const providers = {
+      ETHEREUM: makeProvider(ongoing),
+      THREEDPASS: { _isProvider: true, call: jest.fn(async () => { throw new Error('rpc down'); }) },
+    };
+    const bridges = [
+      { address: EXPORT_BRIDGE, networkKey: 'ETHEREUM' },
+      { address: IMPORT_BRIDGE, networkKey: 'THREEDPASS' },
+    ];
+
+    const { claims, totals, errors } = await loadLiveClaims({ bridges, getProvider: (networkKey) => providers[networkKey] });
+
+    expect(totals).toEqual({ [EXPORT_BRIDGE]: MAX_LIVE_CLAIMS_PER_BRIDGE + 5 });
+    expect(errors[IMPORT_BRIDGE]).toMatch('Failed to load ongoing claims');
+    expect(claims).toHaveLength(MAX_LIVE_CLAIMS_PER_BRIDGE);
+    // Newest first
+    expect(claims[0].claimNum.toNumber()).toBe(MAX_LIVE_CLAIMS_PER_BRIDGE + 5);
+    expect(claims[0].key).toBe(`${EXPORT_BRIDGE}:${MAX_LIVE_CLAIMS_PER_BRIDGE + 5}`);
+    expect(claims[0].details.amount.toNumber()).toBe(1000 + MAX_LIVE_CLAIMS_PER_BRIDGE + 5);
+  });
+
+  it('should put claims being challenged first, soonest expiry on top', () => {
+    const now = 1000;
+    const claim = (num, expiry, outcome) => ({ claimNum: num, details: { expiry_ts: expiry, current_outcome: outcome } });
+    const claims = [claim(1, 500, 1), claim(2, 2000, 0), claim(3, 900, 0), claim(4, 1500, 1)];
+
+    expect(sortLiveClaims(claims, now).map(c => c.claimNum)).toEqual([4, 2, 3, 1]);
+    expect(claims.map(c => getLiveClaimStatus(c.details, now))).toEqual([
+      LIVE_CLAIM_STATUSES.READY,
+      LIVE_CLAIM_STATUSES.CHALLENGING,
+      LIVE_CLAIM_STATUSES.REJECTED,
+      LIVE_CLAIM_STATUSES.CHALLENGING,
+    ]);
+  });
+});
@@ -1,4 +1,5 @@
 import { switchNetwork } from '../network-switcher';
+import { setWalletProvider } from '../wallet-providers';
 
 describe('network-switcher', () => {
   let mockEthereum;
@@ -165,6 +166,26 @@ describe('network-switcher', () => {
       });
     });
 
+    describe('connected wallet', () => {
+      afterEach(() => {
+        setWalletProvider(null);
+      });
+
+      it('should switch through the wallet the user connected with', async () => {
+        const connectedWallet = { request: jest.fn().mockResolvedValueOnce(null) };
+        setWalletProvider(connectedWallet);
+
+        const result = await switchNetwork(mockNetworkConfig);
+
+        expect(result).toBe(true);
+        expect(connectedWallet.request).toHaveBeenCalledWith({
+          method: 'wallet_switchEthereumChain',
+          params: [{ chainId: '0x1' }],
+        });
+        expect(mockEthereum.request).not.toHaveBeenCalled();
+      });
+    });
+
     describe('MetaMask not available', () => {
       it('should return false when window.ethereum is not available', async () => {
         global.window = {};
@@ -0,0 +1,151 @@
+import { ethers } from 'ethers';
+import {
+  NATIVE_ASSET,
+  PRICE_STATUS,
+  getStakePriceBase,
+  getRequiredPricePairs,
+  decimalToFraction,
+  fractionToDecimal,
+  getPriceStatus,
+  simulateRequiredStake,
+  getPriceUpdateTimes,
+  recordPriceUpdate,
+  getPairUpdatedAt,
+} from '../oracle-prices';
+import { ADDRESS_ZERO, P3D_PRECOMPILE_ADDRESS } from '../../config/networks';
+
+const ORACLE = '0xD69cdEF8cD89F1b47d820f4b4d7133DB66E3Fc7F';
+const USDT = '0xdAC17F958D2ee523a2206206994597C13D831ec7';
+
+const p3dImport = {
+  key: 'P3D_IMPORT',
+  type: 'import',
+  homeNetwork: '3dpass',
+  homeTokenSymbol: 'P3D',
+  homeTokenAddress: P3D_PRECOMPILE_ADDRESS,
+  foreignNetwork: 'Ethereum',
+  foreignTokenAddress: '0x4f3a4e37701402C61146071309e45A15843025E1',
+  stakeTokenSymbol: 'ETH',
+  stakeTokenAddress: ADDRESS_ZERO,
+  oracleAddress: ORACLE,
+};
+
+describe('oracle-prices', () => {
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  it('should price native home assets under the home network name', () => {
+    expect(getStakePriceBase(ADDRESS_ZERO, 'Ethereum')).toBe('Ethereum');
+    expect(getStakePriceBase('base', 'Obyte')).toBe('Obyte');
+    expect(getStakePriceBase(USDT, 'Ethereum')).toBe(USDT);
+  });
+
+  describe('getRequiredPricePairs', () => {
+    it('should list the pairs of the bridge creation procedure', () => {
+      const pairs = getRequiredPricePairs([p3dImport], ORACLE.toLowerCase(), 'Ethereum');
+
+      expect(pairs.map(pair => [pair.key, pair.usage])).toEqual([
+        [`${P3D_PRECOMPILE_ADDRESS}/${NATIVE_ASSET}`, 'stake'],
+        [`P3D/${NATIVE_ASSET}`, 'symbol'],
+        [`${NATIVE_ASSET}/P3D`, 'native'],
+      ]);
+      expect(pairs[0]).toMatchObject({ baseToken: p3dImport.foreignTokenAddress, quoteToken: ADDRESS_ZERO, bridges: ['P3D_IMPORT'] });
+    });
+
+    it('should add the assistant pair for token stakes and merge shared pairs', () => {
+      const usdtImport = {
+        ...p3dImport,
+        key: 'USDT_IMPORT',
+        type: 'import_wrapper',
+        homeNetwork: 'Ethereum',
+        homeTokenSymbol: 'USDT',
+        homeTokenAddress: USDT,
+        stakeTokenSymbol: 'P3D',
+        stakeTokenAddress: P3D_PRECOMPILE_ADDRESS,
+      };
+      const pairs = getRequiredPricePairs([usdtImport, { ...usdtImport, key: 'USDT_IMPORT_2' }], ORACLE, 'Ethereum');
+
+      expect(pairs.map(pair => pair.key)).toEqual([`${USDT}/P3D`, `USDT/${NATIVE_ASSET}`, `${NATIVE_ASSET}/USDT`, `${NATIVE_ASSET}/P3D`]);
+      expect(pairs[0].bridges).toEqual(['USDT_IMPORT', 'USDT_IMPORT_2']);
+    });
+
+    it('should skip export bridges, other oracles and other networks', () => {
+      const bridges = [
+        { ...p3dImport, key: 'EXPORT', type: 'export' },
+        { ...p3dImport, key: 'OTHER_ORACLE', oracleAddress: USDT },
+        { ...p3dImport, key: 'BSC', foreignNetwork: 'BSC' },
+      ];
+      expect(getRequiredPricePairs(bridges, ORACLE, 'Ethereum')).toEqual([]);
+    });
+  });
+
+  describe('decimalToFraction', () => {
+    it('should reduce decimal prices to a fraction', () => {
+      const { num, den } = decimalToFraction('0.0025');
+      expect([num.toString(), den.toString()]).toEqual(['1', '400']);
+      expect(decimalToFraction('12').num.toString()).toBe('12');
+      expect(decimalToFraction('.5').den.toString()).toBe('2');
+    });
+
+    it('should scale the fraction to smallest units', () => {
+      // 1 USDT (6 decimals) = 25 P3D (18 decimals)
+      const { num, den } = decimalToFraction('25', { baseDecimals: 6, quoteDecimals: 18 });
+      expect(num.toString()).toBe('25000000000000');
+      expect(den.toString()).toBe('1');
+      expect(fractionToDecimal(num, den, { baseDecimals: 6, quoteDecimals: 18 })).toBe('25');
+    });
+
+    it('should reject invalid prices', () => {
+      expect(() => decimalToFraction('abc')).toThrow('Invalid price: abc');
+      expect(() => decimalToFraction('')).toThrow('Invalid price: empty');
+      expect(() => decimalToFraction('0.000')).toThrow('Price must be positive');
+    });
+  });
+
+  it('should format fractions as decimal prices', () => {
+    expect(fractionToDecimal(1, 400)).toBe('0.0025');
+    expect(fractionToDecimal(1, 3, { precision: 4 })).toBe('0.3333');
+    expect(fractionToDecimal(1, 0)).toBeNull();
+  });
+
+  it('should flag missing, invalid and stale prices', () => {
+    const now = 10 * 86400000;
+    expect(getPriceStatus({ num: 0, den: 0 })).toBe(PRICE_STATUS.MISSING);
+    expect(getPriceStatus({ num: 5, den: 0 })).toBe(PRICE_STATUS.INVALID);
+    expect(getPriceStatus({ num: 1, den: 400 })).toBe(PRICE_STATUS.OK);
+    expect(getPriceStatus({ num: 1, den: 400 }, { updatedAt: now - 8 * 86400000, now })).toBe(PRICE_STATUS.STALE);
+    expect(getPriceStatus({ num: 1, den: 400 }, { updatedAt: now - 86400000, now })).toBe(PRICE_STATUS.OK);
+  });
+
+  describe('simulateRequiredStake', () => {
+    const settings = { ratio100: 100, minStake: 0, minPrice20: 0 };
+
+    it('should value the stake with the oracle price', () => {
+      expect(simulateRequiredStake({ ...settings, amount: 1000, num: 3, den: 2 }).toString()).toBe('1500');
+      expect(simulateRequiredStake({ ...settings, ratio100: 50, amount: 1000, num: 3, den: 2 }).toString()).toBe('750');
+    });
+
+    it('should apply the min_stake and min_price20 floors', () => {
+      expect(simulateRequiredStake({ ...settings, minStake: 2000, amount: 1000, num: 1, den: 1 }).toString()).toBe('2000');
+      const minPrice20 = ethers.BigNumber.from(10).pow(20).mul(3);
+      expect(simulateRequiredStake({ ...settings, minPrice20, amount: 1000, num: 1, den: 1 }).toString()).toBe('3000');
+    });
+
+    it('should revert like the bridge without a price', () => {
+      expect(() => simulateRequiredStake({ ...settings, amount: 1000, num: 0, den: 0 })).toThrow('price num must be positive');
+      expect(() => simulateRequiredStake({ ...settings, amount: 1000, num: 1, den: 0 })).toThrow('price den must be positive');
+    });
+  });
+
+  it('should remember price updates per oracle in both directions', () => {
+    expect(getPriceUpdateTimes(ORACLE)).toEqual({});
+    recordPriceUpdate(ORACLE, 'P3D', NATIVE_ASSET, 1000);
+    recordPriceUpdate(ORACLE.toLowerCase(), NATIVE_ASSET, 'P3D', 2000);
+
+    const updateTimes = getPriceUpdateTimes(ORACLE);
+    expect(getPairUpdatedAt(updateTimes, 'P3D', NATIVE_ASSET)).toBe(2000);
+    expect(getPairUpdatedAt(updateTimes, 'USDT', NATIVE_ASSET)).toBeNull();
+    expect(getPriceUpdateTimes(USDT)).toEqual({});
+  });
+});
@@ -0,0 +1,38 @@
+import { mergeWithStoredEvents } from '../parallel-bridge-discovery';
+
+const BRIDGE = '0x00D5f00250434e76711e8127A37c6f84dBbDAA4C';
+const BATCH_TX = '0x' + 'ab'.repeat(32);
+const OTHER_TX = '0x' + 'cd'.repeat(32);
+
+const claim = (claimNum, transactionHash, fields = {}) => ({
+  eventType: 'NewClaim',
+  bridgeAddress: BRIDGE,
+  transactionHash,
+  logIndex: claimNum,
+  claimNum,
+  ...fields,
+});
+
+describe('parallel-bridge-discovery', () => {
+  it('should keep stored claims that share a transaction with newly found ones', () => {
+    const stored = [claim(1, BATCH_TX), claim(2, BATCH_TX), claim(3, BATCH_TX), claim(4, OTHER_TX)];
+    const found = [claim(2, BATCH_TX, { blockNumber: 200 })];
+
+    const merged = mergeWithStoredEvents(stored, found);
+
+    expect(merged.map(event => event.claimNum)).toEqual([2, 1, 3, 4]);
+    expect(merged[0].blockNumber).toBe(200);
+  });
+
+  it('should replace a stored transfer found again and keep the other transfers of its transaction', () => {
+    const transfer = { eventType: 'NewExpatriation', bridgeAddress: BRIDGE, transactionHash: BATCH_TX, txid: BATCH_TX };
+    const merged = mergeWithStoredEvents(
+      [{ ...transfer, logIndex: 1 }, { ...transfer, logIndex: 3 }],
+      [{ ...transfer, bridgeAddress: BRIDGE.toLowerCase(), logIndex: 3, blockNumber: 200 }]
+    );
+    expect(merged).toEqual([
+      { ...transfer, bridgeAddress: BRIDGE.toLowerCase(), logIndex: 3, blockNumber: 200 },
+      { ...transfer, logIndex: 1 },
+    ]);
+  });
+});
@@ -0,0 +1,187 @@
+import { ethers } from 'ethers';
+import { P3D_PRECOMPILE_ADDRESS } from '../../config/networks';
+import { getProvider } from '../provider-manager';
+import { createCounterstakeContract } from '../contract-factory';
+import { fetchClaimDetails } from '../claim-details-fetcher';
+import { readOraclePrices } from '../oracle-prices';
+import {
+  CLAIM_POSITION_STATUS,
+  computeRedeemAmount,
+  getClaimPosition,
+  loadClaimPositions,
+  loadPriceGraph,
+  convertAmount,
+  getPortfolioAmounts,
+  getPortfolioTotals,
+} from '../portfolio';
+
+jest.mock('../provider-manager', () => ({
+  getProvider: jest.fn(),
+}));
+jest.mock('../contract-factory', () => ({
+  ...jest.requireActual('../contract-factory'),
+  createCounterstakeContract: jest.fn(),
+}));
+jest.mock('../claim-details-fetcher', () => ({
+  fetchClaimDetails: jest.fn(),
+}));
+jest.mock('../oracle-prices', () => ({
+  ...jest.requireActual('../oracle-prices'),
+  readOraclePrices: jest.fn(),
+}));
+
+const bn = (value) => ethers.BigNumber.from(value);
+
+const ME = '0x1111111111111111111111111111111111111111';
+const OTHER = '0x2222222222222222222222222222222222222222';
+const ORACLE = '0x237527b4F7bb0030Bd5B7B863839Aa121cefd5fB';
+const WUSDT = '0xfBFBfbFA000000000000000000000000000000de';
+const NOW = 1700000000;
+
+const NETWORKS = {
+  THREEDPASS: {
+    name: '3dpass',
+    symbol: 'P3D',
+    oracles: { ORACLE_1: { address: ORACLE } },
+    tokens: {
+      P3D: { address: P3D_PRECOMPILE_ADDRESS, symbol: 'P3D', decimals: 18 },
+      wUSDT: { address: WUSDT, symbol: 'wUSDT', decimals: 6 },
+    },
+  },
+};
+const IMPORT_BRIDGE = {
+  key: 'USDT_IMPORT',
+  address: '0x6359F737F32BFd1862FfAC26C6B25e4C0B3F1eA5',
+  type: 'import_wrapper',
+  homeNetwork: 'Ethereum',
+  homeTokenSymbol: 'USDT',
+  homeTokenAddress: '0xdAC17F958D2ee523a2206206994597C13D831ec7',
+  foreignNetwork: '3dpass',
+  foreignTokenSymbol: 'wUSDT',
+  foreignTokenAddress: WUSDT,
+  stakeTokenSymbol: 'P3D',
+  stakeTokenAddress: P3D_PRECOMPILE_ADDRESS,
+  oracleAddress: ORACLE,
+};
+
+const details = (fields) => ({
+  amount: bn(1000),
+  claimant_address: OTHER,
+  expiry_ts: NOW - 60,
+  current_outcome: 1,
+  withdrawn: false,
+  yes_stake: bn(300),
+  no_stake: bn(150),
+  ...fields,
+});
+
+describe('portfolio', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation();
+    jest.spyOn(console, 'log').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should value shares and claim positions like the contracts', () => {
+    const redeem = (fields) => computeRedeemAmount({
+      netBalance: bn(10000),
+      unavailableProfit: bn(0),
+      balanceInWork: bn(1000),
+      totalSupply: bn(1000),
+      shares: bn(100),
+      exponent: 1,
+      fee10000: 0,
+      ...fields,
+    }).toString();
+    // 9000 risk-free, 10% of the shares
+    expect(redeem({})).toBe('900');
+    expect(redeem({ fee10000: 100 })).toBe('891');
+    // (1000^2 - 900^2) / 1000^2 of the risk-free balance
+    expect(redeem({ exponent: 2 })).toBe('1710');
+    expect(redeem({ unavailableProfit: bn(9000) })).toBe('0');
+
+    const position = (detailFields, yesStake, noStake, now = NOW) => {
+      const result = getClaimPosition({ details: details(detailFields), yesStake: bn(yesStake), noStake: bn(noStake), account: ME, now });
+      return result && [result.status, result.lockedStake.toString(), result.stakePayout.toString(), result.claimedAmount.toString()];
+    };
+    expect(position({}, 200, 0)).toEqual([CLAIM_POSITION_STATUS.WITHDRAWABLE, '200', '300', '0']);
+    expect(position({}, 0, 150)).toEqual([CLAIM_POSITION_STATUS.LOST, '150', '0', '0']);
+    expect(position({ claimant_address: ME }, 200, 0, NOW - 120)).toEqual([CLAIM_POSITION_STATUS.CHALLENGING, '200', '300', '1000']);
+    // Withdrawn claims drop the claimant's stake
+    expect(position({ claimant_address: ME, withdrawn: true }, 0, 0)).toBeNull();
+  });
+
+  it('should load the claims the account made or staked on', async () => {
+    const stakes = { '1:1': bn(200), '3:0': bn(50) };
+    createCounterstakeContract.mockReturnValue({
+      stakes: async (claimNum, outcome) => stakes[`${claimNum}:${outcome}`] || bn(0),
+    });
+    fetchClaimDetails.mockImplementation(async ({ claimNum }) => details({
+      claimant_address: claimNum === '2' ? ME : OTHER,
+      current_outcome: claimNum === '3' ? 0 : 1,
+      expiry_ts: claimNum === '3' ? NOW + 60 : NOW - 60,
+    }));
+    getProvider.mockReturnValue({ getBlock: async () => ({ timestamp: NOW }) });
+
+    const claim = (claimNum, claimant) => ({
+      bridgeAddress: IMPORT_BRIDGE.address,
+      networkKey: 'THREEDPASS',
+      claimNum: bn(claimNum).toString(),
+      claimant_address: claimant,
+    });
+    const { positions, errors } = await loadClaimPositions({
+      account: ME,
+      claims: [claim(1, OTHER), claim(2, ME), claim(3, OTHER), claim(4, OTHER)],
+      bridges: [IMPORT_BRIDGE],
+      networks: NETWORKS,
+    });
+
+    expect(errors).toEqual([]);
+    // Claim 4 has no stake of the account and is not read
+    expect(fetchClaimDetails).toHaveBeenCalledTimes(3);
+    expect(positions.map(({ claimNum, status, stakePayout, claimedAmount, stakeToken, asset }) => [
+      claimNum, status, stakePayout.toString(), claimedAmount.toString(), stakeToken.symbol, asset.decimals,
+    ])).toEqual([
+      ['1', CLAIM_POSITION_STATUS.WITHDRAWABLE, '300', '0', 'P3D', 6],
+      ['2', CLAIM_POSITION_STATUS.WITHDRAWABLE, '0', '1000', 'P3D', 6],
+      ['3', CLAIM_POSITION_STATUS.CHALLENGING, '150', '0', 'P3D', 6],
+    ]);
+  });
+
+  it('should convert holdings through oracle prices and bridged counterparts', async () => {
+    getProvider.mockReturnValue({});
+    readOraclePrices.mockImplementation(async (provider, oracleAddress, pairs) => pairs.map(pair => ({
+      ...pair,
+      // 1 USDT (6 decimals) = 50 P3D (18 decimals), other pairs unset
+      ...(pair.key === 'USDT/_NATIVE_' ? { num: bn('50000000000000000000'), den: bn(1000000) } : { num: bn(0), den: bn(0) }),
+      error: null,
+    })));
+
+    const graph = await loadPriceGraph({ networks: NETWORKS, bridges: [IMPORT_BRIDGE] });
+    expect(readOraclePrices.mock.calls[0][2].map(pair => pair.usage)).not.toContain('stake');
+    expect(convertAmount(graph, 'wUSDT', 'P3D', 2)).toBeCloseTo(100);
+    expect(convertAmount(graph, 'P3D', 'USDT', 100)).toBeCloseTo(2);
+    expect(convertAmount(graph, 'P3D', 'ETH', 1)).toBeNull();
+
+    const amounts = getPortfolioAmounts({
+      balances: [
+        { symbol: 'wUSDT', decimals: 6, balance: bn(2000000) },
+        { symbol: 'XYZ', decimals: 18, balance: bn('1000000000000000000') },
+      ],
+      holdings: [{
+        stakeToken: { symbol: 'P3D', decimals: 18 },
+        stakeAmount: bn('10000000000000000000'),
+        imageToken: { symbol: 'wUSDT', decimals: 6 },
+        imageAmount: bn(0),
+      }],
+    });
+    const totals = getPortfolioTotals(amounts, graph, 'P3D');
+    expect(totals.total).toBeCloseTo(110);
+    expect(totals.sections.wallet).toBeCloseTo(100);
+    expect(totals.sections.pools).toBeCloseTo(10);
+    expect(totals.unpriced).toEqual(['XYZ']);
+  });
+});
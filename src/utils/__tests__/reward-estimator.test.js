@@ -0,0 +1,103 @@
+import { ethers } from 'ethers';
+import { evaluateClaimProfitability } from '../claim-bot';
+import {
+  REWARD_SPEEDS,
+  getRewardBps,
+  computeReward,
+  getClaimDelayStats,
+  estimateRewards,
+} from '../reward-estimator';
+
+const bn = (value) => ethers.BigNumber.from(value);
+
+const BRIDGE = '0x1111111111111111111111111111111111111111';
+const OTHER_BRIDGE = '0x2222222222222222222222222222222222222222';
+const RECIPIENT = '0x3333333333333333333333333333333333333333';
+const CLAIMER = '0x4444444444444444444444444444444444444444';
+
+// 1 unit of the transferred asset = 3 stake tokens
+const TRANSFER_PRICE = { num: bn(3), den: bn(1) };
+
+describe('reward-estimator', () => {
+  it('should suggest the smallest reward a claimer asking that return accepts', () => {
+    expect(getRewardBps(bn(10000), bn(25))).toBe(25);
+    expect(getRewardBps(bn(3000000), bn(1))).toBeCloseTo(0.0033, 4);
+    expect(getRewardBps(bn(0), bn(5))).toBe(0);
+
+    const params = { amount: bn(1000000), requiredStake: bn(200000), gasCost: bn(3000), transferPrice: TRANSFER_PRICE };
+    [[100, 0], [100, 10], [150, 30]].forEach(([gasPercent, capitalBps]) => {
+      const reward = computeReward({ ...params, gasPercent, capitalBps });
+      const evaluate = (value) => evaluateClaimProfitability({
+        amount: params.amount,
+        reward: value,
+        requiredStake: params.requiredStake,
+        gasCost: params.gasCost.mul(gasPercent).div(100),
+        transferPrice: TRANSFER_PRICE,
+        minProfitBps: capitalBps,
+      });
+      // Gas alone needs a profit above zero, so one unit more
+      expect(evaluate(gasPercent === 100 && capitalBps === 0 ? reward.add(1) : reward).isProfitable).toBe(true);
+      expect(evaluate(reward.sub(1)).isProfitable).toBe(false);
+    });
+  });
+
+  it('should take the wait from third-party claims of transfers with similar rewards', () => {
+    const transfer = (txid, reward, fields = {}) => ({
+      bridgeAddress: BRIDGE,
+      txid,
+      amount: '10000',
+      reward: String(reward),
+      recipientAddress: RECIPIENT,
+      timestamp: 1000,
+      ...fields,
+    });
+    const claim = (txid, claimant, timestamp) => ({ txid, claimant_address: claimant, txts: 1000, timestamp });
+
+    const stats = getClaimDelayStats({
+      transfers: [
+        transfer('0xa1', 20),
+        transfer('0xa2', 30),
+        transfer('0xa3', 40),
+        transfer('0xa4', 25),
+        // Claimed by the recipient, too big, another bridge
+        transfer('0xa5', 20),
+        transfer('0xa6', 200),
+        transfer('0xa7', 20, { bridgeAddress: OTHER_BRIDGE }),
+      ],
+      claims: [
+        claim('0xA1', CLAIMER, 1600),
+        claim('0xa2', CLAIMER, 4600),
+        claim('0xa3', CLAIMER, 2200),
+        claim('0xa5', RECIPIENT, 1100),
+      ],
+      bridgeAddress: BRIDGE,
+      rewardBps: 25,
+    });
+
+    expect(stats).toEqual({ samples: 4, claimed: 3, medianDelay: 1200 });
+    expect(getClaimDelayStats({ transfers: [transfer('0xa1', 20)], claims: [], bridgeAddress: BRIDGE, rewardBps: 0 }))
+      .toEqual({ samples: 0, claimed: 0, medianDelay: null });
+  });
+
+  it('should estimate all speeds from the claim bridge context', async () => {
+    const getRequiredStake = jest.fn(async (amount) => amount.div(5));
+    const rewardContext = {
+      context: { contract: { getRequiredStake }, transferPrice: TRANSFER_PRICE },
+      gasCost: bn(3000),
+    };
+
+    const { requiredStake, gasCost, options } = await estimateRewards({ rewardContext, bridgeAddress: BRIDGE, amount: bn(1000000) });
+
+    expect(getRequiredStake).toHaveBeenCalledWith(bn(1000000));
+    expect(requiredStake.toString()).toBe('200000');
+    expect(gasCost.toString()).toBe('1000');
+    expect(options.map(option => option.speed)).toEqual([REWARD_SPEEDS.LOW, REWARD_SPEEDS.TYPICAL, REWARD_SPEEDS.FAST]);
+    expect(options[0].reward.toString()).toBe('1200');
+    options.slice(1).forEach((option, index) => expect(option.reward.gt(options[index].reward)).toBe(true));
+    expect(options.every(option => !option.exceedsAmount && option.delay.samples === 0)).toBe(true);
+
+    // Gas worth more than a small transfer
+    const small = await estimateRewards({ rewardContext, bridgeAddress: BRIDGE, amount: bn(500) });
+    expect(small.options[0].exceedsAmount).toBe(true);
+  });
+});
@@ -0,0 +1,70 @@
+import {
+  TAB_PATHS,
+  getTabFromPath,
+  getClaimPath,
+  getAssistantPath,
+  parseBridgeFormParams,
+  getBridgeFormSearch,
+  parseClaimListParams,
+  getClaimListSearch,
+} from '../routes';
+
+const BRIDGE = '0x00D5f00250434e76711e8127A37c6f84dBbDAA4C';
+const RECIPIENT = '0x2222222222222222222222222222222222222222';
+
+describe('routes', () => {
+  it('should map paths to tabs', () => {
+    expect(getTabFromPath('/')).toBe('bridge');
+    expect(getTabFromPath(TAB_PATHS.transfers)).toBe('transfers');
+    expect(getTabFromPath(`/transfers/THREEDPASS/${BRIDGE}/12`)).toBe('transfers');
+    expect(getTabFromPath(`/pools/${BRIDGE}`)).toBe('pools');
+    expect(getTabFromPath('/track')).toBe('tracker');
+    expect(getTabFromPath('/account')).toBe('account');
+    expect(getTabFromPath('/unknown')).toBe('bridge');
+  });
+
+  it('should build claim and assistant paths', () => {
+    expect(getClaimPath({ networkKey: 'THREEDPASS', bridgeAddress: BRIDGE, claimNum: 12 })).toBe(`/transfers/THREEDPASS/${BRIDGE}/12`);
+    expect(getAssistantPath(BRIDGE)).toBe(`/pools/${BRIDGE}`);
+  });
+
+  describe('bridge form params', () => {
+    it('should round-trip a pre-filled form', () => {
+      const prefill = {
+        sourceNetworkKey: 'ETHEREUM',
+        sourceToken: 'USDT',
+        destinationNetworkKey: 'THREEDPASS',
+        destinationToken: 'wUSDT',
+        amount: '12.5',
+        destinationAddress: RECIPIENT,
+      };
+      const search = getBridgeFormSearch(prefill);
+
+      expect(search).toBe(`?from=ETHEREUM&token=USDT&to=THREEDPASS&toToken=wUSDT&amount=12.5&recipient=${RECIPIENT}`);
+      expect(parseBridgeFormParams(search)).toEqual(prefill);
+    });
+
+    it('should normalize network keys and drop invalid amounts', () => {
+      expect(parseBridgeFormParams('?from=ethereum&amount=abc')).toEqual({ sourceNetworkKey: 'ETHEREUM' });
+      expect(parseBridgeFormParams('')).toEqual({});
+      expect(getBridgeFormSearch({})).toBe('');
+    });
+  });
+
+  describe('claim list params', () => {
+    it('should default missing or invalid filters', () => {
+      expect(parseClaimListParams('')).toEqual({ filter: 'all', bridgeDirection: 'all', rangeHours: 24, mode: 'history' });
+      expect(parseClaimListParams('?status=bogus&range=5&mode=fast')).toEqual({ filter: 'all', bridgeDirection: 'all', rangeHours: 24, mode: 'history' });
+    });
+
+    it('should round-trip filters and leave out defaults', () => {
+      const filters = { filter: 'suspicious', bridgeDirection: 'Ethereum-3dpass', rangeHours: 168, mode: 'live' };
+      const search = getClaimListSearch(filters);
+
+      expect(search).toBe('?status=suspicious&direction=Ethereum-3dpass&range=168&mode=live');
+      expect(parseClaimListParams(search)).toEqual(filters);
+      expect(getClaimListSearch({ filter: 'all', bridgeDirection: 'all', rangeHours: 24 })).toBe('');
+      expect(getClaimListSearch({ filter: 'my' })).toBe('?status=my');
+    });
+  });
+});
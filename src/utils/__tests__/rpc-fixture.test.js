@@ -0,0 +1,42 @@
+import { ethers } from 'ethers';
+import { RPC_FIXTURE_FORMAT, RecordingProvider, createFixture, createFixtureProviders } from '../rpc-fixture';
+
+const TOKEN = '0xdAC17F958D2ee523a2206206994597C13D831ec7';
+const ABI = ['function decimals() view returns (uint8)', 'function symbol() view returns (string)'];
+
+describe('rpc-fixture', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should replay recorded calls and reverts without the network', async () => {
+    jest.spyOn(ethers.providers.JsonRpcProvider.prototype, 'send').mockImplementation(async (method, params) => {
+      if (params[0]?.data === new ethers.utils.Interface(ABI).encodeFunctionData('decimals')) {
+        return ethers.utils.defaultAbiCoder.encode(['uint8'], [6]);
+      }
+      const error = new Error('processing response error');
+      error.error = { code: 3, message: 'execution reverted', data: '0x' };
+      throw error;
+    });
+
+    const recorder = new RecordingProvider('http://127.0.0.1:8545', { chainId: 1, name: 'homestead' });
+    const recorded = new ethers.Contract(TOKEN, ABI, recorder);
+    await recorded.decimals();
+    await expect(recorded.symbol()).rejects.toThrow();
+
+    const fixture = JSON.parse(JSON.stringify(await createFixture({ ETHEREUM: recorder })));
+    expect(fixture).toMatchObject({ format: RPC_FIXTURE_FORMAT, networks: { ETHEREUM: { chainId: 1 } } });
+    jest.restoreAllMocks();
+
+    const { ETHEREUM } = createFixtureProviders(fixture);
+    const replayed = new ethers.Contract(TOKEN, ABI, ETHEREUM);
+    await expect(replayed.decimals()).resolves.toBe(6);
+    await expect(replayed.symbol()).rejects.toMatchObject({ code: ethers.errors.CALL_EXCEPTION });
+    await expect(ETHEREUM.getBalance(TOKEN)).rejects.toThrow('No recorded response for eth_getBalance');
+  });
+
+  it('should reject files that are not fixtures', () => {
+    expect(() => createFixtureProviders({ networks: {} })).toThrow('not a recorded fixture file');
+    expect(() => createFixtureProviders({ format: RPC_FIXTURE_FORMAT, version: 99, networks: {} })).toThrow('version 99');
+  });
+});
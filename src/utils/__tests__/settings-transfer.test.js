@@ -0,0 +1,195 @@
+import {
+  SETTINGS_EXPORT_FORMAT,
+  SETTINGS_EXPORT_VERSION,
+  SHARED_BRIDGE_PARAM,
+  IMPORT_STATUS,
+  IMPORT_RESOLUTION,
+  exportSettings,
+  parseSettingsExport,
+  diffSettings,
+  getDefaultResolutions,
+  needsVerification,
+  verifyImportedEntry,
+  applySettingsImport,
+  decodeSharedBridge,
+  getSharedBridgeUrl,
+} from '../settings-transfer';
+import { autoDetectBridge, validateOracleContract } from '../bridge-detector';
+import { autoDetectAssistant } from '../assistant-detector';
+
+jest.mock('../bridge-detector');
+jest.mock('../assistant-detector');
+
+const IMPORT = '0x4f3a4e37701402C61146071309e45A15843025E1';
+const ORACLE = '0xD69cdEF8cD89F1b47d820f4b4d7133DB66E3Fc7F';
+const USDT = '0xdAC17F958D2ee523a2206206994597C13D831ec7';
+
+const p3dImport = {
+  address: IMPORT,
+  type: 'import',
+  homeNetwork: '3dpass',
+  homeTokenSymbol: 'P3D',
+  homeTokenAddress: '0x0000000000000000000000000000000000000802',
+  foreignNetwork: 'Ethereum',
+  foreignTokenSymbol: 'wP3D',
+  foreignTokenAddress: IMPORT,
+  stakeTokenSymbol: 'ETH',
+  stakeTokenAddress: '0x0000000000000000000000000000000000000000',
+  oracleAddress: ORACLE,
+};
+
+const current = {
+  ETHEREUM: {
+    rpcUrl: 'https://rpc.example',
+    apiKey: 'secret',
+    customRpc: false,
+    customApiKey: true,
+    bridges: { P3D_IMPORT: { ...p3dImport, upToDate: true } },
+    customBridges: true,
+  },
+};
+
+describe('settings-transfer', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('exportSettings', () => {
+    it('should version the file and leave out API keys by default', () => {
+      const exported = exportSettings({ ...current, bridgeInstances: {} }, { now: 0 });
+
+      expect(exported).toMatchObject({ format: SETTINGS_EXPORT_FORMAT, version: SETTINGS_EXPORT_VERSION, exportedAt: '1970-01-01T00:00:00.000Z' });
+      expect(Object.keys(exported.networks)).toEqual(['ETHEREUM']);
+      expect(exported.networks.ETHEREUM.apiKey).toBeUndefined();
+      expect(exported.networks.ETHEREUM.customApiKey).toBeUndefined();
+      expect(exportSettings(current, { includeApiKeys: true }).networks.ETHEREUM.apiKey).toBe('secret');
+    });
+
+    it('should read back its own export', () => {
+      const { networks } = parseSettingsExport(JSON.stringify(exportSettings(current)));
+      expect(networks.ETHEREUM.bridges.P3D_IMPORT.address).toBe(IMPORT);
+    });
+  });
+
+  describe('parseSettingsExport', () => {
+    it('should reject files it cannot import', () => {
+      expect(() => parseSettingsExport('{')).toThrow('Invalid settings file');
+      expect(() => parseSettingsExport('{"networks":{}}')).toThrow('not a bridge settings export');
+      expect(() => parseSettingsExport(JSON.stringify({ format: SETTINGS_EXPORT_FORMAT, version: 99, networks: {} })))
+        .toThrow('newer than this app supports');
+    });
+
+    it('should skip unknown networks', () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation();
+      const text = JSON.stringify({ format: SETTINGS_EXPORT_FORMAT, version: 1, networks: { ETHEREUM: {}, SOLANA: {} } });
+      expect(Object.keys(parseSettingsExport(text).networks)).toEqual(['ETHEREUM']);
+      warnSpy.mockRestore();
+    });
+  });
+
+  describe('diffSettings', () => {
+    it('should report added, changed and unchanged entries', () => {
+      const entries = diffSettings(current, {
+        ETHEREUM: {
+          rpcUrl: 'https://other.example',
+          customRpc: true,
+          bridges: { P3D_IMPORT: { ...p3dImport, upToDate: false } },
+          oracles: { ORACLE_2: { address: ORACLE, name: 'Oracle' } },
+        },
+      });
+
+      expect(entries.map(entry => [entry.id, entry.status])).toEqual([
+        ['ETHEREUM.network.rpcUrl', IMPORT_STATUS.CHANGED],
+        ['ETHEREUM.bridges.P3D_IMPORT', IMPORT_STATUS.UNCHANGED],
+        ['ETHEREUM.oracles.ORACLE_2', IMPORT_STATUS.ADDED],
+      ]);
+      expect(entries[0].changedFields).toEqual(['value', 'enabled']);
+    });
+
+    it('should match bridges stored under another key by address', () => {
+      const [entry] = diffSettings(current, {
+        ETHEREUM: { bridges: { WP3D_IMPORT: { ...p3dImport, description: 'Renamed' } } },
+      });
+
+      expect(entry).toMatchObject({ key: 'WP3D_IMPORT', currentKey: 'P3D_IMPORT', status: IMPORT_STATUS.CHANGED, changedFields: ['description'] });
+    });
+  });
+
+  it('should import new entries and keep conflicting ones by default', () => {
+    const entries = diffSettings(current, {
+      ETHEREUM: { rpcUrl: 'https://other.example', customRpc: true, oracles: { ORACLE_2: { address: ORACLE } } },
+    });
+
+    expect(getDefaultResolutions(entries)).toEqual({
+      'ETHEREUM.network.rpcUrl': IMPORT_RESOLUTION.KEEP,
+      'ETHEREUM.oracles.ORACLE_2': IMPORT_RESOLUTION.REPLACE,
+    });
+    expect(entries.map(needsVerification)).toEqual([false, true]);
+  });
+
+  describe('applySettingsImport', () => {
+    const entries = diffSettings(current, {
+      ETHEREUM: {
+        rpcUrl: 'https://other.example',
+        customRpc: true,
+        bridges: { WP3D_IMPORT: { ...p3dImport, description: 'Renamed' } },
+        tokens: { [USDT.toLowerCase()]: { address: USDT, symbol: 'USDT', decimals: 6 } },
+      },
+    });
+    const replaceAll = Object.fromEntries(entries.map(entry => [entry.id, IMPORT_RESOLUTION.REPLACE]));
+
+    it('should apply chosen entries and replace renamed contracts', () => {
+      const next = applySettingsImport(current, entries, replaceAll, { 'ETHEREUM.bridges.WP3D_IMPORT': { verified: true } });
+
+      expect(next.ETHEREUM).toMatchObject({ rpcUrl: 'https://other.example', customRpc: true, customTokens: true, apiKey: 'secret' });
+      expect(Object.keys(next.ETHEREUM.bridges)).toEqual(['WP3D_IMPORT']);
+      expect(next.ETHEREUM.bridges.WP3D_IMPORT).toMatchObject({ description: 'Renamed', upToDate: true });
+      expect(current.ETHEREUM.bridges.P3D_IMPORT).toBeDefined();
+    });
+
+    it('should never import unverified contracts', () => {
+      const next = applySettingsImport(current, entries, replaceAll, { 'ETHEREUM.bridges.WP3D_IMPORT': { verified: false } });
+      expect(Object.keys(next.ETHEREUM.bridges)).toEqual(['P3D_IMPORT']);
+      expect(next.ETHEREUM.tokens[USDT.toLowerCase()].symbol).toBe('USDT');
+    });
+  });
+
+  describe('verifyImportedEntry', () => {
+    const bridgeEntry = { networkKey: 'ETHEREUM', section: 'bridges', key: 'P3D_IMPORT', incoming: p3dImport };
+
+    it('should accept bridges that match the contract', async () => {
+      autoDetectBridge.mockResolvedValue({ success: true, bridgeConfig: { ...p3dImport, oracleAddress: ORACLE.toLowerCase() } });
+      await expect(verifyImportedEntry({}, bridgeEntry)).resolves.toEqual({ verified: true, message: 'Verified import bridge' });
+      expect(autoDetectBridge).toHaveBeenCalledWith({}, IMPORT, 'ETHEREUM', null);
+    });
+
+    it('should reject bridges the contract disagrees with', async () => {
+      autoDetectBridge.mockResolvedValue({ success: true, bridgeConfig: { ...p3dImport, stakeTokenAddress: USDT } });
+      await expect(verifyImportedEntry({}, bridgeEntry)).resolves.toEqual({ verified: false, message: 'Contract reports a different stakeTokenAddress' });
+
+      autoDetectBridge.mockResolvedValue({ success: false, message: 'Not a bridge' });
+      await expect(verifyImportedEntry({}, bridgeEntry)).resolves.toEqual({ verified: false, message: 'Not a bridge' });
+    });
+
+    it('should check assistants and oracles', async () => {
+      autoDetectAssistant.mockResolvedValue({ success: true, assistantConfig: { type: 'import', bridgeAddress: IMPORT } });
+      const assistant = { networkKey: 'ETHEREUM', section: 'assistants', key: 'A', incoming: { address: USDT, type: 'import', bridgeAddress: IMPORT } };
+      await expect(verifyImportedEntry({}, assistant)).resolves.toMatchObject({ verified: true });
+
+      validateOracleContract.mockResolvedValue({ isValid: false, error: 'No getPrice' });
+      const oracle = { networkKey: 'ETHEREUM', section: 'oracles', key: 'O', incoming: { address: ORACLE } };
+      await expect(verifyImportedEntry({}, oracle)).resolves.toEqual({ verified: false, message: 'No getPrice' });
+
+      await expect(verifyImportedEntry({}, { ...oracle, incoming: { address: 'nope' } })).resolves.toEqual({ verified: false, message: 'Invalid contract address' });
+    });
+  });
+
+  it('should share a single bridge through a link', () => {
+    const url = getSharedBridgeUrl('https://bridge.example', 'ETHEREUM', 'P3D_IMPORT', { ...p3dImport, upToDate: true });
+    const payload = new URL(url).searchParams.get(SHARED_BRIDGE_PARAM);
+
+    expect(payload).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(decodeSharedBridge(payload)).toEqual({ ETHEREUM: { bridges: { P3D_IMPORT: p3dImport } } });
+    expect(() => decodeSharedBridge('garbage')).toThrow('Invalid shared bridge link');
+  });
+});
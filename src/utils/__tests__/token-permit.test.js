@@ -0,0 +1,83 @@
+import { ethers } from 'ethers';
+import { IERC20_PERMIT_ABI } from '../../contracts/abi';
+import { createContract } from '../contract-factory';
+import { getPermitSupport, signPermit, buildPermitCall, PERMIT_DEADLINE_SECONDS } from '../token-permit';
+
+jest.mock('../contract-factory');
+
+const TOKEN = '0x1111111111111111111111111111111111111111';
+const BRIDGE = '0x2222222222222222222222222222222222222222';
+const CHAIN_ID = 1333;
+
+const wallet = new ethers.Wallet('0x' + '11'.repeat(32));
+const provider = { getNetwork: async () => ({ chainId: CHAIN_ID }) };
+
+const mockToken = ({ name = 'Wrapped USDT', version, domainSeparator } = {}) => {
+  const domain = { name, version: version || '1', chainId: CHAIN_ID, verifyingContract: TOKEN };
+  createContract.mockReturnValue({
+    DOMAIN_SEPARATOR: jest.fn(async () => domainSeparator || ethers.utils._TypedDataEncoder.hashDomain(domain)),
+    nonces: jest.fn(async () => ethers.BigNumber.from(4)),
+    name: jest.fn(async () => name),
+    version: jest.fn(() => (version ? Promise.resolve(version) : Promise.reject(new Error('no version()')))),
+  });
+};
+
+describe('token-permit', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should detect permits only when the token domain can be rebuilt', async () => {
+    mockToken();
+    const support = await getPermitSupport(provider, TOKEN, wallet.address);
+    expect(support.supported).toBe(true);
+    expect(support.domain).toEqual({ name: 'Wrapped USDT', version: '1', chainId: CHAIN_ID, verifyingContract: TOKEN });
+    expect(support.nonce.toNumber()).toBe(4);
+
+    mockToken({ version: '2' });
+    expect((await getPermitSupport(provider, TOKEN, wallet.address)).domain.version).toBe('2');
+
+    mockToken({ domainSeparator: ethers.constants.HashZero });
+    expect((await getPermitSupport(provider, TOKEN, wallet.address)).supported).toBe(false);
+
+    // A plain ERC20 reverts on DOMAIN_SEPARATOR() and nonces()
+    mockToken();
+    const plainToken = createContract();
+    plainToken.DOMAIN_SEPARATOR.mockRejectedValue(new Error('call revert exception'));
+    plainToken.nonces.mockRejectedValue(new Error('call revert exception'));
+    expect((await getPermitSupport(provider, TOKEN, wallet.address)).supported).toBe(false);
+    expect((await getPermitSupport(provider, ethers.constants.AddressZero, wallet.address)).supported).toBe(false);
+  });
+
+  it('should sign an exact-amount permit and encode its sub-call', async () => {
+    mockToken();
+    const support = await getPermitSupport(provider, TOKEN, wallet.address);
+    const value = ethers.BigNumber.from(12345);
+    const before = Math.floor(Date.now() / 1000);
+
+    const permit = await signPermit({ signer: wallet, support, spender: BRIDGE, value });
+
+    expect(permit).toMatchObject({ owner: wallet.address, spender: BRIDGE, value });
+    expect(permit.deadline - before).toBeGreaterThanOrEqual(PERMIT_DEADLINE_SECONDS);
+    const recovered = ethers.utils.verifyTypedData(support.domain, {
+      Permit: [
+        { name: 'owner', type: 'address' },
+        { name: 'spender', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' },
+      ],
+    }, { owner: wallet.address, spender: BRIDGE, value, nonce: 4, deadline: permit.deadline }, { v: permit.v, r: permit.r, s: permit.s });
+    expect(recovered).toBe(wallet.address);
+
+    const call = buildPermitCall(TOKEN, permit);
+    expect(call).toMatchObject({ label: 'Permit', to: TOKEN });
+    const args = new ethers.utils.Interface(IERC20_PERMIT_ABI).decodeFunctionData('permit', call.data);
+    expect(args.spender).toBe(BRIDGE);
+    expect(args.value.toNumber()).toBe(12345);
+  });
+});
@@ -0,0 +1,84 @@
+import { ethers } from 'ethers';
+import {
+  DATA_FORMATS,
+  MAX_TRANSFER_DATA_BYTES,
+  COUNTERSTAKE_RECEIVER_INTERFACE_ID,
+  encodeJsonData,
+  validateTransferData,
+  parseAbi,
+  encodeAbiData,
+  rememberDataAbi,
+  getRememberedDataAbis,
+  decodeTransferData,
+  checkCounterstakeReceiver,
+} from '../transfer-data';
+
+const POOL = '0x1111111111111111111111111111111111111111';
+
+describe('transfer-data', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    jest.spyOn(console, 'warn').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should compact JSON payloads and enforce the size limit', () => {
+    expect(encodeJsonData('{ "action": "stake",\n  "pool": 1 }')).toBe('{"action":"stake","pool":1}');
+    expect(() => encodeJsonData('{ action }')).toThrow('Invalid JSON');
+    expect(() => encodeJsonData('42')).toThrow('must be an object or an array');
+
+    expect(validateTransferData('{"note":"é"}')).toEqual({ valid: true, size: 13, error: null });
+    expect(validateTransferData('x'.repeat(MAX_TRANSFER_DATA_BYTES + 1)).valid).toBe(false);
+    // CounterstakeReceiver has a single function
+    expect(COUNTERSTAKE_RECEIVER_INTERFACE_ID).toBe(
+      new ethers.utils.Interface(['function onReceivedFromClaim(uint256,uint256,uint256,string,address,string)']).getSighash('onReceivedFromClaim')
+    );
+  });
+
+  it('should encode ABI calls and decode them once remembered', () => {
+    const iface = parseAbi('function deposit(address pool, uint256 minAmount, bool stake)\nfunction exit()');
+    expect(Object.keys(iface.functions)).toEqual(['deposit(address,uint256,bool)', 'exit()']);
+    expect(() => parseAbi('[{"type": "nonsense"')).toThrow('Invalid ABI');
+
+    const data = encodeAbiData(iface, 'deposit(address,uint256,bool)', [POOL, '1000', 'true']);
+    expect(() => encodeAbiData(iface, 'deposit(address,uint256,bool)', [POOL, '1000', 'yes'])).toThrow('stake: expected true or false');
+
+    expect(decodeTransferData(data)).toMatchObject({ format: DATA_FORMATS.ABI, selector: data.slice(0, 10), functionName: null });
+    rememberDataAbi(iface.getFunction('deposit'));
+    expect(Object.keys(getRememberedDataAbis())).toEqual([data.slice(0, 10)]);
+    expect(decodeTransferData(data, getRememberedDataAbis())).toMatchObject({
+      format: DATA_FORMATS.ABI,
+      functionName: 'deposit',
+      args: [
+        { name: 'pool', type: 'address', value: POOL },
+        { name: 'minAmount', type: 'uint256', value: '1000' },
+        { name: 'stake', type: 'bool', value: 'true' },
+      ],
+    });
+
+    expect(decodeTransferData('0x')).toEqual({ format: DATA_FORMATS.NONE, size: 2 });
+    expect(decodeTransferData('{"a":1}')).toMatchObject({ format: DATA_FORMATS.JSON, json: { a: 1 } });
+    expect(decodeTransferData('hello')).toMatchObject({ format: DATA_FORMATS.TEXT, text: 'hello' });
+  });
+
+  it('should tell receiver contracts from plain recipients', async () => {
+    const coder = ethers.utils.defaultAbiCoder;
+    const provider = (code, call) => ({
+      _isProvider: true,
+      getCode: jest.fn(async () => code),
+      call: jest.fn(call),
+    });
+
+    expect(await checkCounterstakeReceiver(provider('0x'), POOL)).toEqual({ isContract: false, isReceiver: false });
+
+    const receiver = provider('0x6080', async (tx) => coder.encode(['bool'], [tx.data.includes(COUNTERSTAKE_RECEIVER_INTERFACE_ID.slice(2))]));
+    expect(await checkCounterstakeReceiver(receiver, POOL)).toEqual({ isContract: true, isReceiver: true });
+
+    // No ERC165: the call reverts
+    const plain = provider('0x6080', async () => { throw new Error('execution reverted'); });
+    expect(await checkCounterstakeReceiver(plain, POOL)).toEqual({ isContract: true, isReceiver: false });
+  });
+});
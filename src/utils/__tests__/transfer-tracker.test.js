@@ -0,0 +1,166 @@
+import { ethers } from 'ethers';
+import { getBridgeABI } from '../contract-factory.js';
+import {
+  TRACKER_STEPS,
+  STEP_STATUS,
+  TRACKER_STATUS,
+  isTransactionHash,
+  parseTrackerParams,
+  getTrackerSearch,
+  findTransferLog,
+  getClaimSearchRangeHours,
+  matchTransferClaims,
+  estimateBlocksUntil,
+  buildTransferTimeline,
+} from '../transfer-tracker';
+
+const bn = (value) => ethers.BigNumber.from(value);
+
+const TXID = '0x' + 'ab'.repeat(32);
+const SENDER = ethers.utils.getAddress('0x1111111111111111111111111111111111111aaa');
+const RECIPIENT = ethers.utils.getAddress('0x2222222222222222222222222222222222222bbb');
+const CLAIMANT = ethers.utils.getAddress('0x3333333333333333333333333333333333333ccc');
+
+describe('transfer-tracker', () => {
+  describe('URL params', () => {
+    it('should round-trip the tracked transfer through the query string', () => {
+      const search = getTrackerSearch({ networkKey: 'ETHEREUM', txid: TXID });
+      expect(parseTrackerParams(search)).toEqual({ networkKey: 'ETHEREUM', txid: TXID });
+      expect(parseTrackerParams('?network=bsc&tx=0x1')).toEqual({ networkKey: 'BSC', txid: '0x1' });
+      expect(parseTrackerParams('?tx=0x1')).toBeNull();
+    });
+
+    it('should validate transaction hashes', () => {
+      expect(isTransactionHash(TXID)).toBe(true);
+      expect(isTransactionHash('0x1234')).toBe(false);
+      expect(isTransactionHash(undefined)).toBe(false);
+    });
+  });
+
+  describe('findTransferLog', () => {
+    const exportInterface = new ethers.utils.Interface(getBridgeABI('export'));
+    const allBridges = {
+      EXPORT: { address: '0x4444444444444444444444444444444444444444', type: 'export' },
+      IMPORT: { address: '0x5555555555555555555555555555555555555555', type: 'import' },
+    };
+    const transferLog = {
+      ...exportInterface.encodeEventLog(exportInterface.getEvent('NewExpatriation'), [SENDER, bn(1000), bn(10), RECIPIENT, '']),
+      address: allBridges.EXPORT.address,
+    };
+
+    it('should find the transfer event of a configured bridge', () => {
+      const approvalLog = { address: '0x6666666666666666666666666666666666666666', topics: [ethers.utils.id('Approval(address,address,uint256)')], data: '0x' };
+      expect(findTransferLog([approvalLog, transferLog], allBridges)).toMatchObject({ bridge: allBridges.EXPORT, eventType: 'NewExpatriation' });
+    });
+
+    it('should ignore transfer events of unknown bridges or the wrong bridge type', () => {
+      expect(findTransferLog([{ ...transferLog, address: allBridges.IMPORT.address }], allBridges)).toBeNull();
+      expect(findTransferLog([{ ...transferLog, address: '0x7777777777777777777777777777777777777777' }], allBridges)).toBeNull();
+    });
+  });
+
+  it('should search claims from the transfer time with a cap', () => {
+    expect(getClaimSearchRangeHours(1000, 1000)).toBe(1);
+    expect(getClaimSearchRangeHours(0, 5 * 3600 + 1)).toBe(7);
+    expect(getClaimSearchRangeHours(0, 10000 * 3600)).toBe(720);
+  });
+
+  describe('matchTransferClaims', () => {
+    const transfer = {
+      eventType: 'NewExpatriation',
+      transactionHash: TXID,
+      txid: TXID,
+      senderAddress: SENDER,
+      recipientAddress: RECIPIENT,
+      amount: bn(1000),
+      reward: bn(10),
+      data: '',
+      timestamp: 1000,
+      homeNetwork: 'Ethereum',
+      foreignNetwork: '3dpass',
+    };
+    const claim = {
+      claimNum: bn(7),
+      actualClaimNum: bn(7),
+      txid: TXID.toUpperCase().replace('0X', '0x'),
+      txts: 1000,
+      senderAddress: SENDER,
+      recipientAddress: RECIPIENT,
+      amount: bn(1000),
+      reward: bn(10),
+      data: '',
+      bridgeType: 'import',
+      homeNetwork: 'Ethereum',
+      foreignNetwork: '3dpass',
+    };
+
+    it('should return the valid claim and flag conflicting ones', () => {
+      const forged = { ...claim, claimNum: bn(8), actualClaimNum: bn(8), amount: bn(2000) };
+      const other = { ...claim, claimNum: bn(9), actualClaimNum: bn(9), txid: '0x' + 'cd'.repeat(32) };
+      const result = matchTransferClaims(transfer, [forged, claim, other]);
+
+      expect(result.claim.actualClaimNum.toString()).toBe('7');
+      expect(result.conflictingClaims.map(c => c.actualClaimNum.toString())).toEqual(['8']);
+      expect(result.conflictingClaims[0].reason).toBe('txid_match_but_parameter_mismatch');
+    });
+
+    it('should return no claim when none carries the txid', () => {
+      expect(matchTransferClaims(transfer, [])).toEqual({ claim: null, conflictingClaims: [] });
+    });
+  });
+
+  it('should estimate blocks left with the network block time', () => {
+    expect(estimateBlocksUntil(1120, 1000, 'ETHEREUM')).toBe(10);
+    expect(estimateBlocksUntil(900, 1000, 'ETHEREUM')).toBe(0);
+  });
+
+  describe('buildTransferTimeline', () => {
+    const transfer = { timestamp: 1000, recipientAddress: RECIPIENT };
+    const details = {
+      ts: 1700,
+      expiry_ts: 5000,
+      period_number: 0,
+      current_outcome: 1,
+      finished: false,
+      withdrawn: false,
+      claimant_address: CLAIMANT,
+      recipient_address: RECIPIENT,
+    };
+    const build = (overrides) => buildTransferTimeline({ transfer, details, challenges: [], minTxAge: 600, challengingPeriod: 3600, now: 2000, ...overrides });
+    const stepStatuses = (timeline) => Object.fromEntries(timeline.steps.map(step => [step.id, step.status]));
+
+    it('should estimate all steps before the claim', () => {
+      const early = build({ details: null, now: 1200 });
+      expect(early.status).toBe(TRACKER_STATUS.TOO_EARLY);
+      expect(early.steps.find(step => step.id === TRACKER_STEPS.CLAIMED).eta).toBe(1600);
+      expect(early.steps.find(step => step.id === TRACKER_STEPS.WITHDRAWABLE).eta).toBe(5200);
+
+      const waiting = build({ details: null, now: 2000 });
+      expect(waiting.status).toBe(TRACKER_STATUS.AWAITING_CLAIM);
+      expect(stepStatuses(waiting)[TRACKER_STEPS.CLAIMED]).toBe(STEP_STATUS.ACTIVE);
+      expect(waiting.steps.find(step => step.id === TRACKER_STEPS.CHALLENGING).eta).toBe(5600);
+    });
+
+    it('should follow the claim through the challenging period', () => {
+      const challenging = build();
+      expect(challenging.status).toBe(TRACKER_STATUS.CHALLENGING);
+      expect(stepStatuses(challenging)[TRACKER_STEPS.CHALLENGING]).toBe(STEP_STATUS.ACTIVE);
+      expect(challenging.steps.find(step => step.id === TRACKER_STEPS.CLAIMED).description).toContain(CLAIMANT);
+
+      const withdrawable = build({ now: 5001 });
+      expect(withdrawable.status).toBe(TRACKER_STATUS.WITHDRAWABLE);
+      expect(stepStatuses(withdrawable)[TRACKER_STEPS.WITHDRAWN]).toBe(STEP_STATUS.ACTIVE);
+
+      const withdrawn = build({ details: { ...details, finished: true, withdrawn: true } });
+      expect(withdrawn.status).toBe(TRACKER_STATUS.WITHDRAWN);
+      expect(stepStatuses(withdrawn)[TRACKER_STEPS.WITHDRAWN]).toBe(STEP_STATUS.DONE);
+    });
+
+    it('should report claims rejected by challengers', () => {
+      const rejected = build({ details: { ...details, current_outcome: 0, period_number: 1 }, challenges: [{}], now: 6000 });
+      expect(rejected.status).toBe(TRACKER_STATUS.REJECTED);
+      expect(stepStatuses(rejected)[TRACKER_STEPS.WITHDRAWABLE]).toBe(STEP_STATUS.FAILED);
+      expect(rejected.steps.find(step => step.id === TRACKER_STEPS.CHALLENGING).description).toContain('1 challenge');
+    });
+  });
+});
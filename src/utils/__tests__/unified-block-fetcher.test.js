@@ -0,0 +1,69 @@
+import {
+  getCheckpointScopes,
+  mergeCheckpoints,
+  planIncrementalScan,
+  planBackfillScan,
+  splitBlockRange,
+} from '../unified-block-fetcher';
+
+describe('unified-block-fetcher checkpoints', () => {
+  it('should cover every event type with an AllEvents scan', () => {
+    expect(getCheckpointScopes('AllEvents')).toEqual(['NewClaim', 'NewExpatriation', 'NewRepatriation']);
+    expect(getCheckpointScopes('NewClaim')).toEqual(['NewClaim']);
+    expect(() => getCheckpointScopes('Transfer')).toThrow('Unsupported event type: Transfer');
+  });
+
+  it('should merge checkpoints into the range scanned for all scopes', () => {
+    expect(mergeCheckpoints([
+      { lastScannedBlock: 1000, earliestScannedBlock: 500 },
+      { lastScannedBlock: 900, earliestScannedBlock: 600 },
+    ])).toEqual({ lastScannedBlock: 900, earliestScannedBlock: 600 });
+    expect(mergeCheckpoints([{ lastScannedBlock: 1000, earliestScannedBlock: 500 }, null])).toBeNull();
+    expect(mergeCheckpoints([])).toBeNull();
+  });
+
+  describe('planIncrementalScan', () => {
+    it('should scan the initial window on the first run', () => {
+      expect(planIncrementalScan({ latestBlock: 10000, checkpoint: null, initialBlocks: 1440 }))
+        .toEqual({ fromBlock: 8560, toBlock: 10000, rescanToBlock: null });
+      expect(planIncrementalScan({ latestBlock: 100, checkpoint: null, initialBlocks: 1440 }).fromBlock).toBe(0);
+    });
+
+    it('should resume from the checkpoint minus the reorg margin', () => {
+      const checkpoint = { lastScannedBlock: 9000, earliestScannedBlock: 5000 };
+      expect(planIncrementalScan({ latestBlock: 9500, checkpoint, initialBlocks: 1440, reorgSafetyBlocks: 10 }))
+        .toEqual({ fromBlock: 8991, toBlock: 9500, rescanToBlock: 9000 });
+    });
+
+    it('should not rescan below the earliest scanned block', () => {
+      const checkpoint = { lastScannedBlock: 5005, earliestScannedBlock: 5000 };
+      expect(planIncrementalScan({ latestBlock: 5100, checkpoint, initialBlocks: 1440, reorgSafetyBlocks: 10 }).fromBlock).toBe(5000);
+    });
+
+    it('should skip the scan when the node is behind the checkpoint', () => {
+      const checkpoint = { lastScannedBlock: 9000, earliestScannedBlock: 5000 };
+      expect(planIncrementalScan({ latestBlock: 8980, checkpoint, initialBlocks: 1440, reorgSafetyBlocks: 10 })).toBeNull();
+      expect(planIncrementalScan({ latestBlock: 8995, checkpoint, initialBlocks: 1440, reorgSafetyBlocks: 10 }))
+        .toEqual({ fromBlock: 8991, toBlock: 8995, rescanToBlock: 8995 });
+    });
+  });
+
+  it('should plan backfill windows down to the genesis block', () => {
+    expect(planBackfillScan({ checkpoint: { lastScannedBlock: 9000, earliestScannedBlock: 5000 }, windowBlocks: 1000 }))
+      .toEqual({ fromBlock: 4000, toBlock: 4999 });
+    expect(planBackfillScan({ checkpoint: { lastScannedBlock: 9000, earliestScannedBlock: 300 }, windowBlocks: 1000 }))
+      .toEqual({ fromBlock: 0, toBlock: 299 });
+    expect(planBackfillScan({ checkpoint: { lastScannedBlock: 9000, earliestScannedBlock: 0 }, windowBlocks: 1000 })).toBeNull();
+    expect(planBackfillScan({ checkpoint: null, windowBlocks: 1000 })).toBeNull();
+  });
+
+  it('should split block ranges into chunks, oldest first', () => {
+    expect(splitBlockRange(100, 350, 100)).toEqual([
+      { fromBlock: 100, toBlock: 199 },
+      { fromBlock: 200, toBlock: 299 },
+      { fromBlock: 300, toBlock: 350 },
+    ]);
+    expect(splitBlockRange(100, 100, 100)).toEqual([{ fromBlock: 100, toBlock: 100 }]);
+    expect(splitBlockRange(101, 100, 100)).toEqual([]);
+  });
+});
@@ -0,0 +1,98 @@
+import {
+  WALLET_TYPES,
+  INJECTED_WALLET_ID,
+  WALLETCONNECT_WALLET_ID,
+  getInjectedWalletName,
+  discoverInjectedWallets,
+  getWalletOptions,
+  getWalletProvider,
+  setWalletProvider,
+  getSavedWallet,
+  saveWallet,
+} from '../wallet-providers';
+
+const announce = (info, provider) => {
+  window.dispatchEvent(new CustomEvent('eip6963:announceProvider', { detail: Object.freeze({ info, provider }) }));
+};
+
+describe('wallet-providers', () => {
+  afterEach(() => {
+    setWalletProvider(null);
+    delete window.ethereum;
+    localStorage.clear();
+  });
+
+  it('should name legacy injected wallets by their flags', () => {
+    expect(getInjectedWalletName({ isMetaMask: true })).toBe('MetaMask');
+    // Rabby and Brave pretend to be MetaMask
+    expect(getInjectedWalletName({ isMetaMask: true, isRabby: true })).toBe('Rabby');
+    expect(getInjectedWalletName({ isMetaMask: true, isBraveWallet: true })).toBe('Brave Wallet');
+    expect(getInjectedWalletName({ isCoinbaseWallet: true })).toBe('Coinbase Wallet');
+    expect(getInjectedWalletName({})).toBe('Browser Wallet');
+  });
+
+  it('should collect wallets announced through EIP-6963', () => {
+    const rabby = { request: jest.fn() };
+    const onChange = jest.fn();
+    // Answer discovery requests like a wallet extension would
+    const respond = () => announce({ uuid: 'uuid-1', name: 'Rabby', icon: 'data:image/svg+xml,', rdns: 'io.rabby' }, rabby);
+    window.addEventListener('eip6963:requestProvider', respond);
+
+    const unsubscribe = discoverInjectedWallets(onChange);
+    expect(onChange).toHaveBeenLastCalledWith([
+      { id: 'io.rabby', type: WALLET_TYPES.EIP6963, name: 'Rabby', icon: 'data:image/svg+xml,', provider: rabby },
+    ]);
+
+    // Announcements without a provider are ignored, repeated ones replace the entry
+    announce({ uuid: 'uuid-2', name: 'Broken' }, null);
+    respond();
+    expect(onChange.mock.calls[onChange.mock.calls.length - 1][0]).toHaveLength(1);
+
+    unsubscribe();
+    window.removeEventListener('eip6963:requestProvider', respond);
+    announce({ uuid: 'uuid-3', name: 'Frame', rdns: 'sh.frame' }, { request: jest.fn() });
+    expect(onChange.mock.calls[onChange.mock.calls.length - 1][0]).toHaveLength(1);
+  });
+
+  describe('getWalletOptions', () => {
+    const frame = { id: 'sh.frame', type: WALLET_TYPES.EIP6963, name: 'Frame', icon: 'icon', provider: {} };
+
+    it('should fall back to window.ethereum when no wallet announced itself', () => {
+      const ethereum = { isMetaMask: true };
+      const options = getWalletOptions([], { ethereum, walletConnectEnabled: true });
+
+      expect(options.map(option => option.id)).toEqual([INJECTED_WALLET_ID, WALLETCONNECT_WALLET_ID]);
+      expect(options[0]).toMatchObject({ name: 'MetaMask', provider: ethereum, isLastUsed: false });
+    });
+
+    it('should prefer EIP-6963 wallets and list the last used wallet first', () => {
+      const options = getWalletOptions([frame], { ethereum: {}, walletConnectEnabled: true, lastWalletId: WALLETCONNECT_WALLET_ID });
+
+      expect(options.map(option => option.id)).toEqual([WALLETCONNECT_WALLET_ID, 'sh.frame']);
+      expect(options[0].isLastUsed).toBe(true);
+    });
+
+    it('should leave out WalletConnect without a project id', () => {
+      expect(getWalletOptions([frame], {}).map(option => option.id)).toEqual(['sh.frame']);
+      expect(getWalletOptions([])).toEqual([]);
+    });
+  });
+
+  it('should route requests to the connected wallet before window.ethereum', () => {
+    const injected = { request: jest.fn() };
+    const connected = { request: jest.fn() };
+    window.ethereum = injected;
+
+    expect(getWalletProvider()).toBe(injected);
+    setWalletProvider(connected);
+    expect(getWalletProvider()).toBe(connected);
+    setWalletProvider(null);
+    expect(getWalletProvider()).toBe(injected);
+  });
+
+  it('should remember the last used wallet', () => {
+    expect(getSavedWallet()).toBeNull();
+    saveWallet({ id: 'io.rabby', type: WALLET_TYPES.EIP6963, name: 'Rabby', provider: {} });
+    expect(getSavedWallet()).toEqual({ id: 'io.rabby', type: WALLET_TYPES.EIP6963 });
+  });
+});
@@ -0,0 +1,122 @@
+import { ethers } from 'ethers';
+import {
+  WATCHTOWER_DECISIONS,
+  DEFAULT_WATCHTOWER_SETTINGS,
+  getWatchtowerSettings,
+  saveWatchtowerSettings,
+  getWatchtowerLog,
+  appendWatchtowerLog,
+  clearWatchtowerLog,
+  getClaimKey,
+  getClaimNumber,
+  isTerminalDecision,
+  evaluateSuspiciousClaim,
+  checkBudget,
+  getCommittedStake,
+  getWatchtowerBridgeConfigs,
+} from '../watchtower';
+
+const bn = (value) => ethers.BigNumber.from(value);
+
+describe('watchtower', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe('storage', () => {
+    it('should merge stored settings with defaults', () => {
+      expect(getWatchtowerSettings()).toEqual(DEFAULT_WATCHTOWER_SETTINGS);
+      saveWatchtowerSettings({ enabled: true, rangeHours: 48 });
+      expect(getWatchtowerSettings()).toMatchObject({ enabled: true, rangeHours: 48, pollIntervalMinutes: 5 });
+    });
+
+    it('should keep the decision log newest first and clear it', () => {
+      appendWatchtowerLog({ claimNum: '1', decision: WATCHTOWER_DECISIONS.VALID });
+      appendWatchtowerLog({ claimNum: '2', decision: WATCHTOWER_DECISIONS.SKIPPED });
+      const log = getWatchtowerLog();
+      expect(log.map(entry => entry.claimNum)).toEqual(['2', '1']);
+      expect(log[0].timestamp).toBeDefined();
+
+      clearWatchtowerLog();
+      expect(getWatchtowerLog()).toEqual([]);
+    });
+  });
+
+  describe('claim keys', () => {
+    it('should build case-insensitive keys from the actual claim number', () => {
+      expect(getClaimKey('0xAbC', bn(7))).toBe('0xabc:7');
+      expect(getClaimNumber({ claimNum: bn(3), actualClaimNum: bn(5) })).toBe('5');
+      expect(getClaimNumber({ claimNum: 3 })).toBe('3');
+    });
+
+    it('should treat valid, sent and dismissed claims as terminal', () => {
+      expect(isTerminalDecision({ decision: WATCHTOWER_DECISIONS.CHALLENGE_SENT })).toBe(true);
+      expect(isTerminalDecision({ decision: WATCHTOWER_DECISIONS.SKIPPED })).toBe(false);
+      expect(isTerminalDecision(undefined)).toBe(false);
+    });
+  });
+
+  describe('evaluateSuspiciousClaim', () => {
+    const now = 1700000000;
+    const scanStartTs = now - 24 * 3600;
+    const claim = { reason: 'no_matching_transfer', txts: now - 3600 };
+    const details = { finished: false, expiry_ts: bn(now + 3600), current_outcome: 1 };
+
+    it('should challenge an open claim with outcome YES', () => {
+      expect(evaluateSuspiciousClaim({ claim, details, now, scanStartTs })).toEqual({ action: 'challenge', reason: 'no_matching_transfer' });
+    });
+
+    it('should skip claims that can no longer be challenged', () => {
+      expect(evaluateSuspiciousClaim({ claim, details: null, now, scanStartTs }).reason).toBe('claim_not_found');
+      expect(evaluateSuspiciousClaim({ claim, details: { ...details, finished: true }, now, scanStartTs }).reason).toBe('claim_finished');
+      expect(evaluateSuspiciousClaim({ claim, details: { ...details, expiry_ts: bn(now - 1) }, now, scanStartTs }).reason).toBe('challenging_period_over');
+      expect(evaluateSuspiciousClaim({ claim, details: { ...details, current_outcome: 0 }, now, scanStartTs }).reason).toBe('already_challenged');
+    });
+
+    it('should not judge missing transfers near the start of the scanned window', () => {
+      const oldClaim = { ...claim, txts: scanStartTs + 60 };
+      expect(evaluateSuspiciousClaim({ claim: oldClaim, details, now, scanStartTs }).reason).toBe('transfer_outside_scan_window');
+
+      const mismatch = { ...oldClaim, reason: 'txid_match_but_parameter_mismatch' };
+      expect(evaluateSuspiciousClaim({ claim: mismatch, details, now, scanStartTs }).action).toBe('challenge');
+    });
+  });
+
+  describe('budgets', () => {
+    it('should allow stakes within the remaining budget only', () => {
+      expect(checkBudget({ budget: '1000', spent: '400', stake: bn(600) })).toMatchObject({ allowed: true });
+      expect(checkBudget({ budget: '1000', spent: '400', stake: bn(601) }).allowed).toBe(false);
+      expect(checkBudget({ budget: undefined, spent: '0', stake: bn(1) }).allowed).toBe(false);
+      expect(checkBudget({ budget: '100', spent: '200', stake: bn(1) }).remaining.isZero()).toBe(true);
+    });
+
+    it('should count queued challenges towards the committed stake', () => {
+      const state = {
+        spent: { '0xbridge': '100' },
+        queue: [
+          { bridgeAddress: '0xBRIDGE', stake: '50' },
+          { bridgeAddress: '0xother', stake: '999' },
+        ],
+      };
+      expect(getCommittedStake(state, '0xBridge').toString()).toBe('150');
+    });
+  });
+
+  describe('getWatchtowerBridgeConfigs', () => {
+    it('should include the counterpart of every watched bridge', () => {
+      const allBridges = {
+        EXPORT: { address: '0xExport', type: 'export', bridgeId: 1, homeNetwork: '3dpass', foreignNetwork: 'Ethereum' },
+        IMPORT: { address: '0xImport', type: 'import', bridgeId: 1, homeNetwork: '3dpass', foreignNetwork: 'Ethereum' },
+        OTHER: { address: '0xOther', type: 'export', bridgeId: 2, homeNetwork: '3dpass', foreignNetwork: 'BSC' },
+      };
+      const networks = {
+        THREEDPASS: { bridges: { EXPORT: allBridges.EXPORT, OTHER: allBridges.OTHER } },
+        ETHEREUM: { bridges: { IMPORT: allBridges.IMPORT } },
+      };
+
+      const configs = getWatchtowerBridgeConfigs(['0ximport'], allBridges, networks);
+      expect(configs.map(config => config.bridgeAddress).sort()).toEqual(['0xExport', '0xImport']);
+      expect(configs.find(config => config.bridgeAddress === '0xImport')).toMatchObject({ networkKey: 'ETHEREUM', bridgeType: 'import' });
+    });
+  });
+});
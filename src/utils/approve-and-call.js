@@ -0,0 +1,227 @@
+/**
+ * Approve and Call
+ *
+ * Sends a stake approval together with the call that spends it. Where the network has a batch
+ * precompile (3DPass) both go out as one batchAll transaction: the user signs once and, since
+ * batchAll reverts as a whole, never ends up with an approval but no claim or challenge. Elsewhere
+ * the approval is a transaction of its own, sent only when the allowance falls short, followed
+ * by the call. In a batch, the approval can be an exact-amount EIP-2612 permit instead (see
+ * token-permit.js). Failures name the sub-call that failed.
+ * Used by src/components/NewClaim.js and src/components/Challenge.js.
+ */
+
+import { ethers } from 'ethers';
+import { BATCH_ABI, ERC20_ABI } from '../contracts/abi';
+import { createContract } from './contract-factory';
+import { getBatchContractAddress } from './batch-transactions';
+import { getPermitSupport, signPermit, buildPermitCall } from './token-permit';
+
+// Used when an approval cannot be estimated
+export const APPROVE_GAS_LIMIT = 100000;
+const GAS_MARGIN_PERCENT = 20;
+// Gas of the batch precompile itself, on top of its sub-calls
+const BATCH_GAS_OVERHEAD = 50000;
+
+const erc20Interface = new ethers.utils.Interface(ERC20_ABI);
+const batchInterface = new ethers.utils.Interface(BATCH_ABI);
+
+const getRevertReason = (error) => error?.reason || error?.error?.message || error?.data?.message || error?.message || String(error);
+
+// Rejected signatures and repriced transactions are handled by the callers as they are
+const isPassedThrough = (error) => ['ACTION_REJECTED', 'TRANSACTION_REPLACED', 4001].includes(error?.code) ||
+  Boolean(error?.message?.includes('user rejected'));
+
+const createSubcallError = ({ index, label, reason }, count) => {
+  const error = new Error(`${label} failed (step ${index + 1} of ${count}): ${reason}`);
+  error.failedCall = { index, label, reason };
+  return error;
+};
+
+/**
+ * Whether an approval of the token can be batched with the call spending it
+ * @param {Object} networkConfig - Network configuration
+ * @param {string} tokenAddress - Token to approve
+ * @returns {boolean} True when the network has a batch precompile and the token is not the native coin
+ */
+export const canBatchApproval = (networkConfig, tokenAddress) => {
+  return Boolean(getBatchContractAddress(networkConfig) && tokenAddress && tokenAddress !== ethers.constants.AddressZero);
+};
+
+/**
+ * Build the approval sub-call
+ * @param {string} tokenAddress - Token to approve
+ * @param {string} spender - Spender address
+ * @param {ethers.BigNumber} amount - Amount to approve
+ * @returns {Object} { label, to, value, data, gasLimit }
+ */
+export const buildApprovalCall = (tokenAddress, spender, amount) => ({
+  label: 'Approval',
+  to: tokenAddress,
+  value: ethers.constants.Zero,
+  data: erc20Interface.encodeFunctionData('approve', [spender, amount]),
+  gasLimit: APPROVE_GAS_LIMIT,
+});
+
+/**
+ * Estimate the gas of every sub-call with a margin. A call spending the approval made in the same batch
+ * cannot be estimated before the approval exists, such calls keep their given gas limit.
+ * @param {ethers.providers.Provider} provider - Provider of the network
+ * @param {string} from - Sender address
+ * @param {Array<Object>} calls - { label, to, value, data, gasLimit } sub-calls
+ * @returns {Promise<Array<ethers.BigNumber>>} Gas limit per sub-call
+ */
+export const estimateSubcallGas = async (provider, from, calls) => {
+  return Promise.all(calls.map(async (call) => {
+    try {
+      const estimate = await provider.estimateGas({ from, to: call.to, value: call.value || 0, data: call.data });
+      return estimate.mul(100 + GAS_MARGIN_PERCENT).div(100);
+    } catch (error) {
+      console.warn(`⚠️ ${call.label} gas estimation failed, using ${call.gasLimit}:`, getRevertReason(error));
+      return ethers.BigNumber.from(call.gasLimit);
+    }
+  }));
+};
+
+/**
+ * Find the sub-call a batch failed on. Every call but the last is simulated on its own, the first one
+ * that reverts is the culprit; when they all pass, the last call failed with the batch's revert reason.
+ * @param {ethers.providers.Provider} provider - Provider of the network
+ * @param {string} from - Sender address
+ * @param {Array<Object>} calls - Sub-calls of the batch
+ * @param {Error} batchError - Error of the batch
+ * @returns {Promise<Object>} { index, label, reason }
+ */
+export const findFailedSubcall = async (provider, from, calls, batchError) => {
+  for (let index = 0; index < calls.length - 1; index++) {
+    const call = calls[index];
+    try {
+      await provider.call({ from, to: call.to, value: call.value || 0, data: call.data });
+    } catch (error) {
+      return { index, label: call.label, reason: getRevertReason(error) };
+    }
+  }
+  const index = calls.length - 1;
+  return { index, label: calls[index].label, reason: getRevertReason(batchError) };
+};
+
+const toSubcallError = async (provider, from, calls, error) => {
+  if (isPassedThrough(error)) return error;
+  const failedCall = await findFailedSubcall(provider, from, calls, error);
+  console.error(`❌ Batch failed at sub-call ${failedCall.index + 1} (${failedCall.label}):`, failedCall.reason);
+  return createSubcallError(failedCall, calls.length);
+};
+
+const sendBatch = async ({ signer, from, batchAddress, calls, overrides, onSent }) => {
+  const { provider } = signer;
+  const gasLimits = await estimateSubcallGas(provider, from, calls);
+  const data = batchInterface.encodeFunctionData('batchAll', [
+    calls.map(call => call.to),
+    calls.map(call => call.value || 0),
+    calls.map(call => call.data),
+    gasLimits,
+  ]);
+  const value = calls.reduce((sum, call) => sum.add(call.value || 0), ethers.constants.Zero);
+  const gasLimit = gasLimits.reduce((sum, limit) => sum.add(limit), ethers.BigNumber.from(BATCH_GAS_OVERHEAD));
+
+  // Simulate first so a failing sub-call is reported before anything is signed
+  try {
+    await provider.call({ from, to: batchAddress, value, data });
+  } catch (error) {
+    throw await toSubcallError(provider, from, calls, error);
+  }
+
+  const batch = createContract(batchAddress, BATCH_ABI, signer);
+  let tx;
+  try {
+    tx = await batch.batchAll(
+      calls.map(call => call.to),
+      calls.map(call => call.value || 0),
+      calls.map(call => call.data),
+      gasLimits,
+      { value, gasLimit, ...overrides }
+    );
+  } catch (error) {
+    throw await toSubcallError(provider, from, calls, error);
+  }
+  console.log(`🔄 ${calls.map(call => call.label).join(' and ')} batched: ${tx.hash}`);
+  onSent(tx);
+
+  try {
+    return await tx.wait();
+  } catch (error) {
+    throw await toSubcallError(provider, from, calls, error);
+  }
+};
+
+const sendSequential = async ({ signer, from, calls, overrides, onSent }) => {
+  const { provider } = signer;
+  let receipt = null;
+  for (let index = 0; index < calls.length; index++) {
+    const call = calls[index];
+    const isLast = index === calls.length - 1;
+    try {
+      const [estimated] = await estimateSubcallGas(provider, from, [call]);
+      const tx = await signer.sendTransaction({
+        to: call.to,
+        value: call.value || 0,
+        data: call.data,
+        gasLimit: estimated,
+        ...overrides,
+      });
+      console.log(`🔄 ${call.label} sent: ${tx.hash}`);
+      if (isLast) onSent(tx);
+      receipt = await tx.wait();
+    } catch (error) {
+      if (isPassedThrough(error)) throw error;
+      console.error(`❌ ${call.label} failed:`, error);
+      throw createSubcallError({ index, label: call.label, reason: getRevertReason(error) }, calls.length);
+    }
+  }
+  return receipt;
+};
+
+/**
+ * Approve the token when the allowance falls short and send the call spending it
+ * @param {Object} params - Send parameters
+ * @param {ethers.Signer} params.signer - Wallet signer
+ * @param {Object} params.networkConfig - Network configuration, its batch precompile is used when it has one
+ * @param {Object} params.approval - { tokenAddress, spender, required, amount, usePermit }, amount being what to
+ * approve (defaults to required); the native coin needs no approval. With usePermit a batched approval is replaced
+ * by a signed permit for exactly the required amount when the token supports EIP-2612.
+ * @param {Object} params.call - { label, to, value, data, gasLimit }, gasLimit used when the call cannot be estimated
+ * @param {Object} [params.overrides] - Fee overrides for every transaction, e.g. 3DPass fees
+ * @param {Function} [params.onSent] - Called with the transaction carrying the call once it is sent
+ * @returns {Promise<Object>} { receipt, approved, batched, permitted }
+ * @throws {Error} With failedCall { index, label, reason } when a sub-call failed
+ */
+export const sendApproveAndCall = async ({ signer, networkConfig, approval, call, overrides = {}, onSent = () => {} }) => {
+  const from = await signer.getAddress();
+  const { tokenAddress, spender, required } = approval;
+
+  let needsApproval = false;
+  if (tokenAddress && tokenAddress !== ethers.constants.AddressZero) {
+    const token = createContract(tokenAddress, ERC20_ABI, signer);
+    const allowance = await token.allowance(from, spender);
+    needsApproval = allowance.lt(required);
+  }
+
+  const batchAddress = getBatchContractAddress(networkConfig);
+  const batched = needsApproval && canBatchApproval(networkConfig, tokenAddress);
+
+  // A permit needs somebody to submit it, which only the batch does here
+  let permitted = false;
+  let approvalCall = needsApproval ? buildApprovalCall(tokenAddress, spender, approval.amount || required) : null;
+  if (batched && approval.usePermit) {
+    const support = await getPermitSupport(signer.provider, tokenAddress, from);
+    if (support.supported) {
+      approvalCall = buildPermitCall(tokenAddress, await signPermit({ signer, support, spender, value: required }));
+      permitted = true;
+    }
+  }
+
+  const calls = approvalCall ? [approvalCall, call] : [call];
+  const receipt = batched
+    ? await sendBatch({ signer, from, batchAddress, calls, overrides, onSent })
+    : await sendSequential({ signer, from, calls, overrides, onSent });
+  return { receipt, approved: needsApproval, batched, permitted };
+};
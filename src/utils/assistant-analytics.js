@@ -0,0 +1,331 @@
+/**
+ * Assistant Analytics Utilities
+ *
+ * Reconstructs the history of an assistant pool for investors. Share purchases and
+ * redemptions are the mints and burns of the share token, claims and challenges come
+ * from NewClaimFor / AssistantChallenge, and the pool state (balances, profit, the
+ * profit still diffusing) is read at past blocks, which needs an RPC that keeps
+ * historical state. The series is cached per assistant and extended on later loads.
+ * Used by src/components/AssistantAnalytics.js.
+ */
+
+import { ethers } from 'ethers';
+import { ERC20_ABI } from '../contracts/abi';
+import { ADDRESS_ZERO } from '../config/networks';
+import { estimateBlocksFromHours } from './block-estimator';
+import { computeNetBalances } from './assistant-swap';
+import { estimateWithdrawal } from './batch-withdraw';
+import {
+  OUTCOME_YES,
+  POSITION_STATUS,
+  getAssistantABI,
+  getAssistantTokenInfo,
+  getAssistantPositionEvents,
+  isImportAssistant,
+} from './assistant-manager';
+
+// History ranges offered for a fresh reconstruction, in hours
+export const HISTORY_RANGE_HOURS = [168, 720, 2160, 4320];
+export const DEFAULT_HISTORY_HOURS = 720;
+
+export const SHARE_FLOW_TYPES = {
+  BUY: 'buy',       // buyShares mints shares
+  REDEEM: 'redeem', // redeemShares burns them
+};
+
+// Version of the cached history format, older caches are rebuilt
+export const HISTORY_VERSION = 1;
+
+// Points kept in the cached share price series
+export const MAX_HISTORY_POINTS = 120;
+// Evenly spaced samples per load, so recordWin / recordLoss and fee accrual (which emit no events) show up
+const SPACED_SAMPLES = 12;
+// Block span of a single eth_getLogs request
+const EVENT_SCAN_CHUNK_BLOCKS = 10000;
+const YEAR_SECONDS = 365 * 24 * 3600;
+const SHARE_DECIMALS = 18;
+
+const SHARE_TRANSFER_EVENT = 'event Transfer(address indexed from, address indexed to, uint256 value)';
+
+const zero = ethers.constants.Zero;
+const toNumber = (amount, decimals) => parseFloat(ethers.utils.formatUnits(amount || 0, decimals ?? 18));
+
+/**
+ * Scan the mints and burns of the assistant's share token
+ * @param {ethers.Contract} assistantContract - Assistant contract with the Transfer event
+ * @param {number} fromBlock - First block to scan
+ * @param {number} toBlock - Last block to scan
+ * @returns {Promise<Array>} { type, account, shares, blockNumber, transactionHash } ordered by block, shares as a decimal string
+ */
+export const getShareFlowEvents = async (assistantContract, fromBlock, toBlock) => {
+  const events = [];
+  for (let start = fromBlock; start <= toBlock; start += EVENT_SCAN_CHUNK_BLOCKS) {
+    const end = Math.min(start + EVENT_SCAN_CHUNK_BLOCKS - 1, toBlock);
+    const [mints, burns] = await Promise.all([
+      assistantContract.queryFilter(assistantContract.filters.Transfer(ADDRESS_ZERO), start, end),
+      assistantContract.queryFilter(assistantContract.filters.Transfer(null, ADDRESS_ZERO), start, end),
+    ]);
+    events.push(
+      ...mints.map(event => ({ type: SHARE_FLOW_TYPES.BUY, account: event.args.to, event })),
+      ...burns.map(event => ({ type: SHARE_FLOW_TYPES.REDEEM, account: event.args.from, event })),
+    );
+  }
+
+  return events
+    .map(({ type, account, event }) => ({
+      type,
+      account,
+      shares: event.args.value.toString(),
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+    }))
+    .sort((a, b) => a.blockNumber - b.blockNumber);
+};
+
+/**
+ * Read the pool state of an assistant as of a block
+ * @param {Object} params - Snapshot parameters
+ * @param {ethers.providers.Provider} params.provider - Provider for the assistant network
+ * @param {Object} params.assistant - Assistant configuration (address, type, bridgeAddress)
+ * @param {Object} params.tokenInfo - Result of getAssistantTokenInfo
+ * @param {number} params.blockNumber - Block to read at
+ * @returns {Promise<Object>} { blockNumber, timestamp, totalSupply, net, profit, unavailableProfit, balanceInWork },
+ * amounts as { stake, image } decimal strings
+ */
+export const readPoolSnapshot = async ({ provider, assistant, tokenInfo, blockNumber }) => {
+  const overrides = { blockTag: blockNumber };
+  const contract = new ethers.Contract(assistant.address, getAssistantABI(assistant.type), provider);
+  const getBalance = (tokenAddress) => {
+    if (!tokenAddress) return Promise.resolve(zero);
+    if (tokenAddress === ADDRESS_ZERO) return provider.getBalance(assistant.address, blockNumber);
+    return new ethers.Contract(tokenAddress, ERC20_ABI, provider).balanceOf(assistant.address, overrides);
+  };
+
+  const [block, totalSupply, balanceInWork, mf, profit, unavailableProfit, networkFeeCompensation, ts, managementFee10000, successFee10000, stakeBalance, imageBalance] = await Promise.all([
+    provider.getBlock(blockNumber),
+    contract.totalSupply(overrides),
+    contract.balance_in_work(overrides),
+    contract.mf(overrides),
+    contract.profit(overrides),
+    contract.getUnavailableProfit(overrides),
+    contract.network_fee_compensation(overrides),
+    contract.ts(overrides),
+    contract.management_fee10000(overrides),
+    contract.success_fee10000(overrides),
+    getBalance(tokenInfo.stakeTokenAddress),
+    getBalance(tokenInfo.imageTokenAddress),
+  ]);
+
+  // Export assistants keep plain numbers, import assistants { stake, image } structs
+  const pair = (value) => (isImportAssistant(assistant.type) ? { stake: value.stake, image: value.image } : { stake: value, image: zero });
+  const work = pair(balanceInWork);
+  const net = computeNetBalances({
+    grossBalance: { stake: stakeBalance.add(work.stake), image: imageBalance.add(work.image) },
+    mf: pair(mf),
+    profit: pair(profit),
+    networkFeeCompensation,
+    ts: ts.toNumber(),
+    managementFee10000,
+    successFee10000,
+  }, block.timestamp);
+
+  const serialize = ({ stake, image }) => ({ stake: stake.toString(), image: image.toString() });
+  return {
+    blockNumber,
+    timestamp: block.timestamp,
+    totalSupply: totalSupply.toString(),
+    net: serialize(net),
+    profit: serialize(pair(profit)),
+    unavailableProfit: serialize(pair(unavailableProfit)),
+    balanceInWork: serialize(work),
+  };
+};
+
+/**
+ * Pick the blocks to sample, keeping the first and last ones
+ * @param {Array<number>} blocks - Candidate block numbers
+ * @param {number} maxPoints - Maximum number of blocks
+ * @returns {Array<number>} Unique blocks in ascending order
+ */
+export const selectSampleBlocks = (blocks, maxPoints) => {
+  const unique = [...new Set(blocks)].sort((a, b) => a - b);
+  if (unique.length <= maxPoints) return unique;
+  const step = (unique.length - 1) / (maxPoints - 1);
+  return [...new Set(Array.from({ length: maxPoints }, (_, index) => unique[Math.round(index * step)]))];
+};
+
+const thinPoints = (points) => {
+  const byBlock = new Map(points.map(point => [point.blockNumber, point]));
+  return selectSampleBlocks([...byBlock.keys()], MAX_HISTORY_POINTS).map(blockNumber => byBlock.get(blockNumber));
+};
+
+const serializePositionEvent = (event) => ({
+  eventType: event.eventType,
+  claimNum: event.claimNum,
+  outcome: Number(event.outcome),
+  stake: event.stake.toString(),
+  blockNumber: event.blockNumber,
+  transactionHash: event.transactionHash,
+});
+
+/**
+ * Reconstruct (or extend) the history of an assistant pool
+ * @param {Object} params - Load parameters
+ * @param {ethers.providers.Provider} params.provider - Provider for the assistant network
+ * @param {Object} params.assistant - Assistant configuration (address, type, bridgeAddress)
+ * @param {string} params.networkKey - Network key of the assistant (for block estimation)
+ * @param {number} [params.rangeHours] - Hours of history to reconstruct when nothing is cached
+ * @param {Object|null} [params.cached] - History from a previous load, extended from its last scanned block
+ * @returns {Promise<Object>} Serializable history: { version, assistantAddress, tokens, startBlock, lastScannedBlock, updatedAt,
+ * flows, positionEvents, points, failedSnapshots }, tokens being the { address, decimals } of the stake and image assets
+ */
+export const loadAssistantHistory = async ({ provider, assistant, networkKey, rangeHours = DEFAULT_HISTORY_HOURS, cached = null }) => {
+  try {
+    const previous = cached?.version === HISTORY_VERSION ? cached : null;
+    const contract = new ethers.Contract(assistant.address, [...getAssistantABI(assistant.type), SHARE_TRANSFER_EVENT], provider);
+    const [tokenInfo, latestBlock] = await Promise.all([
+      getAssistantTokenInfo(provider, assistant),
+      provider.getBlockNumber(),
+    ]);
+
+    const fromBlock = previous
+      ? previous.lastScannedBlock + 1
+      : Math.max(0, latestBlock - estimateBlocksFromHours(rangeHours, networkKey));
+    const [flows, positionEvents] = fromBlock <= latestBlock
+      ? await Promise.all([
+        getShareFlowEvents(contract, fromBlock, latestBlock),
+        getAssistantPositionEvents(contract, fromBlock, latestBlock),
+      ])
+      : [[], []];
+    console.log(`🔍 Found ${flows.length} share flows and ${positionEvents.length} position events since block ${fromBlock}`);
+
+    // The pool state changes at every event; spaced samples cover the changes without one
+    const spaced = Array.from({ length: SPACED_SAMPLES }, (_, index) => fromBlock + Math.floor((latestBlock - fromBlock) * index / SPACED_SAMPLES));
+    const blocks = selectSampleBlocks([
+      ...flows.map(flow => flow.blockNumber),
+      ...positionEvents.map(event => event.blockNumber),
+      ...spaced.filter(block => block <= latestBlock),
+      latestBlock,
+    ], MAX_HISTORY_POINTS);
+
+    const points = [];
+    let failedSnapshots = 0;
+    for (const blockNumber of blocks) {
+      try {
+        points.push(await readPoolSnapshot({ provider, assistant, tokenInfo, blockNumber }));
+      } catch (error) {
+        // Pruned nodes only serve recent state, and the pool may not exist yet at early blocks
+        console.warn(`⚠️ Failed to read pool state at block ${blockNumber}:`, error.message);
+        failedSnapshots++;
+      }
+    }
+
+    return {
+      version: HISTORY_VERSION,
+      assistantAddress: assistant.address.toLowerCase(),
+      tokens: {
+        stake: { address: tokenInfo.stakeTokenAddress, decimals: tokenInfo.stakeDecimals },
+        image: tokenInfo.imageTokenAddress ? { address: tokenInfo.imageTokenAddress, decimals: tokenInfo.imageDecimals } : null,
+      },
+      startBlock: previous ? previous.startBlock : fromBlock,
+      lastScannedBlock: latestBlock,
+      updatedAt: Date.now(),
+      flows: [...(previous?.flows || []), ...flows],
+      positionEvents: [...(previous?.positionEvents || []), ...positionEvents.map(serializePositionEvent)],
+      points: thinPoints([...(previous?.points || []), ...points]),
+      failedSnapshots,
+    };
+  } catch (error) {
+    console.error('❌ Error loading assistant history:', error);
+    throw new Error(`Failed to load assistant history: ${error.message}`);
+  }
+};
+
+/**
+ * Get the net balance per share over time
+ * @param {Array<Object>} points - Snapshots from readPoolSnapshot
+ * @param {Object} decimals - { stake, image } decimals of the pool assets, image null for export assistants
+ * @returns {Array<Object>} { blockNumber, timestamp, stake, image }, prices in whole asset units per share, null without shares
+ */
+export const getSharePriceSeries = (points, decimals) => points.map(point => {
+  const supply = toNumber(point.totalSupply, SHARE_DECIMALS);
+  const perShare = (amount, assetDecimals) => (supply > 0 ? toNumber(amount, assetDecimals) / supply : null);
+  return {
+    blockNumber: point.blockNumber,
+    timestamp: point.timestamp,
+    stake: perShare(point.net.stake, decimals.stake),
+    image: decimals.image === null || decimals.image === undefined ? null : perShare(point.net.image, decimals.image),
+  };
+});
+
+/**
+ * Annualise the change of the share price between the first and last priced points
+ * @param {Array<Object>} series - Series from getSharePriceSeries
+ * @param {string} [asset='stake'] - 'stake' or 'image'
+ * @returns {number|null} Annual return as a fraction (0.1 for 10%), null when the series spans less than a day
+ */
+export const computeAnnualisedReturn = (series, asset = 'stake') => {
+  const priced = series.filter(point => point[asset] > 0);
+  if (priced.length < 2) return null;
+  const first = priced[0];
+  const last = priced[priced.length - 1];
+  const elapsed = last.timestamp - first.timestamp;
+  if (elapsed < 24 * 3600) return null;
+  return Math.pow(last[asset] / first[asset], YEAR_SECONDS / elapsed) - 1;
+};
+
+/**
+ * Sum up the assistant's claims and challenges
+ * @param {Array<Object>} positions - Positions from classifyAssistantPositions
+ * @param {Object} params - Summary parameters
+ * @param {string} params.assistantAddress - Assistant contract address
+ * @param {boolean} params.isImport - Whether the assistant keeps separate stake and image balances
+ * @param {number} [params.now] - Current unix timestamp in seconds
+ * @returns {Object} { wins, losses, open, winRatio, unrealised: { stake, image } }, unrealised being the profit of the
+ * positions not recorded yet if the current outcomes hold
+ */
+export const summarizePositions = (positions, { assistantAddress, isImport, now = Math.floor(Date.now() / 1000) }) => {
+  let wins = 0;
+  let losses = 0;
+  let open = 0;
+  let unrealisedStake = zero;
+  let unrealisedImage = zero;
+
+  positions.forEach(position => {
+    const { claim } = position;
+    if (!claim) return;
+    const outcome = Number(claim.current_outcome);
+
+    if (Number(claim.expiry_ts) >= now && !claim.finished) {
+      open++;
+    } else if (position.events.some(event => Number(event.outcome) === outcome)) {
+      wins++;
+    } else {
+      losses++;
+    }
+
+    if (position.invested.isZero()) return;
+    const losingStake = outcome === OUTCOME_YES ? position.noStake : position.yesStake;
+    // A withdrawal that skipped recordWin clears the winning stake, recordWin restores it the same way
+    const winningStake = position.status === POSITION_STATUS.RECORD_WIN
+      ? position.invested.sub(losingStake)
+      : (outcome === OUTCOME_YES ? position.yesStake : position.noStake);
+    const { stakePayout, claimedAmount } = estimateWithdrawal(claim, winningStake, assistantAddress);
+
+    if (isImport) {
+      // Import assistants pay and receive the claimed amount in the image asset
+      unrealisedStake = unrealisedStake.add(stakePayout).sub(position.invested);
+      unrealisedImage = unrealisedImage.add(claimedAmount).sub(position.balanceInWork.image);
+    } else {
+      unrealisedStake = unrealisedStake.add(stakePayout).add(claimedAmount).sub(position.invested);
+    }
+  });
+
+  return {
+    wins,
+    losses,
+    open,
+    winRatio: wins + losses > 0 ? wins / (wins + losses) : null,
+    unrealised: { stake: unrealisedStake, image: unrealisedImage },
+  };
+};
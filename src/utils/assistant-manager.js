@@ -0,0 +1,394 @@
+/**
+ * Assistant Manager Utilities
+ *
+ * Helpers for the assistant manager console: the manager of an assistant can
+ * claim transfers and challenge claims with pool funds (onlyManager), and anyone
+ * can settle the resulting positions with recordWin / recordLoss.
+ */
+
+import { ethers } from 'ethers';
+import {
+  EXPORT_ASSISTANT_ABI,
+  EXPORT_WRAPPER_ASSISTANT_ABI,
+  IMPORT_ASSISTANT_ABI,
+  IMPORT_WRAPPER_ASSISTANT_ABI,
+  COUNTERSTAKE_ABI,
+  ERC20_ABI,
+} from '../contracts/abi';
+import { ADDRESS_ZERO } from '../config/networks';
+import { estimateBlocksFromHours } from './block-estimator';
+import { fetchMultipleClaimDetails } from './claim-details-fetcher';
+
+// Block span of a single eth_getLogs request when scanning assistant events
+const EVENT_SCAN_CHUNK_BLOCKS = 10000;
+
+// Claim outcomes as used by the Counterstake contracts (CounterstakeLibrary.Side)
+export const OUTCOME_NO = 0;
+export const OUTCOME_YES = 1;
+
+/**
+ * Lifecycle of an assistant position (a claim the pool has funds in)
+ */
+export const POSITION_STATUS = {
+  ACTIVE: 'active',             // challenging period still running
+  WITHDRAWABLE: 'withdrawable', // expired with a winning stake - withdraw to the assistant
+  RECORD_WIN: 'record_win',     // finished but onReceivedFromClaim was missed
+  RECORD_LOSS: 'record_loss',   // expired with only a losing stake
+  SETTLED: 'settled',           // no balance in work left for this claim
+};
+
+/**
+ * Get the assistant ABI for an assistant type
+ * @param {string} type - Assistant type ('export', 'export_wrapper', 'import', 'import_wrapper')
+ * @returns {Array} Contract ABI
+ */
+export const getAssistantABI = (type) => {
+  switch (type) {
+    case 'export':
+      return EXPORT_ASSISTANT_ABI;
+    case 'export_wrapper':
+      return EXPORT_WRAPPER_ASSISTANT_ABI;
+    case 'import':
+      return IMPORT_ASSISTANT_ABI;
+    case 'import_wrapper':
+      return IMPORT_WRAPPER_ASSISTANT_ABI;
+    default:
+      throw new Error(`Unknown assistant type: ${type}`);
+  }
+};
+
+/**
+ * Whether the assistant keeps separate stake and image balances
+ * @param {string} type - Assistant type
+ * @returns {boolean} True for import and import_wrapper assistants
+ */
+export const isImportAssistant = (type) => type === 'import' || type === 'import_wrapper';
+
+/**
+ * Find the bridge on the other side of a bridge pair.
+ * Pairs share a bridgeId when both sides define one, otherwise the foreign token address.
+ * @param {Object} bridge - Bridge configuration
+ * @param {Object} allBridges - All bridge instances keyed by bridge key
+ * @returns {Object|null} Counterpart bridge configuration
+ */
+export const findCounterpartBridge = (bridge, allBridges) => {
+  if (!bridge) return null;
+  const isExport = bridge.type === 'export';
+
+  return Object.values(allBridges).find(candidate => {
+    if (!candidate || !candidate.address) return false;
+    if (candidate.address.toLowerCase() === bridge.address.toLowerCase()) return false;
+    const candidateIsExport = candidate.type === 'export';
+    if (candidateIsExport === isExport) return false;
+
+    if (bridge.bridgeId && candidate.bridgeId) {
+      return bridge.bridgeId === candidate.bridgeId;
+    }
+    return !!bridge.foreignTokenAddress &&
+      candidate.foreignTokenAddress?.toLowerCase() === bridge.foreignTokenAddress.toLowerCase();
+  }) || null;
+};
+
+/**
+ * Find the key of the network whose configuration lists a bridge
+ * @param {string} bridgeAddress - Bridge contract address
+ * @param {Object} networks - Network configurations keyed by network key
+ * @returns {string|null} Network key
+ */
+export const getBridgeNetworkKey = (bridgeAddress, networks) => {
+  if (!bridgeAddress) return null;
+  const entry = Object.entries(networks).find(([, network]) =>
+    Object.values(network?.bridges || {}).some(bridge =>
+      bridge.address?.toLowerCase() === bridgeAddress.toLowerCase()
+    )
+  );
+  return entry ? entry[0] : null;
+};
+
+/**
+ * Get the stake part of balances_in_work (import assistants return a {stake, image} struct)
+ * @param {ethers.BigNumber|Object} balanceInWork - Value returned by balances_in_work()
+ * @returns {ethers.BigNumber} Invested stake
+ */
+export const getInvestedStake = (balanceInWork) => {
+  if (!balanceInWork) return ethers.BigNumber.from(0);
+  if (ethers.BigNumber.isBigNumber(balanceInWork)) return balanceInWork;
+  return ethers.BigNumber.from(balanceInWork.stake || 0);
+};
+
+/**
+ * Classify an assistant position so the console can offer the right settlement action
+ * @param {Object} params - Position data
+ * @param {ethers.BigNumber} params.invested - Invested stake (see getInvestedStake)
+ * @param {Object} params.claim - Claim details from getClaim()
+ * @param {ethers.BigNumber} params.winningStake - Assistant stake on the current outcome
+ * @param {ethers.BigNumber} params.losingStake - Assistant stake on the opposite outcome
+ * @param {number} params.now - Current unix timestamp in seconds
+ * @returns {string} One of POSITION_STATUS
+ */
+export const classifyPosition = ({ invested, claim, winningStake, losingStake, now = Math.floor(Date.now() / 1000) }) => {
+  if (!invested || invested.isZero()) return POSITION_STATUS.SETTLED;
+  if (!claim) return POSITION_STATUS.ACTIVE;
+
+  const winning = ethers.BigNumber.from(winningStake || 0);
+  const losing = ethers.BigNumber.from(losingStake || 0);
+
+  if (winning.gt(0)) {
+    return claim.finished || now > Number(claim.expiry_ts) ? POSITION_STATUS.WITHDRAWABLE : POSITION_STATUS.ACTIVE;
+  }
+
+  if (claim.finished) {
+    // The winning stake has been paid out; whatever was invested beyond the losing stake was on the winning side
+    return invested.gt(losing) ? POSITION_STATUS.RECORD_WIN : POSITION_STATUS.RECORD_LOSS;
+  }
+
+  if (now <= Number(claim.expiry_ts)) return POSITION_STATUS.ACTIVE;
+
+  return losing.gt(0) ? POSITION_STATUS.RECORD_LOSS : POSITION_STATUS.ACTIVE;
+};
+
+/**
+ * Preview the funds locked by an assistant claim
+ * @param {Object} params - Claim parameters
+ * @param {ethers.BigNumber} params.amount - Transfer amount
+ * @param {ethers.BigNumber} params.reward - Transfer reward
+ * @param {ethers.BigNumber} params.requiredStake - Bridge getRequiredStake(amount)
+ * @param {ethers.BigNumber} [params.networkFee=0] - Gas cost the assistant charges the pool, in the transferred asset
+ * @returns {Object} { paidAmount, requiredStake, networkFee, expectedProfit, isProfitable }
+ */
+export const getClaimPreview = ({ amount, reward, requiredStake, networkFee = 0 }) => {
+  const amountBN = ethers.BigNumber.from(amount || 0);
+  const rewardBN = ethers.BigNumber.from(reward || 0);
+  const networkFeeBN = ethers.BigNumber.from(networkFee || 0);
+  const paidAmount = amountBN.sub(rewardBN);
+
+  return {
+    paidAmount,
+    requiredStake: ethers.BigNumber.from(requiredStake || 0),
+    networkFee: networkFeeBN,
+    // The pool gets the full amount back on withdrawal and is charged the network fee,
+    // which the contract requires the reward to exceed ("network fee would exceed reward")
+    expectedProfit: rewardBN.sub(networkFeeBN),
+    isProfitable: rewardBN.gt(networkFeeBN) && paidAmount.gte(0),
+  };
+};
+
+/**
+ * Preview the result of counterstaking on a claim if the chosen side wins
+ * @param {Object} params - Challenge parameters
+ * @param {ethers.BigNumber} params.yesStake - Current total stake on YES
+ * @param {ethers.BigNumber} params.noStake - Current total stake on NO
+ * @param {number} params.stakeOn - Side to stake on (OUTCOME_YES or OUTCOME_NO)
+ * @param {ethers.BigNumber} params.stake - Stake to add
+ * @returns {Object} { payoutIfWin, profitIfWin }
+ */
+export const getChallengePreview = ({ yesStake, noStake, stakeOn, stake }) => {
+  const yes = ethers.BigNumber.from(yesStake || 0);
+  const no = ethers.BigNumber.from(noStake || 0);
+  const stakeBN = ethers.BigNumber.from(stake || 0);
+
+  if (stakeBN.isZero()) {
+    return { payoutIfWin: ethers.BigNumber.from(0), profitIfWin: ethers.BigNumber.from(0) };
+  }
+
+  const sideStake = (stakeOn === OUTCOME_YES ? yes : no).add(stakeBN);
+  const totalStake = yes.add(no).add(stakeBN);
+  const payoutIfWin = totalStake.mul(stakeBN).div(sideStake);
+
+  return {
+    payoutIfWin,
+    profitIfWin: payoutIfWin.sub(stakeBN),
+  };
+};
+
+/**
+ * Read the stake and image token info of an assistant's bridge
+ * @param {ethers.providers.Provider} provider - Provider for the assistant network
+ * @param {Object} assistant - Assistant configuration
+ * @returns {Promise<Object>} { stakeTokenAddress, stakeDecimals, imageTokenAddress, imageDecimals }
+ */
+export const getAssistantTokenInfo = async (provider, assistant) => {
+  try {
+    const bridge = new ethers.Contract(assistant.bridgeAddress, [
+      ...COUNTERSTAKE_ABI,
+      'function precompileAddress() view returns (address)',
+    ], provider);
+    const settings = await bridge.settings();
+    const stakeTokenAddress = settings.tokenAddress;
+
+    const getDecimals = async (tokenAddress) => {
+      if (!tokenAddress || tokenAddress === ADDRESS_ZERO) return 18;
+      try {
+        const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+        return await token.decimals();
+      } catch (error) {
+        console.warn('⚠️ Could not read token decimals, using 18:', tokenAddress, error.message);
+        return 18;
+      }
+    };
+
+    let imageTokenAddress = null;
+    if (assistant.type === 'import') {
+      imageTokenAddress = assistant.bridgeAddress;
+    } else if (assistant.type === 'import_wrapper') {
+      imageTokenAddress = await bridge.precompileAddress();
+    }
+
+    const [stakeDecimals, imageDecimals] = await Promise.all([
+      getDecimals(stakeTokenAddress),
+      imageTokenAddress ? getDecimals(imageTokenAddress) : Promise.resolve(null),
+    ]);
+
+    return {
+      stakeTokenAddress,
+      stakeDecimals,
+      imageTokenAddress,
+      imageDecimals: imageDecimals ?? stakeDecimals,
+    };
+  } catch (error) {
+    console.error('❌ Error getting assistant token info:', error);
+    throw new Error(`Failed to get assistant token info: ${error.message}`);
+  }
+};
+
+/**
+ * Get the assistant's current stake and image token balances
+ * @param {ethers.providers.Provider} provider - Provider for the assistant network
+ * @param {string} assistantAddress - Assistant contract address
+ * @param {Object} tokenInfo - Result of getAssistantTokenInfo
+ * @returns {Promise<Object>} { stakeBalance, imageBalance }
+ */
+export const getAssistantPoolBalances = async (provider, assistantAddress, tokenInfo) => {
+  const getBalance = async (tokenAddress) => {
+    if (!tokenAddress || tokenAddress === ADDRESS_ZERO) {
+      return provider.getBalance(assistantAddress);
+    }
+    const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+    return token.balanceOf(assistantAddress);
+  };
+
+  const [stakeBalance, imageBalance] = await Promise.all([
+    getBalance(tokenInfo.stakeTokenAddress),
+    tokenInfo.imageTokenAddress ? getBalance(tokenInfo.imageTokenAddress) : Promise.resolve(null),
+  ]);
+
+  return { stakeBalance, imageBalance };
+};
+
+/**
+ * Scan NewClaimFor and AssistantChallenge events of an assistant
+ * @param {ethers.Contract} assistantContract - Assistant contract connected to a provider
+ * @param {number} fromBlock - First block to scan
+ * @param {number} toBlock - Last block to scan
+ * @returns {Promise<Array>} Events ordered by block
+ */
+export const getAssistantPositionEvents = async (assistantContract, fromBlock, toBlock) => {
+  const events = [];
+  for (let start = fromBlock; start <= toBlock; start += EVENT_SCAN_CHUNK_BLOCKS) {
+    const end = Math.min(start + EVENT_SCAN_CHUNK_BLOCKS - 1, toBlock);
+    const [claims, challenges] = await Promise.all([
+      assistantContract.queryFilter(assistantContract.filters.NewClaimFor(), start, end),
+      assistantContract.queryFilter(assistantContract.filters.AssistantChallenge(), start, end),
+    ]);
+    events.push(...claims, ...challenges);
+  }
+
+  return events
+    .map(event => ({
+      eventType: event.event,
+      claimNum: event.args.claim_num.toNumber(),
+      stake: event.args.stake,
+      outcome: event.event === 'AssistantChallenge' ? event.args.outcome : OUTCOME_YES,
+      amount: event.args.amount || null,
+      reward: event.args.reward || null,
+      txid: event.args.txid || null,
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+    }))
+    .sort((a, b) => a.blockNumber - b.blockNumber);
+};
+
+/**
+ * Read the claims behind the assistant's position events and classify the positions
+ * @param {Object} params - Parameters
+ * @param {ethers.providers.Provider} params.provider - Provider for the assistant network
+ * @param {Object} params.assistant - Assistant configuration (address, type, bridgeAddress)
+ * @param {string} params.bridgeType - Bridge type (for claim details ABI)
+ * @param {Array} params.events - Events from getAssistantPositionEvents
+ * @returns {Promise<Array>} Positions, newest first
+ */
+export const classifyAssistantPositions = async ({ provider, assistant, bridgeType, events }) => {
+  const assistantContract = new ethers.Contract(assistant.address, getAssistantABI(assistant.type), provider);
+  const bridgeContract = new ethers.Contract(assistant.bridgeAddress, COUNTERSTAKE_ABI, provider);
+
+  const eventsByClaim = new Map();
+  events.forEach(event => {
+    if (!eventsByClaim.has(event.claimNum)) eventsByClaim.set(event.claimNum, []);
+    eventsByClaim.get(event.claimNum).push(event);
+  });
+
+  const claimNums = [...eventsByClaim.keys()];
+  if (claimNums.length === 0) return [];
+
+  const claims = await fetchMultipleClaimDetails({
+    contract: bridgeContract,
+    provider,
+    bridgeType,
+    claimNums,
+  });
+
+  const now = Math.floor(Date.now() / 1000);
+  const positions = await Promise.all(claimNums.map(async (claimNum, index) => {
+    const claim = claims[index];
+    const [balanceInWork, yesStake, noStake] = await Promise.all([
+      assistantContract.balances_in_work(claimNum),
+      bridgeContract.stakes(claimNum, OUTCOME_YES, assistant.address),
+      bridgeContract.stakes(claimNum, OUTCOME_NO, assistant.address),
+    ]);
+    const invested = getInvestedStake(balanceInWork);
+    const currentOutcome = claim ? Number(claim.current_outcome) : null;
+    const winningStake = currentOutcome === OUTCOME_YES ? yesStake : noStake;
+    const losingStake = currentOutcome === OUTCOME_YES ? noStake : yesStake;
+
+    return {
+      claimNum,
+      events: eventsByClaim.get(claimNum),
+      isClaimant: eventsByClaim.get(claimNum).some(e => e.eventType === 'NewClaimFor'),
+      claim,
+      invested,
+      balanceInWork,
+      yesStake,
+      noStake,
+      currentOutcome,
+      status: classifyPosition({ invested, claim, winningStake, losingStake, now }),
+    };
+  }));
+
+  return positions.sort((a, b) => b.claimNum - a.claimNum);
+};
+
+/**
+ * Load the assistant's claim and challenge positions and classify them
+ * @param {Object} params - Parameters
+ * @param {ethers.providers.Provider} params.provider - Provider for the assistant network
+ * @param {Object} params.assistant - Assistant configuration (address, type, bridgeAddress)
+ * @param {string} params.networkKey - Network key of the assistant (for block estimation)
+ * @param {string} params.bridgeType - Bridge type (for claim details ABI)
+ * @param {number} params.rangeHours - Hours of history to scan for events
+ * @returns {Promise<Array>} Positions, newest first
+ */
+export const loadAssistantPositions = async ({ provider, assistant, networkKey, bridgeType, rangeHours = 168 }) => {
+  try {
+    const assistantContract = new ethers.Contract(assistant.address, getAssistantABI(assistant.type), provider);
+
+    const latestBlock = await provider.getBlockNumber();
+    const fromBlock = Math.max(0, latestBlock - estimateBlocksFromHours(rangeHours, networkKey));
+    const events = await getAssistantPositionEvents(assistantContract, fromBlock, latestBlock);
+    console.log(`🔍 Found ${events.length} assistant position events since block ${fromBlock}`);
+
+    return await classifyAssistantPositions({ provider, assistant, bridgeType, events });
+  } catch (error) {
+    console.error('❌ Error loading assistant positions:', error);
+    throw new Error(`Failed to load assistant positions: ${error.message}`);
+  }
+};
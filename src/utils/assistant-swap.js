@@ -0,0 +1,146 @@
+/**
+ * Assistant Swap Utilities
+ *
+ * Quotes for swapImage2Stake / swapStake2Image on import assistants.
+ * The math mirrors ImportAssistant.sol: the pool trades its risk-free net balance
+ * (net balance minus funds in work) and charges swap_fee10000 on the output.
+ */
+
+import { ethers } from 'ethers';
+import { getAssistantABI, getAssistantTokenInfo, getAssistantPoolBalances } from './assistant-manager';
+
+export const SWAP_DIRECTIONS = {
+  IMAGE_TO_STAKE: 'image2stake',
+  STAKE_TO_IMAGE: 'stake2image',
+};
+
+// Management fee accrual period used by the assistant contracts (360-day year)
+const MANAGEMENT_FEE_PERIOD = 360 * 24 * 3600;
+
+const max0 = (value) => (value.gt(0) ? value : ethers.constants.Zero);
+
+/**
+ * Compute the assistant's net balances the way updateMFAndGetBalances() does
+ * @param {Object} state - Pool state (see loadSwapPoolState)
+ * @param {number} now - Unix timestamp in seconds
+ * @returns {Object} { stake, image } as signed BigNumbers
+ */
+export const computeNetBalances = (state, now = Math.floor(Date.now() / 1000)) => {
+  const elapsed = Math.max(0, now - Number(state.ts));
+  const accrue = (gross) => gross.mul(state.managementFee10000).mul(elapsed).div(MANAGEMENT_FEE_PERIOD).div(10000);
+
+  const newMfStake = state.mf.stake.add(accrue(state.grossBalance.stake));
+  const newMfImage = state.mf.image.add(accrue(state.grossBalance.image));
+  const successFeeStake = max0(state.profit.stake.mul(state.successFee10000).div(10000));
+  const successFeeImage = max0(state.profit.image.mul(state.successFee10000).div(10000));
+
+  return {
+    stake: state.grossBalance.stake.sub(newMfStake).sub(successFeeStake).sub(state.networkFeeCompensation),
+    image: state.grossBalance.image.sub(newMfImage).sub(successFeeImage),
+  };
+};
+
+/**
+ * Quote a swap against the assistant pool
+ * @param {Object} params - Quote parameters
+ * @param {string} params.direction - One of SWAP_DIRECTIONS
+ * @param {ethers.BigNumber} params.amountIn - Input amount
+ * @param {Object} params.netBalance - Net balances from computeNetBalances
+ * @param {Object} params.balanceInWork - Pool funds currently staked in claims { stake, image }
+ * @param {number} params.swapFee10000 - Swap fee in basis points
+ * @returns {Object} { amountOut, fee, error }
+ */
+export const quoteSwap = ({ direction, amountIn, netBalance, balanceInWork, swapFee10000 }) => {
+  const zero = ethers.constants.Zero;
+  const input = ethers.BigNumber.from(amountIn || 0);
+  const toStake = direction === SWAP_DIRECTIONS.IMAGE_TO_STAKE;
+
+  if (input.lte(0)) return { amountOut: zero, fee: zero, error: null };
+  if (netBalance.stake.lte(0) || netBalance.image.lte(0)) {
+    return { amountOut: zero, fee: zero, error: 'Pool has a negative net balance' };
+  }
+
+  const outNet = toStake ? netBalance.stake : netBalance.image;
+  const outInWork = toStake ? balanceInWork.stake : balanceInWork.image;
+  const inNet = toStake ? netBalance.image : netBalance.stake;
+  if (outNet.lte(outInWork)) {
+    return { amountOut: zero, fee: zero, error: `No risk-free ${toStake ? 'stake' : 'image'} balance available for swaps` };
+  }
+
+  const grossOut = outNet.sub(outInWork).mul(input).div(inNet.add(input));
+  const fee = grossOut.mul(swapFee10000).div(10000);
+
+  return { amountOut: grossOut.sub(fee), fee, error: null };
+};
+
+/**
+ * Get the minimum output accepted for a slippage tolerance
+ * @param {ethers.BigNumber} amountOut - Quoted output
+ * @param {number} slippagePercent - Tolerance in percent, e.g. 0.5
+ * @returns {ethers.BigNumber} min_amount_out
+ */
+export const getMinAmountOut = (amountOut, slippagePercent) => {
+  const slippageBps = Math.round(Number(slippagePercent || 0) * 100);
+  if (slippageBps < 0 || slippageBps >= 10000) {
+    throw new Error('Slippage must be between 0 and 100%');
+  }
+  return ethers.BigNumber.from(amountOut).mul(10000 - slippageBps).div(10000);
+};
+
+/**
+ * Get the price of one input token in output tokens
+ * @param {ethers.BigNumber} amountIn - Input amount
+ * @param {number} decimalsIn - Input token decimals
+ * @param {ethers.BigNumber} amountOut - Output amount
+ * @param {number} decimalsOut - Output token decimals
+ * @returns {number} Price, or 0 for an empty input
+ */
+export const getEffectivePrice = (amountIn, decimalsIn, amountOut, decimalsOut) => {
+  const input = parseFloat(ethers.utils.formatUnits(amountIn || 0, decimalsIn));
+  if (!input) return 0;
+  return parseFloat(ethers.utils.formatUnits(amountOut || 0, decimalsOut)) / input;
+};
+
+/**
+ * Load everything needed to quote swaps on an import assistant
+ * @param {ethers.providers.Provider} provider - Provider for the assistant network
+ * @param {Object} assistant - Assistant configuration (address, type, bridgeAddress)
+ * @returns {Promise<Object>} Pool state with token info, fees and balances
+ */
+export const loadSwapPoolState = async (provider, assistant) => {
+  try {
+    const contract = new ethers.Contract(assistant.address, getAssistantABI(assistant.type), provider);
+    const tokenInfo = await getAssistantTokenInfo(provider, assistant);
+
+    const [poolBalances, balanceInWork, mf, profit, networkFeeCompensation, ts, managementFee10000, successFee10000, swapFee10000] = await Promise.all([
+      getAssistantPoolBalances(provider, assistant.address, tokenInfo),
+      contract.balance_in_work(),
+      contract.mf(),
+      contract.profit(),
+      contract.network_fee_compensation(),
+      contract.ts(),
+      contract.management_fee10000(),
+      contract.success_fee10000(),
+      contract.swap_fee10000(),
+    ]);
+
+    return {
+      tokenInfo,
+      balanceInWork: { stake: balanceInWork.stake, image: balanceInWork.image },
+      grossBalance: {
+        stake: poolBalances.stakeBalance.add(balanceInWork.stake),
+        image: poolBalances.imageBalance.add(balanceInWork.image),
+      },
+      mf: { stake: mf.stake, image: mf.image },
+      profit: { stake: profit.stake, image: profit.image },
+      networkFeeCompensation,
+      ts: ts.toNumber(),
+      managementFee10000,
+      successFee10000,
+      swapFee10000,
+    };
+  } catch (error) {
+    console.error('❌ Error loading swap pool state:', error);
+    throw new Error(`Failed to load swap pool state: ${error.message}`);
+  }
+};
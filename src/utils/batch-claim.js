@@ -0,0 +1,215 @@
+/**
+ * Batch Claiming
+ *
+ * Claims several pending transfers from the connected wallet. Required stakes are summed per
+ * claim bridge so every bridge needs a single approval, then the claims go out in one
+ * transaction through the network's batch precompile or, where there is none, one
+ * transaction per claim with resumable progress (see batch-transactions.js).
+ * Used by src/components/BatchClaim.js.
+ */
+
+import { ethers } from 'ethers';
+import { NETWORKS } from '../config/networks';
+import { createBridgeContract } from './contract-factory';
+import { buildClaimArgs, getClaimApprovalAmount, getClaimValue, ensureAllowance } from './claim-bot';
+import { normalizeAmount } from './data-normalizer';
+import { getOpenBatchItems, runBatchCalls, runSequentialCalls } from './batch-transactions';
+
+// Gas of a single claim, as NewClaim.js sends it on 3DPass
+export const CLAIM_GAS_LIMIT = 500000;
+const BATCH_GAS_OVERHEAD = 100000;
+// 3DPass expects explicit EIP-1559 fees in wei (not gwei)
+const THREEDPASS_FEE_OVERRIDES = { maxFeePerGas: 100, maxPriorityFeePerGas: 10 };
+
+/**
+ * Get the key identifying a transfer within a batch
+ * @param {Object} transfer - Pending transfer
+ * @returns {string} Lowercase `bridgeAddress:txid`
+ */
+export const getBatchClaimKey = (transfer) => {
+  return `${transfer.bridgeAddress}:${transfer.txid || transfer.transactionHash}`.toLowerCase();
+};
+
+/**
+ * Get the id under which the progress of an account's batch claims is saved
+ * @param {string} account - Claimer address
+ * @param {number} chainId - Claim network chain id
+ * @returns {string} Batch job id
+ */
+export const getBatchClaimJobId = (account, chainId) => `claims:${chainId}:${account.toLowerCase()}`;
+
+/**
+ * Normalize a pending transfer from the claim list into the fields claim() needs
+ * @param {Object} transfer - Pending transfer (amounts may be BigNumbers or cached hex objects)
+ * @returns {Object} { txid, timestamp, amount, reward, senderAddress, recipientAddress, data }
+ */
+export const toClaimTransfer = (transfer) => ({
+  txid: transfer.txid || transfer.transactionHash,
+  timestamp: Number(transfer.timestamp ?? transfer.blockTimestamp),
+  amount: ethers.BigNumber.from(normalizeAmount(transfer.amount)),
+  reward: ethers.BigNumber.from(normalizeAmount(transfer.reward)),
+  senderAddress: transfer.senderAddress,
+  recipientAddress: transfer.recipientAddress,
+  data: transfer.data || '0x',
+});
+
+/**
+ * Get the amount the claimer pays to the recipient
+ * @param {Object} transfer - Normalized transfer
+ * @param {string} account - Claimer address
+ * @returns {ethers.BigNumber} amount - reward for third-party claims, zero for own transfers
+ */
+export const getClaimPaidAmount = (transfer, account) => {
+  if (transfer.recipientAddress.toLowerCase() === account.toLowerCase()) return ethers.constants.Zero;
+  return transfer.amount.sub(transfer.reward);
+};
+
+/**
+ * Read the stake of every selected transfer from its claim bridge
+ * @param {Object} params - Preparation parameters
+ * @param {ethers.providers.Provider} params.provider - Provider of the claim network
+ * @param {string} params.account - Claimer address
+ * @param {Array<Object>} params.entries - { transfer, bridge } pairs, bridge being the claim bridge
+ * @returns {Promise<Array<Object>>} { key, transfer, bridge, context, stake, paidAmount } per transfer
+ */
+export const prepareBatchClaims = async ({ provider, account, entries }) => {
+  try {
+    const contexts = new Map();
+    const items = [];
+
+    for (const { transfer, bridge } of entries) {
+      const bridgeKey = bridge.address.toLowerCase();
+      if (!contexts.has(bridgeKey)) {
+        const contract = createBridgeContract(bridge.address, bridge.type, provider);
+        const settings = await contract.settings();
+        contexts.set(bridgeKey, { contract, stakeTokenAddress: settings.tokenAddress });
+      }
+
+      const context = contexts.get(bridgeKey);
+      const claimTransfer = toClaimTransfer(transfer);
+      const stake = await context.contract.getRequiredStake(claimTransfer.amount);
+      items.push({
+        key: getBatchClaimKey(transfer),
+        transfer: claimTransfer,
+        bridge,
+        context,
+        stake,
+        paidAmount: getClaimPaidAmount(claimTransfer, account),
+      });
+    }
+
+    return items;
+  } catch (error) {
+    console.error('❌ Error preparing batch claims:', error);
+    throw new Error(`Failed to prepare claims: ${error.message}`);
+  }
+};
+
+/**
+ * Sum what the claims take from the claimer, per stake token
+ * @param {Array<Object>} items - Prepared claims
+ * @returns {Array<Object>} { tokenAddress, stake, total } where total adds amounts paid in the stake token
+ */
+export const getBatchClaimTotals = (items) => {
+  const totals = new Map();
+  items.forEach(({ context, bridge, stake, paidAmount }) => {
+    const tokenKey = context.stakeTokenAddress.toLowerCase();
+    const entry = totals.get(tokenKey) || { tokenAddress: context.stakeTokenAddress, stake: ethers.constants.Zero, total: ethers.constants.Zero };
+    // Export bridges take the paid amount in the stake token; import bridges burn it from the claimer's imported tokens
+    const paidInStakeToken = bridge.type === 'export' ? paidAmount : ethers.constants.Zero;
+    totals.set(tokenKey, { ...entry, stake: entry.stake.add(stake), total: entry.total.add(stake).add(paidInStakeToken) });
+  });
+  return [...totals.values()];
+};
+
+/**
+ * Get the approvals the claims need: one per claim bridge covering all of its claims
+ * @param {Array<Object>} items - Prepared claims
+ * @returns {Array<Object>} { tokenAddress, spender, amount }
+ */
+export const getBatchClaimApprovals = (items) => {
+  const approvals = new Map();
+  items.forEach(({ context, bridge, stake, paidAmount }) => {
+    const amount = getClaimApprovalAmount(context, bridge, stake, paidAmount);
+    if (amount.isZero()) return;
+    const spenderKey = bridge.address.toLowerCase();
+    const entry = approvals.get(spenderKey) || { tokenAddress: context.stakeTokenAddress, spender: bridge.address, amount: ethers.constants.Zero };
+    approvals.set(spenderKey, { ...entry, amount: entry.amount.add(amount) });
+  });
+  return [...approvals.values()];
+};
+
+/**
+ * Approve the stake tokens of all claims
+ * @param {ethers.Signer} signer - Claimer wallet
+ * @param {Array<Object>} approvals - Result of getBatchClaimApprovals()
+ * @returns {Promise<number>} Number of approval transactions sent
+ */
+export const approveBatchClaims = async (signer, approvals) => {
+  let sent = 0;
+  for (const { tokenAddress, spender, amount } of approvals) {
+    if (await ensureAllowance(signer, tokenAddress, spender, amount)) sent++;
+  }
+  return sent;
+};
+
+/**
+ * Encode the claim() call of every prepared claim
+ * @param {Array<Object>} items - Prepared claims
+ * @returns {Array<Object>} { key, to, value, data, gasLimit }
+ */
+export const buildBatchClaimCalls = (items) => items.map(({ key, transfer, bridge, context, stake, paidAmount }) => ({
+  key,
+  to: bridge.address,
+  value: getClaimValue(context, bridge, stake, paidAmount),
+  data: context.contract.interface.encodeFunctionData('claim', buildClaimArgs(transfer, stake)),
+  gasLimit: CLAIM_GAS_LIMIT,
+}));
+
+/**
+ * Check whether the claims can go through the batch contract
+ * @param {Array<Object>} calls - Result of buildBatchClaimCalls()
+ * @param {string|null} batchAddress - Batch contract of the claim network
+ * @returns {boolean} False without a batch contract or when a claim stakes the native coin,
+ * which the non-payable batch functions can't forward
+ */
+export const canBatchClaims = (calls, batchAddress) => {
+  return !!batchAddress && calls.every(call => ethers.BigNumber.from(call.value).isZero());
+};
+
+/**
+ * Send the open claims of a batch job, in one batch transaction when possible
+ * @param {Object} params - Submission parameters
+ * @param {ethers.Signer} params.signer - Claimer wallet on the claim network
+ * @param {Object} params.job - Batch job from loadBatchJob()
+ * @param {Array<Object>} params.items - Prepared claims
+ * @param {string|null} params.batchAddress - Batch contract of the claim network
+ * @param {boolean} [params.sequential=false] - Send one transaction per claim even when a batch contract exists
+ * @param {Function} [params.onUpdate] - Called with the job after every change
+ * @returns {Promise<Object>} Updated batch job
+ */
+export const submitBatchClaims = async ({ signer, job, items, batchAddress, sequential = false, onUpdate }) => {
+  const calls = buildBatchClaimCalls(items);
+  const feeOverrides = (await signer.getChainId()) === NETWORKS.THREEDPASS.id ? THREEDPASS_FEE_OVERRIDES : null;
+
+  if (!sequential && canBatchClaims(calls, batchAddress)) {
+    const openCount = getOpenBatchItems(job).length;
+    return runBatchCalls({
+      signer,
+      batchAddress,
+      job,
+      calls,
+      overrides: { gasLimit: CLAIM_GAS_LIMIT * openCount + BATCH_GAS_OVERHEAD, ...feeOverrides },
+      onUpdate,
+    });
+  }
+
+  return runSequentialCalls({
+    signer,
+    job,
+    calls,
+    batchAddress,
+    overrides: feeOverrides ? { gasLimit: CLAIM_GAS_LIMIT, ...feeOverrides } : {},
+    onUpdate,
+  });
+};
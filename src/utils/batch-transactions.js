@@ -0,0 +1,271 @@
+/**
+ * Batch Transactions
+ *
+ * Sends a list of contract calls either in one transaction through the network's batch
+ * precompile (batchSomeUntilFailure) or one transaction per call. Per-item progress is
+ * kept in localStorage after every transaction, so a run that stopped on a failed call,
+ * a rejected signature or a closed tab resumes with the calls that are still open,
+ * including waiting for a transaction that was already sent.
+ * Used by src/utils/batch-claim.js.
+ */
+
+import { ethers } from 'ethers';
+import { BATCH_ABI } from '../contracts/abi';
+import { createContract } from './contract-factory';
+
+const BATCH_JOBS_STORAGE_KEY = 'batchTransactionJobs';
+
+export const BATCH_ITEM_STATUS = {
+  PENDING: 'pending',
+  SENT: 'sent',
+  DONE: 'done',
+  FAILED: 'failed',
+};
+
+const batchInterface = new ethers.utils.Interface(BATCH_ABI);
+
+/**
+ * Get the batch precompile of a network
+ * @param {Object} networkConfig - Network configuration (with settings applied)
+ * @returns {string|null} Batch contract address, null when the network has none
+ */
+export const getBatchContractAddress = (networkConfig) => networkConfig?.contracts?.batch || null;
+
+/**
+ * Get the state of an item
+ * @param {Object} job - Batch job
+ * @param {string} key - Item key
+ * @returns {Object} { status, txHash, index, error }
+ */
+export const getBatchItemState = (job, key) => {
+  return job.items[key] || { status: BATCH_ITEM_STATUS.PENDING, txHash: null, index: null, error: null };
+};
+
+/**
+ * Update an item
+ * @param {Object} job - Batch job
+ * @param {string} key - Item key
+ * @param {Object} update - Fields to merge into the item state
+ * @returns {Object} New batch job
+ */
+export const updateBatchItem = (job, key, update) => ({
+  ...job,
+  items: {
+    ...job.items,
+    [key]: { ...getBatchItemState(job, key), ...update },
+  },
+});
+
+/**
+ * Get the keys of the items that are not done yet
+ * @param {Object} job - Batch job
+ * @returns {Array<string>} Item keys
+ */
+export const getOpenBatchItems = (job) => {
+  return Object.keys(job.items).filter(key => getBatchItemState(job, key).status !== BATCH_ITEM_STATUS.DONE);
+};
+
+const readSavedJobs = () => {
+  try {
+    return JSON.parse(localStorage.getItem(BATCH_JOBS_STORAGE_KEY) || '{}');
+  } catch (error) {
+    console.warn('Failed to read saved batch transactions:', error);
+    return {};
+  }
+};
+
+/**
+ * Load a batch job for the given items, restoring the saved progress of items seen before
+ * @param {string} id - Job id, e.g. the kind of job and the account
+ * @param {Array<string>} keys - Item keys
+ * @returns {Object} Batch job
+ */
+export const loadBatchJob = (id, keys) => {
+  const saved = readSavedJobs()[id];
+  const job = { id, items: {} };
+  keys.forEach(key => {
+    job.items[key] = saved?.items?.[key] || getBatchItemState(job, key);
+  });
+  return job;
+};
+
+/**
+ * Save batch job progress
+ * @param {Object} job - Batch job
+ */
+export const saveBatchJob = (job) => {
+  try {
+    const saved = readSavedJobs();
+    saved[job.id] = job;
+    localStorage.setItem(BATCH_JOBS_STORAGE_KEY, JSON.stringify(saved));
+  } catch (error) {
+    console.warn('Failed to save batch transactions:', error);
+  }
+};
+
+/**
+ * Forget a batch job
+ * @param {string} id - Job id
+ */
+export const clearBatchJob = (id) => {
+  const saved = readSavedJobs();
+  delete saved[id];
+  localStorage.setItem(BATCH_JOBS_STORAGE_KEY, JSON.stringify(saved));
+};
+
+/**
+ * Read which calls of a batch succeeded from the SubcallSucceeded/SubcallFailed events
+ * @param {Object} receipt - Batch transaction receipt
+ * @param {string} batchAddress - Batch contract address
+ * @returns {Object} { succeeded: Set<number>, failed: Set<number> } call indexes
+ */
+export const getBatchCallResults = (receipt, batchAddress) => {
+  const succeeded = new Set();
+  const failed = new Set();
+  receipt.logs
+    .filter(log => log.address.toLowerCase() === batchAddress.toLowerCase())
+    .forEach(log => {
+      try {
+        const { name, args } = batchInterface.parseLog(log);
+        (name === 'SubcallSucceeded' ? succeeded : failed).add(args.index.toNumber());
+      } catch (error) {
+        // Not a batch event
+      }
+    });
+  return { succeeded, failed };
+};
+
+const getErrorMessage = (error) => error?.reason || error?.error?.message || error?.message || String(error);
+
+const createJobUpdater = (job, onUpdate) => {
+  const updater = {
+    job,
+    update: (key, state) => {
+      updater.job = updateBatchItem(updater.job, key, state);
+      saveBatchJob(updater.job);
+      onUpdate(updater.job);
+    },
+  };
+  return updater;
+};
+
+const settleBatchReceipt = (updater, receipt, batchAddress, keysByIndex) => {
+  const { succeeded, failed } = getBatchCallResults(receipt, batchAddress);
+  keysByIndex.forEach((key, index) => {
+    if (succeeded.has(index)) {
+      updater.update(key, { status: BATCH_ITEM_STATUS.DONE, error: null });
+    } else if (failed.has(index)) {
+      updater.update(key, { status: BATCH_ITEM_STATUS.FAILED, error: `Call ${index + 1} of the batch reverted` });
+    } else {
+      updater.update(key, { status: BATCH_ITEM_STATUS.PENDING, txHash: null, index: null });
+    }
+  });
+};
+
+// Batches sent before a reload: wait for them before anything is sent again
+const settleSentBatches = async (updater, provider, batchAddress) => {
+  const sentKeys = getOpenBatchItems(updater.job).filter(key => {
+    const state = getBatchItemState(updater.job, key);
+    return state.status === BATCH_ITEM_STATUS.SENT && state.index !== null;
+  });
+  const txHashes = [...new Set(sentKeys.map(key => getBatchItemState(updater.job, key).txHash))];
+  for (const txHash of txHashes) {
+    const keysByIndex = [];
+    sentKeys
+      .filter(key => getBatchItemState(updater.job, key).txHash === txHash)
+      .forEach(key => { keysByIndex[getBatchItemState(updater.job, key).index] = key; });
+    const receipt = await provider.waitForTransaction(txHash);
+    settleBatchReceipt(updater, receipt, batchAddress, keysByIndex);
+  }
+};
+
+/**
+ * Run the open calls of a job through the batch precompile. Calls after a failing one are not
+ * executed by batchSomeUntilFailure and stay pending.
+ * @param {Object} params - Batch parameters
+ * @param {ethers.Signer} params.signer - Wallet signer
+ * @param {string} params.batchAddress - Batch contract address
+ * @param {Object} params.job - Batch job
+ * @param {Array<Object>} params.calls - { key, to, value, data, gasLimit } for every item of the job, gasLimit 0 forwards all remaining gas
+ * @param {Object} [params.overrides] - Transaction overrides for the batch transaction
+ * @param {Function} [params.onUpdate] - Called with the job after every change
+ * @returns {Promise<Object>} Updated batch job
+ */
+export const runBatchCalls = async ({ signer, batchAddress, job, calls, overrides = {}, onUpdate = () => {} }) => {
+  const updater = createJobUpdater(job, onUpdate);
+  await settleSentBatches(updater, signer.provider, batchAddress);
+
+  const openCalls = calls.filter(call => getOpenBatchItems(updater.job).includes(call.key));
+  if (openCalls.length === 0) return updater.job;
+
+  const batch = createContract(batchAddress, BATCH_ABI, signer);
+  const tx = await batch.batchSomeUntilFailure(
+    openCalls.map(call => call.to),
+    openCalls.map(call => call.value || 0),
+    openCalls.map(call => call.data),
+    openCalls.map(call => call.gasLimit || 0),
+    overrides
+  );
+  console.log(`🔄 Batch of ${openCalls.length} calls sent: ${tx.hash}`);
+  openCalls.forEach((call, index) => updater.update(call.key, { status: BATCH_ITEM_STATUS.SENT, txHash: tx.hash, index, error: null }));
+
+  let receipt;
+  try {
+    receipt = await tx.wait();
+  } catch (error) {
+    openCalls.forEach(call => updater.update(call.key, { status: BATCH_ITEM_STATUS.FAILED, error: getErrorMessage(error) }));
+    return updater.job;
+  }
+  settleBatchReceipt(updater, receipt, batchAddress, openCalls.map(call => call.key));
+  return updater.job;
+};
+
+/**
+ * Run the open calls of a job one transaction at a time, stopping at the first failure
+ * so it can be fixed and the job resumed
+ * @param {Object} params - Sequence parameters
+ * @param {ethers.Signer} params.signer - Wallet signer
+ * @param {Object} params.job - Batch job
+ * @param {Array<Object>} params.calls - { key, to, value, data } for every item of the job
+ * @param {string} [params.batchAddress] - Batch contract of an earlier batch run of this job
+ * @param {Object} [params.overrides] - Transaction overrides for every transaction
+ * @param {Function} [params.onUpdate] - Called with the job after every change
+ * @returns {Promise<Object>} Updated batch job
+ */
+export const runSequentialCalls = async ({ signer, job, calls, batchAddress = null, overrides = {}, onUpdate = () => {} }) => {
+  const updater = createJobUpdater(job, onUpdate);
+  if (batchAddress) {
+    await settleSentBatches(updater, signer.provider, batchAddress);
+  }
+
+  for (const call of calls) {
+    const state = getBatchItemState(updater.job, call.key);
+    if (state.status === BATCH_ITEM_STATUS.DONE) continue;
+
+    try {
+      let txHash = state.status === BATCH_ITEM_STATUS.SENT && state.index === null ? state.txHash : null;
+      if (!txHash) {
+        const tx = await signer.sendTransaction({
+          to: call.to,
+          data: call.data,
+          value: call.value || 0,
+          ...overrides,
+        });
+        txHash = tx.hash;
+        console.log(`🔄 Transaction for ${call.key} sent: ${txHash}`);
+        updater.update(call.key, { status: BATCH_ITEM_STATUS.SENT, txHash, index: null, error: null });
+      }
+
+      const receipt = await signer.provider.waitForTransaction(txHash);
+      if (!receipt || receipt.status === 0) {
+        throw new Error(`Transaction ${txHash} failed`);
+      }
+      updater.update(call.key, { status: BATCH_ITEM_STATUS.DONE, error: null });
+    } catch (error) {
+      console.error(`❌ Transaction for ${call.key} failed:`, error);
+      updater.update(call.key, { status: BATCH_ITEM_STATUS.FAILED, error: getErrorMessage(error) });
+      break;
+    }
+  }
+  return updater.job;
+};
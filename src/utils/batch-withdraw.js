@@ -0,0 +1,219 @@
+/**
+ * Batch Withdrawal
+ *
+ * Withdraws every finished claim the connected account won: the claimed amount for winning
+ * claimants and the share of all stakes for stakes on the winning outcome. Payouts are estimated
+ * from the claims read on chain the same way CounterstakeLibrary.finish() computes them, then the
+ * withdrawals go out in one batch transaction or as a resumable sequence (see batch-transactions.js).
+ * Used by src/components/BatchWithdraw.js.
+ */
+
+import { ethers } from 'ethers';
+import { COUNTERSTAKE_ABI } from '../contracts/abi';
+import { createCounterstakeContract } from './contract-factory';
+import { fetchClaimDetails } from './claim-details-fetcher';
+import { normalizeAmount } from './data-normalizer';
+import { getOpenBatchItems, runBatchCalls, runSequentialCalls } from './batch-transactions';
+
+// Gas of a single withdrawal: finishing the claim plus up to two token transfers
+export const WITHDRAW_GAS_LIMIT = 300000;
+const BATCH_GAS_OVERHEAD = 100000;
+const OUTCOME_YES = 1;
+
+const counterstakeInterface = new ethers.utils.Interface(COUNTERSTAKE_ABI);
+
+const getClaimNum = (claim) => {
+  const claimNum = claim.actualClaimNum || claim.claimNum;
+  return claimNum ? ethers.BigNumber.from(normalizeAmount(claimNum)).toString() : null;
+};
+
+/**
+ * Get the key identifying a claim within a batch
+ * @param {Object} claim - Claim from the claim list
+ * @returns {string} Lowercase `bridgeAddress:claimNum`
+ */
+export const getBatchWithdrawKey = (claim) => `${claim.bridgeAddress}:${getClaimNum(claim)}`.toLowerCase();
+
+/**
+ * Get the id under which the progress of an account's batch withdrawals is saved
+ * @param {string} account - Withdrawing address
+ * @param {number} chainId - Chain id of the claims' network
+ * @returns {string} Batch job id
+ */
+export const getBatchWithdrawJobId = (account, chainId) => `withdrawals:${chainId}:${account.toLowerCase()}`;
+
+/**
+ * Check whether the challenging period of a claim is over
+ * @param {Object} claim - Claim from the claim list
+ * @param {number} now - Current (block) timestamp in seconds
+ * @returns {boolean} True if the claim has an expiry and it has passed
+ */
+export const isClaimExpired = (claim, now) => {
+  const expiryTs = claim.expiryTs ? Number(normalizeAmount(claim.expiryTs)) : 0;
+  return expiryTs > 0 && expiryTs <= now;
+};
+
+/**
+ * Check whether a claim from the claim list looks withdrawable by the account
+ * @param {Object} claim - Claim from the claim list
+ * @param {Object} params - Check parameters
+ * @param {string} params.account - Connected address
+ * @param {number} params.now - Current (block) timestamp in seconds
+ * @param {boolean} params.hasWinningStake - Whether the account has a stake on the current outcome
+ * @returns {boolean} True for expired claims the account has a winning stake in or won as claimant
+ */
+export const isWithdrawalEligible = (claim, { account, now, hasWinningStake }) => {
+  if (!account || !getClaimNum(claim) || !isClaimExpired(claim, now)) return false;
+  if (hasWinningStake) return true;
+
+  return !claim.withdrawn &&
+    Number(claim.currentOutcome) === OUTCOME_YES &&
+    claim.claimant_address?.toLowerCase() === account.toLowerCase();
+};
+
+/**
+ * Estimate what withdraw() pays out, mirroring CounterstakeLibrary.finish()
+ * @param {Object} details - Claim as returned by getClaim()
+ * @param {ethers.BigNumber} myStake - Account's stake on the current outcome
+ * @param {string} account - Withdrawing address
+ * @returns {Object} { stakePayout, claimedAmount } in the stake token and the bridged asset
+ */
+export const estimateWithdrawal = (details, myStake, account) => {
+  const yesStake = ethers.BigNumber.from(details.yes_stake);
+  const noStake = ethers.BigNumber.from(details.no_stake);
+  const isYes = Number(details.current_outcome) === OUTCOME_YES;
+  const winningStake = isYes ? yesStake : noStake;
+  const isWinningClaimant = isYes && !details.withdrawn &&
+    details.claimant_address.toLowerCase() === account.toLowerCase();
+
+  return {
+    stakePayout: myStake.gt(0) ? yesStake.add(noStake).mul(myStake).div(winningStake) : ethers.constants.Zero,
+    claimedAmount: isWinningClaimant ? ethers.BigNumber.from(details.amount) : ethers.constants.Zero,
+  };
+};
+
+/**
+ * Read every claim and the account's stake in it from the claim bridges
+ * @param {Object} params - Preparation parameters
+ * @param {ethers.providers.Provider} params.provider - Provider of the claims' network
+ * @param {string} params.account - Withdrawing address
+ * @param {Array<Object>} params.entries - { claim, bridge } pairs, bridge being the configured claim bridge
+ * @returns {Promise<Array<Object>>} { key, claim, claimNum, bridge, stakeTokenAddress, assetAddress, stakePayout, claimedAmount, error }
+ * per claim, error explaining why a claim can't be withdrawn
+ */
+export const prepareBatchWithdrawals = async ({ provider, account, entries }) => {
+  try {
+    const contracts = new Map();
+    const { timestamp } = await provider.getBlock('latest');
+    const items = [];
+
+    for (const { claim, bridge } of entries) {
+      const bridgeKey = bridge.address.toLowerCase();
+      if (!contracts.has(bridgeKey)) {
+        contracts.set(bridgeKey, createCounterstakeContract(bridge.address, provider));
+      }
+
+      const contract = contracts.get(bridgeKey);
+      const claimNum = getClaimNum(claim);
+      const item = {
+        key: getBatchWithdrawKey(claim),
+        claim,
+        claimNum,
+        bridge,
+        stakeTokenAddress: bridge.stakeTokenAddress,
+        assetAddress: bridge.type === 'export' ? bridge.homeTokenAddress : bridge.foreignTokenAddress,
+        stakePayout: ethers.constants.Zero,
+        claimedAmount: ethers.constants.Zero,
+        error: null,
+      };
+
+      const details = await fetchClaimDetails({ contract, claimNum });
+      if (!details) {
+        items.push({ ...item, error: 'Claim not found' });
+        continue;
+      }
+      if (Number(details.expiry_ts) >= timestamp) {
+        items.push({ ...item, error: 'The challenging period is still ongoing' });
+        continue;
+      }
+
+      const myStake = await contract.stakes(claimNum, details.current_outcome, account);
+      const { stakePayout, claimedAmount } = estimateWithdrawal(details, myStake, account);
+      items.push({
+        ...item,
+        stakePayout,
+        claimedAmount,
+        error: stakePayout.isZero() && claimedAmount.isZero() ? 'Nothing left to withdraw' : null,
+      });
+    }
+
+    return items;
+  } catch (error) {
+    console.error('❌ Error preparing batch withdrawals:', error);
+    throw new Error(`Failed to prepare withdrawals: ${error.message}`);
+  }
+};
+
+/**
+ * Sum the estimated payouts of the withdrawals per token
+ * @param {Array<Object>} items - Prepared withdrawals
+ * @returns {Array<Object>} { tokenAddress, amount }
+ */
+export const getBatchWithdrawTotals = (items) => {
+  const totals = new Map();
+  const add = (tokenAddress, amount) => {
+    if (!tokenAddress || amount.isZero()) return;
+    const tokenKey = tokenAddress.toLowerCase();
+    const entry = totals.get(tokenKey) || { tokenAddress, amount: ethers.constants.Zero };
+    totals.set(tokenKey, { ...entry, amount: entry.amount.add(amount) });
+  };
+
+  items.forEach(({ stakeTokenAddress, assetAddress, stakePayout, claimedAmount }) => {
+    add(stakeTokenAddress, stakePayout);
+    add(assetAddress, claimedAmount);
+  });
+  return [...totals.values()];
+};
+
+/**
+ * Encode the withdraw() call of every prepared withdrawal
+ * @param {Array<Object>} items - Prepared withdrawals without an error
+ * @returns {Array<Object>} { key, to, value, data, gasLimit }
+ */
+export const buildBatchWithdrawCalls = (items) => items.map(({ key, claimNum, bridge }) => ({
+  key,
+  to: bridge.address,
+  value: 0,
+  data: counterstakeInterface.encodeFunctionData('withdraw(uint256)', [claimNum]),
+  gasLimit: WITHDRAW_GAS_LIMIT,
+}));
+
+/**
+ * Send the open withdrawals of a batch job, in one batch transaction when possible
+ * @param {Object} params - Submission parameters
+ * @param {ethers.Signer} params.signer - Withdrawing wallet on the claims' network
+ * @param {Object} params.job - Batch job from loadBatchJob()
+ * @param {Array<Object>} params.items - Prepared withdrawals without an error
+ * @param {string|null} params.batchAddress - Batch contract of the network
+ * @param {boolean} [params.sequential=false] - Send one transaction per withdrawal even when a batch contract exists
+ * @param {Function} [params.onUpdate] - Called with the job after every change
+ * @returns {Promise<Object>} Updated batch job
+ */
+export const submitBatchWithdrawals = async ({ signer, job, items, batchAddress, sequential = false, onUpdate }) => {
+  const calls = buildBatchWithdrawCalls(items);
+
+  if (!sequential && batchAddress) {
+    const openCount = getOpenBatchItems(job).length;
+    return runBatchCalls({
+      signer,
+      batchAddress,
+      job,
+      calls,
+      overrides: { gasLimit: WITHDRAW_GAS_LIMIT * openCount + BATCH_GAS_OVERHEAD },
+      onUpdate,
+    });
+  }
+
+  // Like WithdrawClaim.js, single withdrawals leave gas estimation to the wallet
+  return runSequentialCalls({ signer, job, calls, batchAddress, onUpdate });
+};
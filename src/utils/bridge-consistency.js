@@ -0,0 +1,168 @@
+/**
+ * Bridge Consistency Checks
+ *
+ * Verifies configured bridge pairs against their contracts: the export's foreign_asset
+ * must be the import's token and the import's home_asset the export's token, stake tokens
+ * and oracles must match the config, assistants must point at their bridge and token
+ * decimals must agree with the ERC20 contracts.
+ * Used by the online mode of src/config/validate-bridges.js.
+ */
+
+import { NETWORKS, ADDRESS_ZERO } from '../config/networks';
+import { createBridgeContract, createContract, createTokenContract } from './contract-factory';
+import { getBridgeNetworkKey } from './assistant-manager';
+
+export const CHECK_STATUS = {
+  PASS: 'pass',
+  FAIL: 'fail',
+  ERROR: 'error',
+};
+
+const ASSISTANT_BRIDGE_ABI = ['function bridgeAddress() view returns (address)'];
+
+const sameAddress = (a, b) => (a || '').toLowerCase() === (b || '').toLowerCase();
+
+const getAssistantNetworkKey = (assistantAddress, networks) => {
+  const entry = Object.entries(networks).find(([, network]) =>
+    Object.values(network?.assistants || {}).some(assistant => sameAddress(assistant.address, assistantAddress))
+  );
+  return entry ? entry[0] : null;
+};
+
+const findConfiguredToken = (network, address) => {
+  return Object.values(network?.tokens || {}).find(token => sameAddress(token.address, address)) || null;
+};
+
+/**
+ * Read the state of a bridge contract that the config describes
+ * @param {ethers.providers.Provider} provider - Provider of the bridge network
+ * @param {Object} bridge - Bridge config
+ * @returns {Promise<Object>} { tokenAddress, stakeTokenAddress, foreignAsset?, homeAsset?, oracleAddress? }
+ */
+export const readBridgeState = async (provider, bridge) => {
+  const contract = createBridgeContract(bridge.address, bridge.type, provider);
+  const settings = await contract.settings();
+
+  // Export bridges lock their own asset, which is also the stake token
+  if (bridge.type === 'export') {
+    const foreignAsset = await contract.foreign_asset();
+    return { tokenAddress: settings.tokenAddress, stakeTokenAddress: settings.tokenAddress, foreignAsset };
+  }
+
+  // Import bridges are the token themselves, import wrappers mint a precompile token
+  const [homeAsset, oracleAddress, tokenAddress] = await Promise.all([
+    contract.home_asset(),
+    contract.oracleAddress(),
+    bridge.type === 'import_wrapper' ? contract.precompileAddress() : bridge.address,
+  ]);
+  return { tokenAddress, stakeTokenAddress: settings.tokenAddress, homeAsset, oracleAddress };
+};
+
+/**
+ * Check a configured bridge pair against the chain
+ * @param {Object} bridgeData - Result of validateBridge() in validate-bridges.js
+ * @param {Function} getProvider - Returns the provider of a network key
+ * @param {Object} networks - Network configuration (default: networks.js)
+ * @returns {Promise<Object>} { bridgeId, exportBridgeKey, importBridgeKey, status, checks }
+ */
+export const checkBridgeOnChain = async (bridgeData, getProvider, networks = NETWORKS) => {
+  const { bridgeId, exportBridge, importBridge, exportBridgeKey, importBridgeKey } = bridgeData;
+  const checks = [];
+  const compare = (check, subject, expected, actual) => {
+    checks.push({ check, subject, expected: expected ?? null, actual: actual ?? null, status: sameAddress(expected, actual) ? CHECK_STATUS.PASS : CHECK_STATUS.FAIL });
+  };
+  const fail = (check, subject, error) => {
+    checks.push({ check, subject, expected: null, actual: null, status: CHECK_STATUS.ERROR, message: error.message });
+  };
+
+  const sides = [
+    { key: exportBridgeKey, bridge: exportBridge, configuredToken: exportBridge?.homeTokenAddress },
+    { key: importBridgeKey, bridge: importBridge, configuredToken: importBridge?.foreignTokenAddress },
+  ].filter(side => side.bridge);
+
+  for (const side of sides) {
+    side.networkKey = getBridgeNetworkKey(side.bridge.address, networks);
+    if (!side.networkKey) {
+      fail('contract', side.key, new Error('Bridge is not configured under any network'));
+      continue;
+    }
+    try {
+      side.state = await readBridgeState(getProvider(side.networkKey), side.bridge);
+    } catch (error) {
+      fail('contract', side.key, error);
+      continue;
+    }
+    compare('token', side.key, side.configuredToken, side.state.tokenAddress);
+    compare('stakeToken', side.key, side.bridge.stakeTokenAddress, side.state.stakeTokenAddress);
+    if (side.bridge.type !== 'export') {
+      compare('oracle', side.key, side.bridge.oracleAddress, side.state.oracleAddress);
+    }
+  }
+
+  const [exportSide, importSide] = [sides.find(side => side.bridge === exportBridge), sides.find(side => side.bridge === importBridge)];
+  if (exportSide?.state && importSide?.state) {
+    compare('foreignAsset', exportBridgeKey, importSide.state.tokenAddress, exportSide.state.foreignAsset);
+    compare('homeAsset', importBridgeKey, exportSide.state.tokenAddress, importSide.state.homeAsset);
+  }
+
+  // Assistants must serve the bridge they are configured for
+  const assistants = [...(bridgeData.exportAssistants || []), ...(bridgeData.importAssistants || [])];
+  for (const { key, assistant } of assistants) {
+    const networkKey = getAssistantNetworkKey(assistant.address, networks);
+    try {
+      if (!networkKey) throw new Error('Assistant is not configured under any network');
+      const bridgeAddress = await createContract(assistant.address, ASSISTANT_BRIDGE_ABI, getProvider(networkKey)).bridgeAddress();
+      compare('assistant', key, assistant.bridgeAddress, bridgeAddress);
+    } catch (error) {
+      fail('assistant', key, error);
+    }
+  }
+
+  // Decimals of every configured token of the pair
+  const tokens = new Map();
+  sides.filter(side => side.networkKey).forEach(({ bridge, networkKey }) => {
+    [bridge.type === 'export' ? bridge.homeTokenAddress : bridge.foreignTokenAddress, bridge.stakeTokenAddress].forEach(address => {
+      if (!address || address === ADDRESS_ZERO) return;
+      const token = findConfiguredToken(networks[networkKey], address);
+      if (token?.decimals !== undefined) tokens.set(`${networkKey}:${address.toLowerCase()}`, { networkKey, token });
+    });
+  });
+  for (const { networkKey, token } of tokens.values()) {
+    const subject = `${networkKey}.${token.symbol}`;
+    try {
+      const decimals = await createTokenContract(token.address, getProvider(networkKey)).decimals();
+      checks.push({
+        check: 'decimals',
+        subject,
+        expected: Number(token.decimals),
+        actual: Number(decimals),
+        status: Number(token.decimals) === Number(decimals) ? CHECK_STATUS.PASS : CHECK_STATUS.FAIL,
+      });
+    } catch (error) {
+      fail('decimals', subject, error);
+    }
+  }
+
+  return {
+    bridgeId,
+    exportBridgeKey: exportBridgeKey || null,
+    importBridgeKey: importBridgeKey || null,
+    status: checks.every(check => check.status === CHECK_STATUS.PASS) ? CHECK_STATUS.PASS : CHECK_STATUS.FAIL,
+    checks,
+  };
+};
+
+/**
+ * Summarize the on-chain results of all bridge pairs
+ * @param {Array<Object>} results - Results of checkBridgeOnChain()
+ * @returns {Object} { bridges, passed, failed, failedChecks }
+ */
+export const summarizeConsistency = (results) => {
+  const checks = results.flatMap(result => result.checks);
+  return {
+    bridges: results.length,
+    passed: results.filter(result => result.status === CHECK_STATUS.PASS).length,
+    failed: results.filter(result => result.status !== CHECK_STATUS.PASS).length,
+    failedChecks: checks.filter(check => check.status !== CHECK_STATUS.PASS).length,
+  };
+};
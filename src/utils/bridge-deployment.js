@@ -0,0 +1,367 @@
+/**
+ * Bridge Pair Deployment
+ *
+ * Steps, saved progress and config generation for deploying an export/import bridge
+ * pair across two networks, following the procedure at the top of networks.js.
+ * Progress is kept in localStorage after every transaction so an interrupted
+ * deployment can resume, including waiting for a transaction that was already sent.
+ */
+
+import { ethers } from 'ethers';
+import { createFactoryContract, getFactoryABI } from './contract-factory';
+import { getRequiredPricePairs } from './oracle-prices';
+import { ORACLE_DEPLOYMENT_ABI, ORACLE_BYTECODE } from '../contracts/oracle';
+import { ADDRESS_ZERO } from '../config/networks';
+
+// Default Counterstake parameters, shared with the single bridge creation dialog
+export const DEFAULT_COUNTERSTAKE_COEF = '160'; // 1.6%
+export const DEFAULT_RATIO = '110'; // 1.1%
+export const DEFAULT_LARGE_THRESHOLD = '10000'; // 10k tokens
+export const DEFAULT_CHALLENGING_PERIODS = [14*3600, 3*24*3600, 7*24*3600, 30*24*3600]; // [14h, 3d, 7d, 30d]
+export const DEFAULT_LARGE_CHALLENGING_PERIODS = [1*7*24*3600, 30*24*3600, 60*24*3600]; // [1week, 30days, 60days]
+
+// Gas limit for wrapper bridges, whose creation cannot be estimated reliably
+const WRAPPER_GAS_LIMIT = 5000000;
+// Decimals of the token minted by a regular Import bridge
+const IMPORT_TOKEN_DECIMALS = 18;
+const NATIVE_DECIMALS = 18;
+
+const DEPLOYMENT_STORAGE_KEY = 'bridgeDeploymentProgress';
+
+/**
+ * Wizard steps in execution order. `side` is the network the step runs on.
+ */
+export const DEPLOYMENT_STEPS = [
+  { key: 'homeOracle', label: 'Home network oracle', side: 'home' },
+  { key: 'foreignOracle', label: 'Foreign network oracle', side: 'foreign' },
+  { key: 'oraclePrices', label: 'Initial oracle prices', side: 'foreign' },
+  { key: 'importBridge', label: 'Import bridge', side: 'foreign' },
+  { key: 'exportBridge', label: 'Export bridge', side: 'home' },
+  { key: 'configuration', label: 'Configuration', side: null },
+];
+
+export const STEP_STATUS = {
+  PENDING: 'pending',
+  SENT: 'sent',
+  DONE: 'done',
+};
+
+/**
+ * Start a new deployment
+ * @param {Object} params - Wizard form values
+ * @returns {Object} Deployment state
+ */
+export const createDeployment = (params) => ({
+  id: Date.now().toString(36),
+  createdAt: Date.now(),
+  params,
+  steps: {},
+});
+
+/**
+ * Get the state of a step
+ * @param {Object} deployment - Deployment state
+ * @param {string} stepKey - Step key
+ * @returns {Object} { status, txHash, result }
+ */
+export const getStepState = (deployment, stepKey) => {
+  return deployment.steps[stepKey] || { status: STEP_STATUS.PENDING, txHash: null, result: null };
+};
+
+/**
+ * Get the first step that is not done yet
+ * @param {Object} deployment - Deployment state
+ * @returns {Object|null} Entry of DEPLOYMENT_STEPS, null when the deployment is complete
+ */
+export const getNextStep = (deployment) => {
+  return DEPLOYMENT_STEPS.find(step => getStepState(deployment, step.key).status !== STEP_STATUS.DONE) || null;
+};
+
+/**
+ * Update a step
+ * @param {Object} deployment - Deployment state
+ * @param {string} stepKey - Step key
+ * @param {Object} update - Fields to merge into the step state
+ * @returns {Object} New deployment state
+ */
+export const updateStep = (deployment, stepKey, update) => ({
+  ...deployment,
+  steps: {
+    ...deployment.steps,
+    [stepKey]: { ...getStepState(deployment, stepKey), ...update },
+  },
+});
+
+/**
+ * Read the saved deployment
+ * @returns {Object|null} Deployment state
+ */
+export const loadDeployment = () => {
+  try {
+    const saved = localStorage.getItem(DEPLOYMENT_STORAGE_KEY);
+    return saved ? JSON.parse(saved) : null;
+  } catch (error) {
+    console.warn('Failed to read saved bridge deployment:', error);
+    return null;
+  }
+};
+
+/**
+ * Save deployment progress
+ * @param {Object} deployment - Deployment state
+ */
+export const saveDeployment = (deployment) => {
+  try {
+    localStorage.setItem(DEPLOYMENT_STORAGE_KEY, JSON.stringify(deployment));
+  } catch (error) {
+    console.warn('Failed to save bridge deployment:', error);
+  }
+};
+
+/**
+ * Forget the saved deployment
+ */
+export const clearDeployment = () => {
+  localStorage.removeItem(DEPLOYMENT_STORAGE_KEY);
+};
+
+/**
+ * Get the import bridge flavour for the foreign network
+ * @param {Object} foreignNetwork - Foreign network config
+ * @returns {string} 'import_wrapper' on networks with ERC20 precompiles, 'import' otherwise
+ */
+export const getImportBridgeType = (foreignNetwork) => {
+  return foreignNetwork?.erc20Precompile ? 'import_wrapper' : 'import';
+};
+
+/**
+ * Build the config entries of the bridge pair, as stored in settings and networks.js.
+ * Entries whose contract is not created yet have a null address.
+ * @param {Object} deployment - Deployment state
+ * @param {Object} networks - Home and foreign network configs { home, foreign }
+ * @returns {Object} { importBridge, exportBridge, foreignToken }
+ */
+export const buildBridgePairConfig = (deployment, { home, foreign }) => {
+  const { params } = deployment;
+  const importType = getImportBridgeType(foreign);
+  const importAddress = getStepState(deployment, 'importBridge').result?.address || null;
+  const exportAddress = getStepState(deployment, 'exportBridge').result?.address || null;
+  const foreignOracle = getStepState(deployment, 'foreignOracle').result?.address || params.foreignOracleAddress || null;
+  const bridgeId = getStepState(deployment, 'configuration').result?.bridgeId;
+
+  // The import bridge is the token itself, an import wrapper controls an existing precompile
+  const foreignToken = importType === 'import_wrapper'
+    ? { ...params.foreignToken }
+    : {
+        address: importAddress,
+        symbol: params.foreignToken.symbol,
+        name: params.foreignToken.name,
+        decimals: IMPORT_TOKEN_DECIMALS,
+        isPrecompile: false,
+        isNative: false,
+      };
+
+  const shared = {
+    homeNetwork: home.name,
+    homeTokenSymbol: params.homeToken.symbol,
+    homeTokenAddress: params.homeToken.address,
+    foreignNetwork: foreign.name,
+    foreignTokenSymbol: foreignToken.symbol,
+    foreignTokenAddress: foreignToken.address,
+  };
+  const withBridgeId = bridgeId ? { bridgeId } : {};
+
+  return {
+    importBridge: {
+      address: importAddress,
+      type: importType,
+      ...shared,
+      stakeTokenSymbol: params.stakeToken.symbol,
+      stakeTokenAddress: params.stakeToken.address,
+      oracleAddress: foreignOracle,
+      description: `${params.homeToken.symbol} ${importType === 'import_wrapper' ? 'Import Wrapper' : 'Import'} Bridge (${home.name} → ${foreign.name})`,
+      isIssuerBurner: true,
+      ...withBridgeId,
+    },
+    exportBridge: {
+      address: exportAddress,
+      type: 'export',
+      ...shared,
+      stakeTokenSymbol: params.homeToken.symbol,
+      stakeTokenAddress: params.homeToken.address,
+      description: `${home.name} ${params.homeToken.symbol} → ${foreign.name} ${foreignToken.symbol} Bridge`,
+      isIssuerBurner: false,
+      ...withBridgeId,
+    },
+    foreignToken,
+  };
+};
+
+/**
+ * Get the price pairs the new import bridge needs on the foreign oracle, with token decimals
+ * @param {Object} deployment - Deployment state
+ * @param {Object} networks - Home and foreign network configs { home, foreign }
+ * @returns {Array} Pairs from getRequiredPricePairs with baseDecimals and quoteDecimals
+ */
+export const getDeploymentPricePairs = (deployment, networks) => {
+  const { importBridge, foreignToken } = buildBridgePairConfig(deployment, networks);
+  const oracleAddress = importBridge.oracleAddress || ADDRESS_ZERO;
+  const imageDecimals = foreignToken.decimals ?? IMPORT_TOKEN_DECIMALS;
+  const stakeDecimals = importBridge.stakeTokenAddress === ADDRESS_ZERO
+    ? NATIVE_DECIMALS
+    : deployment.params.stakeToken.decimals ?? NATIVE_DECIMALS;
+
+  const decimalsByUsage = {
+    stake: [imageDecimals, stakeDecimals],
+    symbol: [imageDecimals, NATIVE_DECIMALS],
+    native: [NATIVE_DECIMALS, imageDecimals],
+    assistant: [NATIVE_DECIMALS, stakeDecimals],
+  };
+
+  return getRequiredPricePairs([{ key: 'new', ...importBridge, oracleAddress }], oracleAddress, networks.foreign.name)
+    .map(pair => ({ ...pair, baseDecimals: decimalsByUsage[pair.usage][0], quoteDecimals: decimalsByUsage[pair.usage][1] }));
+};
+
+/**
+ * Get the next free bridgeId. Both bridges of a pair share one id.
+ * @param {Array} bridges - All configured bridges
+ * @returns {number} bridgeId
+ */
+export const getNextBridgeId = (bridges) => {
+  return bridges.reduce((max, bridge) => Math.max(max, Number(bridge.bridgeId) || 0), 0) + 1;
+};
+
+/**
+ * Get a config key that is not taken yet, adding _2, _3... like P3D_EXPORT_2
+ * @param {string} baseKey - Preferred key
+ * @param {Array<string>} existingKeys - Keys already in use
+ * @returns {string} Unique key
+ */
+export const getUniqueConfigKey = (baseKey, existingKeys) => {
+  const key = baseKey.toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+  if (!existingKeys.includes(key)) return key;
+  let suffix = 2;
+  while (existingKeys.includes(`${key}_${suffix}`)) suffix++;
+  return `${key}_${suffix}`;
+};
+
+/**
+ * Format config entries as an object literal to paste into networks.js
+ * @param {string} key - Config key
+ * @param {Object} entry - Config entry
+ * @returns {string} Source snippet
+ */
+export const formatConfigEntry = (key, entry) => {
+  const lines = Object.entries(entry)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([field, value]) => `  ${field}: ${typeof value === 'string' ? `'${value}'` : value},`);
+  return `${key}: {\n${lines.join('\n')}\n},`;
+};
+
+/**
+ * Deploy an Oracle contract. The deployer becomes its owner.
+ * @param {ethers.Signer} signer - Signer on the target network
+ * @returns {Promise<ethers.providers.TransactionResponse>} Deployment transaction
+ */
+export const deployOracle = async (signer) => {
+  const factory = new ethers.ContractFactory(ORACLE_DEPLOYMENT_ABI, ORACLE_BYTECODE, signer);
+  const oracle = await factory.deploy();
+  return oracle.deployTransaction;
+};
+
+/**
+ * Create the import (or import wrapper) bridge through the Counterstake factory
+ * @param {ethers.Signer} signer - Signer on the foreign network
+ * @param {Object} foreign - Foreign network config
+ * @param {Object} params - { home_network, home_asset, name, symbol, precompileAddress, stakeTokenAddr, oracleAddr, counterstake_coef100, ratio100, large_threshold }
+ * @returns {Promise<ethers.providers.TransactionResponse>} Creation transaction
+ */
+export const createImportBridge = async (signer, foreign, params) => {
+  const factory = createFactoryContract(foreign.contracts.counterstakeFactory, foreign.erc20Precompile, signer);
+  const counterstakeArgs = [
+    params.counterstake_coef100,
+    params.ratio100,
+    params.large_threshold,
+    DEFAULT_CHALLENGING_PERIODS,
+    DEFAULT_LARGE_CHALLENGING_PERIODS,
+  ];
+
+  if (getImportBridgeType(foreign) === 'import_wrapper') {
+    return factory.createImportWrapper(
+      params.home_network,
+      params.home_asset,
+      params.precompileAddress,
+      params.stakeTokenAddr,
+      params.oracleAddr,
+      ...counterstakeArgs,
+      { gasLimit: WRAPPER_GAS_LIMIT }
+    );
+  }
+
+  return factory.createImport(
+    params.home_network,
+    params.home_asset,
+    params.name,
+    params.symbol,
+    params.stakeTokenAddr,
+    params.oracleAddr,
+    ...counterstakeArgs
+  );
+};
+
+/**
+ * Create the export bridge through the Counterstake factory
+ * @param {ethers.Signer} signer - Signer on the home network
+ * @param {Object} home - Home network config
+ * @param {Object} params - { foreign_network, foreign_asset, tokenAddr, counterstake_coef100, ratio100, large_threshold }
+ * @returns {Promise<ethers.providers.TransactionResponse>} Creation transaction
+ */
+export const createExportBridge = async (signer, home, params) => {
+  const factory = createFactoryContract(home.contracts.counterstakeFactory, home.erc20Precompile, signer);
+  return factory.createExport(
+    params.foreign_network,
+    params.foreign_asset,
+    params.tokenAddr,
+    params.counterstake_coef100,
+    params.ratio100,
+    params.large_threshold,
+    DEFAULT_CHALLENGING_PERIODS,
+    DEFAULT_LARGE_CHALLENGING_PERIODS,
+    home.erc20Precompile ? { gasLimit: WRAPPER_GAS_LIMIT } : {}
+  );
+};
+
+/**
+ * Find the address of the bridge created by a factory transaction
+ * @param {Object} receipt - Transaction receipt
+ * @param {boolean} isHybridNetwork - Whether the factory is the 3DPass CounterstakeFactory
+ * @returns {string} Bridge address
+ */
+export const getCreatedBridgeAddress = (receipt, isHybridNetwork) => {
+  const factoryInterface = new ethers.utils.Interface(getFactoryABI(isHybridNetwork));
+  for (const log of receipt.logs) {
+    try {
+      const parsed = factoryInterface.parseLog(log);
+      if (['NewExport', 'NewImport', 'NewImportWrapper'].includes(parsed.name)) {
+        return parsed.args.contractAddress;
+      }
+    } catch (error) {
+      // Not a factory event
+    }
+  }
+  throw new Error('Failed to find the bridge address in the transaction events');
+};
+
+/**
+ * Wait for a step transaction, which may have been sent before the page was reloaded
+ * @param {ethers.providers.Provider} provider - Provider for the step network
+ * @param {string} txHash - Transaction hash
+ * @returns {Promise<Object>} Receipt
+ */
+export const waitForStepTransaction = async (provider, txHash) => {
+  const receipt = await provider.waitForTransaction(txHash);
+  if (!receipt || receipt.status === 0) {
+    throw new Error(`Transaction ${txHash} failed`);
+  }
+  return receipt;
+};
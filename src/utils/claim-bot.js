@@ -0,0 +1,339 @@
+/**
+ * Claim Bot Utilities
+ *
+ * Headless third-party claimer: watches NewExpatriation/NewRepatriation transfers,
+ * claims them on the counterpart bridge on behalf of the recipient and earns the
+ * transfer reward once the claim is withdrawn. The gas cost math mirrors
+ * getGasCostInStakeTokens() of the assistant contracts.
+ * Used by src/bot/claim-bot.js.
+ */
+
+import { ethers } from 'ethers';
+import { ERC20_ABI, ORACLE_ABI } from '../contracts/abi';
+import { ADDRESS_ZERO } from '../config/networks';
+import { getBridgeABI, createContract } from './contract-factory.js';
+import { getBlockTimestamp } from './bridge-contracts';
+import { fetchClaimDetails } from './claim-details-fetcher.js';
+import { getTransferBlockNumbersUnified, getNewClaimBlockNumbersUnified } from './unified-block-fetcher.js';
+import { findCounterpartBridge } from './assistant-manager';
+
+// Used for the profitability check when the claim can't be simulated yet (ERC20 approval still missing)
+export const DEFAULT_CLAIM_GAS = 400000;
+
+const TRANSFER_EVENT_BY_BRIDGE_TYPE = {
+  export: 'NewExpatriation',
+  import: 'NewRepatriation',
+  import_wrapper: 'NewRepatriation',
+};
+
+/**
+ * Get the transfer event emitted by a bridge type
+ * @param {string} type - Bridge type
+ * @returns {string|null} Event name, null for unsupported bridge types
+ */
+export const getTransferEventType = (type) => TRANSFER_EVENT_BY_BRIDGE_TYPE[type] || null;
+
+/**
+ * Find the bridge where a transfer from the given bridge is claimed
+ * @param {Object} transferBridge - Bridge that emitted the transfer
+ * @param {Object} allBridges - All bridge configurations keyed by bridge key
+ * @returns {Object|null} Claim bridge configuration
+ */
+export const getClaimBridge = (transferBridge, allBridges) => {
+  if (!getTransferEventType(transferBridge?.type)) return null;
+  const counterpart = findCounterpartBridge(transferBridge, allBridges);
+  return counterpart && getTransferEventType(counterpart.type) ? counterpart : null;
+};
+
+/**
+ * Decode a raw transfer log returned by the unified block fetcher
+ * @param {Object} event - Event from getTransferBlockNumbersUnified
+ * @param {Object} bridge - Bridge configuration of the emitting bridge
+ * @returns {Object} Transfer
+ */
+export const decodeTransferEvent = (event, bridge) => {
+  const iface = new ethers.utils.Interface(getBridgeABI(bridge.type));
+  const { name, args } = iface.parseLog({ topics: event.topics, data: event.data });
+
+  return {
+    eventType: name,
+    bridgeAddress: bridge.address,
+    txid: event.transactionHash,
+    blockNumber: event.blockNumber,
+    senderAddress: args.sender_address,
+    amount: args.amount,
+    reward: ethers.BigNumber.from(args.reward),
+    recipientAddress: name === 'NewExpatriation' ? args.foreign_address : args.home_address,
+    data: args.data,
+    timestamp: event.rawLog?.blockTimestamp ? parseInt(event.rawLog.blockTimestamp, 16) : undefined,
+  };
+};
+
+/**
+ * Decide whether a transfer can be claimed by the bot as a third party
+ * @param {Object} params - Check inputs
+ * @param {Object} params.transfer - Decoded transfer with timestamp
+ * @param {string} params.account - Bot address
+ * @param {number} params.now - Current unix timestamp in seconds
+ * @param {number} params.minTxAge - Claim bridge min_tx_age in seconds
+ * @param {Set<string>} params.claimedTxids - Lowercase txids already claimed on the claim bridge
+ * @returns {Object} { claimable, reason }
+ */
+export const checkTransferClaimable = ({ transfer, account, now, minTxAge, claimedTxids }) => {
+  if (claimedTxids.has(transfer.txid.toLowerCase())) return { claimable: false, reason: 'already_claimed' };
+  if (!ethers.utils.isAddress(transfer.recipientAddress || '')) return { claimable: false, reason: 'invalid_recipient' };
+  if (transfer.recipientAddress.toLowerCase() === account.toLowerCase()) return { claimable: false, reason: 'own_transfer' };
+  // Third-party claims pay amount - reward to the recipient, so a reward is what makes them worth doing
+  if (transfer.reward.lte(0)) return { claimable: false, reason: 'no_reward' };
+  if (transfer.reward.gte(transfer.amount)) return { claimable: false, reason: 'reward_too_large' };
+  if (now < transfer.timestamp + minTxAge) return { claimable: false, reason: 'too_early' };
+
+  return { claimable: true, reason: null };
+};
+
+/**
+ * Build the arguments of Counterstake.claim() for a transfer
+ * @param {Object} transfer - Decoded transfer with timestamp
+ * @param {ethers.BigNumber} stake - Stake to send
+ * @returns {Array} claim(txid, txts, amount, reward, stake, sender_address, recipient_address, data) arguments
+ */
+export const buildClaimArgs = (transfer, stake) => [
+  transfer.txid,
+  transfer.timestamp,
+  transfer.amount,
+  transfer.reward,
+  stake,
+  ethers.utils.getAddress(transfer.senderAddress),
+  ethers.utils.getAddress(transfer.recipientAddress),
+  transfer.data,
+];
+
+/**
+ * Gas cost expressed in stake tokens, as in the assistant contracts
+ * @param {ethers.BigNumber|number} gas - Gas units
+ * @param {ethers.BigNumber} gasPrice - Gas price in wei
+ * @param {Object} nativePrice - Price of the native coin in stake tokens { num, den }
+ * @returns {ethers.BigNumber} Gas cost in stake token wei
+ */
+export const getGasCostInStakeTokens = (gas, gasPrice, nativePrice) => {
+  return ethers.BigNumber.from(gas).mul(gasPrice).mul(nativePrice.num).div(nativePrice.den);
+};
+
+/**
+ * Evaluate whether claiming a transfer is worth it
+ * @param {Object} params - Evaluation inputs
+ * @param {ethers.BigNumber} params.amount - Transfer amount
+ * @param {ethers.BigNumber} params.reward - Transfer reward
+ * @param {ethers.BigNumber} params.requiredStake - getRequiredStake(amount)
+ * @param {ethers.BigNumber} params.gasCost - Claim gas cost in stake tokens
+ * @param {Object} params.transferPrice - Price of the transferred asset in stake tokens { num, den }
+ * @param {number} [params.minProfitBps=0] - Minimum profit relative to the locked capital, in basis points
+ * @returns {Object} { paidAmount, rewardInStakeTokens, lockedCapital, profit, isProfitable }
+ */
+export const evaluateClaimProfitability = ({ amount, reward, requiredStake, gasCost, transferPrice, minProfitBps = 0 }) => {
+  const toStakeTokens = (value) => ethers.BigNumber.from(value).mul(transferPrice.num).div(transferPrice.den);
+  const paidAmount = ethers.BigNumber.from(amount).sub(reward);
+  const rewardInStakeTokens = toStakeTokens(reward);
+  // Stake and paid amount stay locked until the claim is withdrawn
+  const lockedCapital = ethers.BigNumber.from(requiredStake).add(toStakeTokens(paidAmount));
+  const profit = rewardInStakeTokens.sub(gasCost);
+
+  return {
+    paidAmount,
+    rewardInStakeTokens,
+    lockedCapital,
+    profit,
+    isProfitable: profit.gt(0) && profit.mul(10000).gte(lockedCapital.mul(minProfitBps)),
+  };
+};
+
+const getOraclePrice = async (provider, oracleAddress, base, quote) => {
+  if (!oracleAddress) throw new Error(`No oracle configured to price ${base} in ${quote}`);
+  const oracle = createContract(oracleAddress, ORACLE_ABI, provider);
+  const { num, den } = await oracle.getPrice(base, quote);
+  if (num.isZero() || den.isZero()) throw new Error(`Oracle has no price for ${base}/${quote}`);
+  return { num, den };
+};
+
+/**
+ * Load everything the bot needs to claim on a bridge
+ * @param {ethers.providers.Provider} provider - Provider for the claim bridge network
+ * @param {Object} bridge - Claim bridge configuration (address, type, optional oracleAddress)
+ * @returns {Promise<Object>} { contract, stakeTokenAddress, stakeSymbol, paidTokenAddress, minTxAge, nativePrice, transferPrice }
+ */
+export const loadClaimBridgeContext = async (provider, bridge) => {
+  try {
+    const contract = createContract(bridge.address, getBridgeABI(bridge.type), provider);
+    const settings = await contract.settings();
+    const stakeTokenAddress = settings.tokenAddress;
+    const isNativeStake = stakeTokenAddress === ADDRESS_ZERO;
+    const stakeSymbol = isNativeStake ? '_NATIVE_' : await createContract(stakeTokenAddress, ERC20_ABI, provider).symbol();
+    const isExport = bridge.type === 'export';
+
+    let paidTokenAddress = stakeTokenAddress;
+    let oracleAddress = bridge.oracleAddress;
+    let transferPrice = { num: ethers.BigNumber.from(1), den: ethers.BigNumber.from(1) };
+
+    if (!isExport) {
+      // Import bridges burn the claimer's image tokens and price them with their own oracle
+      paidTokenAddress = bridge.type === 'import_wrapper' ? await contract.precompileAddress() : bridge.address;
+      oracleAddress = await contract.oracleAddress();
+      const [homeNetwork, homeAsset] = await Promise.all([contract.home_network(), contract.home_asset()]);
+      const isHomeBaseAsset = homeAsset === 'base' || homeAsset === ADDRESS_ZERO;
+      transferPrice = await getOraclePrice(provider, oracleAddress, isHomeBaseAsset ? homeNetwork : homeAsset, stakeSymbol);
+    }
+
+    const nativePrice = isNativeStake
+      ? { num: ethers.BigNumber.from(1), den: ethers.BigNumber.from(1) }
+      : await getOraclePrice(provider, oracleAddress, '_NATIVE_', stakeSymbol);
+
+    return {
+      contract,
+      stakeTokenAddress,
+      stakeSymbol,
+      paidTokenAddress,
+      minTxAge: Number(settings.min_tx_age),
+      nativePrice,
+      transferPrice,
+    };
+  } catch (error) {
+    console.error(`❌ Error loading claim context for ${bridge.address}:`, error);
+    throw new Error(`Failed to load claim bridge context: ${error.message}`);
+  }
+};
+
+/**
+ * Fetch and decode the transfers emitted by a bridge
+ * @param {Object} params - Fetch parameters
+ * @param {Object} params.bridge - Transfer bridge configuration
+ * @param {string} params.networkKey - Network key of the transfer bridge
+ * @param {ethers.providers.Provider} params.provider - Provider for the transfer bridge network
+ * @param {number} params.rangeHours - Hours of history to scan
+ * @returns {Promise<Array>} Decoded transfers with timestamps
+ */
+export const fetchBridgeTransfers = async ({ bridge, networkKey, provider, rangeHours }) => {
+  const eventType = getTransferEventType(bridge.type);
+  const result = await getTransferBlockNumbersUnified(networkKey, bridge.address, eventType, { rangeHours });
+
+  const transfers = [];
+  for (const event of result.events) {
+    try {
+      const transfer = decodeTransferEvent(event, bridge);
+      if (transfer.timestamp === undefined) {
+        transfer.timestamp = await getBlockTimestamp(provider, transfer.blockNumber);
+      }
+      transfers.push(transfer);
+    } catch (error) {
+      console.warn(`⚠️ Could not decode transfer ${event.transactionHash}:`, error.message);
+    }
+  }
+  return transfers;
+};
+
+/**
+ * Collect the txids already claimed on a bridge
+ * @param {Object} params - Fetch parameters
+ * @param {Object} params.bridge - Claim bridge configuration
+ * @param {string} params.networkKey - Network key of the claim bridge
+ * @param {number} params.rangeHours - Hours of history to scan
+ * @returns {Promise<Set<string>>} Lowercase txids
+ */
+export const fetchClaimedTxids = async ({ bridge, networkKey, rangeHours }) => {
+  const iface = new ethers.utils.Interface(getBridgeABI(bridge.type));
+  const result = await getNewClaimBlockNumbersUnified(networkKey, bridge.address, { rangeHours });
+
+  const txids = new Set();
+  result.events.forEach(event => {
+    try {
+      const { args } = iface.parseLog({ topics: event.topics, data: event.data });
+      txids.add(args.txid.toLowerCase());
+    } catch (error) {
+      console.warn(`⚠️ Could not decode claim ${event.transactionHash}:`, error.message);
+    }
+  });
+  return txids;
+};
+
+/**
+ * Approve a token to a spender unless the current allowance already covers the amount
+ * @param {ethers.Signer} signer - Token owner
+ * @param {string} tokenAddress - ERC20 token address
+ * @param {string} spender - Spender address
+ * @param {ethers.BigNumber} amount - Amount the spender needs
+ * @returns {Promise<boolean>} Whether an approval was sent
+ */
+export const ensureAllowance = async (signer, tokenAddress, spender, amount) => {
+  const token = createContract(tokenAddress, ERC20_ABI, signer);
+  const allowance = await token.allowance(await signer.getAddress(), spender);
+  if (allowance.gte(amount)) return false;
+
+  console.log(`🔄 Approving ${amount.toString()} of ${tokenAddress} to ${spender}`);
+  const tx = await token.approve(spender, amount);
+  await tx.wait();
+  return true;
+};
+
+/**
+ * Get the ERC20 amounts the claim pulls from the claimer
+ * @param {Object} context - Claim bridge context
+ * @param {Object} bridge - Claim bridge configuration
+ * @param {ethers.BigNumber} stake - Stake
+ * @param {ethers.BigNumber} paidAmount - Amount paid to the recipient
+ * @returns {ethers.BigNumber} Amount to approve to the bridge (zero when nothing is pulled via transferFrom)
+ */
+export const getClaimApprovalAmount = (context, bridge, stake, paidAmount) => {
+  if (context.stakeTokenAddress === ADDRESS_ZERO) return ethers.constants.Zero;
+  // Export bridges take stake and paid amount in the same token; import bridges burn the paid amount
+  return bridge.type === 'export' ? stake.add(paidAmount) : stake;
+};
+
+/**
+ * Get the native coin amount sent with the claim
+ * @param {Object} context - Claim bridge context
+ * @param {Object} bridge - Claim bridge configuration
+ * @param {ethers.BigNumber} stake - Stake
+ * @param {ethers.BigNumber} paidAmount - Amount paid to the recipient
+ * @returns {ethers.BigNumber} Transaction value (zero for ERC20 stakes)
+ */
+export const getClaimValue = (context, bridge, stake, paidAmount) => {
+  if (context.stakeTokenAddress !== ADDRESS_ZERO) return ethers.constants.Zero;
+  return bridge.type === 'export' ? stake.add(paidAmount) : stake;
+};
+
+/**
+ * Submit a third-party claim
+ * @param {Object} params - Claim parameters
+ * @param {ethers.Signer} params.signer - Bot wallet on the claim bridge network
+ * @param {Object} params.bridge - Claim bridge configuration
+ * @param {Object} params.context - Claim bridge context from loadClaimBridgeContext
+ * @param {Object} params.transfer - Decoded transfer with timestamp
+ * @param {ethers.BigNumber} params.stake - Required stake
+ * @param {ethers.BigNumber} params.paidAmount - Amount paid to the recipient
+ * @returns {Promise<Object>} { receipt, claimNum, claim }
+ */
+export const submitClaim = async ({ signer, bridge, context, transfer, stake, paidAmount }) => {
+  const approvalAmount = getClaimApprovalAmount(context, bridge, stake, paidAmount);
+  if (approvalAmount.gt(0)) {
+    await ensureAllowance(signer, context.stakeTokenAddress, bridge.address, approvalAmount);
+  }
+
+  const contract = context.contract.connect(signer);
+  const tx = await contract.claim(...buildClaimArgs(transfer, stake), { value: getClaimValue(context, bridge, stake, paidAmount) });
+  console.log(`🔄 Claim sent for ${transfer.txid}: ${tx.hash}`);
+  const receipt = await tx.wait();
+
+  const claimLog = receipt.logs
+    .map(log => {
+      try {
+        return contract.interface.parseLog(log);
+      } catch (error) {
+        return null;
+      }
+    })
+    .find(parsed => parsed?.name === 'NewClaim');
+  const claimNum = claimLog ? claimLog.args.claim_num : null;
+  const claim = claimNum ? await fetchClaimDetails({ contract, claimNum }) : null;
+
+  console.log(`✅ Claimed ${transfer.txid} as claim #${claimNum?.toString()}`);
+  return { receipt, claimNum, claim };
+};
@@ -0,0 +1,160 @@
+/**
+ * Claim IDs
+ *
+ * Besides its number, a Counterstake claim is identified by the string CounterstakeLibrary.getClaimId()
+ * builds from the transfer: sender_recipient_txid_txts_amount_reward_data. The bridge can look up,
+ * challenge and withdraw a claim by that id. withdraw() also takes the address to withdraw for: the
+ * claimed amount and the stakes of that address are paid to it, whoever sends the transaction.
+ * Used by src/components/ClaimView.js, src/components/ClaimLookup.js, src/components/WithdrawClaim.js
+ * and src/components/Challenge.js.
+ */
+
+import { ethers } from 'ethers';
+import { estimateWithdrawal } from './batch-withdraw';
+
+const CLAIM_ID_FIELDS = 7;
+
+/**
+ * Check whether a lookup value is a claim number rather than a claim id
+ * @param {string} value - Claim number or claim id
+ * @returns {boolean} True for a positive integer
+ */
+export const isClaimNum = (value) => /^[1-9]\d*$/.test(String(value || '').trim());
+
+/**
+ * Build the id of a claim the way CounterstakeLibrary.getClaimId() does
+ * @param {Object} params - Transfer fields of the claim
+ * @param {string} params.senderAddress - Sender on the source network
+ * @param {string} params.recipientAddress - Recipient on the claim network
+ * @param {string} params.txid - Transfer transaction hash
+ * @param {number} params.txts - Transfer timestamp
+ * @param {ethers.BigNumber|string} params.amount - Transfer amount
+ * @param {ethers.BigNumber|string} params.reward - Transfer reward
+ * @param {string} [params.data] - Transfer data
+ * @returns {string} Claim id
+ */
+export const buildClaimId = ({ senderAddress, recipientAddress, txid, txts, amount, reward, data = '' }) => [
+  senderAddress,
+  recipientAddress.slice(2).toLowerCase(),
+  txid,
+  String(txts),
+  ethers.BigNumber.from(amount).toString(),
+  ethers.BigNumber.from(reward).toString(),
+  data,
+].join('_');
+
+/**
+ * Split a claim id into the transfer fields it was built from. The data comes last and may contain underscores.
+ * @param {string} claimId - Claim id
+ * @returns {Object} { senderAddress, recipientAddress, txid, txts, amount, reward, data }
+ */
+export const parseClaimId = (claimId) => {
+  const parts = (claimId || '').trim().split('_');
+  const [senderAddress, recipient, txid, txts, amount, reward] = parts;
+  if (
+    parts.length < CLAIM_ID_FIELDS ||
+    !senderAddress ||
+    !/^[0-9a-f]{40}$/.test(recipient) ||
+    !txid ||
+    !/^\d+$/.test(txts) ||
+    !/^\d+$/.test(amount) ||
+    !/^-?\d+$/.test(reward)
+  ) {
+    throw new Error('Invalid claim id, expected sender_recipient_txid_txts_amount_reward_data');
+  }
+
+  return {
+    senderAddress,
+    recipientAddress: ethers.utils.getAddress(`0x${recipient}`),
+    txid,
+    txts: Number(txts),
+    amount: ethers.BigNumber.from(amount),
+    reward: ethers.BigNumber.from(reward),
+    data: parts.slice(CLAIM_ID_FIELDS - 1).join('_'),
+  };
+};
+
+/**
+ * Find the number of a claim from its id
+ * @param {ethers.Contract} contract - Counterstake contract (COUNTERSTAKE_ABI)
+ * @param {string} claimId - Claim id
+ * @returns {Promise<ethers.BigNumber|null>} Claim number, null if the bridge has no such claim
+ */
+export const resolveClaimNum = async (contract, claimId) => {
+  try {
+    const claimNum = await contract.claim_nums(claimId);
+    return claimNum.isZero() ? null : claimNum;
+  } catch (error) {
+    console.error('❌ Error resolving claim id:', error);
+    throw new Error(`Failed to resolve claim id: ${error.message}`);
+  }
+};
+
+/**
+ * Check an address to withdraw for
+ * @param {string} value - Address input, empty to withdraw for the sender
+ * @returns {Object} { address, error }, address checksummed or null when empty
+ */
+export const validateWithdrawAddress = (value) => {
+  const input = (value || '').trim();
+  if (!input) return { address: null, error: null };
+  if (!ethers.utils.isAddress(input)) return { address: null, error: 'Invalid address' };
+  if (input.toLowerCase() === ethers.constants.AddressZero) {
+    return { address: null, error: 'The zero address withdraws for the sender, leave the field empty instead' };
+  }
+  return { address: ethers.utils.getAddress(input), error: null };
+};
+
+/**
+ * Pick the withdraw() overload for a claim
+ * @param {Object} params - Call parameters
+ * @param {ethers.BigNumber|string} params.claimNum - Claim number
+ * @param {string} [params.claimId] - Claim id, preferred over the number when given
+ * @param {string} [params.toAddress] - Address to withdraw for, the sender when empty
+ * @returns {Object} { signature, args } for contract.functions[signature](...args)
+ */
+export const getWithdrawCall = ({ claimNum, claimId, toAddress }) => {
+  const ref = claimId ? ['string', claimId] : ['uint256', ethers.BigNumber.from(claimNum)];
+  return toAddress
+    ? { signature: `withdraw(${ref[0]},address)`, args: [ref[1], toAddress] }
+    : { signature: `withdraw(${ref[0]})`, args: [ref[1]] };
+};
+
+/**
+ * Pick the challenge() overload for a claim
+ * @param {Object} params - Call parameters
+ * @param {ethers.BigNumber|string} params.claimNum - Claim number
+ * @param {string} [params.claimId] - Claim id, preferred over the number when given
+ * @param {number} params.outcome - Outcome to stake on (0 for NO, 1 for YES)
+ * @param {ethers.BigNumber} params.stake - Stake amount
+ * @returns {Object} { signature, args } for contract.functions[signature](...args)
+ */
+export const getChallengeCall = ({ claimNum, claimId, outcome, stake }) => (claimId
+  ? { signature: 'challenge(string,uint8,uint256)', args: [claimId, outcome, stake] }
+  : { signature: 'challenge(uint256,uint8,uint256)', args: [ethers.BigNumber.from(claimNum), outcome, stake] });
+
+/**
+ * Preview what withdraw() pays to an address
+ * @param {Object} params - Preview parameters
+ * @param {ethers.Contract} params.contract - Counterstake contract
+ * @param {ethers.BigNumber|string} params.claimNum - Claim number
+ * @param {Object} params.details - Claim as returned by getClaim()
+ * @param {string} params.address - Address withdrawn for
+ * @returns {Promise<Object>} { stake, stakePayout, claimedAmount, hasPayout }, stake being the address's stake on the
+ * current outcome
+ */
+export const previewWithdrawal = async ({ contract, claimNum, details, address }) => {
+  try {
+    const stake = await contract.stakes(claimNum, details.current_outcome, address);
+    const { stakePayout, claimedAmount } = estimateWithdrawal(details, stake, address);
+    return {
+      stake,
+      stakePayout,
+      claimedAmount,
+      hasPayout: stakePayout.gt(0) || claimedAmount.gt(0),
+    };
+  } catch (error) {
+    console.error('❌ Error previewing withdrawal:', error);
+    throw new Error(`Failed to preview withdrawal: ${error.message}`);
+  }
+};
@@ -0,0 +1,442 @@
+/**
+ * Config Generator
+ *
+ * Compares config/networks.js with on-chain state: re-detects the configured bridges,
+ * assistants and tokens, discovers new ones from the BridgesRegistry, pairs new bridges
+ * with their counterparts through bridgeId and renders the additions as a patch to
+ * networks.js. Used by src/config/generate-config.js.
+ */
+
+import { NETWORKS, ADDRESS_ZERO, P3D_PRECOMPILE_ADDRESS } from '../config/networks';
+import { autoDetectBridge } from './bridge-detector';
+import { autoDetectToken } from './token-detector';
+import { autoDetectAssistant } from './assistant-detector';
+import { updateBridgeInfoFromRegistry, hasBridgesRegistry } from './update-bridge-info';
+import { getNextBridgeId, getUniqueConfigKey, formatConfigEntry } from './bridge-deployment';
+
+export const CONFIG_SECTIONS = ['tokens', 'bridges', 'assistants'];
+
+// Fields written for new entries, in the order networks.js uses
+const ENTRY_FIELDS = {
+  tokens: ['address', 'symbol', 'decimals', 'name', 'isPrecompile', 'isNative', 'assetId', 'standard'],
+  bridges: [
+    'address', 'type', 'homeNetwork', 'homeTokenSymbol', 'homeTokenAddress', 'foreignNetwork', 'foreignTokenSymbol',
+    'foreignTokenAddress', 'stakeTokenSymbol', 'stakeTokenAddress', 'oracleAddress', 'description', 'isIssuerBurner', 'bridgeId',
+  ],
+  assistants: ['address', 'type', 'bridgeAddress', 'description', 'shareSymbol', 'shareName', 'managerAddress'],
+};
+
+// Fields checked against the contracts. Symbols of bridges are left out, they are naming choices.
+const COMPARED_FIELDS = {
+  tokens: ['symbol', 'decimals'],
+  bridges: ['type', 'homeTokenAddress', 'foreignTokenAddress', 'stakeTokenAddress', 'oracleAddress'],
+  assistants: ['type', 'bridgeAddress'],
+};
+
+const NUMERIC_FIELDS = ['decimals', 'assetId', 'bridgeId'];
+
+// Address constants of networks.js, written by name
+const ADDRESS_CONSTANTS = {
+  [ADDRESS_ZERO]: 'ADDRESS_ZERO',
+  [P3D_PRECOMPILE_ADDRESS]: 'P3D_PRECOMPILE_ADDRESS',
+};
+
+const sameValue = (a, b) => {
+  const normalize = (value) => (value === undefined || value === null || value === '' ? null : String(value).toLowerCase());
+  return normalize(a) === normalize(b);
+};
+
+const getSide = (type) => (type?.startsWith('export') ? 'export' : 'import');
+
+const pickFields = (section, item) => {
+  const entry = {};
+  ENTRY_FIELDS[section].forEach(field => {
+    const value = item[field];
+    if (value === undefined || value === null) return;
+    entry[field] = NUMERIC_FIELDS.includes(field) ? Number(value) : value;
+  });
+  return entry;
+};
+
+const getConfiguredAddresses = (networks, section) => {
+  const addresses = new Set();
+  Object.values(networks).forEach(network => {
+    Object.values(network[section] || {}).forEach(item => {
+      if (item?.address) addresses.add(item.address.toLowerCase());
+    });
+  });
+  return addresses;
+};
+
+// Tokens a bridge holds or issues on the network it is deployed on
+const getLocalTokenAddresses = (bridge) => {
+  const local = bridge.type === 'export' ? bridge.homeTokenAddress : bridge.foreignTokenAddress;
+  return [local, bridge.stakeTokenAddress];
+};
+
+const detectEntry = async (provider, section, address, networkKey, settings) => {
+  if (section === 'bridges') {
+    const result = await autoDetectBridge(provider, address, networkKey, settings);
+    return { success: result.success, config: result.bridgeConfig, message: result.message };
+  }
+  if (section === 'assistants') {
+    const result = await autoDetectAssistant(provider, address, networkKey, {}, settings);
+    return { success: result.success, config: result.assistantConfig, message: result.message };
+  }
+  const result = await autoDetectToken(provider, address, networkKey, settings);
+  return { success: result.success, config: result.tokenInfo, message: result.message };
+};
+
+/**
+ * Find the fields where a configured entry disagrees with the contract.
+ * Fields left empty in the config are not checked.
+ * @param {string} section - tokens, bridges or assistants
+ * @param {Object} configured - Entry from networks.js
+ * @param {Object} onChain - Entry detected from the contract
+ * @returns {Array<Object>} Mismatches { field, configured, onChain }
+ */
+export const compareConfigEntry = (section, configured, onChain) => {
+  return COMPARED_FIELDS[section]
+    .filter(field => configured[field] !== undefined && configured[field] !== null)
+    .filter(field => !sameValue(configured[field], onChain[field]))
+    .map(field => ({ field, configured: configured[field], onChain: onChain[field] ?? null }));
+};
+
+/**
+ * Check whether two bridges are the export and import side of the same pair
+ * @param {Object} a - Bridge config
+ * @param {Object} b - Bridge config
+ * @returns {boolean} True if the bridges form a pair
+ */
+export const isBridgePair = (a, b) => {
+  return getSide(a.type) !== getSide(b.type)
+    && sameValue(a.homeNetwork, b.homeNetwork)
+    && sameValue(a.foreignNetwork, b.foreignNetwork)
+    && sameValue(a.homeTokenAddress, b.homeTokenAddress)
+    && sameValue(a.foreignTokenAddress, b.foreignTokenAddress);
+};
+
+/**
+ * Give new bridges the bridgeId of their counterpart, or a fresh one shared by a new pair
+ * @param {Array<Object>} newBridges - New bridge configs
+ * @param {Array<Object>} existingBridges - Configured bridges
+ * @returns {Array<Object>} New bridge configs with bridgeId
+ */
+export const assignBridgeIds = (newBridges, existingBridges) => {
+  const assigned = [];
+  newBridges.forEach(bridge => {
+    const counterpart = [...existingBridges, ...assigned].find(other => other.bridgeId && isBridgePair(bridge, other));
+    const bridgeId = counterpart ? Number(counterpart.bridgeId) : getNextBridgeId([...existingBridges, ...assigned]);
+    assigned.push({ ...bridge, bridgeId });
+  });
+  return assigned;
+};
+
+/**
+ * Compare the configured networks with the chain and collect new entries
+ * @param {Object} providers - Providers keyed by network key, only these networks are checked
+ * @param {Object} networks - Network configuration (default: networks.js)
+ * @param {Object} settings - Optional settings passed to the detectors
+ * @returns {Promise<Object>} { additions, disagreements, errors }
+ */
+export const generateConfigChanges = async (providers, networks = NETWORKS, settings = null) => {
+  const additions = {};
+  const disagreements = [];
+  const errors = [];
+  const newBridges = [];
+  // Bridges and assistants may be configured under another network than the one checked
+  const knownAddresses = Object.fromEntries(['bridges', 'assistants'].map(section => [section, getConfiguredAddresses(networks, section)]));
+
+  for (const [networkKey, provider] of Object.entries(providers)) {
+    const network = networks[networkKey];
+    if (!network) {
+      errors.push({ networkKey, message: `Network ${networkKey} not found in configuration` });
+      continue;
+    }
+    console.log(`🔍 Checking ${networkKey} against on-chain state...`);
+    additions[networkKey] = { tokens: {}, bridges: {}, assistants: {} };
+
+    // Configured entries
+    for (const section of CONFIG_SECTIONS) {
+      for (const [key, configured] of Object.entries(network[section] || {})) {
+        if (!configured?.address || configured.address === ADDRESS_ZERO) continue;
+        const result = await detectEntry(provider, section, configured.address, networkKey, settings);
+        if (!result.success) {
+          disagreements.push({ networkKey, section, key, address: configured.address, field: null, message: result.message });
+          continue;
+        }
+        compareConfigEntry(section, configured, result.config).forEach(mismatch => {
+          disagreements.push({ networkKey, section, key, address: configured.address, ...mismatch });
+        });
+      }
+    }
+
+    // New bridges and assistants from the registry
+    const discovered = { bridges: [], assistants: [] };
+    if (hasBridgesRegistry(networkKey)) {
+      const discovery = await updateBridgeInfoFromRegistry(provider, networkKey, settings || {});
+      if (!discovery.success) {
+        errors.push({ networkKey, message: discovery.message });
+      } else {
+        [...discovery.errors.bridges, ...discovery.errors.assistants].forEach(({ address, error }) => {
+          errors.push({ networkKey, address, message: error });
+        });
+        ['bridges', 'assistants'].forEach(section => {
+          Object.values(discovery[section]).forEach(item => {
+            if (knownAddresses[section].has(item.address.toLowerCase())) return;
+            knownAddresses[section].add(item.address.toLowerCase());
+            discovered[section].push(item);
+          });
+        });
+      }
+    }
+
+    discovered.bridges.forEach(bridge => {
+      newBridges.push({ ...pickFields('bridges', bridge), isIssuerBurner: getSide(bridge.type) === 'import', networkKey });
+    });
+    const assistantKeys = Object.keys(network.assistants || {});
+    discovered.assistants.forEach(assistant => {
+      const key = getUniqueConfigKey(assistant.key || `${assistant.shareSymbol}_ASSISTANT`, assistantKeys);
+      assistantKeys.push(key);
+      additions[networkKey].assistants[key] = pickFields('assistants', assistant);
+    });
+
+    // Tokens used by the bridges and assistants of this network that are not configured yet
+    const bridges = [...Object.values(network.bridges || {}), ...discovered.bridges];
+    const tokenAddresses = [
+      ...bridges.flatMap(getLocalTokenAddresses),
+      ...[...Object.values(network.assistants || {}), ...discovered.assistants].map(assistant => assistant.address),
+    ];
+    const seenTokens = new Set();
+    const tokenKeys = Object.keys(network.tokens || {});
+    for (const address of tokenAddresses) {
+      if (!address || address === ADDRESS_ZERO) continue;
+      const normalized = address.toLowerCase();
+      if (seenTokens.has(normalized)) continue;
+      seenTokens.add(normalized);
+      if (Object.values(network.tokens || {}).some(token => token.address?.toLowerCase() === normalized)) continue;
+
+      const result = await detectEntry(provider, 'tokens', address, networkKey, settings);
+      if (!result.success) {
+        errors.push({ networkKey, address, message: result.message });
+        continue;
+      }
+      const symbol = result.config.symbol.replace(/[^A-Za-z0-9_]/g, '_');
+      const key = tokenKeys.includes(symbol) ? getUniqueConfigKey(symbol, tokenKeys) : symbol;
+      tokenKeys.push(key);
+      additions[networkKey].tokens[key] = pickFields('tokens', result.config);
+    }
+  }
+
+  // Pair the new bridges across networks before giving them config keys
+  const existingBridges = Object.values(networks).flatMap(network => Object.values(network.bridges || {}));
+  assignBridgeIds(newBridges, existingBridges).forEach(({ networkKey, ...bridge }) => {
+    const bridgeKeys = Object.keys(networks[networkKey].bridges || {}).concat(Object.keys(additions[networkKey].bridges));
+    const key = getUniqueConfigKey(`${bridge.homeTokenSymbol}_${getSide(bridge.type)}`, bridgeKeys);
+    additions[networkKey].bridges[key] = bridge;
+  });
+
+  return { additions, disagreements, errors };
+};
+
+/**
+ * Count the entries of generated additions
+ * @param {Object} additions - Additions keyed by network key and section
+ * @returns {number} Number of new entries
+ */
+export const countAdditions = (additions) => {
+  return Object.values(additions).reduce((total, sections) => (
+    total + CONFIG_SECTIONS.reduce((sum, section) => sum + Object.keys(sections[section] || {}).length, 0)
+  ), 0);
+};
+
+/**
+ * Format a new entry as networks.js source lines
+ * @param {string} key - Config key
+ * @param {Object} entry - Config entry
+ * @param {string} indent - Indentation of the entry
+ * @returns {Array<string>} Source lines
+ */
+export const formatNetworksEntry = (key, entry, indent) => {
+  const escaped = Object.fromEntries(Object.entries(entry).map(([field, value]) => [
+    field,
+    typeof value === 'string' ? value.replace(/\\/g, '\\\\').replace(/'/g, "\\'") : value,
+  ]));
+  return formatConfigEntry(key, escaped)
+    .split('\n')
+    .map(line => {
+      const constant = Object.keys(ADDRESS_CONSTANTS).find(address => line.endsWith(`'${address}',`));
+      return indent + (constant ? line.replace(`'${constant}'`, ADDRESS_CONSTANTS[constant]) : line);
+    });
+};
+
+// Split a line into code and trailing comment, ignoring // inside strings like RPC URLs
+const splitComment = (line) => {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+    } else if (char === "'" || char === '"' || char === '`') {
+      quote = char;
+    } else if (char === '/' && line[i + 1] === '/') {
+      return [line.slice(0, i), line.slice(i)];
+    }
+  }
+  return [line, ''];
+};
+
+// Code of a line without strings and comments, for counting braces
+const getCode = (line) => splitComment(line)[0].replace(/'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"/g, "''");
+
+const getIndent = (line) => line.match(/^\s*/)[0];
+
+const findBlockEnd = (lines, start) => {
+  let depth = 0;
+  for (let i = start; i < lines.length; i++) {
+    for (const char of getCode(lines[i])) {
+      if (char === '{') depth++;
+      if (char === '}' && --depth === 0) return i;
+    }
+  }
+  throw new Error(`Unbalanced braces after line ${start + 1}`);
+};
+
+// Index of the first line at depth 1 inside a block that matches the pattern
+const findChildLine = (lines, start, end, pattern) => {
+  let depth = 0;
+  for (let i = start; i < end; i++) {
+    if (depth === 1 && pattern.test(lines[i])) return i;
+    for (const char of getCode(lines[i])) {
+      if (char === '{') depth++;
+      if (char === '}') depth--;
+    }
+  }
+  return -1;
+};
+
+// Edit adding the missing comma after the last entry before an insertion point
+const getCommaEdit = (lines, start, end) => {
+  for (let i = end - 1; i > start; i--) {
+    const code = getCode(lines[i]).trim();
+    if (!code) continue;
+    if (code.endsWith(',') || code.endsWith('{')) return null;
+    const [lineCode, comment] = splitComment(lines[i]);
+    const fixed = `${lineCode.trimEnd()},${lineCode.slice(lineCode.trimEnd().length)}${comment}`;
+    return { start: i, remove: [lines[i]], insert: [fixed] };
+  }
+  return null;
+};
+
+const getSectionEdits = (lines, networkStart, networkEnd, section, entries) => {
+  const sectionStart = findChildLine(lines, networkStart, networkEnd, new RegExp(`^\\s*${section}: \\{`));
+  const edits = [];
+
+  if (sectionStart === -1) {
+    const sectionIndent = getIndent(lines[networkStart + 1]);
+    const entryLines = Object.entries(entries).flatMap(([key, entry]) => formatNetworksEntry(key, entry, `${sectionIndent}  `));
+    const commaEdit = getCommaEdit(lines, networkStart, networkEnd);
+    if (commaEdit) edits.push(commaEdit);
+    edits.push({ start: networkEnd, remove: [], insert: [`${sectionIndent}${section}: {`, ...entryLines, `${sectionIndent}},`] });
+    return edits;
+  }
+
+  const sectionEnd = findBlockEnd(lines, sectionStart);
+  const firstEntry = findChildLine(lines, sectionStart, sectionEnd, /^\s*[A-Za-z_$][\w$]*: \{/);
+  const entryIndent = firstEntry !== -1 ? getIndent(lines[firstEntry]) : `${getIndent(lines[sectionEnd])}  `;
+  const commaEdit = getCommaEdit(lines, sectionStart, sectionEnd);
+  if (commaEdit) edits.push(commaEdit);
+  edits.push({
+    start: sectionEnd,
+    remove: [],
+    insert: Object.entries(entries).flatMap(([key, entry]) => formatNetworksEntry(key, entry, entryIndent)),
+  });
+  return edits;
+};
+
+/**
+ * Render a unified diff of line edits
+ * @param {Array<string>} lines - Original lines
+ * @param {Array<Object>} edits - Sorted edits { start, remove, insert }
+ * @param {string} filePath - Path shown in the diff header
+ * @returns {string} Unified diff
+ */
+const formatUnifiedDiff = (lines, edits, filePath) => {
+  const CONTEXT = 3;
+  const hunks = [];
+  edits.forEach(edit => {
+    const last = hunks[hunks.length - 1];
+    const lastEdit = last?.[last.length - 1];
+    if (lastEdit && edit.start - (lastEdit.start + lastEdit.remove.length) <= CONTEXT * 2) {
+      last.push(edit);
+    } else {
+      hunks.push([edit]);
+    }
+  });
+
+  let offset = 0;
+  const output = [`diff --git a/${filePath} b/${filePath}`, `--- a/${filePath}`, `+++ b/${filePath}`];
+  hunks.forEach(hunk => {
+    const lastEdit = hunk[hunk.length - 1];
+    const oldStart = Math.max(0, hunk[0].start - CONTEXT);
+    const oldEnd = Math.min(lines.length, lastEdit.start + lastEdit.remove.length + CONTEXT);
+    const body = [];
+    let cursor = oldStart;
+    let delta = 0;
+    hunk.forEach(edit => {
+      lines.slice(cursor, edit.start).forEach(line => body.push(` ${line}`));
+      edit.remove.forEach(line => body.push(`-${line}`));
+      edit.insert.forEach(line => body.push(`+${line}`));
+      cursor = edit.start + edit.remove.length;
+      delta += edit.insert.length - edit.remove.length;
+    });
+    lines.slice(cursor, oldEnd).forEach(line => body.push(` ${line}`));
+
+    const oldCount = oldEnd - oldStart;
+    output.push(`@@ -${oldStart + 1},${oldCount} +${oldStart + 1 + offset},${oldCount + delta} @@`, ...body);
+    offset += delta;
+  });
+  return `${output.join('\n')}\n`;
+};
+
+/**
+ * Add generated entries to the networks.js source
+ * @param {string} source - Current networks.js source
+ * @param {Object} additions - Additions keyed by network key and section
+ * @param {string} filePath - Path shown in the patch header
+ * @returns {Object} { source, patch } - Updated source and a patch for git apply, null when nothing changes
+ */
+export const buildNetworksPatch = (source, additions, filePath = 'src/config/networks.js') => {
+  const lines = source.split('\n');
+  const networksStart = lines.findIndex(line => line.startsWith('export const NETWORKS = {'));
+  if (networksStart === -1) {
+    throw new Error('NETWORKS not found in networks.js');
+  }
+  const networksEnd = findBlockEnd(lines, networksStart);
+
+  const edits = [];
+  Object.entries(additions).forEach(([networkKey, sections]) => {
+    const networkStart = findChildLine(lines, networksStart, networksEnd, new RegExp(`^\\s*${networkKey}: \\{`));
+    if (networkStart === -1) {
+      throw new Error(`Network ${networkKey} not found in networks.js`);
+    }
+    const networkEnd = findBlockEnd(lines, networkStart);
+    CONFIG_SECTIONS.forEach(section => {
+      if (Object.keys(sections[section] || {}).length === 0) return;
+      edits.push(...getSectionEdits(lines, networkStart, networkEnd, section, sections[section]));
+    });
+  });
+
+  if (edits.length === 0) {
+    return { source, patch: null };
+  }
+
+  edits.sort((a, b) => a.start - b.start || b.remove.length - a.remove.length);
+  const updated = [...lines];
+  [...edits].reverse().forEach(edit => updated.splice(edit.start, edit.remove.length, ...edit.insert));
+
+  // A trailing newline leaves an empty last element that is not a line of the file
+  const fileLines = lines[lines.length - 1] === '' ? lines.slice(0, -1) : lines;
+  return { source: updated.join('\n'), patch: formatUnifiedDiff(fileLines, edits, filePath) };
+};
@@ -37,6 +37,17 @@ export const parseTransactionError = (error) => {
     };
   }
 
+  // A sub-call of an approval sent together with its claim or challenge, see approve-and-call.js
+  if (error.failedCall) {
+    return {
+      type: 'subcall_error',
+      title: `${error.failedCall.label} Failed`,
+      message: errorMessage,
+      canRetry: true,
+      isUserError: false
+    };
+  }
+
   if (errorMessage.includes('Transaction does not have a transaction hash') ||
       errorMessage.includes('there was a problem') ||
       error.code === -32603) {
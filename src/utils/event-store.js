@@ -0,0 +1,592 @@
+/**
+ * IndexedDB Event Store
+ *
+ * Persistent browser storage for discovered bridge events. Transfers and claims are
+ * kept one record per event with indexes by network, bridge address, txid, claim
+ * number and block, so single events can be written and queried without rewriting
+ * the whole history. Also holds per-bridge sync checkpoints and small metadata
+ * values (aggregated snapshot, cache timestamp).
+ *
+ * Outside the browser (tests, Node scripts) IndexedDB is missing and every call
+ * resolves to an empty result.
+ */
+
+import { ethers } from 'ethers';
+import { normalizeAmount } from './data-normalizer.js';
+
+const DB_NAME = 'bridge-event-store';
+export const DB_VERSION = 1;
+
+export const STORES = {
+  TRANSFERS: 'transfers',
+  CLAIMS: 'claims',
+  CHECKPOINTS: 'checkpoints',
+  META: 'meta',
+};
+
+export const META_KEYS = {
+  AGGREGATED: 'aggregated', // Only completed transfers should ever be stored here
+  SETTINGS: 'settings',
+  TIMESTAMP: 'timestamp',
+  LEGACY_IMPORTED: 'legacyImported',
+  ASSISTANT_HISTORY: 'assistantHistory', // Prefix, one entry per assistant (see getAssistantHistoryKey)
+};
+
+// localStorage keys of the previous cache, imported once into IndexedDB
+export const LEGACY_STORAGE_KEYS = {
+  CLAIMS: 'bridge_claims_cache',
+  TRANSFERS: 'bridge_transfers_cache',
+  AGGREGATED: 'bridge_aggregated_cache',
+  SETTINGS: 'bridge_cache_settings',
+  TIMESTAMP: 'bridge_cache_timestamp',
+};
+
+const EVENT_INDEXES = ['networkKey', 'bridgeAddress', 'txid', 'blockNumber'];
+
+/**
+ * Schema migrations keyed by the version they upgrade to.
+ * Add a new entry and bump DB_VERSION to change the schema; never edit a released one.
+ */
+export const MIGRATIONS = {
+  1: (db) => {
+    const transfers = db.createObjectStore(STORES.TRANSFERS, { keyPath: 'id' });
+    EVENT_INDEXES.forEach(index => transfers.createIndex(index, index));
+
+    const claims = db.createObjectStore(STORES.CLAIMS, { keyPath: 'id' });
+    EVENT_INDEXES.forEach(index => claims.createIndex(index, index));
+    claims.createIndex('claimNum', 'claimNum');
+    claims.createIndex('bridgeClaim', ['bridgeAddress', 'claimNum']);
+
+    const checkpoints = db.createObjectStore(STORES.CHECKPOINTS, { keyPath: 'id' });
+    checkpoints.createIndex('bridgeAddress', 'bridgeAddress');
+
+    db.createObjectStore(STORES.META, { keyPath: 'key' });
+  },
+};
+
+/**
+ * Run the migrations between two schema versions
+ * @param {IDBDatabase} db - Database being upgraded
+ * @param {number} oldVersion - Version the database is at (0 when new)
+ * @param {number} newVersion - Version to upgrade to
+ * @param {IDBTransaction} transaction - Version change transaction
+ */
+export const runMigrations = (db, oldVersion, newVersion, transaction) => {
+  for (let version = oldVersion + 1; version <= newVersion; version++) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) {
+      throw new Error(`Missing event store migration to version ${version}`);
+    }
+    console.log(`🗄️ Migrating event store to version ${version}`);
+    migrate(db, transaction);
+  }
+};
+
+/**
+ * Normalize a claim number to a decimal string
+ * @param {*} claimNum - BigNumber, serialized BigNumber, number or string
+ * @returns {string|undefined} Decimal claim number
+ */
+export const normalizeClaimNum = (claimNum) => {
+  if (claimNum === null || claimNum === undefined || claimNum === '') return undefined;
+  try {
+    return ethers.BigNumber.from(normalizeAmount(claimNum)).toString();
+  } catch (error) {
+    return undefined;
+  }
+};
+
+/**
+ * Get the key identifying an event across discovery runs and local writes: the bridge and claim
+ * number for claims, the bridge, txid and log index for transfers, so several events of one
+ * transaction (e.g. a batchAll) keep separate keys. Events without a bridge fall back to the
+ * transaction hash and log index.
+ * @param {Object} event - Transfer or claim event in discovery format
+ * @returns {string} Event key
+ */
+export const getEventKey = (event) => {
+  const bridgeAddress = event.bridgeAddress?.toLowerCase();
+  const claimNum = normalizeClaimNum(event.actualClaimNum ?? event.claimNum);
+  const hasLogIndex = event.logIndex !== undefined && event.logIndex !== null;
+  const logSuffix = hasLogIndex ? `:${Number(event.logIndex)}` : '';
+  if (bridgeAddress && claimNum !== undefined) return `${bridgeAddress}:${claimNum}`;
+
+  const txid = (event.txid || event.transactionHash)?.toLowerCase();
+  if (bridgeAddress && txid) return `${bridgeAddress}:${txid}${logSuffix}`;
+  return `${event.transactionHash?.toLowerCase()}${logSuffix}`;
+};
+
+/**
+ * Wrap an event in a store record with its index keys.
+ * The event is round-tripped through JSON so it is stored in the same shape the
+ * localStorage cache used (BigNumbers as { type, hex }, no functions).
+ * @param {Object} event - Transfer or claim event in discovery format
+ * @returns {Object} Store record
+ */
+export const toEventRecord = (event) => {
+  return {
+    id: getEventKey(event),
+    networkKey: event.networkKey || undefined,
+    bridgeAddress: event.bridgeAddress?.toLowerCase(),
+    txid: (event.txid || event.transactionHash)?.toLowerCase(),
+    claimNum: normalizeClaimNum(event.actualClaimNum ?? event.claimNum),
+    blockNumber: Number(event.blockNumber) || 0,
+    event: JSON.parse(JSON.stringify(event)),
+  };
+};
+
+/**
+ * Normalize a value for an index lookup
+ * @param {string} indexName - Index name
+ * @param {*} value - Lookup value
+ * @returns {*} Index key
+ */
+const toIndexKey = (indexName, value) => {
+  if (indexName === 'bridgeAddress' || indexName === 'txid') return value?.toLowerCase();
+  if (indexName === 'claimNum') return normalizeClaimNum(value);
+  if (indexName === 'bridgeClaim') return [value[0]?.toLowerCase(), normalizeClaimNum(value[1])];
+  return value;
+};
+
+/**
+ * Sort events most recent first, as the localStorage cache kept them
+ * @param {Array} records - Store records
+ * @returns {Array} Events
+ */
+const toSortedEvents = (records) => {
+  return [...records]
+    .sort((a, b) => b.blockNumber - a.blockNumber)
+    .map(record => record.event);
+};
+
+/**
+ * Build the checkpoint id of a bridge
+ * @param {Object} params - Checkpoint location
+ * @param {string} params.networkKey - Network key
+ * @param {string} params.bridgeAddress - Bridge address
+ * @param {string} [params.scope='all'] - Event type or other scope of the checkpoint
+ * @returns {string} Checkpoint id
+ */
+export const getCheckpointId = ({ networkKey, bridgeAddress, scope = 'all' }) => {
+  return `${networkKey}:${bridgeAddress.toLowerCase()}:${scope}`;
+};
+
+/**
+ * Read the previous localStorage cache
+ * @param {Storage} storage - localStorage or a compatible object
+ * @returns {{transfers:Array, claims:Array, aggregated:Object|null, settings:Object|null, timestamp:number|null}}
+ */
+export const readLegacyCache = (storage) => {
+  const read = (key) => {
+    try {
+      const value = storage.getItem(key);
+      return value ? JSON.parse(value) : null;
+    } catch (error) {
+      console.warn(`Failed to parse legacy cache ${key}:`, error);
+      return null;
+    }
+  };
+
+  const transfers = read(LEGACY_STORAGE_KEYS.TRANSFERS);
+  const claims = read(LEGACY_STORAGE_KEYS.CLAIMS);
+  const timestamp = parseInt(storage.getItem(LEGACY_STORAGE_KEYS.TIMESTAMP), 10);
+
+  return {
+    transfers: Array.isArray(transfers) ? transfers : [],
+    claims: Array.isArray(claims) ? claims : [],
+    aggregated: read(LEGACY_STORAGE_KEYS.AGGREGATED),
+    settings: read(LEGACY_STORAGE_KEYS.SETTINGS),
+    timestamp: Number.isNaN(timestamp) ? null : timestamp,
+  };
+};
+
+// Listeners notified when a write fails, e.g. because the storage quota is full
+const storageErrorListeners = new Set();
+
+/**
+ * Subscribe to event store write failures
+ * @param {Function} listener - Called with an Error
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToStorageErrors = (listener) => {
+  storageErrorListeners.add(listener);
+  return () => storageErrorListeners.delete(listener);
+};
+
+const reportStorageError = (error) => {
+  const isQuotaError = error?.name === 'QuotaExceededError';
+  const reported = new Error(isQuotaError
+    ? 'Browser storage is full, discovered events are no longer cached. Clear the cache or free up disk space.'
+    : `Failed to write to the event store: ${error?.message || error}`);
+  console.error('❌ Event store write failed:', error);
+  storageErrorListeners.forEach(listener => listener(reported));
+  return reported;
+};
+
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+});
+
+let dbPromise = null;
+
+/**
+ * Check whether IndexedDB is available in this environment
+ * @returns {boolean}
+ */
+export const isEventStoreAvailable = () => typeof indexedDB !== 'undefined';
+
+/**
+ * Import the previous localStorage cache once and remove it
+ * @param {IDBDatabase} db - Open database
+ */
+const importLegacyCache = async (db) => {
+  const tx = db.transaction(STORES.META, 'readonly');
+  const imported = await promisifyRequest(tx.objectStore(STORES.META).get(META_KEYS.LEGACY_IMPORTED));
+  if (imported?.value) return;
+
+  let legacy = { transfers: [], claims: [], aggregated: null, settings: null, timestamp: null };
+  if (typeof localStorage !== 'undefined') {
+    legacy = readLegacyCache(localStorage);
+  }
+
+  const writeTx = db.transaction([STORES.TRANSFERS, STORES.CLAIMS, STORES.META], 'readwrite');
+  legacy.transfers.forEach(event => writeTx.objectStore(STORES.TRANSFERS).put(toEventRecord(event)));
+  legacy.claims.forEach(event => writeTx.objectStore(STORES.CLAIMS).put(toEventRecord(event)));
+  const meta = writeTx.objectStore(STORES.META);
+  if (legacy.aggregated) meta.put({ key: META_KEYS.AGGREGATED, value: legacy.aggregated });
+  if (legacy.settings) meta.put({ key: META_KEYS.SETTINGS, value: legacy.settings });
+  if (legacy.timestamp) meta.put({ key: META_KEYS.TIMESTAMP, value: legacy.timestamp });
+  meta.put({ key: META_KEYS.LEGACY_IMPORTED, value: Date.now() });
+  await transactionDone(writeTx);
+
+  if (typeof localStorage !== 'undefined') {
+    Object.values(LEGACY_STORAGE_KEYS).forEach(key => localStorage.removeItem(key));
+  }
+  console.log(`🗄️ Imported ${legacy.transfers.length} transfers and ${legacy.claims.length} claims from localStorage`);
+};
+
+/**
+ * Open the event store, running migrations and the legacy import on first use
+ * @returns {Promise<IDBDatabase|null>} Database or null when IndexedDB is unavailable
+ */
+export const openEventStore = () => {
+  if (!isEventStoreAvailable()) return Promise.resolve(null);
+  if (dbPromise) return dbPromise;
+
+  dbPromise = (async () => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = (event) => {
+      runMigrations(request.result, event.oldVersion, event.newVersion, request.transaction);
+    };
+    const db = await promisifyRequest(request);
+
+    // Another tab upgraded the schema, reopen on next use
+    db.onversionchange = () => {
+      db.close();
+      dbPromise = null;
+    };
+
+    try {
+      await importLegacyCache(db);
+    } catch (error) {
+      console.warn('⚠️ Failed to import legacy event cache:', error);
+    }
+    return db;
+  })().catch(error => {
+    console.error('❌ Failed to open event store:', error);
+    dbPromise = null;
+    return null;
+  });
+
+  return dbPromise;
+};
+
+const touchTimestamp = (transaction) => {
+  transaction.objectStore(STORES.META).put({ key: META_KEYS.TIMESTAMP, value: Date.now() });
+};
+
+/**
+ * Insert or merge events into a store in one transaction.
+ * Existing events with the same id are merged with the new fields.
+ * @param {string} storeName - STORES.TRANSFERS or STORES.CLAIMS
+ * @param {Array} events - Events in discovery format
+ * @returns {Promise<boolean>} Whether the events were stored
+ */
+export const putEvents = async (storeName, events) => {
+  try {
+    const db = await openEventStore();
+    if (!db || events.length === 0) return false;
+
+    // Merge duplicates within the batch first, their reads would not see each other's writes
+    const records = new Map();
+    events.forEach(event => {
+      const record = toEventRecord(event);
+      const duplicate = records.get(record.id);
+      records.set(record.id, duplicate ? toEventRecord({ ...duplicate.event, ...record.event }) : record);
+    });
+
+    const tx = db.transaction([storeName, STORES.META], 'readwrite');
+    const store = tx.objectStore(storeName);
+    records.forEach(record => {
+      const existingRequest = store.get(record.id);
+      existingRequest.onsuccess = () => {
+        const existing = existingRequest.result;
+        store.put(existing ? toEventRecord({ ...existing.event, ...record.event }) : record);
+      };
+    });
+    touchTimestamp(tx);
+    await transactionDone(tx);
+    return true;
+  } catch (error) {
+    reportStorageError(error);
+    return false;
+  }
+};
+
+/**
+ * Get all events of a store, most recent block first
+ * @param {string} storeName - STORES.TRANSFERS or STORES.CLAIMS
+ * @returns {Promise<Array>} Events
+ */
+export const getAllEvents = async (storeName) => {
+  try {
+    const db = await openEventStore();
+    if (!db) return [];
+    const records = await promisifyRequest(db.transaction(storeName, 'readonly').objectStore(storeName).getAll());
+    return toSortedEvents(records);
+  } catch (error) {
+    console.warn(`Failed to read ${storeName} from event store:`, error);
+    return [];
+  }
+};
+
+/**
+ * Get the events matching an index value
+ * @param {string} storeName - STORES.TRANSFERS or STORES.CLAIMS
+ * @param {string} indexName - 'networkKey', 'bridgeAddress', 'txid', 'blockNumber', 'claimNum' or 'bridgeClaim'
+ * @param {*} value - Index value; [bridgeAddress, claimNum] for 'bridgeClaim'
+ * @returns {Promise<Array>} Events, most recent block first
+ */
+export const queryEvents = async (storeName, indexName, value) => {
+  try {
+    const db = await openEventStore();
+    if (!db) return [];
+    const index = db.transaction(storeName, 'readonly').objectStore(storeName).index(indexName);
+    const records = await promisifyRequest(index.getAll(toIndexKey(indexName, value)));
+    return toSortedEvents(records);
+  } catch (error) {
+    console.warn(`Failed to query ${storeName} by ${indexName}:`, error);
+    return [];
+  }
+};
+
+/**
+ * Get the events emitted in a block range
+ * @param {string} storeName - STORES.TRANSFERS or STORES.CLAIMS
+ * @param {number} fromBlock - First block, inclusive
+ * @param {number} toBlock - Last block, inclusive
+ * @returns {Promise<Array>} Events, most recent block first
+ */
+export const getEventsInBlockRange = async (storeName, fromBlock, toBlock) => {
+  try {
+    const db = await openEventStore();
+    if (!db) return [];
+    const index = db.transaction(storeName, 'readonly').objectStore(storeName).index('blockNumber');
+    const records = await promisifyRequest(index.getAll(IDBKeyRange.bound(fromBlock, toBlock)));
+    return toSortedEvents(records);
+  } catch (error) {
+    console.warn(`Failed to read ${storeName} blocks ${fromBlock}-${toBlock}:`, error);
+    return [];
+  }
+};
+
+/**
+ * Merge changes into the events matching an index value
+ * @param {string} storeName - STORES.TRANSFERS or STORES.CLAIMS
+ * @param {string} indexName - Index to match on
+ * @param {*} value - Index value
+ * @param {Object} changes - Fields to merge into each matching event
+ * @returns {Promise<number>} Number of updated events
+ */
+export const updateEvents = async (storeName, indexName, value, changes) => {
+  try {
+    const db = await openEventStore();
+    if (!db) return 0;
+
+    const tx = db.transaction([storeName, STORES.META], 'readwrite');
+    const store = tx.objectStore(storeName);
+    const records = await promisifyRequest(store.index(indexName).getAll(toIndexKey(indexName, value)));
+    records.forEach(record => {
+      const updated = toEventRecord({ ...record.event, ...changes });
+      // Keep the original id so a changed transaction hash does not duplicate the event
+      store.put({ ...updated, id: record.id });
+    });
+    touchTimestamp(tx);
+    await transactionDone(tx);
+    return records.length;
+  } catch (error) {
+    reportStorageError(error);
+    return 0;
+  }
+};
+
+/**
+ * Delete the events of a bridge in a block range that were not found again on a rescan,
+ * e.g. events dropped by a chain reorganization
+ * @param {string} storeName - STORES.TRANSFERS or STORES.CLAIMS
+ * @param {Object} params - Rescanned range
+ * @param {string} params.bridgeAddress - Bridge address
+ * @param {number} params.fromBlock - First block, inclusive
+ * @param {number} params.toBlock - Last block, inclusive
+ * @param {Array} [params.keep=[]] - Events found by the rescan
+ * @returns {Promise<number>} Number of deleted events
+ */
+export const pruneEventsInBlockRange = async (storeName, { bridgeAddress, fromBlock, toBlock, keep = [] }) => {
+  try {
+    const db = await openEventStore();
+    if (!db) return 0;
+
+    const keepIds = new Set(keep.map(event => toEventRecord(event).id));
+    const tx = db.transaction(storeName, 'readwrite');
+    const store = tx.objectStore(storeName);
+    const records = await promisifyRequest(store.index('bridgeAddress').getAll(toIndexKey('bridgeAddress', bridgeAddress)));
+    const stale = records.filter(record =>
+      record.blockNumber >= fromBlock && record.blockNumber <= toBlock && !keepIds.has(record.id)
+    );
+    stale.forEach(record => store.delete(record.id));
+    await transactionDone(tx);
+    return stale.length;
+  } catch (error) {
+    reportStorageError(error);
+    return 0;
+  }
+};
+
+/**
+ * Get the metadata key of an assistant's reconstructed history
+ * @param {string} assistantAddress - Assistant contract address
+ * @returns {string} Metadata key
+ */
+export const getAssistantHistoryKey = (assistantAddress) => `${META_KEYS.ASSISTANT_HISTORY}:${assistantAddress.toLowerCase()}`;
+
+const isAssistantHistoryKey = (key) => key.startsWith(`${META_KEYS.ASSISTANT_HISTORY}:`);
+
+/**
+ * Read a metadata value
+ * @param {string} key - One of META_KEYS
+ * @returns {Promise<*>} Value or null
+ */
+export const getMeta = async (key) => {
+  try {
+    const db = await openEventStore();
+    if (!db) return null;
+    const entry = await promisifyRequest(db.transaction(STORES.META, 'readonly').objectStore(STORES.META).get(key));
+    return entry ? entry.value : null;
+  } catch (error) {
+    console.warn(`Failed to read ${key} from event store:`, error);
+    return null;
+  }
+};
+
+/**
+ * Write or delete a metadata value
+ * @param {string} key - One of META_KEYS
+ * @param {*} value - Value to store, null to delete
+ * @returns {Promise<boolean>} Whether the value was written
+ */
+export const setMeta = async (key, value) => {
+  try {
+    const db = await openEventStore();
+    if (!db) return false;
+    const tx = db.transaction(STORES.META, 'readwrite');
+    const store = tx.objectStore(STORES.META);
+    if (value === null || value === undefined) {
+      store.delete(key);
+    } else {
+      store.put({ key, value: JSON.parse(JSON.stringify(value)) });
+      // The timestamp dates the cached bridge events, assistant histories keep their own
+      if (key !== META_KEYS.TIMESTAMP && !isAssistantHistoryKey(key)) touchTimestamp(tx);
+    }
+    await transactionDone(tx);
+    return true;
+  } catch (error) {
+    reportStorageError(error);
+    return false;
+  }
+};
+
+/**
+ * Get the sync checkpoint of a bridge
+ * @param {Object} params - Checkpoint location, see getCheckpointId
+ * @returns {Promise<Object|null>} { id, networkKey, bridgeAddress, scope, lastScannedBlock, updatedAt } or null
+ */
+export const getCheckpoint = async (params) => {
+  try {
+    const db = await openEventStore();
+    if (!db) return null;
+    const store = db.transaction(STORES.CHECKPOINTS, 'readonly').objectStore(STORES.CHECKPOINTS);
+    return (await promisifyRequest(store.get(getCheckpointId(params)))) || null;
+  } catch (error) {
+    console.warn('Failed to read sync checkpoint:', error);
+    return null;
+  }
+};
+
+/**
+ * Save the sync checkpoint of a bridge
+ * @param {Object} params - Checkpoint location, see getCheckpointId, plus extra fields to store
+ * @param {number} params.lastScannedBlock - Last block whose events are stored
+ * @returns {Promise<boolean>} Whether the checkpoint was saved
+ */
+export const setCheckpoint = async ({ networkKey, bridgeAddress, scope = 'all', lastScannedBlock, ...fields }) => {
+  try {
+    const db = await openEventStore();
+    if (!db) return false;
+    const tx = db.transaction(STORES.CHECKPOINTS, 'readwrite');
+    tx.objectStore(STORES.CHECKPOINTS).put({
+      ...fields,
+      id: getCheckpointId({ networkKey, bridgeAddress, scope }),
+      networkKey,
+      bridgeAddress: bridgeAddress.toLowerCase(),
+      scope,
+      lastScannedBlock,
+      updatedAt: Date.now(),
+    });
+    await transactionDone(tx);
+    return true;
+  } catch (error) {
+    reportStorageError(error);
+    return false;
+  }
+};
+
+/**
+ * Delete all events, checkpoints and cached metadata.
+ * Checkpoints go with the events, otherwise the next sync would skip the cleared history.
+ * @returns {Promise<boolean>} Whether the store was cleared
+ */
+export const clearEventStore = async () => {
+  try {
+    const db = await openEventStore();
+    if (!db) return false;
+    const tx = db.transaction([STORES.TRANSFERS, STORES.CLAIMS, STORES.CHECKPOINTS, STORES.META], 'readwrite');
+    tx.objectStore(STORES.TRANSFERS).clear();
+    tx.objectStore(STORES.CLAIMS).clear();
+    tx.objectStore(STORES.CHECKPOINTS).clear();
+    const meta = tx.objectStore(STORES.META);
+    [META_KEYS.AGGREGATED, META_KEYS.SETTINGS, META_KEYS.TIMESTAMP].forEach(key => meta.delete(key));
+    meta.delete(IDBKeyRange.bound(`${META_KEYS.ASSISTANT_HISTORY}:`, `${META_KEYS.ASSISTANT_HISTORY}:\uffff`));
+    await transactionDone(tx);
+    return true;
+  } catch (error) {
+    console.warn('Failed to clear event store:', error);
+    return false;
+  }
+};
@@ -0,0 +1,510 @@
+/**
+ * Governance Utilities
+ *
+ * Read and write helpers for the Governance / VotedValue contracts that every
+ * Counterstake bridge creates in setupGovernance(). Each governed parameter is
+ * a separate VotedValue contract registered in Governance.votedValuesMap.
+ */
+
+import { ethers } from 'ethers';
+import {
+  GOVERNANCE_ABI,
+  VOTED_VALUE_UINT_ABI,
+  VOTED_VALUE_ADDRESS_ABI,
+  VOTED_VALUE_UINT_ARRAY_ABI,
+  COUNTERSTAKE_ABI,
+  ERC20_ABI,
+} from '../contracts/abi';
+import { ADDRESS_ZERO } from '../config/networks';
+
+// Upper bound when reading public uint[] getters element by element
+const MAX_ARRAY_LENGTH = 32;
+
+/**
+ * Bridge parameters governed by voting, in display order.
+ * `name` is the key used in Governance.votedValuesMap, `type` selects the
+ * VotedValue flavour and `format` controls parsing/formatting of values.
+ */
+export const GOVERNANCE_PARAMETERS = [
+  {
+    name: 'ratio100',
+    label: 'Ratio',
+    type: 'uint',
+    format: 'percent',
+    description: 'Stake required to claim, as a percentage of the claimed amount',
+  },
+  {
+    name: 'counterstake_coef100',
+    label: 'Counterstake coefficient',
+    type: 'uint',
+    format: 'percent',
+    description: 'How much larger each counterstake must be, as a percentage of the opposing stake',
+  },
+  {
+    name: 'min_stake',
+    label: 'Min stake',
+    type: 'uint',
+    format: 'amount',
+    description: 'Minimum stake required to claim a transfer',
+  },
+  {
+    name: 'large_threshold',
+    label: 'Large threshold',
+    type: 'uint',
+    format: 'amount',
+    description: 'Stake above which a claim uses the large challenging periods',
+  },
+  {
+    name: 'min_tx_age',
+    label: 'Min transfer age',
+    type: 'uint',
+    format: 'seconds',
+    description: 'Minimum age of a transfer before it can be claimed',
+  },
+  {
+    name: 'challenging_periods',
+    label: 'Challenging periods',
+    type: 'uint[]',
+    format: 'seconds',
+    description: 'Challenging period for each round of counterstaking',
+  },
+  {
+    name: 'large_challenging_periods',
+    label: 'Large challenging periods',
+    type: 'uint[]',
+    format: 'seconds',
+    description: 'Challenging periods for claims above the large threshold',
+  },
+  {
+    name: 'oracleAddress',
+    label: 'Oracle',
+    type: 'address',
+    format: 'address',
+    description: 'Price oracle used to value the stake token (import bridges only)',
+  },
+  {
+    name: 'min_price20',
+    label: 'Min price',
+    type: 'uint',
+    format: 'price20',
+    description: 'Minimum price of the imported asset in stake tokens (import bridges only)',
+  },
+];
+
+/**
+ * Get the VotedValue ABI for a parameter type
+ * @param {string} type - Parameter type ('uint', 'uint[]' or 'address')
+ * @returns {Array} Contract ABI
+ */
+export const getVotedValueABI = (type) => {
+  switch (type) {
+    case 'uint[]':
+      return VOTED_VALUE_UINT_ARRAY_ABI;
+    case 'address':
+      return VOTED_VALUE_ADDRESS_ABI;
+    case 'uint':
+      return VOTED_VALUE_UINT_ABI;
+    default:
+      throw new Error(`Unknown voted value type: ${type}`);
+  }
+};
+
+/**
+ * Compute the votesByValue key used by VotedValueUintArray (keccak256(abi.encodePacked(a)))
+ * @param {Array} values - Array of uint values
+ * @returns {string} bytes32 key
+ */
+export const getUintArrayKey = (values) => {
+  return ethers.utils.solidityKeccak256(['uint256[]'], [values]);
+};
+
+/**
+ * Compare two voted values of the same type
+ * @param {string} type - Parameter type
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if the values are equal
+ */
+export const votedValuesEqual = (type, a, b) => {
+  if (a === null || a === undefined || b === null || b === undefined) return false;
+  if (type === 'address') {
+    return a.toLowerCase() === b.toLowerCase();
+  }
+  if (type === 'uint[]') {
+    return a.length === b.length && a.every((v, i) => ethers.BigNumber.from(v).eq(b[i]));
+  }
+  return ethers.BigNumber.from(a).eq(b);
+};
+
+/**
+ * Read a public uint[] storage array through its indexed getter.
+ * Solidity does not generate a whole-array getter, so elements are read until the call reverts.
+ * @param {ethers.Contract} contract - VotedValueUintArray contract
+ * @param {string} getter - Getter name ('leader', 'current_value' or 'choices')
+ * @param {Array} args - Leading getter arguments (e.g. [address] for choices)
+ * @returns {Promise<Array<ethers.BigNumber>>} Array elements
+ */
+export const readUintArray = async (contract, getter, args = []) => {
+  const values = [];
+  for (let i = 0; i < MAX_ARRAY_LENGTH; i++) {
+    try {
+      values.push(await contract[getter](...args, i));
+    } catch (error) {
+      break;
+    }
+  }
+  return values;
+};
+
+/**
+ * Parse user input into a value accepted by the VotedValue contract
+ * @param {Object} parameter - Entry of GOVERNANCE_PARAMETERS
+ * @param {string} input - User input
+ * @param {number} decimals - Decimals of the stake token (for 'amount' parameters)
+ * @returns {ethers.BigNumber|Array<ethers.BigNumber>|string} Parsed value
+ */
+export const parseParameterValue = (parameter, input, decimals = 18) => {
+  const trimmed = String(input ?? '').trim();
+  if (!trimmed) {
+    throw new Error(`Value for ${parameter.label} is required`);
+  }
+
+  if (parameter.type === 'address') {
+    if (!ethers.utils.isAddress(trimmed)) {
+      throw new Error(`Invalid address: ${trimmed}`);
+    }
+    return ethers.utils.getAddress(trimmed);
+  }
+
+  const parseUint = (text) => {
+    if (parameter.format === 'amount') {
+      return ethers.utils.parseUnits(text, decimals);
+    }
+    if (parameter.format === 'price20') {
+      return ethers.utils.parseUnits(text, 20);
+    }
+    if (!/^\d+$/.test(text)) {
+      throw new Error(`${parameter.label} must be a whole number`);
+    }
+    return ethers.BigNumber.from(text);
+  };
+
+  if (parameter.type === 'uint[]') {
+    const parts = trimmed.split(/[\s,]+/).filter(Boolean);
+    if (parts.length === 0) {
+      throw new Error(`Value for ${parameter.label} is required`);
+    }
+    return parts.map(parseUint);
+  }
+
+  return parseUint(trimmed);
+};
+
+/**
+ * Format a duration in seconds as a short human readable string
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} e.g. "3d 12h" or "45m"
+ */
+export const formatDuration = (seconds) => {
+  const total = Number(seconds);
+  if (!total) return '0s';
+  const days = Math.floor(total / 86400);
+  const hours = Math.floor((total % 86400) / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const rest = total % 60;
+  const parts = [];
+  if (days) parts.push(`${days}d`);
+  if (hours) parts.push(`${hours}h`);
+  if (minutes) parts.push(`${minutes}m`);
+  if (rest && !days) parts.push(`${rest}s`);
+  return parts.join(' ');
+};
+
+/**
+ * Format a voted value for display
+ * @param {Object} parameter - Entry of GOVERNANCE_PARAMETERS
+ * @param {*} value - Value read from the contract
+ * @param {number} decimals - Decimals of the stake token (for 'amount' parameters)
+ * @returns {string} Display string
+ */
+export const formatParameterValue = (parameter, value, decimals = 18) => {
+  if (value === null || value === undefined) return '-';
+
+  if (parameter.type === 'address') {
+    return value;
+  }
+
+  const formatUint = (v) => {
+    const bn = ethers.BigNumber.from(v);
+    switch (parameter.format) {
+      case 'amount':
+        return ethers.utils.formatUnits(bn, decimals);
+      case 'price20':
+        return ethers.utils.formatUnits(bn, 20);
+      case 'percent':
+        return `${bn.toString()}%`;
+      case 'seconds':
+        return `${bn.toString()}s (${formatDuration(bn.toNumber())})`;
+      default:
+        return bn.toString();
+    }
+  };
+
+  if (parameter.type === 'uint[]') {
+    return value.length ? value.map(formatUint).join(', ') : '-';
+  }
+
+  return formatUint(value);
+};
+
+/**
+ * Get the governance contract address of a bridge
+ * @param {ethers.providers.Provider} provider - Provider for the bridge network
+ * @param {string} bridgeAddress - Bridge contract address
+ * @returns {Promise<string|null>} Governance address or null if governance is not set up
+ */
+export const getGovernanceAddress = async (provider, bridgeAddress) => {
+  try {
+    const bridge = new ethers.Contract(bridgeAddress, COUNTERSTAKE_ABI, provider);
+    const governanceAddress = await bridge.governance();
+    return governanceAddress && governanceAddress !== ADDRESS_ZERO ? governanceAddress : null;
+  } catch (error) {
+    console.error('❌ Error getting governance address:', error);
+    throw new Error(`Failed to get governance address: ${error.message}`);
+  }
+};
+
+/**
+ * Load the state of a single VotedValue contract
+ * @param {ethers.providers.Provider} provider - Provider for the bridge network
+ * @param {string} votedValueAddress - VotedValue contract address
+ * @param {Object} parameter - Entry of GOVERNANCE_PARAMETERS
+ * @param {string} account - Connected account (optional)
+ * @returns {Promise<Object>} Current value, leader, support and the account's vote
+ */
+export const loadVotedValueState = async (provider, votedValueAddress, parameter, account = null) => {
+  const contract = new ethers.Contract(votedValueAddress, getVotedValueABI(parameter.type), provider);
+  const isArray = parameter.type === 'uint[]';
+
+  const [currentValue, leader, challengingPeriodStartTs] = await Promise.all([
+    isArray ? readUintArray(contract, 'current_value') : contract.current_value(),
+    isArray ? readUintArray(contract, 'leader') : contract.leader(),
+    contract.challenging_period_start_ts(),
+  ]);
+
+  const supportKey = (value) => (isArray ? getUintArrayKey(value) : value);
+  const [leaderSupport, currentSupport] = await Promise.all([
+    contract.votesByValue(supportKey(leader)),
+    contract.votesByValue(supportKey(currentValue)),
+  ]);
+
+  let hasVote = false;
+  let choice = null;
+  let choiceVotes = ethers.BigNumber.from(0);
+  if (account) {
+    hasVote = await contract.hasVote(account);
+    if (hasVote) {
+      choice = isArray ? await readUintArray(contract, 'choices', [account]) : await contract.choices(account);
+      choiceVotes = await contract.votesByValueAddress(supportKey(choice), account);
+    }
+  }
+
+  return {
+    ...parameter,
+    address: votedValueAddress,
+    currentValue,
+    leader,
+    leaderSupport,
+    currentSupport,
+    challengingPeriodStartTs: challengingPeriodStartTs.toNumber(),
+    hasVote,
+    choice,
+    choiceVotes,
+  };
+};
+
+/**
+ * Load a bridge's governance contract together with all of its voted parameters
+ * @param {ethers.providers.Provider} provider - Provider for the bridge network
+ * @param {string} governanceAddress - Governance contract address
+ * @param {string} account - Connected account (optional)
+ * @returns {Promise<Object>} Governance state
+ */
+export const loadGovernanceState = async (provider, governanceAddress, account = null) => {
+  try {
+    console.log('🔍 Loading governance state:', governanceAddress);
+    const governance = new ethers.Contract(governanceAddress, GOVERNANCE_ABI, provider);
+
+    const [votingTokenAddress, challengingPeriod, freezePeriod] = await Promise.all([
+      governance.votingTokenAddress(),
+      governance.governance_challenging_period(),
+      governance.governance_freeze_period(),
+    ]);
+
+    let votingTokenDecimals = 18;
+    if (votingTokenAddress !== ADDRESS_ZERO) {
+      try {
+        const token = new ethers.Contract(votingTokenAddress, ERC20_ABI, provider);
+        votingTokenDecimals = await token.decimals();
+      } catch (error) {
+        console.warn('⚠️ Could not read voting token decimals, using 18:', error.message);
+      }
+    }
+
+    let balance = ethers.BigNumber.from(0);
+    let isUntied = true;
+    if (account) {
+      [balance, isUntied] = await Promise.all([
+        governance.balances(account),
+        governance.isUntiedFromAllVotes(account),
+      ]);
+    }
+
+    const parameters = [];
+    for (const parameter of GOVERNANCE_PARAMETERS) {
+      const votedValueAddress = await governance.votedValuesMap(parameter.name);
+      if (!votedValueAddress || votedValueAddress === ADDRESS_ZERO) continue;
+      try {
+        parameters.push(await loadVotedValueState(provider, votedValueAddress, parameter, account));
+      } catch (error) {
+        console.error(`❌ Error loading voted value ${parameter.name}:`, error);
+      }
+    }
+
+    console.log(`✅ Loaded ${parameters.length} governed parameters`);
+
+    return {
+      address: governanceAddress,
+      votingTokenAddress,
+      votingTokenDecimals,
+      challengingPeriod: challengingPeriod.toNumber(),
+      freezePeriod: freezePeriod.toNumber(),
+      balance,
+      isUntied,
+      parameters,
+    };
+  } catch (error) {
+    console.error('❌ Error loading governance state:', error);
+    throw new Error(`Failed to load governance state: ${error.message}`);
+  }
+};
+
+/**
+ * Work out whether a parameter's leader can be committed and whether the account's vote is locked
+ * @param {Object} parameterState - Result of loadVotedValueState
+ * @param {number} challengingPeriod - Governance challenging period in seconds
+ * @param {number} freezePeriod - Governance freeze period in seconds
+ * @param {number} now - Current unix timestamp in seconds
+ * @returns {Object} { canCommit, commitAvailableAt, voteLocked, voteUnlockAt }
+ */
+export const getVotingStatus = (parameterState, challengingPeriod, freezePeriod, now = Math.floor(Date.now() / 1000)) => {
+  const { type, currentValue, leader, challengingPeriodStartTs, hasVote, choice } = parameterState;
+
+  const leaderChanged = !votedValuesEqual(type, leader, currentValue);
+  const commitAvailableAt = challengingPeriodStartTs + challengingPeriod;
+  const voteUnlockAt = challengingPeriodStartTs + challengingPeriod + freezePeriod;
+  // Votes for the leader cannot be moved until the freeze period after the challenging period is over
+  const votesForLeader = hasVote && votedValuesEqual(type, choice, leader);
+
+  return {
+    canCommit: leaderChanged && now > commitAvailableAt,
+    commitAvailableAt: leaderChanged ? commitAvailableAt : null,
+    voteLocked: votesForLeader && now <= voteUnlockAt,
+    voteUnlockAt: votesForLeader ? voteUnlockAt : null,
+  };
+};
+
+/**
+ * Make sure the governance contract can pull the voting token from the account
+ * @param {ethers.Signer} signer - Connected signer
+ * @param {string} votingTokenAddress - Voting token address (ADDRESS_ZERO for the native coin)
+ * @param {string} governanceAddress - Governance contract address (spender)
+ * @param {ethers.BigNumber} amount - Amount to deposit
+ * @returns {Promise<void>}
+ */
+export const ensureVotingTokenAllowance = async (signer, votingTokenAddress, governanceAddress, amount) => {
+  if (votingTokenAddress === ADDRESS_ZERO) return;
+
+  const owner = await signer.getAddress();
+  const token = new ethers.Contract(votingTokenAddress, ERC20_ABI, signer);
+  const allowance = await token.allowance(owner, governanceAddress);
+  if (allowance.gte(amount)) return;
+
+  console.log('🔄 Approving voting token for governance:', { votingTokenAddress, governanceAddress, amount: amount.toString() });
+  const tx = await token.approve(governanceAddress, amount);
+  await tx.wait();
+  console.log('✅ Voting token approved');
+};
+
+/**
+ * Deposit voting tokens into governance
+ * @param {ethers.Signer} signer - Connected signer
+ * @param {Object} governanceState - Result of loadGovernanceState
+ * @param {ethers.BigNumber} amount - Amount to deposit
+ * @returns {Promise<ethers.providers.TransactionResponse>} Deposit transaction
+ */
+export const depositToGovernance = async (signer, governanceState, amount) => {
+  const { address, votingTokenAddress } = governanceState;
+  await ensureVotingTokenAllowance(signer, votingTokenAddress, address, amount);
+
+  const governance = new ethers.Contract(address, GOVERNANCE_ABI, signer);
+  const value = votingTokenAddress === ADDRESS_ZERO ? amount : 0;
+  return governance['deposit(uint256)'](amount, { value });
+};
+
+/**
+ * Withdraw voting tokens from governance. Only allowed once the account is untied from all votes.
+ * @param {ethers.Signer} signer - Connected signer
+ * @param {string} governanceAddress - Governance contract address
+ * @param {ethers.BigNumber} amount - Amount to withdraw, or null to withdraw the whole balance
+ * @returns {Promise<ethers.providers.TransactionResponse>} Withdrawal transaction
+ */
+export const withdrawFromGovernance = async (signer, governanceAddress, amount = null) => {
+  const governance = new ethers.Contract(governanceAddress, GOVERNANCE_ABI, signer);
+  return amount ? governance['withdraw(uint256)'](amount) : governance['withdraw()']();
+};
+
+/**
+ * Vote for a parameter value, optionally depositing more voting tokens in the same transaction
+ * @param {ethers.Signer} signer - Connected signer
+ * @param {Object} governanceState - Result of loadGovernanceState
+ * @param {Object} parameterState - Result of loadVotedValueState
+ * @param {*} value - Parsed value (see parseParameterValue)
+ * @param {ethers.BigNumber} depositAmount - Additional deposit, or null to vote with the current balance
+ * @returns {Promise<ethers.providers.TransactionResponse>} Vote transaction
+ */
+export const voteForValue = async (signer, governanceState, parameterState, value, depositAmount = null) => {
+  const contract = new ethers.Contract(parameterState.address, getVotedValueABI(parameterState.type), signer);
+
+  if (depositAmount && depositAmount.gt(0)) {
+    const { address, votingTokenAddress } = governanceState;
+    // voteAndDeposit calls governance.deposit(from, amount), so governance is the spender
+    await ensureVotingTokenAllowance(signer, votingTokenAddress, address, depositAmount);
+    const txValue = votingTokenAddress === ADDRESS_ZERO ? depositAmount : 0;
+    return contract.voteAndDeposit(value, depositAmount, { value: txValue });
+  }
+
+  return contract.vote(value);
+};
+
+/**
+ * Remove the account's vote from a parameter
+ * @param {ethers.Signer} signer - Connected signer
+ * @param {Object} parameterState - Result of loadVotedValueState
+ * @returns {Promise<ethers.providers.TransactionResponse>} Unvote transaction
+ */
+export const unvoteValue = async (signer, parameterState) => {
+  const contract = new ethers.Contract(parameterState.address, getVotedValueABI(parameterState.type), signer);
+  return contract.unvote();
+};
+
+/**
+ * Commit the leading value once its challenging period has expired
+ * @param {ethers.Signer} signer - Connected signer
+ * @param {Object} parameterState - Result of loadVotedValueState
+ * @returns {Promise<ethers.providers.TransactionResponse>} Commit transaction
+ */
+export const commitValue = async (signer, parameterState) => {
+  const contract = new ethers.Contract(parameterState.address, getVotedValueABI(parameterState.type), signer);
+  return contract.commit();
+};
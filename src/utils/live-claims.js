@@ -0,0 +1,131 @@
+/**
+ * Live Claims
+ *
+ * Reads the claims that are still open straight from the bridges: getOngoingClaimNums() lists the
+ * claims that were not finished by a withdrawal yet, and getClaim() returns each of them. Only RPC
+ * calls are made, so the view keeps working when the explorer APIs used for the history scan are down
+ * or rate limited, and it is not limited to a history range.
+ * Used by src/components/LiveClaims.js.
+ */
+
+import { ethers } from 'ethers';
+import { createCounterstakeContract } from './contract-factory';
+import { fetchMultipleClaimDetails } from './claim-details-fetcher';
+import { getBridgeNetworkKey, OUTCOME_YES } from './assistant-manager';
+
+// Newest ongoing claims read per bridge, rejected claims nobody withdraws stay ongoing forever
+export const MAX_LIVE_CLAIMS_PER_BRIDGE = 100;
+
+// New blocks trigger a refresh at most this often per network
+export const LIVE_CLAIMS_REFRESH_INTERVAL_MS = 15000;
+
+export const LIVE_CLAIM_STATUSES = {
+  CHALLENGING: 'challenging',
+  READY: 'ready',
+  REJECTED: 'rejected',
+};
+
+/**
+ * Get the bridges to read live claims from, with the network their claims are made on
+ * @param {Object} params - Bridge parameters
+ * @param {Object} params.bridges - Bridge configurations keyed by bridge key
+ * @param {Object} params.networks - Networks with settings
+ * @param {Array<string>|null} [params.bridgeAddresses] - Addresses of a bridge direction, all bridges when null
+ * @returns {Array<Object>} Bridges with a networkKey, bridges of unknown networks left out
+ */
+export const getLiveClaimBridges = ({ bridges, networks, bridgeAddresses = null }) => {
+  const selected = bridgeAddresses ? bridgeAddresses.map(address => address.toLowerCase()) : null;
+  return Object.values(bridges)
+    .filter(bridge => bridge.address && (!selected || selected.includes(bridge.address.toLowerCase())))
+    .map(bridge => ({ ...bridge, networkKey: getBridgeNetworkKey(bridge.address, networks) }))
+    .filter(bridge => bridge.networkKey);
+};
+
+/**
+ * Read the ongoing claims of a bridge
+ * @param {Object} params - Load parameters
+ * @param {ethers.providers.Provider} params.provider - Provider of the bridge's network
+ * @param {Object} params.bridge - Bridge from getLiveClaimBridges
+ * @returns {Promise<Object>} { claims, total }, claims as { key, claimNum, bridge, details } newest first and total
+ * being the number of ongoing claims
+ */
+export const loadOngoingClaims = async ({ provider, bridge }) => {
+  try {
+    const contract = createCounterstakeContract(bridge.address, provider);
+    const ongoing = await contract.getOngoingClaimNums();
+    const claimNums = ongoing
+      .map(claimNum => ethers.BigNumber.from(claimNum))
+      .sort((a, b) => (b.gt(a) ? 1 : b.lt(a) ? -1 : 0))
+      .slice(0, MAX_LIVE_CLAIMS_PER_BRIDGE);
+
+    const details = await fetchMultipleClaimDetails({ contract, claimNums });
+    const claims = claimNums
+      .map((claimNum, index) => ({
+        key: `${bridge.address}:${claimNum.toString()}`.toLowerCase(),
+        claimNum,
+        bridge,
+        details: details[index],
+      }))
+      .filter(claim => claim.details);
+
+    return { claims, total: ongoing.length };
+  } catch (error) {
+    console.error(`❌ Error loading ongoing claims of ${bridge.address}:`, error);
+    throw new Error(`Failed to load ongoing claims: ${error.message}`);
+  }
+};
+
+/**
+ * Read the ongoing claims of several bridges. A failing bridge does not stop the others.
+ * @param {Object} params - Load parameters
+ * @param {Array<Object>} params.bridges - Bridges from getLiveClaimBridges
+ * @param {Function} params.getProvider - Returns the provider of a network key
+ * @returns {Promise<Object>} { claims, totals, errors }, totals and errors keyed by lowercase bridge address
+ */
+export const loadLiveClaims = async ({ bridges, getProvider }) => {
+  const results = await Promise.allSettled(
+    bridges.map(async bridge => loadOngoingClaims({ provider: getProvider(bridge.networkKey), bridge }))
+  );
+
+  const claims = [];
+  const totals = {};
+  const errors = {};
+  results.forEach((result, index) => {
+    const key = bridges[index].address.toLowerCase();
+    if (result.status === 'fulfilled') {
+      claims.push(...result.value.claims);
+      totals[key] = result.value.total;
+    } else {
+      errors[key] = result.reason.message;
+    }
+  });
+
+  return { claims, totals, errors };
+};
+
+/**
+ * Get the status of an ongoing claim
+ * @param {Object} details - Claim as returned by getClaim()
+ * @param {number} now - Current timestamp in seconds
+ * @returns {string} One of LIVE_CLAIM_STATUSES
+ */
+export const getLiveClaimStatus = (details, now) => {
+  if (Number(details.expiry_ts) > now) return LIVE_CLAIM_STATUSES.CHALLENGING;
+  return Number(details.current_outcome) === OUTCOME_YES ? LIVE_CLAIM_STATUSES.READY : LIVE_CLAIM_STATUSES.REJECTED;
+};
+
+/**
+ * Order live claims for display: claims still being challenged first, the ones expiring soonest on top,
+ * then expired claims, newest first
+ * @param {Array<Object>} claims - Claims from loadLiveClaims
+ * @param {number} now - Current timestamp in seconds
+ * @returns {Array<Object>} Sorted copy
+ */
+export const sortLiveClaims = (claims, now) => [...claims].sort((a, b) => {
+  const aExpiry = Number(a.details.expiry_ts);
+  const bExpiry = Number(b.details.expiry_ts);
+  const aOpen = aExpiry > now;
+  const bOpen = bExpiry > now;
+  if (aOpen !== bOpen) return aOpen ? -1 : 1;
+  return aOpen ? aExpiry - bExpiry : bExpiry - aExpiry;
+});
@@ -1,10 +1,17 @@
+import { getWalletProvider } from './wallet-providers';
+
+/**
+ * Switch the connected wallet to a network, adding the network to the wallet if it is missing
+ * @param {Object} networkConfig - Network configuration with id or chainId
+ * @returns {Promise<boolean>} Whether the wallet is on the network
+ */
 export const switchNetwork = async (networkConfig) => {
   if (!networkConfig || (networkConfig.chainId === undefined && networkConfig.id === undefined)) {
     return false;
   }
 
-  const win = typeof window !== 'undefined' ? window : (typeof global !== 'undefined' && global.window);
-  if (!win || !win.ethereum) {
+  const ethereum = getWalletProvider();
+  if (!ethereum) {
     return false;
   }
 
@@ -12,7 +19,7 @@ export const switchNetwork = async (networkConfig) => {
     const chainId = networkConfig.chainId !== undefined ? networkConfig.chainId : networkConfig.id;
     const chainIdHex = `0x${chainId.toString(16)}`;
 
-    await win.ethereum.request({
+    await ethereum.request({
       method: 'wallet_switchEthereumChain',
       params: [{ chainId: chainIdHex }],
     });
@@ -24,7 +31,7 @@ export const switchNetwork = async (networkConfig) => {
         const chainId = networkConfig.chainId !== undefined ? networkConfig.chainId : networkConfig.id;
         const chainIdHex = `0x${chainId.toString(16)}`;
 
-        await win.ethereum.request({
+        await ethereum.request({
           method: 'wallet_addEthereumChain',
           params: [{
             chainId: chainIdHex,
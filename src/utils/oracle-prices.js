@@ -0,0 +1,350 @@
+/**
+ * Oracle Price Utilities
+ *
+ * Import bridges value the stake token through an Oracle contract:
+ * getPrice(base, quote) returns a (num, den) fraction, the amount of the quote asset
+ * paid for one unit of the base asset, both in their smallest units. Oracle.getPrice
+ * also answers the reverse pair, and setPrice updates whichever direction is stored.
+ */
+
+import { ethers } from 'ethers';
+import { ORACLE_ABI, IMPORT_ABI, ERC20_ABI } from '../contracts/abi';
+import { ADDRESS_ZERO } from '../config/networks';
+
+export const NATIVE_ASSET = '_NATIVE_';
+
+// Age after which a price set from this browser is flagged as stale
+export const DEFAULT_PRICE_MAX_AGE_DAYS = 7;
+
+export const PRICE_STATUS = {
+  OK: 'ok',
+  MISSING: 'missing',
+  INVALID: 'invalid',
+  STALE: 'stale',
+};
+
+// Usage of each required pair, in display order
+export const PRICE_PAIR_USAGES = {
+  stake: 'Read by getRequiredStake to value claims in the stake token',
+  symbol: 'Home token priced in the native coin',
+  native: 'Native coin priced in the home token',
+  assistant: 'Read by import assistants to convert gas costs into the stake token',
+};
+
+const PRICE_UPDATES_STORAGE_KEY = 'bridgeOraclePriceUpdates';
+const BRIDGE_TYPES_WITH_ORACLE = ['import', 'import_wrapper'];
+const DEFAULT_DECIMALS = 18;
+
+/**
+ * Get the key of a price pair
+ * @param {string} base - Base asset
+ * @param {string} quote - Quote asset
+ * @returns {string} "base/quote"
+ */
+export const getPairKey = (base, quote) => `${base}/${quote}`;
+
+/**
+ * Get the base asset an import bridge asks the oracle about.
+ * Mirrors Import.getOraclePrice: native home assets are priced under the home network name.
+ * @param {string} homeAsset - home_asset of the bridge
+ * @param {string} homeNetwork - home_network of the bridge
+ * @returns {string} Base asset
+ */
+export const getStakePriceBase = (homeAsset, homeNetwork) => {
+  return homeAsset === 'base' || homeAsset === ADDRESS_ZERO ? homeNetwork : homeAsset;
+};
+
+/**
+ * Get the quote asset an import bridge asks the oracle about
+ * @param {string} stakeTokenAddress - Stake token of the bridge
+ * @param {string} stakeTokenSymbol - Symbol of the stake token
+ * @returns {string} Quote asset
+ */
+export const getStakePriceQuote = (stakeTokenAddress, stakeTokenSymbol) => {
+  return stakeTokenAddress === ADDRESS_ZERO ? NATIVE_ASSET : stakeTokenSymbol;
+};
+
+/**
+ * List the prices an oracle must provide for the import bridges that use it.
+ * Besides the pair read by getRequiredStake, the bridge creation procedure requires
+ * token_symbol/_NATIVE_ and _NATIVE_/token_symbol, and import assistants of bridges
+ * staking a token read _NATIVE_/stake_symbol.
+ * @param {Array} bridges - Bridge configs with their `key`
+ * @param {string} oracleAddress - Oracle contract address
+ * @param {string} networkName - Name of the oracle network, matched against the bridges' foreignNetwork
+ * @returns {Array} Pairs { key, base, quote, usage, baseToken, quoteToken, bridges }
+ */
+export const getRequiredPricePairs = (bridges, oracleAddress, networkName) => {
+  const pairs = new Map();
+
+  const addPair = (bridge, { base, quote, usage, baseToken = null, quoteToken = null }) => {
+    if (!base || !quote || base === quote) return;
+    const key = getPairKey(base, quote);
+    if (!pairs.has(key)) {
+      pairs.set(key, { key, base, quote, usage, baseToken, quoteToken, bridges: [] });
+    }
+    pairs.get(key).bridges.push(bridge.key);
+  };
+
+  bridges
+    .filter(bridge => BRIDGE_TYPES_WITH_ORACLE.includes(bridge.type))
+    .filter(bridge => bridge.foreignNetwork === networkName)
+    .filter(bridge => bridge.oracleAddress?.toLowerCase() === oracleAddress?.toLowerCase())
+    .forEach(bridge => {
+      const imageToken = bridge.foreignTokenAddress || null;
+      const isNativeStake = bridge.stakeTokenAddress === ADDRESS_ZERO;
+
+      addPair(bridge, {
+        base: getStakePriceBase(bridge.homeTokenAddress, bridge.homeNetwork),
+        quote: getStakePriceQuote(bridge.stakeTokenAddress, bridge.stakeTokenSymbol),
+        usage: 'stake',
+        baseToken: imageToken,
+        quoteToken: bridge.stakeTokenAddress,
+      });
+      addPair(bridge, { base: bridge.homeTokenSymbol, quote: NATIVE_ASSET, usage: 'symbol', baseToken: imageToken });
+      addPair(bridge, { base: NATIVE_ASSET, quote: bridge.homeTokenSymbol, usage: 'native', quoteToken: imageToken });
+      if (!isNativeStake) {
+        addPair(bridge, { base: NATIVE_ASSET, quote: bridge.stakeTokenSymbol, usage: 'assistant', quoteToken: bridge.stakeTokenAddress });
+      }
+    });
+
+  return [...pairs.values()];
+};
+
+/**
+ * Convert a decimal price into the num/den fraction stored by the oracle
+ * @param {string} price - Price of one base token in quote tokens, e.g. "0.0025"
+ * @param {Object} decimals - Token decimals
+ * @param {number} [decimals.baseDecimals] - Decimals of the base asset
+ * @param {number} [decimals.quoteDecimals] - Decimals of the quote asset
+ * @returns {{num: ethers.BigNumber, den: ethers.BigNumber}} Reduced fraction
+ */
+export const decimalToFraction = (price, { baseDecimals = 0, quoteDecimals = 0 } = {}) => {
+  const trimmed = String(price ?? '').trim();
+  if (!/^(\d+\.?\d*|\.\d+)$/.test(trimmed)) {
+    throw new Error(`Invalid price: ${trimmed || 'empty'}`);
+  }
+
+  const [whole, fraction = ''] = trimmed.split('.');
+  const fractionDigits = fraction.length;
+  const mantissa = ethers.BigNumber.from(`${whole || '0'}${fraction}`);
+  if (mantissa.isZero()) {
+    throw new Error('Price must be positive');
+  }
+
+  const ten = ethers.BigNumber.from(10);
+  let num = mantissa.mul(ten.pow(quoteDecimals));
+  let den = ten.pow(fractionDigits + baseDecimals);
+
+  let a = num;
+  let b = den;
+  while (!b.isZero()) {
+    [a, b] = [b, a.mod(b)];
+  }
+  num = num.div(a);
+  den = den.div(a);
+
+  return { num, den };
+};
+
+/**
+ * Convert an oracle fraction into a decimal price of one base token in quote tokens
+ * @param {ethers.BigNumberish} num - Numerator
+ * @param {ethers.BigNumberish} den - Denominator
+ * @param {Object} options - Token decimals and precision
+ * @param {number} [options.baseDecimals] - Decimals of the base asset
+ * @param {number} [options.quoteDecimals] - Decimals of the quote asset
+ * @param {number} [options.precision] - Fractional digits to keep
+ * @returns {string|null} Decimal price, null when the fraction has no finite price
+ */
+export const fractionToDecimal = (num, den, { baseDecimals = 0, quoteDecimals = 0, precision = 8 } = {}) => {
+  const denominator = ethers.BigNumber.from(den);
+  if (denominator.isZero()) return null;
+
+  const ten = ethers.BigNumber.from(10);
+  const scaled = ethers.BigNumber.from(num)
+    .mul(ten.pow(baseDecimals + precision))
+    .div(denominator.mul(ten.pow(quoteDecimals)));
+  const formatted = ethers.utils.formatUnits(scaled, precision);
+  return formatted.endsWith('.0') ? formatted.slice(0, -2) : formatted;
+};
+
+/**
+ * Classify a price read from the oracle
+ * @param {Object} price - Fraction read with getPrice
+ * @param {Object} options - Staleness check
+ * @param {number} [options.updatedAt] - When the price was last set from this browser (ms)
+ * @param {number} [options.maxAgeMs] - Age after which the price is stale
+ * @param {number} [options.now] - Current time (ms)
+ * @returns {string} One of PRICE_STATUS
+ */
+export const getPriceStatus = ({ num, den }, { updatedAt = null, maxAgeMs = DEFAULT_PRICE_MAX_AGE_DAYS * 86400000, now = Date.now() } = {}) => {
+  const numerator = ethers.BigNumber.from(num);
+  const denominator = ethers.BigNumber.from(den);
+  // (0, 0) means no price, a single zero is rejected by getRequiredStake
+  if (numerator.isZero() && denominator.isZero()) return PRICE_STATUS.MISSING;
+  if (numerator.isZero() || denominator.isZero()) return PRICE_STATUS.INVALID;
+  if (updatedAt && now - updatedAt > maxAgeMs) return PRICE_STATUS.STALE;
+  return PRICE_STATUS.OK;
+};
+
+/**
+ * Compute the stake an import bridge requires for a claim.
+ * Mirrors Import.getRequiredStake / ImportWrapper.getRequiredStake.
+ * @param {Object} params - Bridge settings and oracle price
+ * @param {ethers.BigNumberish} params.amount - Claimed amount in the image token
+ * @param {number} params.ratio100 - Stake ratio in percent
+ * @param {ethers.BigNumberish} params.minStake - Minimum stake
+ * @param {ethers.BigNumberish} params.minPrice20 - Minimum price multiplied by 1e20
+ * @param {ethers.BigNumberish} params.num - Price numerator
+ * @param {ethers.BigNumberish} params.den - Price denominator
+ * @returns {ethers.BigNumber} Required stake in the stake token
+ */
+export const simulateRequiredStake = ({ amount, ratio100, minStake, minPrice20, num, den }) => {
+  const numerator = ethers.BigNumber.from(num);
+  const denominator = ethers.BigNumber.from(den);
+  if (numerator.isZero()) throw new Error('price num must be positive');
+  if (denominator.isZero()) throw new Error('price den must be positive');
+
+  const stakeInImageAsset = ethers.BigNumber.from(amount).mul(ratio100).div(100);
+  const byPrice = stakeInImageAsset.mul(numerator).div(denominator);
+  const byMinPrice = stakeInImageAsset.mul(minPrice20).div(ethers.BigNumber.from(10).pow(20));
+
+  return [byPrice, byMinPrice, ethers.BigNumber.from(minStake)]
+    .reduce((max, value) => (value.gt(max) ? value : max));
+};
+
+/**
+ * Read when prices of an oracle were last set from this browser.
+ * The Oracle contract keeps no timestamps, so only updates sent from here are known.
+ * @param {string} oracleAddress - Oracle contract address
+ * @returns {Object} Timestamps (ms) by pair key
+ */
+export const getPriceUpdateTimes = (oracleAddress) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PRICE_UPDATES_STORAGE_KEY) || '{}');
+    return saved[oracleAddress.toLowerCase()] || {};
+  } catch (error) {
+    console.warn('Failed to read oracle price updates:', error);
+    return {};
+  }
+};
+
+/**
+ * Remember that a price was set from this browser
+ * @param {string} oracleAddress - Oracle contract address
+ * @param {string} base - Base asset
+ * @param {string} quote - Quote asset
+ * @param {number} timestamp - Update time (ms)
+ */
+export const recordPriceUpdate = (oracleAddress, base, quote, timestamp = Date.now()) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PRICE_UPDATES_STORAGE_KEY) || '{}');
+    const oracleKey = oracleAddress.toLowerCase();
+    saved[oracleKey] = { ...saved[oracleKey], [getPairKey(base, quote)]: timestamp };
+    localStorage.setItem(PRICE_UPDATES_STORAGE_KEY, JSON.stringify(saved));
+  } catch (error) {
+    console.warn('Failed to save oracle price update:', error);
+  }
+};
+
+/**
+ * Get when a pair was last set, in either direction since both share one oracle entry
+ * @param {Object} updateTimes - Result of getPriceUpdateTimes
+ * @param {string} base - Base asset
+ * @param {string} quote - Quote asset
+ * @returns {number|null} Timestamp (ms)
+ */
+export const getPairUpdatedAt = (updateTimes, base, quote) => {
+  const times = [updateTimes[getPairKey(base, quote)], updateTimes[getPairKey(quote, base)]].filter(Boolean);
+  return times.length ? Math.max(...times) : null;
+};
+
+/**
+ * Get the owner of an oracle, the only account allowed to set prices
+ * @param {ethers.providers.Provider} provider - Provider for the oracle network
+ * @param {string} oracleAddress - Oracle contract address
+ * @returns {Promise<string>} Owner address
+ */
+export const getOracleOwner = async (provider, oracleAddress) => {
+  try {
+    const oracle = new ethers.Contract(oracleAddress, ORACLE_ABI, provider);
+    return await oracle.owner();
+  } catch (error) {
+    console.error('❌ Error getting oracle owner:', error);
+    throw new Error(`Failed to get oracle owner: ${error.message}`);
+  }
+};
+
+/**
+ * Read the current prices of a list of pairs
+ * @param {ethers.providers.Provider} provider - Provider for the oracle network
+ * @param {string} oracleAddress - Oracle contract address
+ * @param {Array} pairs - Pairs { base, quote }
+ * @returns {Promise<Array>} Pairs with num and den, or error when the read failed
+ */
+export const readOraclePrices = async (provider, oracleAddress, pairs) => {
+  const oracle = new ethers.Contract(oracleAddress, ORACLE_ABI, provider);
+  return Promise.all(pairs.map(async (pair) => {
+    try {
+      const [num, den] = await oracle.getPrice(pair.base, pair.quote);
+      return { ...pair, num, den, error: null };
+    } catch (error) {
+      console.warn(`⚠️ Failed to read price ${getPairKey(pair.base, pair.quote)}:`, error.message);
+      return { ...pair, num: null, den: null, error: error.message };
+    }
+  }));
+};
+
+/**
+ * Read the decimals of a token, the native coin (or no token) counting as 18
+ * @param {ethers.providers.Provider} provider - Provider for the token network
+ * @param {string|null} tokenAddress - Token address
+ * @returns {Promise<number>} Decimals
+ */
+export const getPriceTokenDecimals = async (provider, tokenAddress) => {
+  if (!tokenAddress || tokenAddress === ADDRESS_ZERO) return DEFAULT_DECIMALS;
+  try {
+    const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+    return await token.decimals();
+  } catch (error) {
+    console.warn(`⚠️ Could not read decimals of ${tokenAddress}, using ${DEFAULT_DECIMALS}:`, error.message);
+    return DEFAULT_DECIMALS;
+  }
+};
+
+/**
+ * Read the bridge settings that getRequiredStake depends on
+ * @param {ethers.providers.Provider} provider - Provider for the bridge network
+ * @param {string} bridgeAddress - Import or import wrapper bridge address
+ * @returns {Promise<Object>} { ratio100, minStake, minPrice20 }
+ */
+export const loadStakeSettings = async (provider, bridgeAddress) => {
+  try {
+    const bridge = new ethers.Contract(bridgeAddress, IMPORT_ABI, provider);
+    const [settings, minPrice20] = await Promise.all([bridge.settings(), bridge.min_price20()]);
+    return {
+      ratio100: settings.ratio100,
+      minStake: settings.min_stake,
+      minPrice20,
+    };
+  } catch (error) {
+    console.error('❌ Error loading bridge stake settings:', error);
+    throw new Error(`Failed to load bridge stake settings: ${error.message}`);
+  }
+};
+
+/**
+ * Set a price on the oracle. Only the oracle owner can call this.
+ * @param {ethers.Signer} signer - Connected signer
+ * @param {string} oracleAddress - Oracle contract address
+ * @param {string} base - Base asset
+ * @param {string} quote - Quote asset
+ * @param {ethers.BigNumberish} num - Price numerator
+ * @param {ethers.BigNumberish} den - Price denominator
+ * @returns {Promise<ethers.providers.TransactionResponse>} setPrice transaction
+ */
+export const setOraclePrice = async (signer, oracleAddress, base, quote, num, den) => {
+  const oracle = new ethers.Contract(oracleAddress, ORACLE_ABI, signer);
+  return oracle.setPrice(base, quote, num, den);
+};
@@ -9,41 +9,128 @@
  */
 
 import { ethers } from 'ethers';
-import { getAllEventBlockNumbersUnified } from './unified-block-fetcher.js';
+import { getAllEventBlockNumbersUnified, getEventLogsIncremental, getEventLogsBackfill, saveScanCheckpoints } from './unified-block-fetcher.js';
 import { getNetworkWithSettings } from './settings.js';
 import { getBridgeABI, getCounterstakeABI } from './contract-factory.js';
 import { getBlockTimestamp } from './bridge-contracts.js';
 import { wait } from './utils.js';
-import { addTransferEventToStorage, addClaimEventToStorage } from './unified-event-cache.js';
+import {
+  addTransferEventToStorage,
+  addClaimEventToStorage,
+  addTransferEventsToStorage,
+  addClaimEventsToStorage,
+  getCachedBridgeEvents,
+  pruneCachedBridgeEvents
+} from './unified-event-cache.js';
 import { parseClaimEvent } from './event-parser.js';
+import { getEventKey } from './event-store.js';
 
 // Rate limiting configuration
 const RATE_LIMIT_MS = 1000; // 1 second between requests
 
+/**
+ * Whether ABI decoding failed for every event, decodeEventsWithABI then returns raw events without storing them
+ * @param {Array} decodedEvents - Result of decodeEventsWithABI
+ * @returns {boolean}
+ */
+const isUndecodedBatch = (decodedEvents) => {
+  return decodedEvents.length > 0 && decodedEvents.every(event => Object.keys(event.args || {}).length === 0);
+};
+
+/**
+ * Drop stored events that a rescan no longer finds and save the checkpoints of an incremental scan.
+ * Must run after decodeEventsWithABI stored the new events.
+ * @param {string} networkKey - Network key
+ * @param {string} bridgeAddress - Bridge address
+ * @param {Object|null} scan - Scan progress from the unified fetcher
+ * @param {Array} decodedEvents - Events found by the scan
+ * @returns {Promise<void>}
+ */
+const commitIncrementalScan = async (networkKey, bridgeAddress, scan, decodedEvents) => {
+  if (!scan) return;
+  if (isUndecodedBatch(decodedEvents)) {
+    // Nothing was stored, keep the checkpoint so the next run scans these blocks again
+    console.warn(`⚠️ ${networkKey}: Events were not decoded, checkpoint not advanced`);
+    return;
+  }
+
+  if (scan.rescannedRange) {
+    const removed = await pruneCachedBridgeEvents({
+      bridgeAddress,
+      ...scan.rescannedRange,
+      transfers: decodedEvents.filter(e => e.eventType === 'NewExpatriation' || e.eventType === 'NewRepatriation'),
+      claims: decodedEvents.filter(e => e.eventType === 'NewClaim')
+    });
+    if (removed > 0) {
+      console.log(`🧹 ${networkKey}: Removed ${removed} stored events no longer found after a reorg`);
+    }
+  }
+
+  await saveScanCheckpoints(networkKey, bridgeAddress, scan);
+};
+
+/**
+ * Merge newly found events with the stored history of a bridge, new events win.
+ * Events are matched by their event store key, so claims batched in one transaction stay apart.
+ * @param {Array} storedEvents - Events from the event store
+ * @param {Array} newEvents - Events found by this run
+ * @returns {Array} Merged events
+ */
+const mergeWithStoredEvents = (storedEvents, newEvents) => {
+  const newKeys = new Set(newEvents.map(getEventKey));
+  return [...newEvents, ...storedEvents.filter(event => !newKeys.has(getEventKey(event)))];
+};
+
 /**
  * Get all events for a single bridge using unified-block-fetcher
  * @param {Object} bridgeConfig - Bridge configuration
  * @param {Object} options - Discovery options
- * @param {number} options.rangeHours - Hours of history to scan (default: 24)
+ * @param {number} options.rangeHours - Hours of history to scan (default: 24), only on the first run in incremental mode
+ * @param {boolean} options.incremental - Scan from the stored checkpoint and return the full stored history of the bridge
  * @returns {Promise<Object>} Bridge events with matched transfers
  */
 async function discoverBridgeEvents(bridgeConfig, options = {}) {
   const { bridgeAddress, networkKey, bridgeType, homeNetwork, foreignNetwork, homeTokenSymbol, foreignTokenSymbol } = bridgeConfig;
-  const { rangeHours = 24 } = options;
+  const { rangeHours = 24, incremental = false } = options;
   
-  console.log(`🔍 Discovering events for ${networkKey} bridge ${bridgeAddress} (${bridgeType}) - ${rangeHours}h range`);
+  console.log(`🔍 Discovering events for ${networkKey} bridge ${bridgeAddress} (${bridgeType}) - ${incremental ? 'incremental' : `${rangeHours}h range`}`);
   
   try {
     // Get all event types in one call using unified fetcher
-    const eventResult = await getAllEventBlockNumbersUnified(networkKey, bridgeAddress, { 
-      rangeHours 
-    });
+    const eventResult = incremental
+      ? await getEventLogsIncremental(networkKey, bridgeAddress, 'AllEvents', { rangeHours })
+      : await getAllEventBlockNumbersUnified(networkKey, bridgeAddress, { rangeHours });
     
     console.log(`✅ ${networkKey}: Found ${eventResult.eventCount} events in ${eventResult.blockNumbers.length} blocks`);
     
     // Check for 402 error flag in result
     const is402Error = eventResult.has402Error || false;
     
+    if (incremental) {
+      const newEvents = await decodeEventsWithABI(networkKey, bridgeAddress, eventResult.events || [], bridgeType, homeNetwork, foreignNetwork, homeTokenSymbol, foreignTokenSymbol);
+      await commitIncrementalScan(networkKey, bridgeAddress, eventResult.scan, newEvents);
+
+      const stored = await getCachedBridgeEvents(bridgeAddress);
+      const transfers = mergeWithStoredEvents(stored.transfers, newEvents.filter(e => e.eventType === 'NewExpatriation' || e.eventType === 'NewRepatriation'));
+      const claims = mergeWithStoredEvents(stored.claims, newEvents.filter(e => e.eventType === 'NewClaim'));
+      
+      console.log(`📊 ${networkKey}: ${newEvents.length} new events, ${transfers.length} transfers and ${claims.length} claims in stored history`);
+
+      return {
+        bridgeAddress,
+        networkKey,
+        bridgeType,
+        homeNetwork,
+        foreignNetwork,
+        events: [...transfers, ...claims],
+        transfers,
+        claims,
+        backfillComplete: eventResult.scan?.backfillComplete || false,
+        error: null,
+        is402Error: is402Error
+      };
+    }
+    
     if (eventResult.eventCount === 0) {
       return {
         bridgeAddress,
@@ -129,7 +216,7 @@ async function discoverBridgeEvents(bridgeConfig, options = {}) {
 }
 
 // Export the main discovery function
-export { discoverBridgeEvents };
+export { discoverBridgeEvents, decodeEventsWithABI, mergeWithStoredEvents };
 
 /**
  * Decode events using ABI to get full event data
@@ -184,6 +271,8 @@ async function decodeEventsWithABI(networkKey, bridgeAddress, events, bridgeType
 
     // Convert raw logs to ethers format and decode
     const decodedEvents = [];
+    const transfersToStore = [];
+    const claimsToStore = [];
     for (const event of events) {
       try {
         // Use rawLog if available, otherwise reconstruct from event data
@@ -288,15 +377,11 @@ async function decodeEventsWithABI(networkKey, bridgeAddress, events, bridgeType
 
           decodedEvents.push(decodedEvent);
           
-          // Save event to storage using unified cache system
-          try {
-            if (event.eventType === 'NewExpatriation' || event.eventType === 'NewRepatriation') {
-              addTransferEventToStorage(decodedEvent);
-            } else if (event.eventType === 'NewClaim') {
-              addClaimEventToStorage(decodedEvent);
-            }
-          } catch (storageError) {
-            console.warn('⚠️ Failed to add event to storage:', storageError);
+          // Collect events for storage, written in one batch below
+          if (event.eventType === 'NewExpatriation' || event.eventType === 'NewRepatriation') {
+            transfersToStore.push(decodedEvent);
+          } else if (event.eventType === 'NewClaim') {
+            claimsToStore.push(decodedEvent);
           }
         }
       } catch (error) {
@@ -324,6 +409,10 @@ async function decodeEventsWithABI(networkKey, bridgeAddress, events, bridgeType
       }
     }
 
+    // Save events to storage using unified cache system
+    if (transfersToStore.length > 0) await addTransferEventsToStorage(transfersToStore);
+    if (claimsToStore.length > 0) await addClaimEventsToStorage(claimsToStore);
+
     console.log(`✅ Successfully decoded ${decodedEvents.length} events`);
     return decodedEvents;
 
@@ -384,6 +473,7 @@ function extractTxidFromDecodedEvent(decoded, eventType, transactionHash) {
  * @param {Array} bridgeConfigs - Array of bridge configurations
  * @param {Object} options - Discovery options
  * @param {number} options.rangeHours - Hours of history to scan (default: 24)
+ * @param {boolean} options.incremental - Scan from the stored checkpoints, see discoverBridgeEvents
  * @returns {Promise<Object>} Discovery results
  */
 export async function discoverAllBridgeEvents(bridgeConfigs, options = {}) {
@@ -427,6 +517,63 @@ export async function discoverAllBridgeEvents(bridgeConfigs, options = {}) {
   };
 }
 
+/**
+ * Scan the next older block window of a bridge and store its events
+ * @param {Object} bridgeConfig - Bridge configuration
+ * @returns {Promise<Object>} { bridgeAddress, networkKey, eventCount, done, error, is402Error }, done once
+ * there is no older history left or no checkpoint to start from
+ */
+export async function backfillBridgeEvents(bridgeConfig) {
+  const { bridgeAddress, networkKey, bridgeType, homeNetwork, foreignNetwork, homeTokenSymbol, foreignTokenSymbol } = bridgeConfig;
+
+  try {
+    const eventResult = await getEventLogsBackfill(networkKey, bridgeAddress, 'AllEvents');
+    if (!eventResult.scan) {
+      return { bridgeAddress, networkKey, eventCount: 0, done: true, error: null, is402Error: false };
+    }
+
+    const decodedEvents = await decodeEventsWithABI(networkKey, bridgeAddress, eventResult.events, bridgeType, homeNetwork, foreignNetwork, homeTokenSymbol, foreignTokenSymbol);
+    await commitIncrementalScan(networkKey, bridgeAddress, eventResult.scan, decodedEvents);
+
+    return {
+      bridgeAddress,
+      networkKey,
+      eventCount: decodedEvents.length,
+      done: eventResult.scan.backfillComplete,
+      error: null,
+      is402Error: false
+    };
+  } catch (error) {
+    console.error(`❌ ${networkKey} bridge backfill failed:`, error);
+    return { bridgeAddress, networkKey, eventCount: 0, done: false, error: error.message, is402Error: error.is402Error || false };
+  }
+}
+
+/**
+ * Run one backfill step for each bridge, rate limited like discovery
+ * @param {Array} bridgeConfigs - Array of bridge configurations
+ * @param {Object} options - Backfill options
+ * @param {Function} options.isCancelled - Returns true to stop before the next bridge
+ * @returns {Promise<Object>} { bridgeResults, eventCount }
+ */
+export async function backfillAllBridgeEvents(bridgeConfigs, options = {}) {
+  const { isCancelled = () => false } = options;
+  const bridgeResults = [];
+
+  for (let i = 0; i < bridgeConfigs.length; i++) {
+    if (isCancelled()) break;
+    if (i > 0) {
+      await wait(RATE_LIMIT_MS);
+    }
+    bridgeResults.push(await backfillBridgeEvents(bridgeConfigs[i]));
+  }
+
+  return {
+    bridgeResults,
+    eventCount: bridgeResults.reduce((sum, result) => sum + result.eventCount, 0)
+  };
+}
+
 // Re-export storage functions for convenience
 export { addTransferEventToStorage, addClaimEventToStorage };
 
@@ -0,0 +1,512 @@
+/**
+ * Portfolio Utilities
+ *
+ * Collects the position of one address across every configured network: wallet balances,
+ * transfers that have not been claimed yet, claims the address made or staked on, and assistant
+ * share holdings valued at what redeemShares() would pay. Values are converted into a single
+ * asset through the prices of the configured oracles, bridged tokens counting 1:1 with their
+ * counterpart. Used by src/components/Portfolio.js.
+ */
+
+import { ethers } from 'ethers';
+import { ERC20_ABI } from '../contracts/abi';
+import { ADDRESS_ZERO } from '../config/networks';
+import { getProvider } from './provider-manager';
+import { createCounterstakeContract } from './contract-factory';
+import { fetchClaimDetails } from './claim-details-fetcher';
+import { normalizeAmount } from './data-normalizer';
+import { aggregateClaimsAndTransfers } from './aggregate-claims-transfers';
+import { estimateWithdrawal } from './batch-withdraw';
+import { getAssistantABI, getAssistantTokenInfo, getAssistantPoolBalances, isImportAssistant, OUTCOME_NO, OUTCOME_YES } from './assistant-manager';
+import { computeNetBalances, loadSwapPoolState } from './assistant-swap';
+import { NATIVE_ASSET, getRequiredPricePairs, readOraclePrices, fractionToDecimal, getPriceStatus, PRICE_STATUS } from './oracle-prices';
+
+/**
+ * State of a claim position of the account
+ */
+export const CLAIM_POSITION_STATUS = {
+  CHALLENGING: 'challenging', // challenging period still running
+  WITHDRAWABLE: 'withdrawable', // finished with something left to withdraw
+  LOST: 'lost',                 // finished with the account's stake on the losing outcome
+};
+
+const DEFAULT_DECIMALS = 18;
+// Decimals kept when converting oracle fractions into plain numbers
+const PRICE_PRECISION = 12;
+
+const isSameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+const toNumber = (amount, decimals) => parseFloat(ethers.utils.formatUnits(amount || 0, decimals ?? DEFAULT_DECIMALS));
+
+const findBridge = (bridges, address) => bridges.find(bridge => isSameAddress(bridge.address, address)) || null;
+
+/**
+ * Get the decimals of a token from the network configuration
+ * @param {Object} network - Network configuration
+ * @param {string|null} tokenAddress - Token address, the native coin when empty
+ * @returns {number} Configured decimals, 18 for the native coin and unknown tokens
+ */
+export const getConfiguredDecimals = (network, tokenAddress) => {
+  if (!tokenAddress || tokenAddress === ADDRESS_ZERO) return DEFAULT_DECIMALS;
+  const token = Object.values(network?.tokens || {}).find(candidate => isSameAddress(candidate.address, tokenAddress));
+  return token?.decimals ?? DEFAULT_DECIMALS;
+};
+
+/**
+ * Read the account's token balances on every network through provider-manager
+ * @param {Object} params - Load parameters
+ * @param {string} params.account - Address to load
+ * @param {Object} params.networks - Network configurations keyed by network key
+ * @param {Array<string>} [params.excludeAddresses] - Tokens listed elsewhere (assistant shares)
+ * @returns {Promise<Object>} { balances: [{ networkKey, symbol, address, decimals, balance }], errors: [{ networkKey, symbol, error }] },
+ * zero balances left out
+ */
+export const loadWalletBalances = async ({ account, networks, excludeAddresses = [] }) => {
+  const excluded = new Set(excludeAddresses.map(address => address.toLowerCase()));
+  const balances = [];
+  const errors = [];
+
+  await Promise.all(Object.entries(networks).map(async ([networkKey, network]) => {
+    const tokens = Object.values(network.tokens || {})
+      .filter(token => token.address && !excluded.has(token.address.toLowerCase()));
+    if (tokens.length === 0) return;
+
+    let provider;
+    try {
+      provider = getProvider(networkKey);
+    } catch (error) {
+      errors.push({ networkKey, symbol: null, error: error.message });
+      return;
+    }
+
+    await Promise.all(tokens.map(async (token) => {
+      try {
+        const balance = token.address === ADDRESS_ZERO
+          ? await provider.getBalance(account)
+          : await new ethers.Contract(token.address, ERC20_ABI, provider).balanceOf(account);
+        if (balance.gt(0)) {
+          balances.push({ networkKey, symbol: token.symbol, address: token.address, decimals: token.decimals ?? DEFAULT_DECIMALS, balance });
+        }
+      } catch (error) {
+        console.warn(`⚠️ Failed to read ${token.symbol} balance on ${networkKey}:`, error.message);
+        errors.push({ networkKey, symbol: token.symbol, error: error.message });
+      }
+    }));
+  }));
+
+  return { balances, errors };
+};
+
+/**
+ * Get the cached transfers sent by the account that have not been claimed yet
+ * @param {Object} params - Selection parameters
+ * @param {string} params.account - Sender address
+ * @param {Array<Object>} params.claims - Cached claims
+ * @param {Array<Object>} params.transfers - Cached transfers
+ * @param {Array<Object>} params.bridges - Configured bridges
+ * @param {Object} params.networks - Network configurations keyed by network key
+ * @returns {Array<Object>} Pending transfers with the { tokenAddress, symbol, decimals } of the sent token, newest first
+ */
+export const getInFlightTransfers = ({ account, claims, transfers, bridges, networks }) => {
+  if (!account || !transfers?.length) return [];
+  const { pendingTransfers } = aggregateClaimsAndTransfers(claims || [], transfers);
+
+  return pendingTransfers
+    .filter(transfer => isSameAddress(transfer.senderAddress, account))
+    .map(transfer => {
+      const bridge = findBridge(bridges, transfer.bridgeAddress);
+      // Expatriations send the home token, repatriations the foreign one
+      const tokenAddress = bridge ? (bridge.type === 'export' ? bridge.homeTokenAddress : bridge.foreignTokenAddress) : null;
+      return {
+        ...transfer,
+        tokenAddress,
+        symbol: transfer.fromTokenSymbol,
+        decimals: getConfiguredDecimals(networks[transfer.networkKey], tokenAddress),
+      };
+    });
+};
+
+/**
+ * Classify a claim position and estimate what withdraw() would pay out if the current outcome holds
+ * @param {Object} params - Position data
+ * @param {Object} params.details - Claim as returned by getClaim()
+ * @param {ethers.BigNumber} params.yesStake - Account's stake on YES
+ * @param {ethers.BigNumber} params.noStake - Account's stake on NO
+ * @param {string} params.account - Account address
+ * @param {number} params.now - Current (block) timestamp in seconds
+ * @returns {Object|null} { status, lockedStake, stakePayout, claimedAmount }, null once nothing is left in the claim
+ */
+export const getClaimPosition = ({ details, yesStake, noStake, account, now }) => {
+  const currentStake = Number(details.current_outcome) === OUTCOME_YES ? yesStake : noStake;
+  const { stakePayout, claimedAmount } = estimateWithdrawal(details, currentStake, account);
+  const lockedStake = yesStake.add(noStake);
+
+  let status;
+  if (Number(details.expiry_ts) >= now) {
+    status = CLAIM_POSITION_STATUS.CHALLENGING;
+  } else if (stakePayout.gt(0) || claimedAmount.gt(0)) {
+    status = CLAIM_POSITION_STATUS.WITHDRAWABLE;
+  } else if (lockedStake.gt(0)) {
+    status = CLAIM_POSITION_STATUS.LOST;
+  } else {
+    return null;
+  }
+
+  return { status, lockedStake, stakePayout, claimedAmount };
+};
+
+/**
+ * Read the account's stakes in the cached claims and the claims it made
+ * @param {Object} params - Load parameters
+ * @param {string} params.account - Account address
+ * @param {Array<Object>} params.claims - Cached claims (with networkKey and bridgeAddress)
+ * @param {Array<Object>} params.bridges - Configured bridges
+ * @param {Object} params.networks - Network configurations keyed by network key
+ * @returns {Promise<Object>} { positions, errors }, positions being { claim, bridge, networkKey, claimNum, status,
+ * yesStake, noStake, lockedStake, stakePayout, claimedAmount, stakeToken, asset } with tokens as { address, symbol, decimals }
+ */
+export const loadClaimPositions = async ({ account, claims, bridges, networks }) => {
+  const positions = [];
+  const errors = [];
+  const byNetwork = new Map();
+
+  (claims || []).forEach(claim => {
+    const bridge = findBridge(bridges, claim.bridgeAddress);
+    const claimNum = claim.actualClaimNum || claim.claimNum;
+    if (!bridge || !claim.networkKey || !networks[claim.networkKey] || !claimNum) return;
+    if (!byNetwork.has(claim.networkKey)) byNetwork.set(claim.networkKey, []);
+    byNetwork.get(claim.networkKey).push({ claim, bridge, claimNum: ethers.BigNumber.from(normalizeAmount(claimNum)).toString() });
+  });
+
+  await Promise.all([...byNetwork.entries()].map(async ([networkKey, entries]) => {
+    try {
+      const provider = getProvider(networkKey);
+      const network = networks[networkKey];
+      const { timestamp } = await provider.getBlock('latest');
+      const contracts = new Map();
+
+      await Promise.all(entries.map(async ({ claim, bridge, claimNum }) => {
+        const bridgeKey = bridge.address.toLowerCase();
+        if (!contracts.has(bridgeKey)) contracts.set(bridgeKey, createCounterstakeContract(bridge.address, provider));
+        const contract = contracts.get(bridgeKey);
+
+        const [yesStake, noStake] = await Promise.all([
+          contract.stakes(claimNum, OUTCOME_YES, account),
+          contract.stakes(claimNum, OUTCOME_NO, account),
+        ]);
+        const isClaimant = isSameAddress(claim.claimant_address, account);
+        if (!isClaimant && yesStake.isZero() && noStake.isZero()) return;
+
+        const details = await fetchClaimDetails({ contract, claimNum });
+        if (!details) return;
+        const position = getClaimPosition({ details, yesStake, noStake, account, now: timestamp });
+        if (!position) return;
+
+        const assetAddress = bridge.type === 'export' ? bridge.homeTokenAddress : bridge.foreignTokenAddress;
+        positions.push({
+          claim,
+          bridge,
+          networkKey,
+          claimNum,
+          yesStake,
+          noStake,
+          ...position,
+          stakeToken: {
+            address: bridge.stakeTokenAddress,
+            symbol: bridge.stakeTokenSymbol,
+            decimals: getConfiguredDecimals(network, bridge.stakeTokenAddress),
+          },
+          asset: {
+            address: assetAddress,
+            symbol: bridge.type === 'export' ? bridge.homeTokenSymbol : bridge.foreignTokenSymbol,
+            decimals: getConfiguredDecimals(network, assetAddress),
+          },
+        });
+      }));
+    } catch (error) {
+      console.warn(`⚠️ Failed to load claim positions on ${networkKey}:`, error.message);
+      errors.push({ networkKey, error: error.message });
+    }
+  }));
+
+  return { positions, errors };
+};
+
+/**
+ * Compute what redeemShares() pays out in one pool asset, mirroring the assistant contracts
+ * @param {Object} params - Redemption data
+ * @param {ethers.BigNumber} params.netBalance - Net balance (see computeNetBalances)
+ * @param {ethers.BigNumber} params.unavailableProfit - Profit not diffused into the balance yet
+ * @param {ethers.BigNumber} params.balanceInWork - Funds staked in claims
+ * @param {ethers.BigNumber} params.totalSupply - Shares in circulation
+ * @param {ethers.BigNumber} params.shares - Shares redeemed
+ * @param {number} params.exponent - Share curve exponent
+ * @param {number} params.fee10000 - Fee charged on redemptions, in basis points
+ * @returns {ethers.BigNumber} Amount paid, zero when the contract would revert
+ */
+export const computeRedeemAmount = ({ netBalance, unavailableProfit, balanceInWork, totalSupply, shares, exponent, fee10000 }) => {
+  const zero = ethers.constants.Zero;
+  const supply = ethers.BigNumber.from(totalSupply);
+  const redeemed = ethers.BigNumber.from(shares);
+  if (supply.isZero() || redeemed.isZero() || redeemed.gt(supply)) return zero;
+
+  const riskFree = ethers.BigNumber.from(netBalance).sub(unavailableProfit).sub(balanceInWork);
+  if (riskFree.lte(0)) return zero;
+
+  const supplyPow = supply.pow(exponent);
+  const amount = riskFree.mul(supplyPow.sub(supply.sub(redeemed).pow(exponent))).div(supplyPow);
+  return amount.sub(amount.mul(fee10000).div(10000));
+};
+
+/**
+ * Load the pool figures redeemShares() works with
+ * @param {ethers.providers.Provider} provider - Provider for the assistant network
+ * @param {Object} assistant - Assistant configuration (address, type, bridgeAddress)
+ * @returns {Promise<Object>} { tokenInfo, netBalance, unavailableProfit, balanceInWork, totalSupply, exponent, fee10000 },
+ * amounts as { stake, image }
+ */
+export const loadRedeemState = async (provider, assistant) => {
+  const zero = ethers.constants.Zero;
+  const contract = new ethers.Contract(assistant.address, getAssistantABI(assistant.type), provider);
+  const [totalSupply, exponent, exitFee10000, unavailableProfit] = await Promise.all([
+    contract.totalSupply(),
+    contract.exponent(),
+    contract.exit_fee10000(),
+    contract.getUnavailableProfit(),
+  ]);
+
+  if (isImportAssistant(assistant.type)) {
+    const state = await loadSwapPoolState(provider, assistant);
+    return {
+      tokenInfo: state.tokenInfo,
+      netBalance: computeNetBalances(state),
+      unavailableProfit: { stake: unavailableProfit.stake, image: unavailableProfit.image },
+      balanceInWork: state.balanceInWork,
+      totalSupply,
+      exponent: Number(exponent),
+      // Import assistants also charge the swap fee on redemptions
+      fee10000: Number(state.swapFee10000) + Number(exitFee10000),
+    };
+  }
+
+  const tokenInfo = await getAssistantTokenInfo(provider, assistant);
+  const [{ stakeBalance }, balanceInWork, mf, profit, networkFeeCompensation, ts, managementFee10000, successFee10000] = await Promise.all([
+    getAssistantPoolBalances(provider, assistant.address, tokenInfo),
+    contract.balance_in_work(),
+    contract.mf(),
+    contract.profit(),
+    contract.network_fee_compensation(),
+    contract.ts(),
+    contract.management_fee10000(),
+    contract.success_fee10000(),
+  ]);
+
+  // Export assistants only hold the stake asset
+  const netBalance = computeNetBalances({
+    grossBalance: { stake: stakeBalance.add(balanceInWork), image: zero },
+    mf: { stake: mf, image: zero },
+    profit: { stake: profit, image: zero },
+    networkFeeCompensation,
+    ts: ts.toNumber(),
+    managementFee10000,
+    successFee10000,
+  });
+
+  return {
+    tokenInfo,
+    netBalance,
+    unavailableProfit: { stake: unavailableProfit, image: zero },
+    balanceInWork: { stake: balanceInWork, image: zero },
+    totalSupply,
+    exponent: Number(exponent),
+    fee10000: Number(exitFee10000),
+  };
+};
+
+/**
+ * Read the account's assistant shares and value them at the current redemption price
+ * @param {Object} params - Load parameters
+ * @param {string} params.account - Account address
+ * @param {Array<Object>} params.assistants - Assistant configurations with networkKey
+ * @param {Array<Object>} params.bridges - Configured bridges
+ * @returns {Promise<Object>} { holdings, errors }, holdings being { assistant, networkKey, shares, shareSymbol,
+ * stakeAmount, imageAmount, stakeToken, imageToken } with tokens as { address, symbol, decimals }
+ */
+export const loadAssistantHoldings = async ({ account, assistants, bridges }) => {
+  const holdings = [];
+  const errors = [];
+
+  await Promise.all((assistants || []).map(async (assistant) => {
+    try {
+      const provider = getProvider(assistant.networkKey);
+      const shares = await new ethers.Contract(assistant.address, ERC20_ABI, provider).balanceOf(account);
+      if (shares.isZero()) return;
+
+      const state = await loadRedeemState(provider, assistant);
+      const redeem = (asset) => computeRedeemAmount({
+        netBalance: state.netBalance[asset],
+        unavailableProfit: state.unavailableProfit[asset],
+        balanceInWork: state.balanceInWork[asset],
+        totalSupply: state.totalSupply,
+        shares,
+        exponent: state.exponent,
+        fee10000: state.fee10000,
+      });
+      const bridge = findBridge(bridges, assistant.bridgeAddress);
+      const { tokenInfo } = state;
+
+      holdings.push({
+        assistant,
+        networkKey: assistant.networkKey,
+        shares,
+        shareSymbol: assistant.shareSymbol || assistant.symbol,
+        stakeAmount: redeem('stake'),
+        imageAmount: tokenInfo.imageTokenAddress ? redeem('image') : ethers.constants.Zero,
+        stakeToken: {
+          address: tokenInfo.stakeTokenAddress,
+          symbol: bridge?.stakeTokenSymbol,
+          decimals: tokenInfo.stakeDecimals,
+        },
+        imageToken: tokenInfo.imageTokenAddress ? {
+          address: tokenInfo.imageTokenAddress,
+          symbol: bridge?.foreignTokenSymbol,
+          decimals: tokenInfo.imageDecimals,
+        } : null,
+      });
+    } catch (error) {
+      console.warn(`⚠️ Failed to load assistant ${assistant.address}:`, error.message);
+      errors.push({ networkKey: assistant.networkKey, assistant: assistant.address, error: error.message });
+    }
+  }));
+
+  return { holdings, errors };
+};
+
+/**
+ * Add a conversion rate to a price graph, both ways
+ * @param {Map} graph - Price graph, symbol -> Map(symbol -> units of that symbol per unit)
+ * @param {string} base - Base asset symbol
+ * @param {string} quote - Quote asset symbol
+ * @param {number} price - Units of the quote asset paid for one unit of the base asset
+ */
+export const addPriceEdge = (graph, base, quote, price) => {
+  if (!base || !quote || base === quote || !(price > 0) || !Number.isFinite(price)) return;
+  if (!graph.has(base)) graph.set(base, new Map());
+  if (!graph.has(quote)) graph.set(quote, new Map());
+  graph.get(base).set(quote, price);
+  graph.get(quote).set(base, 1 / price);
+};
+
+/**
+ * Build a price graph from the oracles of every network.
+ * The symbol and native pairs price home tokens against each network's native coin, the assistant
+ * pairs price the native coin in stake tokens, and each bridge links its home and foreign token 1:1.
+ * @param {Object} params - Load parameters
+ * @param {Object} params.networks - Network configurations keyed by network key
+ * @param {Array<Object>} params.bridges - Configured bridges, each with its key
+ * @returns {Promise<Map>} Price graph for convertAmount
+ */
+export const loadPriceGraph = async ({ networks, bridges }) => {
+  const graph = new Map();
+  bridges.forEach(bridge => addPriceEdge(graph, bridge.homeTokenSymbol, bridge.foreignTokenSymbol, 1));
+
+  await Promise.all(Object.entries(networks).map(async ([networkKey, network]) => {
+    const resolve = (asset) => (asset === NATIVE_ASSET ? network.symbol : asset);
+    await Promise.all(Object.values(network.oracles || {}).map(async (oracle) => {
+      // Stake pairs are keyed by token addresses and network names rather than symbols
+      const pairs = getRequiredPricePairs(bridges, oracle.address, network.name).filter(pair => pair.usage !== 'stake');
+      if (pairs.length === 0) return;
+
+      try {
+        const prices = await readOraclePrices(getProvider(networkKey), oracle.address, pairs);
+        prices
+          .filter(price => !price.error && getPriceStatus(price) === PRICE_STATUS.OK)
+          .forEach(price => {
+            const value = fractionToDecimal(price.num, price.den, {
+              baseDecimals: getConfiguredDecimals(network, price.baseToken),
+              quoteDecimals: getConfiguredDecimals(network, price.quoteToken),
+              precision: PRICE_PRECISION,
+            });
+            addPriceEdge(graph, resolve(price.base), resolve(price.quote), parseFloat(value));
+          });
+      } catch (error) {
+        console.warn(`⚠️ Failed to read oracle ${oracle.address} on ${networkKey}:`, error.message);
+      }
+    }));
+  }));
+
+  return graph;
+};
+
+/**
+ * Convert an amount between two assets along the shortest chain of known prices
+ * @param {Map} graph - Price graph from loadPriceGraph
+ * @param {string} from - Symbol of the amount
+ * @param {string} to - Target symbol
+ * @param {number} amount - Amount in whole units
+ * @returns {number|null} Converted amount, null when no chain of prices connects the assets
+ */
+export const convertAmount = (graph, from, to, amount) => {
+  if (from === to) return amount;
+  if (!graph.has(from) || !graph.has(to)) return null;
+
+  const rates = new Map([[from, 1]]);
+  const queue = [from];
+  while (queue.length > 0) {
+    const symbol = queue.shift();
+    for (const [next, rate] of graph.get(symbol)) {
+      if (rates.has(next)) continue;
+      rates.set(next, rates.get(symbol) * rate);
+      if (next === to) return amount * rates.get(next);
+      queue.push(next);
+    }
+  }
+  return null;
+};
+
+/**
+ * List every amount of a portfolio as { symbol, amount } in whole units
+ * @param {Object} portfolio - Loaded portfolio sections
+ * @param {Array<Object>} portfolio.balances - Wallet balances
+ * @param {Array<Object>} portfolio.inFlight - Pending transfers, each with { symbol, decimals }
+ * @param {Array<Object>} portfolio.positions - Claim positions
+ * @param {Array<Object>} portfolio.holdings - Assistant holdings
+ * @returns {Array<Object>} { section, symbol, amount }
+ */
+export const getPortfolioAmounts = ({ balances = [], inFlight = [], positions = [], holdings = [] }) => [
+  ...balances.map(({ symbol, balance, decimals }) => ({ section: 'wallet', symbol, amount: toNumber(balance, decimals) })),
+  ...inFlight.map(({ symbol, amount, decimals }) => ({ section: 'inFlight', symbol, amount: toNumber(normalizeAmount(amount), decimals) })),
+  ...positions.flatMap(({ stakeToken, asset, stakePayout, claimedAmount }) => [
+    { section: 'claims', symbol: stakeToken.symbol, amount: toNumber(stakePayout, stakeToken.decimals) },
+    { section: 'claims', symbol: asset.symbol, amount: toNumber(claimedAmount, asset.decimals) },
+  ]),
+  ...holdings.flatMap(({ stakeToken, imageToken, stakeAmount, imageAmount }) => [
+    { section: 'pools', symbol: stakeToken.symbol, amount: toNumber(stakeAmount, stakeToken.decimals) },
+    ...(imageToken ? [{ section: 'pools', symbol: imageToken.symbol, amount: toNumber(imageAmount, imageToken.decimals) }] : []),
+  ]),
+].filter(({ symbol, amount }) => symbol && amount > 0);
+
+/**
+ * Convert portfolio amounts into one asset and total them per section
+ * @param {Array<Object>} amounts - Amounts from getPortfolioAmounts
+ * @param {Map} graph - Price graph from loadPriceGraph
+ * @param {string} symbol - Valuation asset
+ * @returns {Object} { total, sections: { [section]: number }, unpriced: Array<string> } with unpriced listing symbols without a price
+ */
+export const getPortfolioTotals = (amounts, graph, symbol) => {
+  const sections = {};
+  const unpriced = new Set();
+  let total = 0;
+
+  amounts.forEach(({ section, symbol: from, amount }) => {
+    const value = convertAmount(graph, from, symbol, amount);
+    if (value === null) {
+      unpriced.add(from);
+      return;
+    }
+    sections[section] = (sections[section] || 0) + value;
+    total += value;
+  });
+
+  return { total, sections, unpriced: [...unpriced] };
+};
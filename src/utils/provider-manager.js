@@ -98,6 +98,21 @@ class ProviderManager {
     });
   }
 
+  /**
+   * Use an existing provider for a network, e.g. a recorded RPC fixture in Node scripts.
+   * Lookups made by the detectors through getProvider() then go to the same provider.
+   * @param {string} networkKey - Network key
+   * @param {ethers.providers.JsonRpcProvider} provider - Provider to use
+   */
+  setProvider(networkKey, provider) {
+    const rpcUrl = provider.connection.url;
+    this.settings = {
+      ...(this.settings || {}),
+      [networkKey]: { ...(this.settings?.[networkKey] || {}), customRpc: true, rpcUrl },
+    };
+    this.providers.set(networkKey, provider);
+  }
+
   /**
    * Get provider for a specific network with circuit breaker protection
    * @param {string} networkKey - Network key (ETHEREUM, BSC, THREEDPASS)
@@ -456,6 +471,13 @@ export const getProvider = (networkKey) => providerManager.getProvider(networkKe
  */
 export const getProviders = (networkKeys) => providerManager.getProviders(networkKeys);
 
+/**
+ * Use an existing provider for a network
+ * @param {string} networkKey - Network key
+ * @param {ethers.providers.JsonRpcProvider} provider - Provider to use
+ */
+export const setProvider = (networkKey, provider) => providerManager.setProvider(networkKey, provider);
+
 /**
  * Update provider manager settings
  * @param {Object} settings - Current settings
@@ -0,0 +1,195 @@
+/**
+ * Reward Estimator Utilities
+ *
+ * Suggests transfer rewards from what a third-party claimer spends: the claim gas on the
+ * destination chain priced in stake tokens (as getGasCostInStakeTokens() of the assistant
+ * contracts does), and the stake and paid amount locked until the claim is withdrawn.
+ * The expected wait comes from how cached transfers with similar rewards were claimed.
+ * Used by src/components/RewardEstimator.js.
+ */
+
+import { ethers } from 'ethers';
+import { getProvider } from './provider-manager';
+import { getBridgeNetworkKey } from './assistant-manager';
+import {
+  DEFAULT_CLAIM_GAS,
+  getClaimBridge,
+  getGasCostInStakeTokens,
+  loadClaimBridgeContext,
+} from './claim-bot';
+
+export const REWARD_SPEEDS = {
+  LOW: 'low',
+  TYPICAL: 'typical',
+  FAST: 'fast',
+};
+
+// Margin on the gas cost (percent) and return on the locked capital (basis points) offered to claimers
+export const REWARD_SPEED_SETTINGS = {
+  [REWARD_SPEEDS.LOW]: { label: 'Low', gasPercent: 120, capitalBps: 0 },
+  [REWARD_SPEEDS.TYPICAL]: { label: 'Typical', gasPercent: 150, capitalBps: 10 },
+  [REWARD_SPEEDS.FAST]: { label: 'Fast', gasPercent: 200, capitalBps: 30 },
+};
+
+// Past rewards within this factor of a suggestion count as similar
+const SIMILAR_REWARD_FACTOR = 2;
+
+const bn = (value) => ethers.BigNumber.from(value || 0);
+
+/**
+ * Get the reward of a transfer relative to its amount
+ * @param {ethers.BigNumber|string} amount - Transfer amount
+ * @param {ethers.BigNumber|string} reward - Transfer reward
+ * @returns {number} Reward in basis points of the amount, 0 for empty amounts
+ */
+export const getRewardBps = (amount, reward) => {
+  const amountBn = bn(amount);
+  if (amountBn.lte(0)) return 0;
+  if (bn(reward).gte(amountBn)) return 10000;
+  // Ten-thousandths of a basis point keep small rewards apart
+  return bn(reward).mul(100000000).div(amountBn).toNumber() / 10000;
+};
+
+/**
+ * Compute the smallest reward that pays a claimer the gas margin and the return on the locked capital.
+ * Mirrors evaluateClaimProfitability(): the paid amount (amount - reward) is locked next to the stake.
+ * @param {Object} params - Reward inputs
+ * @param {ethers.BigNumber} params.amount - Transfer amount
+ * @param {ethers.BigNumber} params.requiredStake - getRequiredStake(amount) of the claim bridge
+ * @param {ethers.BigNumber} params.gasCost - Claim gas cost in stake tokens
+ * @param {Object} params.transferPrice - Price of the transferred asset in stake tokens { num, den }
+ * @param {number} params.gasPercent - Gas cost margin in percent
+ * @param {number} params.capitalBps - Return on the locked capital in basis points
+ * @returns {ethers.BigNumber} Reward in the transferred asset, rounded up
+ */
+export const computeReward = ({ amount, requiredStake, gasCost, transferPrice, gasPercent, capitalBps }) => {
+  const num = bn(transferPrice.num);
+  const den = bn(transferPrice.den);
+  const amountInStakeTokens = bn(amount).mul(num).div(den);
+  // reward * (10000 + bps) >= gas * 10000 + (stake + amount) * bps, all in stake tokens
+  const target = bn(gasCost).mul(gasPercent).mul(100).add(bn(requiredStake).add(amountInStakeTokens).mul(capitalBps));
+  const rewardInStakeTokens = target.add(10000 + capitalBps - 1).div(10000 + capitalBps);
+  return rewardInStakeTokens.mul(den).add(num).sub(1).div(num);
+};
+
+/**
+ * Summarize how fast cached transfers with a similar reward were claimed by third parties.
+ * Transfers claimed by their recipient are left out, the reward didn't matter for them.
+ * @param {Object} params - History parameters
+ * @param {Array<Object>} params.transfers - Cached transfers
+ * @param {Array<Object>} params.claims - Cached claims
+ * @param {string} params.bridgeAddress - Bridge the transfers are sent from
+ * @param {number} params.rewardBps - Reward to compare with, from getRewardBps
+ * @returns {Object} { samples, claimed, medianDelay }, medianDelay in seconds (null without claimed samples)
+ */
+export const getClaimDelayStats = ({ transfers, claims, bridgeAddress, rewardBps }) => {
+  const claimsByTxid = new Map();
+  claims.forEach(claim => {
+    if (claim.txid) claimsByTxid.set(claim.txid.toLowerCase(), claim);
+  });
+
+  const isSimilar = (bps) => (rewardBps === 0
+    ? bps === 0
+    : bps >= rewardBps / SIMILAR_REWARD_FACTOR && bps <= rewardBps * SIMILAR_REWARD_FACTOR);
+
+  let samples = 0;
+  const delays = [];
+  transfers.forEach(transfer => {
+    if (transfer.bridgeAddress?.toLowerCase() !== bridgeAddress.toLowerCase()) return;
+    if (!isSimilar(getRewardBps(transfer.amount, transfer.reward))) return;
+
+    const claim = claimsByTxid.get((transfer.txid || transfer.transactionHash || '').toLowerCase());
+    const claimant = claim?.claimant_address || claim?.args?.author_address;
+    if (claim && claimant && claimant.toLowerCase() === transfer.recipientAddress?.toLowerCase()) return;
+
+    samples++;
+    const transferTs = Number(claim?.txts || transfer.timestamp);
+    if (claim && claim.timestamp && transferTs) {
+      delays.push(Math.max(0, Number(claim.timestamp) - transferTs));
+    }
+  });
+
+  delays.sort((a, b) => a - b);
+  const middle = Math.floor(delays.length / 2);
+  return {
+    samples,
+    claimed: delays.length,
+    medianDelay: delays.length === 0
+      ? null
+      : (delays.length % 2 ? delays[middle] : Math.round((delays[middle - 1] + delays[middle]) / 2)),
+  };
+};
+
+/**
+ * Load the claim side costs of transfers sent from a bridge
+ * @param {Object} params - Load parameters
+ * @param {Object} params.transferBridge - Bridge the transfer is sent from
+ * @param {Object} params.allBridges - All bridge configurations keyed by bridge key
+ * @param {Object} params.networks - Networks with settings (to locate the claim bridge)
+ * @returns {Promise<Object>} { claimBridge, networkKey, context, gasPrice, gasCost }, gasCost in stake tokens
+ */
+export const loadRewardContext = async ({ transferBridge, allBridges, networks }) => {
+  try {
+    const claimBridge = getClaimBridge(transferBridge, allBridges);
+    if (!claimBridge) throw new Error(`No claim bridge found for ${transferBridge.address}`);
+    const networkKey = getBridgeNetworkKey(claimBridge.address, networks);
+    if (!networkKey) throw new Error(`No network found for claim bridge ${claimBridge.address}`);
+
+    const provider = getProvider(networkKey);
+    const [context, gasPrice] = await Promise.all([
+      loadClaimBridgeContext(provider, claimBridge),
+      provider.getGasPrice(),
+    ]);
+
+    return {
+      claimBridge,
+      networkKey,
+      context,
+      gasPrice,
+      gasCost: getGasCostInStakeTokens(DEFAULT_CLAIM_GAS, gasPrice, context.nativePrice),
+    };
+  } catch (error) {
+    console.error('❌ Error loading reward context:', error);
+    throw new Error(`Failed to load reward context: ${error.message}`);
+  }
+};
+
+/**
+ * Suggest low, typical and fast rewards for a transfer
+ * @param {Object} params - Estimation parameters
+ * @param {Object} params.rewardContext - Result of loadRewardContext
+ * @param {string} params.bridgeAddress - Bridge the transfer is sent from
+ * @param {ethers.BigNumber} params.amount - Transfer amount
+ * @param {Object} [params.history] - Cached { transfers, claims } for the expected wait
+ * @returns {Promise<Object>} { requiredStake, gasCost, options }, gasCost in the transferred asset and options as
+ * { speed, label, reward, rewardBps, exceedsAmount, delay } in REWARD_SPEED_SETTINGS order
+ */
+export const estimateRewards = async ({ rewardContext, bridgeAddress, amount, history = { transfers: [], claims: [] } }) => {
+  try {
+    const { context, gasCost } = rewardContext;
+    const requiredStake = await context.contract.getRequiredStake(amount);
+    const { num, den } = context.transferPrice;
+
+    const options = Object.entries(REWARD_SPEED_SETTINGS).map(([speed, { label, gasPercent, capitalBps }]) => {
+      const reward = computeReward({ amount, requiredStake, gasCost, transferPrice: context.transferPrice, gasPercent, capitalBps });
+      const rewardBps = getRewardBps(amount, reward);
+      return {
+        speed,
+        label,
+        reward,
+        rewardBps,
+        exceedsAmount: reward.gte(amount),
+        delay: getClaimDelayStats({ ...history, bridgeAddress, rewardBps }),
+      };
+    });
+
+    return {
+      requiredStake,
+      gasCost: bn(gasCost).mul(den).div(num),
+      options,
+    };
+  } catch (error) {
+    console.error('❌ Error estimating rewards:', error);
+    throw new Error(`Failed to estimate rewards: ${error.message}`);
+  }
+};
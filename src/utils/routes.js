@@ -0,0 +1,145 @@
+/**
+ * URL routes of the app and the query state kept in them
+ */
+
+// Path of each top-level tab
+export const TAB_PATHS = {
+  bridge: '/',
+  transfers: '/transfers',
+  pools: '/pools',
+  governance: '/governance',
+  watchtower: '/watchtower',
+  tracker: '/track',
+  account: '/account',
+};
+
+// Status filters of the transfers list
+export const CLAIM_LIST_FILTERS = ['all', 'my', 'pending', 'active', 'suspicious'];
+
+// Views of the transfers list: event history, or ongoing claims read from the bridges
+export const CLAIM_LIST_MODES = ['history', 'live'];
+
+// History ranges offered by the transfers list, in hours
+export const CLAIM_LIST_RANGE_HOURS = [6, 12, 24, 48, 72, 96, 120, 168, 240, 336];
+
+export const DEFAULT_CLAIM_LIST_PARAMS = {
+  filter: 'all',
+  bridgeDirection: 'all',
+  rangeHours: 24,
+  mode: 'history',
+};
+
+// Query keys of a pre-filled bridge form, mapped to the prefill fields
+const BRIDGE_FORM_PARAMS = {
+  from: 'sourceNetworkKey',
+  token: 'sourceToken',
+  to: 'destinationNetworkKey',
+  toToken: 'destinationToken',
+  amount: 'amount',
+  recipient: 'destinationAddress',
+};
+
+/**
+ * Get the tab a path belongs to
+ * @param {string} pathname - Location pathname
+ * @returns {string} Tab id, 'bridge' for unknown paths
+ */
+export const getTabFromPath = (pathname) => {
+  const segment = `/${(pathname || '').split('/').filter(Boolean)[0] || ''}`;
+  return Object.keys(TAB_PATHS).find(tab => TAB_PATHS[tab] === segment) || 'bridge';
+};
+
+/**
+ * Build the path of a single claim
+ * @param {Object} params - Claim location
+ * @param {string} params.networkKey - Network the claim was made on
+ * @param {string} params.bridgeAddress - Bridge holding the claim
+ * @param {string|number} params.claimNum - Claim number or claim id
+ * @returns {string} Claim path
+ */
+export const getClaimPath = ({ networkKey, bridgeAddress, claimNum }) => {
+  return `${TAB_PATHS.transfers}/${encodeURIComponent(networkKey)}/${encodeURIComponent(bridgeAddress)}/${encodeURIComponent(claimNum.toString())}`;
+};
+
+/**
+ * Build the path of a single assistant
+ * @param {string} assistantAddress - Assistant contract address
+ * @returns {string} Assistant path
+ */
+export const getAssistantPath = (assistantAddress) => {
+  return `${TAB_PATHS.pools}/${encodeURIComponent(assistantAddress)}`;
+};
+
+/**
+ * Read a pre-filled bridge form from the query string
+ * @param {string} search - Query string, e.g. ?from=ETHEREUM&token=USDT&amount=10
+ * @returns {Object} Prefill fields that are present in the query
+ */
+export const parseBridgeFormParams = (search) => {
+  const params = new URLSearchParams(search);
+  const prefill = {};
+
+  Object.entries(BRIDGE_FORM_PARAMS).forEach(([param, field]) => {
+    const value = params.get(param)?.trim();
+    if (value) prefill[field] = value;
+  });
+
+  if (prefill.sourceNetworkKey) prefill.sourceNetworkKey = prefill.sourceNetworkKey.toUpperCase();
+  if (prefill.destinationNetworkKey) prefill.destinationNetworkKey = prefill.destinationNetworkKey.toUpperCase();
+  if (prefill.amount && !/^\d*\.?\d+$/.test(prefill.amount)) delete prefill.amount;
+
+  return prefill;
+};
+
+/**
+ * Build the query string of a pre-filled bridge form
+ * @param {Object} prefill - Prefill fields as returned by parseBridgeFormParams
+ * @returns {string} Query string starting with '?', or '' when nothing is pre-filled
+ */
+export const getBridgeFormSearch = (prefill) => {
+  const params = new URLSearchParams();
+
+  Object.entries(BRIDGE_FORM_PARAMS).forEach(([param, field]) => {
+    if (prefill?.[field]) params.set(param, prefill[field]);
+  });
+
+  const query = params.toString();
+  return query ? `?${query}` : '';
+};
+
+/**
+ * Read the transfers list filters from the query string
+ * @param {string} search - Query string, e.g. ?status=pending&direction=...&range=48&mode=live
+ * @returns {Object} { filter, bridgeDirection, rangeHours, mode } with defaults for missing or invalid values
+ */
+export const parseClaimListParams = (search) => {
+  const params = new URLSearchParams(search);
+  const status = params.get('status');
+  const direction = params.get('direction');
+  const range = parseInt(params.get('range'), 10);
+  const mode = params.get('mode');
+
+  return {
+    filter: CLAIM_LIST_FILTERS.includes(status) ? status : DEFAULT_CLAIM_LIST_PARAMS.filter,
+    bridgeDirection: direction || DEFAULT_CLAIM_LIST_PARAMS.bridgeDirection,
+    rangeHours: CLAIM_LIST_RANGE_HOURS.includes(range) ? range : DEFAULT_CLAIM_LIST_PARAMS.rangeHours,
+    mode: CLAIM_LIST_MODES.includes(mode) ? mode : DEFAULT_CLAIM_LIST_PARAMS.mode,
+  };
+};
+
+/**
+ * Build the query string of the transfers list filters, leaving out defaults
+ * @param {Object} filters - { filter, bridgeDirection, rangeHours, mode }
+ * @returns {string} Query string starting with '?', or '' when all filters are defaults
+ */
+export const getClaimListSearch = ({ filter, bridgeDirection, rangeHours, mode }) => {
+  const params = new URLSearchParams();
+
+  if (filter && filter !== DEFAULT_CLAIM_LIST_PARAMS.filter) params.set('status', filter);
+  if (bridgeDirection && bridgeDirection !== DEFAULT_CLAIM_LIST_PARAMS.bridgeDirection) params.set('direction', bridgeDirection);
+  if (rangeHours && rangeHours !== DEFAULT_CLAIM_LIST_PARAMS.rangeHours) params.set('range', rangeHours.toString());
+  if (mode && mode !== DEFAULT_CLAIM_LIST_PARAMS.mode) params.set('mode', mode);
+
+  const query = params.toString();
+  return query ? `?${query}` : '';
+};
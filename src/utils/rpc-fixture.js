@@ -0,0 +1,106 @@
+/**
+ * RPC Fixtures
+ *
+ * Records the JSON-RPC responses of a live node (or a local Hardhat/Ganache chain) into
+ * a JSON fixture and replays them offline, so Node scripts and tests can run the
+ * detectors without network access. Responses are keyed by method and params.
+ */
+
+import { ethers } from 'ethers';
+
+export const RPC_FIXTURE_FORMAT = 'counterstake-rpc-fixture';
+export const RPC_FIXTURE_VERSION = 1;
+
+/**
+ * Get the key a request is stored under in a fixture
+ * @param {string} method - JSON-RPC method
+ * @param {Array} params - JSON-RPC params
+ * @returns {string} Fixture key
+ */
+export const getFixtureKey = (method, params = []) => `${method}:${JSON.stringify(params)}`;
+
+// Only JSON-RPC errors (numeric codes, e.g. reverts) are part of the chain state worth recording
+const getRpcError = (error) => {
+  const rpcError = error?.error && typeof error.error.code === 'number' ? error.error : error;
+  if (typeof rpcError?.code !== 'number') return null;
+  return { code: rpcError.code, message: rpcError.message, data: rpcError.data };
+};
+
+/**
+ * Provider that records every JSON-RPC response it receives
+ */
+export class RecordingProvider extends ethers.providers.StaticJsonRpcProvider {
+  constructor(url, network) {
+    super(url, network);
+    this.responses = {};
+  }
+
+  async send(method, params) {
+    const key = getFixtureKey(method, params);
+    try {
+      const result = await super.send(method, params);
+      this.responses[key] = { result };
+      return result;
+    } catch (error) {
+      const rpcError = getRpcError(error);
+      if (rpcError) this.responses[key] = { error: rpcError };
+      throw error;
+    }
+  }
+}
+
+/**
+ * Provider that answers from recorded responses and never touches the network
+ */
+export class FixtureProvider extends ethers.providers.StaticJsonRpcProvider {
+  constructor(networkKey, { chainId, responses = {} }) {
+    super(`fixture://${networkKey}`, { chainId, name: networkKey.toLowerCase() });
+    this.responses = responses;
+  }
+
+  async send(method, params) {
+    const response = this.responses[getFixtureKey(method, params)];
+    if (!response) {
+      throw new Error(`No recorded response for ${method} ${JSON.stringify(params)}`);
+    }
+    if (response.error) {
+      // Same shape as the errors of a live JSON-RPC node
+      const error = new Error(response.error.message);
+      error.code = response.error.code;
+      error.data = response.error.data;
+      throw error;
+    }
+    return response.result;
+  }
+}
+
+/**
+ * Build a fixture from recording providers
+ * @param {Object} providers - RecordingProvider instances keyed by network key
+ * @returns {Promise<Object>} Fixture { format, version, networks }
+ */
+export const createFixture = async (providers) => {
+  const networks = {};
+  for (const [networkKey, provider] of Object.entries(providers)) {
+    const { chainId } = await provider.getNetwork();
+    networks[networkKey] = { chainId, responses: provider.responses };
+  }
+  return { format: RPC_FIXTURE_FORMAT, version: RPC_FIXTURE_VERSION, networks };
+};
+
+/**
+ * Create replay providers from a fixture
+ * @param {Object} fixture - Parsed fixture file
+ * @returns {Object} FixtureProvider instances keyed by network key
+ */
+export const createFixtureProviders = (fixture) => {
+  if (fixture?.format !== RPC_FIXTURE_FORMAT || !fixture.networks) {
+    throw new Error('Invalid RPC fixture: not a recorded fixture file');
+  }
+  if (fixture.version > RPC_FIXTURE_VERSION) {
+    throw new Error(`Invalid RPC fixture: version ${fixture.version} is not supported`);
+  }
+  return Object.fromEntries(
+    Object.entries(fixture.networks).map(([networkKey, network]) => [networkKey, new FixtureProvider(networkKey, network)])
+  );
+};
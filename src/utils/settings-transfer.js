@@ -0,0 +1,368 @@
+/**
+ * Settings Transfer
+ *
+ * Versioned JSON export and import of the user settings kept in localStorage
+ * (custom RPCs, contracts, tokens, bridges, assistants and oracles), the diff an
+ * import makes against the current settings, and shareable links for a single bridge.
+ */
+
+import { ethers } from 'ethers';
+import { NETWORKS } from '../config/networks';
+import { autoDetectBridge, validateOracleContract } from './bridge-detector';
+import { autoDetectAssistant } from './assistant-detector';
+
+export const SETTINGS_EXPORT_FORMAT = 'counterstake-bridge-settings';
+export const SETTINGS_EXPORT_VERSION = 1;
+
+// Query parameter of a shared bridge link
+export const SHARED_BRIDGE_PARAM = 'sharedBridge';
+const SHARED_BRIDGE_VERSION = 1;
+
+// Per-network dictionaries that are merged entry by entry, with the flag that enables them
+const ENTRY_SECTIONS = {
+  tokens: 'customTokens',
+  bridges: 'customBridges',
+  assistants: 'customAssistants',
+  oracles: 'customOracles',
+};
+
+// Single network fields, with the flag that enables them
+const NETWORK_FIELDS = {
+  rpcUrl: 'customRpc',
+  apiKey: 'customApiKey',
+  contracts: 'customContracts',
+  isEVM: 'customIsEVM',
+  createdAt: 'customCreatedAt',
+};
+
+// Sections holding contracts that are checked on chain before they are imported
+const VERIFIED_SECTIONS = ['bridges', 'assistants', 'oracles'];
+
+// Status fields recomputed on every machine
+const VOLATILE_FIELDS = ['upToDate'];
+
+// Bridge fields that must match what the contract reports
+const BRIDGE_VERIFY_FIELDS = ['type', 'homeTokenAddress', 'foreignTokenAddress', 'stakeTokenAddress', 'oracleAddress'];
+const ASSISTANT_VERIFY_FIELDS = ['type', 'bridgeAddress'];
+
+export const IMPORT_STATUS = {
+  ADDED: 'added',
+  CHANGED: 'changed',
+  UNCHANGED: 'unchanged',
+};
+
+export const IMPORT_RESOLUTION = {
+  KEEP: 'keep',
+  REPLACE: 'replace',
+};
+
+const stripVolatile = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+  const stripped = { ...value };
+  VOLATILE_FIELDS.forEach(field => delete stripped[field]);
+  return stripped;
+};
+
+// JSON with sorted keys, so that key order does not count as a change
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+const sameValue = (a, b) => {
+  const normalize = (value) => (value === undefined || value === null || value === '' ? null : String(value).toLowerCase());
+  return normalize(a) === normalize(b);
+};
+
+/**
+ * Build the export file of the settings
+ * @param {Object} settings - Settings as kept in localStorage
+ * @param {Object} options - Export options
+ * @param {boolean} options.includeApiKeys - Keep explorer API keys in the file (default: false)
+ * @returns {Object} Export { format, version, exportedAt, networks }
+ */
+export const exportSettings = (settings, { includeApiKeys = false, now = Date.now() } = {}) => {
+  const networks = {};
+  Object.entries(settings || {}).forEach(([networkKey, networkSettings]) => {
+    if (!NETWORKS[networkKey] || !networkSettings || typeof networkSettings !== 'object') return;
+    const exported = { ...networkSettings };
+    if (!includeApiKeys) {
+      delete exported.apiKey;
+      delete exported.customApiKey;
+    }
+    networks[networkKey] = exported;
+  });
+
+  return {
+    format: SETTINGS_EXPORT_FORMAT,
+    version: SETTINGS_EXPORT_VERSION,
+    exportedAt: new Date(now).toISOString(),
+    networks,
+  };
+};
+
+/**
+ * Read an export file
+ * @param {string} text - File contents
+ * @returns {Object} Export with the networks this app knows
+ */
+export const parseSettingsExport = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid settings file: ${error.message}`);
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data) || data.format !== SETTINGS_EXPORT_FORMAT) {
+    throw new Error('Invalid settings file: not a bridge settings export');
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new Error('Invalid settings file: missing version');
+  }
+  if (data.version > SETTINGS_EXPORT_VERSION) {
+    throw new Error(`Settings file version ${data.version} is newer than this app supports (${SETTINGS_EXPORT_VERSION})`);
+  }
+
+  const networks = {};
+  Object.entries(data.networks || {}).forEach(([networkKey, networkSettings]) => {
+    if (!NETWORKS[networkKey] || !networkSettings || typeof networkSettings !== 'object') {
+      console.warn(`⚠️ Skipping unknown network ${networkKey} in settings file`);
+      return;
+    }
+    networks[networkKey] = networkSettings;
+  });
+
+  return { ...data, networks };
+};
+
+const findKeyByAddress = (items, address) => {
+  if (!items || !address) return null;
+  return Object.keys(items).find(key => items[key]?.address?.toLowerCase() === address.toLowerCase()) || null;
+};
+
+const getChangedFields = (current, incoming) => {
+  if (!current || typeof current !== 'object' || typeof incoming !== 'object') return [];
+  const fields = new Set([...Object.keys(current), ...Object.keys(incoming)]);
+  return [...fields]
+    .filter(field => !VOLATILE_FIELDS.includes(field))
+    .filter(field => stableStringify(current[field]) !== stableStringify(incoming[field]));
+};
+
+const createEntry = (networkKey, section, key, currentKey, current, incoming) => {
+  const status = current === null
+    ? IMPORT_STATUS.ADDED
+    : stableStringify(stripVolatile(current)) === stableStringify(stripVolatile(incoming))
+      ? IMPORT_STATUS.UNCHANGED
+      : IMPORT_STATUS.CHANGED;
+
+  return {
+    id: `${networkKey}.${section}.${key}`,
+    networkKey,
+    section,
+    key,
+    currentKey,
+    current,
+    incoming,
+    status,
+    changedFields: status === IMPORT_STATUS.CHANGED ? getChangedFields(current, incoming) : [],
+  };
+};
+
+/**
+ * Compare imported settings with the current ones, entry by entry.
+ * Bridges, assistants and oracles stored under another key with the same address
+ * are matched too, so an import does not duplicate them.
+ * @param {Object} current - Current settings
+ * @param {Object} networks - Imported networks, as returned by parseSettingsExport
+ * @returns {Array} Entries { id, networkKey, section, key, currentKey, current, incoming, status, changedFields }
+ */
+export const diffSettings = (current, networks) => {
+  const entries = [];
+
+  Object.entries(networks).forEach(([networkKey, incomingNetwork]) => {
+    const currentNetwork = current?.[networkKey] || {};
+
+    Object.entries(NETWORK_FIELDS).forEach(([field, flag]) => {
+      if (incomingNetwork[field] === undefined) return;
+      const incoming = { value: incomingNetwork[field], enabled: !!incomingNetwork[flag] };
+      const existing = currentNetwork[field] === undefined
+        ? null
+        : { value: currentNetwork[field], enabled: !!currentNetwork[flag] };
+      entries.push(createEntry(networkKey, 'network', field, existing && field, existing, incoming));
+    });
+
+    Object.keys(ENTRY_SECTIONS).forEach(section => {
+      const currentItems = currentNetwork[section] || {};
+      Object.entries(incomingNetwork[section] || {}).forEach(([key, incoming]) => {
+        if (!incoming || typeof incoming !== 'object') return;
+        const currentKey = currentItems[key]
+          ? key
+          : section === 'tokens' ? null : findKeyByAddress(currentItems, incoming.address);
+        entries.push(createEntry(networkKey, section, key, currentKey, currentKey ? currentItems[currentKey] : null, incoming));
+      });
+    });
+  });
+
+  return entries;
+};
+
+/**
+ * Default choice per entry: new entries are imported, conflicting ones keep the current value
+ * @param {Array} entries - Result of diffSettings
+ * @returns {Object} Resolutions by entry id
+ */
+export const getDefaultResolutions = (entries) => {
+  const resolutions = {};
+  entries.forEach(entry => {
+    if (entry.status === IMPORT_STATUS.ADDED) resolutions[entry.id] = IMPORT_RESOLUTION.REPLACE;
+    if (entry.status === IMPORT_STATUS.CHANGED) resolutions[entry.id] = IMPORT_RESOLUTION.KEEP;
+  });
+  return resolutions;
+};
+
+/**
+ * Whether an entry is a contract that has to be checked on chain before it is imported
+ * @param {Object} entry - Diff entry
+ * @returns {boolean}
+ */
+export const needsVerification = (entry) => {
+  return VERIFIED_SECTIONS.includes(entry.section) && entry.status !== IMPORT_STATUS.UNCHANGED;
+};
+
+/**
+ * Check an imported bridge, assistant or oracle against its contract
+ * @param {ethers.providers.Provider} provider - Provider for the entry network
+ * @param {Object} entry - Diff entry
+ * @param {Object} settings - Current settings
+ * @returns {Promise<Object>} { verified, message }
+ */
+export const verifyImportedEntry = async (provider, entry, settings = null) => {
+  const { networkKey, section, incoming } = entry;
+  try {
+    if (!incoming.address || !ethers.utils.isAddress(incoming.address)) {
+      return { verified: false, message: 'Invalid contract address' };
+    }
+
+    if (section === 'bridges') {
+      const result = await autoDetectBridge(provider, incoming.address, networkKey, settings);
+      if (!result.success) return { verified: false, message: result.message };
+      const mismatches = BRIDGE_VERIFY_FIELDS.filter(field => !sameValue(result.bridgeConfig[field], incoming[field]));
+      return mismatches.length > 0
+        ? { verified: false, message: `Contract reports a different ${mismatches.join(', ')}` }
+        : { verified: true, message: `Verified ${result.bridgeConfig.type} bridge` };
+    }
+
+    if (section === 'assistants') {
+      const result = await autoDetectAssistant(provider, incoming.address, networkKey, {}, settings);
+      if (!result.success) return { verified: false, message: result.message };
+      const mismatches = ASSISTANT_VERIFY_FIELDS.filter(field => !sameValue(result.assistantConfig[field], incoming[field]));
+      return mismatches.length > 0
+        ? { verified: false, message: `Contract reports a different ${mismatches.join(', ')}` }
+        : { verified: true, message: `Verified ${result.assistantConfig.type} assistant` };
+    }
+
+    if (section === 'oracles') {
+      const result = await validateOracleContract(provider, incoming.address);
+      return result.isValid
+        ? { verified: true, message: 'Verified oracle' }
+        : { verified: false, message: result.error };
+    }
+
+    return { verified: true, message: null };
+  } catch (error) {
+    console.error(`❌ Error verifying imported ${section} entry ${entry.key}:`, error);
+    return { verified: false, message: error.message };
+  }
+};
+
+/**
+ * Apply the chosen entries to the settings. Contracts that were not verified are never imported.
+ * @param {Object} current - Current settings
+ * @param {Array} entries - Result of diffSettings
+ * @param {Object} resolutions - Choice per entry id
+ * @param {Object} verifications - Result of verifyImportedEntry per entry id
+ * @returns {Object} New settings
+ */
+export const applySettingsImport = (current, entries, resolutions, verifications = {}) => {
+  const next = { ...current };
+
+  entries.forEach(entry => {
+    if (entry.status === IMPORT_STATUS.UNCHANGED || resolutions[entry.id] !== IMPORT_RESOLUTION.REPLACE) return;
+    if (needsVerification(entry) && !verifications[entry.id]?.verified) return;
+
+    const network = { ...next[entry.networkKey] };
+    if (entry.section === 'network') {
+      network[entry.key] = entry.incoming.value;
+      network[NETWORK_FIELDS[entry.key]] = entry.incoming.enabled;
+    } else {
+      const items = { ...network[entry.section] };
+      if (entry.currentKey && entry.currentKey !== entry.key) {
+        delete items[entry.currentKey];
+      }
+      // Verified contracts match the chain at import time
+      items[entry.key] = entry.section === 'bridges' || entry.section === 'assistants'
+        ? { ...stripVolatile(entry.incoming), upToDate: true }
+        : stripVolatile(entry.incoming);
+      network[entry.section] = items;
+      network[ENTRY_SECTIONS[entry.section]] = true;
+    }
+    next[entry.networkKey] = network;
+  });
+
+  return next;
+};
+
+/**
+ * Encode a single bridge for a shareable link
+ * @param {string} networkKey - Network the bridge is configured under
+ * @param {string} bridgeKey - Bridge key
+ * @param {Object} bridgeConfig - Bridge configuration
+ * @returns {string} URL-safe base64 payload
+ */
+export const encodeSharedBridge = (networkKey, bridgeKey, bridgeConfig) => {
+  const json = JSON.stringify({ v: SHARED_BRIDGE_VERSION, network: networkKey, key: bridgeKey, bridge: stripVolatile(bridgeConfig) });
+  return ethers.utils.base64.encode(ethers.utils.toUtf8Bytes(json))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+};
+
+/**
+ * Decode a shared bridge into importable networks
+ * @param {string} payload - Value of the shared bridge query parameter
+ * @returns {Object} Networks for diffSettings, e.g. { ETHEREUM: { bridges: { P3D_IMPORT: {...} } } }
+ */
+export const decodeSharedBridge = (payload) => {
+  let data;
+  try {
+    const base64 = payload.replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+    data = JSON.parse(ethers.utils.toUtf8String(ethers.utils.base64.decode(padded)));
+  } catch (error) {
+    throw new Error('Invalid shared bridge link');
+  }
+
+  if (data?.v !== SHARED_BRIDGE_VERSION || !NETWORKS[data.network] || !data.key || !data.bridge?.address) {
+    throw new Error('Invalid shared bridge link');
+  }
+  return { [data.network]: { bridges: { [data.key]: data.bridge } } };
+};
+
+/**
+ * Build a link that opens the import review for a single bridge
+ * @param {string} baseUrl - App URL, e.g. window.location.origin
+ * @param {string} networkKey - Network the bridge is configured under
+ * @param {string} bridgeKey - Bridge key
+ * @param {Object} bridgeConfig - Bridge configuration
+ * @returns {string} Shareable URL
+ */
+export const getSharedBridgeUrl = (baseUrl, networkKey, bridgeKey, bridgeConfig) => {
+  return `${baseUrl}/?${SHARED_BRIDGE_PARAM}=${encodeSharedBridge(networkKey, bridgeKey, bridgeConfig)}`;
+};
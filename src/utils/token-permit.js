@@ -0,0 +1,113 @@
+/**
+ * Token Permits
+ *
+ * EIP-2612 lets a token owner sign an allowance instead of sending approve(). The Counterstake
+ * bridges and assistants pull tokens with transferFrom and take no permit, so somebody still has to
+ * submit it. On networks with a batch precompile, the permit is submitted in the same batchAll
+ * transaction as the claim or challenge, or in the batch approving an ImportWrapper assistant
+ * deposit. Where there is no batch precompile, the app sends an on-chain approval for the exact
+ * amount instead.
+ * Used by src/utils/approve-and-call.js and src/components/Deposit.js.
+ */
+
+import { ethers } from 'ethers';
+import { IERC20_PERMIT_ABI } from '../contracts/abi';
+import { createContract } from './contract-factory';
+
+// A permit is signed right before its batch is sent, it only has to outlive the confirmation
+export const PERMIT_DEADLINE_SECONDS = 20 * 60;
+// Used when a permit cannot be estimated
+export const PERMIT_GAS_LIMIT = 100000;
+
+const PERMIT_TOKEN_ABI = [
+  ...IERC20_PERMIT_ABI,
+  'function name() view returns (string)',
+  'function version() view returns (string)',
+];
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+};
+
+const permitInterface = new ethers.utils.Interface(IERC20_PERMIT_ABI);
+
+const NOT_SUPPORTED = { supported: false, domain: null, nonce: null };
+
+/**
+ * Check whether a token takes EIP-2612 permits that can be signed here. The EIP-712 domain is rebuilt
+ * from name(), version() (1 when missing) and the chain id, and must match the token's DOMAIN_SEPARATOR,
+ * or the token would reject the signature.
+ * @param {ethers.providers.Provider} provider - Provider of the token's network
+ * @param {string} tokenAddress - Token address
+ * @param {string} owner - Address that would sign the permit
+ * @returns {Promise<Object>} { supported, domain, nonce }
+ */
+export const getPermitSupport = async (provider, tokenAddress, owner) => {
+  if (!tokenAddress || tokenAddress === ethers.constants.AddressZero) return NOT_SUPPORTED;
+  try {
+    const token = createContract(tokenAddress, PERMIT_TOKEN_ABI, provider);
+    const [domainSeparator, nonce, name, { chainId }] = await Promise.all([
+      token.DOMAIN_SEPARATOR(),
+      token.nonces(owner),
+      token.name(),
+      provider.getNetwork(),
+    ]);
+    const version = await token.version().catch(() => '1');
+    const domain = { name, version, chainId, verifyingContract: tokenAddress };
+
+    if (ethers.utils._TypedDataEncoder.hashDomain(domain) !== domainSeparator) {
+      console.warn(`⚠️ Permit domain of ${tokenAddress} is not standard, using approvals`);
+      return NOT_SUPPORTED;
+    }
+    return { supported: true, domain, nonce };
+  } catch (error) {
+    // No DOMAIN_SEPARATOR() or nonces(): a plain ERC20
+    return NOT_SUPPORTED;
+  }
+};
+
+/**
+ * Sign a permit for an exact amount
+ * @param {Object} params - Permit parameters
+ * @param {ethers.Signer} params.signer - Token owner
+ * @param {Object} params.support - Result of getPermitSupport for the owner
+ * @param {string} params.spender - Spender address
+ * @param {ethers.BigNumber} params.value - Amount the spender may pull
+ * @returns {Promise<Object>} { owner, spender, value, deadline, v, r, s }
+ */
+export const signPermit = async ({ signer, support, spender, value }) => {
+  const owner = await signer.getAddress();
+  const deadline = Math.floor(Date.now() / 1000) + PERMIT_DEADLINE_SECONDS;
+  const message = { owner, spender, value, nonce: support.nonce, deadline };
+  const signature = await signer._signTypedData(support.domain, PERMIT_TYPES, message);
+  const { v, r, s } = ethers.utils.splitSignature(signature);
+  return { owner, spender, value, deadline, v, r, s };
+};
+
+/**
+ * Build the sub-call submitting a signed permit
+ * @param {string} tokenAddress - Token address
+ * @param {Object} permit - Result of signPermit
+ * @returns {Object} { label, to, value, data, gasLimit }
+ */
+export const buildPermitCall = (tokenAddress, permit) => ({
+  label: 'Permit',
+  to: tokenAddress,
+  value: ethers.constants.Zero,
+  data: permitInterface.encodeFunctionData('permit', [
+    permit.owner,
+    permit.spender,
+    permit.value,
+    permit.deadline,
+    permit.v,
+    permit.r,
+    permit.s,
+  ]),
+  gasLimit: PERMIT_GAS_LIMIT,
+});
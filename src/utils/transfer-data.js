@@ -0,0 +1,223 @@
+/**
+ * Transfer Data Utilities
+ *
+ * The data string of a transfer travels with it to the destination bridge. When the
+ * recipient is a contract implementing CounterstakeReceiver (ERC165), the bridge passes
+ * the data to its onReceivedFromClaim() once the claim pays it, so a transfer can trigger
+ * an action on arrival. Payloads are either compact JSON or ABI-encoded calls (hex).
+ * Used by src/components/DestinationAction.js and src/components/ClaimList.js.
+ */
+
+import { ethers } from 'ethers';
+
+export const DATA_FORMATS = {
+  NONE: 'none',
+  JSON: 'json',
+  ABI: 'abi',
+  TEXT: 'text',
+};
+
+// The data is stored in the claim and again in its claim id, so the claimer pays for every byte
+export const MAX_TRANSFER_DATA_BYTES = 1024;
+
+// Single-function interface: the id is the selector of onReceivedFromClaim
+export const COUNTERSTAKE_RECEIVER_INTERFACE_ID = ethers.utils.id(
+  'onReceivedFromClaim(uint256,uint256,uint256,string,address,string)'
+).slice(0, 10);
+
+const ERC165_ABI = ['function supportsInterface(bytes4 interfaceId) view returns (bool)'];
+const DATA_ABI_STORAGE_KEY = 'bridgeTransferDataAbis';
+
+/**
+ * Get the size of a data string as stored on chain
+ * @param {string} data - Transfer data
+ * @returns {number} Size in bytes (UTF-8)
+ */
+export const getDataSize = (data) => ethers.utils.toUtf8Bytes(data || '').length;
+
+/**
+ * Check that a data string can be sent with a transfer
+ * @param {string} data - Transfer data
+ * @returns {Object} { valid, size, error }
+ */
+export const validateTransferData = (data) => {
+  const size = getDataSize(data);
+  if (size > MAX_TRANSFER_DATA_BYTES) {
+    return { valid: false, size, error: `Data is ${size} bytes, the limit is ${MAX_TRANSFER_DATA_BYTES}` };
+  }
+  return { valid: true, size, error: null };
+};
+
+/**
+ * Compact a JSON payload
+ * @param {string} text - JSON text
+ * @returns {string} Minified JSON of an object or array
+ */
+export const encodeJsonData = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+  if (parsed === null || typeof parsed !== 'object') {
+    throw new Error('JSON data must be an object or an array');
+  }
+  return JSON.stringify(parsed);
+};
+
+/**
+ * Parse an ABI given as JSON or as human-readable fragments, one per line
+ * @param {string} text - ABI text
+ * @returns {ethers.utils.Interface} Interface
+ */
+export const parseAbi = (text) => {
+  const trimmed = (text || '').trim();
+  if (!trimmed) throw new Error('ABI is empty');
+  try {
+    const abi = trimmed.startsWith('[')
+      ? JSON.parse(trimmed)
+      : trimmed.split('\n').map(line => line.trim()).filter(Boolean);
+    return new ethers.utils.Interface(abi);
+  } catch (error) {
+    throw new Error(`Invalid ABI: ${error.message}`);
+  }
+};
+
+/**
+ * Convert a form input to an ABI argument. Arrays and tuples are given as JSON.
+ * @param {ethers.utils.ParamType} param - Parameter type
+ * @param {string} value - Input value
+ * @returns {*} Argument for encodeFunctionData
+ */
+export const parseAbiArgument = (param, value) => {
+  const input = (value || '').trim();
+  if (param.baseType === 'array' || param.baseType === 'tuple') {
+    try {
+      return JSON.parse(input);
+    } catch (error) {
+      throw new Error(`${param.name || param.type}: expected a JSON ${param.baseType}`);
+    }
+  }
+  if (param.baseType === 'bool') {
+    if (input !== 'true' && input !== 'false') throw new Error(`${param.name || param.type}: expected true or false`);
+    return input === 'true';
+  }
+  return input;
+};
+
+/**
+ * ABI-encode a function call as a data string
+ * @param {ethers.utils.Interface} iface - Interface from parseAbi
+ * @param {string} signature - Function signature, e.g. "deposit(address,uint256)"
+ * @param {Array<string>} values - Form inputs, one per parameter
+ * @returns {string} 0x-prefixed calldata
+ */
+export const encodeAbiData = (iface, signature, values) => {
+  const fragment = iface.getFunction(signature);
+  try {
+    return iface.encodeFunctionData(fragment, fragment.inputs.map((param, index) => parseAbiArgument(param, values[index])));
+  } catch (error) {
+    throw new Error(`Failed to encode ${fragment.name}: ${error.reason || error.message}`);
+  }
+};
+
+/**
+ * Read the function fragments remembered for decoding, by selector
+ * @returns {Object} Full function signatures by selector
+ */
+export const getRememberedDataAbis = () => {
+  try {
+    return JSON.parse(localStorage.getItem(DATA_ABI_STORAGE_KEY) || '{}');
+  } catch (error) {
+    console.warn('Failed to read remembered data ABIs:', error);
+    return {};
+  }
+};
+
+/**
+ * Remember a function so claims carrying a call to it can be decoded later
+ * @param {ethers.utils.FunctionFragment} fragment - Encoded function
+ */
+export const rememberDataAbi = (fragment) => {
+  try {
+    const saved = getRememberedDataAbis();
+    saved[ethers.utils.Interface.getSighash(fragment)] = fragment.format(ethers.utils.FormatTypes.full);
+    localStorage.setItem(DATA_ABI_STORAGE_KEY, JSON.stringify(saved));
+  } catch (error) {
+    console.warn('Failed to remember data ABI:', error);
+  }
+};
+
+const formatDecodedValue = (value) => {
+  if (ethers.BigNumber.isBigNumber(value)) return value.toString();
+  if (Array.isArray(value)) return `[${value.map(formatDecodedValue).join(', ')}]`;
+  return String(value);
+};
+
+/**
+ * Decode the data of a transfer or claim for display
+ * @param {string} data - Transfer data
+ * @param {Object} [knownAbis] - Full function signatures by selector, from getRememberedDataAbis
+ * @returns {Object} { format, size, json, text, selector, functionName, args }, args as { name, type, value } when the
+ * selector is known
+ */
+export const decodeTransferData = (data, knownAbis = {}) => {
+  const size = getDataSize(data);
+  if (!data || data === '0x') return { format: DATA_FORMATS.NONE, size };
+
+  if (/^0x([0-9a-fA-F]{2})+$/.test(data)) {
+    const selector = data.length >= 10 ? data.slice(0, 10).toLowerCase() : null;
+    const signature = selector ? knownAbis[selector] : null;
+    if (signature) {
+      try {
+        const iface = new ethers.utils.Interface([signature]);
+        const fragment = iface.getFunction(selector);
+        const decoded = iface.decodeFunctionData(fragment, data);
+        return {
+          format: DATA_FORMATS.ABI,
+          size,
+          selector,
+          functionName: fragment.name,
+          args: fragment.inputs.map((param, index) => ({ name: param.name, type: param.type, value: formatDecodedValue(decoded[index]) })),
+        };
+      } catch (error) {
+        console.warn(`⚠️ Could not decode data with ${signature}:`, error.message);
+      }
+    }
+    return { format: DATA_FORMATS.ABI, size, selector, functionName: null, args: null };
+  }
+
+  try {
+    const json = JSON.parse(data);
+    if (json !== null && typeof json === 'object') return { format: DATA_FORMATS.JSON, size, json };
+  } catch (error) {
+    // Not JSON, shown as text
+  }
+  return { format: DATA_FORMATS.TEXT, size, text: data };
+};
+
+/**
+ * Check whether a recipient will be notified with the data
+ * @param {ethers.providers.Provider} provider - Provider of the destination network
+ * @param {string} address - Recipient address
+ * @returns {Promise<Object>} { isContract, isReceiver }
+ */
+export const checkCounterstakeReceiver = async (provider, address) => {
+  try {
+    const code = await provider.getCode(address);
+    if (code === '0x') return { isContract: false, isReceiver: false };
+
+    const contract = new ethers.Contract(address, ERC165_ABI, provider);
+    let isReceiver = false;
+    try {
+      isReceiver = await contract.supportsInterface(COUNTERSTAKE_RECEIVER_INTERFACE_ID);
+    } catch (error) {
+      // Contracts without ERC165 revert, the bridge treats them as plain recipients
+    }
+    return { isContract: true, isReceiver };
+  } catch (error) {
+    console.error('❌ Error checking receiver contract:', error);
+    throw new Error(`Failed to check receiver contract: ${error.message}`);
+  }
+};
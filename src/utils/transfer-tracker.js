@@ -0,0 +1,385 @@
+/**
+ * Transfer Tracker Utilities
+ *
+ * Follows a single transfer by its source transaction hash: resolves the
+ * NewExpatriation/NewRepatriation event, finds the matching NewClaim on the
+ * counterpart bridge and reads the claim state until it can be withdrawn.
+ * Matching relies on aggregate-claims-transfers.js so the tracker flags the
+ * same parameter mismatches as the Transfers tab.
+ */
+
+import { ethers } from 'ethers';
+import { getBridgeABI, getCounterstakeABI, createContract } from './contract-factory.js';
+import { getProvider } from './provider-manager';
+import { getBlockTimestamp } from './bridge-contracts';
+import { fetchClaimDetails } from './claim-details-fetcher.js';
+import { discoverBridgeEvents, decodeEventsWithABI } from './parallel-bridge-discovery.js';
+import { aggregateClaimsAndTransfers } from './aggregate-claims-transfers.js';
+import { getBlockTime } from './block-estimator.js';
+import { findCounterpartBridge, getBridgeNetworkKey, OUTCOME_YES } from './assistant-manager';
+
+// Claims are searched from the transfer time up to now, capped at the longest history timeframe
+const MAX_CLAIM_SEARCH_HOURS = 720;
+
+export const TRACKER_STEPS = {
+  SENT: 'sent',
+  CLAIMED: 'claimed',
+  CHALLENGING: 'challenging',
+  WITHDRAWABLE: 'withdrawable',
+  WITHDRAWN: 'withdrawn',
+};
+
+export const STEP_STATUS = {
+  DONE: 'done',
+  ACTIVE: 'active',
+  PENDING: 'pending',
+  FAILED: 'failed',
+};
+
+export const TRACKER_STATUS = {
+  TOO_EARLY: 'too_early',
+  AWAITING_CLAIM: 'awaiting_claim',
+  CHALLENGING: 'challenging',
+  WITHDRAWABLE: 'withdrawable',
+  WITHDRAWN: 'withdrawn',
+  REJECTED: 'rejected',
+};
+
+const TRANSFER_EVENTS = {
+  NewExpatriation: { bridgeTypes: ['export'], topic: new ethers.utils.Interface(getBridgeABI('export')).getEventTopic('NewExpatriation') },
+  NewRepatriation: { bridgeTypes: ['import', 'import_wrapper'], topic: new ethers.utils.Interface(getBridgeABI('import')).getEventTopic('NewRepatriation') },
+};
+
+/**
+ * Check that a string looks like a transaction hash
+ * @param {string} txid - Candidate hash
+ * @returns {boolean} Whether it is a 32-byte hex string
+ */
+export const isTransactionHash = (txid) => /^0x[0-9a-fA-F]{64}$/.test(txid || '');
+
+/**
+ * Read the tracked transfer from a URL query string
+ * @param {string} search - Query string, e.g. window.location.search
+ * @returns {Object|null} { networkKey, txid } or null when the URL doesn't point to a transfer
+ */
+export const parseTrackerParams = (search) => {
+  const params = new URLSearchParams(search);
+  const networkKey = params.get('network');
+  const txid = params.get('tx');
+  if (!networkKey || !txid) return null;
+  return { networkKey: networkKey.toUpperCase(), txid };
+};
+
+/**
+ * Build the query string of the tracker page
+ * @param {Object} params - Tracked transfer
+ * @param {string} params.networkKey - Source network key
+ * @param {string} params.txid - Source transaction hash
+ * @returns {string} Query string starting with '?'
+ */
+export const getTrackerSearch = ({ networkKey, txid }) => {
+  return `?${new URLSearchParams({ network: networkKey, tx: txid }).toString()}`;
+};
+
+/**
+ * Find the bridge transfer log in a transaction receipt
+ * @param {Array} logs - Receipt logs
+ * @param {Object} allBridges - All bridge configurations keyed by bridge key
+ * @returns {Object|null} { bridge, log, eventType }
+ */
+export const findTransferLog = (logs, allBridges) => {
+  const bridges = Object.values(allBridges).filter(bridge => bridge?.address);
+
+  for (const log of logs || []) {
+    const eventType = Object.keys(TRANSFER_EVENTS).find(name => TRANSFER_EVENTS[name].topic === log.topics?.[0]);
+    if (!eventType) continue;
+    const bridge = bridges.find(candidate =>
+      candidate.address.toLowerCase() === log.address?.toLowerCase() &&
+      TRANSFER_EVENTS[eventType].bridgeTypes.includes(candidate.type)
+    );
+    if (bridge) return { bridge, log, eventType };
+  }
+  return null;
+};
+
+/**
+ * Resolve the transfer sent in a source transaction
+ * @param {Object} params - Lookup parameters
+ * @param {string} params.networkKey - Source network key
+ * @param {string} params.txid - Source transaction hash
+ * @param {Object} params.allBridges - All bridge configurations keyed by bridge key
+ * @returns {Promise<Object>} Decoded transfer with timestamp and its bridge configuration
+ */
+export const resolveTrackedTransfer = async ({ networkKey, txid, allBridges }) => {
+  const provider = getProvider(networkKey);
+  const receipt = await provider.getTransactionReceipt(txid);
+  if (!receipt) {
+    throw new Error(`Transaction ${txid} not found on ${networkKey}`);
+  }
+  if (receipt.status === 0) {
+    throw new Error('The source transaction failed, nothing was transferred');
+  }
+
+  const match = findTransferLog(receipt.logs, allBridges);
+  if (!match) {
+    throw new Error('No bridge transfer found in this transaction');
+  }
+
+  const { bridge, log, eventType } = match;
+  const [decoded] = await decodeEventsWithABI(
+    networkKey,
+    bridge.address,
+    [{ eventType, blockNumber: log.blockNumber, transactionHash: log.transactionHash, logIndex: log.logIndex, topics: log.topics, data: log.data }],
+    bridge.type,
+    bridge.homeNetwork,
+    bridge.foreignNetwork,
+    bridge.homeTokenSymbol,
+    bridge.foreignTokenSymbol
+  );
+  if (!decoded?.amount) {
+    throw new Error('Failed to decode the transfer event');
+  }
+
+  const timestamp = decoded.timestamp || await getBlockTimestamp(provider, log.blockNumber);
+  return { ...decoded, timestamp, bridge };
+};
+
+/**
+ * Hours of history to scan for claims of a transfer
+ * @param {number} transferTs - Transfer timestamp
+ * @param {number} now - Current unix timestamp in seconds
+ * @returns {number} Range in hours
+ */
+export const getClaimSearchRangeHours = (transferTs, now) => {
+  const hours = Math.ceil(Math.max(0, now - transferTs) / 3600) + 1;
+  return Math.min(MAX_CLAIM_SEARCH_HOURS, hours);
+};
+
+/**
+ * Match claims carrying the transfer txid against the transfer
+ * Each claim is aggregated separately so that a fraudulent claim for the same txid
+ * doesn't hide the honest one.
+ * @param {Object} transfer - Decoded transfer
+ * @param {Array} claims - Decoded NewClaim events of the claim bridge
+ * @returns {Object} { claim, conflictingClaims } - claim is the valid match (status 'completed') if any
+ */
+export const matchTransferClaims = (transfer, claims) => {
+  const txid = transfer.transactionHash.toLowerCase();
+  const results = claims
+    .filter(claim => claim.txid?.toLowerCase() === txid)
+    .map(claim => {
+      const aggregated = aggregateClaimsAndTransfers([claim], [{ ...transfer, matched: false }]);
+      return aggregated.completedTransfers[0] || aggregated.suspiciousClaims[0];
+    })
+    .filter(Boolean);
+
+  return {
+    claim: results.find(result => result.status === 'completed') || null,
+    conflictingClaims: results.filter(result => result.status !== 'completed'),
+  };
+};
+
+/**
+ * Get the bridge where a transfer is claimed together with its network key
+ * @param {Object} transferBridge - Bridge that emitted the transfer
+ * @param {Object} allBridges - All bridge configurations keyed by bridge key
+ * @param {Object} networks - Network configurations keyed by network key
+ * @returns {Object} { claimBridge, claimNetworkKey }
+ */
+export const getTrackerClaimBridge = (transferBridge, allBridges, networks) => {
+  const claimBridge = findCounterpartBridge(transferBridge, allBridges);
+  if (!claimBridge) {
+    throw new Error(`No counterpart bridge configured for ${transferBridge.address}`);
+  }
+  const claimNetworkKey = getBridgeNetworkKey(claimBridge.address, networks);
+  if (!claimNetworkKey) {
+    throw new Error(`Network of bridge ${claimBridge.address} not found`);
+  }
+  return { claimBridge, claimNetworkKey };
+};
+
+/**
+ * Find the claims of a transfer on the claim bridge
+ * @param {Object} params - Lookup parameters
+ * @param {Object} params.transfer - Transfer from resolveTrackedTransfer
+ * @param {Object} params.claimBridge - Claim bridge configuration
+ * @param {string} params.claimNetworkKey - Network key of the claim bridge
+ * @param {number} params.now - Current unix timestamp in seconds
+ * @returns {Promise<Object>} { claim, conflictingClaims }
+ */
+export const findTrackedClaims = async ({ transfer, claimBridge, claimNetworkKey, now }) => {
+  const result = await discoverBridgeEvents({
+    bridgeAddress: claimBridge.address,
+    networkKey: claimNetworkKey,
+    bridgeType: claimBridge.type,
+    homeNetwork: claimBridge.homeNetwork,
+    foreignNetwork: claimBridge.foreignNetwork,
+    homeTokenSymbol: claimBridge.homeTokenSymbol,
+    foreignTokenSymbol: claimBridge.foreignTokenSymbol,
+  }, { rangeHours: getClaimSearchRangeHours(transfer.timestamp, now) });
+
+  if (result.error) {
+    throw new Error(`Failed to load claims: ${result.error}`);
+  }
+  return matchTransferClaims(transfer, result.claims);
+};
+
+/**
+ * Load the on-chain state needed for the timeline
+ * Before a claim exists the challenging period is estimated from the stake the transfer requires.
+ * @param {Object} params - Lookup parameters
+ * @param {Object} params.transfer - Transfer from resolveTrackedTransfer
+ * @param {Object|null} params.claim - Matched claim
+ * @param {Object} params.claimBridge - Claim bridge configuration
+ * @param {string} params.claimNetworkKey - Network key of the claim bridge
+ * @returns {Promise<Object>} { minTxAge, challengingPeriod, details, challenges }
+ */
+export const loadClaimProgress = async ({ transfer, claim, claimBridge, claimNetworkKey }) => {
+  try {
+    const contract = createContract(claimBridge.address, getCounterstakeABI(), getProvider(claimNetworkKey));
+    const settings = await contract.settings();
+    const minTxAge = Number(settings.min_tx_age);
+
+    if (!claim) {
+      const stake = await contract.getRequiredStake(transfer.amount);
+      const isLarge = settings.large_threshold.gt(0) && stake.gte(settings.large_threshold);
+      const challengingPeriod = await contract.getChallengingPeriod(0, isLarge);
+      return { minTxAge, challengingPeriod: challengingPeriod.toNumber(), details: null, challenges: [] };
+    }
+
+    const details = await fetchClaimDetails({ contract, claimNum: claim.actualClaimNum });
+    if (!details) {
+      throw new Error(`Claim #${claim.actualClaimNum.toString()} not found`);
+    }
+
+    const [challengingPeriod, challengeEvents] = await Promise.all([
+      contract.getChallengingPeriod(details.period_number, details.is_large),
+      contract.queryFilter(contract.filters.NewChallenge(claim.actualClaimNum), claim.blockNumber).catch(error => {
+        console.warn('⚠️ Failed to load challenges:', error.message);
+        return [];
+      }),
+    ]);
+
+    const challenges = challengeEvents.map(event => ({
+      authorAddress: event.args.author_address,
+      stake: event.args.stake,
+      outcome: event.args.outcome,
+      currentOutcome: event.args.current_outcome,
+      expiryTs: Number(event.args.expiry_ts),
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+    }));
+
+    return { minTxAge, challengingPeriod: challengingPeriod.toNumber(), details, challenges };
+  } catch (error) {
+    console.error('❌ Error loading claim progress:', error);
+    throw new Error(`Failed to load claim progress: ${error.message}`);
+  }
+};
+
+/**
+ * Estimate the number of blocks left until a timestamp
+ * @param {number} eta - Target unix timestamp
+ * @param {number} now - Current unix timestamp in seconds
+ * @param {string} networkKey - Network key used for the block time
+ * @returns {number} Blocks left (0 once the time has passed)
+ */
+export const estimateBlocksUntil = (eta, now, networkKey) => {
+  if (!eta || eta <= now) return 0;
+  return Math.ceil((eta - now) / getBlockTime(networkKey));
+};
+
+/**
+ * Build the step-by-step timeline of a transfer
+ * @param {Object} params - Timeline inputs
+ * @param {Object} params.transfer - Transfer with timestamp and recipientAddress
+ * @param {Object|null} params.details - Claim details from getClaim() (null before the claim)
+ * @param {Array} [params.challenges=[]] - Challenges of the claim
+ * @param {number} params.minTxAge - Claim bridge min_tx_age
+ * @param {number} params.challengingPeriod - Current (or first) challenging period in seconds
+ * @param {number} params.now - Current unix timestamp in seconds
+ * @returns {Object} { status, steps: [{ id, status, timestamp, eta, description }] }
+ */
+export const buildTransferTimeline = ({ transfer, details, challenges = [], minTxAge, challengingPeriod, now }) => {
+  const claimableTs = transfer.timestamp + minTxAge;
+  const steps = [{
+    id: TRACKER_STEPS.SENT,
+    status: STEP_STATUS.DONE,
+    timestamp: transfer.timestamp,
+    description: 'Transfer sent on the source network',
+  }];
+
+  if (!details) {
+    const tooEarly = now < claimableTs;
+    const challengeEnd = Math.max(now, claimableTs) + challengingPeriod;
+    steps.push(
+      {
+        id: TRACKER_STEPS.CLAIMED,
+        status: tooEarly ? STEP_STATUS.PENDING : STEP_STATUS.ACTIVE,
+        eta: tooEarly ? claimableTs : null,
+        description: tooEarly
+          ? 'The transfer can be claimed once it is old enough'
+          : 'Waiting for an assistant or the recipient to claim the transfer',
+      },
+      { id: TRACKER_STEPS.CHALLENGING, status: STEP_STATUS.PENDING, eta: challengeEnd, description: 'Claims can be challenged until the challenging period ends' },
+      { id: TRACKER_STEPS.WITHDRAWABLE, status: STEP_STATUS.PENDING, eta: challengeEnd, description: 'The claimant can withdraw once the claim is confirmed' },
+      { id: TRACKER_STEPS.WITHDRAWN, status: STEP_STATUS.PENDING, eta: challengeEnd, description: 'Funds withdrawn' }
+    );
+    return { status: tooEarly ? TRACKER_STATUS.TOO_EARLY : TRACKER_STATUS.AWAITING_CLAIM, steps };
+  }
+
+  const expiryTs = Number(details.expiry_ts);
+  const ended = details.finished || now > expiryTs;
+  const confirmed = Number(details.current_outcome) === OUTCOME_YES;
+  const paidByClaimant = details.claimant_address?.toLowerCase() !== details.recipient_address?.toLowerCase();
+
+  steps.push({
+    id: TRACKER_STEPS.CLAIMED,
+    status: STEP_STATUS.DONE,
+    timestamp: Number(details.ts),
+    description: paidByClaimant
+      ? `Claimed by ${details.claimant_address}, who paid the recipient right away`
+      : 'Claimed by the recipient',
+  });
+
+  steps.push({
+    id: TRACKER_STEPS.CHALLENGING,
+    status: ended ? STEP_STATUS.DONE : STEP_STATUS.ACTIVE,
+    timestamp: ended ? expiryTs : null,
+    eta: ended ? null : expiryTs,
+    description: challenges.length > 0
+      ? `${challenges.length} challenge${challenges.length === 1 ? '' : 's'}, period #${Number(details.period_number) + 1} of ${Math.round(challengingPeriod / 3600)}h, currently ${confirmed ? 'YES' : 'NO'}`
+      : `Unchallenged so far, period of ${Math.round(challengingPeriod / 3600)}h`,
+  });
+
+  if (ended && !confirmed) {
+    steps.push(
+      { id: TRACKER_STEPS.WITHDRAWABLE, status: STEP_STATUS.FAILED, timestamp: expiryTs, description: 'The claim was rejected by challengers' },
+      { id: TRACKER_STEPS.WITHDRAWN, status: STEP_STATUS.FAILED, description: 'Stakes go to the winning NO side' }
+    );
+    return { status: TRACKER_STATUS.REJECTED, steps };
+  }
+
+  steps.push({
+    id: TRACKER_STEPS.WITHDRAWABLE,
+    status: ended ? STEP_STATUS.DONE : STEP_STATUS.PENDING,
+    timestamp: ended ? expiryTs : null,
+    eta: ended ? null : expiryTs,
+    description: 'The claim is confirmed and can be withdrawn',
+  });
+
+  steps.push({
+    id: TRACKER_STEPS.WITHDRAWN,
+    status: details.withdrawn ? STEP_STATUS.DONE : ended ? STEP_STATUS.ACTIVE : STEP_STATUS.PENDING,
+    eta: ended ? null : expiryTs,
+    description: details.withdrawn
+      ? 'Funds withdrawn by the claimant'
+      : `Waiting for ${paidByClaimant ? 'the claimant' : 'the recipient'} to withdraw`,
+  });
+
+  let status = TRACKER_STATUS.CHALLENGING;
+  if (details.withdrawn) status = TRACKER_STATUS.WITHDRAWN;
+  else if (ended) status = TRACKER_STATUS.WITHDRAWABLE;
+
+  return { status, steps };
+};
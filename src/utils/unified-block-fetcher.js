@@ -8,6 +8,7 @@
 import { NETWORKS } from '../config/networks.js';
 import { estimateBlocksFromHours, getBlockTime } from './block-estimator.js';
 import { getProvider } from './provider-manager.js';
+import { getCheckpoint, setCheckpoint, isEventStoreAvailable } from './event-store.js';
 
 // Event topic signatures
 const NEW_CLAIM_TOPIC = '0xb4096a3b39efa6fa23e55edafbb26c619699ce4eb0b8f8c0178b1a4919ac6736';
@@ -21,6 +22,26 @@ const RPC_LIMITS = {
   THREEDPASS: 10000 // 10k blocks (~167 hours due to 60s block time)
 };
 
+// Blocks below a checkpoint that are scanned again on the next run,
+// so events dropped by a chain reorganization are corrected
+export const REORG_SAFETY_BLOCKS = {
+  ETHEREUM: 12,
+  BSC: 15,
+  THREEDPASS: 10
+};
+const DEFAULT_REORG_SAFETY_BLOCKS = 12;
+
+// Blocks scanned per background backfill step, within the RPC limits above
+const BACKFILL_WINDOW_BLOCKS = {
+  ETHEREUM: 500000,
+  BSC: 100000,
+  THREEDPASS: 10000
+};
+const DEFAULT_BACKFILL_WINDOW_BLOCKS = 10000;
+
+// Event types with their own checkpoint, an 'AllEvents' scan advances all of them
+const CHECKPOINT_EVENT_TYPES = ['NewClaim', 'NewExpatriation', 'NewRepatriation'];
+
 /**
  * Calculate optimal block range for a network based on RPC limits and block time
  * @param {string} networkKey - Network key
@@ -112,6 +133,199 @@ function calculateChunkedBlockRanges(networkKey, latestBlock, targetHours) {
   return ranges.reverse(); // Return in chronological order (oldest first)
 }
 
+/**
+ * Get the provider and RPC URL of a network (custom RPC settings take priority)
+ * @param {string} networkKey - Network key
+ * @returns {{provider: Object, rpcUrl: string}} Provider and RPC URL
+ */
+function getRpcConnection(networkKey) {
+  // Get provider from provider manager (uses custom RPC if configured)
+  const provider = getProvider(networkKey);
+  
+  // Get RPC URL from provider (prioritizes custom settings)
+  const rpcUrl = provider?.connection?.url || NETWORKS[networkKey]?.rpcUrl;
+  
+  if (!rpcUrl) {
+    throw new Error(`RPC URL not found for network ${networkKey}`);
+  }
+  
+  console.log(`📡 Using RPC URL for ${networkKey}: ${rpcUrl}`);
+  
+  // Get network configuration for other settings
+  if (!NETWORKS[networkKey]) {
+    throw new Error(`Network configuration not found for ${networkKey}`);
+  }
+  
+  return { provider, rpcUrl };
+}
+
+/**
+ * Get the latest block number, falling back to a direct RPC call if the provider fails
+ * @param {Object} provider - Network provider
+ * @param {string} rpcUrl - RPC URL
+ * @returns {Promise<number>} Latest block number
+ */
+async function getLatestBlockNumber(provider, rpcUrl) {
+  try {
+    return await provider.getBlockNumber();
+  } catch (error) {
+    const latestBlockResponse = await fetch(rpcUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        jsonrpc: "2.0",
+        method: "eth_blockNumber",
+        params: [],
+        id: 1
+      })
+    });
+    
+    const latestBlockResult = await latestBlockResponse.json();
+    return parseInt(latestBlockResult.result, 16);
+  }
+}
+
+/**
+ * Get the topic filter of an event type
+ * @param {string} eventType - Event type ('NewClaim', 'NewExpatriation', 'NewRepatriation', 'AllEvents')
+ * @returns {Array} Topics for eth_getLogs, empty for all events
+ */
+function getEventTopics(eventType) {
+  switch (eventType) {
+    case 'AllEvents':
+      return [];
+    case 'NewClaim':
+      return [NEW_CLAIM_TOPIC];
+    case 'NewExpatriation':
+      return [NEW_EXPATRIATION_TOPIC];
+    case 'NewRepatriation':
+      return [NEW_REPATRIATION_TOPIC];
+    default:
+      throw new Error(`Unsupported event type: ${eventType}`);
+  }
+}
+
+/**
+ * Convert a block number to the hex form used by eth_getLogs, block tags are kept
+ * @param {number|string} block - Block number or tag
+ * @returns {string} Block parameter
+ */
+function toBlockParam(block) {
+  return typeof block === 'number' ? `0x${block.toString(16)}` : block;
+}
+
+/**
+ * Request the logs of a bridge in one block range
+ * @param {string} rpcUrl - RPC URL
+ * @param {string} bridgeAddress - Bridge contract address
+ * @param {Array} topics - Topic filter
+ * @param {number|string} fromBlock - First block (number, hex or tag)
+ * @param {number|string} toBlock - Last block (number, hex or tag)
+ * @returns {Promise<Array>} Raw logs
+ */
+async function requestLogs(rpcUrl, bridgeAddress, topics, fromBlock, toBlock) {
+  const requestPayload = {
+    jsonrpc: "2.0",
+    method: "eth_getLogs",
+    params: [
+      {
+        fromBlock: toBlockParam(fromBlock),
+        toBlock: toBlockParam(toBlock),
+        address: bridgeAddress,
+        topics: topics
+      }
+    ],
+    id: 1
+  };
+
+  const response = await fetch(rpcUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(requestPayload)
+  });
+
+  if (!response.ok) {
+    const error = new Error(`HTTP error! status: ${response.status}`);
+    error.statusCode = response.status;
+    error.is402Error = response.status === 402;
+    throw error;
+  }
+
+  const result = await response.json();
+  
+  if (result.error) {
+    throw new Error(`RPC error: ${result.error.message} (code: ${result.error.code})`);
+  }
+
+  return result.result || [];
+}
+
+/**
+ * Build the fetcher result from raw logs
+ * @param {string} networkKey - Network key
+ * @param {string} eventType - Requested event type
+ * @param {Array} allLogs - Raw logs
+ * @param {boolean} has402Error - Whether any request failed with HTTP 402
+ * @returns {Object} Object with block numbers and event data
+ */
+function buildEventResult(networkKey, eventType, allLogs, has402Error) {
+  // Extract unique block numbers
+  const blockNumbers = [...new Set(allLogs.map(log => parseInt(log.blockNumber, 16)))].sort((a, b) => b - a);
+  
+  // Categorize events by type
+  const eventBreakdown = {
+    NewClaim: 0,
+    NewExpatriation: 0,
+    NewRepatriation: 0,
+    Other: 0
+  };
+
+  const categorizedEvents = allLogs.map(log => {
+    const eventType = getEventTypeFromTopic(log.topics?.[0]);
+    eventBreakdown[eventType]++;
+
+    return {
+      blockNumber: parseInt(log.blockNumber, 16),
+      transactionHash: log.transactionHash,
+      logIndex: parseInt(log.logIndex, 16),
+      topics: log.topics,
+      data: log.data,
+      address: log.address,
+      blockHash: log.blockHash,
+      transactionIndex: log.transactionIndex,
+      removed: log.removed,
+      eventType: eventType,
+      // Include raw log for full ABI decoding
+      rawLog: log
+    };
+  });
+
+  // Filter events if specific event type was requested
+  let filteredEvents = categorizedEvents;
+  if (eventType !== 'AllEvents') {
+    filteredEvents = categorizedEvents.filter(event => event.eventType === eventType);
+  } else {
+    // For AllEvents, only return bridge events (exclude 'Other' events like ERC20 Transfer/Approval)
+    filteredEvents = categorizedEvents.filter(event => event.eventType !== 'Other');
+  }
+
+  console.log(`   📋 Event breakdown:`, eventBreakdown);
+  console.log(`   🔍 Filtered events: ${filteredEvents.length} (excluded ${eventBreakdown.Other} non-bridge events)`);
+
+  return {
+    blockNumbers: blockNumbers,
+    eventCount: filteredEvents.length,
+    network: networkKey,
+    source: 'eth_getLogs',
+    eventType: eventType,
+    events: filteredEvents,
+    eventBreakdown: eventBreakdown,
+    has402Error: has402Error || false
+  };
+}
+
 /**
  * Get event logs using eth_getLogs RPC method
  * @param {string} networkKey - Network key (ETHEREUM, BSC, THREEDPASS)
@@ -125,43 +339,10 @@ async function getEventLogsViaRPC(networkKey, bridgeAddress, eventType, options
   console.log(`🔍 Getting ${eventType} events via eth_getLogs for ${networkKey} bridge ${bridgeAddress}`);
   
   try {
-    // Get provider from provider manager (uses custom RPC if configured)
-    const provider = getProvider(networkKey);
-    
-    // Get RPC URL from provider (prioritizes custom settings)
-    const rpcUrl = provider?.connection?.url || NETWORKS[networkKey]?.rpcUrl;
-    
-    if (!rpcUrl) {
-      throw new Error(`RPC URL not found for network ${networkKey}`);
-    }
-    
-    console.log(`📡 Using RPC URL for ${networkKey}: ${rpcUrl}`);
-    
-    // Get network configuration for other settings
-    const networkConfig = NETWORKS[networkKey];
-    if (!networkConfig) {
-      throw new Error(`Network configuration not found for ${networkKey}`);
-    }
+    const { provider, rpcUrl } = getRpcConnection(networkKey);
 
     // Determine topic filter based on event type
-    let topics = [];
-    if (eventType !== 'AllEvents') {
-    let topic0;
-    switch (eventType) {
-      case 'NewClaim':
-        topic0 = NEW_CLAIM_TOPIC;
-        break;
-      case 'NewExpatriation':
-        topic0 = NEW_EXPATRIATION_TOPIC;
-        break;
-      case 'NewRepatriation':
-        topic0 = NEW_REPATRIATION_TOPIC;
-        break;
-      default:
-        throw new Error(`Unsupported event type: ${eventType}`);
-    }
-      topics = [topic0];
-    }
+    const topics = getEventTopics(eventType);
 
     // Calculate optimal block range using block estimator
     let fromBlock = options.fromBlock || '0x0';
@@ -171,25 +352,7 @@ async function getEventLogsViaRPC(networkKey, bridgeAddress, eventType, options
     
     if (fromBlock === '0x0') {
       // Get latest block number first using provider
-      let latestBlock;
-      try {
-        latestBlock = await provider.getBlockNumber();
-      } catch (error) {
-        // Fallback to direct RPC call if provider fails
-        const latestBlockResponse = await fetch(rpcUrl, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            jsonrpc: "2.0",
-            method: "eth_blockNumber",
-            params: [],
-            id: 1
-          })
-        });
-        
-        const latestBlockResult = await latestBlockResponse.json();
-        latestBlock = parseInt(latestBlockResult.result, 16);
-      }
+      const latestBlock = await getLatestBlockNumber(provider, rpcUrl);
       
       // Use rangeHours parameter (default: 24 hours)
       const rangeHours = options.rangeHours || 24;
@@ -216,47 +379,9 @@ async function getEventLogsViaRPC(networkKey, bridgeAddress, eventType, options
       for (let i = 0; i < chunkRanges.length; i++) {
         const chunk = chunkRanges[i];
         console.log(`   📦 Processing chunk ${i + 1}/${chunkRanges.length} (${chunk.actualHours}h, ${chunk.blockCount} blocks)`);
-        
-        const requestPayload = {
-          jsonrpc: "2.0",
-          method: "eth_getLogs",
-          params: [
-            {
-              fromBlock: chunk.fromBlock,
-              toBlock: chunk.toBlock,
-              address: bridgeAddress,
-              topics: topics
-            }
-          ],
-          id: 1
-        };
 
         try {
-          const response = await fetch(rpcUrl, {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-            },
-            body: JSON.stringify(requestPayload)
-          });
-
-          if (!response.ok) {
-            const error = new Error(`HTTP error! status: ${response.status}`);
-            error.statusCode = response.status;
-            error.is402Error = response.status === 402;
-            if (response.status === 402) {
-              has402Error = true;
-            }
-            throw error;
-          }
-
-          const result = await response.json();
-          
-          if (result.error) {
-            throw new Error(`RPC error: ${result.error.message} (code: ${result.error.code})`);
-          }
-
-          const chunkLogs = result.result || [];
+          const chunkLogs = await requestLogs(rpcUrl, bridgeAddress, topics, chunk.fromBlock, chunk.toBlock);
           console.log(`   ✅ Chunk ${i + 1}: Found ${chunkLogs.length} events`);
           allLogs.push(...chunkLogs);
           
@@ -275,108 +400,16 @@ async function getEventLogsViaRPC(networkKey, bridgeAddress, eventType, options
         }
       }
       
-      // If any chunk failed with 402, mark it (even if some succeeded)
-      // This allows the UI to show a warning while still returning partial results
-      if (has402Error) {
-        // Store 402 error flag in the result object
-        // We'll check for this in the calling code
-      }
-      
+      // If any chunk failed with 402, has402Error is returned with the partial results
+      // so the UI can show a warning
       console.log(`   ✅ Found ${allLogs.length} total events across ${chunkRanges.length} chunks`);
     } else {
       // Single request for ranges <= 48 hours
-      const requestPayload = {
-        jsonrpc: "2.0",
-        method: "eth_getLogs",
-        params: [
-          {
-            fromBlock: fromBlock,
-            toBlock: toBlock,
-            address: bridgeAddress,
-            topics: topics
-          }
-        ],
-        id: 1
-      };
-
-      const response = await fetch(rpcUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(requestPayload)
-      });
-
-      if (!response.ok) {
-        const error = new Error(`HTTP error! status: ${response.status}`);
-        error.statusCode = response.status;
-        error.is402Error = response.status === 402;
-        throw error;
-      }
-
-      const result = await response.json();
-      
-      if (result.error) {
-        throw new Error(`RPC error: ${result.error.message} (code: ${result.error.code})`);
-      }
-
-      allLogs = result.result || [];
+      allLogs = await requestLogs(rpcUrl, bridgeAddress, topics, fromBlock, toBlock);
       console.log(`   ✅ Found ${allLogs.length} events via eth_getLogs`);
     }
     
-    // Extract unique block numbers
-    const blockNumbers = [...new Set(allLogs.map(log => parseInt(log.blockNumber, 16)))].sort((a, b) => b - a);
-    
-    // Categorize events by type
-    const eventBreakdown = {
-      NewClaim: 0,
-      NewExpatriation: 0,
-      NewRepatriation: 0,
-      Other: 0
-    };
-
-    const categorizedEvents = allLogs.map(log => {
-      const eventType = getEventTypeFromTopic(log.topics?.[0]);
-      eventBreakdown[eventType]++;
-    
-    return {
-        blockNumber: parseInt(log.blockNumber, 16),
-        transactionHash: log.transactionHash,
-        logIndex: parseInt(log.logIndex, 16),
-        topics: log.topics,
-        data: log.data,
-        address: log.address,
-        blockHash: log.blockHash,
-        transactionIndex: log.transactionIndex,
-        removed: log.removed,
-        eventType: eventType,
-        // Include raw log for full ABI decoding
-        rawLog: log
-      };
-    });
-
-    // Filter events if specific event type was requested
-    let filteredEvents = categorizedEvents;
-    if (eventType !== 'AllEvents') {
-      filteredEvents = categorizedEvents.filter(event => event.eventType === eventType);
-    } else {
-      // For AllEvents, only return bridge events (exclude 'Other' events like ERC20 Transfer/Approval)
-      filteredEvents = categorizedEvents.filter(event => event.eventType !== 'Other');
-    }
-
-    console.log(`   📋 Event breakdown:`, eventBreakdown);
-    console.log(`   🔍 Filtered events: ${filteredEvents.length} (excluded ${eventBreakdown.Other} non-bridge events)`);
-
-    return {
-      blockNumbers: blockNumbers,
-      eventCount: filteredEvents.length,
-      network: networkKey,
-      source: 'eth_getLogs',
-      eventType: eventType,
-      events: filteredEvents,
-      eventBreakdown: eventBreakdown,
-      has402Error: has402Error || false
-    };
+    return buildEventResult(networkKey, eventType, allLogs, has402Error);
     
   } catch (error) {
     console.error(`   ❌ Error getting events via eth_getLogs:`, error.message);
@@ -568,6 +601,269 @@ export async function testNetworkConnection(networkKey) {
   }
 }
 
+/**
+ * Get the checkpoint scopes covered by a scan of an event type
+ * @param {string} eventType - Event type ('NewClaim', 'NewExpatriation', 'NewRepatriation', 'AllEvents')
+ * @returns {Array<string>} Checkpoint scopes
+ */
+export function getCheckpointScopes(eventType) {
+  if (eventType === 'AllEvents') return CHECKPOINT_EVENT_TYPES;
+  if (!CHECKPOINT_EVENT_TYPES.includes(eventType)) {
+    throw new Error(`Unsupported event type: ${eventType}`);
+  }
+  return [eventType];
+}
+
+/**
+ * Merge the checkpoints of several scopes into the range scanned for all of them
+ * @param {Array<Object|null>} checkpoints - Checkpoints with lastScannedBlock and earliestScannedBlock
+ * @returns {Object|null} { lastScannedBlock, earliestScannedBlock }, null if any scope was never scanned
+ */
+export function mergeCheckpoints(checkpoints) {
+  if (checkpoints.length === 0 || checkpoints.some(checkpoint => !Number.isInteger(checkpoint?.lastScannedBlock))) {
+    return null;
+  }
+  return {
+    lastScannedBlock: Math.min(...checkpoints.map(checkpoint => checkpoint.lastScannedBlock)),
+    earliestScannedBlock: Math.max(...checkpoints.map(checkpoint => checkpoint.earliestScannedBlock ?? checkpoint.lastScannedBlock))
+  };
+}
+
+/**
+ * Plan the forward scan of an incremental run
+ * @param {Object} params - Scan parameters
+ * @param {number} params.latestBlock - Latest block number
+ * @param {Object|null} params.checkpoint - Merged checkpoint, null on the first run
+ * @param {number} params.initialBlocks - Blocks to scan on the first run
+ * @param {number} [params.reorgSafetyBlocks] - Blocks below the checkpoint to scan again
+ * @returns {Object|null} { fromBlock, toBlock, rescanToBlock } or null if there is nothing to scan.
+ * Blocks fromBlock..rescanToBlock were scanned before, rescanToBlock is null if none were.
+ */
+export function planIncrementalScan({ latestBlock, checkpoint, initialBlocks, reorgSafetyBlocks = DEFAULT_REORG_SAFETY_BLOCKS }) {
+  if (!checkpoint) {
+    return {
+      fromBlock: Math.max(0, latestBlock - initialBlocks),
+      toBlock: latestBlock,
+      rescanToBlock: null
+    };
+  }
+
+  const fromBlock = Math.max(0, checkpoint.earliestScannedBlock, checkpoint.lastScannedBlock + 1 - reorgSafetyBlocks);
+  if (fromBlock > latestBlock) {
+    // The RPC node is behind the checkpoint
+    return null;
+  }
+
+  const rescanToBlock = Math.min(checkpoint.lastScannedBlock, latestBlock);
+  return {
+    fromBlock,
+    toBlock: latestBlock,
+    rescanToBlock: rescanToBlock >= fromBlock ? rescanToBlock : null
+  };
+}
+
+/**
+ * Plan the next backfill step below the earliest scanned block
+ * @param {Object} params - Backfill parameters
+ * @param {Object|null} params.checkpoint - Merged checkpoint
+ * @param {number} params.windowBlocks - Blocks to scan in one step
+ * @returns {Object|null} { fromBlock, toBlock } or null if there is no checkpoint or history is complete
+ */
+export function planBackfillScan({ checkpoint, windowBlocks }) {
+  if (!checkpoint || checkpoint.earliestScannedBlock <= 0) {
+    return null;
+  }
+  const toBlock = checkpoint.earliestScannedBlock - 1;
+  return {
+    fromBlock: Math.max(0, toBlock - windowBlocks + 1),
+    toBlock
+  };
+}
+
+/**
+ * Split a block range into chunks, oldest first
+ * @param {number} fromBlock - First block, inclusive
+ * @param {number} toBlock - Last block, inclusive
+ * @param {number} maxBlocks - Maximum blocks per chunk
+ * @returns {Array<{fromBlock:number, toBlock:number}>} Chunks
+ */
+export function splitBlockRange(fromBlock, toBlock, maxBlocks) {
+  const chunks = [];
+  for (let chunkStart = fromBlock; chunkStart <= toBlock; chunkStart += maxBlocks) {
+    chunks.push({ fromBlock: chunkStart, toBlock: Math.min(toBlock, chunkStart + maxBlocks - 1) });
+  }
+  return chunks;
+}
+
+/**
+ * Read the merged checkpoint of the scopes of an event type
+ * @param {string} networkKey - Network key
+ * @param {string} bridgeAddress - Bridge contract address
+ * @param {Array<string>} scopes - Checkpoint scopes
+ * @returns {Promise<Object|null>} Merged checkpoint
+ */
+async function getMergedCheckpoint(networkKey, bridgeAddress, scopes) {
+  const checkpoints = await Promise.all(scopes.map(scope => getCheckpoint({ networkKey, bridgeAddress, scope })));
+  return mergeCheckpoints(checkpoints);
+}
+
+/**
+ * Get the events emitted since the last run, using the stored per-bridge checkpoints.
+ * The first run scans rangeHours of history; later runs scan from the checkpoint
+ * (minus a reorg safety margin) to the latest block. Without IndexedDB this falls
+ * back to a windowed scan.
+ * The checkpoint is not saved here: call saveScanCheckpoints with result.scan once
+ * the events are stored.
+ * @param {string} networkKey - Network key (ETHEREUM, BSC, THREEDPASS)
+ * @param {string} bridgeAddress - Bridge contract address
+ * @param {string} eventType - Event type ('NewClaim', 'NewExpatriation', 'NewRepatriation', 'AllEvents')
+ * @param {Object} options - Additional options
+ * @param {number} options.rangeHours - Hours of history to scan on the first run (default: 24)
+ * @returns {Promise<Object>} Object with block numbers and event data, plus the scan progress in result.scan
+ */
+export async function getEventLogsIncremental(networkKey, bridgeAddress, eventType = 'AllEvents', options = {}) {
+  if (!isEventStoreAvailable()) {
+    return await getEventLogsViaRPC(networkKey, bridgeAddress, eventType, options);
+  }
+
+  console.log(`🔍 Getting ${eventType} events incrementally for ${networkKey} bridge ${bridgeAddress}`);
+  
+  const { provider, rpcUrl } = getRpcConnection(networkKey);
+  const topics = getEventTopics(eventType);
+  const scopes = getCheckpointScopes(eventType);
+  const checkpoint = await getMergedCheckpoint(networkKey, bridgeAddress, scopes);
+  const latestBlock = await getLatestBlockNumber(provider, rpcUrl);
+  
+  const plan = planIncrementalScan({
+    latestBlock,
+    checkpoint,
+    initialBlocks: estimateBlocksFromHours(options.rangeHours || 24, networkKey),
+    reorgSafetyBlocks: REORG_SAFETY_BLOCKS[networkKey] ?? DEFAULT_REORG_SAFETY_BLOCKS
+  });
+  
+  if (!plan) {
+    console.log(`   ⏭️ ${networkKey}: Latest block ${latestBlock} is behind the checkpoint, nothing to scan`);
+    return { ...buildEventResult(networkKey, eventType, [], false), scan: null };
+  }
+
+  // Same chunk size as windowed scans: at most 48 hours and within the RPC limit
+  const chunkBlocks = Math.min(RPC_LIMITS[networkKey] || Infinity, estimateBlocksFromHours(48, networkKey));
+  const chunks = splitBlockRange(plan.fromBlock, plan.toBlock, chunkBlocks);
+  console.log(`   📊 ${networkKey}: Scanning blocks ${plan.fromBlock}-${plan.toBlock} in ${chunks.length} chunk(s)${checkpoint ? ` from checkpoint ${checkpoint.lastScannedBlock}` : ''}`);
+
+  const allLogs = [];
+  let has402Error = false;
+  let lastError = null;
+  let succeededChunks = 0;
+  // Checkpoints only advance through chunks that succeeded without a gap
+  let scannedToBlock = null;
+  
+  for (let i = 0; i < chunks.length; i++) {
+    const chunk = chunks[i];
+    try {
+      const chunkLogs = await requestLogs(rpcUrl, bridgeAddress, topics, chunk.fromBlock, chunk.toBlock);
+      allLogs.push(...chunkLogs);
+      succeededChunks++;
+      if (!lastError) {
+        scannedToBlock = chunk.toBlock;
+      }
+      
+      // 1 second delay between chunks to avoid rate limiting
+      if (i < chunks.length - 1) {
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+    } catch (error) {
+      console.warn(`   ⚠️ Chunk ${i + 1} (${chunk.fromBlock}-${chunk.toBlock}) failed: ${error.message}`);
+      lastError = error;
+      if (error.is402Error) {
+        has402Error = true;
+      }
+    }
+  }
+
+  if (succeededChunks === 0) {
+    throw lastError;
+  }
+
+  console.log(`   ✅ Found ${allLogs.length} new events for ${networkKey}`);
+
+  const result = buildEventResult(networkKey, eventType, allLogs, has402Error);
+  result.scan = {
+    scopes,
+    lastScannedBlock: scannedToBlock === null
+      ? checkpoint?.lastScannedBlock ?? null
+      : Math.max(scannedToBlock, checkpoint?.lastScannedBlock ?? 0),
+    earliestScannedBlock: checkpoint ? checkpoint.earliestScannedBlock : plan.fromBlock,
+    // Blocks scanned before and scanned again now, stored events there that were not found again are stale
+    rescannedRange: plan.rescanToBlock !== null && scannedToBlock !== null
+      ? { fromBlock: plan.fromBlock, toBlock: Math.min(plan.rescanToBlock, scannedToBlock) }
+      : null,
+    backfillComplete: (checkpoint ? checkpoint.earliestScannedBlock : plan.fromBlock) <= 0
+  };
+  return result;
+}
+
+/**
+ * Get the events of the next older block window below the earliest scanned block,
+ * to fill in history in the background one step at a time
+ * @param {string} networkKey - Network key (ETHEREUM, BSC, THREEDPASS)
+ * @param {string} bridgeAddress - Bridge contract address
+ * @param {string} eventType - Event type ('NewClaim', 'NewExpatriation', 'NewRepatriation', 'AllEvents')
+ * @param {Object} options - Additional options
+ * @param {number} options.windowBlocks - Blocks to scan in this step (default: per network)
+ * @returns {Promise<Object>} Object with block numbers and event data, result.scan is null
+ * when there is nothing left to backfill
+ */
+export async function getEventLogsBackfill(networkKey, bridgeAddress, eventType = 'AllEvents', options = {}) {
+  const scopes = getCheckpointScopes(eventType);
+  const checkpoint = await getMergedCheckpoint(networkKey, bridgeAddress, scopes);
+  const plan = planBackfillScan({
+    checkpoint,
+    windowBlocks: options.windowBlocks || BACKFILL_WINDOW_BLOCKS[networkKey] || DEFAULT_BACKFILL_WINDOW_BLOCKS
+  });
+
+  if (!plan) {
+    return { ...buildEventResult(networkKey, eventType, [], false), scan: null };
+  }
+
+  console.log(`⏪ Backfilling ${eventType} events for ${networkKey} bridge ${bridgeAddress}: blocks ${plan.fromBlock}-${plan.toBlock}`);
+  
+  const { rpcUrl } = getRpcConnection(networkKey);
+  const logs = await requestLogs(rpcUrl, bridgeAddress, getEventTopics(eventType), plan.fromBlock, plan.toBlock);
+
+  const result = buildEventResult(networkKey, eventType, logs, false);
+  result.scan = {
+    scopes,
+    lastScannedBlock: checkpoint.lastScannedBlock,
+    earliestScannedBlock: plan.fromBlock,
+    rescannedRange: null,
+    backfillComplete: plan.fromBlock <= 0
+  };
+  return result;
+}
+
+/**
+ * Save the checkpoints reached by an incremental or backfill scan
+ * @param {string} networkKey - Network key
+ * @param {string} bridgeAddress - Bridge contract address
+ * @param {Object|null} scan - result.scan of getEventLogsIncremental or getEventLogsBackfill
+ * @returns {Promise<boolean>} Whether the checkpoints were saved
+ */
+export async function saveScanCheckpoints(networkKey, bridgeAddress, scan) {
+  if (!scan || scan.lastScannedBlock === null) {
+    return false;
+  }
+  const saved = await Promise.all(scan.scopes.map(scope => setCheckpoint({
+    networkKey,
+    bridgeAddress,
+    scope,
+    lastScannedBlock: scan.lastScannedBlock,
+    earliestScannedBlock: scan.earliestScannedBlock,
+    backfillComplete: scan.backfillComplete
+  })));
+  return saved.every(Boolean);
+}
+
 // Export for CommonJS compatibility
 const unifiedBlockFetcher = {
   getEventBlockNumbersUnified,
@@ -575,6 +871,9 @@ const unifiedBlockFetcher = {
   getNewClaimBlockNumbersUnified,
   getTransferBlockNumbersUnified,
   getAllTransferBlockNumbersUnified,
+  getEventLogsIncremental,
+  getEventLogsBackfill,
+  saveScanCheckpoints,
   testNetworkConnection
 };
 
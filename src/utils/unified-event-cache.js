@@ -3,191 +3,218 @@
  * 
  * Provides browser storage caching for bridge events using the same format
  * as the parallel discovery system. This ensures consistency across all data sources.
+ * Events are kept in the IndexedDB event store (see event-store.js), so all
+ * cache functions are asynchronous.
  */
 
 import { normalizeAmount } from './data-normalizer.js';
+import {
+  STORES,
+  META_KEYS,
+  getAssistantHistoryKey,
+  putEvents,
+  getAllEvents,
+  queryEvents,
+  updateEvents,
+  pruneEventsInBlockRange,
+  getMeta,
+  setMeta,
+  clearEventStore,
+} from './event-store.js';
 
-// Storage keys matching ClaimList.js pattern
-const STORAGE_KEYS = {
-  CLAIMS: 'bridge_claims_cache',
-  TRANSFERS: 'bridge_transfers_cache',
-  AGGREGATED: 'bridge_aggregated_cache', // Only completed transfers should ever be cached here
-  SETTINGS: 'bridge_cache_settings',
-  TIMESTAMP: 'bridge_cache_timestamp'
+/**
+ * Add transfer event to storage (NewExpatriation/NewRepatriation)
+ * Uses the exact same format as parallel discovery system
+ * @param {Object} eventData - Transfer event data in discovery format
+ * @returns {Promise<boolean>} Whether the event was stored
+ */
+export const addTransferEventToStorage = async (eventData) => {
+  console.log('💾 Adding transfer event to browser storage:', eventData.transactionHash);
+  return putEvents(STORES.TRANSFERS, [eventData]);
 };
 
 /**
- * Get cached data from localStorage
- * @param {string} key - Storage key
- * @returns {Array|null} Cached data or null if not found
+ * Add claim event to storage (NewClaim)
+ * Uses the exact same format as parallel discovery system
+ * @param {Object} eventData - Claim event data in discovery format
+ * @returns {Promise<boolean>} Whether the event was stored
  */
-const getCachedData = (key) => {
-  try {
-    const cached = localStorage.getItem(key);
-    return cached ? JSON.parse(cached) : null;
-  } catch (error) {
-    console.warn('Failed to parse cached data:', error);
-    return null;
-  }
+export const addClaimEventToStorage = async (eventData) => {
+  console.log('💾 Adding claim event to browser storage:', eventData.transactionHash);
+  return putEvents(STORES.CLAIMS, [eventData]);
 };
 
 /**
- * Set cached data to localStorage
- * @param {string} key - Storage key
- * @param {Array} data - Data to cache
+ * Add a batch of transfer events to storage in one transaction
+ * @param {Array} events - Transfer events in discovery format
+ * @returns {Promise<boolean>} Whether the events were stored
  */
-const setCachedData = (key, data) => {
-  try {
-    localStorage.setItem(key, JSON.stringify(data));
-    localStorage.setItem(STORAGE_KEYS.TIMESTAMP, Date.now().toString());
-  } catch (error) {
-    console.warn('Failed to cache data:', error);
-  }
+export const addTransferEventsToStorage = async (events) => {
+  return putEvents(STORES.TRANSFERS, events);
 };
 
 /**
- * Add transfer event to storage (NewExpatriation/NewRepatriation)
- * Uses the exact same format as parallel discovery system
- * @param {Object} eventData - Transfer event data in discovery format
+ * Add a batch of claim events to storage in one transaction
+ * @param {Array} events - Claim events in discovery format
+ * @returns {Promise<boolean>} Whether the events were stored
  */
-export const addTransferEventToStorage = (eventData) => {
-  try {
-    console.log('💾 Adding transfer event to browser storage:', eventData);
-    
-    // Get existing transfers from storage
-    const existingTransfers = getCachedData(STORAGE_KEYS.TRANSFERS) || [];
-    
-    // Check if this transfer already exists (by transaction hash)
-    const existingIndex = existingTransfers.findIndex(t => t.transactionHash === eventData.transactionHash);
-    
-    if (existingIndex >= 0) {
-      // Update existing transfer
-      existingTransfers[existingIndex] = { ...existingTransfers[existingIndex], ...eventData };
-      console.log('🔄 Updated existing transfer in storage');
-    } else {
-      // Add new transfer at the beginning (most recent first)
-      existingTransfers.unshift(eventData);
-      console.log('➕ Added new transfer to storage');
-    }
-    
-    // Save back to storage
-    setCachedData(STORAGE_KEYS.TRANSFERS, existingTransfers);
-    
-    console.log('✅ Transfer event successfully added to browser storage');
-    return true;
-  } catch (error) {
-    console.error('❌ Failed to add transfer event to storage:', error);
-    return false;
-  }
+export const addClaimEventsToStorage = async (events) => {
+  return putEvents(STORES.CLAIMS, events);
 };
 
 /**
- * Add claim event to storage (NewClaim)
- * Uses the exact same format as parallel discovery system
- * @param {Object} eventData - Claim event data in discovery format
+ * Merge changes into a cached claim
+ * @param {Object} params - Claim location
+ * @param {string} params.bridgeAddress - Bridge address
+ * @param {*} params.claimNum - Claim number
+ * @param {Object} changes - Fields to merge into the cached claim
+ * @returns {Promise<number>} Number of updated claims
  */
-export const addClaimEventToStorage = (eventData) => {
-  try {
-    console.log('💾 Adding claim event to browser storage:', eventData);
-    
-    // Get existing claims from storage
-    const existingClaims = getCachedData(STORAGE_KEYS.CLAIMS) || [];
-    
-    // Check if this claim already exists (by transaction hash)
-    const existingIndex = existingClaims.findIndex(c => c.transactionHash === eventData.transactionHash);
-    
-    if (existingIndex >= 0) {
-      // Update existing claim
-      existingClaims[existingIndex] = { ...existingClaims[existingIndex], ...eventData };
-      console.log('🔄 Updated existing claim in storage');
-    } else {
-      // Add new claim at the beginning (most recent first)
-      existingClaims.unshift(eventData);
-      console.log('➕ Added new claim to storage');
-    }
-    
-    // Save back to storage
-    setCachedData(STORAGE_KEYS.CLAIMS, existingClaims);
-    
-    console.log('✅ Claim event successfully added to browser storage');
-    return true;
-  } catch (error) {
-    console.error('❌ Failed to add claim event to storage:', error);
-    return false;
-  }
+export const updateCachedClaim = async ({ bridgeAddress, claimNum }, changes) => {
+  return updateEvents(STORES.CLAIMS, 'bridgeClaim', [bridgeAddress, claimNum], changes);
+};
+
+/**
+ * Merge changes into a cached transfer
+ * @param {string} txid - Transfer transaction hash
+ * @param {Object} changes - Fields to merge into the cached transfer
+ * @returns {Promise<number>} Number of updated transfers
+ */
+export const updateCachedTransfer = async (txid, changes) => {
+  return updateEvents(STORES.TRANSFERS, 'txid', txid, changes);
 };
 
 /**
  * Get all cached transfer events
- * @returns {Array} Cached transfer events
+ * @returns {Promise<Array>} Cached transfer events, most recent first
  */
-export const getCachedTransfers = () => {
-  return getCachedData(STORAGE_KEYS.TRANSFERS) || [];
+export const getCachedTransfers = async () => {
+  return getAllEvents(STORES.TRANSFERS);
 };
 
 /**
  * Get all cached claim events
- * @returns {Array} Cached claim events
+ * @returns {Promise<Array>} Cached claim events, most recent first
+ */
+export const getCachedClaims = async () => {
+  return getAllEvents(STORES.CLAIMS);
+};
+
+/**
+ * Get the cached events of one bridge
+ * @param {string} bridgeAddress - Bridge address
+ * @returns {Promise<{transfers:Array, claims:Array}>} Cached events, most recent first
  */
-export const getCachedClaims = () => {
-  return getCachedData(STORAGE_KEYS.CLAIMS) || [];
+export const getCachedBridgeEvents = async (bridgeAddress) => {
+  const [transfers, claims] = await Promise.all([
+    queryEvents(STORES.TRANSFERS, 'bridgeAddress', bridgeAddress),
+    queryEvents(STORES.CLAIMS, 'bridgeAddress', bridgeAddress),
+  ]);
+  return { transfers, claims };
+};
+
+/**
+ * Remove cached events of a bridge that a rescan of their blocks no longer finds
+ * @param {Object} params - Rescanned range
+ * @param {string} params.bridgeAddress - Bridge address
+ * @param {number} params.fromBlock - First rescanned block
+ * @param {number} params.toBlock - Last rescanned block
+ * @param {Array} params.transfers - Transfer events found by the rescan
+ * @param {Array} params.claims - Claim events found by the rescan
+ * @returns {Promise<number>} Number of removed events
+ */
+export const pruneCachedBridgeEvents = async ({ bridgeAddress, fromBlock, toBlock, transfers, claims }) => {
+  const [removedTransfers, removedClaims] = await Promise.all([
+    pruneEventsInBlockRange(STORES.TRANSFERS, { bridgeAddress, fromBlock, toBlock, keep: transfers }),
+    pruneEventsInBlockRange(STORES.CLAIMS, { bridgeAddress, fromBlock, toBlock, keep: claims }),
+  ]);
+  return removedTransfers + removedClaims;
 };
 
 /**
  * Get cached aggregated data (completed-only snapshot)
- * @returns {Object|null} Aggregated data or null
+ * @returns {Promise<Object|null>} Aggregated data or null
+ */
+export const getCachedAggregated = async () => {
+  return getMeta(META_KEYS.AGGREGATED);
+};
+
+/**
+ * Store the aggregated snapshot. Only completed transfers should ever be cached here.
+ * @param {Object|null} aggregated - Completed-only aggregated data, null to remove it
+ * @returns {Promise<boolean>} Whether the snapshot was written
  */
-export const getCachedAggregated = () => {
-  return getCachedData(STORAGE_KEYS.AGGREGATED);
+export const setCachedAggregated = async (aggregated) => {
+  return setMeta(META_KEYS.AGGREGATED, aggregated);
 };
 
 /**
  * Get cached settings
- * @returns {Object|null} Settings or null
+ * @returns {Promise<Object|null>} Settings or null
  */
-export const getCachedSettings = () => {
-  return getCachedData(STORAGE_KEYS.SETTINGS);
+export const getCachedSettings = async () => {
+  return getMeta(META_KEYS.SETTINGS);
+};
+
+/**
+ * Get the cached history of an assistant pool
+ * @param {string} assistantAddress - Assistant contract address
+ * @returns {Promise<Object|null>} History saved by setCachedAssistantHistory or null
+ */
+export const getCachedAssistantHistory = async (assistantAddress) => {
+  return getMeta(getAssistantHistoryKey(assistantAddress));
+};
+
+/**
+ * Store the reconstructed history of an assistant pool (see assistant-analytics.js)
+ * @param {string} assistantAddress - Assistant contract address
+ * @param {Object|null} history - Serializable history, null to remove it
+ * @returns {Promise<boolean>} Whether the history was written
+ */
+export const setCachedAssistantHistory = async (assistantAddress, history) => {
+  return setMeta(getAssistantHistoryKey(assistantAddress), history);
 };
 
 /**
  * Clear all cached events
+ * @returns {Promise<void>}
  */
-export const clearAllCachedEvents = () => {
-  try {
-    Object.values(STORAGE_KEYS).forEach(key => {
-      localStorage.removeItem(key);
-    });
+export const clearAllCachedEvents = async () => {
+  if (await clearEventStore()) {
     console.log('🗑️ Cleared all cached events');
-  } catch (error) {
-    console.warn('Failed to clear cached data:', error);
   }
 };
 
 /**
  * Get cache timestamp
- * @returns {number|null} Cache timestamp or null if not found
+ * @returns {Promise<number|null>} Cache timestamp or null if not found
  */
-export const getCacheTimestamp = () => {
-  try {
-    const timestamp = localStorage.getItem(STORAGE_KEYS.TIMESTAMP);
-    return timestamp ? parseInt(timestamp) : null;
-  } catch (error) {
-    console.warn('Failed to get cache timestamp:', error);
-    return null;
-  }
+export const getCacheTimestamp = async () => {
+  return getMeta(META_KEYS.TIMESTAMP);
+};
+
+/**
+ * Check whether any events or completed transfers are cached
+ * @returns {Promise<boolean>}
+ */
+export const hasCachedBridgeData = async () => {
+  const [claims, transfers, aggregated] = await Promise.all([getCachedClaims(), getCachedTransfers(), getCachedAggregated()]);
+  return claims.length > 0 || transfers.length > 0 || (aggregated?.completedTransfers?.length || 0) > 0;
 };
 
 /**
  * Load a unified snapshot of cached data in one call
  * Returns claims, transfers, aggregated (completed-only), settings, and timestamp
- * @returns {{claims:Array, transfers:Array, aggregated:Object|null, settings:Object|null, timestamp:number|null}}
+ * @returns {Promise<{claims:Array, transfers:Array, aggregated:Object|null, settings:Object|null, timestamp:number|null}>}
  */
-export const loadCachedBridgeData = () => {
-  const claims = getCachedClaims();
-  const transfers = getCachedTransfers();
-  const aggregated = getCachedAggregated();
-  const settings = getCachedSettings();
-  const timestamp = getCacheTimestamp();
+export const loadCachedBridgeData = async () => {
+  const [claims, transfers, aggregated, settings, timestamp] = await Promise.all([
+    getCachedClaims(),
+    getCachedTransfers(),
+    getCachedAggregated(),
+    getCachedSettings(),
+    getCacheTimestamp(),
+  ]);
   return { claims, transfers, aggregated, settings, timestamp };
 };
 
@@ -370,6 +397,3 @@ export const createClaimEventData = (params) => {
     status: 'active'
   };
 };
-
-// Export storage keys and utility functions for consistency
-export { STORAGE_KEYS, setCachedData };
@@ -0,0 +1,173 @@
+/**
+ * Wallet providers: EIP-6963 discovery of injected wallets, the legacy window.ethereum
+ * fallback and WalletConnect v2. Keeps the EIP-1193 provider of the connected wallet
+ * so network switching and chain checks go through the wallet the user picked.
+ */
+
+export const WALLET_TYPES = {
+  EIP6963: 'eip6963',
+  INJECTED: 'injected',
+  WALLETCONNECT: 'walletconnect',
+};
+
+export const WALLETCONNECT_WALLET_ID = 'walletconnect';
+export const INJECTED_WALLET_ID = 'injected';
+
+const EIP6963_ANNOUNCE_EVENT = 'eip6963:announceProvider';
+const EIP6963_REQUEST_EVENT = 'eip6963:requestProvider';
+const WALLET_STORAGE_KEY = 'bridgeWallet';
+
+const WALLETCONNECT_PROJECT_ID = process.env.REACT_APP_WALLETCONNECT_PROJECT_ID;
+
+// Provider of the connected wallet, null until a wallet is connected
+let activeWalletProvider = null;
+
+const getWindow = () => (typeof window !== 'undefined' ? window : (typeof global !== 'undefined' && global.window));
+
+/**
+ * Get the EIP-1193 provider of the connected wallet, falling back to window.ethereum
+ * @returns {Object|null} EIP-1193 provider
+ */
+export const getWalletProvider = () => {
+  if (activeWalletProvider) return activeWalletProvider;
+  return getWindow()?.ethereum || null;
+};
+
+/**
+ * Set the EIP-1193 provider of the connected wallet
+ * @param {Object|null} provider - EIP-1193 provider, null on disconnect
+ */
+export const setWalletProvider = (provider) => {
+  activeWalletProvider = provider;
+};
+
+/**
+ * Name a legacy injected provider by its flags.
+ * Rabby and Brave also set isMetaMask, so they are checked first.
+ * @param {Object} ethereum - window.ethereum
+ * @returns {string} Wallet name
+ */
+export const getInjectedWalletName = (ethereum) => {
+  if (!ethereum) return 'Browser Wallet';
+  if (ethereum.isRabby) return 'Rabby';
+  if (ethereum.isBraveWallet) return 'Brave Wallet';
+  if (ethereum.isCoinbaseWallet) return 'Coinbase Wallet';
+  if (ethereum.isFrame) return 'Frame';
+  if (ethereum.isMetaMask) return 'MetaMask';
+  return 'Browser Wallet';
+};
+
+/**
+ * Listen for wallets announced through EIP-6963
+ * @param {Function} onChange - Called with the list of announced wallets whenever a wallet announces itself
+ * @returns {Function} Unsubscribe function
+ */
+export const discoverInjectedWallets = (onChange) => {
+  const win = getWindow();
+  if (!win?.addEventListener) return () => {};
+
+  const wallets = new Map();
+  const handleAnnounce = (event) => {
+    const { info, provider } = event.detail || {};
+    if (!info?.uuid || !provider) return;
+
+    const id = info.rdns || info.uuid;
+    wallets.set(id, { id, type: WALLET_TYPES.EIP6963, name: info.name, icon: info.icon, provider });
+    onChange([...wallets.values()]);
+  };
+
+  win.addEventListener(EIP6963_ANNOUNCE_EVENT, handleAnnounce);
+  // Wallets that loaded before us announce again on request
+  win.dispatchEvent(new Event(EIP6963_REQUEST_EVENT));
+
+  return () => win.removeEventListener(EIP6963_ANNOUNCE_EVENT, handleAnnounce);
+};
+
+/**
+ * Build the wallet choices shown to the user
+ * @param {Array} discoveredWallets - Wallets announced through EIP-6963
+ * @param {Object} options - Environment
+ * @param {Object} [options.ethereum] - window.ethereum, offered when no wallet announced itself
+ * @param {boolean} [options.walletConnectEnabled] - Whether a WalletConnect project id is configured
+ * @param {string} [options.lastWalletId] - Id of the last used wallet, listed first
+ * @returns {Array} Wallet options { id, type, name, icon, provider, isLastUsed }
+ */
+export const getWalletOptions = (discoveredWallets, { ethereum, walletConnectEnabled, lastWalletId } = {}) => {
+  const options = [...discoveredWallets];
+
+  // Wallets without EIP-6963 support only inject window.ethereum
+  if (options.length === 0 && ethereum) {
+    options.push({ id: INJECTED_WALLET_ID, type: WALLET_TYPES.INJECTED, name: getInjectedWalletName(ethereum), icon: null, provider: ethereum });
+  }
+
+  if (walletConnectEnabled) {
+    options.push({ id: WALLETCONNECT_WALLET_ID, type: WALLET_TYPES.WALLETCONNECT, name: 'WalletConnect', icon: null, provider: null });
+  }
+
+  return options
+    .map(option => ({ ...option, isLastUsed: option.id === lastWalletId }))
+    .sort((a, b) => Number(b.isLastUsed) - Number(a.isLastUsed));
+};
+
+/**
+ * Whether WalletConnect can be offered
+ * @returns {boolean}
+ */
+export const isWalletConnectEnabled = () => Boolean(WALLETCONNECT_PROJECT_ID);
+
+/**
+ * Open a WalletConnect v2 session
+ * @param {Array} networks - Networks the app uses, offered as optional chains
+ * @returns {Promise<Object>} Connected EIP-1193 provider
+ */
+export const connectWalletConnect = async (networks) => {
+  if (!WALLETCONNECT_PROJECT_ID) {
+    throw new Error('WalletConnect is not configured. Set REACT_APP_WALLETCONNECT_PROJECT_ID to enable it.');
+  }
+
+  // Loaded on demand, the WalletConnect client and QR modal are large
+  const { EthereumProvider } = await import('@walletconnect/ethereum-provider');
+  const origin = getWindow()?.location?.origin;
+
+  const provider = await EthereumProvider.init({
+    projectId: WALLETCONNECT_PROJECT_ID,
+    optionalChains: networks.map(network => network.id),
+    rpcMap: Object.fromEntries(networks.map(network => [network.id, network.rpcUrl])),
+    showQrModal: true,
+    metadata: {
+      name: 'Counterstake Bridge',
+      description: 'Cross-chain bridge between 3DPass, Ethereum and BSC',
+      url: origin,
+      icons: [`${origin}/logo.svg`],
+    },
+  });
+
+  await provider.enable();
+  return provider;
+};
+
+/**
+ * Read the last used wallet
+ * @returns {{id:string, type:string}|null} Last used wallet
+ */
+export const getSavedWallet = () => {
+  try {
+    const saved = localStorage.getItem(WALLET_STORAGE_KEY);
+    return saved ? JSON.parse(saved) : null;
+  } catch (error) {
+    console.warn('Failed to read saved wallet:', error);
+    return null;
+  }
+};
+
+/**
+ * Remember the wallet the user connected with
+ * @param {Object} wallet - Wallet option
+ */
+export const saveWallet = (wallet) => {
+  try {
+    localStorage.setItem(WALLET_STORAGE_KEY, JSON.stringify({ id: wallet.id, type: wallet.type }));
+  } catch (error) {
+    console.warn('Failed to save wallet:', error);
+  }
+};
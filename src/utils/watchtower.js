@@ -0,0 +1,356 @@
+/**
+ * Watchtower Utilities
+ *
+ * Opt-in monitoring of configured bridges: every new claim is classified with the
+ * claim/transfer aggregation logic, and suspicious claims that are still inside
+ * their challenging period are queued for a challenge within a per-bridge budget.
+ * Settings, spent budgets and the decision log are persisted in localStorage.
+ */
+
+import { ethers } from 'ethers';
+import { COUNTERSTAKE_ABI, ERC20_ABI } from '../contracts/abi';
+import { ADDRESS_ZERO } from '../config/networks';
+import { discoverAllBridgeEvents } from './parallel-bridge-discovery';
+import { aggregateClaimsAndTransfers } from './aggregate-claims-transfers';
+import { fetchMultipleClaimDetails } from './claim-details-fetcher';
+import { findCounterpartBridge, getBridgeNetworkKey, OUTCOME_YES, OUTCOME_NO } from './assistant-manager';
+
+const STORAGE_KEYS = {
+  SETTINGS: 'watchtower_settings',
+  STATE: 'watchtower_state',
+  LOG: 'watchtower_log',
+};
+
+// Oldest entries are dropped beyond this size to keep localStorage bounded
+const MAX_LOG_ENTRIES = 1000;
+
+// Claims whose transfer is this close to the start of the scanned window can't be judged reliably
+const SCAN_WINDOW_MARGIN_SECONDS = 3600;
+
+export const CONFIRMATION_POLICIES = {
+  NOTIFY: 'notify', // queue the challenge and wait for the user to send it
+  AUTO: 'auto',     // send the challenge as soon as it is queued
+};
+
+export const WATCHTOWER_DECISIONS = {
+  VALID: 'valid',
+  CHALLENGE_QUEUED: 'challenge_queued',
+  CHALLENGE_SENT: 'challenge_sent',
+  CHALLENGE_FAILED: 'challenge_failed',
+  DISMISSED: 'dismissed',
+  SKIPPED: 'skipped',
+};
+
+// Decisions after which a claim is never evaluated again
+const TERMINAL_DECISIONS = [
+  WATCHTOWER_DECISIONS.VALID,
+  WATCHTOWER_DECISIONS.CHALLENGE_SENT,
+  WATCHTOWER_DECISIONS.DISMISSED,
+];
+
+export const DEFAULT_WATCHTOWER_SETTINGS = {
+  enabled: false,
+  pollIntervalMinutes: 5,
+  rangeHours: 24,
+  confirmationPolicy: CONFIRMATION_POLICIES.NOTIFY,
+  watchedBridges: [],  // lowercase bridge addresses
+  bridgeBudgets: {},   // lowercase bridge address -> budget in stake token wei (string)
+};
+
+const readStorage = (key, fallback) => {
+  try {
+    const stored = localStorage.getItem(key);
+    return stored ? JSON.parse(stored) : fallback;
+  } catch (error) {
+    console.warn(`⚠️ Failed to read ${key} from storage:`, error);
+    return fallback;
+  }
+};
+
+const writeStorage = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.warn(`⚠️ Failed to write ${key} to storage:`, error);
+  }
+};
+
+/**
+ * Get watchtower settings merged with defaults
+ * @returns {Object} Watchtower settings
+ */
+export const getWatchtowerSettings = () => ({
+  ...DEFAULT_WATCHTOWER_SETTINGS,
+  ...readStorage(STORAGE_KEYS.SETTINGS, {}),
+});
+
+/**
+ * Persist watchtower settings
+ * @param {Object} settings - Watchtower settings
+ */
+export const saveWatchtowerSettings = (settings) => {
+  writeStorage(STORAGE_KEYS.SETTINGS, settings);
+};
+
+/**
+ * Get the persisted watchtower state
+ * @returns {Object} { claims: { [claimKey]: { decision, reason } }, spent: { [bridge]: weiString }, queue: [] }
+ */
+export const getWatchtowerState = () => ({
+  claims: {},
+  spent: {},
+  queue: [],
+  ...readStorage(STORAGE_KEYS.STATE, {}),
+});
+
+/**
+ * Persist the watchtower state
+ * @param {Object} state - Watchtower state
+ */
+export const saveWatchtowerState = (state) => {
+  writeStorage(STORAGE_KEYS.STATE, state);
+};
+
+/**
+ * Get the decision log, newest first
+ * @returns {Array} Log entries
+ */
+export const getWatchtowerLog = () => readStorage(STORAGE_KEYS.LOG, []);
+
+/**
+ * Append a decision to the persistent log
+ * @param {Object} entry - Log entry (bridgeAddress, claimNum, decision, reason, ...)
+ * @returns {Object} The stored entry with id and timestamp
+ */
+export const appendWatchtowerLog = (entry) => {
+  const stored = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    timestamp: Date.now(),
+    ...entry,
+  };
+  const log = [stored, ...getWatchtowerLog()].slice(0, MAX_LOG_ENTRIES);
+  writeStorage(STORAGE_KEYS.LOG, log);
+  return stored;
+};
+
+/**
+ * Clear the decision log
+ */
+export const clearWatchtowerLog = () => {
+  writeStorage(STORAGE_KEYS.LOG, []);
+};
+
+/**
+ * Build the key used to track a claim across polls
+ * @param {string} bridgeAddress - Bridge address
+ * @param {number|string|ethers.BigNumber} claimNum - Claim number
+ * @returns {string} Claim key
+ */
+export const getClaimKey = (bridgeAddress, claimNum) => `${bridgeAddress.toLowerCase()}:${claimNum.toString()}`;
+
+/**
+ * Get the on-chain claim number of a discovered claim
+ * @param {Object} claim - Claim from discovery/aggregation
+ * @returns {string} Claim number
+ */
+export const getClaimNumber = (claim) => (claim.actualClaimNum ?? claim.claimNum).toString();
+
+/**
+ * Whether a claim has reached a decision that is never revisited
+ * @param {Object} claimState - Stored state of the claim
+ * @returns {boolean} True if the claim should not be evaluated again
+ */
+export const isTerminalDecision = (claimState) => !!claimState && TERMINAL_DECISIONS.includes(claimState.decision);
+
+/**
+ * Decide what to do with a suspicious claim
+ * @param {Object} params - Evaluation inputs
+ * @param {Object} params.claim - Suspicious claim from aggregateClaimsAndTransfers
+ * @param {Object|null} params.details - On-chain claim from getClaim()
+ * @param {number} params.now - Current unix timestamp in seconds
+ * @param {number} params.scanStartTs - Unix timestamp of the start of the scanned window
+ * @returns {Object} { action: 'challenge' | 'skip', reason }
+ */
+export const evaluateSuspiciousClaim = ({ claim, details, now, scanStartTs }) => {
+  if (!details) return { action: 'skip', reason: 'claim_not_found' };
+  if (details.finished) return { action: 'skip', reason: 'claim_finished' };
+  if (now > Number(details.expiry_ts)) return { action: 'skip', reason: 'challenging_period_over' };
+  if (Number(details.current_outcome) !== OUTCOME_YES) return { action: 'skip', reason: 'already_challenged' };
+
+  // Without a transfer in the scanned window we can only judge claims for recent transfers
+  if (claim.reason === 'no_matching_transfer' && Number(claim.txts) < scanStartTs + SCAN_WINDOW_MARGIN_SECONDS) {
+    return { action: 'skip', reason: 'transfer_outside_scan_window' };
+  }
+
+  return { action: 'challenge', reason: claim.reason };
+};
+
+/**
+ * Check a challenge stake against a bridge budget
+ * @param {Object} params - Budget inputs
+ * @param {string|ethers.BigNumber} params.budget - Budget in stake token wei
+ * @param {string|ethers.BigNumber} params.spent - Already spent in stake token wei
+ * @param {ethers.BigNumber} params.stake - Stake to send
+ * @returns {Object} { allowed, remaining }
+ */
+export const checkBudget = ({ budget, spent, stake }) => {
+  const remaining = ethers.BigNumber.from(budget || 0).sub(ethers.BigNumber.from(spent || 0));
+  return {
+    allowed: remaining.gt(0) && ethers.BigNumber.from(stake).lte(remaining),
+    remaining: remaining.gt(0) ? remaining : ethers.constants.Zero,
+  };
+};
+
+/**
+ * Get the stake already committed on a bridge: sent challenges plus queued ones
+ * @param {Object} state - Watchtower state
+ * @param {string} bridgeAddress - Bridge address
+ * @returns {ethers.BigNumber} Committed stake in stake token wei
+ */
+export const getCommittedStake = (state, bridgeAddress) => {
+  const bridgeKey = bridgeAddress.toLowerCase();
+  return state.queue
+    .filter(item => item.bridgeAddress.toLowerCase() === bridgeKey)
+    .reduce((total, item) => total.add(item.stake), ethers.BigNumber.from(state.spent[bridgeKey] || 0));
+};
+
+/**
+ * Build discovery configurations for the watched bridges and their counterparts
+ * @param {Array<string>} watchedBridges - Watched bridge addresses
+ * @param {Object} allBridges - All bridge instances keyed by bridge key
+ * @param {Object} networks - Network configurations keyed by network key
+ * @returns {Array} Bridge configurations for discoverAllBridgeEvents
+ */
+export const getWatchtowerBridgeConfigs = (watchedBridges, allBridges, networks) => {
+  const watched = new Set(watchedBridges.map(address => address.toLowerCase()));
+  const selected = new Map();
+
+  Object.values(allBridges).forEach(bridge => {
+    if (!bridge?.address || !watched.has(bridge.address.toLowerCase())) return;
+    selected.set(bridge.address.toLowerCase(), bridge);
+    const counterpart = findCounterpartBridge(bridge, allBridges);
+    if (counterpart) selected.set(counterpart.address.toLowerCase(), counterpart);
+  });
+
+  return [...selected.values()].map(bridge => ({
+    bridgeAddress: bridge.address,
+    networkKey: getBridgeNetworkKey(bridge.address, networks) || bridge.homeNetwork,
+    bridgeType: bridge.type,
+    homeNetwork: bridge.homeNetwork,
+    foreignNetwork: bridge.foreignNetwork,
+    homeTokenSymbol: bridge.homeTokenSymbol,
+    foreignTokenSymbol: bridge.foreignTokenSymbol,
+  }));
+};
+
+/**
+ * Scan the watched bridges and classify their claims
+ * @param {Object} params - Scan parameters
+ * @param {Array<string>} params.watchedBridges - Watched bridge addresses
+ * @param {Object} params.allBridges - All bridge instances
+ * @param {Object} params.networks - Network configurations
+ * @param {number} params.rangeHours - Hours of history to scan
+ * @returns {Promise<Object>} { validClaims, suspiciousClaims, scanStartTs, errors }
+ */
+export const scanWatchedBridges = async ({ watchedBridges, allBridges, networks, rangeHours }) => {
+  const bridgeConfigs = getWatchtowerBridgeConfigs(watchedBridges, allBridges, networks);
+  const scanStartTs = Math.floor(Date.now() / 1000) - rangeHours * 3600;
+  if (bridgeConfigs.length === 0) {
+    return { validClaims: [], suspiciousClaims: [], scanStartTs, errors: [] };
+  }
+
+  const discoveryResults = await discoverAllBridgeEvents(bridgeConfigs, { rangeHours });
+  const aggregated = aggregateClaimsAndTransfers(discoveryResults.allClaims, discoveryResults.allTransfers);
+
+  const watched = new Set(watchedBridges.map(address => address.toLowerCase()));
+  const isWatched = (claim) => watched.has(claim.bridgeAddress?.toLowerCase());
+
+  return {
+    validClaims: aggregated.completedTransfers.filter(isWatched),
+    suspiciousClaims: aggregated.suspiciousClaims.filter(isWatched),
+    scanStartTs,
+    errors: discoveryResults.bridgeResults.filter(result => result.error).map(result => ({
+      bridgeAddress: result.bridgeAddress,
+      networkKey: result.networkKey,
+      error: result.error,
+    })),
+  };
+};
+
+/**
+ * Fetch on-chain details for claims of one bridge
+ * @param {ethers.providers.Provider} provider - Provider for the bridge network
+ * @param {string} bridgeAddress - Bridge address
+ * @param {Array} claimNums - Claim numbers
+ * @returns {Promise<Array>} Claim details (null for missing claims)
+ */
+export const fetchWatchtowerClaimDetails = async (provider, bridgeAddress, claimNums) => {
+  const contract = new ethers.Contract(bridgeAddress, COUNTERSTAKE_ABI, provider);
+  return fetchMultipleClaimDetails({ contract, provider, claimNums });
+};
+
+/**
+ * Get the stake token of a bridge
+ * @param {ethers.providers.Provider} provider - Provider for the bridge network
+ * @param {string} bridgeAddress - Bridge address
+ * @returns {Promise<Object>} { stakeTokenAddress, stakeDecimals }
+ */
+export const getBridgeStakeToken = async (provider, bridgeAddress) => {
+  const bridge = new ethers.Contract(bridgeAddress, COUNTERSTAKE_ABI, provider);
+  const { tokenAddress } = await bridge.settings();
+  const stakeDecimals = tokenAddress === ADDRESS_ZERO
+    ? 18
+    : await new ethers.Contract(tokenAddress, ERC20_ABI, provider).decimals();
+
+  return { stakeTokenAddress: tokenAddress, stakeDecimals };
+};
+
+/**
+ * Get the stake needed to flip a claim to NO together with the stake token info
+ * @param {ethers.providers.Provider} provider - Provider for the bridge network
+ * @param {string} bridgeAddress - Bridge address
+ * @param {number|string} claimNum - Claim number
+ * @returns {Promise<Object>} { stake, stakeTokenAddress, stakeDecimals }
+ */
+export const getChallengeStake = async (provider, bridgeAddress, claimNum) => {
+  try {
+    const bridge = new ethers.Contract(bridgeAddress, COUNTERSTAKE_ABI, provider);
+    const [stake, stakeToken] = await Promise.all([
+      bridge.getMissingStake(claimNum, OUTCOME_NO),
+      getBridgeStakeToken(provider, bridgeAddress),
+    ]);
+
+    return { stake, ...stakeToken };
+  } catch (error) {
+    console.error('❌ Error getting challenge stake:', error);
+    throw new Error(`Failed to get challenge stake: ${error.message}`);
+  }
+};
+
+/**
+ * Send a challenge on NO, approving the exact stake first for ERC20 stake tokens
+ * @param {ethers.Signer} signer - Connected signer on the bridge network
+ * @param {Object} challenge - Queued challenge (bridgeAddress, claimNum, stake, stakeTokenAddress)
+ * @returns {Promise<ethers.providers.TransactionReceipt>} Challenge receipt
+ */
+export const sendWatchtowerChallenge = async (signer, challenge) => {
+  const { bridgeAddress, claimNum, stakeTokenAddress } = challenge;
+  const stake = ethers.BigNumber.from(challenge.stake);
+  const isNative = !stakeTokenAddress || stakeTokenAddress === ADDRESS_ZERO;
+
+  if (!isNative) {
+    const account = await signer.getAddress();
+    const token = new ethers.Contract(stakeTokenAddress, ERC20_ABI, signer);
+    const allowance = await token.allowance(account, bridgeAddress);
+    if (allowance.lt(stake)) {
+      console.log('🔄 Watchtower: approving stake token for challenge', stake.toString());
+      const approveTx = await token.approve(bridgeAddress, stake);
+      await approveTx.wait();
+    }
+  }
+
+  const bridge = new ethers.Contract(bridgeAddress, COUNTERSTAKE_ABI, signer);
+  const tx = await bridge['challenge(uint256,uint8,uint256)'](claimNum, OUTCOME_NO, stake, { value: isNative ? stake : 0 });
+  console.log('✅ Watchtower: challenge sent', tx.hash);
+  return tx.wait();
+};
@@ -2,53 +2,56 @@ import { ethers } from 'ethers';
 import { getNetworkById } from '../config/networks';
 import { P3D_PRECOMPILE_ADDRESS } from '../config/networks';
 import { get3DPassTokenABI, is3DPassPrecompile, isP3DPrecompile } from './threedpass';
+import { getWalletProvider } from './wallet-providers';
 
-// MetaMask connection
-export const connectWallet = async () => {
-  if (!window.ethereum) {
-    throw new Error('MetaMask is not installed. Please install MetaMask to use this app.');
-  }
-
-  if (!window.ethereum.isMetaMask) {
-    throw new Error('Please use MetaMask to connect to this app.');
+// Wallet connection
+/**
+ * Request account access from a wallet
+ * @param {Object} [ethereum] - EIP-1193 provider of the chosen wallet (default: connected wallet or window.ethereum)
+ * @returns {Promise<{account: string, provider: ethers.providers.Web3Provider}>}
+ */
+export const connectWallet = async (ethereum = getWalletProvider()) => {
+  if (!ethereum) {
+    throw new Error('No wallet found. Please install a browser wallet or use WalletConnect.');
   }
 
   try {
     // Request account access
-    const accounts = await window.ethereum.request({ method: 'eth_requestAccounts' });
+    const accounts = await ethereum.request({ method: 'eth_requestAccounts' });
     
     if (!accounts || accounts.length === 0) {
-      throw new Error('No accounts found. Please unlock MetaMask and try again.');
+      throw new Error('No accounts found. Please unlock your wallet and try again.');
     }
     
     const account = accounts[0];
     
     // Create provider only after successful account access
-    const provider = new ethers.providers.Web3Provider(window.ethereum);
+    const provider = new ethers.providers.Web3Provider(ethereum);
     
     return { account, provider };
   } catch (error) {
-    console.error('MetaMask connection error:', error);
+    console.error('Wallet connection error:', error);
     
-    // Handle specific MetaMask errors
+    // Handle specific EIP-1193 errors
     if (error.code === 4001) {
-      throw new Error('Connection rejected by user. Please connect your MetaMask wallet.');
+      throw new Error('Connection rejected by user. Please connect your wallet.');
     } else if (error.code === -32002) {
-      throw new Error('MetaMask connection request already pending. Please check your MetaMask extension.');
+      throw new Error('Wallet connection request already pending. Please check your wallet.');
     } else if (error.message.includes('User rejected')) {
-      throw new Error('Connection rejected by user. Please connect your MetaMask wallet.');
+      throw new Error('Connection rejected by user. Please connect your wallet.');
     } else {
-      throw new Error('Failed to connect to MetaMask: ' + error.message);
+      throw new Error('Failed to connect wallet: ' + error.message);
     }
   }
 };
 
 // Get current account
 export const getCurrentAccount = async () => {
-  if (!window.ethereum || !window.ethereum.isMetaMask) return null;
+  const ethereum = getWalletProvider();
+  if (!ethereum) return null;
   
   try {
-    const accounts = await window.ethereum.request({ method: 'eth_accounts' });
+    const accounts = await ethereum.request({ method: 'eth_accounts' });
     return accounts[0] || null;
   } catch (error) {
     console.error('Error getting current account:', error);
@@ -58,11 +61,12 @@ export const getCurrentAccount = async () => {
 
 // Get current network
 export const getCurrentNetwork = async () => {
-  if (!window.ethereum || !window.ethereum.isMetaMask) return null;
+  const ethereum = getWalletProvider();
+  if (!ethereum) return null;
   
   try {
-    // Method 1: Try to get chainId directly from MetaMask first (safer)
-    const chainId = await window.ethereum.request({ method: 'eth_chainId' });
+    // Method 1: Try to get chainId directly from the wallet first (safer)
+    const chainId = await ethereum.request({ method: 'eth_chainId' });
     const networkId = parseInt(chainId, 16);
     const network = getNetworkById(networkId);
     
@@ -71,7 +75,7 @@ export const getCurrentNetwork = async () => {
     }
     
     // Method 2: Fallback to provider (only if needed)
-    const provider = new ethers.providers.Web3Provider(window.ethereum);
+    const provider = new ethers.providers.Web3Provider(ethereum);
     const providerNetwork = await provider.getNetwork();
     const providerNetworkId = providerNetwork.chainId;
     
@@ -84,24 +88,25 @@ export const getCurrentNetwork = async () => {
 
 // Switch network
 export const switchNetwork = async (networkId) => {
-  if (!window.ethereum || !window.ethereum.isMetaMask) {
-    throw new Error('MetaMask is not installed or not available');
+  const ethereum = getWalletProvider();
+  if (!ethereum) {
+    throw new Error('No wallet is connected');
   }
 
   try {
-    await window.ethereum.request({
+    await ethereum.request({
       method: 'wallet_switchEthereumChain',
       params: [{ chainId: `0x${networkId.toString(16)}` }],
     });
   } catch (switchError) {
-    // This error code indicates that the chain has not been added to MetaMask
+    // This error code indicates that the chain has not been added to the wallet
     if (switchError.code === 4902) {
       const network = getNetworkById(networkId);
       if (!network) {
         throw new Error('Unsupported network');
       }
 
-      await window.ethereum.request({
+      await ethereum.request({
         method: 'wallet_addEthereumChain',
         params: [{
           chainId: `0x${networkId.toString(16)}`,
@@ -117,6 +122,22 @@ export const switchNetwork = async (networkId) => {
   }
 };
 
+// Get a signer for the wallet's current network, for flows that switch networks
+// between transactions and cannot rely on the signer captured before the switch
+export const getWalletSigner = async (expectedNetworkId) => {
+  const ethereum = getWalletProvider();
+  if (!ethereum) {
+    throw new Error('No wallet is connected');
+  }
+
+  const provider = new ethers.providers.Web3Provider(ethereum, 'any');
+  const { chainId } = await provider.getNetwork();
+  if (expectedNetworkId && chainId !== expectedNetworkId) {
+    throw new Error(`Wallet is on chain ${chainId}, expected ${expectedNetworkId}`);
+  }
+  return provider.getSigner();
+};
+
 // Get token balance
 export const getTokenBalance = async (provider, tokenAddress, account, decimals = 18) => {
   try {
@@ -310,23 +331,26 @@ export const waitForTransaction = async (txHash, provider) => {
 
 // Listen for account changes
 export const onAccountsChanged = (callback) => {
-  if (!window.ethereum || !window.ethereum.isMetaMask) return;
+  const ethereum = getWalletProvider();
+  if (!ethereum) return;
   
-  window.ethereum.on('accountsChanged', callback);
+  ethereum.on('accountsChanged', callback);
 };
 
 // Listen for chain changes
 export const onChainChanged = (callback) => {
-  if (!window.ethereum || !window.ethereum.isMetaMask) return;
+  const ethereum = getWalletProvider();
+  if (!ethereum) return;
   
-  window.ethereum.on('chainChanged', callback);
+  ethereum.on('chainChanged', callback);
 };
 
 // Remove event listeners
 export const removeListeners = () => {
-  if (!window.ethereum || !window.ethereum.isMetaMask) return;
+  const ethereum = getWalletProvider();
+  if (!ethereum) return;
   
-  window.ethereum.removeAllListeners();
+  ethereum.removeAllListeners();
 };
 
 // Check if current network is 3DPass